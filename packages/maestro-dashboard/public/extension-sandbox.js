@@ -0,0 +1,48 @@
+/**
+ * Maestro Dashboard — Workflow extension sandbox bootstrap
+ *
+ * Az `extension-sandbox.html` (opaque origin) scriptje. A szülőtől egyetlen
+ * üzenetet vár (`{ workerSource, code, inputJson, sdkVersion }`): a futtató
+ * forrásából (`src/utils/extensionTestRunner.worker.js`) blob Web Workert
+ * indít, átadja neki a kódot, az eredményt visszaküldi a szülőnek. A worker
+ * a sandbox originjét és CSP-jét örökli. Időtúllépéskor a szülő az iframe-et
+ * távolítja el — a workerrel együtt.
+ *
+ * Build nélkül, változatlanul kerül ki (`public/`), ezért sima script.
+ */
+(function () {
+    var started = false;
+
+    function reply(result) {
+        // Opaque originből a szülő originje nem adható meg célként — a szülő
+        // az `event.source` alapján szűr.
+        window.parent.postMessage(result, '*');
+    }
+
+    window.addEventListener('message', function (event) {
+        if (event.source !== window.parent || started) return;
+        var data = event.data || {};
+        if (typeof data.workerSource !== 'string') return;
+        started = true;
+
+        var worker;
+        try {
+            var url = URL.createObjectURL(new Blob([data.workerSource], { type: 'text/javascript' }));
+            worker = new Worker(url);
+        } catch (e) {
+            reply({ ok: false, error: 'sandbox_unavailable: ' + e.message, logs: [] });
+            return;
+        }
+
+        worker.onmessage = function (workerEvent) {
+            reply(workerEvent.data);
+        };
+        worker.onerror = function (workerEvent) {
+            workerEvent.preventDefault();
+            reply({ ok: false, error: 'exec_error: ' + (workerEvent.message || 'ismeretlen hiba'), logs: [] });
+        };
+        worker.postMessage({ code: data.code, inputJson: data.inputJson, sdkVersion: data.sdkVersion });
+    });
+
+    window.parent.postMessage({ sandboxReady: true }, '*');
+})();
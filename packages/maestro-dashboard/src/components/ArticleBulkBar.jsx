@@ -0,0 +1,286 @@
+/**
+ * Maestro Dashboard — Tömeges műveletek sáv (cikk tábla)
+ *
+ * A kijelölt cikkekre futtatható művelet (közreműködő, layout, „Kimarad"
+ * jelölő, állapotváltás) paraméterezése és indítása, valamint az utolsó
+ * tömeges művelet visszavonása. A végrehajtás és a jogosultsági ellenőrzés a
+ * `useArticleBulkActions` hook-ban él — a sáv csak a UI.
+ *
+ * A sáv a tábla alján tapad (sticky), és akkor is látszik, ha a kijelölés
+ * üres, de van visszavonható művelet.
+ */
+
+import React, { useState, useMemo, useEffect, useCallback } from 'react';
+import { useData } from '../contexts/DataContext.jsx';
+import { useToast } from '../contexts/ToastContext.jsx';
+import { useConfirm } from './ConfirmDialog.jsx';
+import { useContributorGroups } from '../hooks/useContributorGroups.js';
+import { useArticleBulkActions, BULK_ACTIONS, describeBulkAction } from '../hooks/useArticleBulkActions.js';
+import { getAvailableTransitions, getStateLabel } from '@shared/workflowRuntime.js';
+import { getActiveStates } from '@shared/parallelStates.js';
+
+const ACTION_OPTIONS = [
+    { value: BULK_ACTIONS.STATE, label: 'Állapotváltás' },
+    { value: BULK_ACTIONS.CONTRIBUTOR, label: 'Közreműködő' },
+    { value: BULK_ACTIONS.LAYOUT, label: 'Layout' },
+    { value: BULK_ACTIONS.IGNORE, label: 'Kimarad jelölő' }
+];
+
+const RESULT_ICONS = { success: '✓', skipped: '–', failed: '✗' };
+
+/**
+ * @param {Object} props
+ * @param {Object[]} props.selectedArticles - A kijelölt (nem placeholder) cikkek.
+ * @param {Function} props.onClearSelection - () => void
+ */
+export default function ArticleBulkBar({ selectedArticles, onClearSelection }) {
+    const { workflow, layouts } = useData();
+    const { showToast } = useToast();
+    const confirm = useConfirm();
+    const { runBulkAction, undoLastBulkAction, lastOperation, isRunning } = useArticleBulkActions();
+
+    const [action, setAction] = useState(BULK_ACTIONS.STATE);
+    const [targetState, setTargetState] = useState('');
+    const [layoutId, setLayoutId] = useState('');
+    const [ignored, setIgnored] = useState(true);
+    const [contributor, setContributorChoice] = useState({ groupSlug: '', userId: '' });
+
+    // Célállapotok: a kijelölt cikkek bármely aktív állapotából induló átmenetek
+    // céljai. A cikkenkénti érvényességet a hook ellenőrzi (ami nem lép, kimarad).
+    const stateTargets = useMemo(() => {
+        const targets = new Set();
+        for (const article of selectedArticles) {
+            for (const stateId of getActiveStates(article)) {
+                for (const t of getAvailableTransitions(workflow, stateId)) targets.add(t.to);
+            }
+        }
+        return [...targets];
+    }, [selectedArticles, workflow]);
+
+    useEffect(() => {
+        if (targetState && !stateTargets.includes(targetState)) setTargetState('');
+    }, [stateTargets, targetState]);
+
+    const params = useMemo(() => {
+        switch (action) {
+            case BULK_ACTIONS.STATE:
+                return targetState ? { targetState } : null;
+            case BULK_ACTIONS.LAYOUT:
+                return layoutId ? { layoutId } : null;
+            case BULK_ACTIONS.IGNORE:
+                return { ignored };
+            case BULK_ACTIONS.CONTRIBUTOR:
+                return contributor.groupSlug
+                    ? { groupSlug: contributor.groupSlug, userId: contributor.userId || null }
+                    : null;
+            default:
+                return null;
+        }
+    }, [action, targetState, layoutId, ignored, contributor]);
+
+    const showReport = useCallback(async (title, results) => {
+        const counts = { success: 0, skipped: 0, failed: 0 };
+        for (const r of results) counts[r.status]++;
+        const summary = `${counts.success} sikeres, ${counts.skipped} kihagyva, ${counts.failed} sikertelen.`;
+
+        if (counts.skipped === 0 && counts.failed === 0) {
+            showToast(`${title}: ${summary}`, 'success');
+            return;
+        }
+        await confirm({
+            title,
+            message: (
+                <div className="bulk-report">
+                    <p>{summary}</p>
+                    <ul className="bulk-report__list">
+                        {results.filter((r) => r.status !== 'success').map((r) => (
+                            <li key={r.article.$id} className={`bulk-report__item bulk-report__item--${r.status}`}>
+                                {RESULT_ICONS[r.status]} {r.article.name || 'Névtelen'}
+                                {r.message && <span className="bulk-report__reason"> — {r.message}</span>}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            ),
+            isAlert: true,
+            variant: 'normal'
+        });
+    }, [showToast, confirm]);
+
+    const handleApply = useCallback(async () => {
+        if (!params || selectedArticles.length === 0) return;
+        try {
+            const results = await runBulkAction(action, params, selectedArticles);
+            await showReport(describeBulkAction(action, params, workflow), results);
+        } catch (err) {
+            console.error('[ArticleBulkBar] Tömeges művelet sikertelen:', err);
+            showToast(`Tömeges művelet sikertelen: ${err?.message || 'ismeretlen hiba'}`, 'error');
+        }
+    }, [action, params, selectedArticles, runBulkAction, showReport, workflow, showToast]);
+
+    const handleUndo = useCallback(async () => {
+        if (!lastOperation) return;
+        const title = `Visszavonás — ${lastOperation.label}`;
+        try {
+            const results = await undoLastBulkAction();
+            await showReport(title, results);
+        } catch (err) {
+            console.error('[ArticleBulkBar] Visszavonás sikertelen:', err);
+            showToast(`Visszavonás sikertelen: ${err?.message || 'ismeretlen hiba'}`, 'error');
+        }
+    }, [lastOperation, undoLastBulkAction, showReport, showToast]);
+
+    if (selectedArticles.length === 0 && !lastOperation) return null;
+
+    return (
+        <div className="article-bulk-bar" role="toolbar" aria-label="Tömeges műveletek">
+            {selectedArticles.length > 0 && (
+                <>
+                    <span className="article-bulk-bar__count">{selectedArticles.length} kijelölve</span>
+                    <select
+                        className="article-bulk-bar__select"
+                        value={action}
+                        onChange={(e) => setAction(e.target.value)}
+                        disabled={isRunning}
+                        aria-label="Művelet"
+                    >
+                        {ACTION_OPTIONS.map((o) => (
+                            <option key={o.value} value={o.value}>{o.label}</option>
+                        ))}
+                    </select>
+
+                    {action === BULK_ACTIONS.STATE && (
+                        <select
+                            className="article-bulk-bar__select"
+                            value={targetState}
+                            onChange={(e) => setTargetState(e.target.value)}
+                            disabled={isRunning || stateTargets.length === 0}
+                            aria-label="Célállapot"
+                        >
+                            <option value="">{stateTargets.length === 0 ? 'Nincs elérhető átmenet' : 'Célállapot…'}</option>
+                            {stateTargets.map((stateId) => (
+                                <option key={stateId} value={stateId}>{getStateLabel(workflow, stateId) || stateId}</option>
+                            ))}
+                        </select>
+                    )}
+
+                    {action === BULK_ACTIONS.LAYOUT && (
+                        <select
+                            className="article-bulk-bar__select"
+                            value={layoutId}
+                            onChange={(e) => setLayoutId(e.target.value)}
+                            disabled={isRunning}
+                            aria-label="Cél layout"
+                        >
+                            <option value="">Layout…</option>
+                            {layouts.map((l) => (
+                                <option key={l.$id} value={l.$id}>{l.name}</option>
+                            ))}
+                        </select>
+                    )}
+
+                    {action === BULK_ACTIONS.IGNORE && (
+                        <select
+                            className="article-bulk-bar__select"
+                            value={ignored ? 'on' : 'off'}
+                            onChange={(e) => setIgnored(e.target.value === 'on')}
+                            disabled={isRunning}
+                            aria-label="Kimarad jelölő"
+                        >
+                            <option value="on">Kimarad</option>
+                            <option value="off">Nem marad ki</option>
+                        </select>
+                    )}
+
+                    {action === BULK_ACTIONS.CONTRIBUTOR && (
+                        <ContributorFields
+                            value={contributor}
+                            onChange={setContributorChoice}
+                            disabled={isRunning}
+                            workflow={workflow}
+                        />
+                    )}
+
+                    <button
+                        type="button"
+                        className="btn-primary-sm"
+                        onClick={handleApply}
+                        disabled={isRunning || !params}
+                    >
+                        {isRunning ? 'Folyamatban…' : 'Alkalmaz'}
+                    </button>
+                    <button
+                        type="button"
+                        className="btn-ghost-sm"
+                        onClick={onClearSelection}
+                        disabled={isRunning}
+                    >
+                        Kijelölés törlése
+                    </button>
+                </>
+            )}
+
+            {lastOperation && (
+                <button
+                    type="button"
+                    className="btn-secondary-sm article-bulk-bar__undo"
+                    onClick={handleUndo}
+                    disabled={isRunning}
+                    title="Az utolsó tömeges művelet visszavonása (az azóta módosult cikkek kimaradnak)"
+                >
+                    ↶ Visszavonás: {lastOperation.label} ({lastOperation.count})
+                </button>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Csoport + személy választó. Külön komponens, hogy a csoportlista csak a
+ * „Közreműködő" művelet kiválasztásakor töltődjön le.
+ */
+function ContributorFields({ value, onChange, disabled, workflow }) {
+    const orderingSlugs = useMemo(
+        () => (Array.isArray(workflow?.requiredGroupSlugs)
+            ? workflow.requiredGroupSlugs.map((g) => g?.slug).filter(Boolean)
+            : undefined),
+        [workflow]
+    );
+    const { groups, membersBySlug, loading } = useContributorGroups({ orderingSlugs });
+    const contributorGroups = useMemo(
+        () => groups.filter((g) => g.isContributorGroup && !g.archivedAt),
+        [groups]
+    );
+    const members = value.groupSlug ? membersBySlug[value.groupSlug] || [] : [];
+
+    return (
+        <>
+            <select
+                className="article-bulk-bar__select"
+                value={value.groupSlug}
+                onChange={(e) => onChange({ groupSlug: e.target.value, userId: '' })}
+                disabled={disabled || loading}
+                aria-label="Csoport"
+            >
+                <option value="">{loading ? 'Csoportok betöltése…' : 'Csoport…'}</option>
+                {contributorGroups.map((g) => (
+                    <option key={g.slug} value={g.slug}>{g.name}</option>
+                ))}
+            </select>
+            <select
+                className="article-bulk-bar__select"
+                value={value.userId}
+                onChange={(e) => onChange({ ...value, userId: e.target.value })}
+                disabled={disabled || !value.groupSlug}
+                aria-label="Személy"
+            >
+                <option value="">Nincs hozzárendelve</option>
+                {members.map((m) => (
+                    <option key={m.userId} value={m.userId}>
+                        {m.userName || m.userEmail || m.userId}
+                    </option>
+                ))}
+            </select>
+        </>
+    );
+}
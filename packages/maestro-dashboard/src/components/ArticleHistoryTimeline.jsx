@@ -0,0 +1,135 @@
+/**
+ * Maestro Dashboard — Cikk állapot-history idővonal
+ *
+ * Az ArticleRow kinyitott részletező sorában jelenik meg. Az adatok az
+ * append-only `articleStateHistory` collection-ből jönnek (az `update-article`
+ * CF írja minden sikeres állapotváltáskor) — a Dashboard csak olvas.
+ *
+ * Újratöltés: a cikk `state` mezőjének változásakor (Realtime push), rövid
+ * késleltetéssel, mert a history doc a cikk-write UTÁN keletkezik.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Query } from 'appwrite';
+import { useData } from '../contexts/DataContext.jsx';
+import { DATABASE_ID, COLLECTIONS, MARKERS, LOCK_TYPE } from '../config.js';
+import { getStateConfig } from '@shared/workflowRuntime.js';
+
+/** A megjelenített bejegyzések maximális száma. */
+const HISTORY_LIMIT = 50;
+
+/** Állapotváltás utáni újratöltés késleltetése (ms). */
+const REFETCH_DELAY_MS = 800;
+
+const DATE_FORMAT = {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+};
+
+export default function ArticleHistoryTimeline({ article, getMemberName }) {
+    const { databases, workflow } = useData();
+    const [entries, setEntries] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [loadError, setLoadError] = useState(null);
+    // Generáció-számláló: a késve érkező régi válasz ne írja felül az újat.
+    const generationRef = useRef(0);
+    const isFirstLoadRef = useRef(true);
+
+    const articleId = article.$id;
+    const articleState = article.state;
+
+    useEffect(() => {
+        const delay = isFirstLoadRef.current ? 0 : REFETCH_DELAY_MS;
+        isFirstLoadRef.current = false;
+        const generation = ++generationRef.current;
+
+        const timer = setTimeout(async () => {
+            try {
+                const result = await databases.listDocuments({
+                    databaseId: DATABASE_ID,
+                    collectionId: COLLECTIONS.ARTICLE_STATE_HISTORY,
+                    queries: [
+                        Query.equal('articleId', articleId),
+                        Query.orderDesc('transitionedAt'),
+                        Query.limit(HISTORY_LIMIT)
+                    ]
+                });
+                if (generation !== generationRef.current) return;
+                setEntries(result.documents);
+                setLoadError(null);
+            } catch (err) {
+                if (generation !== generationRef.current) return;
+                console.error('[ArticleHistoryTimeline] Lekérés sikertelen:', err);
+                setLoadError('Az állapottörténet nem tölthető be.');
+            } finally {
+                if (generation === generationRef.current) setLoading(false);
+            }
+        }, delay);
+
+        return () => clearTimeout(timer);
+    }, [databases, articleId, articleState]);
+
+    if (loading && entries.length === 0) {
+        return <div className="article-history article-history--empty">Betöltés…</div>;
+    }
+    if (loadError) {
+        return <div className="article-history article-history--error">{loadError}</div>;
+    }
+    if (entries.length === 0) {
+        return <div className="article-history article-history--empty">Még nincs rögzített állapotváltás.</div>;
+    }
+
+    return (
+        <ol className="article-history" aria-label="Állapottörténet">
+            {entries.map(entry => (
+                <li key={entry.$id} className="article-history__item">
+                    <span className="article-history__states">
+                        <HistoryState workflow={workflow} stateId={entry.fromState} />
+                        <span className="article-history__arrow" aria-hidden="true">→</span>
+                        <HistoryState workflow={workflow} stateId={entry.toState} />
+                    </span>
+                    <span className="article-history__meta">
+                        {formatDateTime(entry.transitionedAt)}
+                        {' · '}
+                        {entry.actorName || getMemberName(entry.actorUserId) || 'Ismeretlen felhasználó'}
+                        {describeContext(entry) && ` · ${describeContext(entry)}`}
+                    </span>
+                </li>
+            ))}
+        </ol>
+    );
+}
+
+// ─── Segédek ────────────────────────────────────────────────────────────────
+
+function HistoryState({ workflow, stateId }) {
+    const config = getStateConfig(workflow, stateId);
+    const color = config?.color || '#999';
+    // Snapshot-ból kikerült (régi) állapot → nyers ID.
+    const label = config?.label || stateId;
+    return (
+        <span className="state-cell">
+            <span className="state-dot" style={{ backgroundColor: color, color }} aria-hidden="true" />
+            <span className="state-label">{label}</span>
+        </span>
+    );
+}
+
+function formatDateTime(iso) {
+    const date = new Date(iso);
+    if (isNaN(date.getTime())) return '';
+    return date.toLocaleString('hu-HU', DATE_FORMAT);
+}
+
+/** A váltás pillanatának lock-kontextusa + „Kimarad" jelölője. */
+function describeContext(entry) {
+    const parts = [];
+    if (entry.lockType === LOCK_TYPE.SYSTEM) parts.push('rendszer-zárolás alatt');
+    else if (entry.lockOwnerId) parts.push('megnyitva');
+    const markers = typeof entry.markers === 'number' ? entry.markers : 0;
+    if ((markers & MARKERS.IGNORE) !== 0) parts.push('kimarad');
+    return parts.join(', ');
+}
@@ -3,16 +3,30 @@
  *
  * ★ A villódzás-mentesség kulcsa: csak akkor renderel újra,
  *   ha ennek a cikknek az adata ténylegesen változott.
+ *
+ * A sorra kattintva kinyílik egy részletező sor az állapot-history
+ * idővonallal (`ArticleHistoryTimeline`). A nyitott sor ID-ját az
+ * ArticleTable tartja — egyszerre legfeljebb egy sor nyitott.
+ *
+ * Az első oszlop a tömeges műveletek kijelölő jelölőnégyzete; a kattintása
+ * nem nyitja / zárja a részletező sort.
  */
 
 import React from 'react';
 import { MARKERS, LOCK_TYPE } from '../config.js';
 import { useData } from '../contexts/DataContext.jsx';
 import { getStateConfig } from '@shared/workflowRuntime.js';
+import { normalizeParallelStates } from '@shared/parallelStates.js';
+import { formatRemainingWorkBreakdown } from '@shared/urgency.js';
 import ValidationIcons from './ValidationIcons.jsx';
+import ArticleHistoryTimeline from './ArticleHistoryTimeline.jsx';
+
+/** A tábla oszlopainak száma (a részletező sor `colSpan`-jához). */
+const COLUMN_COUNT = 6;
 
 const ArticleRow = React.memo(function ArticleRow({
-    article, maxPage, urgency, validationItems, currentUser, getMemberName
+    article, maxPage, urgency, validationItems, currentUser, getMemberName,
+    isExpanded, onToggleExpand, isSelected, onToggleSelect
 }) {
     // data-label attribútumok a mobil card nézethez (responsive.css).
     // A tablet-en+ felett ignorálva (table cellák maradnak), mobilon a ::before
@@ -21,11 +35,14 @@ const ArticleRow = React.memo(function ArticleRow({
     if (article.isPlaceholder) {
         return (
             <tr className="placeholder-row">
+                <td className="col-select" />
                 <td className="col-range" data-label="Terj.">
                     <PageRange article={article} maxPage={maxPage} />
                 </td>
                 <td className="col-name" data-label="Cikknév">
-                    <span className="placeholder-name">Nincs hozzárendelt cikk</span>
+                    <span className="placeholder-name">
+                        {article.isPlanned ? `${article.name} (tervezett)` : 'Nincs hozzárendelt cikk'}
+                    </span>
                 </td>
                 <td className="col-lock" data-label="Zárolta" />
                 <td className="col-state" data-label="Státusz" />
@@ -36,27 +53,60 @@ const ArticleRow = React.memo(function ArticleRow({
 
     const bgStyle = urgency?.background ? { background: urgency.background } : undefined;
 
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            onToggleExpand(article.$id);
+        }
+    };
+
     return (
-        <tr style={bgStyle}>
-            <td className="col-range" data-label="Terj.">
-                <PageRange article={article} maxPage={maxPage} />
-            </td>
-            <td className="col-name" data-label="Cikknév">
-                {article.name
-                    ? article.name
-                    : <span className="article-unnamed">Névtelen</span>
-                }
-            </td>
-            <td className="col-lock" data-label="Zárolta">
-                <LockLabel article={article} currentUser={currentUser} getMemberName={getMemberName} />
-            </td>
-            <td className="col-state" data-label="Státusz">
-                <StateIndicator article={article} />
-            </td>
-            <td className="col-validate" data-label="Validáció">
-                <ValidationIcons items={validationItems} />
-            </td>
-        </tr>
+        <>
+            <tr
+                style={bgStyle}
+                data-article-id={article.$id}
+                className={`article-row${isExpanded ? ' article-row--expanded' : ''}${isSelected ? ' article-row--selected' : ''}`}
+                onClick={() => onToggleExpand(article.$id)}
+                onKeyDown={handleKeyDown}
+                tabIndex={0}
+                aria-expanded={isExpanded}
+            >
+                <td className="col-select" data-label="Kijelölés" onClick={(e) => e.stopPropagation()}>
+                    <input
+                        type="checkbox"
+                        checked={isSelected}
+                        onChange={() => onToggleSelect(article.$id)}
+                        onKeyDown={(e) => e.stopPropagation()}
+                        aria-label={`Kijelölés: ${article.name || 'Névtelen'}`}
+                    />
+                </td>
+                <td className="col-range" data-label="Terj.">
+                    <PageRange article={article} maxPage={maxPage} />
+                </td>
+                <td className="col-name" data-label="Cikknév">
+                    {article.name
+                        ? article.name
+                        : <span className="article-unnamed">Névtelen</span>
+                    }
+                </td>
+                <td className="col-lock" data-label="Zárolta">
+                    <LockLabel article={article} currentUser={currentUser} getMemberName={getMemberName} />
+                </td>
+                <td className="col-state" data-label="Státusz">
+                    <StateIndicator article={article} urgency={urgency} />
+                </td>
+                <td className="col-validate" data-label="Validáció">
+                    <ValidationIcons items={validationItems} />
+                </td>
+            </tr>
+            {isExpanded && (
+                <tr className="article-detail-row">
+                    <td colSpan={COLUMN_COUNT}>
+                        <ArticleHistoryTimeline article={article} getMemberName={getMemberName} />
+                    </td>
+                </tr>
+            )}
+        </>
     );
 });
 
@@ -96,7 +146,7 @@ function LockLabel({ article, currentUser, getMemberName }) {
     return <span className={`badge badge--${variant}`}>{label}</span>;
 }
 
-function StateIndicator({ article }) {
+function StateIndicator({ article, urgency }) {
     const { workflow } = useData();
     const state = article.state || "";
     const config = getStateConfig(workflow, state);
@@ -104,13 +154,19 @@ function StateIndicator({ article }) {
     const isIgnored = (markers & MARKERS.IGNORE) !== 0;
     const color = isIgnored ? '#9E9E9E' : (config?.color || '#999');
     const label = config?.label || 'Ismeretlen';
-    const suffix = isIgnored ? ' (Kimarad)' : '';
+    // Párhuzamos szakaszban (fork) az ágak állapotai a fork címkéje után.
+    const branchLabels = normalizeParallelStates(article.parallelStates)
+        .map(branch => getStateConfig(workflow, branch)?.label || branch);
+    const branchSuffix = branchLabels.length > 0 ? `: ${branchLabels.join(', ')}` : '';
+    const suffix = branchSuffix + (isIgnored ? ' (Kimarad)' : '');
     const fullLabel = label + suffix;
+    // Tooltip: a hátralévő munka állapotonkénti bontása (a sürgősség alapja).
+    const remainingText = formatRemainingWorkBreakdown(workflow, urgency?.remainingWork);
 
     return (
         <span
             className="state-cell"
-            title={fullLabel}
+            title={remainingText ? `${fullLabel}\n\n${remainingText}` : fullLabel}
             aria-label={`Állapot: ${fullLabel}`}
         >
             <span
@@ -1,24 +1,91 @@
 /**
  * Maestro Dashboard — Cikk tábla
  *
- * Rendezés, sürgősség háttér, validáció ikonok.
+ * Rendezés, sürgősség háttér, validáció ikonok, kinyitható állapot-history.
  * React.memo ArticleRow-val a villódzás-mentes frissítéshez.
+ *
+ * Sor-kijelölés (jelölőnégyzet oszlop) a tömeges műveletekhez
+ * (`ArticleBulkBar`) — a placeholder sorok nem jelölhetők ki.
+ *
+ * Deeplink: a `?article=<id>` paraméter (üzenet-inbox) a cikk sorát kinyitja
+ * és odagörget, majd a paraméter törlődik.
  */
 
-import React, { useState, useMemo, useCallback } from 'react';
+import React, { useState, useMemo, useCallback, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext.jsx';
 import { useData } from '../contexts/DataContext.jsx';
+import { useToast } from '../contexts/ToastContext.jsx';
 import { LOCK_TYPE, VALIDATION_TYPES } from '../config.js';
 import { useUrgency } from '../hooks/useUrgency.js';
 import ArticleRow from './ArticleRow.jsx';
+import ArticleBulkBar from './ArticleBulkBar.jsx';
 
 const MAX_PAGE_SORT_FALLBACK = 99999;
 
 export default function ArticleTable({ filteredArticles }) {
     const { user } = useAuth();
-    const { deadlines, validations, getMemberName, publications, activePublicationId, workflow } = useData();
+    const { articles, deadlines, validations, getMemberName, publications, activePublicationId, workflow } = useData();
+    const { showToast } = useToast();
+    const [searchParams, setSearchParams] = useSearchParams();
     const [sortColumn, setSortColumn] = useState('range');
     const [sortDirection, setSortDirection] = useState('asc');
+    // Kinyitott részletező sor (állapot-history) — egyszerre egy.
+    const [expandedArticleId, setExpandedArticleId] = useState(null);
+
+    // Stabil callback, hogy a React.memo ArticleRow ne rendereljen újra feleslegesen.
+    const handleToggleExpand = useCallback((articleId) => {
+        setExpandedArticleId(prev => (prev === articleId ? null : articleId));
+    }, []);
+
+    // Deeplink (`?article=<id>`): a cikk sora kinyílik és látótérbe kerül. Ha a
+    // cikk a szűrők miatt rejtett, vagy már nincs a kiadványban, figyelmeztetünk.
+    const focusArticleId = searchParams.get('article');
+    useEffect(() => {
+        if (!focusArticleId) return;
+        const isVisible = (filteredArticles || []).some(a => a.$id === focusArticleId);
+        if (isVisible) {
+            setExpandedArticleId(focusArticleId);
+            requestAnimationFrame(() => {
+                document.querySelector(`[data-article-id="${CSS.escape(focusArticleId)}"]`)
+                    ?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+            });
+        } else if (articles.some(a => a.$id === focusArticleId)) {
+            showToast('A cikk a jelenlegi szűrők miatt nem látszik.', 'warning');
+        } else {
+            showToast('A cikk nem található — időközben törölhették.', 'warning');
+        }
+        setSearchParams((prev) => {
+            const next = new URLSearchParams(prev);
+            next.delete('article');
+            return next;
+        }, { replace: true });
+    }, [focusArticleId, filteredArticles, articles, showToast, setSearchParams]);
+
+    // Tömeges műveletekhez kijelölt cikkek ($id halmaz).
+    const [selectedIds, setSelectedIds] = useState(() => new Set());
+
+    const handleToggleSelect = useCallback((articleId) => {
+        setSelectedIds(prev => {
+            const next = new Set(prev);
+            if (next.has(articleId)) next.delete(articleId);
+            else next.add(articleId);
+            return next;
+        });
+    }, []);
+
+    const handleClearSelection = useCallback(() => setSelectedIds(new Set()), []);
+
+    // Szűrés / kiadványváltás után a már nem látható cikkek kiesnek a kijelölésből.
+    const selectedArticles = useMemo(
+        () => (filteredArticles || []).filter(a => !a.isPlaceholder && selectedIds.has(a.$id)),
+        [filteredArticles, selectedIds]
+    );
+    useEffect(() => {
+        if (selectedArticles.length !== selectedIds.size) {
+            setSelectedIds(new Set(selectedArticles.map(a => a.$id)));
+        }
+    }, [selectedArticles, selectedIds]);
 
     // Aktív publikáció — a sürgősség-számítás `excludeWeekends` mezőjéhez
     // (a publikáció saját beállítása felülírja a default true-t).
@@ -121,40 +188,69 @@ export default function ArticleTable({ filteredArticles }) {
         });
     }, []);
 
+    const selectableIds = useMemo(
+        () => sorted.filter(a => !a.isPlaceholder).map(a => a.$id),
+        [sorted]
+    );
+    const allSelected = selectableIds.length > 0 && selectedArticles.length === selectableIds.length;
+
+    const handleToggleSelectAll = useCallback(() => {
+        setSelectedIds(allSelected ? new Set() : new Set(selectableIds));
+    }, [allSelected, selectableIds]);
+
     if (!filteredArticles || filteredArticles.length === 0) {
         return <div className="empty-state">Nincsenek cikkek</div>;
     }
 
     return (
-        <table className="article-table">
-            <thead>
-                <tr>
-                    <SortHeader id="range" label="Terj." cssClass="col-range"
-                        sortColumn={sortColumn} sortDirection={sortDirection} onSort={handleSort} />
-                    <SortHeader id="name" label="Cikknév" cssClass="col-name"
-                        sortColumn={sortColumn} sortDirection={sortDirection} onSort={handleSort} />
-                    <SortHeader id="lock" label="Zárolta" cssClass="col-lock"
-                        sortColumn={sortColumn} sortDirection={sortDirection} onSort={handleSort} />
-                    <SortHeader id="state" label="Státusz" cssClass="col-state"
-                        sortColumn={sortColumn} sortDirection={sortDirection} onSort={handleSort} />
-                    <SortHeader id="validator" label="⚠" cssClass="col-validate"
-                        sortColumn={sortColumn} sortDirection={sortDirection} onSort={handleSort} />
-                </tr>
-            </thead>
-            <tbody>
-                {sorted.map(article => (
-                    <ArticleRow
-                        key={article.$id}
-                        article={article}
-                        maxPage={maxPage}
-                        urgency={urgencyMap.get(article.$id)}
-                        validationItems={validationIndex.get(article.$id) || null}
-                        currentUser={user}
-                        getMemberName={getMemberName}
-                    />
-                ))}
-            </tbody>
-        </table>
+        <>
+            <table className="article-table">
+                <thead>
+                    <tr>
+                        <th className="col-select">
+                            <input
+                                type="checkbox"
+                                checked={allSelected}
+                                ref={el => {
+                                    if (el) el.indeterminate = selectedArticles.length > 0 && !allSelected;
+                                }}
+                                onChange={handleToggleSelectAll}
+                                disabled={selectableIds.length === 0}
+                                aria-label="Összes cikk kijelölése"
+                            />
+                        </th>
+                        <SortHeader id="range" label="Terj." cssClass="col-range"
+                            sortColumn={sortColumn} sortDirection={sortDirection} onSort={handleSort} />
+                        <SortHeader id="name" label="Cikknév" cssClass="col-name"
+                            sortColumn={sortColumn} sortDirection={sortDirection} onSort={handleSort} />
+                        <SortHeader id="lock" label="Zárolta" cssClass="col-lock"
+                            sortColumn={sortColumn} sortDirection={sortDirection} onSort={handleSort} />
+                        <SortHeader id="state" label="Státusz" cssClass="col-state"
+                            sortColumn={sortColumn} sortDirection={sortDirection} onSort={handleSort} />
+                        <SortHeader id="validator" label="⚠" cssClass="col-validate"
+                            sortColumn={sortColumn} sortDirection={sortDirection} onSort={handleSort} />
+                    </tr>
+                </thead>
+                <tbody>
+                    {sorted.map(article => (
+                        <ArticleRow
+                            key={article.$id}
+                            article={article}
+                            maxPage={maxPage}
+                            urgency={urgencyMap.get(article.$id)}
+                            validationItems={validationIndex.get(article.$id) || null}
+                            currentUser={user}
+                            getMemberName={getMemberName}
+                            isExpanded={expandedArticleId === article.$id}
+                            onToggleExpand={handleToggleExpand}
+                            isSelected={selectedIds.has(article.$id)}
+                            onToggleSelect={handleToggleSelect}
+                        />
+                    ))}
+                </tbody>
+            </table>
+            <ArticleBulkBar selectedArticles={selectedArticles} onClearSelection={handleClearSelection} />
+        </>
     );
 }
 
@@ -3,7 +3,8 @@
  *
  * Breadcrumb fejléc: Maestro logó → Szervezet → Szerkesztőség → Publikáció.
  * Minden dropdown tetején „Beállítások", alatta ABC rendezett opciók.
- * Jobb oldalon: workflow-chip (#82 — `WorkflowLibraryPanel`), nézet váltó
+ * Jobb oldalon: üzenetek-chip olvasatlan badge-dzsel (`MessageInboxPanel`),
+ * workflow-chip (#82 — `WorkflowLibraryPanel`), nézet váltó
  * (táblázat/elrendezés), szűrő gomb, cikk-szám és UserAvatar.
  */
 
@@ -14,6 +15,7 @@ import { useScope } from '../contexts/ScopeContext.jsx';
 import { useData } from '../contexts/DataContext.jsx';
 import { useModal } from '../contexts/ModalContext.jsx';
 import { useTheme } from '../hooks/useTheme.js';
+import { useMessageInbox } from '../hooks/useMessageInbox.js';
 import BreadcrumbDropdown from './BreadcrumbDropdown.jsx';
 import UserAvatar from './UserAvatar.jsx';
 import PublicationSettingsModal from './publications/PublicationSettingsModal.jsx';
@@ -22,6 +24,7 @@ import EditorialOfficeSettingsModal from './organization/EditorialOfficeSettings
 import CreateOrganizationModal from './organization/CreateOrganizationModal.jsx';
 import MaestroSettingsModal from './organization/MaestroSettingsModal.jsx';
 import WorkflowLibraryPanel from './workflows/WorkflowLibraryPanel.jsx';
+import MessageInboxPanel from './MessageInboxPanel.jsx';
 
 // Legacy marker: a `bootstrap_organization` CF 2026-04-20 előtt auto-létrehozott
 // egy „Általános" nevű office-t. A breadcrumb ezt „alapértelmezett" suffix-szel
@@ -50,6 +53,7 @@ export default function BreadcrumbHeader({
     const { publications, activePublicationId } = useData();
     const { openModal } = useModal();
     const { theme, toggleTheme } = useTheme();
+    const { unreadCount } = useMessageInbox();
     const navigate = useNavigate();
     const location = useLocation();
 
@@ -182,6 +186,14 @@ export default function BreadcrumbHeader({
         });
     }
 
+    function handleMessageInbox() {
+        if (!activeEditorialOfficeId) return;
+        openModal(<MessageInboxPanel />, {
+            size: 'lg',
+            title: 'Nekem szóló üzenetek'
+        });
+    }
+
     return (
         <div className="breadcrumb-header">
             {/* ── Bal oldal: logó + breadcrumb dropdown-ok ── */}
@@ -229,8 +241,25 @@ export default function BreadcrumbHeader({
                 />
             </div>
 
-            {/* ── Jobb oldal: workflow chip + nézet váltó + szűrő + cikkszám + avatar ── */}
+            {/* ── Jobb oldal: üzenetek + workflow chip + nézet váltó + szűrő + cikkszám + avatar ── */}
             <div className="breadcrumb-right">
+                <button
+                    type="button"
+                    className="breadcrumb-chip"
+                    onClick={handleMessageInbox}
+                    disabled={!activeEditorialOfficeId}
+                    title={unreadCount > 0 ? `${unreadCount} olvasatlan üzenet` : 'Nekem szóló üzenetek'}
+                    aria-label={unreadCount > 0 ? `Üzenetek, ${unreadCount} olvasatlan` : 'Üzenetek'}
+                >
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" aria-hidden="true">
+                        <path d="M4 4h16v12H7l-3 3z"/>
+                    </svg>
+                    <span>Üzenetek</span>
+                    {unreadCount > 0 && (
+                        <span className="breadcrumb-chip-badge">{unreadCount > 99 ? '99+' : unreadCount}</span>
+                    )}
+                </button>
+
                 <button
                     type="button"
                     className="breadcrumb-chip"
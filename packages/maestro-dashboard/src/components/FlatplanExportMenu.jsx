@@ -0,0 +1,180 @@
+/**
+ * Maestro Dashboard — FlatplanExportMenu
+ *
+ * A `LayoutView` toolbar export gombja és legördülő menüje: nyomtatható
+ * flatplan (oldaltükör) PDF / SVG letöltés a `maestro-proxy` szerveroldali
+ * rajzolásával (`utils/flatplanExport.js`), plusz a korábbi böngészős
+ * nyomtatás.
+ *
+ * Beállítások: tartalom (thumbnail-ek / állapotszínes blokkok), papírméret
+ * (A4 / A3 fekvő) és a soronkénti spreadek száma. Függő (nem mentett)
+ * áthelyezés alatt az export tiltott — a fájl az adatbázis állapotát mutassa,
+ * ne az előnézetet.
+ */
+
+import React, { useState, useRef, useCallback } from 'react';
+import usePopoverClose from '../hooks/usePopoverClose.js';
+import { useToast } from '../contexts/ToastContext.jsx';
+import {
+    EXPORT_FORMATS,
+    EXPORT_MODES,
+    EXPORT_PAPERS,
+    downloadFlatplanExport
+} from '../utils/flatplanExport.js';
+
+const COLUMNS_MIN = 1;
+const COLUMNS_MAX = 6;
+
+const MODE_OPTIONS = [
+    { value: EXPORT_MODES.THUMBNAILS, label: 'Bélyegképek' },
+    { value: EXPORT_MODES.STATES, label: 'Állapotszínek' }
+];
+
+const LABELS = {
+    button: 'Flatplan exportálása',
+    pendingMoves: 'Előbb mentsd vagy vesd el a függő áthelyezéseket',
+    mode: 'Tartalom',
+    paper: 'Papír',
+    columns: 'Spread / sor',
+    pdf: 'PDF letöltése',
+    svg: 'SVG letöltése',
+    exporting: 'Exportálás…',
+    print: 'Nyomtatás (böngésző)',
+    failed: (msg) => `Export sikertelen: ${msg || 'ismeretlen hiba'}`
+};
+
+/**
+ * @param {Object} props
+ * @param {(options: { format: string, mode: string, paper: string, columns: number }) => Object} props.buildModel
+ *   — az aktuális spreadekből az export modellt építő callback
+ * @param {number} props.defaultColumns — a képernyő oszlopszáma (kezdőérték)
+ * @param {boolean} props.disabled — függő áthelyezés alatt
+ * @param {Function} props.onPrint — böngészős nyomtatás
+ */
+export default function FlatplanExportMenu({ buildModel, defaultColumns, disabled, onPrint }) {
+    const { showToast } = useToast();
+    const [isOpen, setIsOpen] = useState(false);
+    const [mode, setMode] = useState(EXPORT_MODES.THUMBNAILS);
+    const [paper, setPaper] = useState(EXPORT_PAPERS[0]);
+    const [columns, setColumns] = useState(() => Math.min(COLUMNS_MAX, Math.max(COLUMNS_MIN, defaultColumns)));
+    const [exportingFormat, setExportingFormat] = useState(null);
+    const containerRef = useRef(null);
+
+    const close = useCallback(() => setIsOpen(false), []);
+    usePopoverClose(containerRef, isOpen, close);
+
+    async function handleExport(format) {
+        if (exportingFormat) return;
+        setExportingFormat(format);
+        try {
+            await downloadFlatplanExport(buildModel({ format, mode, paper, columns }));
+            setIsOpen(false);
+        } catch (err) {
+            console.error('[FlatplanExportMenu] Export failed:', err);
+            showToast(LABELS.failed(err?.message), 'error');
+        } finally {
+            setExportingFormat(null);
+        }
+    }
+
+    function handlePrint() {
+        setIsOpen(false);
+        onPrint();
+    }
+
+    return (
+        <div className="flatplan-export" ref={containerRef}>
+            <button
+                type="button"
+                className={`zoom-btn export-btn ${isOpen ? 'open' : ''}`}
+                title={disabled ? LABELS.pendingMoves : LABELS.button}
+                disabled={disabled}
+                onClick={() => setIsOpen(prev => !prev)}
+                aria-haspopup="menu"
+                aria-expanded={isOpen}
+            >
+                📄
+            </button>
+
+            {isOpen && (
+                <div className="flatplan-export-menu" role="menu">
+                    <div className="flatplan-export-option">
+                        <span className="flatplan-export-label">{LABELS.mode}</span>
+                        <div className="flatplan-export-choices">
+                            {MODE_OPTIONS.map(option => (
+                                <button
+                                    key={option.value}
+                                    type="button"
+                                    className={`flatplan-export-choice ${mode === option.value ? 'active' : ''}`}
+                                    aria-pressed={mode === option.value}
+                                    onClick={() => setMode(option.value)}
+                                >
+                                    {option.label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                    <div className="flatplan-export-option">
+                        <span className="flatplan-export-label">{LABELS.paper}</span>
+                        <div className="flatplan-export-choices">
+                            {EXPORT_PAPERS.map(value => (
+                                <button
+                                    key={value}
+                                    type="button"
+                                    className={`flatplan-export-choice ${paper === value ? 'active' : ''}`}
+                                    aria-pressed={paper === value}
+                                    onClick={() => setPaper(value)}
+                                >
+                                    {value}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                    <div className="flatplan-export-option">
+                        <span className="flatplan-export-label">{LABELS.columns}</span>
+                        <input
+                            type="number"
+                            className="columns-input"
+                            min={COLUMNS_MIN}
+                            max={COLUMNS_MAX}
+                            value={columns}
+                            onChange={e => {
+                                const val = parseInt(e.target.value, 10);
+                                if (!isNaN(val)) setColumns(Math.min(COLUMNS_MAX, Math.max(COLUMNS_MIN, val)));
+                            }}
+                        />
+                    </div>
+
+                    <div className="popup-divider" />
+                    <button
+                        type="button"
+                        className="popup-item"
+                        role="menuitem"
+                        disabled={!!exportingFormat}
+                        onClick={() => handleExport(EXPORT_FORMATS.PDF)}
+                    >
+                        {exportingFormat === EXPORT_FORMATS.PDF ? LABELS.exporting : LABELS.pdf}
+                    </button>
+                    <button
+                        type="button"
+                        className="popup-item"
+                        role="menuitem"
+                        disabled={!!exportingFormat}
+                        onClick={() => handleExport(EXPORT_FORMATS.SVG)}
+                    >
+                        {exportingFormat === EXPORT_FORMATS.SVG ? LABELS.exporting : LABELS.svg}
+                    </button>
+                    <div className="popup-divider" />
+                    <button
+                        type="button"
+                        className="popup-item"
+                        role="menuitem"
+                        onClick={handlePrint}
+                    >
+                        {LABELS.print}
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
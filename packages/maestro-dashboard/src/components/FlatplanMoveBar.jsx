@@ -0,0 +1,188 @@
+/**
+ * Maestro Dashboard — Flatplan függő áthelyezések sáv
+ *
+ * A `LayoutView`-ban drag-and-drop-pal áthelyezett, még nem mentett cikkek
+ * listája (régi → új oldaltartomány, layout-váltás, élő ütközések), mentés és
+ * elvetés. Az állapot és az írás a `useFlatplanMoves` hook-ban él — a sáv
+ * csak a UI.
+ *
+ * Oldal-áthelyezés, több cikk egyszerre mentése, vagy ütközéssel járó mentés
+ * előtt összefoglaló megerősítés jön; a terjedelmen kívülre lógó cikk a
+ * mentést tiltja (a Plugin átszámozása sem engedi).
+ *
+ * Az oldal-áthelyezés csak az adatbázist írja, az InDesign fájlt nem számozza
+ * át — a Plugin `DatabaseIntegrityValidator`-a a fájl oldalszámait írja vissza.
+ * Ezt a sáv és a megerősítés is kimondja (lásd `FlatplanEditing.md`).
+ */
+
+import React, { useCallback } from 'react';
+import { useToast } from '../contexts/ToastContext.jsx';
+import { useConfirm } from './ConfirmDialog.jsx';
+import { resolveLayoutName } from '@shared/publicationStructure.js';
+
+const RESULT_ICONS = { success: '✓', skipped: '–', failed: '✗' };
+
+function formatPages(article) {
+    if (article.startPage == null) return '—';
+    const end = article.endPage ?? article.startPage;
+    return end === article.startPage ? `${article.startPage}.` : `${article.startPage}–${end}.`;
+}
+
+/** Egy áthelyezés szöveges leírása: `4–5. → 8–9. oldal · Layout: A → B`. */
+function describeMove({ article, preview }, layouts) {
+    const parts = [];
+    if (preview.startPage !== article.startPage) {
+        parts.push(`${formatPages(article)} → ${formatPages(preview)} oldal`);
+    }
+    if ((preview.layout || null) !== (article.layout || null)) {
+        const from = article.layout ? resolveLayoutName(article.layout, layouts) : '—';
+        const to = preview.layout ? resolveLayoutName(preview.layout, layouts) : '—';
+        parts.push(`Layout: ${from} → ${to}`);
+    }
+    return parts.join(' · ');
+}
+
+/** Változik-e a cikk oldaltartománya (a layout-váltás nem érinti a fájlt). */
+function isPageMove({ article, preview }) {
+    return preview.startPage !== article.startPage;
+}
+
+const FILE_NOT_RENUMBERED_NOTE =
+    'Az InDesign fájl nem számozódik át: a mentés csak az adatbázist írja. ' +
+    'A Plugin a következő ellenőrzéskor a fájl oldalszámait írja vissza, így az ' +
+    'áthelyezés visszaáll, hacsak a cikket a Pluginban (cikk-tulajdonságok → ' +
+    'kezdőoldal) át nem számozzák.';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.moves - A `useFlatplanMoves` visszatérési értéke
+ * @param {Object[]} props.layouts - A kiadvány layoutjai (`{ $id, name }`)
+ */
+export default function FlatplanMoveBar({ moves, layouts }) {
+    const { showToast } = useToast();
+    const confirm = useConfirm();
+    const { movedArticles, commitMoves, discardMove, discardMoves, isSaving } = moves;
+
+    const conflictCount = movedArticles.filter((m) => m.errors.length > 0).length;
+    const hasOutOfBounds = movedArticles.some((m) => m.outOfBounds);
+    const pageMoveCount = movedArticles.filter(isPageMove).length;
+
+    const handleSave = useCallback(async () => {
+        if (movedArticles.length === 0 || hasOutOfBounds) return;
+
+        if (movedArticles.length > 1 || conflictCount > 0 || pageMoveCount > 0) {
+            const ok = await confirm({
+                title: 'Áthelyezések mentése',
+                message: (
+                    <div className="bulk-report">
+                        <p>
+                            {movedArticles.length} cikk új helyre kerül.
+                            {conflictCount > 0 && ` ${conflictCount} cikknél átfedés marad.`}
+                        </p>
+                        {pageMoveCount > 0 && (
+                            <p className="bulk-report__warning">{FILE_NOT_RENUMBERED_NOTE}</p>
+                        )}
+                        <ul className="bulk-report__list">
+                            {movedArticles.map((m) => (
+                                <li
+                                    key={m.article.$id}
+                                    className={`bulk-report__item${m.errors.length > 0 ? ' bulk-report__item--failed' : ''}`}
+                                >
+                                    {m.article.name || 'Névtelen'}
+                                    <span className="bulk-report__reason"> — {describeMove(m, layouts)}</span>
+                                    {m.errors.map((e) => (
+                                        <div key={e}>{e}</div>
+                                    ))}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                ),
+                confirmLabel: 'Mentés',
+                cancelLabel: 'Mégse',
+                variant: conflictCount > 0 ? 'danger' : 'normal'
+            });
+            if (!ok) return;
+        }
+
+        const results = await commitMoves();
+        const counts = { success: 0, skipped: 0, failed: 0 };
+        for (const r of results) counts[r.status]++;
+
+        if (counts.skipped === 0 && counts.failed === 0) {
+            showToast(`Áthelyezés mentve: ${counts.success} cikk.`, 'success');
+            return;
+        }
+        await confirm({
+            title: 'Áthelyezések mentése',
+            message: (
+                <div className="bulk-report">
+                    <p>{counts.success} sikeres, {counts.skipped} kihagyva, {counts.failed} sikertelen. A nem mentett áthelyezések függőben maradtak.</p>
+                    <ul className="bulk-report__list">
+                        {results.filter((r) => r.status !== 'success').map((r) => (
+                            <li key={r.article.$id} className={`bulk-report__item bulk-report__item--${r.status}`}>
+                                {RESULT_ICONS[r.status]} {r.article.name || 'Névtelen'}
+                                {r.message && <span className="bulk-report__reason"> — {r.message}</span>}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            ),
+            isAlert: true,
+            variant: 'normal'
+        });
+    }, [movedArticles, hasOutOfBounds, conflictCount, pageMoveCount, layouts, confirm, commitMoves, showToast]);
+
+    if (movedArticles.length === 0) return null;
+
+    return (
+        <div className="flatplan-move-bar" role="region" aria-label="Függő áthelyezések">
+            <span className="flatplan-move-bar__count">{movedArticles.length} függő áthelyezés</span>
+            <ul className="flatplan-move-bar__list">
+                {movedArticles.map((m) => (
+                    <li
+                        key={m.article.$id}
+                        className={`flatplan-move-bar__item${m.errors.length > 0 ? ' flatplan-move-bar__item--conflict' : ''}`}
+                        title={m.errors.join('\n') || undefined}
+                    >
+                        <strong>{m.article.name || 'Névtelen'}</strong> {describeMove(m, layouts)}
+                        {m.errors.length > 0 && ` (${m.errors.length} hiba)`}
+                        <button
+                            type="button"
+                            className="flatplan-move-bar__discard"
+                            onClick={() => discardMove(m.article.$id)}
+                            disabled={isSaving}
+                            aria-label={`${m.article.name} áthelyezésének elvetése`}
+                        >
+                            ✕
+                        </button>
+                    </li>
+                ))}
+            </ul>
+            {pageMoveCount > 0 && (
+                <span className="flatplan-move-bar__note" title={FILE_NOT_RENUMBERED_NOTE}>
+                    Csak adatbázis — a fájl nem számozódik át
+                </span>
+            )}
+            <div className="flatplan-move-bar__actions">
+                <button
+                    type="button"
+                    className="btn-primary-sm"
+                    onClick={handleSave}
+                    disabled={isSaving || hasOutOfBounds}
+                    title={hasOutOfBounds ? 'Egy cikk a kiadvány terjedelmén kívülre került.' : undefined}
+                >
+                    {isSaving ? 'Mentés…' : 'Mentés'}
+                </button>
+                <button
+                    type="button"
+                    className="btn-ghost-sm"
+                    onClick={discardMoves}
+                    disabled={isSaving}
+                >
+                    Elvetés
+                </button>
+            </div>
+        </div>
+    );
+}
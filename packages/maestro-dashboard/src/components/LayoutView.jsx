@@ -5,12 +5,31 @@
  * Magazin konvenció: 1. oldal jobb, 2-3, 4-5, ... spreadek.
  * Fix oszlopszám CSS Grid-del, kiadványonként localStorage-ban tárolva.
  * Ctrl+Wheel / trackpad pinch / mobil touch pinch → transform: scale() (vizuális nagyítás).
+ *
+ * Szerkesztés: egy cikk oldalát egy másik oldalra húzva a teljes cikk
+ * ugyanannyival tolódik el; húzás közben a toolbar layout-célokat mutat, oda
+ * ejtve a cikk layoutot vált. Az áthelyezések függőben gyűlnek (előnézet +
+ * élő ütközésjelzés), a mentés a `FlatplanMoveBar`-ból indul
+ * (`useFlatplanMoves`).
+ *
+ * Hirdetések: a kiadvány hirdetés-foglalásai (`ads`) oldalanként a
+ * `PageSlot`-ra kerülnek; az egész oldalas hirdetés oldalára húzott cikk
+ * ütközésként jelenik meg.
+ *
+ * Export: a toolbar `FlatplanExportMenu`-je ugyanezekből a spreadekből kér
+ * szerveroldalon rajzolt, nyomtatható PDF / SVG oldaltükröt a proxytól.
  */
 
 import React, { useState, useMemo, useCallback, useRef, useEffect } from 'react';
 import { useData } from '../contexts/DataContext.jsx';
 import { BUCKETS, STORAGE_KEYS } from '../config.js';
+import { useFlatplanMoves } from '../hooks/useFlatplanMoves.js';
+import { getOccupiedPages } from '@shared/publicationStructure.js';
+import { groupAdsByPage } from '@shared/ads.js';
+import { buildFlatplanExportModel } from '../utils/flatplanExport.js';
 import PageSlot from './PageSlot.jsx';
+import FlatplanMoveBar from './FlatplanMoveBar.jsx';
+import FlatplanExportMenu from './FlatplanExportMenu.jsx';
 
 // ─── Állandók ────────────────────────────────────────────────────────────────
 
@@ -22,6 +41,9 @@ const ZOOM_DEFAULT = 1;
 const ZOOM_MIN = 0.25;
 const ZOOM_MAX = 10;
 
+/** A Plugin `VALIDATION_SOURCES.STRUCTURE` — a perzisztált átfedés-validációk forrása. */
+const STRUCTURE_SOURCE = 'structure';
+
 /** Kiadványonkénti oszlopszám betöltése localStorage-ból. */
 function loadColumns(publicationId) {
     if (!publicationId) return COLUMNS_DEFAULT;
@@ -78,7 +100,7 @@ function saveSelectedLayout(publicationId, layoutId) {
 }
 
 export default function LayoutView({ filteredArticles }) {
-    const { publications, layouts, activePublicationId, storage, validations } = useData();
+    const { publications, layouts, activePublicationId, storage, validations, ads, workflow, deadlines } = useData();
     const [columns, setColumns] = useState(() => loadColumns(activePublicationId));
     const [zoom, setZoom] = useState(ZOOM_DEFAULT);
     const [naturalWidth, setNaturalWidth] = useState(null);
@@ -117,8 +139,92 @@ export default function LayoutView({ filteredArticles }) {
         [publications]
     );
 
+    // ─── Drag-and-drop áthelyezés ───────────────────────────────────────────
+
+    const moves = useFlatplanMoves(publication);
+    const { applyMoves, structureResults, movedArticles, canDragArticle, canMoveArticleToLayout } = moves;
+    const hasPendingMoves = movedArticles.length > 0;
+
+    // Húzott cikk: { articleId, pageNum, layout } — a ref a stabil PageSlot handlerekhez
+    const [dragSource, setDragSource] = useState(null);
+    const [dragOverPage, setDragOverPage] = useState(null);
+    const [dragOverLayoutId, setDragOverLayoutId] = useState(null);
+    const dragSourceRef = useRef(null);
+    const movesRef = useRef(moves);
+    useEffect(() => { movesRef.current = moves; }, [moves]);
+
+    const previewArticles = useMemo(
+        () => applyMoves(filteredArticles),
+        [applyMoves, filteredArticles]
+    );
+    const previewArticlesRef = useRef(previewArticles);
+    useEffect(() => { previewArticlesRef.current = previewArticles; }, [previewArticles]);
+
+    const endDrag = useCallback(() => {
+        dragSourceRef.current = null;
+        setDragSource(null);
+        setDragOverPage(null);
+        setDragOverLayoutId(null);
+    }, []);
+
+    const handlePageDragStart = useCallback((e, pageData) => {
+        e.dataTransfer.effectAllowed = 'move';
+        // Firefox csak adat megadásával indít húzást
+        e.dataTransfer.setData('text/plain', pageData.articleName || '');
+        const article = previewArticlesRef.current.find(a => a.$id === pageData.articleId);
+        const source = { articleId: pageData.articleId, pageNum: pageData.pageNum, layout: article?.layout || null };
+        dragSourceRef.current = source;
+        setDragSource(source);
+    }, []);
+
+    const handlePageDragOver = useCallback((e, pageNum) => {
+        if (!dragSourceRef.current || pageNum == null) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        setDragOverPage(pageNum);
+    }, []);
+
+    const handlePageDrop = useCallback((e, pageNum) => {
+        const source = dragSourceRef.current;
+        if (!source || pageNum == null) return;
+        e.preventDefault();
+        movesRef.current.moveArticleToPage(source.articleId, source.pageNum, pageNum);
+        endDrag();
+    }, [endDrag]);
+
+    const handleLayoutDragOver = useCallback((e, layoutId) => {
+        if (!dragSourceRef.current) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        setDragOverLayoutId(layoutId);
+    }, []);
+
+    const handleLayoutDrop = useCallback((e, layoutId) => {
+        const source = dragSourceRef.current;
+        if (!source) return;
+        e.preventDefault();
+        movesRef.current.moveArticleToLayout(source.articleId, layoutId);
+        endDrag();
+    }, [endDrag]);
+
+    // A húzott cikk oldalai a jelenlegi ledobási ponthoz képest eltolva
+    const dropTargetPages = useMemo(() => {
+        if (!dragSource || dragOverPage == null) return null;
+        const article = previewArticles.find(a => a.$id === dragSource.articleId);
+        if (!article) return null;
+        const delta = dragOverPage - dragSource.pageNum;
+        return new Set(getOccupiedPages(article).map(p => p + delta));
+    }, [dragSource, dragOverPage, previewArticles]);
+
+    // Layout-célok húzás közben: a cikk jelenlegi layoutján kívül mind
+    const layoutDropTargets = useMemo(() => {
+        if (!dragSource || layouts.length < 2 || !canMoveArticleToLayout(dragSource.articleId)) return [];
+        return layouts.filter(l => l.$id !== dragSource.layout);
+    }, [dragSource, layouts, canMoveArticleToLayout]);
+
     // Kiadvány váltáskor oszlopszám betöltése + zoom reset + arány reset + layout reset
     useEffect(() => {
+        endDrag();
         setColumns(loadColumns(activePublicationId));
         setSelectedLayoutId(loadSelectedLayout(activePublicationId));
         setZoom(ZOOM_DEFAULT);
@@ -139,7 +245,7 @@ export default function LayoutView({ filteredArticles }) {
             wrapperRef.current.style.width = '';
             wrapperRef.current.style.height = '';
         }
-    }, [activePublicationId]);
+    }, [activePublicationId, endDrag]);
 
     // ─── Oldalarány detektálás az első betöltött thumbnail-ből ───────────────
     // A load event nem buborékol → capture phase szükséges.
@@ -182,21 +288,36 @@ export default function LayoutView({ filteredArticles }) {
     }, [storage]);
 
     // Validáció indexelés (articleId → [{type, message, source}])
+    // Függő áthelyezés alatt a perzisztált átfedés-validációk a régi helyzetet
+    // írják le — helyettük az előnézet élő struktúra-eredményei látszanak.
     const validationIndex = useMemo(() => {
         const map = new Map();
+        const push = (articleId, item) => {
+            const list = map.get(articleId);
+            if (list) list.push(item);
+            else map.set(articleId, [item]);
+        };
+        if (hasPendingMoves) {
+            for (const [articleId, { errors, warnings }] of structureResults) {
+                for (const message of errors) push(articleId, { type: 'error', message, source: STRUCTURE_SOURCE });
+                for (const message of warnings) push(articleId, { type: 'warning', message, source: STRUCTURE_SOURCE });
+            }
+        }
         for (const v of validations) {
             if (v.isResolved) continue;
+            if (hasPendingMoves && v.source === STRUCTURE_SOURCE) continue;
             const item = {
                 type: v.type || 'info',
                 message: v.description || v.message || '',
                 source: v.source || 'user'
             };
-            const list = map.get(v.articleId);
-            if (list) list.push(item);
-            else map.set(v.articleId, [item]);
+            push(v.articleId, item);
         }
         return map;
-    }, [validations]);
+    }, [validations, hasPendingMoves, structureResults]);
+
+    // Hirdetések oldalanként (a DataContext csak az aktív kiadványét tölti)
+    const adsByPage = useMemo(() => groupAdsByPage(ads), [ads]);
 
     // Alap (első) layout ID — fallback oldalakhoz
     const defaultLayoutId = useMemo(
@@ -214,11 +335,11 @@ export default function LayoutView({ filteredArticles }) {
         if (coverageEnd < coverageStart) return [];
 
         const pageMap = buildPageMap(
-            filteredArticles, coverageStart, coverageEnd, getThumbnailUrl,
+            previewArticles, coverageStart, coverageEnd, getThumbnailUrl,
             selectedLayoutId, defaultLayoutId
         );
         return buildSpreads(pageMap, coverageStart, coverageEnd);
-    }, [filteredArticles, publication, getThumbnailUrl, selectedLayoutId, defaultLayoutId]);
+    }, [previewArticles, publication, getThumbnailUrl, selectedLayoutId, defaultLayoutId]);
 
     // Cache-ből szinkron betöltött képek esetén a load event a listener regisztrálása
     // előtt tüzel — ezért renderelés UTÁN is ellenőrizzük a már kész képeket.
@@ -464,7 +585,25 @@ export default function LayoutView({ filteredArticles }) {
         }
     }, [layouts, selectedLayoutId, activePublicationId]);
 
-    // ─── Layout mentése PDF-ként (böngésző print → Save as PDF) ─────────────
+    // ─── Export: szerveroldali PDF / SVG, illetve böngésző print ────────────
+
+    const buildExportModel = useCallback((options) => {
+        const layoutName = layouts.length > 1
+            ? layouts.find(l => l.$id === selectedLayoutId)?.name ?? null
+            : null;
+        // A detektált thumbnail-arány (`"szélesség / magasság"`) — hiányában a proxy A4 arányt vesz
+        const [width, height] = (pageAspectRef.current || '').split('/').map(Number);
+        return buildFlatplanExportModel({
+            publication,
+            layoutName,
+            spreads,
+            workflow,
+            deadlines,
+            adsByPage,
+            pageAspect: width > 0 && height > 0 ? width / height : null,
+            options
+        });
+    }, [layouts, selectedLayoutId, publication, spreads, workflow, deadlines, adsByPage]);
 
     const exportAsPdf = useCallback(() => {
         window.print();
@@ -474,6 +613,10 @@ export default function LayoutView({ filteredArticles }) {
         return <div className="empty-state">Válassz egy kiadványt</div>;
     }
 
+    // Csak a saját (nem örökölt) oldalon látszó cikk húzható
+    const isDraggablePage = (pageData) =>
+        !!pageData?.articleId && !pageData.isFallback && canDragArticle(pageData.articleId);
+
     if (spreads.length === 0) {
         return <div className="empty-state">Érvénytelen oldaltartomány</div>;
     }
@@ -490,7 +633,21 @@ export default function LayoutView({ filteredArticles }) {
             {/* Oszlopszám + zoom toolbar */}
             <div className="layout-toolbar">
                 {/* Layout választó dropdown */}
-                {layouts.length > 1 && (
+                {layoutDropTargets.length > 0 ? (
+                    <div className="layout-drop-targets" aria-label="Áthelyezés másik layoutba">
+                        {layoutDropTargets.map(l => (
+                            <div
+                                key={l.$id}
+                                className={`layout-drop-chip${dragOverLayoutId === l.$id ? ' drop-target' : ''}`}
+                                onDragOver={e => handleLayoutDragOver(e, l.$id)}
+                                onDragLeave={() => setDragOverLayoutId(null)}
+                                onDrop={e => handleLayoutDrop(e, l.$id)}
+                            >
+                                → {l.name}
+                            </div>
+                        ))}
+                    </div>
+                ) : layouts.length > 1 && (
                     <select
                         className="layout-select"
                         value={selectedLayoutId || ''}
@@ -547,16 +704,17 @@ export default function LayoutView({ filteredArticles }) {
                         {displayZoom != null ? `${displayZoom}%` : '—'}
                     </button>
                     <span className="zoom-separator" />
-                    <button
-                        className="zoom-btn export-btn"
-                        title="Layout mentése PDF-ként"
-                        onClick={exportAsPdf}
-                    >
-                        📄
-                    </button>
+                    <FlatplanExportMenu
+                        buildModel={buildExportModel}
+                        defaultColumns={columns}
+                        disabled={hasPendingMoves}
+                        onPrint={exportAsPdf}
+                    />
                 </div>
             </div>
 
+            <FlatplanMoveBar moves={moves} layouts={layouts} />
+
             {/* Scrollozható terület — a toolbar ezen kívül marad */}
             <div className="layout-scroll-area">
                 {/* Zoom wrapper — méretezés a scrollozható terület biztosításához */}
@@ -590,11 +748,25 @@ export default function LayoutView({ filteredArticles }) {
                                         pageData={spread.left}
                                         pageNum={spread.leftNum}
                                         validationItems={spread.left?.articleId ? validationIndex.get(spread.left.articleId) || null : null}
+                                        ads={adsByPage.get(spread.leftNum) || null}
+                                        draggable={isDraggablePage(spread.left)}
+                                        isDropTarget={dropTargetPages?.has(spread.leftNum) || false}
+                                        onPageDragStart={handlePageDragStart}
+                                        onPageDragOver={handlePageDragOver}
+                                        onPageDrop={handlePageDrop}
+                                        onPageDragEnd={endDrag}
                                     />
                                     <PageSlot
                                         pageData={spread.right}
                                         pageNum={spread.rightNum}
                                         validationItems={spread.right?.articleId ? validationIndex.get(spread.right.articleId) || null : null}
+                                        ads={adsByPage.get(spread.rightNum) || null}
+                                        draggable={isDraggablePage(spread.right)}
+                                        isDropTarget={dropTargetPages?.has(spread.rightNum) || false}
+                                        onPageDragStart={handlePageDragStart}
+                                        onPageDragOver={handlePageDragOver}
+                                        onPageDrop={handlePageDrop}
+                                        onPageDragEnd={endDrag}
                                     />
                                 </div>
                             );
@@ -676,6 +848,7 @@ function fillPageMap(pageMap, articles, coverageStart, coverageEnd, getThumbnail
                     articleName: article.name,
                     state: article.state,
                     ignored: article.ignored,
+                    pendingMove: article.isPendingMove === true,
                     pageNum,
                     isFallback: true
                 };
@@ -691,6 +864,7 @@ function fillPageMap(pageMap, articles, coverageStart, coverageEnd, getThumbnail
                     articleName: article.name,
                     state: article.state,
                     ignored: article.ignored,
+                    pendingMove: article.isPendingMove === true,
                     pageNum
                 };
 
@@ -720,6 +894,7 @@ function fillPageMap(pageMap, articles, coverageStart, coverageEnd, getThumbnail
                     articleName: article.name,
                     state: article.state,
                     ignored: article.ignored,
+                    pendingMove: article.isPendingMove === true,
                     pageNum
                 };
             }
@@ -0,0 +1,146 @@
+/**
+ * Maestro Dashboard — Üzenet-inbox panel
+ *
+ * A fejléc „Üzenetek" chip-jéből nyíló modal: a felhasználónak (vagy a
+ * csoportjainak, illetve a cikkek közreműködőinek) szóló cikk-üzenetek az
+ * aktív szerkesztőség összes kiadványából, olvasott / olvasatlan jelöléssel.
+ *
+ * Egy elemre kattintva az üzenet olvasottá válik, a cikk kiadványa aktív
+ * lesz, és a táblázat nézet a cikk sorára ugrik (`?article=<id>` — az
+ * `ArticleTable` nyitja ki és görget oda).
+ */
+
+import React, { useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useData } from '../contexts/DataContext.jsx';
+import { useModal } from '../contexts/ModalContext.jsx';
+import { useToast } from '../contexts/ToastContext.jsx';
+import { useMessageInbox } from '../hooks/useMessageInbox.js';
+import { STORAGE_KEYS, VALIDATION_TYPES } from '../config.js';
+import { getSenderName, getRecipientName } from '@shared/messageRecipients.js';
+
+/** Az üzenet szövegéből ennyi karakter látszik a listában. */
+const PREVIEW_LENGTH = 160;
+
+const TYPE_LABELS = {
+    [VALIDATION_TYPES.ERROR]: 'Hiba',
+    [VALIDATION_TYPES.WARNING]: 'Figyelmeztetés',
+    [VALIDATION_TYPES.INFO]: 'Információ',
+    [VALIDATION_TYPES.SUCCESS]: 'Megoldva'
+};
+
+const DATE_FORMAT = {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+};
+
+export default function MessageInboxPanel() {
+    const navigate = useNavigate();
+    const { activePublicationId, switchPublication } = useData();
+    const { closeModal } = useModal();
+    const { showToast } = useToast();
+    const { items, unreadCount, loading, markRead, markAllRead, groups, membersBySlug } = useMessageInbox();
+
+    const handleOpen = useCallback(async (item) => {
+        const { message, article, publication } = item;
+        if (item.unread) markRead([message.$id]);
+
+        if (!publication) {
+            showToast('Az üzenet cikkének kiadványa nem érhető el.', 'warning');
+            return;
+        }
+
+        closeModal();
+        if (publication.$id !== activePublicationId) {
+            localStorage.setItem(STORAGE_KEYS.SELECTED_PUBLICATION, publication.$id);
+            try {
+                await switchPublication(publication.$id);
+            } catch {
+                showToast('Cikkek betöltése sikertelen', 'error');
+                return;
+            }
+        }
+        navigate(`/?article=${encodeURIComponent(article.$id)}`);
+    }, [markRead, showToast, closeModal, activePublicationId, switchPublication, navigate]);
+
+    return (
+        <div className="message-inbox">
+            <div className="message-inbox__toolbar">
+                <span className="message-inbox__summary">
+                    {unreadCount > 0 ? `${unreadCount} olvasatlan üzenet` : 'Nincs olvasatlan üzenet'}
+                </span>
+                <button
+                    type="button"
+                    className="btn-ghost-sm"
+                    onClick={markAllRead}
+                    disabled={unreadCount === 0}
+                >
+                    Mind olvasott
+                </button>
+            </div>
+
+            {loading && items.length === 0 ? (
+                <div className="form-empty-state">Betöltés...</div>
+            ) : items.length === 0 ? (
+                <div className="form-empty-state">Nincs neked szóló üzenet ebben a szerkesztőségben.</div>
+            ) : (
+                <ul className="message-inbox__list">
+                    {items.map((item) => (
+                        <InboxItem
+                            key={item.message.$id}
+                            item={item}
+                            groups={groups}
+                            membersBySlug={membersBySlug}
+                            onOpen={handleOpen}
+                        />
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+function InboxItem({ item, groups, membersBySlug, onOpen }) {
+    const { message, article, publication, unread } = item;
+    const description = message.description || '';
+    const preview = description.length > PREVIEW_LENGTH
+        ? `${description.slice(0, PREVIEW_LENGTH)}…`
+        : description;
+
+    return (
+        <li>
+            <button
+                type="button"
+                className={`message-inbox__item${unread ? ' message-inbox__item--unread' : ''}`}
+                onClick={() => onOpen(item)}
+                title="Ugrás a cikkre"
+            >
+                <span className={`message-inbox__type message-inbox__type--${message.type}`}>
+                    {TYPE_LABELS[message.type] || message.type}
+                </span>
+                <span className="message-inbox__main">
+                    <span className="message-inbox__article">
+                        {article.name || 'Névtelen cikk'}
+                        {publication && <span className="message-inbox__publication"> · {publication.name}</span>}
+                    </span>
+                    <span className="message-inbox__text">{preview}</span>
+                    <span className="message-inbox__meta">
+                        {getSenderName(message, { membersBySlug })}
+                        {' → '}
+                        {getRecipientName(message, { groups, membersBySlug })}
+                        {' · '}
+                        {formatDateTime(message.$createdAt)}
+                    </span>
+                </span>
+            </button>
+        </li>
+    );
+}
+
+function formatDateTime(iso) {
+    const date = new Date(iso);
+    if (isNaN(date.getTime())) return '';
+    return date.toLocaleString('hu-HU', DATE_FORMAT);
+}
@@ -3,28 +3,77 @@
  *
  * ★ A villódzás-mentesség kulcsa: az <img> tag nem renderelődik újra,
  *   ha a thumbnailUrl nem változik.
+ *
+ * Drag-and-drop (flatplan szerkesztés): a cikket mutató slot húzható
+ * (`draggable`), minden számozott slot ledobási cél. A handlerek a
+ * `LayoutView`-ból jönnek stabil referenciával, hogy a memo megmaradjon.
+ *
+ * Hirdetések: az oldal hirdetés-foglalásai (`ads`, a `groupAdsByPage`
+ * oldalankénti listája) méret és pozíció szerinti fedőrétegként látszanak —
+ * thumbnail felett és üres oldalon is.
  */
 
 import React from 'react';
 import { useData } from '../contexts/DataContext.jsx';
 import { getStateColor, getStateLabel } from '@shared/workflowRuntime.js';
+import { AD_SIZE_LABELS, AD_STATUS_LABELS, isFullPageAd } from '@shared/ads.js';
 import ValidationIcons from './ValidationIcons.jsx';
 
-const PageSlot = React.memo(function PageSlot({ pageData, pageNum, validationItems }) {
+/** Az oldal hirdetései fedőrétegként (méret + pozíció szerinti CSS osztály). */
+function PageAds({ ads }) {
+    if (!ads) return null;
+    return ads.map((ad) => (
+        <div
+            key={ad.$id}
+            className={`page-ad page-ad--${ad.size}${ad.position ? ` page-ad--${ad.position}` : ''} page-ad--status-${ad.status}`}
+            title={`Hirdetés: ${ad.advertiser} · ${AD_SIZE_LABELS[ad.size] || ad.size} · ${AD_STATUS_LABELS[ad.status] || ad.status}`}
+        >
+            <span className="page-ad__label">{ad.advertiser}</span>
+        </div>
+    ));
+}
+
+const PageSlot = React.memo(function PageSlot({
+    pageData,
+    pageNum,
+    validationItems,
+    ads = null,
+    draggable = false,
+    isDropTarget = false,
+    onPageDragStart,
+    onPageDragOver,
+    onPageDrop,
+    onPageDragEnd
+}) {
     // Üres hely (pl. címlap bal oldala)
     if (!pageData && pageNum === null) {
         return <div className="page-slot empty-slot" />;
     }
 
-    // Placeholder (nincs thumbnail)
+    const dropProps = onPageDrop
+        ? {
+            onDragOver: (e) => onPageDragOver?.(e, pageNum),
+            onDrop: (e) => onPageDrop(e, pageNum)
+        }
+        : {};
+    const dropClass = isDropTarget ? ' drop-target' : '';
+
+    // Placeholder (nincs thumbnail) — egész oldalas hirdetésnél a hirdető a neve
     if (!pageData || !pageData.thumbnailUrl) {
+        const fullPageAd = ads?.find(isFullPageAd);
         return (
-            <div className="page-slot placeholder">
+            <div className={`page-slot placeholder${dropClass}`} {...dropProps}>
                 <div className="page-thumb-area">
                     <span className="page-number">{pageNum || '?'}</span>
+                    <PageAds ads={ads} />
                 </div>
                 <div className="page-info">
                     <span className="page-number">{pageNum || '?'}</span>
+                    {fullPageAd && (
+                        <span className="article-name" title={`Hirdetés: ${fullPageAd.advertiser}`}>
+                            {fullPageAd.advertiser}
+                        </span>
+                    )}
                 </div>
             </div>
         );
@@ -40,15 +89,29 @@ const PageSlot = React.memo(function PageSlot({ pageData, pageNum, validationIte
         : 'Ismeretlen állapot';
     const ignoredClass = pageData.ignored ? ' ignored' : '';
     const fallbackClass = pageData.isFallback ? ' fallback' : '';
+    const pendingClass = pageData.pendingMove ? ' pending-move' : '';
+    const dragProps = draggable
+        ? {
+            draggable: true,
+            onDragStart: (e) => onPageDragStart?.(e, pageData),
+            onDragEnd: onPageDragEnd
+        }
+        : {};
 
     return (
-        <div className={`page-slot${ignoredClass}${fallbackClass}`}>
+        <div
+            className={`page-slot${ignoredClass}${fallbackClass}${pendingClass}${dropClass}`}
+            {...dropProps}
+            {...dragProps}
+        >
             <div className="page-image">
                 <img
                     src={pageData.thumbnailUrl}
                     alt={`${pageData.pageNum}. oldal`}
                     loading="lazy"
+                    draggable={false}
                 />
+                <PageAds ads={ads} />
                 {pageData.conflict && (
                     <div
                         className="page-conflict-badge"
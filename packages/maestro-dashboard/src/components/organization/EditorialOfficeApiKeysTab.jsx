@@ -0,0 +1,268 @@
+/**
+ * Maestro Dashboard — EditorialOfficeSettings / ApiKeysTab
+ *
+ * A szerkesztőség beállítás modal „API kulcsok" füle. A kulcsokkal külső
+ * integrációk a `maestro-proxy` csak olvasó végpontjain
+ * (`/api/v1/offices/:officeId/publications|articles|deadlines`) érik el a
+ * szerkesztőség adatait, Appwrite session nélkül.
+ *
+ * A nyers kulcsot a CF generálja és csak létrehozáskor látható egyszer; a
+ * listában a kulcs utolsó 4 karaktere azonosítja. A visszavont kulcs a
+ * listában marad (ki és mikor vonta vissza). Szerkeszteni org owner/admin
+ * tud (a CF `office.settings.edit`-et ellenőriz).
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext.jsx';
+import { useToast } from '../../contexts/ToastContext.jsx';
+import { useConfirm } from '../ConfirmDialog.jsx';
+
+const SECTION_STYLE = { marginBottom: 20, borderBottom: '1px solid var(--border)', paddingBottom: 16 };
+const HEADING_STYLE = { margin: '0 0 8px 0', fontSize: 14, fontWeight: 600 };
+const ROW_STYLE = { display: 'flex', gap: 8, alignItems: 'center', marginBottom: 6 };
+
+/** A CF `API_KEY_NAME_MAX_LENGTH` tükre. */
+const NAME_MAX_LENGTH = 128;
+
+const DATE_FORMAT = {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+};
+
+function errorMessage(reason) {
+    if (typeof reason !== 'string') return 'Ismeretlen hiba történt.';
+    if (reason.includes('insufficient_permission')) return 'Nincs jogosultságod az API kulcsok kezeléséhez.';
+    if (reason.includes('invalid_name')) return `A név megadása kötelező (legfeljebb ${NAME_MAX_LENGTH} karakter).`;
+    if (reason.includes('api_key_limit_reached')) return 'Elérted az aktív API kulcsok számának korlátját — vonj vissza egy régit.';
+    if (reason.includes('api_key_not_found')) return 'Az API kulcs már nem létezik — frissítsd a listát.';
+    if (reason.includes('schema_missing')) return 'Az API kulcs collection még nincs létrehozva (bootstrap_office_api_keys_schema).';
+    if (reason.includes('misconfigured')) return 'Az API kulcsok szerveroldalon nincsenek beállítva.';
+    if (reason.includes('office_not_found')) return 'A szerkesztőség nem található.';
+    if (reason.includes('Failed to fetch') || reason.includes('NetworkError')) {
+        return 'Hálózati hiba. Ellenőrizd a kapcsolatot, és próbáld újra.';
+    }
+    return reason;
+}
+
+function formatDateTime(iso) {
+    if (!iso) return '';
+    const date = new Date(iso);
+    if (isNaN(date.getTime())) return '';
+    return date.toLocaleString('hu-HU', DATE_FORMAT);
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.office — a szerkesztőség rekord
+ * @param {boolean} props.isOrgAdmin — szerkesztheti-e a caller
+ */
+export default function EditorialOfficeApiKeysTab({ office, isOrgAdmin }) {
+    const { listOfficeApiKeys, createOfficeApiKey, revokeOfficeApiKey } = useAuth();
+    const { showToast } = useToast();
+    const confirm = useConfirm();
+
+    const [apiKeys, setApiKeys] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [loadError, setLoadError] = useState('');
+    const [actionPending, setActionPending] = useState(null);
+    const [actionError, setActionError] = useState('');
+    const [name, setName] = useState('');
+    // Az egyszer megjelenő kulcs: { name, key }.
+    const [revealedKey, setRevealedKey] = useState(null);
+
+    const officeId = office?.$id;
+
+    const loadData = useCallback(async () => {
+        if (!officeId) return;
+        setLoadError('');
+        try {
+            const result = await listOfficeApiKeys(officeId);
+            setApiKeys(result.apiKeys || []);
+        } catch (err) {
+            setLoadError(errorMessage(err.message || err.code || ''));
+        } finally {
+            setIsLoading(false);
+        }
+    }, [officeId, listOfficeApiKeys]);
+
+    useEffect(() => {
+        setIsLoading(true);
+        setRevealedKey(null);
+        loadData();
+    }, [loadData]);
+
+    async function handleCreate() {
+        const trimmed = name.trim();
+        if (!trimmed || actionPending) return;
+        setActionPending('create');
+        setActionError('');
+        try {
+            const result = await createOfficeApiKey(officeId, trimmed);
+            setRevealedKey({ name: trimmed, key: result.key });
+            setName('');
+            showToast('Az API kulcs létrejött.', 'success');
+            await loadData();
+        } catch (err) {
+            setActionError(errorMessage(err.message || err.code || ''));
+        } finally {
+            setActionPending(null);
+        }
+    }
+
+    async function handleRevoke(apiKey) {
+        const ok = await confirm({
+            title: 'API kulcs visszavonása',
+            message: (
+                <p>
+                    A(z) <strong>„{apiKey.name}"</strong> (…{apiKey.keyHint}) kulcs azonnal
+                    érvényét veszti — az ezt használó integrációk 401 hibát kapnak.
+                    A visszavonás nem vonható vissza.
+                </p>
+            ),
+            confirmLabel: 'Visszavonás',
+            cancelLabel: 'Mégse',
+            variant: 'danger'
+        });
+        if (!ok) return;
+
+        setActionPending(`revoke:${apiKey.$id}`);
+        setActionError('');
+        try {
+            await revokeOfficeApiKey(apiKey.$id);
+            showToast('Az API kulcs visszavonva.', 'success');
+            await loadData();
+        } catch (err) {
+            setActionError(errorMessage(err.message || err.code || ''));
+        } finally {
+            setActionPending(null);
+        }
+    }
+
+    async function handleCopyKey() {
+        try {
+            await navigator.clipboard.writeText(revealedKey.key);
+            showToast('A kulcs a vágólapra másolva.', 'success');
+        } catch {
+            showToast('A másolás nem sikerült — jelöld ki és másold kézzel.', 'warning');
+        }
+    }
+
+    if (isLoading) {
+        return <div className="help-text">Betöltés…</div>;
+    }
+
+    if (loadError) {
+        return <div className="login-error" style={{ marginBottom: 12 }}>{loadError}</div>;
+    }
+
+    const activeKeys = apiKeys.filter(k => !k.revokedAt);
+    const revokedKeys = apiKeys.filter(k => k.revokedAt);
+
+    return (
+        <>
+            {actionError && (
+                <div className="login-error" style={{ marginBottom: 12 }}>{actionError}</div>
+            )}
+
+            {!isOrgAdmin && (
+                <div className="help-text" style={{ marginBottom: 12 }}>
+                    Az API kulcsokat a szervezet tulajdonosa vagy adminja kezelheti.
+                </div>
+            )}
+
+            {revealedKey && (
+                <div style={SECTION_STYLE}>
+                    <h3 style={HEADING_STYLE}>Új kulcs — „{revealedKey.name}"</h3>
+                    <div className="help-text" style={{ marginBottom: 8 }}>
+                        Ezt az értéket csak most látod — a Maestro csak a hash-ét tárolja.
+                        Küldd el <code>Authorization: Bearer …</code> headerben.
+                    </div>
+                    <div style={ROW_STYLE}>
+                        <code style={{ flex: 1, wordBreak: 'break-all' }}>{revealedKey.key}</code>
+                        <button type="button" className="btn-secondary-sm" onClick={handleCopyKey}>
+                            Másolás
+                        </button>
+                        <button type="button" className="btn-ghost-sm" onClick={() => setRevealedKey(null)}>
+                            Elrejtés
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {/* ═══ Aktív kulcsok ═══ */}
+            <div style={SECTION_STYLE}>
+                <h3 style={HEADING_STYLE}>Aktív kulcsok</h3>
+                <div className="help-text" style={{ marginBottom: 8 }}>
+                    Csak olvasó hozzáférés ennek a szerkesztőségnek a kiadványaihoz, cikkeihez
+                    és lapzártáihoz: <code>/api/v1/offices/{officeId}/…</code>
+                </div>
+                {activeKeys.length === 0 && <div className="help-text">Nincs aktív kulcs.</div>}
+                {activeKeys.map((apiKey) => (
+                    <div key={apiKey.$id} style={ROW_STYLE}>
+                        <div style={{ flex: 1, minWidth: 0 }}>
+                            <div style={{ fontWeight: 600 }}>
+                                {apiKey.name} <code className="help-text">…{apiKey.keyHint}</code>
+                            </div>
+                            <div className="help-text">
+                                Létrehozva: {formatDateTime(apiKey.$createdAt)}
+                                {' · '}
+                                {apiKey.lastUsedAt ? `Utoljára használva: ${formatDateTime(apiKey.lastUsedAt)}` : 'Még nem használták'}
+                            </div>
+                        </div>
+                        {isOrgAdmin && (
+                            <button
+                                type="button"
+                                className="btn-secondary-sm"
+                                onClick={() => handleRevoke(apiKey)}
+                                disabled={actionPending !== null}
+                            >
+                                Visszavonás
+                            </button>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            {/* ═══ Új kulcs ═══ */}
+            {isOrgAdmin && (
+                <div style={SECTION_STYLE}>
+                    <h3 style={HEADING_STYLE}>Új kulcs</h3>
+                    <div style={ROW_STYLE}>
+                        <input
+                            type="text"
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            placeholder="Név (pl. CMS szinkron)"
+                            maxLength={NAME_MAX_LENGTH}
+                            disabled={actionPending !== null}
+                            style={{ flex: 1 }}
+                        />
+                        <button
+                            type="button"
+                            className="btn-primary"
+                            onClick={handleCreate}
+                            disabled={actionPending !== null || !name.trim()}
+                        >
+                            {actionPending === 'create' ? 'Létrehozás…' : 'Létrehozás'}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {/* ═══ Visszavont kulcsok ═══ */}
+            {revokedKeys.length > 0 && (
+                <div>
+                    <h3 style={HEADING_STYLE}>Visszavont kulcsok</h3>
+                    {revokedKeys.map((apiKey) => (
+                        <div key={apiKey.$id} className="help-text" style={{ marginBottom: 4 }}>
+                            {apiKey.name} (…{apiKey.keyHint}) — visszavonva: {formatDateTime(apiKey.revokedAt)}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </>
+    );
+}
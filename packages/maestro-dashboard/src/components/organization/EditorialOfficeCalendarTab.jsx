@@ -0,0 +1,331 @@
+/**
+ * Maestro Dashboard — EditorialOfficeSettings / CalendarTab
+ *
+ * A szerkesztőség beállítás modal „Munkanaptár" füle. A naptár a sürgősség-
+ * számítás bemenete (Plugin + Dashboard `useUrgency`):
+ *   - Ország-preset — a munkaszüneti napokat mentéskor a nager.at API-ról
+ *     töltjük az aktuális és a következő évre, és a naptárba mentjük, így a
+ *     számítás offline is működik.
+ *   - Munkaidő naponként (hétfő–vasárnap, „nem munkanap" kapcsolóval).
+ *   - Egyedi zárvatartás (pl. nyomdai leállás) és extra munkanapok
+ *     (áthelyezett szombatok).
+ *
+ * Szerkeszteni org owner/admin tud (a CF `office.settings.edit`-et ellenőriz);
+ * mások csak olvassák.
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { useAuth } from '../../contexts/AuthContext.jsx';
+import { useToast } from '../../contexts/ToastContext.jsx';
+import {
+    WORKING_CALENDAR_COUNTRIES,
+    normalizeWorkingCalendar,
+    validateWorkingCalendar,
+    getCachedHolidays
+} from '@shared/workingCalendar.js';
+import { fetchHolidays } from '@shared/urgency.js';
+
+/** A hét napjai megjelenítési sorrendben (`Date.getDay()` kulccsal). */
+const WEEKDAYS = [
+    { day: 1, label: 'Hétfő' },
+    { day: 2, label: 'Kedd' },
+    { day: 3, label: 'Szerda' },
+    { day: 4, label: 'Csütörtök' },
+    { day: 5, label: 'Péntek' },
+    { day: 6, label: 'Szombat' },
+    { day: 0, label: 'Vasárnap' }
+];
+
+const SECTION_STYLE = { marginBottom: 20, borderBottom: '1px solid var(--border)', paddingBottom: 16 };
+const HEADING_STYLE = { margin: '0 0 8px 0', fontSize: 14, fontWeight: 600 };
+const ROW_STYLE = { display: 'flex', gap: 8, alignItems: 'center', marginBottom: 6 };
+
+function errorMessage(reason) {
+    if (typeof reason !== 'string') return 'Ismeretlen hiba történt.';
+    if (reason.includes('insufficient_permission')) return 'Nincs jogosultságod a munkanaptár szerkesztéséhez.';
+    if (reason.includes('invalid_calendar')) return 'A munkanaptár hibás. Ellenőrizd a mezőket.';
+    if (reason.includes('calendar_too_large')) return 'A munkanaptár túl nagy — csökkentsd a zárvatartások / extra munkanapok számát.';
+    if (reason.includes('schema_missing')) return 'A munkanaptár mező még nincs létrehozva (bootstrap_office_calendar_schema).';
+    if (reason.includes('office_not_found')) return 'A szerkesztőség nem található.';
+    if (reason.includes('Failed to fetch') || reason.includes('NetworkError')) {
+        return 'Hálózati hiba. Ellenőrizd a kapcsolatot, és próbáld újra.';
+    }
+    return reason;
+}
+
+/**
+ * Munkaszüneti-nap pillanatkép az aktuális és a következő évre. Ha az API
+ * egy évre nem elérhető, a korábbi pillanatkép marad (ugyanazon országnál).
+ *
+ * @returns {Promise<{ holidays: Object, missingYears: number[] }>}
+ */
+async function buildHolidaySnapshot(countryCode, previous) {
+    const holidays = {};
+    const missingYears = [];
+    if (!countryCode) return { holidays, missingYears };
+
+    const year = new Date().getFullYear();
+    for (const y of [year, year + 1]) {
+        const fetched = await fetchHolidays(y, countryCode);
+        if (fetched) {
+            holidays[y] = [...fetched].sort();
+            continue;
+        }
+        const cached = previous.countryCode === countryCode ? getCachedHolidays(previous, y) : null;
+        if (cached) holidays[y] = cached;
+        else missingYears.push(y);
+    }
+    return { holidays, missingYears };
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.office — a szerkesztőség rekord (`workingCalendar` mező)
+ * @param {boolean} props.isOrgAdmin — szerkesztheti-e a caller
+ */
+export default function EditorialOfficeCalendarTab({ office, isOrgAdmin }) {
+    const { updateOfficeCalendar, reloadMemberships } = useAuth();
+    const { showToast } = useToast();
+
+    const stored = useMemo(() => normalizeWorkingCalendar(office?.workingCalendar ?? null), [office?.workingCalendar]);
+    const [draft, setDraft] = useState(stored);
+    const [isSaving, setIsSaving] = useState(false);
+    const [saveError, setSaveError] = useState('');
+
+    // Realtime / másik tab mentése után a tárolt naptár az irányadó.
+    useEffect(() => {
+        setDraft(stored);
+    }, [stored]);
+
+    const errors = useMemo(() => validateWorkingCalendar(draft), [draft]);
+    const isDirty = JSON.stringify(draft) !== JSON.stringify(stored);
+    const readOnly = !isOrgAdmin || isSaving;
+
+    function setHours(day, hours) {
+        setDraft(prev => ({ ...prev, workingHours: { ...prev.workingHours, [day]: hours } }));
+    }
+
+    function setDateList(field, list) {
+        setDraft(prev => ({ ...prev, [field]: list }));
+    }
+
+    async function persist(calendar) {
+        setIsSaving(true);
+        setSaveError('');
+        try {
+            await updateOfficeCalendar(office.$id, calendar);
+            const ok = await reloadMemberships();
+            if (!ok) {
+                showToast('A munkanaptár elmentve, de a listád frissítése sikertelen. Frissítsd az oldalt.', 'warning');
+            }
+            return true;
+        } catch (err) {
+            setSaveError(errorMessage(err.message || err.code || ''));
+            return false;
+        } finally {
+            setIsSaving(false);
+        }
+    }
+
+    async function handleSave() {
+        if (errors.length > 0 || isSaving) return;
+        setIsSaving(true);
+        const { holidays, missingYears } = await buildHolidaySnapshot(draft.countryCode, stored);
+        const saved = await persist({ ...draft, holidays });
+        if (!saved) return;
+        if (missingYears.length > 0) {
+            showToast(`A munkaszüneti napok nem tölthetők le (${missingYears.join(', ')}) — a sürgősség-számítás később újrapróbálja.`, 'warning');
+        } else {
+            showToast('A munkanaptár elmentve.', 'success');
+        }
+    }
+
+    async function handleReset() {
+        if (isSaving) return;
+        if (await persist(null)) showToast('A munkanaptár visszaállt az alapértelmezettre.', 'success');
+    }
+
+    const holidayYears = Object.keys(stored.holidays).sort();
+
+    return (
+        <>
+            {saveError && (
+                <div className="login-error" style={{ marginBottom: 12 }}>{saveError}</div>
+            )}
+
+            {/* ═══ Munkaszüneti napok ═══ */}
+            <div style={SECTION_STYLE}>
+                <h3 style={HEADING_STYLE}>Munkaszüneti napok</h3>
+                <select
+                    className="form-select"
+                    value={draft.countryCode || ''}
+                    onChange={(e) => setDraft(prev => ({ ...prev, countryCode: e.target.value || null }))}
+                    disabled={readOnly}
+                    aria-label="Ország"
+                >
+                    {WORKING_CALENDAR_COUNTRIES.map(c => (
+                        <option key={c.code} value={c.code}>{c.label}</option>
+                    ))}
+                    <option value="">Nincs (csak egyedi zárvatartás)</option>
+                </select>
+                <div className="help-text" style={{ marginTop: 6 }}>
+                    {holidayYears.length > 0
+                        ? `Elmentett munkaszüneti napok: ${holidayYears.join(', ')} — ezekre az évekre a számítás offline is működik.`
+                        : 'Még nincs elmentett munkaszüneti nap — a sürgősség-számítás online tölti le.'}
+                </div>
+            </div>
+
+            {/* ═══ Munkaidő ═══ */}
+            <div style={SECTION_STYLE}>
+                <h3 style={HEADING_STYLE}>Munkaidő</h3>
+                {WEEKDAYS.map(({ day, label }) => {
+                    const hours = draft.workingHours[day];
+                    return (
+                        <div key={day} style={ROW_STYLE}>
+                            <label className="form-checkbox-label" style={{ width: 130 }}>
+                                <input
+                                    type="checkbox"
+                                    checked={!!hours}
+                                    onChange={(e) => setHours(day, e.target.checked ? { start: '09:00', end: '17:00' } : null)}
+                                    disabled={readOnly}
+                                />
+                                <span>{label}</span>
+                            </label>
+                            {hours ? (
+                                <>
+                                    <input
+                                        type="time"
+                                        value={hours.start}
+                                        onChange={(e) => setHours(day, { ...hours, start: e.target.value })}
+                                        disabled={readOnly}
+                                        aria-label={`${label} kezdete`}
+                                    />
+                                    <span>–</span>
+                                    <input
+                                        type="time"
+                                        value={hours.end}
+                                        onChange={(e) => setHours(day, { ...hours, end: e.target.value })}
+                                        disabled={readOnly}
+                                        aria-label={`${label} vége`}
+                                    />
+                                </>
+                            ) : (
+                                <span className="help-text">Nem munkanap</span>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            {/* ═══ Zárvatartás + extra munkanapok ═══ */}
+            <DateListSection
+                title="Zárvatartás"
+                hint="Pl. nyomdai leállás — ezeken a napokon nincs munkaidő."
+                entries={draft.closures}
+                onChange={(list) => setDateList('closures', list)}
+                readOnly={readOnly}
+            />
+            <DateListSection
+                title="Extra munkanapok"
+                hint="Pl. áthelyezett szombat — munkanap a hét napjától és a munkaszüneti naptól függetlenül."
+                entries={draft.extraWorkdays}
+                onChange={(list) => setDateList('extraWorkdays', list)}
+                readOnly={readOnly}
+            />
+
+            {errors.length > 0 && (
+                <ul className="form-error" style={{ margin: '0 0 12px 0', paddingLeft: 18 }}>
+                    {errors.map((msg) => <li key={msg}>{msg}</li>)}
+                </ul>
+            )}
+
+            {isOrgAdmin && (
+                <div className="modal-actions">
+                    <button
+                        type="button"
+                        className="btn-secondary"
+                        onClick={handleReset}
+                        disabled={isSaving || !office?.workingCalendar}
+                    >
+                        Alapértelmezett
+                    </button>
+                    <button
+                        type="button"
+                        className="btn-primary"
+                        onClick={handleSave}
+                        disabled={isSaving || errors.length > 0 || !isDirty}
+                    >
+                        {isSaving ? 'Mentés…' : 'Mentés'}
+                    </button>
+                </div>
+            )}
+        </>
+    );
+}
+
+/**
+ * Dátum + megnevezés lista (zárvatartás / extra munkanap), hozzáadó sorral.
+ */
+function DateListSection({ title, hint, entries, onChange, readOnly }) {
+    const [date, setDate] = useState('');
+    const [label, setLabel] = useState('');
+
+    const sorted = useMemo(() => [...entries].sort((a, b) => a.date.localeCompare(b.date)), [entries]);
+
+    function handleAdd() {
+        if (!date || entries.some(e => e.date === date)) return;
+        onChange([...entries, { date, label: label.trim() }]);
+        setDate('');
+        setLabel('');
+    }
+
+    return (
+        <div style={SECTION_STYLE}>
+            <h3 style={HEADING_STYLE}>{title}</h3>
+            <div className="help-text" style={{ marginBottom: 8 }}>{hint}</div>
+            {sorted.length === 0 && <div className="help-text">Nincs megadva.</div>}
+            {sorted.map((entry) => (
+                <div key={entry.date} style={ROW_STYLE}>
+                    <span style={{ fontVariantNumeric: 'tabular-nums', width: 100 }}>{entry.date}</span>
+                    <span style={{ flex: 1 }}>{entry.label}</span>
+                    {!readOnly && (
+                        <button
+                            type="button"
+                            className="btn-ghost-sm"
+                            onClick={() => onChange(entries.filter(e => e.date !== entry.date))}
+                            aria-label={`${entry.date} törlése`}
+                        >
+                            ✕
+                        </button>
+                    )}
+                </div>
+            ))}
+            {!readOnly && (
+                <div style={{ ...ROW_STYLE, marginTop: 8 }}>
+                    <input
+                        type="date"
+                        value={date}
+                        onChange={(e) => setDate(e.target.value)}
+                        aria-label={`${title} dátuma`}
+                    />
+                    <input
+                        type="text"
+                        value={label}
+                        onChange={(e) => setLabel(e.target.value)}
+                        placeholder="Megnevezés (opcionális)"
+                        maxLength={64}
+                        style={{ flex: 1 }}
+                    />
+                    <button
+                        type="button"
+                        className="btn-secondary-sm"
+                        onClick={handleAdd}
+                        disabled={!date || entries.some(e => e.date === date)}
+                    >
+                        Hozzáadás
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
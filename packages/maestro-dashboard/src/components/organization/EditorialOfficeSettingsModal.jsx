@@ -1,7 +1,7 @@
 /**
  * Maestro Dashboard — EditorialOfficeSettingsModal
  *
- * Szerkesztőség kezelő modal (Általános / Csoportok fülek). A BreadcrumbDropdown
+ * Szerkesztőség kezelő modal (Általános / Munkanaptár / Csoportok / … fülek). A BreadcrumbDropdown
  * szerkesztőség-dropdownjának „Beállítások" menüpontja nyitja meg. Aktív fül
  * localStorage-ben perzisztált.
  *
@@ -20,20 +20,29 @@ import { useOrgRole } from '../../hooks/useOrgRole.js';
 import Tabs from '../Tabs.jsx';
 import AnimatedAutoHeight from '../AnimatedAutoHeight.jsx';
 import EditorialOfficeGeneralTab from './EditorialOfficeGeneralTab.jsx';
+import EditorialOfficeCalendarTab from './EditorialOfficeCalendarTab.jsx';
 import EditorialOfficeGroupsTab from './EditorialOfficeGroupsTab.jsx';
 import PermissionSetsTab from './PermissionSetsTab.jsx';
 import WorkflowExtensionsTab from './WorkflowExtensionsTab.jsx';
+import EditorialOfficeWebhooksTab from './EditorialOfficeWebhooksTab.jsx';
+import EditorialOfficeApiKeysTab from './EditorialOfficeApiKeysTab.jsx';
 import { DATABASE_ID, COLLECTIONS } from '../../config.js';
 
 // ADR 0008 / A.4.3 — permission set CRUD tab.
 // ADR 0007 Phase 0 / B.5.1 — workflow extensions CRUD tab.
 const TAB_DEFS = [
     { id: 'general', label: 'Általános' },
+    { id: 'calendar', label: 'Munkanaptár' },
     { id: 'groups', label: 'Csoportok' },
     { id: 'permission-sets', label: 'Jogosultság-csoportok' },
-    { id: 'extensions', label: 'Bővítmények' }
+    { id: 'extensions', label: 'Bővítmények' },
+    { id: 'webhooks', label: 'Webhookok' },
+    { id: 'api-keys', label: 'API kulcsok' }
 ];
 
+/** Fülek, amelyek nem a modal közös adatain dolgoznak — a közös `loadError` ezeken nem jelenik meg. */
+const OWN_DATA_TABS = new Set(['general', 'calendar', 'webhooks', 'api-keys']);
+
 const ACTIVE_TAB_STORAGE_KEY = 'maestro.editorialOfficeSettingsActiveTab';
 
 function getStoredTab() {
@@ -298,7 +307,7 @@ export default function EditorialOfficeSettingsModal({ editorialOfficeId, initia
 
             <AnimatedAutoHeight>
                 <div className="publication-tab-content">
-                    {activeTab !== 'general' && loadError && (
+                    {!OWN_DATA_TABS.has(activeTab) && loadError && (
                         <div className="login-error" style={{ marginBottom: 12 }}>{loadError}</div>
                     )}
 
@@ -310,6 +319,13 @@ export default function EditorialOfficeSettingsModal({ editorialOfficeId, initia
                         />
                     )}
 
+                    {activeTab === 'calendar' && (
+                        <EditorialOfficeCalendarTab
+                            office={office}
+                            isOrgAdmin={isOrgAdmin}
+                        />
+                    )}
+
                     {activeTab === 'groups' && (
                         <EditorialOfficeGroupsTab
                             office={office}
@@ -346,6 +362,20 @@ export default function EditorialOfficeSettingsModal({ editorialOfficeId, initia
                             onReload={loadData}
                         />
                     )}
+
+                    {activeTab === 'webhooks' && (
+                        <EditorialOfficeWebhooksTab
+                            office={office}
+                            isOrgAdmin={isOrgAdmin}
+                        />
+                    )}
+
+                    {activeTab === 'api-keys' && (
+                        <EditorialOfficeApiKeysTab
+                            office={office}
+                            isOrgAdmin={isOrgAdmin}
+                        />
+                    )}
                 </div>
             </AnimatedAutoHeight>
         </div>
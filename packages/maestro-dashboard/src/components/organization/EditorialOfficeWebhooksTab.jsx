@@ -0,0 +1,460 @@
+/**
+ * Maestro Dashboard — EditorialOfficeSettings / WebhooksTab
+ *
+ * A szerkesztőség beállítás modal „Webhookok" füle. Kimenő feliratkozások
+ * külső rendszerek (pl. CMS) felé:
+ *   - Webhook lista (név, URL, eseményszűrő, engedélyezés) szerkesztéssel,
+ *     secret-rotálással és törléssel.
+ *   - Új webhook — a HMAC secretet a CF generálja, és csak létrehozáskor /
+ *     rotáláskor látható egyszer (a listában soha nem jön vissza).
+ *   - Kézbesítési napló (legutóbbi 50 kísérlet) — a kézbesítést és az
+ *     újrapróbálkozást az `office-webhooks` CF végzi.
+ *
+ * Az adatok az `invite-to-organization` CF `list_office_webhooks` action-jén
+ * keresztül jönnek (a collectionök kliens-ACL nélküliek). Szerkeszteni
+ * org owner/admin tud (a CF `office.settings.edit`-et ellenőriz).
+ */
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useAuth } from '../../contexts/AuthContext.jsx';
+import { useToast } from '../../contexts/ToastContext.jsx';
+import { useConfirm } from '../ConfirmDialog.jsx';
+import {
+    WEBHOOK_EVENTS,
+    WEBHOOK_EVENT_LABELS,
+    WEBHOOK_DELIVERY_STATUS,
+    WEBHOOK_NAME_MAX_LENGTH,
+    WEBHOOK_URL_MAX_LENGTH,
+    MAX_WEBHOOKS_PER_OFFICE,
+    validateWebhookSubscription
+} from '@shared/officeWebhooks.js';
+
+const SECTION_STYLE = { marginBottom: 20, borderBottom: '1px solid var(--border)', paddingBottom: 16 };
+const HEADING_STYLE = { margin: '0 0 8px 0', fontSize: 14, fontWeight: 600 };
+const ROW_STYLE = { display: 'flex', gap: 8, alignItems: 'center', marginBottom: 6 };
+const CELL_STYLE = { padding: '4px 8px', textAlign: 'left', verticalAlign: 'top' };
+
+const EMPTY_FORM = { name: '', url: '', events: [WEBHOOK_EVENTS.ARTICLE_STATE_TERMINAL] };
+
+const DELIVERY_STATUS_LABELS = {
+    [WEBHOOK_DELIVERY_STATUS.PENDING]: 'Újrapróbálkozik',
+    [WEBHOOK_DELIVERY_STATUS.SUCCEEDED]: 'Kézbesítve',
+    [WEBHOOK_DELIVERY_STATUS.FAILED]: 'Sikertelen'
+};
+
+const DATE_FORMAT = {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+};
+
+function errorMessage(reason) {
+    if (typeof reason !== 'string') return 'Ismeretlen hiba történt.';
+    if (reason.includes('insufficient_permission')) return 'Nincs jogosultságod a webhookok kezeléséhez.';
+    if (reason.includes('invalid_webhook')) return 'A webhook adatai hibásak. Ellenőrizd a mezőket.';
+    if (reason.includes('webhook_limit_reached')) return `Egy szerkesztőség legfeljebb ${MAX_WEBHOOKS_PER_OFFICE} webhookot tarthat fenn.`;
+    if (reason.includes('webhook_not_found')) return 'A webhook már nem létezik — frissítsd a listát.';
+    if (reason.includes('schema_missing')) return 'A webhook collectionök még nincsenek létrehozva (bootstrap_office_webhooks_schema).';
+    if (reason.includes('misconfigured')) return 'A webhookok szerveroldalon nincsenek beállítva.';
+    if (reason.includes('office_not_found')) return 'A szerkesztőség nem található.';
+    if (reason.includes('Failed to fetch') || reason.includes('NetworkError')) {
+        return 'Hálózati hiba. Ellenőrizd a kapcsolatot, és próbáld újra.';
+    }
+    return reason;
+}
+
+function formatDateTime(iso) {
+    if (!iso) return '';
+    const date = new Date(iso);
+    if (isNaN(date.getTime())) return '';
+    return date.toLocaleString('hu-HU', DATE_FORMAT);
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.office — a szerkesztőség rekord
+ * @param {boolean} props.isOrgAdmin — szerkesztheti-e a caller
+ */
+export default function EditorialOfficeWebhooksTab({ office, isOrgAdmin }) {
+    const {
+        listOfficeWebhooks,
+        createOfficeWebhook,
+        updateOfficeWebhook,
+        rotateOfficeWebhookSecret,
+        deleteOfficeWebhook
+    } = useAuth();
+    const { showToast } = useToast();
+    const confirm = useConfirm();
+
+    const [webhooks, setWebhooks] = useState([]);
+    const [deliveries, setDeliveries] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [loadError, setLoadError] = useState('');
+    const [actionPending, setActionPending] = useState(null);
+    const [actionError, setActionError] = useState('');
+    const [editingId, setEditingId] = useState(null);
+    // Az egyszer megjelenő secret: { webhookName, secret }.
+    const [revealedSecret, setRevealedSecret] = useState(null);
+
+    const officeId = office?.$id;
+
+    const loadData = useCallback(async () => {
+        if (!officeId) return;
+        setLoadError('');
+        try {
+            const result = await listOfficeWebhooks(officeId);
+            setWebhooks(result.webhooks || []);
+            setDeliveries(result.deliveries || []);
+        } catch (err) {
+            setLoadError(errorMessage(err.message || err.code || ''));
+        } finally {
+            setIsLoading(false);
+        }
+    }, [officeId, listOfficeWebhooks]);
+
+    useEffect(() => {
+        setIsLoading(true);
+        setRevealedSecret(null);
+        setEditingId(null);
+        loadData();
+    }, [loadData]);
+
+    const webhookNames = useMemo(
+        () => Object.fromEntries(webhooks.map(w => [w.$id, w.name])),
+        [webhooks]
+    );
+
+    /** Közös action-keret: pending jelzés, hibakezelés, lista-újratöltés. */
+    async function runAction(key, fn) {
+        setActionPending(key);
+        setActionError('');
+        try {
+            const result = await fn();
+            await loadData();
+            return result;
+        } catch (err) {
+            setActionError(errorMessage(err.message || err.code || ''));
+            return null;
+        } finally {
+            setActionPending(null);
+        }
+    }
+
+    async function handleCreate(form) {
+        const result = await runAction('create', () => createOfficeWebhook(officeId, form));
+        if (!result) return false;
+        setRevealedSecret({ webhookName: result.webhook?.name || form.name, secret: result.secret });
+        showToast('A webhook létrejött.', 'success');
+        return true;
+    }
+
+    async function handleUpdate(webhook, form) {
+        const result = await runAction(`update:${webhook.$id}`, () => updateOfficeWebhook(webhook.$id, form));
+        if (!result) return;
+        setEditingId(null);
+        showToast('A webhook elmentve.', 'success');
+    }
+
+    async function handleToggle(webhook) {
+        await runAction(`update:${webhook.$id}`, () => updateOfficeWebhook(webhook.$id, { enabled: !webhook.enabled }));
+    }
+
+    async function handleRotate(webhook) {
+        const ok = await confirm({
+            title: 'Secret rotálása',
+            message: (
+                <p>
+                    A(z) <strong>„{webhook.name}"</strong> webhook új secretet kap, a régi
+                    azonnal érvényét veszti. A fogadó oldalon is cserélni kell, különben
+                    az aláírás-ellenőrzés elutasítja a kéréseket.
+                </p>
+            ),
+            confirmLabel: 'Rotálás',
+            cancelLabel: 'Mégse',
+            variant: 'danger'
+        });
+        if (!ok) return;
+
+        const result = await runAction(`rotate:${webhook.$id}`, () => rotateOfficeWebhookSecret(webhook.$id));
+        if (result) setRevealedSecret({ webhookName: webhook.name, secret: result.secret });
+    }
+
+    async function handleDelete(webhook) {
+        const ok = await confirm({
+            title: 'Webhook törlése',
+            message: (
+                <p>
+                    A(z) <strong>„{webhook.name}"</strong> webhook törlődik. A még függő
+                    újrapróbálkozások nem mennek ki; a kézbesítési napló 30 napig megmarad.
+                </p>
+            ),
+            confirmLabel: 'Törlés',
+            cancelLabel: 'Mégse',
+            variant: 'danger'
+        });
+        if (!ok) return;
+
+        const result = await runAction(`delete:${webhook.$id}`, () => deleteOfficeWebhook(webhook.$id));
+        if (result) showToast('A webhook törölve.', 'success');
+    }
+
+    async function handleCopySecret() {
+        try {
+            await navigator.clipboard.writeText(revealedSecret.secret);
+            showToast('A secret a vágólapra másolva.', 'success');
+        } catch {
+            showToast('A másolás nem sikerült — jelöld ki és másold kézzel.', 'warning');
+        }
+    }
+
+    if (isLoading) {
+        return <div className="help-text">Betöltés…</div>;
+    }
+
+    if (loadError) {
+        return <div className="login-error" style={{ marginBottom: 12 }}>{loadError}</div>;
+    }
+
+    const readOnly = !isOrgAdmin || actionPending !== null;
+
+    return (
+        <>
+            {actionError && (
+                <div className="login-error" style={{ marginBottom: 12 }}>{actionError}</div>
+            )}
+
+            {!isOrgAdmin && (
+                <div className="help-text" style={{ marginBottom: 12 }}>
+                    A webhookokat a szervezet tulajdonosa vagy adminja kezelheti.
+                </div>
+            )}
+
+            {revealedSecret && (
+                <div style={SECTION_STYLE}>
+                    <h3 style={HEADING_STYLE}>Secret — „{revealedSecret.webhookName}"</h3>
+                    <div className="help-text" style={{ marginBottom: 8 }}>
+                        Ezt az értéket csak most látod. A fogadó oldal ezzel ellenőrzi a
+                        <code> webhook-signature</code> headert (Standard Webhooks / Svix séma).
+                    </div>
+                    <div style={ROW_STYLE}>
+                        <code style={{ flex: 1, wordBreak: 'break-all' }}>{revealedSecret.secret}</code>
+                        <button type="button" className="btn-secondary-sm" onClick={handleCopySecret}>
+                            Másolás
+                        </button>
+                        <button type="button" className="btn-ghost-sm" onClick={() => setRevealedSecret(null)}>
+                            Elrejtés
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {/* ═══ Webhookok ═══ */}
+            <div style={SECTION_STYLE}>
+                <h3 style={HEADING_STYLE}>Webhookok</h3>
+                {webhooks.length === 0 && <div className="help-text">Még nincs webhook.</div>}
+                {webhooks.map((webhook) => (
+                    editingId === webhook.$id ? (
+                        <WebhookForm
+                            key={webhook.$id}
+                            initial={{ name: webhook.name, url: webhook.url, events: webhook.events }}
+                            submitLabel="Mentés"
+                            isPending={actionPending === `update:${webhook.$id}`}
+                            onSubmit={(form) => handleUpdate(webhook, form)}
+                            onCancel={() => setEditingId(null)}
+                        />
+                    ) : (
+                        <div key={webhook.$id} style={{ ...ROW_STYLE, alignItems: 'flex-start' }}>
+                            <label className="form-checkbox-label" title="Engedélyezve">
+                                <input
+                                    type="checkbox"
+                                    checked={webhook.enabled}
+                                    onChange={() => handleToggle(webhook)}
+                                    disabled={readOnly}
+                                    aria-label={`${webhook.name} engedélyezése`}
+                                />
+                            </label>
+                            <div style={{ flex: 1, minWidth: 0 }}>
+                                <div style={{ fontWeight: 600 }}>{webhook.name}</div>
+                                <div className="help-text" style={{ wordBreak: 'break-all' }}>{webhook.url}</div>
+                                <div className="help-text">
+                                    {webhook.events.map(e => WEBHOOK_EVENT_LABELS[e] || e).join(', ')}
+                                </div>
+                            </div>
+                            {isOrgAdmin && (
+                                <>
+                                    <button
+                                        type="button"
+                                        className="btn-secondary-sm"
+                                        onClick={() => setEditingId(webhook.$id)}
+                                        disabled={readOnly}
+                                    >
+                                        Szerkesztés
+                                    </button>
+                                    <button
+                                        type="button"
+                                        className="btn-secondary-sm"
+                                        onClick={() => handleRotate(webhook)}
+                                        disabled={readOnly}
+                                    >
+                                        Secret rotálása
+                                    </button>
+                                    <button
+                                        type="button"
+                                        className="btn-ghost-sm"
+                                        onClick={() => handleDelete(webhook)}
+                                        disabled={readOnly}
+                                        aria-label={`${webhook.name} törlése`}
+                                    >
+                                        ✕
+                                    </button>
+                                </>
+                            )}
+                        </div>
+                    )
+                ))}
+            </div>
+
+            {/* ═══ Új webhook ═══ */}
+            {isOrgAdmin && webhooks.length < MAX_WEBHOOKS_PER_OFFICE && (
+                <div style={SECTION_STYLE}>
+                    <h3 style={HEADING_STYLE}>Új webhook</h3>
+                    <WebhookForm
+                        initial={EMPTY_FORM}
+                        submitLabel="Létrehozás"
+                        isPending={actionPending === 'create'}
+                        resetOnSuccess
+                        onSubmit={handleCreate}
+                    />
+                </div>
+            )}
+
+            {/* ═══ Kézbesítési napló ═══ */}
+            <div>
+                <h3 style={HEADING_STYLE}>Kézbesítési napló</h3>
+                {deliveries.length === 0 ? (
+                    <div className="help-text">Még nem volt kézbesítés.</div>
+                ) : (
+                    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 12 }}>
+                        <thead>
+                            <tr>
+                                <th style={CELL_STYLE}>Időpont</th>
+                                <th style={CELL_STYLE}>Webhook</th>
+                                <th style={CELL_STYLE}>Esemény</th>
+                                <th style={CELL_STYLE}>Állapot</th>
+                                <th style={CELL_STYLE}>Kísérlet</th>
+                                <th style={CELL_STYLE}>Utolsó válasz</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {deliveries.map((delivery) => (
+                                <tr key={delivery.$id}>
+                                    <td style={{ ...CELL_STYLE, whiteSpace: 'nowrap' }}>{formatDateTime(delivery.$createdAt)}</td>
+                                    <td style={CELL_STYLE}>{webhookNames[delivery.webhookId] || <em>törölve</em>}</td>
+                                    <td style={CELL_STYLE}>{WEBHOOK_EVENT_LABELS[delivery.eventType] || delivery.eventType}</td>
+                                    <td style={CELL_STYLE}>
+                                        {DELIVERY_STATUS_LABELS[delivery.status] || delivery.status}
+                                        {delivery.status === WEBHOOK_DELIVERY_STATUS.PENDING && delivery.nextAttemptAt && (
+                                            <div className="help-text">következő: {formatDateTime(delivery.nextAttemptAt)}</div>
+                                        )}
+                                    </td>
+                                    <td style={CELL_STYLE}>{delivery.attempts}</td>
+                                    <td style={{ ...CELL_STYLE, wordBreak: 'break-word' }}>
+                                        {delivery.lastStatusCode ? `HTTP ${delivery.lastStatusCode}` : ''}
+                                        {delivery.lastError && <div className="help-text">{delivery.lastError}</div>}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </>
+    );
+}
+
+/**
+ * Webhook űrlap (létrehozás és szerkesztés). A validáció a shared
+ * `validateWebhookSubscription` — ugyanaz, amit a CF is futtat.
+ */
+function WebhookForm({ initial, submitLabel, isPending, resetOnSuccess = false, onSubmit, onCancel }) {
+    const [form, setForm] = useState(initial);
+
+    const errors = useMemo(() => validateWebhookSubscription(form), [form]);
+    const isDirty = JSON.stringify(form) !== JSON.stringify(initial);
+
+    function toggleEvent(eventType, checked) {
+        setForm(prev => ({
+            ...prev,
+            events: checked
+                ? [...prev.events, eventType]
+                : prev.events.filter(e => e !== eventType)
+        }));
+    }
+
+    async function handleSubmit() {
+        if (errors.length > 0 || isPending) return;
+        const ok = await onSubmit({ ...form, name: form.name.trim(), url: form.url.trim() });
+        if (ok && resetOnSuccess) setForm(initial);
+    }
+
+    return (
+        <div style={{ marginBottom: 12 }}>
+            <div style={ROW_STYLE}>
+                <input
+                    type="text"
+                    value={form.name}
+                    onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                    placeholder="Név (pl. CMS szinkron)"
+                    maxLength={WEBHOOK_NAME_MAX_LENGTH}
+                    disabled={isPending}
+                    style={{ flex: 1 }}
+                />
+            </div>
+            <div style={ROW_STYLE}>
+                <input
+                    type="url"
+                    value={form.url}
+                    onChange={(e) => setForm(prev => ({ ...prev, url: e.target.value }))}
+                    placeholder="https://…"
+                    maxLength={WEBHOOK_URL_MAX_LENGTH}
+                    disabled={isPending}
+                    style={{ flex: 1 }}
+                />
+            </div>
+            {Object.values(WEBHOOK_EVENTS).map((eventType) => (
+                <label key={eventType} className="form-checkbox-label" style={{ marginRight: 12 }}>
+                    <input
+                        type="checkbox"
+                        checked={form.events.includes(eventType)}
+                        onChange={(e) => toggleEvent(eventType, e.target.checked)}
+                        disabled={isPending}
+                    />
+                    <span>{WEBHOOK_EVENT_LABELS[eventType]}</span>
+                </label>
+            ))}
+
+            {isDirty && errors.length > 0 && (
+                <ul className="form-error" style={{ margin: '8px 0 0 0', paddingLeft: 18 }}>
+                    {errors.map((msg) => <li key={msg}>{msg}</li>)}
+                </ul>
+            )}
+
+            <div className="modal-actions">
+                {onCancel && (
+                    <button type="button" className="btn-secondary" onClick={onCancel} disabled={isPending}>
+                        Mégse
+                    </button>
+                )}
+                <button
+                    type="button"
+                    className="btn-primary"
+                    onClick={handleSubmit}
+                    disabled={isPending || errors.length > 0 || !isDirty}
+                >
+                    {isPending ? 'Mentés…' : submitLabel}
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,329 @@
+/**
+ * Maestro Dashboard — ExtensionRevisionsPanel
+ *
+ * A `WorkflowExtensionEditor` „Revíziók” panelje. A revíziókat a
+ * `workflowExtensionRevisions` collection adja (az `invite-to-organization`
+ * CF írja minden tartalmi mentéskor — kód, paraméter-séma, típus, hatókör).
+ * A kiválasztott revízió és a szerkesztő jelenlegi (akár nem mentett) kódja
+ * soronként, egymás mellett jelenik meg (`utils/lineDiff.js`).
+ *
+ * **Visszaállítás**: a revízió kódja és paraméter-sémája a szerkesztőbe
+ * töltődik (`onRestore`), a mentés pedig új revíziót ad — a history nem
+ * íródik át, a régi revíziók megmaradnak.
+ *
+ * **Használat**: az office aktivált kiadványainak `compiledExtensionSnapshot`-
+ * jából derül ki, melyik kiadvány melyik revíziót futtatja
+ * (`utils/extensionRevisions.js` `buildRevisionUsage`) — a snapshot az
+ * aktiváláskori kódot rögzíti, a későbbi mentés nem érinti.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { Query } from 'appwrite';
+import { useData } from '../../contexts/DataContext.jsx';
+import { DATABASE_ID, COLLECTIONS, PAGE_SIZE } from '../../config.js';
+import { diffLines, collapseUnchanged } from '../../utils/lineDiff.js';
+import { buildRevisionUsage } from '../../utils/extensionRevisions.js';
+
+/** A listázott revíziók maximális száma (legfrissebb elöl). */
+const REVISION_LIST_LIMIT = 100;
+
+const DATE_FORMAT = {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+};
+
+const USAGE_SOURCE_LABELS = {
+    snapshot: 'aktiváláskor rögzítve',
+    hash: 'kód-egyezés alapján'
+};
+
+function formatDateTime(iso) {
+    const date = new Date(iso);
+    if (isNaN(date.getTime())) return '';
+    return date.toLocaleString('hu-HU', DATE_FORMAT);
+}
+
+/** A tárolt (tömör) séma olvasható alakja — a szerkesztő textarea-jával összevethető. */
+function formatParamSchema(stored) {
+    if (!stored) return '';
+    try {
+        return JSON.stringify(JSON.parse(stored), null, 2);
+    } catch {
+        return stored;
+    }
+}
+
+/**
+ * Soronkénti side-by-side diff. A változatlan szakaszok összecsukva.
+ */
+function SideBySideDiff({ before, after, beforeLabel, afterLabel }) {
+    const diff = useMemo(() => diffLines(before, after), [before, after]);
+    const rows = useMemo(() => collapseUnchanged(diff.rows), [diff]);
+
+    if (diff.added === 0 && diff.removed === 0) {
+        return <p className="extension-revisions-panel__hint">Nincs eltérés.</p>;
+    }
+
+    return (
+        <>
+            <p className="extension-revisions-panel__hint">
+                <span className="extension-revisions-panel__stat--added">+{diff.added}</span>{' '}
+                <span className="extension-revisions-panel__stat--removed">−{diff.removed}</span> sor
+                {diff.approximate && ' — a változott blokk túl nagy a soronkénti illesztéshez, egyben látszik'}
+            </p>
+            <div className="extension-revisions-panel__diff-scroll">
+                <table className="extension-revisions-panel__diff">
+                    <thead>
+                        <tr>
+                            <th colSpan={2}>{beforeLabel}</th>
+                            <th colSpan={2}>{afterLabel}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map((row, index) => (row.type === 'skip' ? (
+                            <tr key={index} className="extension-revisions-panel__line--skip">
+                                <td colSpan={4}>… {row.count} változatlan sor …</td>
+                            </tr>
+                        ) : (
+                            <tr key={index} className={`extension-revisions-panel__line--${row.type}`}>
+                                <td className="extension-revisions-panel__no">{row.left?.no ?? ''}</td>
+                                <td className={`extension-revisions-panel__code${row.left && row.type !== 'same' ? ' is-removed' : ''}`}>
+                                    {row.left?.text ?? ''}
+                                </td>
+                                <td className="extension-revisions-panel__no">{row.right?.no ?? ''}</td>
+                                <td className={`extension-revisions-panel__code${row.right && row.type !== 'same' ? ' is-added' : ''}`}>
+                                    {row.right?.text ?? ''}
+                                </td>
+                            </tr>
+                        )))}
+                    </tbody>
+                </table>
+            </div>
+        </>
+    );
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.extension - a szerkesztett extension doc (`$id`, `slug`, `revision`, `editorialOfficeId`)
+ * @param {string} props.code - a szerkesztő jelenlegi kódja
+ * @param {string} props.paramSchema - a szerkesztő jelenlegi paraméter-sémája (textarea-tartalom)
+ * @param {boolean} props.isDirty - van-e nem mentett változás
+ * @param {(revision: Object) => void} props.onRestore - a revízió betöltése a szerkesztőbe
+ * @param {boolean} [props.disabled]
+ */
+export default function ExtensionRevisionsPanel({ extension, code, paramSchema, isDirty, onRestore, disabled = false }) {
+    const { databases, getMemberName } = useData();
+    const [revisions, setRevisions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [loadError, setLoadError] = useState('');
+    const [selectedId, setSelectedId] = useState(null);
+    const [usage, setUsage] = useState(null);
+    const [usageError, setUsageError] = useState('');
+
+    const currentRevision = Number.isInteger(extension.revision) ? extension.revision : null;
+
+    useEffect(() => {
+        let cancelled = false;
+        (async () => {
+            let documents;
+            try {
+                const result = await databases.listDocuments({
+                    databaseId: DATABASE_ID,
+                    collectionId: COLLECTIONS.WORKFLOW_EXTENSION_REVISIONS,
+                    queries: [
+                        Query.equal('extensionId', extension.$id),
+                        Query.orderDesc('revision'),
+                        Query.limit(REVISION_LIST_LIMIT)
+                    ]
+                });
+                if (cancelled) return;
+                documents = result.documents;
+                setRevisions(documents);
+                // Alapértelmezett kiválasztás: az aktuális előtti revízió (tiszta
+                // szerkesztőnél ez mutatja a legutóbbi mentés változásait).
+                const previous = documents.find(r => currentRevision !== null && r.revision < currentRevision)
+                    || documents[0];
+                setSelectedId(previous?.$id || null);
+            } catch (err) {
+                if (cancelled) return;
+                console.error('[ExtensionRevisionsPanel] Revízió-lista lekérés sikertelen:', err);
+                setLoadError('A revíziók nem tölthetők be.');
+                return;
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+
+            try {
+                const result = await databases.listDocuments({
+                    databaseId: DATABASE_ID,
+                    collectionId: COLLECTIONS.PUBLICATIONS,
+                    queries: [
+                        Query.equal('editorialOfficeId', extension.editorialOfficeId),
+                        Query.equal('isActivated', true),
+                        Query.select(['$id', 'name', 'compiledExtensionSnapshot']),
+                        Query.orderAsc('name'),
+                        Query.limit(PAGE_SIZE)
+                    ]
+                });
+                const computed = await buildRevisionUsage({
+                    slug: extension.slug,
+                    publications: result.documents,
+                    revisions: documents
+                });
+                if (!cancelled) setUsage(computed);
+            } catch (err) {
+                if (cancelled) return;
+                console.error('[ExtensionRevisionsPanel] Kiadvány-használat lekérés sikertelen:', err);
+                setUsageError('Az aktivált kiadványok nem tölthetők be.');
+            }
+        })();
+        return () => { cancelled = true; };
+    }, [databases, extension.$id, extension.slug, extension.editorialOfficeId, currentRevision]);
+
+    const usageByRevision = useMemo(() => {
+        const map = new Map();
+        for (const item of usage || []) {
+            if (item.revision === null) continue;
+            map.set(item.revision, (map.get(item.revision) || 0) + 1);
+        }
+        return map;
+    }, [usage]);
+
+    const selected = revisions.find(r => r.$id === selectedId) || null;
+    const selectedParamSchema = formatParamSchema(selected?.paramSchema);
+    const editorLabel = isDirty ? 'Szerkesztő (nem mentett)' : `r${currentRevision ?? '?'} (aktuális)`;
+    const restoreDisabled = disabled || !selected
+        || (selected.code === code && selectedParamSchema === paramSchema);
+
+    return (
+        <div className="extension-revisions-panel">
+            {loading && <p className="extension-revisions-panel__hint">Betöltés…</p>}
+            {loadError && <p className="import-dialog__error">{loadError}</p>}
+            {!loading && !loadError && revisions.length === 0 && (
+                <p className="extension-revisions-panel__hint">
+                    Még nincs rögzített revízió — a következő tartalmi mentéstől kezdve minden revízió megőrződik.
+                </p>
+            )}
+
+            {revisions.length > 0 && (
+                <div className="extension-revisions-panel__layout">
+                    <ul className="extension-revisions-panel__list" aria-label="Revíziók">
+                        {revisions.map(r => (
+                            <li key={r.$id}>
+                                <button
+                                    type="button"
+                                    className={`extension-revisions-panel__item${r.$id === selectedId ? ' is-selected' : ''}`}
+                                    onClick={() => setSelectedId(r.$id)}
+                                >
+                                    <span className="extension-revisions-panel__revision">
+                                        r{r.revision}
+                                        {r.revision === currentRevision && ' (aktuális)'}
+                                        {usageByRevision.has(r.revision) && (
+                                            <span
+                                                className="extension-revisions-panel__badge"
+                                                title="Ennyi aktivált kiadvány futtatja ezt a revíziót"
+                                            >
+                                                {usageByRevision.get(r.revision)} kiadvány
+                                            </span>
+                                        )}
+                                    </span>
+                                    <span className="extension-revisions-panel__meta">
+                                        {formatDateTime(r.createdAt)}
+                                        {' · '}
+                                        {r.createdByUserId ? (getMemberName(r.createdByUserId) || 'Ismeretlen felhasználó') : 'Ismeretlen szerző'}
+                                        {' · '}
+                                        <code title={r.codeHash}>{r.codeHash?.slice(0, 8)}</code>
+                                    </span>
+                                    {r.note && <span className="extension-revisions-panel__note">{r.note}</span>}
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+
+                    <div className="extension-revisions-panel__detail">
+                        {selected ? (
+                            <>
+                                <div className="extension-revisions-panel__detail-header">
+                                    <p className="extension-revisions-panel__hint">
+                                        Eltérés: <strong>r{selected.revision}</strong> → <strong>{editorLabel}</strong>
+                                    </p>
+                                    <button
+                                        type="button"
+                                        className="btn-secondary"
+                                        onClick={() => onRestore(selected)}
+                                        disabled={restoreDisabled}
+                                        title="A revízió kódja és paraméter-sémája a szerkesztőbe töltődik — a mentés új revíziót ad."
+                                    >
+                                        Visszaállítás erre a revízióra
+                                    </button>
+                                </div>
+                                <SideBySideDiff
+                                    before={selected.code}
+                                    after={code}
+                                    beforeLabel={`r${selected.revision}`}
+                                    afterLabel={editorLabel}
+                                />
+                                {selectedParamSchema !== paramSchema && (
+                                    <>
+                                        <p className="extension-revisions-panel__subtitle">Paraméter-séma</p>
+                                        <SideBySideDiff
+                                            before={selectedParamSchema}
+                                            after={paramSchema}
+                                            beforeLabel={`r${selected.revision}`}
+                                            afterLabel={editorLabel}
+                                        />
+                                    </>
+                                )}
+                            </>
+                        ) : (
+                            <p className="extension-revisions-panel__hint">Válassz egy revíziót az összehasonlításhoz.</p>
+                        )}
+                    </div>
+                </div>
+            )}
+
+            {!loading && !loadError && (
+                <div className="extension-revisions-panel__usage">
+                    <p className="extension-revisions-panel__subtitle">Aktivált kiadványok</p>
+                    {usageError && <p className="import-dialog__error">{usageError}</p>}
+                    {!usageError && usage === null && <p className="extension-revisions-panel__hint">Betöltés…</p>}
+                    {usage !== null && usage.length === 0 && (
+                        <p className="extension-revisions-panel__hint">Egyik aktivált kiadvány sem futtatja ezt a bővítményt.</p>
+                    )}
+                    {usage !== null && usage.length > 0 && (
+                        <table className="extension-revisions-panel__usage-table">
+                            <thead>
+                                <tr>
+                                    <th>Kiadvány</th>
+                                    <th>Revízió</th>
+                                    <th>Forrás</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {usage.map(item => (
+                                    <tr key={item.publicationId}>
+                                        <td>{item.publicationName}</td>
+                                        <td>
+                                            {item.revision !== null ? `r${item.revision}` : 'ismeretlen'}
+                                            {item.revision !== null && item.revision === currentRevision && ' (aktuális)'}
+                                        </td>
+                                        <td>
+                                            {item.source
+                                                ? USAGE_SOURCE_LABELS[item.source]
+                                                : <>egyik revízió kódjával sem egyezik (<code title={item.codeHash}>{item.codeHash.slice(0, 8)}</code>)</>}
+                                            {item.codeMismatch && ' — a futó kód eltér a rögzített revízióétól'}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
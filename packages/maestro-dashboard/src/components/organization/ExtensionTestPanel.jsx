@@ -0,0 +1,353 @@
+/**
+ * Maestro Dashboard — ExtensionTestPanel
+ *
+ * A `WorkflowExtensionEditor` „Teszt-futtatás” panelje. A szerző a
+ * szerkesztőség egy kiadványát (cikk-szintű extension-nél annak egy cikkét)
+ * választja ki mintaként — a panel ebből ugyanazt a `maestroExtension(input)`
+ * bemenetet állítja össze, amit a Plugin küldene (`buildExtensionInput`,
+ * `options` a `paramSchema` szerint normalizálva), majd a szerkesztett kódot
+ * böngészőben futtatja (`utils/extensionTestRunner.js`).
+ *
+ * Az eredmény a Plugin által látott normalizált alak (`{ isValid, errors,
+ * warnings }` / `{ success, error?, message? }`); a kontraktus-sértés
+ * (`invalid_output_shape: ...`) kiemelve, a nyers visszatérési érték és a
+ * `maestro.log` sorai mellette.
+ *
+ * **Fixture-ök**: a bemenet névvel elmenthető (`@shared/extensionFixtures.js`).
+ * A lista a szerkesztő állapotában él, és az extension-nel együtt mentődik
+ * (`testFixtures`) — a fixture a mentéskori adatot rögzíti, a cikk későbbi
+ * változása nem érinti.
+ *
+ * Az InDesign-függő hívások (`maestro.doc.*`, `app`, `File`) itt nem
+ * futnak — a panel a kimenet szerkezetét ellenőrzi, nem a dokumentum-műveletet.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { Query } from 'appwrite';
+import { useData } from '../../contexts/DataContext.jsx';
+import { DATABASE_ID, COLLECTIONS, PAGE_SIZE } from '../../config.js';
+import { buildExtensionInput } from '@shared/extensionContract.js';
+import { parseParamSchema, normalizeExtensionOptions } from '@shared/extensionParams.js';
+import { parseTestFixtures, TEST_FIXTURE_NAME_MAX_LENGTH } from '@shared/extensionFixtures.js';
+import { runExtensionTest } from '../../utils/extensionTestRunner.js';
+import ExtensionOptionsForm from '../../features/workflowDesigner/fields/ExtensionOptionsForm.jsx';
+
+/** A választható minta-cikkek felső száma (a DataContext kiadvány-betöltésével egyezik). */
+const ARTICLE_LIST_LIMIT = 1000;
+
+/** A fixture bemenetének hatóköre — a kiadvány-szintű bemenetnek nincs `article` kulcsa. */
+function fixtureScope(fixture) {
+    return fixture?.input && 'article' in fixture.input ? 'article' : 'publication';
+}
+
+function formatJson(value) {
+    return JSON.stringify(value, null, 2) ?? 'undefined';
+}
+
+/**
+ * @param {Object} props
+ * @param {string} props.editorialOfficeId - a minta-kiadványok szerkesztősége
+ * @param {string} props.kind - 'validator' | 'command'
+ * @param {string} props.scope - 'article' | 'publication'
+ * @param {string} props.slug - az üzenetek `[ext.<slug>]` prefixéhez
+ * @param {string} props.code - a szerkesztett (akár nem mentett) kód
+ * @param {string} props.paramSchema - a szerkesztett paraméter-séma (JSON string)
+ * @param {Object[]} props.fixtures - a mentett fixture-ök (`{ name, input }`)
+ * @param {(fixtures: Object[]) => void} props.onFixturesChange
+ * @param {boolean} [props.disabled]
+ */
+export default function ExtensionTestPanel({
+    editorialOfficeId, kind, scope, slug, code, paramSchema, fixtures, onFixturesChange, disabled = false
+}) {
+    const { databases } = useData();
+
+    const [publications, setPublications] = useState([]);
+    const [publicationId, setPublicationId] = useState('');
+    const [sample, setSample] = useState({ articles: [], layouts: [], deadlines: [] });
+    const [articleId, setArticleId] = useState('');
+    const [loadingSample, setLoadingSample] = useState(false);
+    const [loadError, setLoadError] = useState('');
+
+    const [fixtureName, setFixtureName] = useState('');
+    const [activeFixture, setActiveFixture] = useState('');
+    const [fixtureError, setFixtureError] = useState('');
+
+    const [options, setOptions] = useState({});
+    const [running, setRunning] = useState(false);
+    const [result, setResult] = useState(null);
+
+    // A még nem mentett sémával is tesztelhető; érvénytelen sémánál nincs űrlap
+    // (a mentés úgyis elutasítja).
+    const params = useMemo(() => parseParamSchema(paramSchema).params, [paramSchema]);
+
+    // ── Minta-kiadványok ────────────────────────────────────────────────────
+    useEffect(() => {
+        let cancelled = false;
+        (async () => {
+            try {
+                const page = await databases.listDocuments({
+                    databaseId: DATABASE_ID,
+                    collectionId: COLLECTIONS.PUBLICATIONS,
+                    queries: [
+                        Query.equal('editorialOfficeId', editorialOfficeId),
+                        Query.limit(PAGE_SIZE),
+                        Query.orderAsc('name')
+                    ]
+                });
+                if (!cancelled) setPublications(page.documents);
+            } catch (err) {
+                if (cancelled) return;
+                console.error('[ExtensionTestPanel] Kiadvány-lista lekérés sikertelen:', err);
+                setLoadError('A kiadványok nem tölthetők be.');
+            }
+        })();
+        return () => { cancelled = true; };
+    }, [databases, editorialOfficeId]);
+
+    // ── A kiválasztott kiadvány cikkei / layoutjai / határidői ─────────────
+    useEffect(() => {
+        setSample({ articles: [], layouts: [], deadlines: [] });
+        setArticleId('');
+        if (!publicationId) return undefined;
+
+        let cancelled = false;
+        setLoadingSample(true);
+        setLoadError('');
+        const byPublication = (collectionId, limit, ...extra) => databases.listDocuments({
+            databaseId: DATABASE_ID,
+            collectionId,
+            queries: [Query.equal('publicationId', publicationId), Query.limit(limit), ...extra]
+        });
+        (async () => {
+            try {
+                const [articlesResult, layoutsResult, deadlinesResult] = await Promise.all([
+                    byPublication(COLLECTIONS.ARTICLES, ARTICLE_LIST_LIMIT, Query.orderAsc('startPage')),
+                    byPublication(COLLECTIONS.LAYOUTS, 100, Query.orderAsc('order')),
+                    byPublication(COLLECTIONS.DEADLINES, 100)
+                ]);
+                if (cancelled) return;
+                setSample({
+                    articles: articlesResult.documents,
+                    layouts: layoutsResult.documents,
+                    deadlines: deadlinesResult.documents
+                });
+            } catch (err) {
+                if (cancelled) return;
+                console.error('[ExtensionTestPanel] Minta-adat lekérés sikertelen:', err);
+                setLoadError('A kiadvány adatai nem tölthetők be.');
+            } finally {
+                if (!cancelled) setLoadingSample(false);
+            }
+        })();
+        return () => { cancelled = true; };
+    }, [databases, publicationId]);
+
+    // ── Bemenet: mentett fixture vagy a kiválasztott minta ─────────────────
+    const fixture = fixtures.find(f => f.name === activeFixture) || null;
+    const publication = publications.find(p => p.$id === publicationId) || null;
+    const article = sample.articles.find(a => a.$id === articleId) || null;
+
+    const officeInput = useMemo(() => {
+        if (!publication || loadingSample) return null;
+        if (scope === 'article') {
+            if (!article) return null;
+            return buildExtensionInput({ kind, scope, article, publication, options });
+        }
+        return buildExtensionInput({ kind, scope, publication, ...sample, options });
+    }, [kind, scope, publication, article, sample, loadingSample, options]);
+
+    // A fixture a mentett bemenetet adja, csak az `options` jön a panel űrlapjáról
+    // (így ugyanaz a minta több beállítással is kipróbálható).
+    const input = fixture ? { ...fixture.input, options } : officeInput;
+    const optionsCheck = useMemo(() => normalizeExtensionOptions(params, options), [params, options]);
+    const preview = input ? { ...input, options: optionsCheck.options } : null;
+    const fixtureScopeMismatch = fixture && fixtureScope(fixture) !== scope;
+
+    function selectFixture(name) {
+        setActiveFixture(name);
+        setResult(null);
+        const selected = fixtures.find(f => f.name === name);
+        if (selected) setOptions(selected.input.options || {});
+    }
+
+    async function handleRun() {
+        if (!input || running) return;
+        setRunning(true);
+        try {
+            setResult(await runExtensionTest({ code, kind, slug, params, input }));
+        } finally {
+            setRunning(false);
+        }
+    }
+
+    function handleSaveFixture() {
+        setFixtureError('');
+        const name = fixtureName.trim();
+        if (!name || !input) return;
+        const next = [...fixtures.filter(f => f.name !== name), { name, input }];
+        const check = parseTestFixtures(next);
+        if (check.errors.length > 0) {
+            setFixtureError(check.errors[0]);
+            return;
+        }
+        onFixturesChange(check.fixtures);
+        setFixtureName('');
+        setActiveFixture(name);
+    }
+
+    function handleDeleteFixture() {
+        if (!fixture) return;
+        onFixturesChange(fixtures.filter(f => f.name !== fixture.name));
+        setActiveFixture('');
+    }
+
+    const resultFailed = result && (!result.ok || result.violation);
+
+    return (
+        <section className="extension-test-panel" aria-label="Teszt-futtatás">
+            {loadError && <div className="login-error extension-test-panel__error">{loadError}</div>}
+
+            <div className="extension-test-panel__sources">
+                <label className="eo-form-stack">
+                    <span className="eo-form-stack__label eo-form-stack__label--upper">Mentett fixture</span>
+                    <select
+                        className="form-select"
+                        value={activeFixture}
+                        onChange={(e) => selectFixture(e.target.value)}
+                        disabled={disabled || fixtures.length === 0}
+                    >
+                        <option value="">{fixtures.length === 0 ? 'Nincs mentett fixture' : '— Minta a szerkesztőségből —'}</option>
+                        {fixtures.map(f => <option key={f.name} value={f.name}>{f.name}</option>)}
+                    </select>
+                </label>
+                <label className="eo-form-stack">
+                    <span className="eo-form-stack__label eo-form-stack__label--upper">Kiadvány</span>
+                    <select
+                        className="form-select"
+                        value={publicationId}
+                        onChange={(e) => { setPublicationId(e.target.value); setResult(null); }}
+                        disabled={disabled || !!fixture}
+                    >
+                        <option value="">Válassz...</option>
+                        {publications.map(p => <option key={p.$id} value={p.$id}>{p.name}</option>)}
+                    </select>
+                </label>
+                {scope === 'article' && (
+                    <label className="eo-form-stack">
+                        <span className="eo-form-stack__label eo-form-stack__label--upper">Cikk</span>
+                        <select
+                            className="form-select"
+                            value={articleId}
+                            onChange={(e) => { setArticleId(e.target.value); setResult(null); }}
+                            disabled={disabled || !!fixture || !publicationId || loadingSample}
+                        >
+                            <option value="">
+                                {loadingSample ? 'Betöltés…' : (sample.articles.length === 0 ? 'Nincs cikk' : 'Válassz...')}
+                            </option>
+                            {sample.articles.map(a => <option key={a.$id} value={a.$id}>{a.name || 'Névtelen'}</option>)}
+                        </select>
+                    </label>
+                )}
+            </div>
+
+            {fixtureScopeMismatch && (
+                <p className="extension-test-panel__warning">
+                    Ez a fixture {fixtureScope(fixture) === 'article' ? 'cikk' : 'kiadvány'}-szintű bemenetet tartalmaz,
+                    a bővítmény hatóköre viszont eltér — a futás nem a valós bemenetet modellezi.
+                </p>
+            )}
+
+            {params.length > 0 && (
+                <ExtensionOptionsForm
+                    title="Teszt-beállítások (input.options)"
+                    params={params}
+                    value={options}
+                    onChange={setOptions}
+                    disabled={disabled}
+                />
+            )}
+
+            {preview && (
+                <details className="extension-test-panel__block">
+                    <summary>Bemenet (JSON) — ezt kapja a <code>maestroExtension(input)</code></summary>
+                    <pre className="extension-test-panel__json">{formatJson(preview)}</pre>
+                </details>
+            )}
+
+            <div className="extension-test-panel__actions">
+                <button
+                    type="button"
+                    className="btn-secondary-sm"
+                    onClick={handleRun}
+                    disabled={disabled || running || !input || optionsCheck.errors.length > 0}
+                >
+                    {running ? 'Futtatás…' : '▶ Futtatás'}
+                </button>
+                {!fixture && (
+                    <>
+                        <input
+                            type="text"
+                            className="eo-input extension-test-panel__fixture-name"
+                            value={fixtureName}
+                            onChange={(e) => setFixtureName(e.target.value)}
+                            maxLength={TEST_FIXTURE_NAME_MAX_LENGTH}
+                            placeholder="Fixture neve"
+                            aria-label="Fixture neve"
+                            disabled={disabled || !input}
+                        />
+                        <button
+                            type="button"
+                            className="btn-ghost-sm"
+                            onClick={handleSaveFixture}
+                            disabled={disabled || !input || !fixtureName.trim()}
+                        >
+                            Mentés fixture-ként
+                        </button>
+                    </>
+                )}
+                {fixture && (
+                    <button
+                        type="button"
+                        className="btn-ghost-sm"
+                        onClick={handleDeleteFixture}
+                        disabled={disabled}
+                    >
+                        Fixture törlése
+                    </button>
+                )}
+            </div>
+            {fixtureError && <div className="login-error extension-test-panel__error">{fixtureError}</div>}
+            <p className="workflow-extension-editor__kind-hint">
+                A fixture-ök az extension-nel együtt mentődnek. A böngészős futás a kimenet szerkezetét
+                ellenőrzi: a <code>maestro.doc</code> és az InDesign (<code>app</code>, <code>File</code>) hívások itt nem működnek.
+            </p>
+
+            {result && (
+                <div className={`extension-test-panel__result${resultFailed ? ' extension-test-panel__result--failed' : ''}`}>
+                    <div className="extension-test-panel__result-head">
+                        {!result.ok
+                            ? 'Futási hiba'
+                            : result.violation ? 'Kontraktus-sértés' : 'A kimenet megfelel a kontraktusnak'}
+                        <span className="extension-test-panel__duration">{result.durationMs} ms</span>
+                    </div>
+                    {result.error && <pre className="extension-test-panel__violation">{result.error}</pre>}
+                    {result.violation && <pre className="extension-test-panel__violation">{result.violation}</pre>}
+                    {result.normalized && (
+                        <>
+                            <div className="extension-test-panel__label">Normalizált eredmény (ezt látja a Plugin)</div>
+                            <pre className="extension-test-panel__json">{formatJson(result.normalized)}</pre>
+                            <div className="extension-test-panel__label">Nyers visszatérési érték</div>
+                            <pre className="extension-test-panel__json">{formatJson(result.raw)}</pre>
+                        </>
+                    )}
+                    {result.logs.length > 0 && (
+                        <>
+                            <div className="extension-test-panel__label">Napló (maestro.log)</div>
+                            <pre className="extension-test-panel__json">{result.logs.join('\n')}</pre>
+                        </>
+                    )}
+                </div>
+            )}
+        </section>
+    );
+}
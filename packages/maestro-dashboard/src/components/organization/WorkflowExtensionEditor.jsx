@@ -8,7 +8,10 @@
  *   - `kind` (validator | command) szerkeszthető — bár a Plugin runtime
  *     más-más dispatch-et hív, a slug az `ext.<slug>` ref-ben mindkét
  *     kindra azonos formátumú.
- *   - `scope` UI-ban NEM jelenik meg (server-side enum csak `'article'`).
+ *   - `scope` (article | publication) létrehozáskor választható: a cikk-
+ *     szintű extension állapothoz kötött, a kiadvány-szintűt a Designer
+ *     workflow-szintű „Kiadvány-szintű bővítmények” listáiba lehet felvenni.
+ *     Szerkesztéskor — a `kind`-hoz hasonlóan — nem módosítható.
  *   - `visibility` UI-ban NEM jelenik meg (server-side enum csak
  *     `'editorial_office'` a CRUD action-ben). Phase 1+ a `extension.share`
  *     slug bevezetésével válik élessé.
@@ -30,6 +33,25 @@
  * `WorkflowExtensionsTab`-on explicit "Visszaállítás" gombot ad (Codex
  * tervi review fix), nem keveri össze az editor-ral.
  *
+ * **Paraméter-séma** (`paramSchema`, opcionális): JSON tömb a workflow-
+ * szintű beállítások leírására (`@shared/extensionParams.js`). A Designer
+ * ebből generálja a hivatkozás beállító űrlapját. Kliens-oldalon ugyanazzal
+ * a `parseParamSchema`-val validálunk, mint a server (400
+ * `invalid_param_schema`); üresre törölve a séma megszűnik.
+ *
+ * **Teszt-futtatás** (`ExtensionTestPanel`, lenyitható): a szerkesztett —
+ * akár még nem mentett — kód kipróbálása egy minta-cikk / kiadvány
+ * bemenetén, a Plugin által látott normalizált kimenettel. A panelben
+ * mentett fixture-ök (`testFixtures`, `@shared/extensionFixtures.js`) a
+ * szerkesztő állapotában élnek, és a többi mezővel együtt mentődnek.
+ *
+ * **Revíziók** (`ExtensionRevisionsPanel`, lenyitható, csak szerkesztéskor):
+ * minden tartalmi mentés (kód / paraméter-séma) új revíziót ad a CF-ben, az
+ * opcionális változás-megjegyzéssel (`changeNote`). A panel a kiválasztott
+ * revízió és a szerkesztő kódját egymás mellett mutatja; a visszaállítás a
+ * revízió tartalmát a szerkesztőbe tölti — a mentés ebből új revíziót ad.
+ * Ugyanitt látszik, melyik aktivált kiadvány melyik revíziót futtatja.
+ *
  * **TOCTOU guard**: szerkesztéskor az `expectedUpdatedAt` a meglévő doc
  * `$updatedAt`-jéből jön — `version_conflict` 409 esetén az
  * `errorMessage()` mapping mutatja az "újratöltés szükséges" üzenetet.
@@ -40,12 +62,19 @@ import { useAuth } from '../../contexts/AuthContext.jsx';
 import { useModal } from '../../contexts/ModalContext.jsx';
 import {
     EXTENSION_KIND_VALUES,
+    EXTENSION_SCOPE_VALUES,
+    EXTENSION_SCOPE_DEFAULT,
     EXTENSION_NAME_MAX_LENGTH,
     EXTENSION_SLUG_MAX_LENGTH,
+    EXTENSION_SDK_API_VERSION,
     MAESTRO_EXTENSION_GLOBAL_NAME
 } from '@shared/extensionContract.js';
+import { parseParamSchema, PARAM_SCHEMA_MAX_LENGTH } from '@shared/extensionParams.js';
+import { parseTestFixtures, serializeTestFixtures } from '@shared/extensionFixtures.js';
 import { slugify, SLUG_CONSTRAINTS } from '../../utils/slugify.js';
 import { mapErrorReason } from '../../utils/inviteFunctionErrorMessages.js';
+import ExtensionTestPanel from './ExtensionTestPanel.jsx';
+import ExtensionRevisionsPanel from './ExtensionRevisionsPanel.jsx';
 
 const { SLUG_REGEX } = SLUG_CONSTRAINTS;
 
@@ -54,18 +83,58 @@ const { SLUG_REGEX } = SLUG_CONSTRAINTS;
 // szigorúbb (Phase 0 tipikus extension 5-50 KB).
 const EXTENSION_CODE_MAX_LENGTH = 262144;
 
+// A változás-megjegyzés hossza — a server `EXTENSION_REVISION_NOTE_MAX_LENGTH`
+// (helpers/constants.js) értékével egyezik.
+const EXTENSION_REVISION_NOTE_MAX_LENGTH = 500;
+
+const PARAM_SCHEMA_PLACEHOLDER = `[
+  { "key": "minWords", "type": "number", "label": "Minimum szószám", "min": 0, "default": 300 },
+  { "key": "mode", "type": "enum", "values": ["strict", "lenient"], "required": true }
+]`;
+
+/** A tárolt (tömör) séma olvasható alakja a textarea-ba. */
+function formatParamSchema(stored) {
+    if (!stored) return '';
+    try {
+        return JSON.stringify(JSON.parse(stored), null, 2);
+    } catch {
+        return stored;
+    }
+}
+
+const SCOPE_LABELS = {
+    article: 'Cikk',
+    publication: 'Kiadvány'
+};
+
+const SCOPE_TITLES = {
+    article: 'Cikk-szintű: állapothoz kötött, egy cikkre fut (input.article).',
+    publication: 'Kiadvány-szintű: a Plugin kiadvány-fejlécéből fut az egész kiadványra (input.publication, articles, layouts, deadlines).'
+};
+
 /**
  * A user által létrehozott új extension `code` mezőjének kiindulási
  * sablonja. A kötelező top-level `function maestroExtension(input)`
  * deklarációt mutatja, amit a server AST pre-parse-szel ellenőriz —
  * nélküle 400 `missing_maestro_extension_function`. A kommentek a
- * Phase 0 JSON I/O kontraktust dokumentálják (`extensionContract.js`).
+ * JSON I/O kontraktust dokumentálják (`extensionContract.js`), a
+ * `kind` és a `scope` szerint.
  */
-function defaultCodeTemplate(kind) {
+function defaultCodeTemplate(kind, scope = EXTENSION_SCOPE_DEFAULT) {
     const isValidator = kind === 'validator';
-    const inputSig = isValidator
-        ? '// input.article — a vizsgált cikk objektuma'
-        : '// input.article — a parancs forrás cikk objektuma\n    // input.publicationRoot — a publikáció root path-ja (vagy null)';
+    const subjectLines = scope === 'publication'
+        ? [
+            '// input.publication — a kiadvány objektuma',
+            '// input.articles — a kiadvány cikkei',
+            '// input.layouts — a kiadvány layoutjai',
+            '// input.deadlines — a kiadvány lapzártái'
+        ]
+        : [isValidator ? '// input.article — a vizsgált cikk objektuma' : '// input.article — a parancs forrás cikk objektuma'];
+    const inputSig = [
+        ...subjectLines,
+        '// input.options — a workflow-ban beállított paraméterek (paraméter-séma szerint)',
+        ...(isValidator ? [] : ['// input.publicationRoot — a publikáció root path-ja (vagy null)'])
+    ].join('\n    ');
     const returnSig = isValidator
         ? `return {
         isValid: true,        // boolean
@@ -77,10 +146,12 @@ function defaultCodeTemplate(kind) {
         // error: '...',      // opcionális string ha success=false
         // message: '...'     // opcionális string a UI toast-hoz
     };`;
-    return `// Maestro workflow ${isValidator ? 'validátor' : 'parancs'} bővítmény (Phase 0).
+    return `// Maestro workflow ${isValidator ? 'validátor' : 'parancs'} bővítmény (${scope === 'publication' ? 'kiadvány' : 'cikk'}-szintű).
 // A top-level "${MAESTRO_EXTENSION_GLOBAL_NAME}(input)" függvény a Plugin
 // runtime egyetlen belépési pontja — ne nevezd át, ne ágyazd be másik
 // függvénybe (a server AST pre-parse 400 hibát ad).
+// A Plugin runtime a Maestro SDK-t (v${EXTENSION_SDK_API_VERSION}) automatikusan elérhetővé teszi:
+// maestro.log(...), maestro.json, maestro.path.*, maestro.doc.open / close.
 
 function ${MAESTRO_EXTENSION_GLOBAL_NAME}(input) {
     ${inputSig}
@@ -118,11 +189,22 @@ function errorMessage(reason, errors) {
             }
             return 'Érvénytelen extension code.';
         },
+        invalid_param_schema: () => (
+            Array.isArray(errors) && errors.length > 0
+                ? `Érvénytelen paraméter-séma: ${errors[0]}`
+                : 'Érvénytelen paraméter-séma.'
+        ),
+        invalid_test_fixtures: () => (
+            Array.isArray(errors) && errors.length > 0
+                ? `Érvénytelen teszt-fixture: ${errors[0]}`
+                : 'Érvénytelen teszt-fixture lista.'
+        ),
+        invalid_change_note: `A változás-megjegyzés legfeljebb ${EXTENSION_REVISION_NOTE_MAX_LENGTH} karakter lehet.`,
         extension_slug_taken: 'Ezzel a slug-gal már létezik bővítmény ebben a szerkesztőségben.',
         slug_immutable: 'A slug nem módosítható.',
         invalid_slug: 'A slug csak kisbetűt, számot és kötőjelet tartalmazhat (kb-style).',
         invalid_kind: 'Érvénytelen típus (engedett: validator vagy command).',
-        invalid_scope: 'Érvénytelen scope (Phase 0: csak article).',
+        invalid_scope: 'Érvénytelen hatókör (engedett: article vagy publication).',
         unsupported_visibility:
             'Phase 0-ban csak szerkesztőség-szintű (editorial_office) láthatóság engedett.',
         version_conflict:
@@ -146,9 +228,23 @@ export default function WorkflowExtensionEditor({ editorialOfficeId, existing =
     const [slug, setSlug] = useState(existing?.slug || '');
     const [slugTouched, setSlugTouched] = useState(isEdit); // szerkesztéskor ne auto-suggest-eljünk
     const [kind, setKind] = useState(existing?.kind || 'validator');
+    const [scope, setScope] = useState(existing?.scope || EXTENSION_SCOPE_DEFAULT);
     const [code, setCode] = useState(
-        existing?.code ?? defaultCodeTemplate(existing?.kind || 'validator')
+        existing?.code ?? defaultCodeTemplate(existing?.kind || 'validator', existing?.scope || EXTENSION_SCOPE_DEFAULT)
+    );
+    const initialParamSchema = useMemo(() => formatParamSchema(existing?.paramSchema), [existing]);
+    const [paramSchema, setParamSchema] = useState(initialParamSchema);
+    // A sérült (kézzel írt) tárolt lista üresként töltődik — a mentés felülírja.
+    const initialTestFixtures = useMemo(
+        () => serializeTestFixtures(parseTestFixtures(existing?.testFixtures).fixtures),
+        [existing]
     );
+    const [testFixtures, setTestFixtures] = useState(
+        () => parseTestFixtures(existing?.testFixtures).fixtures
+    );
+    const [testPanelOpen, setTestPanelOpen] = useState(false);
+    const [changeNote, setChangeNote] = useState('');
+    const [revisionsPanelOpen, setRevisionsPanelOpen] = useState(false);
 
     const [submitting, setSubmitting] = useState(false);
     const [error, setError] = useState('');
@@ -205,11 +301,27 @@ export default function WorkflowExtensionEditor({ editorialOfficeId, existing =
         // Ha a code még az alapsablon (kötés a régi kindhoz), frissítjük a
         // sablont — különben a user sok ExtendScript-et veszítene egy
         // véletlen radio-kattintással.
-        if (!isEdit && code === defaultCodeTemplate(kind)) {
-            setCode(defaultCodeTemplate(newKind));
+        if (!isEdit && code === defaultCodeTemplate(kind, scope)) {
+            setCode(defaultCodeTemplate(newKind, scope));
+        }
+    }
+
+    function handleScopeChange(newScope) {
+        setScope(newScope);
+        // Ugyanaz a sablon-frissítés, mint a kind-váltásnál.
+        if (!isEdit && code === defaultCodeTemplate(kind, scope)) {
+            setCode(defaultCodeTemplate(kind, newScope));
         }
     }
 
+    // A revízió tartalma a szerkesztőbe kerül; a mentés új revíziót ad.
+    function handleRestoreRevision(revision) {
+        setCode(revision.code);
+        setParamSchema(formatParamSchema(revision.paramSchema));
+        setChangeNote(`Visszaállítás: r${revision.revision}`);
+        if (parseErrorLine != null) setParseErrorLine(null);
+    }
+
     async function handleSubmit(e) {
         e.preventDefault();
         if (submitting) return;
@@ -247,6 +359,10 @@ export default function WorkflowExtensionEditor({ editorialOfficeId, existing =
             setError('Érvénytelen típus.');
             return;
         }
+        if (!EXTENSION_SCOPE_VALUES.includes(scope)) {
+            setError('Érvénytelen hatókör.');
+            return;
+        }
         if (!code || !code.trim()) {
             setError('A kód nem lehet üres.');
             return;
@@ -255,6 +371,13 @@ export default function WorkflowExtensionEditor({ editorialOfficeId, existing =
             setError(`A kód legfeljebb ${EXTENSION_CODE_MAX_LENGTH} karakter lehet.`);
             return;
         }
+        const schemaCheck = parseParamSchema(paramSchema);
+        if (schemaCheck.errors.length > 0) {
+            setError(`Érvénytelen paraméter-séma: ${schemaCheck.errors[0]}`);
+            return;
+        }
+        const trimmedParamSchema = paramSchema.trim();
+        const serializedTestFixtures = serializeTestFixtures(testFixtures);
 
         setSubmitting(true);
         try {
@@ -266,6 +389,12 @@ export default function WorkflowExtensionEditor({ editorialOfficeId, existing =
                 if (trimmedName !== (existing.name || '')) patch.name = trimmedName;
                 if (kind !== existing.kind) patch.kind = kind;
                 if (code !== (existing.code || '')) patch.code = code;
+                if (paramSchema !== initialParamSchema) patch.paramSchema = trimmedParamSchema || null;
+                if (serializedTestFixtures !== initialTestFixtures) patch.testFixtures = serializedTestFixtures;
+                // A megjegyzés a tartalmi mentésből keletkező revízióhoz tartozik.
+                if (changeNote.trim() && (patch.code !== undefined || patch.paramSchema !== undefined)) {
+                    patch.changeNote = changeNote.trim();
+                }
                 if (Object.keys(patch).length === 0) {
                     // Üres patch — server 400 `nothing_to_update`-et adna.
                     // A `disabled={!isDirty}` UI-szinten véd, ezért ez csak
@@ -282,7 +411,10 @@ export default function WorkflowExtensionEditor({ editorialOfficeId, existing =
                     name: trimmedName,
                     slug: trimmedSlug,
                     kind,
-                    code
+                    scope,
+                    code,
+                    ...(trimmedParamSchema ? { paramSchema: trimmedParamSchema } : {}),
+                    ...(serializedTestFixtures ? { testFixtures: serializedTestFixtures } : {})
                 });
             }
             await onSaved?.();
@@ -309,15 +441,20 @@ export default function WorkflowExtensionEditor({ editorialOfficeId, existing =
     // name vagy slug kitöltése (vagy a code template módosítása) kell.
     const isDirty = useMemo(() => {
         if (!isEdit) {
-            const codeIsCustomized = code.trim() !== '' && code !== defaultCodeTemplate(kind);
-            return Boolean(name.trim() || slug.trim() || codeIsCustomized);
+            const codeIsCustomized = code.trim() !== '' && code !== defaultCodeTemplate(kind, scope);
+            return Boolean(name.trim() || slug.trim() || codeIsCustomized || paramSchema.trim() || testFixtures.length > 0);
         }
         return (
             name.trim() !== (existing.name || '') ||
             kind !== existing.kind ||
-            code !== (existing.code || '')
+            code !== (existing.code || '') ||
+            paramSchema !== initialParamSchema ||
+            serializeTestFixtures(testFixtures) !== initialTestFixtures
         );
-    }, [name, slug, kind, code, isEdit, existing]);
+    }, [name, slug, kind, scope, code, paramSchema, initialParamSchema, testFixtures, initialTestFixtures, isEdit, existing]);
+
+    // Tartalmi (revíziót adó) változás — csak ekkor kérünk változás-megjegyzést.
+    const isContentDirty = isEdit && (code !== (existing.code || '') || paramSchema !== initialParamSchema);
 
     return (
         <form onSubmit={handleSubmit} className="publication-form workflow-extension-editor">
@@ -388,16 +525,39 @@ export default function WorkflowExtensionEditor({ editorialOfficeId, existing =
                             title={isEdit
                                 ? 'A típus szerkesztés közben nem módosítható (a hivatkozó workflow-k aktiváláskor extension_kind_mismatch-csel elszállnának). Ha kind-cserére van szükség, archiváld ezt és hozz létre újat.'
                                 : k === 'validator'
-                                    ? 'Validátor: cikk-alapú ellenőrzés. Visszaadja: { isValid, errors[], warnings[] }.'
-                                    : 'Parancs: cikk-alapú akció. Visszaadja: { success, error?, message? }.'}
+                                    ? 'Validátor: ellenőrzés. Visszaadja: { isValid, errors[], warnings[] }.'
+                                    : 'Parancs: akció. Visszaadja: { success, error?, message? }.'}
                         >
                             {k === 'validator' ? 'Validátor' : 'Parancs'}
                         </button>
                     ))}
                 </div>
+            </div>
+
+            <div className="workflow-extension-editor__kind">
+                <span className="eo-form-stack__label eo-form-stack__label--upper">
+                    Hatókör <span className="eo-form-stack__required">*</span>
+                </span>
+                <div className="designer-field__chips" role="radiogroup" aria-label="Bővítmény hatóköre">
+                    {EXTENSION_SCOPE_VALUES.map((value) => (
+                        <button
+                            key={value}
+                            type="button"
+                            role="radio"
+                            aria-checked={scope === value}
+                            className={`designer-chip ${scope === value ? 'designer-chip--active' : ''}`}
+                            onClick={() => handleScopeChange(value)}
+                            disabled={isEdit}
+                            title={isEdit
+                                ? 'A hatókör szerkesztés közben nem módosítható (a hivatkozó workflow-k aktiváláskor extension_scope_mismatch-csel elszállnának). Ha hatókör-cserére van szükség, archiváld ezt és hozz létre újat.'
+                                : SCOPE_TITLES[value]}
+                        >
+                            {SCOPE_LABELS[value] || value}
+                        </button>
+                    ))}
+                </div>
                 <p className="workflow-extension-editor__kind-hint">
-                    Phase 0 hatókör: a bővítmény scope-ja mindig <code>article</code>, láthatósága mindig{' '}
-                    <code>editorial_office</code>. (A jövőbeli kibővítés ADR 0007 Phase 1+.)
+                    A bővítmény láthatósága mindig <code>editorial_office</code>. (A jövőbeli kibővítés ADR 0007 Phase 1+.)
                 </p>
             </div>
 
@@ -425,6 +585,97 @@ export default function WorkflowExtensionEditor({ editorialOfficeId, existing =
                 />
             </label>
 
+            <label className="eo-form-stack workflow-extension-editor__code-label">
+                <span className="eo-form-stack__label eo-form-stack__label--upper">
+                    Paraméter-séma (JSON)
+                    <span className="eo-form-stack__hint">
+                        — opcionális; a workflow-ban beállítható értékek az <code>input.options</code>-ban érkeznek
+                    </span>
+                </span>
+                <textarea
+                    value={paramSchema}
+                    onChange={(e) => setParamSchema(e.target.value)}
+                    placeholder={PARAM_SCHEMA_PLACEHOLDER}
+                    spellCheck={false}
+                    autoComplete="off"
+                    autoCorrect="off"
+                    autoCapitalize="off"
+                    rows={6}
+                    maxLength={PARAM_SCHEMA_MAX_LENGTH}
+                    className="eo-input workflow-extension-editor__code workflow-extension-editor__code--schema"
+                />
+            </label>
+
+            {isContentDirty && (
+                <label className="eo-form-stack">
+                    <span className="eo-form-stack__label eo-form-stack__label--upper">
+                        Változás-megjegyzés
+                        <span className="eo-form-stack__hint">
+                            — opcionális; a mentésből keletkező revízió mellé kerül
+                        </span>
+                    </span>
+                    <input
+                        type="text"
+                        value={changeNote}
+                        onChange={(e) => setChangeNote(e.target.value)}
+                        maxLength={EXTENSION_REVISION_NOTE_MAX_LENGTH}
+                        placeholder="Mi változott és miért?"
+                        className="eo-input"
+                    />
+                </label>
+            )}
+
+            {isEdit && (
+                <details
+                    className="workflow-extension-editor__revisions"
+                    onToggle={(e) => setRevisionsPanelOpen(e.currentTarget.open)}
+                >
+                    <summary className="eo-form-stack__label eo-form-stack__label--upper">
+                        Revíziók
+                        <span className="eo-form-stack__hint">
+                            — {Number.isInteger(existing.revision) ? `aktuális: r${existing.revision}` : 'még nincs rögzített revízió'}; összehasonlítás, visszaállítás, használat
+                        </span>
+                    </summary>
+                    {/* Csak lenyitva mount-oljuk — a revíziókat és a kiadványokat ekkor kérjük le. */}
+                    {revisionsPanelOpen && (
+                        <ExtensionRevisionsPanel
+                            extension={existing}
+                            code={code}
+                            paramSchema={paramSchema}
+                            isDirty={isContentDirty}
+                            onRestore={handleRestoreRevision}
+                            disabled={submitting}
+                        />
+                    )}
+                </details>
+            )}
+
+            <details
+                className="workflow-extension-editor__test"
+                onToggle={(e) => setTestPanelOpen(e.currentTarget.open)}
+            >
+                <summary className="eo-form-stack__label eo-form-stack__label--upper">
+                    Teszt-futtatás
+                    <span className="eo-form-stack__hint">
+                        — {testFixtures.length > 0 ? `${testFixtures.length} mentett fixture` : 'minta-cikkel vagy -kiadvánnyal'}
+                    </span>
+                </summary>
+                {/* Csak lenyitva mount-oljuk — a minta-kiadványokat ekkor kérjük le. */}
+                {testPanelOpen && (
+                    <ExtensionTestPanel
+                        editorialOfficeId={editorialOfficeId}
+                        kind={kind}
+                        scope={scope}
+                        slug={slug.trim()}
+                        code={code}
+                        paramSchema={paramSchema}
+                        fixtures={testFixtures}
+                        onFixturesChange={setTestFixtures}
+                        disabled={submitting}
+                    />
+                )}
+            </details>
+
             <div className="modal-actions workflow-extension-editor__actions">
                 <button
                     type="button"
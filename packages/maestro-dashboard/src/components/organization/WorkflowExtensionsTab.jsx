@@ -48,10 +48,11 @@ function errorMessage(reason) {
 /**
  * Egy `compiled` workflow JSON-ben felsorol minden `ext.<slug>` ref-et —
  * mind a `validations`, mind a `commands` ágon. A return egy `Set<slug>`,
- * a slug-prefix nélkül (csak a tiszta slug-okkal). Phase 0 hatókör:
- * `validations[stateName].{onEntry, requiredToEnter, requiredToExit}` és
- * `commands[stateName][].id`. Az `extensionContract.js` `isExtensionRef`
- * a kanonikus boolean check.
+ * a slug-prefix nélkül (csak a tiszta slug-okkal). Hatókör:
+ * `validations[stateName].{onEntry, requiredToEnter, requiredToExit}`,
+ * `commands[stateName][].id` és a kiadvány-szintű
+ * `publicationExtensions.{validations[], commands[].id}`. Az
+ * `extensionContract.js` `isExtensionRef` a kanonikus boolean check.
  */
 function collectExtensionSlugsFromCompiled(compiled) {
     const slugs = new Set();
@@ -87,6 +88,21 @@ function collectExtensionSlugsFromCompiled(compiled) {
         }
     }
 
+    const pubExtensions = compiled.publicationExtensions;
+    if (pubExtensions && typeof pubExtensions === 'object') {
+        const refs = [
+            ...(Array.isArray(pubExtensions.validations)
+                ? pubExtensions.validations.map(item => (typeof item === 'string' ? item : item?.validator))
+                : []),
+            ...(Array.isArray(pubExtensions.commands) ? pubExtensions.commands.map(item => item?.id) : [])
+        ];
+        for (const ref of refs) {
+            if (typeof ref === 'string' && isExtensionRef(ref)) {
+                slugs.add(ref.slice('ext.'.length));
+            }
+        }
+    }
+
     return slugs;
 }
 
@@ -340,6 +356,9 @@ export default function WorkflowExtensionsTab({
                                     <span className="eo-chip">
                                         {ext.kind === 'validator' ? 'Validátor' : 'Parancs'}
                                     </span>
+                                    <span className="eo-chip">
+                                        {ext.scope === 'publication' ? 'Kiadvány-szintű' : 'Cikk-szintű'}
+                                    </span>
                                     <span className="eo-chip">
                                         {refList.length} workflow hivatkozik rá
                                     </span>
@@ -0,0 +1,337 @@
+/**
+ * Maestro Dashboard — AdsTab
+ *
+ * A PublicationSettingsModal „Hirdetések" füle: a kiadvány hirdetés-foglalásai
+ * (`ads` collection, séma: `maestro-shared/ads.js`).
+ *
+ * Funkciók:
+ *   - Hirdetés lista: hirdető + oldal + méret + pozíció + státusz + anyag útvonala
+ *   - Szöveg- és oldalmezők blur mentéssel, a legördülők azonnal mentenek
+ *   - Méretváltáskor a pozíció a méret alapértelmezettjére áll
+ *   - Új hirdetés: egész oldalas, az első olyan oldalon, ahol még nincs hirdetés
+ *   - Validáció: a hirdetések egymás közti ütközése (`validateAds`) és az egész
+ *     oldalas hirdetés oldalára eső cikkek — hiba / figyelmeztetés kártyák
+ *
+ * A flatplan (`LayoutView`) a hirdetéseket az oldalakon mutatja, a cikkek
+ * átfedés-ellenőrzése (`validatePublicationStructure`) az egész oldalasakat
+ * foglaltnak veszi.
+ */
+
+import React, { useState, useMemo } from 'react';
+import { useData } from '../../contexts/DataContext.jsx';
+import { useToast } from '../../contexts/ToastContext.jsx';
+import { useConfirm } from '../ConfirmDialog.jsx';
+import {
+    AD_SIZES,
+    AD_SIZE_VALUES,
+    AD_SIZE_LABELS,
+    AD_POSITIONS_BY_SIZE,
+    AD_POSITION_LABELS,
+    AD_STATUSES,
+    AD_STATUS_VALUES,
+    AD_STATUS_LABELS,
+    ADVERTISER_MAX_LENGTH,
+    AD_FILE_PATH_MAX_LENGTH,
+    getDefaultAdPosition,
+    getFullPageAdPages,
+    validateAds
+} from '@shared/ads.js';
+import { getOccupiedPages } from '@shared/publicationStructure.js';
+
+const LABELS = {
+    listEmpty: 'Ehhez a kiadványhoz még nincs hirdetés felvéve.',
+    advertiserPlaceholder: 'Hirdető',
+    pagePlaceholder: 'Oldal',
+    filePathPlaceholder: 'Anyag útvonala (pl. Hirdetések/Cég_A_1-1.pdf)',
+    noPosition: '— (teljes oldal)',
+    newAdvertiser: 'Új hirdető',
+    addButton: '+ Új hirdetés',
+    addCreated: 'Új hirdetés felvéve',
+    deleteTitle: 'Hirdetés törlése',
+    confirmMsg: (ad) => `Biztosan törlöd a(z) „${ad.advertiser}" hirdetését (${ad.page}. oldal)?`,
+    confirmCta: 'Törlés',
+    deleted: 'Hirdetés törölve',
+    saveFailed: (msg) => `Mentés sikertelen: ${msg || 'ismeretlen hiba'}`,
+    createFailed: (msg) => `Létrehozás sikertelen: ${msg || 'ismeretlen hiba'}`,
+    deleteFailed: (msg) => `Törlés sikertelen: ${msg || 'ismeretlen hiba'}`
+};
+
+export default function AdsTab({ publication }) {
+    const { ads, articles, createAd, updateAd, deleteAd } = useData();
+    const { showToast } = useToast();
+    const confirm = useConfirm();
+
+    // Csak az aktív publikációhoz tartozó hirdetések, oldalsorrendben
+    const pubAds = useMemo(
+        () =>
+            ads
+                .filter((a) => a.publicationId === publication.$id)
+                .sort((a, b) => (a.page ?? 0) - (b.page ?? 0)),
+        [ads, publication.$id]
+    );
+
+    // Lokális mezőértékek (blur mentéshez)
+    const [localFields, setLocalFields] = useState({});
+    const [isBusy, setIsBusy] = useState(false);
+
+    const adResults = useMemo(
+        () => validateAds({ publication, ads: pubAds }),
+        [publication, pubAds]
+    );
+
+    // Egész oldalas hirdetés oldalára eső cikkek — ugyanaz a szabály, mint a
+    // cikkek struktúra-validációjában, itt a hirdetés felől nézve.
+    const articleConflicts = useMemo(() => {
+        const adPages = getFullPageAdPages(pubAds);
+        if (adPages.size === 0) return [];
+        const conflicts = [];
+        for (const article of articles) {
+            if (article.publicationId !== publication.$id) continue;
+            for (const page of getOccupiedPages(article)) {
+                const ad = adPages.get(page);
+                if (ad) conflicts.push(`"${ad.advertiser}" (${page}. oldal): a(z) „${article.name}" cikk is erre az oldalra esik.`);
+            }
+        }
+        return conflicts;
+    }, [articles, pubAds, publication.$id]);
+
+    const errors = useMemo(() => {
+        const list = [];
+        for (const ad of pubAds) {
+            for (const msg of adResults.get(ad.$id)?.errors || []) list.push(`"${ad.advertiser}": ${msg}`);
+        }
+        return [...list, ...articleConflicts];
+    }, [pubAds, adResults, articleConflicts]);
+
+    const warnings = useMemo(() => {
+        const list = [];
+        for (const ad of pubAds) {
+            for (const msg of adResults.get(ad.$id)?.warnings || []) list.push(`"${ad.advertiser}": ${msg}`);
+        }
+        return list;
+    }, [pubAds, adResults]);
+
+    function getFieldValue(adId, field, serverValue) {
+        const key = `${adId}.${field}`;
+        return localFields[key] !== undefined ? localFields[key] : (serverValue ?? '');
+    }
+
+    function setFieldValue(adId, field, value) {
+        setLocalFields((prev) => ({ ...prev, [`${adId}.${field}`]: value }));
+    }
+
+    function clearLocalField(key) {
+        setLocalFields((prev) => {
+            const next = { ...prev };
+            delete next[key];
+            return next;
+        });
+    }
+
+    async function saveAd(ad, data) {
+        try {
+            await updateAd(ad.$id, data);
+            return true;
+        } catch (err) {
+            console.error('[AdsTab] Save failed:', err);
+            showToast(LABELS.saveFailed(err?.message), 'error');
+            return false;
+        }
+    }
+
+    async function handleTextBlur(ad, field) {
+        const key = `${ad.$id}.${field}`;
+        const local = localFields[key];
+        if (local === undefined) return;
+
+        const trimmed = local.trim();
+        // A hirdető kötelező — üresre nem mentünk, visszaáll a szerver értékre
+        if ((field === 'advertiser' && !trimmed) || trimmed === (ad[field] || '')) {
+            clearLocalField(key);
+            return;
+        }
+        if (await saveAd(ad, { [field]: trimmed || null })) clearLocalField(key);
+    }
+
+    async function handlePageBlur(ad) {
+        const key = `${ad.$id}.page`;
+        const local = localFields[key];
+        if (local === undefined) return;
+
+        const parsed = parseInt(local, 10);
+        if (isNaN(parsed) || parsed < 1 || parsed === ad.page) {
+            clearLocalField(key);
+            return;
+        }
+        if (await saveAd(ad, { page: parsed })) clearLocalField(key);
+    }
+
+    function handleSizeChange(ad, size) {
+        if (size === ad.size) return;
+        saveAd(ad, { size, position: getDefaultAdPosition(size) });
+    }
+
+    async function handleAdd() {
+        if (isBusy) return;
+        const coverageStart = publication?.coverageStart ?? 1;
+        const coverageEnd = publication?.coverageEnd ?? coverageStart;
+
+        // Az első oldal, ahol még nincs hirdetés; ha mind foglalt, a kezdőoldal
+        const taken = new Set(pubAds.map((a) => a.page));
+        let page = coverageStart;
+        while (page <= coverageEnd && taken.has(page)) page++;
+        if (page > coverageEnd) page = coverageStart;
+
+        setIsBusy(true);
+        try {
+            await createAd({
+                publicationId: publication.$id,
+                advertiser: LABELS.newAdvertiser,
+                size: AD_SIZES.FULL,
+                position: null,
+                status: AD_STATUSES.BOOKED,
+                page
+            });
+            showToast(LABELS.addCreated, 'success');
+        } catch (err) {
+            console.error('[AdsTab] Create failed:', err);
+            showToast(LABELS.createFailed(err?.message), 'error');
+        } finally {
+            setIsBusy(false);
+        }
+    }
+
+    async function handleDelete(ad) {
+        const ok = await confirm({
+            title: LABELS.deleteTitle,
+            message: LABELS.confirmMsg(ad),
+            confirmLabel: LABELS.confirmCta,
+            variant: 'danger'
+        });
+        if (!ok) return;
+
+        try {
+            await deleteAd(ad.$id);
+            showToast(LABELS.deleted, 'success');
+        } catch (err) {
+            console.error('[AdsTab] Delete failed:', err);
+            showToast(LABELS.deleteFailed(err?.message), 'error');
+        }
+    }
+
+    return (
+        <div className="publication-form">
+            {pubAds.length === 0 && (
+                <div className="form-empty-state">
+                    {LABELS.listEmpty}
+                </div>
+            )}
+
+            {pubAds.map((ad) => {
+                const positions = AD_POSITIONS_BY_SIZE[ad.size] || [];
+                const hasErrors = (adResults.get(ad.$id)?.errors.length ?? 0) > 0;
+                return (
+                    <div key={ad.$id} className={`ad-row${hasErrors ? ' ad-row--invalid' : ''}`}>
+                        <div className="ad-row__line">
+                            <input
+                                type="text"
+                                className="ad-advertiser-input"
+                                placeholder={LABELS.advertiserPlaceholder}
+                                maxLength={ADVERTISER_MAX_LENGTH}
+                                value={getFieldValue(ad.$id, 'advertiser', ad.advertiser)}
+                                onChange={(e) => setFieldValue(ad.$id, 'advertiser', e.target.value)}
+                                onBlur={() => handleTextBlur(ad, 'advertiser')}
+                            />
+                            <input
+                                type="number"
+                                min="1"
+                                className="deadline-page-input"
+                                placeholder={LABELS.pagePlaceholder}
+                                title="Oldalszám"
+                                value={getFieldValue(ad.$id, 'page', ad.page)}
+                                onChange={(e) => setFieldValue(ad.$id, 'page', e.target.value)}
+                                onBlur={() => handlePageBlur(ad)}
+                            />
+                            <button
+                                type="button"
+                                className="btn-danger-icon"
+                                onClick={() => handleDelete(ad)}
+                                title={LABELS.deleteTitle}
+                                aria-label={LABELS.deleteTitle}
+                            >
+                                ✕
+                            </button>
+                        </div>
+                        <div className="ad-row__line">
+                            <select
+                                className="ad-select"
+                                value={ad.size}
+                                onChange={(e) => handleSizeChange(ad, e.target.value)}
+                                title="Méret"
+                            >
+                                {AD_SIZE_VALUES.map((size) => (
+                                    <option key={size} value={size}>{AD_SIZE_LABELS[size]}</option>
+                                ))}
+                            </select>
+                            <select
+                                className="ad-select"
+                                value={ad.position || ''}
+                                onChange={(e) => saveAd(ad, { position: e.target.value || null })}
+                                disabled={positions.length === 0}
+                                title="Pozíció"
+                            >
+                                {positions.length === 0 && <option value="">{LABELS.noPosition}</option>}
+                                {positions.map((position) => (
+                                    <option key={position} value={position}>{AD_POSITION_LABELS[position]}</option>
+                                ))}
+                            </select>
+                            <select
+                                className="ad-select"
+                                value={ad.status}
+                                onChange={(e) => saveAd(ad, { status: e.target.value })}
+                                title="Státusz"
+                            >
+                                {AD_STATUS_VALUES.map((status) => (
+                                    <option key={status} value={status}>{AD_STATUS_LABELS[status]}</option>
+                                ))}
+                            </select>
+                            <input
+                                type="text"
+                                className="ad-file-input"
+                                placeholder={LABELS.filePathPlaceholder}
+                                maxLength={AD_FILE_PATH_MAX_LENGTH}
+                                value={getFieldValue(ad.$id, 'filePath', ad.filePath)}
+                                onChange={(e) => setFieldValue(ad.$id, 'filePath', e.target.value)}
+                                onBlur={() => handleTextBlur(ad, 'filePath')}
+                            />
+                        </div>
+                    </div>
+                );
+            })}
+
+            <button
+                type="button"
+                className="btn-secondary btn-add-row"
+                onClick={handleAdd}
+                disabled={isBusy}
+            >
+                {LABELS.addButton}
+            </button>
+
+            {(errors.length > 0 || warnings.length > 0) && (
+                <div className="validation-cards">
+                    {errors.map((msg, i) => (
+                        <div key={`err-${i}`} className="validation-card validation-card-error">
+                            {msg}
+                        </div>
+                    ))}
+                    {warnings.map((msg, i) => (
+                        <div key={`warn-${i}`} className="validation-card validation-card-warning">
+                            {msg}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
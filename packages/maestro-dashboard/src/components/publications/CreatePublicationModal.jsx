@@ -7,6 +7,10 @@
  * PublicationSettingsModal-ban érhetők el.
  *
  * Mezők:
+ *   - Forrás (opcionális) — „Korábbi szám alapján": a kiválasztott kiadvány
+ *     layoutjait, határidőit (napokban megadott eltolással), közreműködőit és
+ *     workflow-ját a `clone_publication` CF action másolja; opcionálisan a
+ *     cikkei tervezett cikkként (helykitöltő sorok) jelennek meg
  *   - Név (kötelező)
  *   - Fedés kezdete / vége (két number input — oldalszám)
  *   - Hétvégék kihagyása (checkbox)
@@ -34,6 +38,12 @@ import { showAutoseedWarnings } from '../../utils/autoseedWarnings.js';
 
 const DEFAULT_LAYOUT_NAME = 'A';
 
+/** Klónozáskor a határidők alapértelmezett eltolása (nap) — heti lapritmus. */
+const DEFAULT_DEADLINE_OFFSET_DAYS = 7;
+
+/** A `clone_publication` CF action által elfogadott eltolás-határ (nap). */
+const MAX_DEADLINE_OFFSET_DAYS = 366;
+
 /** C.0.3 copy-hygiene — file-local copy a Stitch screen v2 enrichment-jéhez. */
 const COPY = {
     autoseedTitle: 'Automatikus felhasználó-csoport létrehozás',
@@ -41,8 +51,8 @@ const COPY = {
 };
 
 export default function CreatePublicationModal() {
-    const { workflows, createLayout, applyCreatedPublicationLocal } = useData();
-    const { createPublicationWithWorkflow } = useAuth();
+    const { workflows, publications, createLayout, applyCreatedPublicationLocal } = useData();
+    const { createPublicationWithWorkflow, clonePublication } = useAuth();
     const { activeOrganizationId, activeEditorialOfficeId } = useScope();
     const { closeModal } = useModal();
     const { showToast } = useToast();
@@ -55,6 +65,9 @@ export default function CreatePublicationModal() {
     const [workflowId, setWorkflowId] = useState(
         workflows.length === 1 ? workflows[0].$id : ''
     );
+    const [sourcePublicationId, setSourcePublicationId] = useState('');
+    const [deadlineOffsetDays, setDeadlineOffsetDays] = useState(String(DEFAULT_DEADLINE_OFFSET_DAYS));
+    const [includePlannedArticles, setIncludePlannedArticles] = useState(false);
     const [touched, setTouched] = useState({});
     const [submitError, setSubmitError] = useState('');
     const [isSubmitting, setIsSubmitting] = useState(false);
@@ -68,6 +81,25 @@ export default function CreatePublicationModal() {
         }
     }, [workflows, workflowId]);
 
+    const sourcePublication = useMemo(
+        () => publications.find((p) => p.$id === sourcePublicationId) || null,
+        [publications, sourcePublicationId]
+    );
+    const isClone = !!sourcePublication;
+
+    // Forrás választásakor a terjedelem, a hétvége-kapcsoló és a workflow a
+    // forrásból töltődik (a workflow klónozáskor nem módosítható — a CF a
+    // forrás hozzárendelését viszi át).
+    function handleSourceChange(nextId) {
+        setSourcePublicationId(nextId);
+        const source = publications.find((p) => p.$id === nextId);
+        if (!source) return;
+        setCoverageStart(String(source.coverageStart ?? 1));
+        setCoverageEnd(source.coverageEnd != null ? String(source.coverageEnd) : '');
+        if (typeof source.excludeWeekends === 'boolean') setExcludeWeekends(source.excludeWeekends);
+        if (source.workflowId) setWorkflowId(source.workflowId);
+    }
+
     // ─── Validáció ──────────────────────────────────────────────────────────
     const errors = useMemo(() => {
         const next = {};
@@ -86,14 +118,22 @@ export default function CreatePublicationModal() {
             next.coverageEnd = 'A végoldal nem lehet kisebb, mint a kezdőoldal.';
         }
 
-        if (workflows.length === 0) {
+        if (isClone) {
+            if (!sourcePublication.workflowId) {
+                next.workflowId = 'A forrás kiadványhoz nincs workflow rendelve.';
+            }
+            const offsetNum = Number(deadlineOffsetDays);
+            if (!Number.isInteger(offsetNum) || Math.abs(offsetNum) > MAX_DEADLINE_OFFSET_DAYS) {
+                next.deadlineOffsetDays = `Az eltolás egész szám legyen, legfeljebb ±${MAX_DEADLINE_OFFSET_DAYS} nap.`;
+            }
+        } else if (workflows.length === 0) {
             next.workflowId = 'Nincs workflow az aktív szerkesztőségben.';
         } else if (!workflowId) {
             next.workflowId = 'Válassz workflow-t.';
         }
 
         return next;
-    }, [name, coverageStart, coverageEnd, workflowId, workflows]);
+    }, [name, coverageStart, coverageEnd, workflowId, workflows, isClone, sourcePublication, deadlineOffsetDays]);
 
     const hasErrors = Object.keys(errors).length > 0;
 
@@ -107,6 +147,7 @@ export default function CreatePublicationModal() {
         if (needsWorkflow) return 'Válassz egy workflow-t.';
         if (errors.workflowId) return errors.workflowId;
         if (errors.coverageStart || errors.coverageEnd) return 'Ellenőrizd a lefedett oldalakat.';
+        if (errors.deadlineOffsetDays) return 'Ellenőrizd a határidők eltolását.';
         return '';
     }, [hasErrors, name, workflowId, workflows.length, errors]);
 
@@ -114,7 +155,7 @@ export default function CreatePublicationModal() {
     async function handleSubmit(e) {
         e?.preventDefault?.();
         setTouched({
-            name: true, coverageStart: true, coverageEnd: true, workflowId: true
+            name: true, coverageStart: true, coverageEnd: true, workflowId: true, deadlineOffsetDays: true
         });
         if (hasErrors || isSubmitting) return;
 
@@ -127,6 +168,11 @@ export default function CreatePublicationModal() {
             return;
         }
 
+        if (isClone) {
+            await submitClone();
+            return;
+        }
+
         try {
             // A.2.10 (ADR 0008) — atomic CF action. Egyetlen szerver-oldali
             // create + autoseed → nincs kliens-oldali tranziens "workflowId
@@ -183,14 +229,66 @@ export default function CreatePublicationModal() {
         }
     }
 
+    // Klónozás: a layoutokat a CF másolja, így az alapértelmezett „A" layout
+    // itt elmarad. A forrás `rootPath`-ja NEM öröklődik — a Plugin állítja be.
+    async function submitClone() {
+        try {
+            const response = await clonePublication({
+                sourcePublicationId,
+                name: name.trim(),
+                coverageStart: parseInt(coverageStart, 10),
+                coverageEnd: parseInt(coverageEnd, 10),
+                deadlineOffsetDays: Number(deadlineOffsetDays),
+                includePlannedArticles
+            });
+            const publication = response?.publication;
+            if (!publication?.$id) {
+                throw new Error('publication_clone_failed: empty response');
+            }
+            await applyCreatedPublicationLocal(publication);
+            showAutoseedWarnings(showToast, response?.autoseed?.warnings, 'CreatePublicationModal');
+
+            if (response.droppedDeadlines > 0) {
+                showToast(`${response.droppedDeadlines} határidő kimaradt, mert az új terjedelmen kívül esett.`, 'warning');
+            }
+            showToast(`„${publication.name}" kiadvány létrehozva „${sourcePublication.name}" alapján.`, 'success');
+            closeModal();
+        } catch (err) {
+            console.error('[CreatePublicationModal] Klónozás hiba:', err);
+            const reason = err?.code || err?.message || 'Ismeretlen hiba a kiadvány létrehozásakor.';
+            setSubmitError(reason);
+        } finally {
+            setIsSubmitting(false);
+        }
+    }
+
     function markTouched(field) {
         setTouched((prev) => (prev[field] ? prev : { ...prev, [field]: true }));
     }
 
-    const workflowDisabled = workflows.length <= 1;
+    const workflowDisabled = isClone || workflows.length <= 1;
 
     return (
         <form className="publication-form" onSubmit={handleSubmit}>
+            {/* Forrás — korábbi szám alapján */}
+            {publications.length > 0 && (
+                <div className="form-group">
+                    <label htmlFor="cp-source">Kiindulás</label>
+                    <select
+                        id="cp-source"
+                        className="form-select"
+                        value={sourcePublicationId}
+                        onChange={(e) => handleSourceChange(e.target.value)}
+                        disabled={isSubmitting}
+                    >
+                        <option value="">Üres kiadvány</option>
+                        {publications.map((p) => (
+                            <option key={p.$id} value={p.$id}>Korábbi szám alapján: {p.name}</option>
+                        ))}
+                    </select>
+                </div>
+            )}
+
             {/* Név */}
             <div className="form-group">
                 <label htmlFor="cp-name">Név</label>
@@ -256,6 +354,40 @@ export default function CreatePublicationModal() {
                 </label>
             </div>
 
+            {/* Klónozási beállítások */}
+            {isClone && (
+                <>
+                    <div className="form-group">
+                        <label htmlFor="cp-offset">Határidők eltolása (nap)</label>
+                        <input
+                            id="cp-offset"
+                            type="number"
+                            step="1"
+                            value={deadlineOffsetDays}
+                            onChange={(e) => setDeadlineOffsetDays(e.target.value)}
+                            onBlur={() => markTouched('deadlineOffsetDays')}
+                            className={touched.deadlineOffsetDays && errors.deadlineOffsetDays ? 'invalid-input' : ''}
+                        />
+                        {touched.deadlineOffsetDays && errors.deadlineOffsetDays && (
+                            <div className="form-error">{errors.deadlineOffsetDays}</div>
+                        )}
+                        <div className="help-text">
+                            A layoutok, a közreműködők és a workflow a forrásból másolódnak; az új terjedelmen kívül eső határidők kimaradnak.
+                        </div>
+                    </div>
+                    <div className="form-group form-checkbox-group">
+                        <label className="form-checkbox-label">
+                            <input
+                                type="checkbox"
+                                checked={includePlannedArticles}
+                                onChange={(e) => setIncludePlannedArticles(e.target.checked)}
+                            />
+                            <span>A forrás cikkei tervezett cikkként (oldaltartománnyal) jelenjenek meg</span>
+                        </label>
+                    </div>
+                </>
+            )}
+
             {/* Workflow dropdown */}
             <div className="form-group">
                 <label htmlFor="cp-workflow">Workflow</label>
@@ -16,6 +16,9 @@
  *   - A tab alján „Aktiválás" szekció: ha még nincs aktiválva, a gomb csak
  *     akkor engedett, ha a workflow + határidők mind érvényesek. Megerősítés
  *     ConfirmDialog-gal. Ha már aktivált, zöld státusz + időbélyeg.
+ *   - Aktivált kiadványnál, ha a workflow-nak azóta újabb verziója van, a
+ *     „Workflow frissítése" gomb a PublicationWorkflowMigrationDialog-ot
+ *     nyitja (diff + állapot-megfeleltetés).
  */
 
 import React, { useState, useEffect, useMemo } from 'react';
@@ -32,6 +35,7 @@ import { DATABASE_ID, COLLECTIONS } from '../../config.js';
 import DangerZone from '../DangerZone.jsx';
 import WorkflowLibraryPanel from '../workflows/WorkflowLibraryPanel.jsx';
 import EmptyRequiredGroupsDialog from './EmptyRequiredGroupsDialog.jsx';
+import PublicationWorkflowMigrationDialog from './PublicationWorkflowMigrationDialog.jsx';
 import { parseCompiledWorkflow } from '@shared/parseCompiledWorkflow.js';
 
 function formatActivatedAt(iso) {
@@ -198,6 +202,32 @@ export default function GeneralTab({ publication }) {
     }, [databases, publication.workflowId, inlineWorkflow]);
     const currentWorkflow = inlineWorkflow || archivedFallback;
 
+    // Workflow-verziók: a kiadvány snapshot-ja vs. a workflow aktuális
+    // compiled-je. Frissítés csak előre (újabb verzióra) kínálható.
+    const snapshotVersion = useMemo(
+        () => parseCompiledWorkflow(publication.compiledWorkflowSnapshot)?.version ?? null,
+        [publication.compiledWorkflowSnapshot]
+    );
+    const currentWorkflowVersion = useMemo(
+        () => parseCompiledWorkflow(currentWorkflow?.compiled)?.version ?? null,
+        [currentWorkflow?.compiled]
+    );
+    const canMigrateWorkflow = isActivated
+        && snapshotVersion != null
+        && currentWorkflowVersion != null
+        && currentWorkflowVersion > snapshotVersion;
+
+    function handleOpenWorkflowMigration() {
+        if (!canMigrateWorkflow) return;
+        openModal(
+            <PublicationWorkflowMigrationDialog
+                publication={publication}
+                workflowDoc={currentWorkflow}
+            />,
+            { size: 'lg', title: `Workflow frissítése — v${snapshotVersion} → v${currentWorkflowVersion}` }
+        );
+    }
+
     function handleOpenWorkflowLibrary() {
         if (workflowDisabled) return;
         openModal(
@@ -447,12 +477,31 @@ export default function GeneralTab({ publication }) {
             <div className="form-group publication-activation">
                 <label>Aktiválás</label>
                 {isActivated ? (
-                    <div className="activation-status activation-status-active">
-                        <span className="activation-badge">✓ Aktiválva</span>
-                        {publication.activatedAt && (
-                            <span className="activation-date">{formatActivatedAt(publication.activatedAt)}</span>
+                    <>
+                        <div className="activation-status activation-status-active">
+                            <span className="activation-badge">✓ Aktiválva</span>
+                            {publication.activatedAt && (
+                                <span className="activation-date">{formatActivatedAt(publication.activatedAt)}</span>
+                            )}
+                            {snapshotVersion != null && (
+                                <span className="activation-date">workflow v{snapshotVersion}</span>
+                            )}
+                        </div>
+                        {canMigrateWorkflow && (
+                            <div className="activation-migration">
+                                <span className="form-hint">
+                                    A workflow-nak újabb verziója érhető el (v{currentWorkflowVersion}).
+                                </span>
+                                <button
+                                    type="button"
+                                    className="btn-secondary"
+                                    onClick={handleOpenWorkflowMigration}
+                                >
+                                    Workflow frissítése v{snapshotVersion} → v{currentWorkflowVersion}
+                                </button>
+                            </div>
                         )}
-                    </div>
+                    </>
                 ) : (
                     <>
                         {activation.errors.length > 0 && (
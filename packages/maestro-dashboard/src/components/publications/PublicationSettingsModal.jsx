@@ -2,7 +2,7 @@
  * Maestro Dashboard — PublicationSettingsModal
  *
  * Egy létező publikáció teljes beállításait szerkesztő container modal.
- * 4 fül: Általános / Layoutok / Határidők / Közreműködők.
+ * 5 fül: Általános / Layoutok / Határidők / Hirdetések / Közreműködők.
  *
  * A modalt a ModalContext nyitja meg — a `publicationId` prop a DataContext
  * `publications` listájából oldódik fel, így a Realtime frissítések
@@ -17,12 +17,14 @@ import AnimatedAutoHeight from '../AnimatedAutoHeight.jsx';
 import GeneralTab from './GeneralTab.jsx';
 import LayoutsTab from './LayoutsTab.jsx';
 import DeadlinesTab from './DeadlinesTab.jsx';
+import AdsTab from './AdsTab.jsx';
 import ContributorsTab from './ContributorsTab.jsx';
 
 const TAB_DEFS = [
     { id: 'general', label: 'Általános' },
     { id: 'layouts', label: 'Layoutok' },
     { id: 'deadlines', label: 'Határidők' },
+    { id: 'ads', label: 'Hirdetések' },
     { id: 'contributors', label: 'Közreműködők' }
 ];
 
@@ -65,6 +67,7 @@ export default function PublicationSettingsModal({ publicationId, initialTab = '
                     {activeTab === 'general' && <GeneralTab publication={publication} />}
                     {activeTab === 'layouts' && <LayoutsTab publication={publication} />}
                     {activeTab === 'deadlines' && <DeadlinesTab publication={publication} />}
+                    {activeTab === 'ads' && <AdsTab publication={publication} />}
                     {activeTab === 'contributors' && <ContributorsTab publication={publication} />}
                 </div>
             </AnimatedAutoHeight>
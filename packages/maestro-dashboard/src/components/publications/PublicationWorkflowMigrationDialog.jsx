@@ -0,0 +1,220 @@
+/**
+ * Maestro Dashboard — PublicationWorkflowMigrationDialog
+ *
+ * Aktivált kiadvány átállítása a workflow legfrissebb verziójára. A
+ * kiadvány az aktiváláskor rögzített `compiledWorkflowSnapshot`-on fut — a
+ * dialógus megmutatja a snapshot és a workflow aktuális `compiled`-je közti
+ * strukturális eltérést, majd a megszűnt állapotokban álló cikkekhez
+ * állapot-megfeleltetést kér (régi állapot → új állapot).
+ *
+ * A migrációt a `migrate_publication_workflow` CF action végzi (snapshot-csere
+ * + cikk-átállítás). Ha a szerver a dialógus megnyitása óta újabb megszűnt
+ * állapotú cikket talál, 409 `state_mapping_required`-del válaszol — ezeket
+ * a sorokat a táblázat kiegészíti, és a felhasználó újra beküldheti.
+ */
+
+import React, { useMemo, useState } from 'react';
+import { findRemovedStateIds } from '@shared/workflowDiff.js';
+import { parseCompiledWorkflow } from '@shared/parseCompiledWorkflow.js';
+import { normalizeParallelStates } from '@shared/parallelStates.js';
+import { useData } from '../../contexts/DataContext.jsx';
+import { useAuth } from '../../contexts/AuthContext.jsx';
+import { useModal } from '../../contexts/ModalContext.jsx';
+import { useToast } from '../../contexts/ToastContext.jsx';
+import { showAutoseedWarnings } from '../../utils/autoseedWarnings.js';
+import WorkflowDiffView from '../workflows/WorkflowDiffView.jsx';
+import EmptyRequiredGroupsDialog from './EmptyRequiredGroupsDialog.jsx';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.publication - Az aktivált kiadvány doc
+ * @param {Object} props.workflowDoc - A kiadványhoz rendelt workflow doc (aktuális `compiled`)
+ */
+export default function PublicationWorkflowMigrationDialog({ publication, workflowDoc }) {
+    const { articles, applyPublicationPatchLocal } = useData();
+    const { migratePublicationWorkflow } = useAuth();
+    const { closeModal, openModal } = useModal();
+    const { showToast } = useToast();
+
+    const baseCompiled = useMemo(
+        () => parseCompiledWorkflow(publication.compiledWorkflowSnapshot),
+        [publication.compiledWorkflowSnapshot]
+    );
+    const targetCompiled = useMemo(
+        () => parseCompiledWorkflow(workflowDoc?.compiled),
+        [workflowDoc?.compiled]
+    );
+    const fromVersion = baseCompiled?.version ?? 1;
+    const toVersion = targetCompiled?.version ?? 1;
+
+    const [mapping, setMapping] = useState({});
+    // A szerver 409 `state_mapping_required` válaszából érkező extra sorok
+    // (a lokális `articles` lista és a DB eltérhet).
+    const [serverUnmapped, setServerUnmapped] = useState([]);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    // Megszűnt állapotok, amelyekben legalább egy cikk áll → mapping-sor.
+    // Párhuzamos szakaszban a megmaradó fork megszűnt ág-tokenjei is (a CF-fel
+    // azonos szabály: megszűnt fork esetén csak maga a fork megfeleltetendő).
+    const mappingRows = useMemo(() => {
+        const removed = new Set(findRemovedStateIds(baseCompiled, targetCompiled));
+        const targetIds = new Set((targetCompiled?.states || []).map(s => s.id));
+        const isRemoved = (state) => removed.has(state) || !targetIds.has(state);
+        const counts = new Map();
+        for (const article of articles) {
+            if (article.publicationId !== publication.$id) continue;
+            const states = isRemoved(article.state)
+                ? [article.state]
+                : new Set(normalizeParallelStates(article.parallelStates).filter(isRemoved));
+            for (const state of states) {
+                counts.set(state, (counts.get(state) || 0) + 1);
+            }
+        }
+        for (const entry of serverUnmapped) {
+            counts.set(entry.state, Math.max(counts.get(entry.state) || 0, entry.count));
+        }
+        const baseLabels = new Map((baseCompiled?.states || []).map(s => [s.id, s.label || s.id]));
+        return [...counts].map(([state, count]) => ({
+            state,
+            label: baseLabels.get(state) || state,
+            count
+        }));
+    }, [articles, publication.$id, baseCompiled, targetCompiled, serverUnmapped]);
+
+    const targetStates = targetCompiled?.states || [];
+    const isComplete = mappingRows.every(row => mapping[row.state]);
+
+    async function handleSubmit() {
+        if (!isComplete || isSubmitting) return;
+        setIsSubmitting(true);
+        try {
+            const response = await migratePublicationWorkflow(publication.$id, {
+                targetVersion: toVersion,
+                stateMapping: mapping,
+                expectedUpdatedAt: publication.$updatedAt
+            });
+            if (response?.publication) {
+                applyPublicationPatchLocal(publication.$id, response.publication);
+            }
+            const failed = response?.failedArticles?.length || 0;
+            if (failed > 0) {
+                showToast(`Workflow frissítve (v${fromVersion} → v${toVersion}), de ${failed} cikk átállítása sikertelen. Próbáld újra.`, 'error');
+            } else {
+                const moved = response?.migratedArticles || 0;
+                const note = moved > 0 ? ` ${moved} cikk új állapotba került.` : '';
+                showToast(`Workflow frissítve: v${fromVersion} → v${toVersion}.${note}`, 'success');
+            }
+            showAutoseedWarnings(showToast, response?.autoseed?.warnings, 'PublicationWorkflowMigration');
+            closeModal();
+        } catch (err) {
+            console.error('[PublicationWorkflowMigrationDialog] Migráció sikertelen:', err);
+            const reason = err?.code || err?.message || 'ismeretlen hiba';
+
+            if (reason === 'state_mapping_required') {
+                setServerUnmapped(err.response?.unmappedStates || []);
+                showToast('Újabb megszűnt állapotú cikkek kerültek elő — add meg az állapotukat is.', 'error');
+                return;
+            }
+            if (reason === 'empty_required_groups') {
+                closeModal();
+                openModal(
+                    <EmptyRequiredGroupsDialog
+                        publication={publication}
+                        missingSlugs={err.slugs || err.response?.slugs || []}
+                        workflowCompiled={targetCompiled}
+                    />,
+                    { size: 'md', title: 'Workflow frissítés blokkolva — üres csoportok' }
+                );
+                return;
+            }
+
+            const message = reason === 'concurrent_modification'
+                ? 'A kiadvány módosult a betöltés óta. Frissítsd az oldalt.'
+                : reason === 'version_downgrade'
+                    ? 'A kiadvány már egy újabb workflow-verzión fut.'
+                    : reason === 'invalid_state_mapping'
+                        ? 'Érvénytelen állapot-megfeleltetés.'
+                        : `Workflow frissítés sikertelen: ${reason}`;
+            showToast(message, 'error');
+        } finally {
+            setIsSubmitting(false);
+        }
+    }
+
+    if (!baseCompiled || !targetCompiled) {
+        return (
+            <div className="publication-form">
+                <p>A workflow-verziók nem olvashatók — a frissítés nem indítható.</p>
+                <div className="modal-actions">
+                    <button type="button" className="btn-secondary" onClick={closeModal}>Bezárás</button>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="publication-form workflow-migration">
+            <p>
+                A(z) <strong>„{publication.name}"</strong> kiadvány a <strong>{workflowDoc.name}</strong> workflow
+                {' '}<strong>v{fromVersion}</strong> verzióján fut. A frissítés után a
+                {' '}<strong>v{toVersion}</strong> szabályai érvényesek az összes cikkre.
+            </p>
+
+            <WorkflowDiffView base={baseCompiled} target={targetCompiled} />
+
+            {mappingRows.length > 0 && (
+                <div className="workflow-migration__mapping">
+                    <h4 className="workflow-diff__title">Állapot-megfeleltetés</h4>
+                    <p className="form-hint">
+                        Az alábbi állapotok megszűnnek — válaszd ki, melyik új állapotba kerüljenek a bennük álló cikkek.
+                    </p>
+                    <table className="workflow-migration__table">
+                        <thead>
+                            <tr>
+                                <th>Megszűnő állapot</th>
+                                <th>Cikkek</th>
+                                <th>Új állapot</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {mappingRows.map(row => (
+                                <tr key={row.state}>
+                                    <td>{row.label}</td>
+                                    <td>{row.count}</td>
+                                    <td>
+                                        <select
+                                            value={mapping[row.state] || ''}
+                                            onChange={(e) => setMapping(prev => ({ ...prev, [row.state]: e.target.value }))}
+                                            aria-label={`${row.label} új állapota`}
+                                            disabled={isSubmitting}
+                                        >
+                                            <option value="">Válassz…</option>
+                                            {targetStates.map(s => (
+                                                <option key={s.id} value={s.id}>{s.label || s.id}</option>
+                                            ))}
+                                        </select>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <div className="modal-actions">
+                <button type="button" className="btn-secondary" onClick={closeModal} disabled={isSubmitting}>
+                    Mégse
+                </button>
+                <button
+                    type="button"
+                    className="btn-primary"
+                    onClick={handleSubmit}
+                    disabled={!isComplete || isSubmitting}
+                    title={isComplete ? undefined : 'Minden megszűnő állapothoz válassz új állapotot.'}
+                >
+                    {isSubmitting ? 'Frissítés…' : `Frissítés v${toVersion}-re`}
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,183 @@
+/**
+ * Maestro Dashboard — WorkflowDiffView
+ *
+ * Két compiled workflow strukturális eltérése szekciókban (állapotok,
+ * átmenetek, jogosultságok, kiadvány-szintű bővítmények), hozzáadott /
+ * törölt / módosított jelöléssel.
+ * A számítás a shared `diffCompiledWorkflows()`-ból jön — a komponens csak
+ * megjelenít. Két helyen használt: a Designer „Verziók" dialógusa és a
+ * publikáció workflow-migrációs dialógusa.
+ */
+
+import React, { useMemo } from 'react';
+import { diffCompiledWorkflows } from '@shared/workflowDiff.js';
+
+/** A módosított mezők magyar címkéi. */
+const FIELD_LABELS = {
+    label: 'név',
+    color: 'szín',
+    duration: 'időtartam',
+    isInitial: 'kezdő állapot',
+    isTerminal: 'záró állapot',
+    kind: 'párhuzamos jelölés',
+    validations: 'validációk',
+    commands: 'parancsok',
+    autoTransitions: 'automatikus átmenet',
+    direction: 'irány',
+    allowedGroups: 'jogosult csoportok',
+    guards: 'feltételek'
+};
+
+/** Slug-lista diff szekciók (`permissions.*`) címkéi. */
+const SLUG_SECTIONS = [
+    ['leaderGroups', 'Vezető csoportok'],
+    ['contributorGroups', 'Munkatárs csoportok'],
+    ['requiredGroupSlugs', 'Kötelező csoportok']
+];
+
+function describeFields(fields) {
+    return fields.map(f => FIELD_LABELS[f] || f).join(', ');
+}
+
+/**
+ * @param {Object} props
+ * @param {Object|null} props.base - Kiinduló compiled JSON
+ * @param {Object|null} props.target - Cél compiled JSON
+ */
+export default function WorkflowDiffView({ base, target }) {
+    const diff = useMemo(() => diffCompiledWorkflows(base, target), [base, target]);
+
+    // Állapot ID → címke mindkét oldalról (a törölt állapotok a base-ben élnek).
+    const stateLabels = useMemo(() => {
+        const map = new Map();
+        for (const s of base?.states || []) map.set(s.id, s.label || s.id);
+        for (const s of target?.states || []) map.set(s.id, s.label || s.id);
+        return map;
+    }, [base, target]);
+
+    if (!diff.hasChanges) {
+        return <p className="workflow-diff__empty">Nincs strukturális eltérés a két verzió között.</p>;
+    }
+
+    const stateName = (id) => stateLabels.get(id) || id;
+    const transitionName = (t) => `${stateName(t.from)} → ${stateName(t.to)}${t.label ? ` („${t.label}")` : ''}`;
+
+    const { states, transitions, permissions, publicationExtensions } = diff;
+    const hasStateChanges = states.added.length + states.removed.length + states.changed.length > 0;
+    const hasTransitionChanges = transitions.added.length + transitions.removed.length + transitions.changed.length > 0;
+    const slugSections = SLUG_SECTIONS.filter(([key]) =>
+        permissions[key].added.length + permissions[key].removed.length > 0
+    );
+    const hasPermissionChanges = permissions.statePermissions.length > 0
+        || slugSections.length > 0
+        || permissions.elementPermissions.length > 0
+        || permissions.capabilities.length > 0;
+
+    return (
+        <div className="workflow-diff">
+            {hasStateChanges && (
+                <section className="workflow-diff__section">
+                    <h4 className="workflow-diff__title">Állapotok</h4>
+                    <ul className="workflow-diff__list">
+                        {states.added.map(s => (
+                            <DiffItem key={`a-${s.id}`} kind="added">{s.label}</DiffItem>
+                        ))}
+                        {states.removed.map(s => (
+                            <DiffItem key={`r-${s.id}`} kind="removed">{s.label}</DiffItem>
+                        ))}
+                        {states.changed.map(s => (
+                            <DiffItem key={`c-${s.id}`} kind="changed">
+                                {s.label} <span className="workflow-diff__detail">({describeFields(s.fields)})</span>
+                            </DiffItem>
+                        ))}
+                    </ul>
+                </section>
+            )}
+
+            {hasTransitionChanges && (
+                <section className="workflow-diff__section">
+                    <h4 className="workflow-diff__title">Átmenetek</h4>
+                    <ul className="workflow-diff__list">
+                        {transitions.added.map(t => (
+                            <DiffItem key={`a-${t.from}-${t.to}`} kind="added">{transitionName(t)}</DiffItem>
+                        ))}
+                        {transitions.removed.map(t => (
+                            <DiffItem key={`r-${t.from}-${t.to}`} kind="removed">{transitionName(t)}</DiffItem>
+                        ))}
+                        {transitions.changed.map(t => (
+                            <DiffItem key={`c-${t.from}-${t.to}`} kind="changed">
+                                {transitionName(t)} <span className="workflow-diff__detail">({describeFields(t.fields)})</span>
+                            </DiffItem>
+                        ))}
+                    </ul>
+                </section>
+            )}
+
+            {hasPermissionChanges && (
+                <section className="workflow-diff__section">
+                    <h4 className="workflow-diff__title">Jogosultságok</h4>
+                    <ul className="workflow-diff__list">
+                        {permissions.statePermissions.map(p => (
+                            <DiffItem key={`sp-${p.stateId}`} kind="changed">
+                                {stateName(p.stateId)} mozgatása: <SlugChanges added={p.added} removed={p.removed} />
+                            </DiffItem>
+                        ))}
+                        {slugSections.map(([key, label]) => (
+                            <DiffItem key={key} kind="changed">
+                                {label}: <SlugChanges added={permissions[key].added} removed={permissions[key].removed} />
+                            </DiffItem>
+                        ))}
+                        {permissions.elementPermissions.length > 0 && (
+                            <DiffItem kind="changed">
+                                UI-elem jogosultságok: <span className="workflow-diff__detail">{permissions.elementPermissions.join(', ')}</span>
+                            </DiffItem>
+                        )}
+                        {permissions.capabilities.length > 0 && (
+                            <DiffItem kind="changed">
+                                Képességek: <span className="workflow-diff__detail">{permissions.capabilities.join(', ')}</span>
+                            </DiffItem>
+                        )}
+                    </ul>
+                </section>
+            )}
+
+            {publicationExtensions.length > 0 && (
+                <section className="workflow-diff__section">
+                    <h4 className="workflow-diff__title">Kiadvány-szintű bővítmények</h4>
+                    <ul className="workflow-diff__list">
+                        <DiffItem kind="changed">
+                            <span className="workflow-diff__detail">{describeFields(publicationExtensions)}</span>
+                        </DiffItem>
+                    </ul>
+                </section>
+            )}
+        </div>
+    );
+}
+
+// ─── Segédek ────────────────────────────────────────────────────────────────
+
+const KIND_MARKERS = {
+    added: { symbol: '+', label: 'hozzáadva' },
+    removed: { symbol: '−', label: 'törölve' },
+    changed: { symbol: '~', label: 'módosítva' }
+};
+
+function DiffItem({ kind, children }) {
+    const marker = KIND_MARKERS[kind];
+    return (
+        <li className={`workflow-diff__item workflow-diff__item--${kind}`}>
+            <span className="workflow-diff__marker" aria-label={marker.label}>{marker.symbol}</span>
+            <span>{children}</span>
+        </li>
+    );
+}
+
+function SlugChanges({ added, removed }) {
+    return (
+        <span className="workflow-diff__detail">
+            {added.map(slug => <code key={`+${slug}`} className="workflow-diff__slug is-added">+{slug}</code>)}
+            {removed.map(slug => <code key={`-${slug}`} className="workflow-diff__slug is-removed">−{slug}</code>)}
+        </span>
+    );
+}
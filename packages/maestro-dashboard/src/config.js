@@ -39,6 +39,13 @@ export const APPWRITE_ENDPOINT = import.meta.env.VITE_APPWRITE_ENDPOINT || 'http
  */
 export const DASHBOARD_URL = import.meta.env.VITE_DASHBOARD_URL || window.location.origin;
 
+/**
+ * A `maestro-proxy` alap URL-je (a `/v1` Appwrite-proxy előtag nélkül) — a
+ * szerveroldali szolgáltatásokhoz, pl. a flatplan PDF / SVG exporthoz
+ * (`/api/flatplan-export`). Env var: `VITE_PROXY_URL`.
+ */
+export const PROXY_URL = (import.meta.env.VITE_PROXY_URL || 'https://gallant-balance-production-b513.up.railway.app').replace(/\/+$/, '');
+
 /** Dashboard localStorage kulcsok. */
 export const STORAGE_KEYS = {
     SELECTED_PUBLICATION: 'maestro.dashboard.selectedPublication',
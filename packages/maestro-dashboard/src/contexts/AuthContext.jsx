@@ -1105,6 +1105,30 @@ export function AuthProvider({ children }) {
         );
     }, [user?.$id]);
 
+    /**
+     * Aktivált publikáció átállítása a workflow egy újabb verziójára a
+     * `migrate_publication_workflow` CF action-ön át (snapshot-csere).
+     *
+     * A `stateMapping` (`{ régiÁllapotId: újÁllapotId }`) a cél-verzióban már
+     * nem létező állapotú cikkekhez kell; hiányában a CF 409
+     * `state_mapping_required`-et ad az `unmappedStates` listával.
+     *
+     * @param {string} publicationId
+     * @param {Object} [options]
+     * @param {number} [options.targetVersion] - Hiányában a workflow aktuális verziója
+     * @param {Object<string, string>} [options.stateMapping]
+     * @param {string} [options.expectedUpdatedAt] - TOCTOU guard
+     * @returns {Promise<{ fromVersion, toVersion, migratedArticles, failedArticles, publication }>}
+     */
+    const migratePublicationWorkflow = useCallback(async (publicationId, { targetVersion, stateMapping, expectedUpdatedAt } = {}) => {
+        if (!user?.$id) throw new Error('not_authenticated');
+        const payload = { publicationId };
+        if (targetVersion != null) payload.targetVersion = targetVersion;
+        if (stateMapping && Object.keys(stateMapping).length > 0) payload.stateMapping = stateMapping;
+        if (expectedUpdatedAt) payload.expectedUpdatedAt = expectedUpdatedAt;
+        return callInviteFunction('migrate_publication_workflow', payload, 'workflow_migration_failed');
+    }, [user?.$id]);
+
     /**
      * A.2.3 (ADR 0008) — Workflow hozzárendelése publikációhoz CF-en át.
      * A `assign_workflow_to_publication` autoseed-eli a hiányzó
@@ -1145,6 +1169,21 @@ export function AuthProvider({ children }) {
         );
     }, [user?.$id]);
 
+    /**
+     * Új kiadvány egy korábbi szám mintájára (`clone_publication` CF action).
+     * A szerver másolja a workflow-hozzárendelést, a közreműködőket, a
+     * layoutokat és az eltolt határidőket; `includePlannedArticles` esetén a
+     * forrás cikkei tervezett cikkként kerülnek a `plannedArticles` mezőbe.
+     *
+     * @param {Object} payload — `{ sourcePublicationId, name, coverageStart?,
+     *   coverageEnd?, deadlineOffsetDays?, includePlannedArticles? }`
+     * @returns {Promise<{ publication, clonedLayouts, clonedDeadlines, droppedDeadlines, plannedArticles, autoseed }>}
+     */
+    const clonePublication = useCallback(async (payload) => {
+        if (!user?.$id) throw new Error('not_authenticated');
+        return callInviteFunction('clone_publication', payload, 'publication_clone_failed');
+    }, [user?.$id]);
+
     /**
      * Fázis 8 — Szervezet kaszkád törlés.
      *
@@ -1309,6 +1348,147 @@ export function AuthProvider({ children }) {
         );
     }, [user?.$id]);
 
+    /**
+     * Szerkesztőségi munkanaptár mentése (`update_office_calendar` CF action,
+     * `office.settings.edit`). `calendar: null` → alapértelmezett naptár.
+     * A hívó a sikeres mentés után `reloadMemberships()`-szel frissíti az
+     * `editorialOffices` listát (a sürgősség-számítás onnan olvassa).
+     *
+     * @param {string} editorialOfficeId
+     * @param {Object|null} calendar - `maestro-shared/workingCalendar.js` séma
+     */
+    const updateOfficeCalendar = useCallback(async (editorialOfficeId, calendar) => {
+        if (!user?.$id) throw new Error('not_authenticated');
+        return callInviteFunction(
+            'update_office_calendar',
+            { editorialOfficeId, calendar },
+            'office_calendar_update_failed'
+        );
+    }, [user?.$id]);
+
+    /**
+     * Szerkesztőségi kimenő webhookok + a legutóbbi kézbesítések naplója
+     * (`list_office_webhooks` CF action). A secret sosem jön vissza a listában.
+     *
+     * @param {string} editorialOfficeId
+     * @returns {Promise<{ webhooks: Object[], deliveries: Object[] }>}
+     */
+    const listOfficeWebhooks = useCallback(async (editorialOfficeId) => {
+        if (!user?.$id) throw new Error('not_authenticated');
+        return callInviteFunction(
+            'list_office_webhooks',
+            { editorialOfficeId },
+            'webhook_list_failed'
+        );
+    }, [user?.$id]);
+
+    /**
+     * Új webhook feliratkozás (`create_office_webhook`, `office.settings.edit`).
+     * A válasz `secret` mezője csak itt (és rotáláskor) látható egyszer.
+     *
+     * @param {string} editorialOfficeId
+     * @param {{ name: string, url: string, events: string[], enabled?: boolean }} webhook
+     */
+    const createOfficeWebhook = useCallback(async (editorialOfficeId, webhook) => {
+        if (!user?.$id) throw new Error('not_authenticated');
+        return callInviteFunction(
+            'create_office_webhook',
+            { editorialOfficeId, ...webhook },
+            'webhook_create_failed'
+        );
+    }, [user?.$id]);
+
+    /**
+     * Webhook részleges frissítése (`name` / `url` / `events` / `enabled`).
+     *
+     * @param {string} webhookId
+     * @param {Object} updates
+     */
+    const updateOfficeWebhook = useCallback(async (webhookId, updates) => {
+        if (!user?.$id) throw new Error('not_authenticated');
+        return callInviteFunction(
+            'update_office_webhook',
+            { webhookId, ...updates },
+            'webhook_update_failed'
+        );
+    }, [user?.$id]);
+
+    /**
+     * Új HMAC secret generálása — a régi azonnal érvénytelen, a függő
+     * retry-k már az újjal aláírva mennek ki.
+     *
+     * @param {string} webhookId
+     */
+    const rotateOfficeWebhookSecret = useCallback(async (webhookId) => {
+        if (!user?.$id) throw new Error('not_authenticated');
+        return callInviteFunction(
+            'rotate_office_webhook_secret',
+            { webhookId },
+            'webhook_update_failed'
+        );
+    }, [user?.$id]);
+
+    /**
+     * Webhook törlése. A függő kézbesítéseket az `office-webhooks` CF
+     * következő retry-köre `webhook_deleted` hibával zárja le.
+     *
+     * @param {string} webhookId
+     */
+    const deleteOfficeWebhook = useCallback(async (webhookId) => {
+        if (!user?.$id) throw new Error('not_authenticated');
+        return callInviteFunction(
+            'delete_office_webhook',
+            { webhookId },
+            'webhook_delete_failed'
+        );
+    }, [user?.$id]);
+
+    /**
+     * A publikus olvasó API szerkesztőségi kulcsai (`list_office_api_keys`),
+     * a visszavontakkal együtt. A nyers kulcs és a hash sosem jön vissza.
+     *
+     * @param {string} editorialOfficeId
+     * @returns {Promise<{ apiKeys: Object[] }>}
+     */
+    const listOfficeApiKeys = useCallback(async (editorialOfficeId) => {
+        if (!user?.$id) throw new Error('not_authenticated');
+        return callInviteFunction(
+            'list_office_api_keys',
+            { editorialOfficeId },
+            'api_key_list_failed'
+        );
+    }, [user?.$id]);
+
+    /**
+     * Új API kulcs (`create_office_api_key`, `office.settings.edit`). A válasz
+     * `key` mezője az egyetlen alkalom, amikor a nyers kulcs látható.
+     *
+     * @param {string} editorialOfficeId
+     * @param {string} name
+     */
+    const createOfficeApiKey = useCallback(async (editorialOfficeId, name) => {
+        if (!user?.$id) throw new Error('not_authenticated');
+        return callInviteFunction(
+            'create_office_api_key',
+            { editorialOfficeId, name },
+            'api_key_create_failed'
+        );
+    }, [user?.$id]);
+
+    /**
+     * API kulcs visszavonása — a proxy ettől kezdve 401-gyel utasítja el.
+     *
+     * @param {string} apiKeyId
+     */
+    const revokeOfficeApiKey = useCallback(async (apiKeyId) => {
+        if (!user?.$id) throw new Error('not_authenticated');
+        return callInviteFunction(
+            'revoke_office_api_key',
+            { apiKeyId },
+            'api_key_revoke_failed'
+        );
+    }, [user?.$id]);
+
     /**
      * Csoporttagság hozzáadása (org owner/admin). Idempotens — ha a user már
      * tagja a csoportnak, a CF `already_member` választ ad.
@@ -1558,7 +1738,12 @@ export function AuthProvider({ children }) {
      * `/^[a-z0-9]+(?:-[a-z0-9]+)*$/`. Phase 0 hatókör: csak `editorial_office`
      * visibility ÉS csak `article` scope, a többi 400-as.
      *
-     * @param {{ editorialOfficeId: string, name: string, slug: string, kind: 'validator'|'command', scope?: 'article', code: string }} payload
+     * Az opcionális `paramSchema` (JSON string, `@shared/extensionParams.js`)
+     * érvénytelen alakja 400 `invalid_param_schema`, a `testFixtures`-é
+     * (`@shared/extensionFixtures.js`) 400 `invalid_test_fixtures`. Az
+     * opcionális `changeNote` az r1 revízió megjegyzése (400 `invalid_change_note`).
+     *
+     * @param {{ editorialOfficeId: string, name: string, slug: string, kind: 'validator'|'command', scope?: 'article', code: string, paramSchema?: string, testFixtures?: string, changeNote?: string }} payload
      */
     const createWorkflowExtension = useCallback(async (payload) => {
         if (!user?.$id) throw new Error('not_authenticated');
@@ -1571,13 +1756,14 @@ export function AuthProvider({ children }) {
 
     /**
      * Extension szerkesztése (B.3.1). A `slug` immutable. Frissíthető:
-     * `name`, `kind`, `scope`, `code`, `visibility`, `archivedAt` (`null`
-     * implicit restore — a CF dupla auth-ot kér: `extension.edit` ÉS
+     * `name`, `kind`, `scope`, `code`, `paramSchema` és `testFixtures` (`null` törli),
+     * `visibility`, `archivedAt` (`null` implicit restore — a CF dupla auth-ot kér: `extension.edit` ÉS
      * `extension.archive`). Opcionális `expectedUpdatedAt` TOCTOU guard
-     * (`version_conflict` 409).
+     * (`version_conflict` 409). A kód / séma / típus / hatókör változása új
+     * revíziót ad, az opcionális `changeNote` megjegyzéssel.
      *
      * @param {string} extensionId
-     * @param {{ name?: string, kind?: string, scope?: string, code?: string, visibility?: string, archivedAt?: string|null }} patch
+     * @param {{ name?: string, kind?: string, scope?: string, code?: string, paramSchema?: string|null, testFixtures?: string|null, visibility?: string, archivedAt?: string|null, changeNote?: string }} patch
      * @param {string} [expectedUpdatedAt] - opcionális TOCTOU guard
      */
     const updateWorkflowExtension = useCallback(async (extensionId, patch, expectedUpdatedAt) => {
@@ -1664,6 +1850,15 @@ export function AuthProvider({ children }) {
         createEditorialOffice,
         renameOrganization,
         renameEditorialOffice,
+        updateOfficeCalendar,
+        listOfficeWebhooks,
+        createOfficeWebhook,
+        updateOfficeWebhook,
+        rotateOfficeWebhookSecret,
+        deleteOfficeWebhook,
+        listOfficeApiKeys,
+        createOfficeApiKey,
+        revokeOfficeApiKey,
         changeOrganizationMemberRole,
         removeOrganizationMember,
         deleteMyAccount,
@@ -1686,8 +1881,10 @@ export function AuthProvider({ children }) {
         archiveWorkflowExtension,
         restoreWorkflowExtension,
         activatePublication,
+        migratePublicationWorkflow,
         assignWorkflowToPublication,
-        createPublicationWithWorkflow
+        createPublicationWithWorkflow,
+        clonePublication
     }), [
         user,
         loading,
@@ -1718,6 +1915,15 @@ export function AuthProvider({ children }) {
         createEditorialOffice,
         renameOrganization,
         renameEditorialOffice,
+        updateOfficeCalendar,
+        listOfficeWebhooks,
+        createOfficeWebhook,
+        updateOfficeWebhook,
+        rotateOfficeWebhookSecret,
+        deleteOfficeWebhook,
+        listOfficeApiKeys,
+        createOfficeApiKey,
+        revokeOfficeApiKey,
         changeOrganizationMemberRole,
         removeOrganizationMember,
         deleteMyAccount,
@@ -1740,8 +1946,10 @@ export function AuthProvider({ children }) {
         archiveWorkflowExtension,
         restoreWorkflowExtension,
         activatePublication,
+        migratePublicationWorkflow,
         assignWorkflowToPublication,
-        createPublicationWithWorkflow
+        createPublicationWithWorkflow,
+        clonePublication
     ]);
 
     return (
@@ -1,14 +1,14 @@
 /**
  * Maestro Dashboard — Data Context
  *
- * Központi adat állapot: kiadványok, cikkek, layoutok, határidők, validációk,
+ * Központi adat állapot: kiadványok, cikkek, layoutok, határidők, hirdetések, validációk,
  * workflow-k (3-way visibility + derived compiled). Appwrite REST lekérés +
  * megosztott Realtime bus (`contexts/realtimeBus.js`) — minden fogyasztó
  * ezen keresztül iratkozik fel.
  *
  * A `$updatedAt` elavulás-védelem (`isStaleUpdate`) és a workflow Realtime
  * ág (`applyWorkflowEvent`) modul-scope helperekből dolgozik — a handler
- * branch-ek így 1:1-ben követik a többi ág (article/layout/deadline/validation)
+ * branch-ek így 1:1-ben követik a többi ág (article/layout/deadline/ad/validation)
  * struktúráját, és a 3-way visibility logikát a közös
  * `utils/workflowVisibility.js` helper szolgáltatja.
  *
@@ -19,11 +19,11 @@
 
 import React, { createContext, useContext, useState, useCallback, useEffect, useLayoutEffect, useRef, useMemo } from 'react';
 import { Databases, Storage, Query, ID } from 'appwrite';
-import { getClient, useAuth } from './AuthContext.jsx';
+import { getClient, getFunctions, useAuth } from './AuthContext.jsx';
 import { subscribeRealtime, collectionChannel } from './realtimeBus.js';
 import { useScope } from './ScopeContext.jsx';
 import {
-    DATABASE_ID, COLLECTIONS,
+    DATABASE_ID, COLLECTIONS, FUNCTIONS,
     PAGE_SIZE, TEAM_CACHE_DURATION_MS
 } from '../config.js';
 import {
@@ -54,6 +54,7 @@ export function DataProvider({ children }) {
     const [articles, setArticles] = useState([]);
     const [layouts, setLayouts] = useState([]);
     const [deadlines, setDeadlines] = useState([]);
+    const [ads, setAds] = useState([]);
     const [validations, setValidations] = useState([]);
     const [workflows, setWorkflows] = useState([]);
     // Archivált workflow-k külön lista — a WorkflowLibraryPanel „Archivált" fülének
@@ -191,6 +192,7 @@ export function DataProvider({ children }) {
             setArticles([]);
             setLayouts([]);
             setDeadlines([]);
+            setAds([]);
             setValidations([]);
             articleIdsRef.current = new Set();
             if (!silent) setIsLoading(false);
@@ -203,8 +205,8 @@ export function DataProvider({ children }) {
         }
 
         try {
-            // 1. fázis: cikkek, layoutok, határidők párhuzamosan
-            const [articlesResult, layoutsResult, deadlinesResult] = await Promise.all([
+            // 1. fázis: cikkek, layoutok, határidők, hirdetések párhuzamosan
+            const [articlesResult, layoutsResult, deadlinesResult, adsResult] = await Promise.all([
                 databases.listDocuments({
                     databaseId: DATABASE_ID,
                     collectionId: COLLECTIONS.ARTICLES,
@@ -230,12 +232,21 @@ export function DataProvider({ children }) {
                         Query.equal('publicationId', publicationId),
                         Query.limit(100)
                     ]
+                }).catch(() => ({ documents: [] })),
+                databases.listDocuments({
+                    databaseId: DATABASE_ID,
+                    collectionId: COLLECTIONS.ADS,
+                    queries: [
+                        Query.equal('publicationId', publicationId),
+                        Query.limit(500),
+                        Query.orderAsc('page')
+                    ]
                 }).catch(() => ({ documents: [] }))
             ]);
 
             // Stale generation védelem: ha közben másik switch / resync futott,
             // dobjuk el a régebbi választ — különben az új scope cikkjeit
-            // felülírná a stale articles/layouts/deadlines tömb.
+            // felülírná a stale articles/layouts/deadlines/ads tömb.
             // Defense-in-depth: a generation-check mellett az activePublicationIdRef
             // identitását is ellenőrizzük — ha a `resyncRealtimeData` `null`-ra
             // állította (törölt aktív pub észlelése), a stale fetch eredménye
@@ -246,6 +257,7 @@ export function DataProvider({ children }) {
             setArticles(articlesResult.documents);
             setLayouts(layoutsResult.documents);
             setDeadlines(deadlinesResult.documents);
+            setAds(adsResult.documents);
 
             // 2. fázis: validációk articleId alapján (plugin DataContext mintájára)
             const articleIds = articlesResult.documents.map(a => a.$id);
@@ -702,6 +714,7 @@ export function DataProvider({ children }) {
             setArticles([]);
             setLayouts([]);
             setDeadlines([]);
+            setAds([]);
             setValidations([]);
             articleIdsRef.current = new Set();
         }
@@ -813,6 +826,46 @@ export function DataProvider({ children }) {
         setDeadlines((prev) => prev.filter((d) => d.$id !== id));
     }, [databases]);
 
+    // Ads (hirdetés-foglalások)
+
+    const createAd = useCallback(async (data) => {
+        const { data: scopedData, permissions } = buildTenantDocOptions(data);
+        const doc = await databases.createDocument({
+            databaseId: DATABASE_ID,
+            collectionId: COLLECTIONS.ADS,
+            documentId: ID.unique(),
+            data: scopedData,
+            permissions
+        });
+        if (doc.publicationId === activePublicationIdRef.current) {
+            setAds((prev) => {
+                if (prev.some((a) => a.$id === doc.$id)) return prev;
+                return [...prev, doc];
+            });
+        }
+        return doc;
+    }, [databases, buildTenantDocOptions]);
+
+    const updateAd = useCallback(async (id, data) => {
+        const doc = await databases.updateDocument({
+            databaseId: DATABASE_ID,
+            collectionId: COLLECTIONS.ADS,
+            documentId: id,
+            data
+        });
+        setAds((prev) => prev.map((a) => (a.$id === id ? doc : a)));
+        return doc;
+    }, [databases]);
+
+    const deleteAd = useCallback(async (id) => {
+        await databases.deleteDocument({
+            databaseId: DATABASE_ID,
+            collectionId: COLLECTIONS.ADS,
+            documentId: id
+        });
+        setAds((prev) => prev.filter((a) => a.$id !== id));
+    }, [databases]);
+
     // Articles (csak update — create és delete a plugin felelőssége)
 
     const updateArticle = useCallback(async (id, data) => {
@@ -826,6 +879,44 @@ export function DataProvider({ children }) {
         return doc;
     }, [databases]);
 
+    /**
+     * Tömeges cikk-update az `update-article` CF batch módján keresztül
+     * (állapotváltás: a CF futtatja az átmenet-, jogosultság- és guard-
+     * ellenőrzést, és írja az állapot-history-t). A sikeres elemek dokumentumai
+     * azonnal bekerülnek a lokális state-be, a Realtime push előtt.
+     *
+     * @param {Array<{ articleId: string, data: Object }>} items - Legfeljebb 50 elem.
+     * @returns {Promise<Array<{ articleId: string, success: boolean, document?: Object, reason?: string }>>}
+     * @throws {Error} Ha maga a CF hívás sikertelen (hálózat, parse, batch-szintű elutasítás).
+     */
+    const updateArticleBatch = useCallback(async (items) => {
+        const execution = await getFunctions().createExecution({
+            functionId: FUNCTIONS.UPDATE_ARTICLE,
+            body: JSON.stringify({ items }),
+            async: false,
+            method: 'POST',
+            headers: { 'content-type': 'application/json' }
+        });
+
+        let response;
+        try {
+            response = JSON.parse(execution.responseBody || '{}');
+        } catch {
+            throw new Error('Érvénytelen szerver válasz.');
+        }
+        if (!response.success || !Array.isArray(response.results)) {
+            throw new Error(response.reason || response.message || 'Tömeges frissítés sikertelen.');
+        }
+
+        const updated = new Map(
+            response.results.filter((r) => r.success && r.document).map((r) => [r.articleId, r.document])
+        );
+        if (updated.size > 0) {
+            setArticles((prev) => prev.map((a) => updated.get(a.$id) || a));
+        }
+        return response.results;
+    }, []);
+
     // ─── Realtime feliratkozás ──────────────────────────────────────────────
 
     // WS reconnect után resync: a disconnect-ablakban érkezett mutációk
@@ -854,6 +945,7 @@ export function DataProvider({ children }) {
                 setArticles([]);
                 setLayouts([]);
                 setDeadlines([]);
+                setAds([]);
                 setValidations([]);
                 articleIdsRef.current = new Set();
                 // A futó switchPublication finally-je a generation-bump miatt
@@ -883,6 +975,7 @@ export function DataProvider({ children }) {
             collectionChannel(COLLECTIONS.PUBLICATIONS),
             collectionChannel(COLLECTIONS.LAYOUTS),
             collectionChannel(COLLECTIONS.DEADLINES),
+            collectionChannel(COLLECTIONS.ADS),
             collectionChannel(COLLECTIONS.USER_VALIDATIONS),
             collectionChannel(COLLECTIONS.SYSTEM_VALIDATIONS),
             collectionChannel(COLLECTIONS.WORKFLOWS)
@@ -919,6 +1012,7 @@ export function DataProvider({ children }) {
                             setArticles([]);
                             setLayouts([]);
                             setDeadlines([]);
+                            setAds([]);
                             setValidations([]);
                             articleIdsRef.current = new Set();
                         }
@@ -929,6 +1023,9 @@ export function DataProvider({ children }) {
                     case 'deadlines':
                         applyDeadlineEvent(eventType, payload, activePublicationIdRef, setDeadlines);
                         break;
+                    case 'ads':
+                        applyAdEvent(eventType, payload, activePublicationIdRef, setAds);
+                        break;
                     case 'validations':
                         applyValidationEvent(eventType, payload, articleIdsRef, setValidations);
                         break;
@@ -959,7 +1056,7 @@ export function DataProvider({ children }) {
     // deps-listában minden mező szerepel, amit a value objektum közvetlenül
     // átad (state + callback + stabil singleton).
     const value = useMemo(() => ({
-        publications, articles, layouts, deadlines, validations,
+        publications, articles, layouts, deadlines, ads, validations,
         workflow, workflows, workflowsLoading,
         archivedWorkflows, archivedWorkflowsError, archivedWorkflowsLoading,
         activePublicationId, isLoading,
@@ -974,9 +1071,10 @@ export function DataProvider({ children }) {
         applyPublicationPatchLocal, applyCreatedPublicationLocal,
         createLayout, updateLayout, deleteLayout,
         createDeadline, updateDeadline, deleteDeadline,
-        updateArticle
+        createAd, updateAd, deleteAd,
+        updateArticle, updateArticleBatch
     }), [
-        publications, articles, layouts, deadlines, validations,
+        publications, articles, layouts, deadlines, ads, validations,
         workflow, workflows, workflowsLoading,
         archivedWorkflows, archivedWorkflowsError, archivedWorkflowsLoading,
         activePublicationId, isLoading,
@@ -988,7 +1086,8 @@ export function DataProvider({ children }) {
         applyPublicationPatchLocal, applyCreatedPublicationLocal,
         createLayout, updateLayout, deleteLayout,
         createDeadline, updateDeadline, deleteDeadline,
-        updateArticle
+        createAd, updateAd, deleteAd,
+        updateArticle, updateArticleBatch
     ]);
 
     return (
@@ -1030,6 +1129,8 @@ function getCollection(channels) {
         if (ch.includes(COLLECTIONS.USER_VALIDATIONS)) return 'validations';
         if (ch.includes(COLLECTIONS.SYSTEM_VALIDATIONS)) return 'system_validations';
         if (ch.includes(COLLECTIONS.WORKFLOWS)) return 'workflows';
+        // Teljes path-szegmens: a rövid `ads` ID más csatornanévben is előfordulhatna.
+        if (ch.includes(`collections.${COLLECTIONS.ADS}.`)) return 'ads';
     }
     return null;
 }
@@ -1119,6 +1220,25 @@ function applyDeadlineEvent(eventType, payload, pubIdRef, setDeadlines) {
     }
 }
 
+function applyAdEvent(eventType, payload, pubIdRef, setAds) {
+    if (payload.publicationId !== pubIdRef.current) return;
+
+    if (eventType === 'delete') {
+        setAds(prev => prev.filter(a => a.$id !== payload.$id));
+    } else {
+        setAds(prev => {
+            const idx = prev.findIndex(a => a.$id === payload.$id);
+            if (idx >= 0) {
+                if (isStaleUpdate(prev[idx], payload)) return prev;
+                const next = [...prev];
+                next[idx] = payload;
+                return next;
+            }
+            return [...prev, payload];
+        });
+    }
+}
+
 /**
  * Workflow Realtime handler (#80 — 3-way visibility + archivedAt szűrés).
  * A `workflow` useMemo (a származtatott compiled) automatikusan recompute-ol
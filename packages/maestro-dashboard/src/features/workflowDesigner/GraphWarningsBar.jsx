@@ -0,0 +1,57 @@
+/**
+ * Maestro Dashboard — GraphWarningsBar
+ *
+ * A statikus gráf-elemzés (`analyzeWorkflowGraph`) figyelmeztetései a
+ * Designer toolbar alatt, összecsukható sávban. A figyelmeztetések nem
+ * blokkolják a mentést — kattintásra a hivatkozott node / edge kijelölődik
+ * és a canvas ráközelít.
+ */
+
+import React from 'react';
+
+/** Figyelmeztetés-típusok rövid címkéi (a lista elején). */
+const WARNING_TYPE_LABELS = {
+    unreachable: 'Elérhetetlen',
+    no_terminal_path: 'Zsákutca',
+    no_executor: 'Végrehajthatatlan',
+    no_access: 'Hozzáférés nélkül',
+    backward_cycle: 'Vissza-kör'
+};
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.warnings - `analyzeWorkflowGraph()` kimenete
+ * @param {Function} props.onFocus - (warning) => void — kijelölés + ráközelítés
+ */
+export default function GraphWarningsBar({ warnings, onFocus }) {
+    if (warnings.length === 0) return null;
+
+    return (
+        <details className="workflow-designer-graph-warnings">
+            <summary>
+                {warnings.length} gráf-figyelmeztetés — a mentést nem blokkolja, de a szerkesztőségben elakadást okozhat
+            </summary>
+            <ul className="workflow-designer-graph-warnings__list">
+                {warnings.map((warning, index) => {
+                    const isFocusable = !!(warning.stateId || warning.transition);
+                    return (
+                        <li key={`${warning.type}-${index}`}>
+                            <button
+                                type="button"
+                                className="workflow-designer-graph-warnings__item"
+                                onClick={() => onFocus(warning)}
+                                disabled={!isFocusable}
+                                title={isFocusable ? 'Megjelenítés a vásznon' : undefined}
+                            >
+                                <span className="workflow-designer-graph-warnings__type">
+                                    {WARNING_TYPE_LABELS[warning.type] || warning.type}
+                                </span>
+                                {warning.message}
+                            </button>
+                        </li>
+                    );
+                })}
+            </ul>
+        </details>
+    );
+}
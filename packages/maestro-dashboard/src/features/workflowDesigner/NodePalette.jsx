@@ -9,10 +9,36 @@
  * egyetlen gomb — a következő szín automatikusan a `WORKFLOW_STATE_COLORS`
  * paletta első, még nem használt értékéből származik (ld. `nextAvailableColor`).
  * Így a user nem találgat: minden új állapot eleve új színt kap.
+ *
+ * Párhuzamos ágak: az „Elágazás" (fork) és „Összefutás" (join) elem is
+ * állapot node-ot hoz létre, `kind` jelöléssel (ld. `maestro-shared/parallelStates.js`).
  */
 
 import React, { useCallback, useMemo } from 'react';
 import { WORKFLOW_STATE_COLORS, nextAvailableColor } from '@shared/workflowStateColors.js';
+import { STATE_KINDS } from '@shared/parallelStates.js';
+
+/** A palettán megjelenő elemek — `kind: null` a normál állapot. */
+const PALETTE_ITEMS = [
+    {
+        kind: null,
+        label: '+ Új állapot',
+        title: 'Húzd a vászonra új állapot létrehozásához',
+        ariaLabel: 'Új állapot hozzáadása húzással'
+    },
+    {
+        kind: STATE_KINDS.FORK,
+        label: '+ Elágazás (fork)',
+        title: 'Párhuzamos ágak indítása — minden előre irányú átmenete egy ág',
+        ariaLabel: 'Elágazás hozzáadása húzással'
+    },
+    {
+        kind: STATE_KINDS.JOIN,
+        label: '+ Összefutás (join)',
+        title: 'A párhuzamos ágak itt várják be egymást',
+        ariaLabel: 'Összefutás hozzáadása húzással'
+    }
+];
 
 /**
  * @param {Object} props
@@ -33,9 +59,10 @@ export default function NodePalette({ usedColors, isCollapsed = false, onToggleC
         return WORKFLOW_STATE_COLORS.filter(c => !used.has(c.toUpperCase())).length;
     }, [usedColors]);
 
-    const handleDragStart = useCallback((event) => {
+    const handleDragStart = useCallback((event, kind) => {
         event.dataTransfer.setData('application/maestro-node-type', 'stateNode');
         event.dataTransfer.setData('application/maestro-node-color', nextColor);
+        if (kind) event.dataTransfer.setData('application/maestro-node-kind', kind);
         event.dataTransfer.effectAllowed = 'move';
     }, [nextColor]);
 
@@ -76,20 +103,23 @@ export default function NodePalette({ usedColors, isCollapsed = false, onToggleC
                 )}
             </div>
             <div className="node-palette__items">
-                <div
-                    className="node-palette__item"
-                    draggable
-                    onDragStart={handleDragStart}
-                    title="Húzd a vászonra új állapot létrehozásához"
-                    aria-label="Új állapot hozzáadása húzással"
-                >
+                {PALETTE_ITEMS.map(item => (
                     <div
-                        className="node-palette__item-accent"
-                        style={{ background: nextColor }}
-                        aria-hidden="true"
-                    />
-                    <span className="node-palette__item-label">+ Új állapot</span>
-                </div>
+                        key={item.kind || 'state'}
+                        className="node-palette__item"
+                        draggable
+                        onDragStart={(event) => handleDragStart(event, item.kind)}
+                        title={item.title}
+                        aria-label={item.ariaLabel}
+                    >
+                        <div
+                            className="node-palette__item-accent"
+                            style={{ background: nextColor }}
+                            aria-hidden="true"
+                        />
+                        <span className="node-palette__item-label">{item.label}</span>
+                    </div>
+                ))}
             </div>
             <div className="node-palette__hint">
                 Húzd a vászonra
@@ -23,10 +23,12 @@ import WorkflowPropertiesEditor from './editors/WorkflowPropertiesEditor.jsx';
  * @param {Object} props.metadata - Workflow-szintű adatok
  * @param {Function} props.onMetadataChange - Metadata módosítás callback
  * @param {Object<string,string>} [props.stateLabels] - State slug → label térkép (TransitionPropertiesEditor #65)
- * @param {Array<{slug: string, name: string, kind: 'validator'|'command', archivedAt: string|null}>} [props.extensions]
+ * @param {string[]} [props.outgoingTargets] - A kijelölt node kimenő átmeneteinek céljai (automatikus átmenet)
+ * @param {Array<{slug: string, name: string, kind: 'validator'|'command', scope: 'article'|'publication', archivedAt: string|null}>} [props.extensions]
  *   - Az office workflow extension-listája (B.5.3, ADR 0007 Phase 0). A
  *   `ValidationListField` és `CommandListField` a built-in registry mellé
- *   `ext.<slug>` chip-eket renderel. Az `archivedAt !== null` extension a
+ *   `ext.<slug>` chip-eket renderel (állapotnál az `article`, a workflow-szintű
+ *   szerkesztőben a `publication` scope-úakat). Az `archivedAt !== null` extension a
  *   választható listából kimarad, de stale ref-ként read-only chip-ként
  *   megjelenik (Codex tervi roast 5-ös pont).
  * @param {boolean} [props.isCollapsed] - Összecsukott állapot (#73)
@@ -40,6 +42,7 @@ export default function PropertiesSidebar({
     availableGroups,
     version, metadata, onMetadataChange,
     stateLabels,
+    outgoingTargets,
     extensions,
     isCollapsed = false,
     onToggleCollapsed,
@@ -92,6 +95,8 @@ export default function PropertiesSidebar({
                     onDataChange={onNodeDataChange}
                     availableGroups={availableGroups}
                     onDelete={onDeleteNode}
+                    stateLabels={stateLabels}
+                    outgoingTargets={outgoingTargets}
                     extensions={extensions}
                     isReadOnly={isReadOnly}
                 />
@@ -109,6 +114,8 @@ export default function PropertiesSidebar({
                     version={version}
                     metadata={metadata}
                     onMetadataChange={onMetadataChange}
+                    availableGroups={availableGroups}
+                    extensions={extensions}
                     isReadOnly={isReadOnly}
                 />
             )}
@@ -0,0 +1,360 @@
+/**
+ * Maestro Dashboard — SimulatorPanel
+ *
+ * Workflow szimulátor (dry-run) a Designer jobb oldali paneljében. Egy
+ * fiktív felhasználó csoporttagságaival és egy kezdőállapotból indulva
+ * végigkattintható az állapotgép: minden lépésnél látszik, mely átmenetek,
+ * parancsok, validációk, szerkeszthető UI-elemek és munkatárs-dropdownok
+ * érvényesek az adott felhasználóra.
+ *
+ * A döntéseket közvetlenül a shared `workflowRuntime.js` hozza (ugyanaz a
+ * logika, amit a Plugin futás közben használ), a szerkesztő AKTUÁLIS —
+ * akár nem mentett — állapotából fordított compiled JSON-on. Az átmenet-
+ * feltételek (guard-ok) cikk-adattól függenek, ezért itt csak felsoroljuk
+ * őket, nem értékeljük ki.
+ *
+ * „Zsákutca": nem záró állapot, amelyből a fiktív felhasználó egyetlen
+ * átmenettel sem tud továbblépni — ezt a panel kiemelve jelzi.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+    getInitialState,
+    getStateLabel,
+    getStateColor,
+    isTerminalState,
+    getAvailableTransitions,
+    canUserMoveArticle,
+    hasTransitionPermission,
+    canUserAccessInState,
+    canEditElement,
+    canEditContributorDropdown,
+    getStateCommands,
+    canRunCommand,
+    getStateValidations
+} from '@shared/workflowRuntime.js';
+import { describeTransitionGuard } from '@shared/transitionGuards.js';
+import { getCommandLabel } from '@shared/commandRegistry.js';
+import { getValidatorLabel } from '@shared/validatorRegistry.js';
+import { graphToCompiled } from './compiler.js';
+
+/** Validációs listák megjelenítési sorrendje és címkéi. */
+const VALIDATION_SECTIONS = [
+    ['requiredToEnter', 'Belépés feltétele'],
+    ['onEntry', 'Belépéskor fut'],
+    ['requiredToExit', 'Kilépés feltétele']
+];
+
+const ELEMENT_SCOPE_LABELS = {
+    article: 'Cikk',
+    publication: 'Kiadvány'
+};
+
+function validatorId(v) {
+    return typeof v === 'string' ? v : v?.validator;
+}
+
+/**
+ * A cél-állapot hozzáférési ellenőrzése — az `update-article` CF a cél
+ * `statePermissions`-ét is nézi, ha az nem üres (ld. 11. lépés).
+ */
+function checkDestinationAccess(compiled, toState, groupSlugs) {
+    const destGroups = compiled?.statePermissions?.[toState];
+    if (!Array.isArray(destGroups) || destGroups.length === 0) return { allowed: true };
+    return canUserAccessInState(compiled, groupSlugs, toState);
+}
+
+/**
+ * @param {Object} props
+ * @param {Object[]} props.nodes - Jelenlegi node-ok
+ * @param {Object[]} props.edges - Jelenlegi edge-ek
+ * @param {Object} props.metadata - Workflow-szintű adatok (requiredGroupSlugs stb.)
+ * @param {Function} props.onClose - A szimulátor bezárása
+ */
+export default function SimulatorPanel({ nodes, edges, metadata, onClose }) {
+    const compiled = useMemo(
+        () => graphToCompiled(nodes, edges, metadata),
+        [nodes, edges, metadata]
+    );
+    const groups = metadata.requiredGroupSlugs || [];
+
+    const [groupSlugs, setGroupSlugs] = useState([]);
+    const [startState, setStartState] = useState(() => getInitialState(compiled) || '');
+    // A bejárt útvonal (state ID-k); az utolsó elem az aktuális állapot.
+    const [path, setPath] = useState(() => (startState ? [startState] : []));
+
+    // Ha a szerkesztés közben a kezdő- vagy aktuális állapot megszűnik,
+    // visszaállunk a kezdőállapotra.
+    const stateIds = useMemo(() => new Set(compiled.states.map(s => s.id)), [compiled]);
+    useEffect(() => {
+        const fallback = stateIds.has(startState) ? startState : (getInitialState(compiled) || '');
+        if (fallback !== startState) setStartState(fallback);
+        if (path.some(id => !stateIds.has(id))) setPath(fallback ? [fallback] : []);
+    }, [stateIds, compiled, startState, path]);
+
+    const currentState = path[path.length - 1] || null;
+
+    function handleToggleGroup(slug) {
+        setGroupSlugs(prev => prev.includes(slug) ? prev.filter(s => s !== slug) : [...prev, slug]);
+    }
+
+    function handleStartStateChange(stateId) {
+        setStartState(stateId);
+        setPath(stateId ? [stateId] : []);
+    }
+
+    const step = useMemo(() => {
+        if (!currentState) return null;
+        const move = canUserMoveArticle(compiled, currentState, groupSlugs);
+        const transitions = getAvailableTransitions(compiled, currentState).map(t => {
+            const dest = checkDestinationAccess(compiled, t.to, groupSlugs);
+            const allowed = move.allowed && dest.allowed;
+            return {
+                transition: t,
+                allowed,
+                reason: !move.allowed ? move.reason : dest.reason,
+                transitionGroups: hasTransitionPermission(compiled, t.from, t.to, groupSlugs)
+            };
+        });
+        const commands = getStateCommands(compiled, currentState).map(cmd => ({
+            id: cmd.id,
+            label: getCommandLabel(cmd.id),
+            result: canRunCommand(compiled, currentState, cmd.id, groupSlugs)
+        }));
+        const elements = [];
+        for (const [scope, elems] of Object.entries(compiled.elementPermissions || {})) {
+            for (const key of Object.keys(elems || {})) {
+                elements.push({ scope, key, result: canEditElement(compiled, scope, key, groupSlugs) });
+            }
+        }
+        const contributors = (compiled.contributorGroups || []).map(g => ({
+            slug: g.slug,
+            label: g.label || g.slug,
+            result: canEditContributorDropdown(compiled, g.slug, groupSlugs, currentState)
+        }));
+        const isTerminal = isTerminalState(compiled, currentState);
+        return {
+            move,
+            access: canUserAccessInState(compiled, groupSlugs, currentState),
+            transitions,
+            commands,
+            validations: getStateValidations(compiled, currentState),
+            elements,
+            contributors,
+            isTerminal,
+            isDeadEnd: !isTerminal && !transitions.some(t => t.allowed)
+        };
+    }, [compiled, currentState, groupSlugs]);
+
+    return (
+        <div className="properties-sidebar simulator-panel">
+            <div className="simulator-panel__header">
+                <h3 className="properties-editor__title">Szimulátor</h3>
+                <button
+                    type="button"
+                    className="designer-field__remove-btn"
+                    onClick={onClose}
+                    title="Szimulátor bezárása"
+                    aria-label="Szimulátor bezárása"
+                >
+                    <span aria-hidden="true">✕</span>
+                </button>
+            </div>
+            <p className="designer-field__empty-hint">
+                A szerkesztő jelenlegi (nem mentett) állapotát játssza le — adatot nem ír.
+            </p>
+
+            {/* Fiktív felhasználó */}
+            <div className="designer-field">
+                <label className="designer-field__label">Felhasználó csoportjai</label>
+                {groups.length === 0 ? (
+                    <p className="designer-field__empty-hint">A workflow-ban még nincs csoport.</p>
+                ) : groups.map(g => (
+                    <label key={g.slug} className="designer-field__checkbox-label">
+                        <input
+                            type="checkbox"
+                            checked={groupSlugs.includes(g.slug)}
+                            onChange={() => handleToggleGroup(g.slug)}
+                        />
+                        <span>{g.label || g.slug}</span>
+                        {g.isLeaderGroup && <span className="simulator-panel__tag">vezető</span>}
+                    </label>
+                ))}
+            </div>
+
+            {/* Kezdőállapot */}
+            <div className="designer-field">
+                <label className="designer-field__label">Kezdőállapot</label>
+                <select
+                    className="designer-field__select"
+                    value={startState}
+                    onChange={e => handleStartStateChange(e.target.value)}
+                >
+                    {compiled.states.map(s => (
+                        <option key={s.id} value={s.id}>{s.label || s.id}</option>
+                    ))}
+                </select>
+            </div>
+
+            {/* Bejárt útvonal */}
+            {path.length > 0 && (
+                <div className="designer-field">
+                    <label className="designer-field__label">Útvonal</label>
+                    <div className="simulator-panel__path">
+                        {path.map((stateId, index) => (
+                            <React.Fragment key={`${stateId}-${index}`}>
+                                {index > 0 && <span aria-hidden="true">→</span>}
+                                <StateChip compiled={compiled} stateId={stateId} />
+                            </React.Fragment>
+                        ))}
+                    </div>
+                    <div className="simulator-panel__path-actions">
+                        <button
+                            type="button"
+                            className="designer-field__add-btn"
+                            onClick={() => setPath(prev => prev.slice(0, -1))}
+                            disabled={path.length < 2}
+                            title="Vissza az előző állapotba"
+                        >
+                            ↶
+                        </button>
+                        <button
+                            type="button"
+                            className="designer-field__add-btn"
+                            onClick={() => setPath(startState ? [startState] : [])}
+                            disabled={path.length < 2}
+                            title="Újrakezdés a kezdőállapotból"
+                        >
+                            ⟲
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {step && (
+                <>
+                    {step.isDeadEnd && (
+                        <div className="simulator-panel__warning" role="status">
+                            Zsákutca: ebből az állapotból ez a felhasználó nem tud továbblépni.
+                        </div>
+                    )}
+                    {step.isTerminal && (
+                        <p className="designer-field__empty-hint">Záró állapot — a folyamat itt véget ér.</p>
+                    )}
+
+                    {/* Átmenetek */}
+                    <div className="designer-field">
+                        <label className="designer-field__label">Átmenetek</label>
+                        {step.transitions.length === 0 && (
+                            <p className="designer-field__empty-hint">Nincs kimenő átmenet.</p>
+                        )}
+                        {step.transitions.map(({ transition, allowed, reason, transitionGroups }) => (
+                            <div key={`${transition.from}-${transition.to}`} className="simulator-panel__transition">
+                                <button
+                                    type="button"
+                                    className="simulator-panel__transition-btn"
+                                    onClick={() => setPath(prev => [...prev, transition.to])}
+                                    disabled={!allowed}
+                                    title={allowed ? 'Átmenet végrehajtása' : reason}
+                                >
+                                    {transition.label || getStateLabel(compiled, transition.to)}
+                                    <span aria-hidden="true"> → </span>
+                                    <StateChip compiled={compiled} stateId={transition.to} />
+                                </button>
+                                {!allowed && <div className="simulator-panel__reason">{reason}</div>}
+                                {allowed && !transitionGroups.allowed && (
+                                    <div className="simulator-panel__reason">
+                                        Az átmenet csoportlistája nem tartalmazza a felhasználót.
+                                    </div>
+                                )}
+                                {(transition.guards || []).length > 0 && (
+                                    <div className="simulator-panel__guards">
+                                        Feltételek: {transition.guards.map(describeTransitionGuard).join(', ')}
+                                    </div>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+
+                    {/* Hozzáférés + parancsok */}
+                    <div className="designer-field">
+                        <label className="designer-field__label">Parancsok</label>
+                        <ResultRow label="Fájl megnyitása / parancsok" result={step.access} />
+                        {step.commands.length === 0 ? (
+                            <p className="designer-field__empty-hint">Ebben az állapotban nincs parancs.</p>
+                        ) : step.commands.map(cmd => (
+                            <ResultRow key={cmd.id} label={cmd.label} result={cmd.result} />
+                        ))}
+                    </div>
+
+                    {/* Validációk */}
+                    <div className="designer-field">
+                        <label className="designer-field__label">Validációk</label>
+                        {VALIDATION_SECTIONS.every(([key]) => !(step.validations?.[key] || []).length) ? (
+                            <p className="designer-field__empty-hint">Ebben az állapotban nincs validáció.</p>
+                        ) : VALIDATION_SECTIONS.map(([key, label]) => {
+                            const list = step.validations?.[key] || [];
+                            if (list.length === 0) return null;
+                            return (
+                                <div key={key} className="simulator-panel__row">
+                                    <span>{label}</span>
+                                    <span className="simulator-panel__muted">{list.map(v => getValidatorLabel(validatorId(v))).join(', ')}</span>
+                                </div>
+                            );
+                        })}
+                    </div>
+
+                    {/* UI elem jogosultságok */}
+                    {step.elements.length > 0 && (
+                        <div className="designer-field">
+                            <label className="designer-field__label">Szerkeszthető elemek</label>
+                            {step.elements.map(({ scope, key, result }) => (
+                                <ResultRow
+                                    key={`${scope}.${key}`}
+                                    label={`${ELEMENT_SCOPE_LABELS[scope] || scope}: ${key}`}
+                                    result={result}
+                                />
+                            ))}
+                        </div>
+                    )}
+
+                    {/* Munkatárs dropdownok */}
+                    {step.contributors.length > 0 && (
+                        <div className="designer-field">
+                            <label className="designer-field__label">Munkatárs-választók</label>
+                            {step.contributors.map(c => (
+                                <ResultRow key={c.slug} label={c.label} result={c.result} />
+                            ))}
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
+// ─── Segédek ────────────────────────────────────────────────────────────────
+
+function StateChip({ compiled, stateId }) {
+    return (
+        <span className="simulator-panel__state">
+            <span
+                className="simulator-panel__state-dot"
+                style={{ backgroundColor: getStateColor(compiled, stateId) }}
+                aria-hidden="true"
+            />
+            {getStateLabel(compiled, stateId)}
+        </span>
+    );
+}
+
+function ResultRow({ label, result }) {
+    return (
+        <div className="simulator-panel__row" title={result.allowed ? undefined : result.reason}>
+            <span>{label}</span>
+            <span className={result.allowed ? 'simulator-panel__allowed' : 'simulator-panel__denied'}>
+                {result.allowed ? '✓' : '✕'}
+            </span>
+        </div>
+    );
+}
@@ -31,8 +31,10 @@ import { useConfirm } from '../../components/ConfirmDialog.jsx';
 import { useBlockerConfirm } from '../../hooks/useBlockerConfirm.js';
 import { openCreateWorkflowModal } from '../../components/workflows/CreateWorkflowModal.jsx';
 import { WORKFLOW_VISIBILITY_DEFAULT, WORKFLOW_VISIBILITY_LABELS } from '@shared/constants.js';
+import { STATE_KINDS } from '@shared/parallelStates.js';
+import { EXTENSION_SCOPE_DEFAULT } from '@shared/extensionContract.js';
 import { compiledToGraph, graphToCompiled, extractGraphData } from './compiler.js';
-import { validateWorkflow } from './validator.js';
+import { validateWorkflow, analyzeWorkflowGraph } from './validator.js';
 import { validateCompiledSlugs, summarizeValidationErrors } from '@shared/compiledValidator.js';
 import { saveWorkflow, duplicateWorkflow } from './api.js';
 import { exportWorkflow } from './exportImport.js';
@@ -40,8 +42,11 @@ import { workflowPath } from '../../routes/paths.js';
 
 import NodePalette from './NodePalette.jsx';
 import ImportDialog from './ImportDialog.jsx';
+import WorkflowVersionsDialog from './WorkflowVersionsDialog.jsx';
 import WorkflowCanvas from './WorkflowCanvas.jsx';
 import PropertiesSidebar from './PropertiesSidebar.jsx';
+import SimulatorPanel from './SimulatorPanel.jsx';
+import GraphWarningsBar from './GraphWarningsBar.jsx';
 import BackToDashboardLink from './BackToDashboardLink.jsx';
 import './workflowDesigner.css';
 
@@ -113,7 +118,8 @@ export default function WorkflowDesignerPage() {
         contributorGroups: [],
         leaderGroups: [],
         elementPermissions: {},
-        capabilities: {}
+        capabilities: {},
+        publicationExtensions: { validations: [], commands: [] }
     });
 
     // ── UI állapot ──────────────────────────────────────────────────────────
@@ -139,6 +145,9 @@ export default function WorkflowDesignerPage() {
         try { return localStorage.getItem('maestro.workflowDesigner.sidebarCollapsed') === '1'; }
         catch { return false; }
     });
+    // Szimulátor (dry-run) — a jobb oldali panel helyén jelenik meg,
+    // csak olvasható módban is elérhető.
+    const [isSimulating, setIsSimulating] = useState(false);
     const togglePaletteCollapsed = useCallback(() => {
         setIsPaletteCollapsed(prev => {
             const next = !prev;
@@ -433,14 +442,18 @@ export default function WorkflowDesignerPage() {
     // (nem archivált) extension-ek a választható listában. Az archivált
     // ext.<slug>-ek read-only chip-ként megjelennek a stale workflow JSON-ben
     // (Codex 5-ös pont) — a UI-szintű feloldást a `ValidationListField` /
-    // `CommandListField` végzi a teljes listából (archivedAt-tel együtt).
+    // `CommandListField` végzi a teljes listából (archivedAt-tel együtt). A
+    // `paramSchema` a hivatkozás beállító űrlapjához, a `scope` a cikk- és
+    // kiadvány-szintű listák szétválasztásához kell.
     const designerExtensions = useMemo(() => {
         return (officeExtensions || []).map(ext => ({
             $id: ext.$id,
             slug: ext.slug,
             name: ext.name,
             kind: ext.kind,
-            archivedAt: ext.archivedAt || null
+            scope: ext.scope || EXTENSION_SCOPE_DEFAULT,
+            archivedAt: ext.archivedAt || null,
+            paramSchema: ext.paramSchema || null
         }));
     }, [officeExtensions]);
 
@@ -511,7 +524,8 @@ export default function WorkflowDesignerPage() {
                 data: {
                     label: 'Új átmenet',
                     direction: 'forward',
-                    allowedGroups: []
+                    allowedGroups: [],
+                    guards: []
                 }
             }];
         });
@@ -558,6 +572,13 @@ export default function WorkflowDesignerPage() {
         return map;
     }, [nodes]);
 
+    // A kijelölt állapot kimenő átmeneteinek céljai — az automatikus átmenet
+    // csak létező átmenetre mutathat (StatePropertiesEditor)
+    const selectedNodeTargets = useMemo(() => {
+        if (!selectedNodeId) return [];
+        return [...new Set(edges.filter(e => e.source === selectedNodeId).map(e => e.target))];
+    }, [edges, selectedNodeId]);
+
     const handleNodeDataChange = useCallback((newData) => {
         if (isReadOnly) return;
         if (!selectedNodeId) return;
@@ -645,6 +666,8 @@ export default function WorkflowDesignerPage() {
         if (type !== 'stateNode') return;
 
         const color = event.dataTransfer.getData('application/maestro-node-color') || '#888';
+        // Párhuzamos ág-jelölés (fork / join) — üres = normál állapot.
+        const kind = event.dataTransfer.getData('application/maestro-node-kind') || null;
         const rfInstance = reactFlowRef.current;
         if (!rfInstance) return;
 
@@ -662,8 +685,9 @@ export default function WorkflowDesignerPage() {
             position,
             data: {
                 id: newId,
-                label: 'Új állapot',
+                label: kind === STATE_KINDS.FORK ? 'Elágazás' : kind === STATE_KINDS.JOIN ? 'Összefutás' : 'Új állapot',
                 color,
+                ...(kind ? { kind } : {}),
                 duration: { perPage: 0, fixed: 0 },
                 isInitial: false,
                 isTerminal: false,
@@ -821,6 +845,43 @@ export default function WorkflowDesignerPage() {
         reactFlowRef.current = instance;
     }, []);
 
+    // ── Statikus gráf-elemzés (nem blokkoló figyelmeztetések) ──────────────
+
+    const graphWarnings = useMemo(
+        () => analyzeWorkflowGraph(graphToCompiled(nodes, edges, metadata)),
+        [nodes, edges, metadata]
+    );
+
+    // Figyelmeztetésre kattintás: a hivatkozott node / edge kijelölése
+    // (xyflow `selected` + sidebar), és a canvas ráközelítése.
+    const handleFocusWarning = useCallback((warning) => {
+        let focusNodeIds = [];
+        if (warning.stateId) {
+            focusNodeIds = [warning.stateId];
+            setNodes(prev => prev.map(n => ({ ...n, selected: n.id === warning.stateId })));
+            setEdges(prev => prev.map(e => ({ ...e, selected: false })));
+            setSelectedNodeId(warning.stateId);
+            setSelectedEdgeId(null);
+        } else if (warning.transition) {
+            const { from, to } = warning.transition;
+            const edge = edges.find(e => e.source === from && e.target === to);
+            if (!edge) return;
+            focusNodeIds = [from, to];
+            setNodes(prev => prev.map(n => ({ ...n, selected: false })));
+            setEdges(prev => prev.map(e => ({ ...e, selected: e.id === edge.id })));
+            setSelectedEdgeId(edge.id);
+            setSelectedNodeId(null);
+        } else {
+            return;
+        }
+        setIsSimulating(false);
+        reactFlowRef.current?.fitView({
+            nodes: focusNodeIds.map(id => ({ id })),
+            duration: 300,
+            maxZoom: 1.2
+        });
+    }, [edges, setNodes, setEdges]);
+
     // ── Renderelés ──────────────────────────────────────────────────────────
 
     // Mobil/tablet: desktop-only felület → informatív képernyő.
@@ -947,14 +1008,14 @@ export default function WorkflowDesignerPage() {
                             ))}
                         </select>
                     )}
-                    {/* #79: verzió chip — amíg nincs valódi verziózás (mindig v1
-                        vagy a Realtime version increment-ek), a chip felesleges zaj.
-                        Csak akkor mutatjuk, ha v2+ — egyébként optimistic
-                        concurrency token-ként rejtve marad a state-ben. */}
+                    {/* #79: verzió chip — csak v2+ esetén (egy v1 workflow-nak még
+                        nincs összehasonlítható előzménye). Minden mentés új,
+                        számozott verziót rögzít (`workflowVersions`), amelyek a
+                        „Verziók" gombbal böngészhetők. */}
                     {version > 1 && (
                         <span
                             className="workflow-designer-toolbar__version"
-                            title="Optimistic concurrency token — minden mentés inkrementálja a szervezeti workflow-konfliktusok elkerülésére."
+                            title="Mentett verzió — minden mentés új verziót rögzít; az aktivált kiadványok a saját verziójukon futnak tovább."
                         >
                             v{version}
                         </span>
@@ -963,6 +1024,15 @@ export default function WorkflowDesignerPage() {
                 <div className="workflow-designer-toolbar__right">
                     {saveError && <span className="workflow-designer-toolbar__error">{saveError}</span>}
                     {isDirty && !saveError && !isReadOnly && <span className="workflow-designer-toolbar__dirty">Nem mentett változások</span>}
+                    <button
+                        type="button"
+                        className={`workflow-designer-toolbar__btn-secondary${isSimulating ? ' is-active' : ''}`}
+                        onClick={() => setIsSimulating(prev => !prev)}
+                        aria-pressed={isSimulating}
+                        title="Workflow kipróbálása egy fiktív felhasználóval"
+                    >
+                        Szimulátor
+                    </button>
                     {isReadOnly ? (
                         <>
                             <span
@@ -1009,6 +1079,23 @@ export default function WorkflowDesignerPage() {
                                     <span className="workflow-designer-toolbar__separator" aria-hidden="true" />
                                 </>
                             )}
+                            <button
+                                type="button"
+                                className="workflow-designer-toolbar__btn-secondary"
+                                onClick={() => openModal(
+                                    <WorkflowVersionsDialog
+                                        workflowId={workflowDocId}
+                                        currentCompiled={graphToCompiled(nodes, edges, metadata)}
+                                        currentVersion={version}
+                                        isDirty={isDirty}
+                                    />,
+                                    { title: 'Workflow verziók', size: 'lg' }
+                                )}
+                                disabled={!workflowDocId}
+                                title="Mentett verziók és eltéréseik"
+                            >
+                                Verziók
+                            </button>
                             <button
                                 type="button"
                                 className="workflow-designer-toolbar__btn-secondary"
@@ -1115,6 +1202,8 @@ export default function WorkflowDesignerPage() {
                 </div>
             )}
 
+            <GraphWarningsBar warnings={graphWarnings} onFocus={handleFocusWarning} />
+
             {/* Fő tartalom: palette + canvas + sidebar */}
             <div className="workflow-designer-body">
                 <NodePalette
@@ -1136,23 +1225,33 @@ export default function WorkflowDesignerPage() {
                     onInit={handleInit}
                     defaultViewport={defaultViewportRef.current}
                 />
-                <PropertiesSidebar
-                    selectedNode={selectedNode}
-                    selectedEdge={selectedEdge}
-                    onNodeDataChange={handleNodeDataChange}
-                    onEdgeDataChange={handleEdgeDataChange}
-                    onDeleteNode={handleDeleteNode}
-                    onDeleteEdge={handleDeleteEdge}
-                    availableGroups={availableGroups}
-                    version={version}
-                    metadata={metadata}
-                    onMetadataChange={handleMetadataChange}
-                    stateLabels={stateLabels}
-                    extensions={designerExtensions}
-                    isCollapsed={isSidebarCollapsed}
-                    onToggleCollapsed={toggleSidebarCollapsed}
-                    isReadOnly={isReadOnly}
-                />
+                {isSimulating ? (
+                    <SimulatorPanel
+                        nodes={nodes}
+                        edges={edges}
+                        metadata={metadata}
+                        onClose={() => setIsSimulating(false)}
+                    />
+                ) : (
+                    <PropertiesSidebar
+                        selectedNode={selectedNode}
+                        selectedEdge={selectedEdge}
+                        onNodeDataChange={handleNodeDataChange}
+                        onEdgeDataChange={handleEdgeDataChange}
+                        onDeleteNode={handleDeleteNode}
+                        onDeleteEdge={handleDeleteEdge}
+                        availableGroups={availableGroups}
+                        version={version}
+                        metadata={metadata}
+                        onMetadataChange={handleMetadataChange}
+                        stateLabels={stateLabels}
+                        outgoingTargets={selectedNodeTargets}
+                        extensions={designerExtensions}
+                        isCollapsed={isSidebarCollapsed}
+                        onToggleCollapsed={toggleSidebarCollapsed}
+                        isReadOnly={isReadOnly}
+                    />
+                )}
             </div>
 
             {/* Import dialógus + Navigáció blokkoló: mindkettő a közös
@@ -0,0 +1,149 @@
+/**
+ * Maestro Dashboard — WorkflowVersionsDialog
+ *
+ * Modal-tartalom a workflow mentett verzióinak böngészéséhez (Designer
+ * toolbar „Verziók" gomb). A verziókat a `workflowVersions` collection adja
+ * (az `update_workflow` CF írja minden mentéskor); a kiválasztott verzió és
+ * a szerkesztő jelenlegi (akár nem mentett) állapota közti strukturális
+ * eltérést a közös `WorkflowDiffView` jeleníti meg.
+ *
+ * Csak olvas — visszaállítás nincs: egy régi verzió tartalma Export/Import-tal
+ * vagy kézi szerkesztéssel hozható vissza, így a mentés mindig új verziót ad.
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { Query } from 'appwrite';
+import { useData } from '../../contexts/DataContext.jsx';
+import { useModal } from '../../contexts/ModalContext.jsx';
+import { DATABASE_ID, COLLECTIONS } from '../../config.js';
+import { parseCompiledWorkflow } from '@shared/parseCompiledWorkflow.js';
+import WorkflowDiffView from '../../components/workflows/WorkflowDiffView.jsx';
+
+/** A listázott verziók maximális száma (legfrissebb elöl). */
+const VERSION_LIST_LIMIT = 100;
+
+const DATE_FORMAT = {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+};
+
+/**
+ * @param {Object} props
+ * @param {string} props.workflowId - A workflow doc ID
+ * @param {Object} props.currentCompiled - A szerkesztő jelenlegi állapota (`graphToCompiled`)
+ * @param {number} props.currentVersion - A betöltött (utolsó mentett) verzió
+ * @param {boolean} props.isDirty - Van-e nem mentett változás
+ */
+export default function WorkflowVersionsDialog({ workflowId, currentCompiled, currentVersion, isDirty }) {
+    const { databases, getMemberName } = useData();
+    const { closeModal } = useModal();
+    const [versions, setVersions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [loadError, setLoadError] = useState(null);
+    const [selectedId, setSelectedId] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        (async () => {
+            try {
+                const result = await databases.listDocuments({
+                    databaseId: DATABASE_ID,
+                    collectionId: COLLECTIONS.WORKFLOW_VERSIONS,
+                    queries: [
+                        Query.equal('workflowId', workflowId),
+                        Query.orderDesc('version'),
+                        Query.limit(VERSION_LIST_LIMIT)
+                    ]
+                });
+                if (cancelled) return;
+                setVersions(result.documents);
+                // Alapértelmezett kiválasztás: az utolsó mentett verzió előtti
+                // (tiszta szerkesztőnél ez mutatja a legutóbbi mentés változásait).
+                const previous = result.documents.find(v => v.version < currentVersion)
+                    || result.documents[0];
+                setSelectedId(previous?.$id || null);
+            } catch (err) {
+                if (cancelled) return;
+                console.error('[WorkflowVersionsDialog] Verzió-lista lekérés sikertelen:', err);
+                setLoadError('A verziók nem tölthetők be.');
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        })();
+        return () => { cancelled = true; };
+    }, [databases, workflowId, currentVersion]);
+
+    const selected = versions.find(v => v.$id === selectedId) || null;
+    const selectedCompiled = useMemo(
+        () => parseCompiledWorkflow(selected?.compiled),
+        [selected]
+    );
+
+    return (
+        <div className="workflow-versions-dialog">
+            {loading && <p className="workflow-versions-dialog__hint">Betöltés…</p>}
+            {loadError && <p className="import-dialog__error">{loadError}</p>}
+            {!loading && !loadError && versions.length === 0 && (
+                <p className="workflow-versions-dialog__hint">
+                    Még nincs rögzített verzió — a következő mentéstől kezdve minden verzió megőrződik.
+                </p>
+            )}
+
+            {versions.length > 0 && (
+                <div className="workflow-versions-dialog__layout">
+                    <ul className="workflow-versions-dialog__list" aria-label="Mentett verziók">
+                        {versions.map(v => (
+                            <li key={v.$id}>
+                                <button
+                                    type="button"
+                                    className={`workflow-versions-dialog__item${v.$id === selectedId ? ' is-selected' : ''}`}
+                                    onClick={() => setSelectedId(v.$id)}
+                                >
+                                    <span className="workflow-versions-dialog__version">
+                                        v{v.version}
+                                        {v.version === currentVersion && ' (aktuális)'}
+                                    </span>
+                                    <span className="workflow-versions-dialog__meta">
+                                        {formatDateTime(v.createdAt)}
+                                        {v.createdByUserId && ` · ${getMemberName(v.createdByUserId) || 'Ismeretlen felhasználó'}`}
+                                    </span>
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+
+                    <div className="workflow-versions-dialog__diff">
+                        {selected ? (
+                            <>
+                                <p className="workflow-versions-dialog__hint">
+                                    Eltérés: <strong>v{selected.version}</strong> →{' '}
+                                    <strong>{isDirty ? 'szerkesztő (nem mentett)' : `v${currentVersion}`}</strong>
+                                </p>
+                                {selectedCompiled ? (
+                                    <WorkflowDiffView base={selectedCompiled} target={currentCompiled} />
+                                ) : (
+                                    <p className="import-dialog__error">A verzió tartalma nem olvasható.</p>
+                                )}
+                            </>
+                        ) : (
+                            <p className="workflow-versions-dialog__hint">Válassz egy verziót az összehasonlításhoz.</p>
+                        )}
+                    </div>
+                </div>
+            )}
+
+            <div className="modal-actions">
+                <button type="button" className="btn-secondary" onClick={closeModal}>Bezárás</button>
+            </div>
+        </div>
+    );
+}
+
+function formatDateTime(iso) {
+    const date = new Date(iso);
+    if (isNaN(date.getTime())) return '';
+    return date.toLocaleString('hu-HU', DATE_FORMAT);
+}
@@ -10,6 +10,8 @@
  */
 
 import { validateCompiledSlugs } from '@shared/compiledValidator.js';
+import { normalizeTransitionGuards } from '@shared/transitionGuards.js';
+import { normalizeAutoTransition } from '@shared/autoTransitions.js';
 
 // ── Auto-layout konstansok ──────────────────────────────────────────────────
 
@@ -94,6 +96,8 @@ function autoLayoutPosition(index) {
  *   - statePermissions[stateId][]
  *   - contributorGroups[].slug
  *   - capabilities[name][]
+ *   - autoTransitions[stateId].notifyGroupSlug
+ *   - publicationExtensions.commands[*].allowedGroups
  *
  * @param {Object} compiled
  * @returns {Set<string>}
@@ -127,6 +131,12 @@ export function collectAllReferencedSlugs(compiled) {
     for (const slugList of Object.values(compiled.capabilities || {})) {
         for (const slug of slugList || []) slugs.add(slug);
     }
+    for (const rule of Object.values(compiled.autoTransitions || {})) {
+        if (rule?.notifyGroupSlug) slugs.add(rule.notifyGroupSlug);
+    }
+    for (const cmd of compiled.publicationExtensions?.commands || []) {
+        for (const slug of cmd?.allowedGroups || []) slugs.add(slug);
+    }
 
     return slugs;
 }
@@ -160,6 +170,17 @@ export function reconstructRequiredGroupSlugs(compiled) {
     }));
 }
 
+/**
+ * A kiadvány-szintű extension listák (`publicationExtensions`) normalizálása:
+ * mindig `{ validations: [], commands: [] }` alak, a nem-tömb értékek üresre.
+ */
+function normalizePublicationExtensions(value) {
+    return {
+        validations: Array.isArray(value?.validations) ? value.validations : [],
+        commands: Array.isArray(value?.commands) ? value.commands : []
+    };
+}
+
 /**
  * `requiredGroupSlugs` lista normalizálása: a hiányzó mezőket alapértelmezett
  * értékre állítja, a slug nélküli elemeket kiszűri. A graphToCompiled idempotens
@@ -280,9 +301,11 @@ export function compiledToGraph(compiled, savedGraph = null) {
                 duration: state.duration || { perPage: 0, fixed: 0 },
                 isInitial: state.isInitial || false,
                 isTerminal: state.isTerminal || false,
+                ...(state.kind ? { kind: state.kind } : {}),
                 validations: compiled.validations?.[state.id] || { onEntry: [], requiredToEnter: [], requiredToExit: [] },
                 commands: compiled.commands?.[state.id] || [],
-                statePermissions: compiled.statePermissions?.[state.id] || []
+                statePermissions: compiled.statePermissions?.[state.id] || [],
+                autoTransition: normalizeAutoTransition(compiled.autoTransitions?.[state.id])
             }
         };
     });
@@ -295,7 +318,8 @@ export function compiledToGraph(compiled, savedGraph = null) {
         data: {
             label: t.label || '',
             direction: t.direction || 'forward',
-            allowedGroups: t.allowedGroups || []
+            allowedGroups: t.allowedGroups || [],
+            guards: normalizeTransitionGuards(t.guards)
         }
     }));
 
@@ -321,7 +345,8 @@ export function compiledToGraph(compiled, savedGraph = null) {
             .filter(g => g.isLeaderGroup)
             .map(g => g.slug),
         elementPermissions: compiled.elementPermissions || {},
-        capabilities: compiled.capabilities || {}
+        capabilities: compiled.capabilities || {},
+        publicationExtensions: normalizePublicationExtensions(compiled.publicationExtensions)
     };
 
     const viewport = savedGraph?.viewport || null;
@@ -347,7 +372,9 @@ export function graphToCompiled(nodes, edges, metadata) {
         color: n.data.color,
         duration: n.data.duration,
         isInitial: n.data.isInitial,
-        isTerminal: n.data.isTerminal
+        isTerminal: n.data.isTerminal,
+        // Párhuzamos ág-jelölés (fork / join) — normál állapotnál a kulcs hiányzik.
+        ...(n.data.kind ? { kind: n.data.kind } : {})
     }));
 
     const transitions = edges.map(e => ({
@@ -355,17 +382,21 @@ export function graphToCompiled(nodes, edges, metadata) {
         to: e.target,
         label: e.data.label,
         direction: e.data.direction,
-        allowedGroups: e.data.allowedGroups
+        allowedGroups: e.data.allowedGroups,
+        guards: normalizeTransitionGuards(e.data.guards)
     }));
 
     const validations = {};
     const commands = {};
     const statePermissions = {};
+    const autoTransitions = {};
 
     for (const n of nodes) {
         validations[n.id] = n.data.validations || { onEntry: [], requiredToEnter: [], requiredToExit: [] };
         commands[n.id] = n.data.commands || [];
         statePermissions[n.id] = n.data.statePermissions || [];
+        // A hiányos szabályt is megtartjuk — a validátor jelzi, nem csendben dobjuk el.
+        if (n.data.autoTransition) autoTransitions[n.id] = n.data.autoTransition;
     }
 
     // A.1.5 (ADR 0008): a `requiredGroupSlugs[]` a kanonikus slug-lista; az
@@ -380,7 +411,8 @@ export function graphToCompiled(nodes, edges, metadata) {
         leaderGroups: metadata.leaderGroups || [],
         statePermissions,
         contributorGroups: metadata.contributorGroups || [],
-        capabilities: metadata.capabilities || {}
+        capabilities: metadata.capabilities || {},
+        publicationExtensions: metadata.publicationExtensions
     };
     // A.4.6 (ADR 0008): a `requiredGroupSlugs[]` mostantól a kanonikus forrás
     // — a `WorkflowPropertiesEditor` `RequiredGroupSlugsField`-en át közvetlenül
@@ -405,6 +437,12 @@ export function graphToCompiled(nodes, edges, metadata) {
         .filter(g => g.isLeaderGroup)
         .map(g => g.slug);
 
+    // A kiadvány-szintű extension-ök csak akkor kerülnek a compiled-be, ha
+    // van legalább egy — a nélkülük mentett workflow compiled-je változatlan.
+    const publicationExtensions = normalizePublicationExtensions(metadata.publicationExtensions);
+    const hasPublicationExtensions = publicationExtensions.validations.length > 0
+        || publicationExtensions.commands.length > 0;
+
     return {
         states,
         transitions,
@@ -415,7 +453,9 @@ export function graphToCompiled(nodes, edges, metadata) {
         contributorGroups: autoContributorGroups,
         leaderGroups: autoLeaderGroups,
         statePermissions,
-        capabilities: metadata.capabilities || {}
+        capabilities: metadata.capabilities || {},
+        autoTransitions,
+        ...(hasPublicationExtensions ? { publicationExtensions } : {})
     };
 }
 
@@ -444,6 +484,7 @@ function emptyMetadata() {
         contributorGroups: [],
         leaderGroups: [],
         elementPermissions: {},
-        capabilities: {}
+        capabilities: {},
+        publicationExtensions: { validations: [], commands: [] }
     };
 }
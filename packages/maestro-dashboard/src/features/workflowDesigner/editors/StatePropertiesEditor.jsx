@@ -3,7 +3,7 @@
  *
  * Kiválasztott state node tulajdonságainak szerkesztője.
  * Mezők: label, id, color, duration, isInitial, isTerminal,
- * validations, commands, statePermissions.
+ * validations, commands, statePermissions, autoTransition.
  */
 
 import React, { useCallback, useState, useMemo } from 'react';
@@ -11,6 +11,7 @@ import ColorPickerField from '../fields/ColorPickerField.jsx';
 import GroupMultiSelectField from '../fields/GroupMultiSelectField.jsx';
 import ValidationListField from '../fields/ValidationListField.jsx';
 import CommandListField from '../fields/CommandListField.jsx';
+import { AUTO_TRANSITION_MIN_HOURS, AUTO_TRANSITION_MAX_HOURS } from '@shared/autoTransitions.js';
 
 /**
  * @param {Object} props
@@ -18,18 +19,26 @@ import CommandListField from '../fields/CommandListField.jsx';
  * @param {Function} props.onDataChange - (newData) => void
  * @param {string[]} props.availableGroups - Elérhető csoport slug-ok
  * @param {Function} props.onDelete - Node törlés callback
- * @param {Array<{slug: string, name: string, kind: string, archivedAt: string|null}>} [props.extensions]
+ * @param {Object<string,string>} [props.stateLabels] - State slug → label térkép
+ * @param {string[]} [props.outgoingTargets] - A node kimenő átmeneteinek céljai —
+ *   az automatikus átmenet cél-állapota csak ezek közül választható
+ * @param {Array<{slug: string, name: string, kind: string, archivedAt: string|null, paramSchema?: string|null}>} [props.extensions]
  *   - Az office workflow extension-listája (B.5.3, ADR 0007 Phase 0). A
  *   `ValidationListField` és `CommandListField` mind a `kind`-ra szűr.
  * @param {boolean} [props.isReadOnly] - Olvasásra korlátozott mód — letiltja az interaktív vezérlőket
  */
-export default function StatePropertiesEditor({ node, onDataChange, availableGroups, onDelete, extensions, isReadOnly = false }) {
+export default function StatePropertiesEditor({
+    node, onDataChange, availableGroups, onDelete,
+    stateLabels = {}, outgoingTargets = [],
+    extensions, isReadOnly = false
+}) {
     const { data } = node;
     // #64: minden szekció ZÁRVA alapból — szimmetria + a Mozgatási jogosultság
     // (kritikus policy) sem ragad „rejtett"-ben az aszimmetrikus default miatt.
     const [validationsOpen, setValidationsOpen] = useState(false);
     const [commandsOpen, setCommandsOpen] = useState(false);
     const [permissionsOpen, setPermissionsOpen] = useState(false);
+    const [autoTransitionOpen, setAutoTransitionOpen] = useState(false);
 
     const update = useCallback((key, value) => {
         onDataChange({ ...data, [key]: value });
@@ -53,6 +62,23 @@ export default function StatePropertiesEditor({ node, onDataChange, availableGro
     const commandsCount = (data.commands || []).length;
     const permissionsCount = (data.statePermissions || []).length;
 
+    // Automatikus átmenet: a szabály a node `autoTransition` mezőjében él
+    // (`{ to, afterHours, notifyGroupSlug }`), a compiler gyűjti össze
+    // `compiled.autoTransitions`-be. Fork / join és végállapot nem kaphat ilyet.
+    const autoTransition = data.autoTransition || null;
+    const canHaveAutoTransition = !data.kind && !data.isTerminal;
+    const updateAutoTransition = useCallback((patch) => {
+        onDataChange({ ...data, autoTransition: { ...data.autoTransition, ...patch } });
+    }, [data, onDataChange]);
+    const toggleAutoTransition = useCallback((enabled) => {
+        onDataChange({
+            ...data,
+            autoTransition: enabled
+                ? { to: outgoingTargets[0] || '', afterHours: 48, notifyGroupSlug: null }
+                : null
+        });
+    }, [data, onDataChange, outgoingTargets]);
+
     return (
         <div className="properties-editor">
             <h3 className="properties-editor__title">Állapot tulajdonságok</h3>
@@ -242,6 +268,95 @@ export default function StatePropertiesEditor({ node, onDataChange, availableGro
                 )}
             </div>
 
+            {/* ── Automatikus átmenet (collapsible) ─────────────────────────── */}
+            {(canHaveAutoTransition || autoTransition) && (
+                <div className="designer-collapsible">
+                    <button
+                        type="button"
+                        className="designer-collapsible__header"
+                        onClick={() => setAutoTransitionOpen(v => !v)}
+                        aria-expanded={autoTransitionOpen}
+                        aria-controls={`state-auto-transition-${node.id}`}
+                    >
+                        <span>
+                            Automatikus átmenet
+                            {autoTransition ? ` (${autoTransition.afterHours ?? '?'} óra)` : ''}
+                        </span>
+                        <span className="designer-collapsible__chevron" aria-hidden="true">{autoTransitionOpen ? '▾' : '▸'}</span>
+                    </button>
+                    {autoTransitionOpen && (
+                        <div className="designer-collapsible__body" id={`state-auto-transition-${node.id}`}>
+                            <p className="designer-field__help">
+                                Ha a cikk a megadott ideig ebben az állapotban áll, a szerver
+                                automatikusan továbblépteti (zárolt cikket kihagy, a feltételeket
+                                ugyanúgy ellenőrzi, mint kézi váltáskor).
+                            </p>
+                            <label className="designer-field__checkbox-label">
+                                <input
+                                    type="checkbox"
+                                    checked={!!autoTransition}
+                                    onChange={e => toggleAutoTransition(e.target.checked)}
+                                    disabled={isReadOnly || (!autoTransition && outgoingTargets.length === 0)}
+                                />
+                                Automatikus átmenet bekapcsolva
+                            </label>
+                            {!autoTransition && outgoingTargets.length === 0 && (
+                                <p className="designer-field__empty-hint">
+                                    Előbb húzz átmenetet ebből az állapotból.
+                                </p>
+                            )}
+                            {autoTransition && (
+                                <>
+                                    <div className="designer-field">
+                                        <label className="designer-field__label">Cél-állapot</label>
+                                        <select
+                                            className="designer-field__select"
+                                            value={autoTransition.to || ''}
+                                            onChange={e => updateAutoTransition({ to: e.target.value })}
+                                            disabled={isReadOnly}
+                                        >
+                                            <option value="">Cél kiválasztása...</option>
+                                            {/* A már nem létező átmenet célját is mutatjuk — a validátor jelzi */}
+                                            {[...new Set([...outgoingTargets, autoTransition.to].filter(Boolean))].map(id => (
+                                                <option key={id} value={id}>
+                                                    {stateLabels[id] || id}
+                                                </option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                    <div className="designer-field">
+                                        <label className="designer-field__label">Várakozás (óra)</label>
+                                        <input
+                                            type="number"
+                                            className="designer-field__input"
+                                            value={autoTransition.afterHours ?? ''}
+                                            min={AUTO_TRANSITION_MIN_HOURS}
+                                            max={AUTO_TRANSITION_MAX_HOURS}
+                                            onChange={e => updateAutoTransition({ afterHours: parseInt(e.target.value) || 0 })}
+                                            disabled={isReadOnly}
+                                        />
+                                    </div>
+                                    <div className="designer-field">
+                                        <label className="designer-field__label">Értesítendő munkatárs</label>
+                                        <select
+                                            className="designer-field__select"
+                                            value={autoTransition.notifyGroupSlug || ''}
+                                            onChange={e => updateAutoTransition({ notifyGroupSlug: e.target.value || null })}
+                                            disabled={isReadOnly}
+                                        >
+                                            <option value="">Nincs értesítés</option>
+                                            {availableGroups.map(slug => (
+                                                <option key={slug} value={slug}>{slug}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                </>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+
             {/* Törlés gomb — read-only módban letiltva (#A.4.6 follow-up). */}
             <div className="properties-editor__footer">
                 <button
@@ -2,11 +2,12 @@
  * Maestro Dashboard — TransitionPropertiesEditor
  *
  * Kiválasztott transition edge tulajdonságainak szerkesztője.
- * Mezők: label, direction, allowedGroups.
+ * Mezők: label, direction, allowedGroups, guards (átmenet-feltételek).
  */
 
 import React, { useCallback } from 'react';
 import GroupMultiSelectField from '../fields/GroupMultiSelectField.jsx';
+import TransitionGuardListField from '../fields/TransitionGuardListField.jsx';
 
 const DIRECTIONS = [
     { value: 'forward',  label: 'Előre (→)' },
@@ -113,6 +114,14 @@ export default function TransitionPropertiesEditor({ edge, onDataChange, availab
                 disabled={isReadOnly}
             />
 
+            {/* Guards — a plugin és az update-article CF is kiértékeli (shared transitionGuards.js) */}
+            <TransitionGuardListField
+                label="Feltételek"
+                value={data.guards || []}
+                onChange={v => update('guards', v)}
+                disabled={isReadOnly}
+            />
+
             {/* Törlés gomb — read-only módban letiltva (#A.4.6 follow-up). */}
             <div className="properties-editor__footer">
                 <button
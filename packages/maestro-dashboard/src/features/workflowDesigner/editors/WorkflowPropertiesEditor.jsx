@@ -9,23 +9,50 @@
  * tartalmazzák az `isLeaderGroup` / `isContributorGroup` flag-eket. A
  * compiler `graphToCompiled()` ezekből autogenerálja a `compiled.leaderGroups[]`
  * és `compiled.contributorGroups[]` mezőket.
+ *
+ * **Kiadvány-szintű bővítmények**: a `publication` scope-ú workflow
+ * extension-ök (`metadata.publicationExtensions` → `compiled.publicationExtensions`)
+ * nem állapothoz kötöttek — a Plugin a kiadvány fejléc-eszköztárából futtatja
+ * őket az egész kiadványra.
  */
 
-import React, { useCallback } from 'react';
+import React, { useCallback, useState } from 'react';
 import RequiredGroupSlugsField from '../fields/RequiredGroupSlugsField.jsx';
+import ValidationListField from '../fields/ValidationListField.jsx';
+import CommandListField from '../fields/CommandListField.jsx';
+
+const EMPTY_PUBLICATION_EXTENSIONS = { validations: [], commands: [] };
 
 /**
  * @param {Object} props
  * @param {number} props.version - Workflow verzió
- * @param {Object} props.metadata - { requiredGroupSlugs, contributorGroups, leaderGroups, elementPermissions, capabilities }
+ * @param {Object} props.metadata - { requiredGroupSlugs, contributorGroups, leaderGroups, elementPermissions, capabilities, publicationExtensions }
  * @param {Function} props.onMetadataChange - (newMetadata) => void
+ * @param {string[]} [props.availableGroups] - Elérhető csoport slug-ok (kiadvány-parancsok jogosultságához)
+ * @param {Array<{slug: string, name: string, kind: string, scope?: string, archivedAt: string|null, paramSchema?: string|null}>} [props.extensions]
+ *   - Az office workflow extension-listája; a kiadvány-szintű mezők a
+ *   `scope: 'publication'` extension-ökre szűrnek.
  * @param {boolean} [props.isReadOnly=false] - foreign workflow / no permission → disabled UI
  */
-export default function WorkflowPropertiesEditor({ version, metadata, onMetadataChange, isReadOnly = false }) {
+export default function WorkflowPropertiesEditor({
+    version, metadata, onMetadataChange, availableGroups = [], extensions, isReadOnly = false
+}) {
+    const [publicationExtensionsOpen, setPublicationExtensionsOpen] = useState(false);
+    const publicationExtensions = metadata.publicationExtensions || EMPTY_PUBLICATION_EXTENSIONS;
+    const publicationExtensionsCount = (publicationExtensions.validations?.length || 0)
+        + (publicationExtensions.commands?.length || 0);
+
     const handleRequiredGroupSlugsChange = useCallback((nextSlugs) => {
         onMetadataChange({ ...metadata, requiredGroupSlugs: nextSlugs });
     }, [metadata, onMetadataChange]);
 
+    const updatePublicationExtensions = useCallback((key, next) => {
+        onMetadataChange({
+            ...metadata,
+            publicationExtensions: { ...EMPTY_PUBLICATION_EXTENSIONS, ...metadata.publicationExtensions, [key]: next }
+        });
+    }, [metadata, onMetadataChange]);
+
     return (
         <div className="properties-editor">
             <h3 className="properties-editor__title">Workflow</h3>
@@ -43,6 +70,42 @@ export default function WorkflowPropertiesEditor({ version, metadata, onMetadata
                 disabled={isReadOnly}
             />
 
+            {/* ── Kiadvány-szintű bővítmények (collapsible) ─────────────────── */}
+            <div className="designer-collapsible">
+                <button
+                    type="button"
+                    className="designer-collapsible__header"
+                    onClick={() => setPublicationExtensionsOpen(v => !v)}
+                    aria-expanded={publicationExtensionsOpen}
+                    aria-controls="workflow-publication-extensions"
+                >
+                    <span>Kiadvány-szintű bővítmények{publicationExtensionsCount > 0 ? ` (${publicationExtensionsCount})` : ''}</span>
+                    <span className="designer-collapsible__chevron" aria-hidden="true">{publicationExtensionsOpen ? '▾' : '▸'}</span>
+                </button>
+                {publicationExtensionsOpen && (
+                    <div className="designer-collapsible__body" id="workflow-publication-extensions">
+                        <ValidationListField
+                            label="Kiadvány-ellenőrzések"
+                            helpText="A Pluginban a kiadvány fejlécéből indítható ellenőrzések — az egész kiadványt (cikkek, layoutok, lapzárták) vizsgálják."
+                            value={publicationExtensions.validations || []}
+                            onChange={v => updatePublicationExtensions('validations', v)}
+                            extensions={extensions}
+                            scope="publication"
+                            disabled={isReadOnly}
+                        />
+                        <CommandListField
+                            label="Kiadvány-parancsok"
+                            value={publicationExtensions.commands || []}
+                            availableGroups={availableGroups}
+                            onChange={v => updatePublicationExtensions('commands', v)}
+                            extensions={extensions}
+                            scope="publication"
+                            disabled={isReadOnly}
+                        />
+                    </div>
+                )}
+            </div>
+
             {/*
              * Korábban itt voltak az „Elem jogosultságok" és „Képességek"
              * placeholder szekciók „Hamarosan" badge-dzsel. Amíg nincs
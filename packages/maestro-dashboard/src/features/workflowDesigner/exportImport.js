@@ -140,10 +140,19 @@ export function computeImportDiff(currentNodes, currentEdges, currentMetadata, i
     const impCapabilities = JSON.stringify(importedCompiled.capabilities || {});
     if (curCapabilities !== impCapabilities) metadataChanges.push('Képességek');
 
+    const toPubExtKey = (value) => JSON.stringify({
+        validations: value?.validations || [],
+        commands: value?.commands || []
+    });
+    if (toPubExtKey(currentMetadata.publicationExtensions) !== toPubExtKey(importedCompiled.publicationExtensions)) {
+        metadataChanges.push('Kiadvány-szintű bővítmények');
+    }
+
     // Validációk és parancsok változása az állapotokra
     let validationChanges = false;
     let commandChanges = false;
     let permissionChanges = false;
+    let autoTransitionChanges = false;
     for (const state of (importedCompiled.states || [])) {
         const currentNode = currentNodes.find(n => n.id === state.id);
         if (!currentNode) continue;
@@ -156,10 +165,14 @@ export function computeImportDiff(currentNodes, currentEdges, currentMetadata, i
         if (JSON.stringify(importedCompiled.statePermissions?.[state.id]) !== JSON.stringify(currentNode.data.statePermissions)) {
             permissionChanges = true;
         }
+        if (JSON.stringify(importedCompiled.autoTransitions?.[state.id] ?? null) !== JSON.stringify(currentNode.data.autoTransition ?? null)) {
+            autoTransitionChanges = true;
+        }
     }
     if (validationChanges) metadataChanges.push('Validációs szabályok');
     if (commandChanges) metadataChanges.push('Parancsok');
     if (permissionChanges) metadataChanges.push('Állapot jogosultságok');
+    if (autoTransitionChanges) metadataChanges.push('Automatikus átmenetek');
 
     return { addedStates, removedStates, changedTransitions, metadataChanges };
 }
@@ -7,28 +7,46 @@
  * `kind === 'command'` extension-ek; archivált extension a választható
  * dropdown-ból kimarad, de stale ref read-only sorként megjelenik a `value`-ban
  * megőrzött ext.<slug>-re — Codex tervi roast 5-ös pont).
+ *
+ * Paraméter-sémás parancs-extension sorában a sémából generált beállító
+ * űrlap (`ExtensionOptionsForm`) is megjelenik; az értékek a parancs
+ * `options` mezőjébe kerülnek (hozzáadáskor az alapértékekkel).
+ *
+ * A `scope` prop választja el a cikk-állapot parancsokat (`article`, beépített
+ * parancsokkal) a workflow-szintű kiadvány-parancsoktól (`publication`, csak
+ * extension) — mindkét esetben csak az azonos `scope`-ú extension-ök
+ * választhatók.
  */
 
 import React, { useCallback, useMemo, useState } from 'react';
 import { COMMAND_REGISTRY } from '@shared/commandRegistry.js';
-import { isExtensionRef, EXTENSION_REF_PREFIX } from '@shared/extensionContract.js';
+import { isExtensionRef, EXTENSION_REF_PREFIX, EXTENSION_SCOPE_DEFAULT } from '@shared/extensionContract.js';
+import { parseParamSchema, getDefaultExtensionOptions } from '@shared/extensionParams.js';
+import ExtensionOptionsForm from './ExtensionOptionsForm.jsx';
 
 const COMMAND_IDS = Object.keys(COMMAND_REGISTRY);
 
+/** Az extension hatóköre (a legacy, scope nélküli doc `article`). */
+function getExtensionScope(ext) {
+    return ext?.scope || EXTENSION_SCOPE_DEFAULT;
+}
+
 /**
  * @param {Object} props
  * @param {string} props.label - Mező címke
- * @param {Object[]} props.value - [{ id, allowedGroups }]
+ * @param {Object[]} props.value - [{ id, allowedGroups, options? }]
  * @param {string[]} props.availableGroups - Elérhető csoport slug-ok
  * @param {Function} props.onChange - (Object[]) => void
- * @param {Array<{slug: string, name: string, kind: string, archivedAt: string|null}>} [props.extensions]
+ * @param {Array<{slug: string, name: string, kind: string, scope?: string, archivedAt: string|null, paramSchema?: string|null}>} [props.extensions]
  *   - Az office workflow extension-listája (B.5.3). Csak `kind === 'command'`-ra
- *   szűrve. Az archivált extension a "+ Új parancs" dropdown-ból kimarad,
- *   de a value-ban megőrzött stale ref-eket sorként (allowedGroups-ostul)
+ *   és a `scope`-ra szűrve. Az archivált extension a "+ Új parancs" dropdown-ból
+ *   kimarad, de a value-ban megőrzött stale ref-eket sorként (allowedGroups-ostul)
  *   megmutatjuk olvashatatlan / vasrúd ⚠ jelzéssel.
+ * @param {'article'|'publication'} [props.scope='article'] - `publication` esetén
+ *   a beépített (cikk-) parancsok kimaradnak
  * @param {boolean} [props.disabled] - Letiltott módban a vezérlők nem használhatók
  */
-export default function CommandListField({ label, value = [], availableGroups = [], onChange, extensions, disabled = false }) {
+export default function CommandListField({ label, value = [], availableGroups = [], onChange, extensions, scope = EXTENSION_SCOPE_DEFAULT, disabled = false }) {
     const [addingId, setAddingId] = useState('');
     const usedIds = useMemo(() => new Set(value.map(c => c.id)), [value]);
 
@@ -37,8 +55,9 @@ export default function CommandListField({ label, value = [], availableGroups =
     // → registry.label, ext.<slug> → ext.name; stale ref-nél csak a slug,
     // és egy ⚠ jelzés.
     const { activeOptions, commandLookup } = useMemo(() => {
-        const lookup = new Map(); // id → { label, isExtension, isStale }
-        for (const id of COMMAND_IDS) {
+        const lookup = new Map(); // id → { label, isExtension, isStale, params? }
+        const builtinIds = scope === EXTENSION_SCOPE_DEFAULT ? COMMAND_IDS : [];
+        for (const id of builtinIds) {
             lookup.set(id, {
                 label: COMMAND_REGISTRY[id].label,
                 isExtension: false,
@@ -52,11 +71,14 @@ export default function CommandListField({ label, value = [], availableGroups =
             commandExtensionsBySlug.set(ext.slug, ext);
         }
         for (const ext of commandExtensionsBySlug.values()) {
-            if (ext.archivedAt) continue;
+            if (ext.archivedAt || getExtensionScope(ext) !== scope) continue;
+            // Érvénytelen tárolt séma = nincs űrlap (a server aktiváláskor elutasítja).
+            const { params } = parseParamSchema(ext.paramSchema);
             lookup.set(`${EXTENSION_REF_PREFIX}${ext.slug}`, {
                 label: ext.name || ext.slug,
                 isExtension: true,
-                isStale: false
+                isStale: false,
+                params
             });
         }
 
@@ -68,7 +90,8 @@ export default function CommandListField({ label, value = [], availableGroups =
             const ext = commandExtensionsBySlug.get(slug);
             const isMissing = !ext;
             const isArchived = ext && !!ext.archivedAt;
-            if (!isMissing && !isArchived) continue;
+            const isOtherScope = ext && getExtensionScope(ext) !== scope;
+            if (!isMissing && !isArchived && !isOtherScope) continue;
             lookup.set(id, {
                 label: ext?.name || slug,
                 isExtension: true,
@@ -79,24 +102,30 @@ export default function CommandListField({ label, value = [], availableGroups =
         // A "+ Új parancs" dropdown-ba CSAK az aktív (built-in + nem-archivált
         // extension), még nem hozzáadott option-öket tesszük.
         const opts = [];
-        for (const id of COMMAND_IDS) {
+        for (const id of builtinIds) {
             if (usedIds.has(id)) continue;
             opts.push({ id, label: COMMAND_REGISTRY[id].label, isExtension: false });
         }
         for (const ext of commandExtensionsBySlug.values()) {
-            if (ext.archivedAt) continue;
+            if (ext.archivedAt || getExtensionScope(ext) !== scope) continue;
             const id = `${EXTENSION_REF_PREFIX}${ext.slug}`;
             if (usedIds.has(id)) continue;
             opts.push({ id, label: ext.name || ext.slug, isExtension: true });
         }
         return { activeOptions: opts, commandLookup: lookup };
-    }, [extensions, value, usedIds]);
+    }, [extensions, value, usedIds, scope]);
 
     const handleAdd = useCallback(() => {
         if (!addingId || usedIds.has(addingId)) return;
-        onChange([...value, { id: addingId, allowedGroups: [] }]);
+        const params = commandLookup.get(addingId)?.params;
+        onChange([
+            ...value,
+            params?.length > 0
+                ? { id: addingId, allowedGroups: [], options: getDefaultExtensionOptions(params) }
+                : { id: addingId, allowedGroups: [] }
+        ]);
         setAddingId('');
-    }, [addingId, usedIds, value, onChange]);
+    }, [addingId, usedIds, commandLookup, value, onChange]);
 
     const handleRemove = useCallback((commandId) => {
         onChange(value.filter(c => c.id !== commandId));
@@ -106,6 +135,10 @@ export default function CommandListField({ label, value = [], availableGroups =
         onChange(value.map(c => c.id === commandId ? { ...c, allowedGroups: groups } : c));
     }, [value, onChange]);
 
+    const handleOptionsChange = useCallback((commandId, options) => {
+        onChange(value.map(c => c.id === commandId ? { ...c, options } : c));
+    }, [value, onChange]);
+
     const isEmpty = value.length === 0;
 
     return (
@@ -138,7 +171,7 @@ export default function CommandListField({ label, value = [], availableGroups =
                             <span
                                 className={headerClass}
                                 title={meta.isStale
-                                    ? `Archivált vagy hiányzó bővítmény (${cmd.id}) — nem futtatható, amíg vissza nem állítod.`
+                                    ? `Archivált, hiányzó vagy eltérő hatókörű bővítmény (${cmd.id}) — itt nem futtatható.`
                                     : meta.isExtension
                                         ? `Bővítmény: ${cmd.id}`
                                         : undefined}
@@ -178,6 +211,14 @@ export default function CommandListField({ label, value = [], availableGroups =
                                 </button>
                             ))}
                         </div>
+                        {meta.params?.length > 0 && (
+                            <ExtensionOptionsForm
+                                params={meta.params}
+                                value={cmd.options}
+                                onChange={options => handleOptionsChange(cmd.id, options)}
+                                disabled={disabled}
+                            />
+                        )}
                     </div>
                 );
             })}
@@ -0,0 +1,130 @@
+/**
+ * Maestro Dashboard — ExtensionOptionsForm
+ *
+ * Egy workflow extension-hivatkozás (`ext.<slug>`) beállító űrlapja, az
+ * extension `paramSchema`-jából generálva (`@shared/extensionParams.js`).
+ * A `ValidationListField` (`{ validator, options }`) és a `CommandListField`
+ * (`{ id, allowedGroups, options }`) használja. Az üresre törölt mező
+ * kikerül az `options`-ből — a runtime és az aktiválás az alapértéket
+ * alkalmazza rá, kötelező paraméternél pedig hibát jelez.
+ */
+
+import React, { useId, useMemo } from 'react';
+import { normalizeExtensionOptions } from '@shared/extensionParams.js';
+
+/**
+ * @param {Object} props
+ * @param {string} [props.title] - Az űrlap fejléce (az extension neve); a parancs-sorban elhagyható
+ * @param {Object[]} props.params - `parseParamSchema` normalizált paraméter-listája
+ * @param {Object} [props.value] - Az aktuális `options`
+ * @param {Function} props.onChange - (Object) => void
+ * @param {boolean} [props.disabled] - Letiltott módban a vezérlők nem használhatók
+ */
+export default function ExtensionOptionsForm({ title, params, value, onChange, disabled = false }) {
+    const options = value || {};
+    const idPrefix = useId();
+    const { errors } = useMemo(() => normalizeExtensionOptions(params, value), [params, value]);
+
+    function setOption(key, next) {
+        const updated = { ...options };
+        if (next === undefined) delete updated[key];
+        else updated[key] = next;
+        onChange(updated);
+    }
+
+    function renderControl(param) {
+        const current = options[param.key];
+        const inputId = `${idPrefix}-${param.key}`;
+
+        // A checkbox nem tud „üres” lenni: az alapértéket mutatja, és a
+        // kattintás mindig explicit értéket ír.
+        if (param.type === 'boolean') {
+            return (
+                <label className="designer-field__checkbox-label" title={param.description || undefined}>
+                    <input
+                        type="checkbox"
+                        checked={current ?? param.default ?? false}
+                        onChange={e => setOption(param.key, e.target.checked)}
+                        disabled={disabled}
+                    />
+                    {param.label}
+                </label>
+            );
+        }
+
+        let control;
+        if (param.type === 'enum') {
+            control = (
+                <select
+                    id={inputId}
+                    className="designer-field__select"
+                    value={current ?? ''}
+                    onChange={e => setOption(param.key, e.target.value || undefined)}
+                    disabled={disabled}
+                >
+                    <option value="">
+                        {param.default !== undefined ? `Alapérték (${param.default})` : 'Válassz...'}
+                    </option>
+                    {param.values.map(v => <option key={v} value={v}>{v}</option>)}
+                </select>
+            );
+        } else if (param.type === 'number') {
+            control = (
+                <input
+                    id={inputId}
+                    type="number"
+                    className="designer-field__input"
+                    value={current ?? ''}
+                    min={param.min ?? undefined}
+                    max={param.max ?? undefined}
+                    placeholder={param.default !== undefined ? String(param.default) : ''}
+                    onChange={e => {
+                        const raw = e.target.value;
+                        setOption(param.key, raw === '' ? undefined : Number(raw));
+                    }}
+                    disabled={disabled}
+                />
+            );
+        } else {
+            control = (
+                <input
+                    id={inputId}
+                    type="text"
+                    className="designer-field__input"
+                    value={current ?? ''}
+                    maxLength={param.maxLength}
+                    placeholder={param.default !== undefined ? String(param.default) : ''}
+                    onChange={e => setOption(param.key, e.target.value === '' ? undefined : e.target.value)}
+                    disabled={disabled}
+                />
+            );
+        }
+
+        return (
+            <>
+                <label className="designer-field__label" htmlFor={inputId} title={param.description || undefined}>
+                    {param.label}
+                    {param.required && param.default === undefined && <span aria-hidden="true"> *</span>}
+                </label>
+                {control}
+            </>
+        );
+    }
+
+    return (
+        <div className="designer-field__ext-options">
+            {title && <div className="designer-field__ext-options-title">⚙ {title} — beállítások</div>}
+            {params.map(param => (
+                <div key={param.key} className="designer-field__ext-option">
+                    {renderControl(param)}
+                    {param.description && <p className="designer-field__help">{param.description}</p>}
+                </div>
+            ))}
+            {errors.length > 0 && (
+                <ul className="designer-field__ext-options-errors" role="alert">
+                    {errors.map(message => <li key={message}>{message}</li>)}
+                </ul>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,135 @@
+/**
+ * Maestro Dashboard — TransitionGuardListField
+ *
+ * Átmenet-feltétel (guard) lista szerkesztő: hozzáadás dropdown + eltávolítás,
+ * a `minPageCount` guard-nál numerikus értékkel. A katalógus a shared
+ * `TRANSITION_GUARD_DEFINITIONS`-ből jön; egy típus legfeljebb egyszer
+ * szerepelhet. Ismeretlen (újabb Designer-verzióból származó) típus read-only
+ * ⚠ sorként jelenik meg — a runtime fail-closed kezeli.
+ */
+
+import React, { useCallback, useMemo, useState } from 'react';
+import {
+    TRANSITION_GUARD_DEFINITIONS,
+    TRANSITION_GUARD_TYPES,
+    describeTransitionGuard
+} from '@shared/transitionGuards.js';
+
+/**
+ * @param {Object} props
+ * @param {string} props.label - Mező címke
+ * @param {Array<{type: string, value?: number}>} props.value - A guard lista
+ * @param {Function} props.onChange - (Array) => void
+ * @param {boolean} [props.disabled] - Letiltott módban a vezérlők nem használhatók
+ */
+export default function TransitionGuardListField({ label, value = [], onChange, disabled = false }) {
+    const [addingType, setAddingType] = useState('');
+    const usedTypes = useMemo(() => new Set(value.map(g => g.type)), [value]);
+
+    const definitionsByType = useMemo(
+        () => new Map(TRANSITION_GUARD_DEFINITIONS.map(d => [d.type, d])),
+        []
+    );
+
+    const activeOptions = useMemo(
+        () => TRANSITION_GUARD_DEFINITIONS.filter(d => !usedTypes.has(d.type)),
+        [usedTypes]
+    );
+
+    const handleAdd = useCallback(() => {
+        const def = definitionsByType.get(addingType);
+        if (!def || usedTypes.has(addingType)) return;
+        onChange([...value, def.hasValue ? { type: def.type, value: def.defaultValue } : { type: def.type }]);
+        setAddingType('');
+    }, [addingType, definitionsByType, usedTypes, value, onChange]);
+
+    const handleRemove = useCallback((type) => {
+        onChange(value.filter(g => g.type !== type));
+    }, [value, onChange]);
+
+    const handleValueChange = useCallback((type, rawValue) => {
+        const parsed = Math.max(1, Math.floor(Number(rawValue) || 1));
+        onChange(value.map(g => g.type === type ? { ...g, value: parsed } : g));
+    }, [value, onChange]);
+
+    const isEmpty = value.length === 0;
+
+    return (
+        <div className="designer-field">
+            {label && <label className="designer-field__label">{label}</label>}
+
+            {isEmpty && (
+                <p className="designer-field__empty-hint">
+                    Nincs feltétel — az átmenet csak a csoport-jogosultságtól függ.
+                </p>
+            )}
+
+            {value.map(guard => {
+                const def = definitionsByType.get(guard.type);
+                const headerClass = [
+                    'designer-field__command-name',
+                    def ? '' : 'designer-field__command-name--stale'
+                ].filter(Boolean).join(' ');
+                return (
+                    <div key={guard.type} className="designer-field__command-item">
+                        <div className="designer-field__command-header">
+                            <span
+                                className={headerClass}
+                                title={def ? undefined : `Ismeretlen feltétel (${guard.type}) — az átmenet mindig blokkolva lesz.`}
+                            >
+                                {def ? def.label : describeTransitionGuard(guard)}
+                                {!def && <span aria-label="ismeretlen"> ⚠</span>}
+                            </span>
+                            <button
+                                type="button"
+                                className="designer-field__remove-btn"
+                                onClick={() => handleRemove(guard.type)}
+                                title="Feltétel eltávolítása"
+                                aria-label={`${def?.label || guard.type} feltétel eltávolítása`}
+                                disabled={disabled}
+                            >
+                                <span aria-hidden="true">✕</span>
+                            </button>
+                        </div>
+                        {guard.type === TRANSITION_GUARD_TYPES.MIN_PAGE_COUNT && (
+                            <input
+                                type="number"
+                                min="1"
+                                step="1"
+                                className="designer-field__input"
+                                value={guard.value ?? ''}
+                                onChange={e => handleValueChange(guard.type, e.target.value)}
+                                aria-label="Minimális oldalszám"
+                                disabled={disabled}
+                            />
+                        )}
+                    </div>
+                );
+            })}
+
+            {activeOptions.length > 0 && !disabled && (
+                <div className="designer-field__add-row">
+                    <select
+                        value={addingType}
+                        onChange={e => setAddingType(e.target.value)}
+                        className="designer-field__select"
+                    >
+                        <option value="">Feltétel kiválasztása...</option>
+                        {activeOptions.map(def => (
+                            <option key={def.type} value={def.type}>{def.label}</option>
+                        ))}
+                    </select>
+                    <button
+                        type="button"
+                        className="designer-field__add-btn"
+                        onClick={handleAdd}
+                        disabled={!addingType}
+                        aria-label="Kiválasztott feltétel hozzáadása"
+                    >
+                        <span aria-hidden="true">+</span>
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
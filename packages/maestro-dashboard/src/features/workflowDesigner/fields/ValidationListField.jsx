@@ -7,11 +7,23 @@
  * `kind === 'validator'` extension-ek; archivált extension a választható
  * listából kimarad, de stale ref read-only chip-ként megjelenik a `value`-ban
  * megőrzött ext.<slug>-re — Codex tervi roast 5-ös pont).
+ *
+ * Paraméter-sémás extension kiválasztásakor a hivatkozás
+ * `{ validator: 'ext.<slug>', options }` alakban tárolódik (az alapértékekkel
+ * feltöltve), és a chip-lista alatt megjelenik a sémából generált
+ * beállító űrlap (`ExtensionOptionsForm`).
+ *
+ * A `scope` prop választja el a cikk-állapot listákat (`article`, beépített
+ * validátorokkal) a workflow-szintű kiadvány-validátoroktól (`publication`,
+ * csak extension) — mindkét esetben csak az azonos `scope`-ú extension-ök
+ * választhatók.
  */
 
 import React, { useCallback, useMemo } from 'react';
 import { VALIDATOR_REGISTRY } from '@shared/validatorRegistry.js';
-import { isExtensionRef, EXTENSION_REF_PREFIX } from '@shared/extensionContract.js';
+import { isExtensionRef, EXTENSION_REF_PREFIX, EXTENSION_SCOPE_DEFAULT } from '@shared/extensionContract.js';
+import { parseParamSchema, getDefaultExtensionOptions } from '@shared/extensionParams.js';
+import ExtensionOptionsForm from './ExtensionOptionsForm.jsx';
 
 const VALIDATOR_IDS = Object.keys(VALIDATOR_REGISTRY);
 
@@ -22,35 +34,58 @@ function getValidatorId(v) {
     return typeof v === 'string' ? v : v?.validator;
 }
 
+/** Az extension hatóköre (a legacy, scope nélküli doc `article`). */
+function getExtensionScope(ext) {
+    return ext?.scope || EXTENSION_SCOPE_DEFAULT;
+}
+
 /**
  * @param {Object} props
  * @param {string} props.label - Mező címke
  * @param {string} [props.helpText] - Magyarázó szöveg a label alatt (#66)
  * @param {Array} props.value - Kiválasztott validátorok (string[] vagy object[])
  * @param {Function} props.onChange - (Array) => void
- * @param {Array<{slug: string, name: string, kind: string, archivedAt: string|null}>} [props.extensions]
+ * @param {Array<{slug: string, name: string, kind: string, scope?: string, archivedAt: string|null, paramSchema?: string|null}>} [props.extensions]
  *   - Az office workflow extension-listája (B.5.3). Csak `kind === 'validator'`-ra
- *   szűrve render. Az archivált (`archivedAt !== null`) NEM jelenik meg
- *   választhatónak, de a `value`-ban benne lévő stale ref-eket
+ *   és a `scope`-ra szűrve render. Az archivált (`archivedAt !== null`) NEM
+ *   jelenik meg választhatónak, de a `value`-ban benne lévő stale ref-eket
  *   read-only chip-ként mutatjuk.
+ * @param {'article'|'publication'} [props.scope='article'] - `publication` esetén
+ *   a beépített (cikk-) validátorok kimaradnak
  * @param {boolean} [props.disabled] - Letiltott módban a chip-ek nem kattinthatók
  */
-export default function ValidationListField({ label, helpText, value = [], onChange, extensions, disabled = false }) {
+export default function ValidationListField({ label, helpText, value = [], onChange, extensions, scope = EXTENSION_SCOPE_DEFAULT, disabled = false }) {
     const selectedIds = useMemo(() => new Set(value.map(getValidatorId)), [value]);
 
+    // ext.<slug> → { name, params } a paraméter-sémás aktív validátor-
+    // extension-ökre (érvénytelen tárolt séma = nincs űrlap; a server
+    // aktiváláskor úgyis elutasítja).
+    const paramsByRef = useMemo(() => {
+        const map = new Map();
+        for (const ext of (extensions || [])) {
+            if (ext?.kind !== 'validator' || ext.archivedAt || !ext.paramSchema) continue;
+            if (getExtensionScope(ext) !== scope) continue;
+            const { params } = parseParamSchema(ext.paramSchema);
+            if (params.length === 0) continue;
+            map.set(`${EXTENSION_REF_PREFIX}${ext.slug}`, { name: ext.name || ext.slug, params });
+        }
+        return map;
+    }, [extensions, scope]);
+
     // ── Built-in + extension chip-lista ─────────────────────────────────────
     // Minden chip egységes alakkal: `{ id, label, title, isExtension, isStale }`.
     // - Built-in (registry): isExtension=false, isStale=false.
     // - Active extension (archivedAt=null): isExtension=true, isStale=false.
-    // - Stale ref (value-ban van, de NINCS extensions[]-ben vagy archivált):
+    // - Stale ref (value-ban van, de NINCS extensions[]-ben, archivált vagy
+    //   eltérő scope-ú):
     //   isExtension=true, isStale=true → chip read-only, X-szel eltávolítható
     //   (különben az archivált hivatkozás csendben eltűnne és a workflow
     //   megérthetősége csorbulna — Codex tervi roast 5-ös pont).
     const chipOptions = useMemo(() => {
         const list = [];
 
-        // Built-in validátorok.
-        for (const id of VALIDATOR_IDS) {
+        // Built-in validátorok (csak cikk-szinten).
+        for (const id of scope === EXTENSION_SCOPE_DEFAULT ? VALIDATOR_IDS : []) {
             list.push({
                 id,
                 label: VALIDATOR_REGISTRY[id].label,
@@ -67,7 +102,7 @@ export default function ValidationListField({ label, helpText, value = [], onCha
             validatorExtensionsBySlug.set(ext.slug, ext);
         }
         for (const ext of validatorExtensionsBySlug.values()) {
-            if (ext.archivedAt) continue;
+            if (ext.archivedAt || getExtensionScope(ext) !== scope) continue;
             list.push({
                 id: `${EXTENSION_REF_PREFIX}${ext.slug}`,
                 label: ext.name || ext.slug,
@@ -88,20 +123,23 @@ export default function ValidationListField({ label, helpText, value = [], onCha
             const ext = validatorExtensionsBySlug.get(slug);
             const isMissing = !ext;
             const isArchived = ext && !!ext.archivedAt;
-            if (!isMissing && !isArchived) continue; // aktív, már fent van.
+            const isOtherScope = ext && getExtensionScope(ext) !== scope;
+            if (!isMissing && !isArchived && !isOtherScope) continue; // aktív, már fent van.
             list.push({
                 id,
                 label: ext?.name || slug,
                 title: isMissing
                     ? `Hivatkozott bővítmény nem található (${id}). Új workflow-ban inkább távolítsd el.`
-                    : `Archivált bővítmény (${id}) — nem futtatható, amíg vissza nem állítod.`,
+                    : isArchived
+                        ? `Archivált bővítmény (${id}) — nem futtatható, amíg vissza nem állítod.`
+                        : `Eltérő hatókörű bővítmény (${id}) — itt nem futtatható, távolítsd el.`,
                 isExtension: true,
                 isStale: true
             });
         }
 
         return list;
-    }, [extensions, value]);
+    }, [extensions, value, scope]);
 
     const handleToggle = useCallback((validatorId, isStale) => {
         if (selectedIds.has(validatorId)) {
@@ -109,13 +147,23 @@ export default function ValidationListField({ label, helpText, value = [], onCha
             onChange(value.filter(v => getValidatorId(v) !== validatorId));
         } else {
             if (isStale) return; // stale chip-et nem lehet hozzáadni; csak X-szel eltávolítani.
-            // Hozzáadás — string formában (options nélkül)
-            // Ha a felhasználó korábban options-szel rendelkező validátort
-            // kapcsol vissza, az options elvész (ez elfogadható, mert
-            // az options szerkesztése még nincs implementálva a UI-ban)
-            onChange([...value, validatorId]);
+            // Hozzáadás — séma nélkül string formában, paraméter-sémás
+            // extension-nél az alapértékekkel feltöltött options-szel.
+            const schema = paramsByRef.get(validatorId);
+            onChange([
+                ...value,
+                schema
+                    ? { validator: validatorId, options: getDefaultExtensionOptions(schema.params) }
+                    : validatorId
+            ]);
         }
-    }, [value, selectedIds, onChange]);
+    }, [value, selectedIds, paramsByRef, onChange]);
+
+    const handleOptionsChange = useCallback((validatorId, options) => {
+        onChange(value.map(v => (
+            getValidatorId(v) === validatorId ? { validator: validatorId, options } : v
+        )));
+    }, [value, onChange]);
 
     return (
         <div className="designer-field">
@@ -146,6 +194,21 @@ export default function ValidationListField({ label, helpText, value = [], onCha
                     );
                 })}
             </div>
+            {value.map(item => {
+                const id = getValidatorId(item);
+                const schema = paramsByRef.get(id);
+                if (!schema) return null;
+                return (
+                    <ExtensionOptionsForm
+                        key={id}
+                        title={schema.name}
+                        params={schema.params}
+                        value={typeof item === 'string' ? undefined : item.options}
+                        onChange={options => handleOptionsChange(id, options)}
+                        disabled={disabled}
+                    />
+                );
+            })}
         </div>
     );
 }
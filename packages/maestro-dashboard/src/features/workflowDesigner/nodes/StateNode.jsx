@@ -3,12 +3,20 @@
  *
  * Custom xyflow node típus a workflow állapotok megjelenítéséhez.
  * Színes accent sáv, címke, slug ID, duration, badge-ek, handle-ek.
+ * Fork / join (párhuzamos ágak) állapotnál a címke felett jelölő-címke.
  */
 
 import React, { memo } from 'react';
 import { Handle, Position } from '@xyflow/react';
 import { VALIDATOR_REGISTRY } from '@shared/validatorRegistry.js';
 import { COMMAND_REGISTRY } from '@shared/commandRegistry.js';
+import { STATE_KINDS } from '@shared/parallelStates.js';
+
+/** Párhuzamos jelölés címkék (`data.kind`). */
+const KIND_LABELS = {
+    [STATE_KINDS.FORK]: 'Elágazás',
+    [STATE_KINDS.JOIN]: 'Összefutás'
+};
 
 /**
  * Validátor ID rövidítések a badge-ekhez.
@@ -47,7 +55,7 @@ function formatDuration(duration) {
 }
 
 function StateNode({ data, selected }) {
-    const { label, color, duration, isInitial, isTerminal, validations, commands } = data;
+    const { label, color, duration, isInitial, isTerminal, validations, commands, kind, autoTransition } = data;
 
     // Összegyűjtött validátor badge-ek (requiredToEnter + requiredToExit, deduplikálva)
     const validatorBadges = [];
@@ -84,10 +92,21 @@ function StateNode({ data, selected }) {
 
             {/* Tartalom */}
             <div className="state-node__body">
+                {KIND_LABELS[kind] && (
+                    <div className={`state-node__kind state-node__kind--${kind}`}>{KIND_LABELS[kind]}</div>
+                )}
                 <div className="state-node__label">{label}</div>
                 <div className="state-node__id">{data.label !== data.id ? data.id || '' : ''}</div>
 
                 <div className="state-node__duration">{formatDuration(duration)}</div>
+                {autoTransition?.to && (
+                    <div
+                        className="state-node__auto"
+                        title={`Automatikus átmenet ${autoTransition.afterHours} óra után → ${autoTransition.to}`}
+                    >
+                        ⏱ {autoTransition.afterHours} ó → {autoTransition.to}
+                    </div>
+                )}
 
                 {/* Badge-ek — #62: hover-expand (kód → teljes név inline morph).
                     Két span (rövid kód + teljes név), a CSS hover-on cserél köztük.
@@ -1,3 +1,15 @@
+import { TRANSITION_GUARD_DEFINITIONS } from '@shared/transitionGuards.js';
+import { canUserAccessInState } from '@shared/workflowRuntime.js';
+import {
+    STATE_KINDS,
+    getForkBranches,
+    findForkJoin,
+    getParallelRegion
+} from '@shared/parallelStates.js';
+import { validateAutoTransitions } from '@shared/autoTransitions.js';
+
+const KNOWN_GUARD_TYPES = new Set(TRANSITION_GUARD_DEFINITIONS.map(d => d.type));
+
 /**
  * Maestro Dashboard — Workflow Validator
  *
@@ -77,5 +89,218 @@ export function validateWorkflow(compiled) {
         }
     }
 
+    // 8. Átmenet-feltételek: csak ismert típus (a runtime az ismeretlent fail-closed blokkolja)
+    for (const t of (transitions || [])) {
+        for (const g of (t.guards || [])) {
+            if (!KNOWN_GUARD_TYPES.has(g.type)) {
+                errors.push(`Az átmenet "${t.from}" → "${t.to}" ismeretlen feltételt tartalmaz: "${g.type}".`);
+            }
+        }
+    }
+
+    // 9. Párhuzamos ágak (fork / join): a fork legalább két ágra bont, az ágak
+    //    egyetlen join-ban futnak össze, a régióban nincs beágyazott fork vagy
+    //    végállapot. Fork / join nem lehet kezdő- vagy végállapot.
+    const joinOwners = new Map();
+    for (const s of states) {
+        if (s.kind !== STATE_KINDS.FORK && s.kind !== STATE_KINDS.JOIN) continue;
+        if (s.isInitial || s.isTerminal) {
+            errors.push(`Elágazás / összefutás ("${s.id}") nem lehet kezdő- vagy végállapot.`);
+        }
+        if (s.kind !== STATE_KINDS.FORK) continue;
+
+        if (getForkBranches(compiled, s.id).length < 2) {
+            errors.push(`Az elágazásból ("${s.id}") legalább két előre irányú átmenetnek (ágnak) kell indulnia.`);
+        }
+        const joinId = findForkJoin(compiled, s.id);
+        if (!joinId) {
+            errors.push(`Az elágazás ("${s.id}") ágai nem futnak össze: előre irányú átmenetekkel nem érhető el összefutás.`);
+            continue;
+        }
+        if (joinOwners.has(joinId)) {
+            errors.push(`Az összefutáshoz ("${joinId}") több elágazás is tartozik: "${joinOwners.get(joinId)}", "${s.id}".`);
+        }
+        joinOwners.set(joinId, s.id);
+        for (const regionId of getParallelRegion(compiled, s.id)) {
+            const regionState = states.find(r => r.id === regionId);
+            if (regionState?.kind) {
+                errors.push(`Az elágazás ("${s.id}") ágaiban nem lehet újabb elágazás / összefutás: "${regionId}".`);
+            } else if (regionState?.isTerminal) {
+                errors.push(`Az elágazás ("${s.id}") ágai nem vezethetnek végállapotba az összefutás előtt: "${regionId}".`);
+            }
+        }
+    }
+    for (const s of states) {
+        if (s.kind === STATE_KINDS.JOIN && !joinOwners.has(s.id)) {
+            errors.push(`Az összefutáshoz ("${s.id}") nem tartozik elágazás.`);
+        }
+    }
+
+    // 10. Automatikus (időzített) átmenetek: létező kimenő átmenetre mutatnak,
+    //     nem végállapotból / fork-ból / join-ból indulnak, az idő tartományon belül
+    errors.push(...validateAutoTransitions(compiled));
+
     return { valid: errors.length === 0, errors };
 }
+
+/**
+ * Statikus gráf-elemzés (nem blokkoló figyelmeztetések) a compiled JSON-on.
+ *
+ * A `validateWorkflow()` a strukturális hibákat szűri mentés előtt; ez a
+ * függvény a gráf szemantikáját nézi, és a Designer élőben, szerkesztés
+ * közben jeleníti meg az eredményt. Minden figyelmeztetés egy node-ra
+ * (`stateId`) vagy egy edge-re (`transition`) mutat, hogy a canvason
+ * kiemelhető legyen.
+ *
+ * Típusok:
+ * - `unreachable` — a kezdőállapotból nem érhető el
+ * - `no_terminal_path` — nem vezet belőle út záró állapotba
+ * - `no_executor` — az átmenet csoportjai közül egyik sem szerepel a
+ *   `requiredGroupSlugs`-ban (az üres listát a `validateWorkflow` blokkolja)
+ * - `no_access` — egyetlen csoport sem kap `canUserAccessInState` hozzáférést
+ * - `backward_cycle` — csak vissza irányú átmenetekből álló kör
+ *
+ * @param {Object} compiled - A graphToCompiled() kimenete
+ * @returns {Array<{ type: string, message: string, stateId?: string, transition?: { from: string, to: string } }>}
+ */
+export function analyzeWorkflowGraph(compiled) {
+    const warnings = [];
+    if (!compiled || !Array.isArray(compiled.states) || compiled.states.length === 0) return warnings;
+
+    const { states } = compiled;
+    const stateIds = new Set(states.map(s => s.id));
+    const transitions = (compiled.transitions || []).filter(t => stateIds.has(t.from) && stateIds.has(t.to));
+    const labelOf = (id) => states.find(s => s.id === id)?.label || id;
+
+    const forwardAdj = buildAdjacency(stateIds, transitions, t => [t.from, t.to]);
+    const reverseAdj = buildAdjacency(stateIds, transitions, t => [t.to, t.from]);
+
+    // 1. Elérhetetlen állapotok (csak ha van egyértelmű kezdőállapot —
+    //    annak hiányát a `validateWorkflow` jelzi)
+    const initialStates = states.filter(s => s.isInitial);
+    if (initialStates.length === 1) {
+        const reachable = collectReachable(forwardAdj, [initialStates[0].id]);
+        for (const s of states) {
+            if (!reachable.has(s.id)) {
+                warnings.push({
+                    type: 'unreachable',
+                    stateId: s.id,
+                    message: `A(z) „${labelOf(s.id)}" állapot a kezdőállapotból nem érhető el.`
+                });
+            }
+        }
+    }
+
+    // 2. Nincs út záró állapotba
+    const terminalIds = states.filter(s => s.isTerminal).map(s => s.id);
+    if (terminalIds.length === 0) {
+        warnings.push({
+            type: 'no_terminal_path',
+            message: 'Nincs záró állapot — a cikkek soha nem fejezhetik be a folyamatot.'
+        });
+    } else {
+        const canFinish = collectReachable(reverseAdj, terminalIds);
+        for (const s of states) {
+            if (!canFinish.has(s.id)) {
+                warnings.push({
+                    type: 'no_terminal_path',
+                    stateId: s.id,
+                    message: `A(z) „${labelOf(s.id)}" állapotból nem vezet út záró állapotba.`
+                });
+            }
+        }
+    }
+
+    // 3. Átmenet, amelyet egyetlen ismert csoport sem hajthat végre
+    const requiredSlugs = (compiled.requiredGroupSlugs || []).map(g => g.slug);
+    const requiredSet = new Set(requiredSlugs);
+    for (const t of transitions) {
+        const groups = t.allowedGroups || [];
+        if (groups.length > 0 && !groups.some(slug => requiredSet.has(slug))) {
+            warnings.push({
+                type: 'no_executor',
+                transition: { from: t.from, to: t.to },
+                message: `A(z) „${labelOf(t.from)}" → „${labelOf(t.to)}" átmenetet egyik workflow-csoport sem hajthatja végre.`
+            });
+        }
+    }
+
+    // 4. Állapot, amelyben egyik csoport sem fér hozzá a cikkhez
+    if (requiredSlugs.length > 0) {
+        for (const s of states) {
+            const hasAccess = requiredSlugs.some(slug => canUserAccessInState(compiled, [slug], s.id).allowed);
+            if (!hasAccess) {
+                warnings.push({
+                    type: 'no_access',
+                    stateId: s.id,
+                    message: `A(z) „${labelOf(s.id)}" állapotban egyik csoport sem nyithatja meg a cikket.`
+                });
+            }
+        }
+    }
+
+    // 5. Csak vissza irányú átmenetekből álló körök
+    const backwardAdj = buildAdjacency(
+        stateIds,
+        transitions.filter(t => t.direction === 'backward'),
+        t => [t.from, t.to]
+    );
+    for (const cycle of findCycles(backwardAdj)) {
+        warnings.push({
+            type: 'backward_cycle',
+            stateId: cycle[0],
+            message: `Csak vissza irányú átmenetekből álló kör: ${cycle.map(labelOf).join(' ⇄ ')}.`
+        });
+    }
+
+    return warnings;
+}
+
+// ─── Gráf segédek ───────────────────────────────────────────────────────────
+
+function buildAdjacency(stateIds, transitions, toPair) {
+    const adj = new Map();
+    for (const id of stateIds) adj.set(id, []);
+    for (const t of transitions) {
+        const [from, to] = toPair(t);
+        adj.get(from).push(to);
+    }
+    return adj;
+}
+
+function collectReachable(adj, startIds) {
+    const visited = new Set(startIds);
+    const stack = [...startIds];
+    while (stack.length > 0) {
+        const current = stack.pop();
+        for (const next of (adj.get(current) || [])) {
+            if (!visited.has(next)) {
+                visited.add(next);
+                stack.push(next);
+            }
+        }
+    }
+    return visited;
+}
+
+/**
+ * Erősen összefüggő komponensek, amelyek kört tartalmaznak (≥2 állapot,
+ * vagy önmagába mutató átmenet). A workflow-k kicsik, ezért a páronkénti
+ * elérhetőség (O(n·e)) bőven elég.
+ */
+function findCycles(adj) {
+    const reach = new Map();
+    for (const id of adj.keys()) {
+        const fromHere = collectReachable(adj, adj.get(id));
+        reach.set(id, fromHere);
+    }
+    const assigned = new Set();
+    const cycles = [];
+    for (const id of adj.keys()) {
+        if (assigned.has(id) || !reach.get(id).has(id)) continue;
+        const component = [...adj.keys()].filter(other => reach.get(id).has(other) && reach.get(other).has(id));
+        for (const member of component) assigned.add(member);
+        cycles.push(component);
+    }
+    return cycles;
+}
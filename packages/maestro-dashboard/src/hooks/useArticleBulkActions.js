@@ -0,0 +1,407 @@
+/**
+ * Maestro Dashboard — Tömeges cikk-műveletek hook
+ *
+ * A cikk tábla kijelölt soraira futtatható műveletek: közreműködő
+ * hozzárendelés, layout áthelyezés, „Kimarad" jelölő (`MARKERS.IGNORE`) és
+ * állapotváltás — az utolsó művelet visszavonásával.
+ *
+ * Cikkenként ugyanazok a jogosultsági ellenőrzések futnak, mint a Plugin
+ * egyedi szerkesztő felületén (`canEditContributorDropdown`, `canEditElement`,
+ * `canUserMoveArticle` + `hasTransitionPermission`); a nem jogosult cikkek
+ * kimaradnak, a többi lefut.
+ *
+ * Írási út:
+ *   - közreműködő / layout / jelölő → `DataContext.updateArticle` (közvetlen
+ *     írás, mint a `ContributorsTab` smart frissítése)
+ *   - állapotváltás → `DataContext.updateArticleBatch` (`update-article` CF):
+ *     az átmenet-, guard- és jogosultság-ellenőrzés szerver-oldalon is lefut,
+ *     és a CF írja az állapot-history bejegyzést.
+ *
+ * Visszavonás: a hook az utolsó művelet cikkenkénti előtte / utána értékét
+ * tartja. Csak azokat a cikkeket állítja vissza, amelyek azóta nem változtak
+ * (más felhasználó módosítását nem írjuk felül); a visszavonás ugyanazokon a
+ * jogosultsági ellenőrzéseken megy át, mint az eredeti művelet.
+ */
+
+import { useState, useCallback, useEffect } from 'react';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import { useData } from '../contexts/DataContext.jsx';
+import { MARKERS } from '../config.js';
+import {
+    canEditElement,
+    canEditContributorDropdown,
+    canUserMoveArticle,
+    hasTransitionPermission,
+    getStateLabel
+} from '@shared/workflowRuntime.js';
+import {
+    getActiveStates,
+    normalizeParallelStates,
+    diffParallelStates
+} from '@shared/parallelStates.js';
+import { getContributor, setContributor } from '@shared/contributorHelpers.js';
+
+/** A támogatott tömeges műveletek. */
+export const BULK_ACTIONS = {
+    CONTRIBUTOR: 'contributor',
+    LAYOUT: 'layout',
+    IGNORE: 'ignore',
+    STATE: 'state'
+};
+
+/** Az `update-article` CF batch módjának elemszám-korlátja. */
+const BATCH_CHUNK_SIZE = 50;
+
+/** CF batch-elem `reason` → felhasználói szöveg. */
+const BATCH_REASON_MESSAGES = {
+    article_locked: 'Időközben zárolta valaki.',
+    article_not_found: 'A cikk időközben törlődött.',
+    invalid_transition: 'Nincs ilyen átmenet a cikk állapotából.',
+    parallel_branches_active: 'A cikk párhuzamos ágai még futnak.',
+    parallel_not_active: 'A párhuzamos szakasz időközben lezárult.',
+    invalid_parallel_states: 'A párhuzamos ágak időközben változtak.',
+    org_orphaned_write_blocked: 'A szervezet árva állapotban van — írás blokkolva.',
+    db_write_failed: 'Az adatbázis-írás sikertelen.'
+};
+
+function batchFailureMessage(item) {
+    if (item.permissionDenied) return 'Nincs jogosultság (szerver).';
+    if (item.reason === 'transition_guard_failed' && Array.isArray(item.failures)) {
+        return item.failures.map((f) => f.description).join(' ');
+    }
+    return BATCH_REASON_MESSAGES[item.reason] || item.reason || 'Ismeretlen hiba.';
+}
+
+function isIgnored(article) {
+    const markers = typeof article.markers === 'number' ? article.markers : 0;
+    return (markers & MARKERS.IGNORE) !== 0;
+}
+
+function firstDenial(checks) {
+    return checks.find((c) => !c.allowed) || { allowed: true };
+}
+
+// ─── Műveletenkénti leírók ──────────────────────────────────────────────────
+//
+// `read(article, params)`      → a művelet által érintett érték (undo snapshot)
+// `plan(article, params, ctx)` → `{ data }` | `{ status, message }`
+// `planUndo(article, before, params, ctx)` → ugyanaz, visszafelé
+
+const ACTION_DESCRIPTORS = {
+    [BULK_ACTIONS.CONTRIBUTOR]: {
+        viaCF: false,
+        read: (article, params) => getContributor(article.contributors, params.groupSlug) || null,
+        plan(article, params, ctx) {
+            const current = getContributor(article.contributors, params.groupSlug) || null;
+            if (current === (params.userId || null)) {
+                return { status: 'skipped', message: 'Már be van állítva.' };
+            }
+            const permission = contributorPermission(article, params.groupSlug, ctx);
+            if (!permission.allowed) return { status: 'failed', message: permission.reason };
+            return { data: { contributors: setContributor(article.contributors, params.groupSlug, params.userId || null) } };
+        },
+        planUndo(article, before, params, ctx) {
+            return this.plan(article, { ...params, userId: before }, ctx);
+        }
+    },
+
+    [BULK_ACTIONS.LAYOUT]: {
+        viaCF: false,
+        // A cikk layout-attribútuma `layout` (a Plugin GeneralSection és a
+        // flatplan-mozgatás is ezt írja); a bulk paraméter neve `layoutId`.
+        read: (article) => article.layout || null,
+        plan(article, params, ctx) {
+            if ((article.layout || null) === (params.layoutId || null)) {
+                return { status: 'skipped', message: 'Már ebben a layoutban van.' };
+            }
+            // A Plugin a kimaradó cikk layout-választóját letiltja — itt is.
+            if (isIgnored(article)) {
+                return { status: 'skipped', message: 'Kimaradó cikk.' };
+            }
+            const permission = canEditElement(ctx.workflow, 'article', 'articleLayout', ctx.groupSlugs);
+            if (!permission.allowed) return { status: 'failed', message: permission.reason };
+            return { data: { layout: params.layoutId || null } };
+        },
+        planUndo(article, before, params, ctx) {
+            return this.plan(article, { layoutId: before }, ctx);
+        }
+    },
+
+    [BULK_ACTIONS.IGNORE]: {
+        viaCF: false,
+        read: (article) => isIgnored(article),
+        plan(article, params, ctx) {
+            if (isIgnored(article) === params.ignored) {
+                return { status: 'skipped', message: params.ignored ? 'Már kimarad.' : 'Nincs kimaradásra jelölve.' };
+            }
+            const permission = canEditElement(ctx.workflow, 'article', 'ignoreToggle', ctx.groupSlugs);
+            if (!permission.allowed) return { status: 'failed', message: permission.reason };
+            const markers = typeof article.markers === 'number' ? article.markers : 0;
+            return { data: { markers: markers ^ MARKERS.IGNORE } };
+        },
+        planUndo(article, before, params, ctx) {
+            return this.plan(article, { ignored: before }, ctx);
+        }
+    },
+
+    [BULK_ACTIONS.STATE]: {
+        viaCF: true,
+        read: (article) => ({
+            state: article.state || '',
+            parallelStates: normalizeParallelStates(article.parallelStates)
+        }),
+        plan(article, params, ctx) {
+            const { targetState } = params;
+            const tokens = normalizeParallelStates(article.parallelStates);
+            // Párhuzamos szakaszban az az ág lép, amelyikből van átmenet a célba.
+            const branchState = tokens.length > 0
+                ? tokens.find((token) => ctx.workflow.transitions?.some((t) => t.from === token && t.to === targetState)) || null
+                : null;
+            const fromState = branchState || article.state;
+            if (tokens.length === 0 && fromState === targetState) {
+                return { status: 'skipped', message: 'Már ebben az állapotban van.' };
+            }
+            if (!ctx.workflow.transitions?.some((t) => t.from === fromState && t.to === targetState)) {
+                return { status: 'failed', message: 'Nincs átmenet a cikk állapotából a célállapotba.' };
+            }
+            const permission = firstDenial([
+                canUserMoveArticle(ctx.workflow, fromState, ctx.groupSlugs),
+                hasTransitionPermission(ctx.workflow, fromState, targetState, ctx.groupSlugs)
+            ]);
+            if (!permission.allowed) return { status: 'failed', message: permission.reason };
+
+            const data = branchState
+                ? { parallelStates: tokens.map((token, i) => (i === tokens.indexOf(branchState) ? targetState : token)) }
+                : { state: targetState, previousState: article.state };
+            return { data };
+        },
+        planUndo(article, before, params, ctx) {
+            const tokens = normalizeParallelStates(article.parallelStates);
+            // Nem-párhuzamos → nem-párhuzamos: sima visszalépés.
+            if (tokens.length === 0 && before.parallelStates.length === 0) {
+                return this.plan(article, { targetState: before.state }, ctx);
+            }
+            // Ugyanazon fork-on belüli ág-lépés: a lépett token visszaléptetése.
+            const branchMove = article.state === before.state
+                ? diffParallelStates(tokens, before.parallelStates)
+                : null;
+            if (!branchMove) {
+                return { status: 'failed', message: 'Párhuzamos szakaszba be- vagy onnan kilépés nem vonható vissza.' };
+            }
+            if (!ctx.workflow.transitions?.some((t) => t.from === branchMove.from && t.to === branchMove.to)) {
+                return { status: 'failed', message: 'Nincs visszafelé vezető átmenet.' };
+            }
+            const permission = firstDenial([
+                canUserMoveArticle(ctx.workflow, branchMove.from, ctx.groupSlugs),
+                hasTransitionPermission(ctx.workflow, branchMove.from, branchMove.to, ctx.groupSlugs)
+            ]);
+            if (!permission.allowed) return { status: 'failed', message: permission.reason };
+            return { data: { parallelStates: before.parallelStates } };
+        }
+    }
+};
+
+/**
+ * Közreműködő hozzárendelés jogosultsága: a cikk bármely aktív állapotában
+ * (párhuzamos szakaszban bármely ágán) szerkeszthető-e a dropdown.
+ */
+function contributorPermission(article, groupSlug, ctx) {
+    const checks = getActiveStates(article).map((stateId) =>
+        canEditContributorDropdown(ctx.workflow, groupSlug, ctx.groupSlugs, stateId)
+    );
+    return checks.find((c) => c.allowed) || checks[0] || { allowed: false, reason: 'Ismeretlen állapot.' };
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * A művelet emberi olvasható címkéje (összesítő + visszavonás gomb).
+ *
+ * @param {string} action
+ * @param {Object} params
+ * @param {Object} workflow
+ * @returns {string}
+ */
+export function describeBulkAction(action, params, workflow) {
+    switch (action) {
+        case BULK_ACTIONS.CONTRIBUTOR:
+            return params.userId ? 'Közreműködő hozzárendelése' : 'Közreműködő eltávolítása';
+        case BULK_ACTIONS.LAYOUT:
+            return 'Layout áthelyezés';
+        case BULK_ACTIONS.IGNORE:
+            return params.ignored ? 'Kimaradásra jelölés' : 'Kimaradás visszavonása';
+        case BULK_ACTIONS.STATE:
+            return `Állapotváltás: ${getStateLabel(workflow, params.targetState) || params.targetState}`;
+        default:
+            return action;
+    }
+}
+
+/**
+ * @returns {{
+ *   runBulkAction: (action: string, params: Object, articles: Object[]) => Promise<Array<{ article: Object, status: string, message?: string }>>,
+ *   undoLastBulkAction: () => Promise<Array<{ article: Object, status: string, message?: string }>>,
+ *   lastOperation: { action: string, label: string, count: number }|null,
+ *   isRunning: boolean
+ * }}
+ */
+export function useArticleBulkActions() {
+    const { user } = useAuth();
+    const { workflow, articles, activePublicationId, updateArticle, updateArticleBatch } = useData();
+    // Az utolsó (visszavonható) művelet: `{ action, params, label, entries: [{ articleId, before, after }] }`.
+    const [lastOperation, setLastOperation] = useState(null);
+    const [isRunning, setIsRunning] = useState(false);
+
+    // Kiadványváltáskor a visszavonás a másik kiadvány cikkeire vonatkozna.
+    useEffect(() => { setLastOperation(null); }, [activePublicationId]);
+
+    /**
+     * A tervezett írások végrehajtása. `planned`: `[{ article, data }]`.
+     * @returns {Promise<Map<string, { status: string, message?: string, document?: Object }>>}
+     */
+    const executePlanned = useCallback(async (descriptor, planned) => {
+        const outcomes = new Map();
+        if (!descriptor.viaCF) {
+            for (const { article, data } of planned) {
+                try {
+                    const document = await updateArticle(article.$id, data);
+                    outcomes.set(article.$id, { status: 'success', document });
+                } catch (err) {
+                    console.error(`[useArticleBulkActions] Cikk frissítés sikertelen (${article.name}):`, err);
+                    outcomes.set(article.$id, { status: 'failed', message: err?.message || 'Ismeretlen hiba.' });
+                }
+            }
+            return outcomes;
+        }
+
+        for (let offset = 0; offset < planned.length; offset += BATCH_CHUNK_SIZE) {
+            const chunk = planned.slice(offset, offset + BATCH_CHUNK_SIZE);
+            let results;
+            try {
+                results = await updateArticleBatch(chunk.map(({ article, data }) => ({ articleId: article.$id, data })));
+            } catch (err) {
+                console.error('[useArticleBulkActions] Batch hívás sikertelen:', err);
+                for (const { article } of chunk) {
+                    outcomes.set(article.$id, { status: 'failed', message: err?.message || 'Ismeretlen hiba.' });
+                }
+                continue;
+            }
+            const byId = new Map(results.map((r) => [r.articleId, r]));
+            for (const { article } of chunk) {
+                const item = byId.get(article.$id);
+                if (!item) {
+                    outcomes.set(article.$id, { status: 'failed', message: 'Hiányzó válasz a szervertől.' });
+                } else if (item.success) {
+                    outcomes.set(article.$id, { status: 'success', document: item.document });
+                } else {
+                    outcomes.set(article.$id, {
+                        status: item.reason === 'article_locked' ? 'skipped' : 'failed',
+                        message: batchFailureMessage(item)
+                    });
+                }
+            }
+        }
+        return outcomes;
+    }, [updateArticle, updateArticleBatch]);
+
+    /**
+     * Közös futtató: cikkenkénti terv (`planFor`), írás, eredménylista.
+     * @returns {Promise<{ results: Array, succeeded: Array<{ article: Object, document: Object }> }>}
+     */
+    const execute = useCallback(async (descriptor, targets, planFor) => {
+        const ctx = { workflow, groupSlugs: user?.groupSlugs || [] };
+        const results = new Map();
+        const planned = [];
+
+        for (const article of targets) {
+            if (article.lockOwnerId && article.lockOwnerId !== user?.$id) {
+                results.set(article.$id, { article, status: 'skipped', message: 'Zárolva — más szerkeszti.' });
+                continue;
+            }
+            const plan = planFor(article, ctx);
+            if (plan.data) planned.push({ article, data: plan.data });
+            else results.set(article.$id, { article, status: plan.status, message: plan.message });
+        }
+
+        const outcomes = await executePlanned(descriptor, planned);
+        const succeeded = [];
+        for (const { article } of planned) {
+            const outcome = outcomes.get(article.$id);
+            results.set(article.$id, { article, status: outcome.status, message: outcome.message });
+            if (outcome.status === 'success') succeeded.push({ article, document: outcome.document });
+        }
+        return { results: targets.map((a) => results.get(a.$id)), succeeded };
+    }, [workflow, user, executePlanned]);
+
+    const runBulkAction = useCallback(async (action, params, targetArticles) => {
+        const descriptor = ACTION_DESCRIPTORS[action];
+        if (!descriptor || !workflow) return [];
+
+        setIsRunning(true);
+        try {
+            const { results, succeeded } = await execute(
+                descriptor,
+                targetArticles,
+                (article, ctx) => descriptor.plan(article, params, ctx)
+            );
+            // Csak sikeres cikkel rendelkező művelet írja felül az előzőt.
+            if (succeeded.length > 0) {
+                setLastOperation({
+                    action,
+                    params,
+                    label: describeBulkAction(action, params, workflow),
+                    entries: succeeded.map(({ article, document }) => ({
+                        articleId: article.$id,
+                        before: descriptor.read(article, params),
+                        after: descriptor.read(document || article, params)
+                    }))
+                });
+            }
+            return results;
+        } finally {
+            setIsRunning(false);
+        }
+    }, [workflow, execute]);
+
+    const undoLastBulkAction = useCallback(async () => {
+        if (!lastOperation || !workflow) return [];
+        const descriptor = ACTION_DESCRIPTORS[lastOperation.action];
+        const entryById = new Map(lastOperation.entries.map((e) => [e.articleId, e]));
+        const byId = new Map(articles.map((a) => [a.$id, a]));
+
+        setIsRunning(true);
+        try {
+            const missing = [];
+            const targets = [];
+            for (const entry of lastOperation.entries) {
+                const article = byId.get(entry.articleId);
+                if (article) targets.push(article);
+                else missing.push({ article: { $id: entry.articleId, name: entry.articleId }, status: 'skipped', message: 'A cikk már nem elérhető.' });
+            }
+
+            const { results } = await execute(descriptor, targets, (article, ctx) => {
+                const entry = entryById.get(article.$id);
+                // Azóta más is módosította → nem írjuk felül.
+                if (!sameValue(descriptor.read(article, lastOperation.params), entry.after)) {
+                    return { status: 'skipped', message: 'Időközben módosult.' };
+                }
+                return descriptor.planUndo(article, entry.before, lastOperation.params, ctx);
+            });
+            setLastOperation(null);
+            return [...results, ...missing];
+        } finally {
+            setIsRunning(false);
+        }
+    }, [lastOperation, workflow, articles, execute]);
+
+    return {
+        runBulkAction,
+        undoLastBulkAction,
+        lastOperation: lastOperation
+            ? { action: lastOperation.action, label: lastOperation.label, count: lastOperation.entries.length }
+            : null,
+        isRunning
+    };
+}
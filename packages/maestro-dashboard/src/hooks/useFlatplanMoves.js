@@ -0,0 +1,246 @@
+/**
+ * Maestro Dashboard — Flatplan áthelyezések hook
+ *
+ * A `LayoutView` drag-and-drop szerkesztésének állapota. A ledobott cikkek
+ * először függő áthelyezésként gyűlnek (`articleId → { offset, layoutId }`),
+ * a flatplan és az ütközésjelzés már az áthelyezett állapotot mutatja; az
+ * adatbázisba csak a `commitMoves()` ír, cikkenként `DataContext.updateArticle`-lel
+ * (közvetlen írás, mint a tömeges layout-áthelyezésnél). Az InDesign fájl NEM
+ * számozódik át: a Plugin `DatabaseIntegrityValidator`-a (autoCorrect) a fájl
+ * oldalszámait írja vissza — a `FlatplanMoveBar` ezt minden oldal-áthelyezés
+ * mentése előtt kimondja.
+ *
+ * Ütközések: a `maestro-shared/publicationStructure.js`
+ * `validatePublicationStructure`-ja fut a kiadvány ÖSSZES cikkén (nem csak a
+ * szűrteken), ugyanazokkal a szabályokkal és üzenetekkel, mint a Plugin
+ * `PublicationStructureValidator`-a — az egész oldalas hirdetések oldalára
+ * húzott cikk is ütközésként jelenik meg.
+ *
+ * Jogosultság: oldalmozgatás `articlePages`, layout-váltás `articleLayout`
+ * elem-jogosultság (mint a Plugin cikk-tulajdonság paneljén); más által
+ * zárolt cikk nem mozdítható, kimaradó cikk layoutja nem váltható.
+ *
+ * Elavulás: az áthelyezés a staging pillanatában látott `startPage` / `layout`
+ * értékhez képest relatív. Ha a cikk közben (Realtime) máshonnan változott, a
+ * mentés kihagyja — más felhasználó módosítását nem írjuk felül.
+ */
+
+import { useState, useCallback, useEffect, useMemo } from 'react';
+import { useAuth } from '../contexts/AuthContext.jsx';
+import { useData } from '../contexts/DataContext.jsx';
+import { MARKERS } from '../config.js';
+import { canEditElement } from '@shared/workflowRuntime.js';
+import {
+    getEffectivePageRange,
+    shiftArticlePages,
+    validatePublicationStructure
+} from '@shared/publicationStructure.js';
+
+function isIgnored(article) {
+    const markers = typeof article.markers === 'number' ? article.markers : 0;
+    return (markers & MARKERS.IGNORE) !== 0;
+}
+
+function hasLayoutChange(article, move) {
+    return move.layoutId !== undefined && (move.layoutId || null) !== (article.layout || null);
+}
+
+/**
+ * A függő áthelyezés `updateArticle` payload-ja (csak a változó mezők).
+ *
+ * @param {Object} article - Az eredeti cikk dokumentum
+ * @param {{ offset: number, layoutId?: string|null }} move
+ * @returns {Object}
+ */
+export function buildMoveData(article, move) {
+    const data = shiftArticlePages(article, move.offset);
+    if (hasLayoutChange(article, move)) data.layout = move.layoutId;
+    return data;
+}
+
+/**
+ * @param {Object|null} publication - Az aktív kiadvány (`coverageStart`, `coverageEnd`)
+ */
+export function useFlatplanMoves(publication) {
+    const { user } = useAuth();
+    const { workflow, articles, layouts, ads, activePublicationId, updateArticle } = useData();
+    // articleId → { offset, layoutId?, baseStartPage, baseLayout }
+    const [pendingMoves, setPendingMoves] = useState({});
+    const [isSaving, setIsSaving] = useState(false);
+
+    // Kiadványváltáskor a függő áthelyezések a másik kiadvány cikkeire vonatkoznának.
+    useEffect(() => { setPendingMoves({}); }, [activePublicationId]);
+
+    // Időközben törölt cikk függő áthelyezése elesik.
+    useEffect(() => {
+        setPendingMoves((prev) => {
+            const ids = Object.keys(prev);
+            if (ids.length === 0) return prev;
+            const existing = new Set(articles.map((a) => a.$id));
+            if (ids.every((id) => existing.has(id))) return prev;
+            const next = {};
+            for (const id of ids) if (existing.has(id)) next[id] = prev[id];
+            return next;
+        });
+    }, [articles]);
+
+    const groupSlugs = user?.groupSlugs;
+    const canEditPages = useMemo(
+        () => canEditElement(workflow, 'article', 'articlePages', groupSlugs || []).allowed,
+        [workflow, groupSlugs]
+    );
+    const canEditLayout = useMemo(
+        () => canEditElement(workflow, 'article', 'articleLayout', groupSlugs || []).allowed,
+        [workflow, groupSlugs]
+    );
+
+    const articlesById = useMemo(() => new Map(articles.map((a) => [a.$id, a])), [articles]);
+
+    /** Cikk-lista → a függő áthelyezésekkel módosított előnézet. */
+    const applyMoves = useCallback((list) => {
+        if (Object.keys(pendingMoves).length === 0) return list;
+        return list.map((article) => {
+            const move = pendingMoves[article.$id];
+            if (!move) return article;
+            return { ...article, ...buildMoveData(article, move), isPendingMove: true };
+        });
+    }, [pendingMoves]);
+
+    const previewArticles = useMemo(() => applyMoves(articles), [applyMoves, articles]);
+
+    const structureResults = useMemo(
+        () => validatePublicationStructure({ publication, articles: previewArticles, layouts, ads }),
+        [publication, previewArticles, layouts, ads]
+    );
+
+    /**
+     * A függő áthelyezések összefoglalója a mentő sávhoz és a megerősítéshez:
+     * `[{ article, preview, errors, outOfBounds }]`, kezdőoldal szerint.
+     */
+    const movedArticles = useMemo(() => {
+        const pubStart = publication?.coverageStart ?? 1;
+        const pubEnd = publication?.coverageEnd ?? Infinity;
+        const previewById = new Map(previewArticles.map((a) => [a.$id, a]));
+        return Object.keys(pendingMoves)
+            .filter((id) => articlesById.has(id) && previewById.has(id))
+            .map((id) => {
+                const preview = previewById.get(id);
+                const { min, max } = getEffectivePageRange(preview);
+                return {
+                    article: articlesById.get(id),
+                    preview,
+                    errors: structureResults.get(id)?.errors || [],
+                    outOfBounds: (min != null && min < pubStart) || (max != null && max > pubEnd)
+                };
+            })
+            .sort((a, b) => (a.preview.startPage ?? 0) - (b.preview.startPage ?? 0));
+    }, [pendingMoves, articlesById, previewArticles, structureResults, publication]);
+
+    /** Húzható-e a cikk (oldalra). */
+    const canDragArticle = useCallback((articleId) => {
+        if (!canEditPages) return false;
+        const article = articlesById.get(articleId);
+        if (!article || article.startPage == null) return false;
+        return !article.lockOwnerId || article.lockOwnerId === user?.$id;
+    }, [canEditPages, articlesById, user]);
+
+    /** Áthelyezhető-e a cikk másik layoutba. */
+    const canMoveArticleToLayout = useCallback((articleId) => {
+        if (!canEditLayout) return false;
+        const article = articlesById.get(articleId);
+        if (!article || isIgnored(article)) return false;
+        return !article.lockOwnerId || article.lockOwnerId === user?.$id;
+    }, [canEditLayout, articlesById, user]);
+
+    const updateMove = useCallback((articleId, change) => {
+        const article = articlesById.get(articleId);
+        if (!article) return;
+        setPendingMoves((prev) => {
+            const current = prev[articleId] || {
+                offset: 0,
+                baseStartPage: article.startPage ?? null,
+                baseLayout: article.layout || null
+            };
+            const next = change(current);
+            const { [articleId]: _removed, ...rest } = prev;
+            // Visszahúzás az eredeti helyre → nincs függő áthelyezés
+            if (next.offset === 0 && !hasLayoutChange(article, next)) return rest;
+            return { ...rest, [articleId]: next };
+        });
+    }, [articlesById]);
+
+    /**
+     * A cikk `sourcePage` oldala a `targetPage` oldalra kerül — a teljes cikk
+     * ugyanennyivel tolódik el.
+     */
+    const moveArticleToPage = useCallback((articleId, sourcePage, targetPage) => {
+        const delta = targetPage - sourcePage;
+        if (!Number.isInteger(delta) || delta === 0) return;
+        updateMove(articleId, (current) => ({ ...current, offset: current.offset + delta }));
+    }, [updateMove]);
+
+    const moveArticleToLayout = useCallback((articleId, layoutId) => {
+        updateMove(articleId, (current) => ({ ...current, layoutId: layoutId || null }));
+    }, [updateMove]);
+
+    const discardMove = useCallback((articleId) => {
+        setPendingMoves((prev) => {
+            const { [articleId]: _removed, ...rest } = prev;
+            return rest;
+        });
+    }, []);
+
+    const discardMoves = useCallback(() => setPendingMoves({}), []);
+
+    /**
+     * A függő áthelyezések mentése. A sikeresek kikerülnek a függő listából,
+     * a sikertelenek / kihagyottak benne maradnak.
+     *
+     * @returns {Promise<Array<{ article: Object, status: 'success'|'skipped'|'failed', message?: string }>>}
+     */
+    const commitMoves = useCallback(async () => {
+        const results = [];
+        setIsSaving(true);
+        try {
+            for (const [articleId, move] of Object.entries(pendingMoves)) {
+                const article = articlesById.get(articleId);
+                if (!article) continue;
+                if ((article.startPage ?? null) !== move.baseStartPage || (article.layout || null) !== move.baseLayout) {
+                    results.push({ article, status: 'skipped', message: 'Időközben módosult.' });
+                    continue;
+                }
+                if (article.lockOwnerId && article.lockOwnerId !== user?.$id) {
+                    results.push({ article, status: 'skipped', message: 'Zárolva — más szerkeszti.' });
+                    continue;
+                }
+                try {
+                    await updateArticle(articleId, buildMoveData(article, move));
+                    // Az `updateArticle` a lokális state-et is frissíti — a függő
+                    // eltolás ugyanabban a renderben esik ki, különben duplán tolna.
+                    discardMove(articleId);
+                    results.push({ article, status: 'success' });
+                } catch (err) {
+                    console.error(`[useFlatplanMoves] Cikk áthelyezés sikertelen (${article.name}):`, err);
+                    results.push({ article, status: 'failed', message: err?.message || 'Ismeretlen hiba.' });
+                }
+            }
+        } finally {
+            setIsSaving(false);
+        }
+        return results;
+    }, [pendingMoves, articlesById, updateArticle, discardMove, user]);
+
+    return {
+        applyMoves,
+        structureResults,
+        movedArticles,
+        canDragArticle,
+        canMoveArticleToLayout,
+        moveArticleToPage,
+        moveArticleToLayout,
+        discardMove,
+        discardMoves,
+        commitMoves,
+        isSaving
+    };
+}
@@ -0,0 +1,223 @@
+/**
+ * Maestro Dashboard — useMessageInbox hook
+ *
+ * A felhasználónak (vagy a csoportjainak, illetve a cikkek közreműködőinek)
+ * szóló cikk-üzenetek az aktív szerkesztőség összes kiadványából. A fejléc
+ * „Üzenetek" chip (olvasatlan badge) és a `MessageInboxPanel` használja.
+ *
+ * A lista és az olvasási állapot logikája a `@shared/messageInbox.js`-ben él
+ * (közös a Plugin `WorkspaceHeader` badge-ével); az olvasási állapot az
+ * Appwrite account prefs-ben tárolódik, így a két kliens között is közös.
+ *
+ * Több hook-példány (chip + nyitott panel) ugyanazt a prefs-et látja: a
+ * modul-szintű `prefsListeners` minden példányt értesít egy mentés után —
+ * a panelen „olvasottnak" jelölt üzenet a chip badge-ből is azonnal eltűnik.
+ */
+
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { Query } from 'appwrite';
+import { useAuth, getAccount } from '../contexts/AuthContext.jsx';
+import { useData } from '../contexts/DataContext.jsx';
+import { useScope } from '../contexts/ScopeContext.jsx';
+import { subscribeRealtime, collectionChannel } from '../contexts/realtimeBus.js';
+import { useContributorGroups } from './useContributorGroups.js';
+import { DATABASE_ID, COLLECTIONS } from '../config.js';
+import {
+    INBOX_PAGE_SIZE,
+    shouldFetchNextInboxPage,
+    getInboxReadState,
+    markInboxMessagesRead,
+    markAllInboxMessagesRead,
+    buildInboxItems
+} from '@shared/messageInbox.js';
+
+/** Egy `Query.equal('$id', [...])` lekérdezés legfeljebb ennyi ID-t kap. */
+const ARTICLE_CHUNK_SIZE = 100;
+
+// ─── Prefs szinkron a hook-példányok között ──────────────────────────────────
+
+/** @type {Set<(prefs: Object) => void>} */
+const prefsListeners = new Set();
+
+function broadcastPrefs(prefs) {
+    for (const listener of prefsListeners) listener(prefs);
+}
+
+// ─── Lekérés ────────────────────────────────────────────────────────────────
+
+// A címzett-szűrés kliens-oldali (csoporttagság, közreműködők), ezért a
+// szerkesztőség üzeneteit lapozzuk a `readBefore` vízjelig — ld.
+// `shouldFetchNextInboxPage`.
+async function fetchInboxData(databases, editorialOfficeId, readBefore) {
+    const fetched = [];
+    let cursor = null;
+    while (true) {
+        const queries = [
+            Query.equal('editorialOfficeId', editorialOfficeId),
+            Query.orderDesc('$createdAt'),
+            Query.limit(INBOX_PAGE_SIZE)
+        ];
+        if (cursor) queries.push(Query.cursorAfter(cursor));
+        const result = await databases.listDocuments({
+            databaseId: DATABASE_ID,
+            collectionId: COLLECTIONS.USER_VALIDATIONS,
+            queries
+        });
+        const page = result.documents || [];
+        fetched.push(...page);
+        if (!shouldFetchNextInboxPage(fetched.length, page, readBefore)) break;
+        cursor = page[page.length - 1].$id;
+    }
+    const messages = fetched.filter((m) => m.recipientType);
+
+    const articleIds = [...new Set(messages.map((m) => m.articleId).filter(Boolean))];
+    const articlesById = new Map();
+    for (let i = 0; i < articleIds.length; i += ARTICLE_CHUNK_SIZE) {
+        const chunk = articleIds.slice(i, i + ARTICLE_CHUNK_SIZE);
+        const articlesResult = await databases.listDocuments({
+            databaseId: DATABASE_ID,
+            collectionId: COLLECTIONS.ARTICLES,
+            queries: [
+                Query.equal('$id', chunk),
+                Query.select(['$id', 'name', 'publicationId', 'contributors']),
+                Query.limit(chunk.length)
+            ]
+        });
+        for (const article of articlesResult.documents || []) {
+            articlesById.set(article.$id, article);
+        }
+    }
+
+    return { messages, articlesById };
+}
+
+// ─── Hook ───────────────────────────────────────────────────────────────────
+
+/**
+ * @returns {{
+ *   items: Array<{ message: Object, article: Object, publication: Object|null, unread: boolean }>,
+ *   unreadCount: number,
+ *   loading: boolean,
+ *   markRead: (messageIds: string[]) => Promise<void>,
+ *   markAllRead: () => Promise<void>,
+ *   groups: Object[],
+ *   membersBySlug: Object.<string, Object[]>
+ * }}
+ */
+export function useMessageInbox() {
+    const { user } = useAuth();
+    const { activeEditorialOfficeId } = useScope();
+    const { databases, publications, workflow } = useData();
+
+    // Ugyanaz az `orderingSlugs`, mint a cikk-tábla közreműködő választóiban — közös cache.
+    const orderingSlugs = useMemo(
+        () => (Array.isArray(workflow?.requiredGroupSlugs)
+            ? workflow.requiredGroupSlugs.map((g) => g?.slug).filter(Boolean)
+            : undefined),
+        [workflow]
+    );
+    const { groups, membersBySlug } = useContributorGroups({ orderingSlugs });
+
+    const [data, setData] = useState({ messages: [], articlesById: new Map() });
+    const [prefs, setPrefs] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const mountedRef = useRef(true);
+    const generationRef = useRef(0);
+
+    const userId = user?.$id || null;
+
+    const fetchData = useCallback(async () => {
+        const generation = ++generationRef.current;
+
+        if (!activeEditorialOfficeId || !userId) {
+            setData({ messages: [], articlesById: new Map() });
+            setLoading(false);
+            return;
+        }
+
+        setLoading(true);
+        try {
+            // A prefs kell előbb: a `readBefore` vízjel szabja meg, meddig lapozunk.
+            const freshPrefs = await getAccount().getPrefs();
+            const { readBefore } = getInboxReadState(freshPrefs, activeEditorialOfficeId);
+            const inboxData = await fetchInboxData(databases, activeEditorialOfficeId, readBefore);
+            if (!mountedRef.current || generation !== generationRef.current) return;
+            setData(inboxData);
+            setPrefs(freshPrefs);
+        } catch (err) {
+            console.error('[useMessageInbox] Hiba az inbox lekérésekor:', err);
+        }
+        if (mountedRef.current && generation === generationRef.current) setLoading(false);
+    }, [activeEditorialOfficeId, userId, databases]);
+
+    useEffect(() => {
+        mountedRef.current = true;
+        fetchData();
+        return () => { mountedRef.current = false; };
+    }, [fetchData]);
+
+    useEffect(() => {
+        prefsListeners.add(setPrefs);
+        return () => { prefsListeners.delete(setPrefs); };
+    }, []);
+
+    // Realtime: új / módosult üzenet az aktív szerkesztőségben → újralekérés.
+    // A törlés payload-ja is hordozza az office-t, így elég egy szűrés.
+    useEffect(() => {
+        if (!activeEditorialOfficeId) return undefined;
+        const handler = (response) => {
+            const payload = response?.payload;
+            if (!payload || payload.editorialOfficeId !== activeEditorialOfficeId) return;
+            fetchData();
+        };
+        return subscribeRealtime(
+            [collectionChannel(COLLECTIONS.USER_VALIDATIONS)],
+            handler,
+            { onReconnect: fetchData }
+        );
+    }, [activeEditorialOfficeId, fetchData]);
+
+    const items = useMemo(() => {
+        if (!userId || !activeEditorialOfficeId) return [];
+        const readState = getInboxReadState(prefs, activeEditorialOfficeId);
+        const publicationsById = new Map(publications.map((p) => [p.$id, p]));
+        return buildInboxItems(data.messages, {
+            userId,
+            membersBySlug,
+            articlesById: data.articlesById,
+            readState
+        }).map((item) => ({ ...item, publication: publicationsById.get(item.article.publicationId) || null }));
+    }, [data, prefs, membersBySlug, publications, userId, activeEditorialOfficeId]);
+
+    const unreadCount = useMemo(() => items.filter((item) => item.unread).length, [items]);
+
+    // Optimista helyi frissítés, majd a módosítás a friss szerver-prefs-re
+    // alkalmazva (az `updatePrefs` a teljes objektumot cseréli — más kulcs
+    // vagy a Plugin közbeni írása ne vesszen el).
+    const updateReadState = useCallback(async (apply) => {
+        if (!activeEditorialOfficeId) return;
+        setPrefs((prev) => apply(prev));
+        try {
+            const account = getAccount();
+            const fresh = await account.getPrefs();
+            const next = apply(fresh);
+            await account.updatePrefs({ prefs: next });
+            broadcastPrefs(next);
+        } catch (err) {
+            console.error('[useMessageInbox] Olvasási állapot mentése sikertelen:', err);
+        }
+    }, [activeEditorialOfficeId]);
+
+    const markRead = useCallback((messageIds) => updateReadState(
+        (current) => markInboxMessagesRead(current, activeEditorialOfficeId, messageIds)
+    ), [updateReadState, activeEditorialOfficeId]);
+
+    const markAllRead = useCallback(() => {
+        const now = new Date();
+        return updateReadState(
+            (current) => markAllInboxMessagesRead(current, activeEditorialOfficeId, now)
+        );
+    }, [updateReadState, activeEditorialOfficeId]);
+
+    return { items, unreadCount, loading, markRead, markAllRead, groups, membersBySlug };
+}
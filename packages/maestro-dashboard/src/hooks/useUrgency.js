@@ -17,10 +17,17 @@
  * mindenképp kihagynánk — még akkor is, ha a kiadvány explicit kapcsolja.
  * A Plugin (`maestro-indesign/.../useUrgency.js`) már a publikáció mezőjéből
  * olvas (`publication?.excludeWeekends ?? true`); a Dashboard is ezt teszi.
+ *
+ * A munkaidőt és a munkaszüneti napokat a kiadvány szerkesztőségének
+ * munkanaptára adja (`editorialOffices.workingCalendar`, `workingCalendar.js`).
+ * A naptárban tárolt munkaszüneti-nap pillanatkép miatt a számítás a nager.at
+ * API nélkül is működik; API-hívás csak a pillanatkép nélküli évekre történik.
  */
 
-import { useState, useEffect, useRef } from 'react';
-import { fetchHolidays, calculateUrgencyRatio } from '@shared/urgency.js';
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { loadCalendarHolidays, calculateUrgencyRatio } from '@shared/urgency.js';
+import { normalizeWorkingCalendar } from '@shared/workingCalendar.js';
+import { useAuth } from '../contexts/AuthContext.jsx';
 import { URGENCY_REFRESH_INTERVAL_MS } from '../config.js';
 
 /**
@@ -30,7 +37,8 @@ import { URGENCY_REFRESH_INTERVAL_MS } from '../config.js';
  * @param {Object|null} workflow - Compiled workflow JSON (DataContext.workflow).
  *   Ha null, az `urgencyMap` üres marad — a `calculateUrgencyRatio` szigorú
  *   `if (!workflow) return null` guard-ja minden cikkre null-t adna.
- * @param {Object|null} publication - Az aktív kiadvány doc (excludeWeekends).
+ * @param {Object|null} publication - Az aktív kiadvány doc (excludeWeekends,
+ *   editorialOfficeId — a munkanaptár forrása).
  *   Ha null vagy a mező hiányzik → default `true` (hétvégét kihagyjuk a
  *   sürgősségből), egyezés a Plugin szemantikával + a publications schema
  *   default-jával.
@@ -41,7 +49,11 @@ export function useUrgency(articles, deadlines, workflow, publication) {
     const [isCalculating, setIsCalculating] = useState(false);
     const generationRef = useRef(0);
 
+    const { editorialOffices } = useAuth();
+
     const excludeWeekends = publication?.excludeWeekends ?? true;
+    const calendarJson = editorialOffices?.find(o => o.$id === publication?.editorialOfficeId)?.workingCalendar ?? null;
+    const calendar = useMemo(() => normalizeWorkingCalendar(calendarJson), [calendarJson]);
 
     useEffect(() => {
         let cancelled = false;
@@ -61,20 +73,14 @@ export function useUrgency(articles, deadlines, workflow, publication) {
 
             try {
                 const now = new Date();
-                const years = new Set([now.getFullYear(), now.getFullYear() + 1]);
-                const holidaySets = await Promise.all([...years].map(y => fetchHolidays(y)));
+                const holidays = await loadCalendarHolidays(calendar, [now.getFullYear(), now.getFullYear() + 1]);
 
                 if (cancelled || generation !== generationRef.current) return;
 
-                const holidays = new Set();
-                for (const set of holidaySets) {
-                    if (set) for (const h of set) holidays.add(h);
-                }
-
                 const map = new Map();
                 for (const article of articles) {
                     const result = calculateUrgencyRatio(article, deadlines, workflow, {
-                        holidays, excludeWeekends
+                        holidays, excludeWeekends, calendar
                     });
                     if (result) map.set(article.$id, result);
                 }
@@ -98,7 +104,7 @@ export function useUrgency(articles, deadlines, workflow, publication) {
             cancelled = true;
             clearInterval(interval);
         };
-    }, [articles, deadlines, workflow, excludeWeekends]);
+    }, [articles, deadlines, workflow, excludeWeekends, calendar]);
 
     return { urgencyMap, isCalculating };
 }
@@ -39,7 +39,7 @@ export default function DashboardLayout() {
     // lát egy kontextust arról, hogy kihez fordulhat.
     const { isOrgAdmin } = useOrgRole(activeOrganizationId);
     const {
-        publications, articles, activePublicationId,
+        publications, articles, ads, activePublicationId,
         isLoading, fetchPublications, switchPublication,
         fetchAllGroupMembers, fetchWorkflow
     } = useData();
@@ -221,10 +221,11 @@ export default function DashboardLayout() {
         [publications, activePublicationId]
     );
 
-    // Placeholder sorok (az ÖSSZES cikkből — szűrés előtt)
+    // Placeholder sorok (az ÖSSZES cikkből — szűrés előtt; az egész oldalas
+    // hirdetés oldala nem rés)
     const placeholderRows = useMemo(
-        () => buildPlaceholderRows(articles, publication),
-        [articles, publication]
+        () => buildPlaceholderRows(articles, publication, null, ads),
+        [articles, publication, ads]
     );
 
     // Táblázat adatok: szűrt cikkek + placeholder sorok (ha engedélyezve)
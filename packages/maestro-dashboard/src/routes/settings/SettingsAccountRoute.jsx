@@ -1,13 +1,18 @@
 /**
  * Maestro Dashboard — SettingsAccountRoute
  *
- * A `/settings/account` route. Self-service profile-screen két szekcióval:
+ * A `/settings/account` route. Self-service profile-screen három szekcióval:
  *
  *   1. **Saját szervezetek** — listázza az `organizations`-ot, ahol a user
  *      tag. Per-org "Elhagyás" gomb → `leaveOrganization()` AuthContext method.
  *      Backend last-owner / last-member block.
  *
- *   2. **Veszélyes zóna — Fiók törlése** — `deleteMyAccount()` self-service
+ *   2. **E-mail értesítések** — eseményenként kikapcsolva / azonnal / napi
+ *      összesítő, plusz a lapzárta- és zárolás-küszöb. Az account prefs
+ *      `maestroNotifications` kulcsába íródik (`@shared/notificationPreferences.js`),
+ *      a `workflow-notifications` CF olvassa.
+ *
+ *   3. **Veszélyes zóna — Fiók törlése** — `deleteMyAccount()` self-service
  *      cross-org cleanup + `users.delete(callerId)`. Email-typed verification
  *      ConfirmDialog. Sikeres call után best-effort `account.deleteSession`
  *      + redirect `/login`.
@@ -20,12 +25,22 @@
  * mountolja.
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
-import { useAuth } from '../../contexts/AuthContext.jsx';
+import { useAuth, getAccount } from '../../contexts/AuthContext.jsx';
 import { ModalProvider } from '../../contexts/ModalContext.jsx';
 import { ToastProvider } from '../../contexts/ToastContext.jsx';
 import { useConfirm } from '../../components/ConfirmDialog.jsx';
+import {
+    NOTIFICATION_EVENTS,
+    NOTIFICATION_EVENT_LABELS,
+    NOTIFICATION_MODES,
+    NOTIFICATION_MODE_LABELS,
+    NOTIFICATION_HOURS_MIN,
+    NOTIFICATION_HOURS_MAX,
+    getNotificationPreferences,
+    setNotificationPreferences
+} from '@shared/notificationPreferences.js';
 
 function errorMessage(reason) {
     if (typeof reason !== 'string') return 'Ismeretlen hiba történt.';
@@ -41,6 +56,136 @@ function errorMessage(reason) {
     return 'Hiba történt. Próbáld újra.';
 }
 
+/** Az események rövid magyarázata a beállítás-listában. */
+const NOTIFICATION_EVENT_HINTS = {
+    [NOTIFICATION_EVENTS.STATE_OWNED]: 'Egy cikk olyan állapotba lépett, amelyen a csoportodnak kell dolgoznia.',
+    [NOTIFICATION_EVENTS.MESSAGE]: 'Neked, a csoportodnak vagy a cikkeid közreműködőinek szóló üzenet.',
+    [NOTIFICATION_EVENTS.DEADLINE]: 'Közeleg egy olyan cikk lapzártája, amelynek közreműködője vagy.',
+    [NOTIFICATION_EVENTS.LOCK_HELD]: 'Egy általad vagy a cikkeden tartott zárolás túllépi a küszöböt.'
+};
+
+function NotificationPreferencesSection({ email }) {
+    const [preferences, setPreferences] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [status, setStatus] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        getAccount().getPrefs()
+            .then((prefs) => { if (!cancelled) setPreferences(getNotificationPreferences(prefs)); })
+            .catch((err) => {
+                console.error('[SettingsAccount] Értesítési beállítások betöltése sikertelen:', err);
+                if (!cancelled) setStatus({ type: 'error', message: 'Az értesítési beállítások nem tölthetők be.' });
+            });
+        return () => { cancelled = true; };
+    }, []);
+
+    function updateEventMode(eventType, mode) {
+        setStatus(null);
+        setPreferences(prev => ({ ...prev, events: { ...prev.events, [eventType]: mode } }));
+    }
+
+    function updateHours(key, value) {
+        setStatus(null);
+        setPreferences(prev => ({ ...prev, [key]: value }));
+    }
+
+    // Az `updatePrefs` a teljes objektumot cseréli — a friss szerver-prefs-re
+    // írunk, hogy más kulcs (pl. az inbox olvasási állapota) ne vesszen el.
+    async function handleSave() {
+        setSaving(true);
+        setStatus(null);
+        try {
+            const account = getAccount();
+            const fresh = await account.getPrefs();
+            const next = setNotificationPreferences(fresh, preferences);
+            await account.updatePrefs({ prefs: next });
+            setPreferences(getNotificationPreferences(next));
+            setStatus({ type: 'success', message: 'Értesítési beállítások mentve.' });
+        } catch (err) {
+            console.error('[SettingsAccount] Értesítési beállítások mentése sikertelen:', err);
+            setStatus({ type: 'error', message: errorMessage(err.message || err.code || '') });
+        } finally {
+            setSaving(false);
+        }
+    }
+
+    return (
+        <section style={{ marginTop: 32, paddingTop: 24, borderTop: '1px solid var(--border)' }}>
+            <h3 style={{ fontSize: 14, fontWeight: 600, color: 'var(--text-primary)', margin: '0 0 8px' }}>
+                E-mail értesítések
+            </h3>
+            <p style={{ fontSize: 12, color: 'var(--text-muted)', margin: '0 0 12px', lineHeight: 1.5 }}>
+                Eseményenként választhatsz azonnali e-mailt vagy napi összesítőt (reggel, egy levélben).
+                {email && <> Az értesítések ide mennek: <strong>{email}</strong>.</>}
+            </p>
+
+            {!preferences ? (
+                status
+                    ? <div className="login-error">{status.message}</div>
+                    : <p style={{ fontSize: 13, color: 'var(--text-muted)', fontStyle: 'italic' }}>Betöltés…</p>
+            ) : (
+                <>
+                    {Object.values(NOTIFICATION_EVENTS).map(eventType => (
+                        <div className="form-group" key={eventType}>
+                            <label htmlFor={`notify-${eventType}`}>{NOTIFICATION_EVENT_LABELS[eventType]}</label>
+                            <select
+                                id={`notify-${eventType}`}
+                                className="form-select"
+                                value={preferences.events[eventType]}
+                                onChange={e => updateEventMode(eventType, e.target.value)}
+                                disabled={saving}
+                            >
+                                {Object.values(NOTIFICATION_MODES).map(mode => (
+                                    <option key={mode} value={mode}>{NOTIFICATION_MODE_LABELS[mode]}</option>
+                                ))}
+                            </select>
+                            <div className="form-hint">{NOTIFICATION_EVENT_HINTS[eventType]}</div>
+                        </div>
+                    ))}
+
+                    <div className="form-row">
+                        <div className="form-group form-col">
+                            <label htmlFor="notify-deadline-hours">Lapzárta előtt (óra)</label>
+                            <input
+                                id="notify-deadline-hours"
+                                type="number"
+                                min={NOTIFICATION_HOURS_MIN}
+                                max={NOTIFICATION_HOURS_MAX}
+                                value={preferences.deadlineHours}
+                                onChange={e => updateHours('deadlineHours', e.target.value)}
+                                disabled={saving || preferences.events[NOTIFICATION_EVENTS.DEADLINE] === NOTIFICATION_MODES.OFF}
+                            />
+                        </div>
+                        <div className="form-group form-col">
+                            <label htmlFor="notify-lock-hours">Zárolás után (óra)</label>
+                            <input
+                                id="notify-lock-hours"
+                                type="number"
+                                min={NOTIFICATION_HOURS_MIN}
+                                max={NOTIFICATION_HOURS_MAX}
+                                value={preferences.lockHours}
+                                onChange={e => updateHours('lockHours', e.target.value)}
+                                disabled={saving || preferences.events[NOTIFICATION_EVENTS.LOCK_HELD] === NOTIFICATION_MODES.OFF}
+                            />
+                        </div>
+                    </div>
+
+                    {status && (
+                        <div className={status.type === 'success' ? 'auth-success' : 'login-error'} style={{ marginBottom: 12 }}>
+                            {status.message}
+                        </div>
+                    )}
+
+                    <button type="button" className="btn-primary" onClick={handleSave} disabled={saving}>
+                        {saving ? 'Mentés…' : 'Értesítések mentése'}
+                    </button>
+                </>
+            )}
+        </section>
+    );
+}
+
 function SettingsAccountInner() {
     const { user, organizations, leaveOrganization, deleteMyAccount, reloadMemberships, logout } = useAuth();
     const navigate = useNavigate();
@@ -214,6 +359,8 @@ function SettingsAccountInner() {
                 )}
             </section>
 
+            <NotificationPreferencesSection email={user?.email} />
+
             <section style={{ marginTop: 32, paddingTop: 24, borderTop: '1px solid var(--border)' }}>
                 <h3 style={{ fontSize: 14, fontWeight: 600, color: 'var(--c-danger, #d33)', margin: '0 0 8px' }}>
                     Veszélyes zóna
@@ -0,0 +1,87 @@
+/**
+ * Maestro Dashboard — Workflow extension revízió-helperek
+ *
+ * A revíziókat a `workflowExtensionRevisions` collection adja (az
+ * `invite-to-organization` CF írja minden tartalmi mentéskor, ld.
+ * `helpers/extensionRevisions.js`). Az aktivált kiadványok a
+ * `compiledExtensionSnapshot`-ban az aktiváláskori kódot futtatják — ez a
+ * modul rendeli hozzájuk a revíziót: a snapshot-entry `revision` mezője
+ * alapján, vagy (a revízió-követés előtti snapshotnál) a kód SHA-256
+ * hash-ének egyezésével.
+ */
+
+/**
+ * A kód SHA-256 hash-e — a CF `hashExtensionCode`-jával betűre egyező
+ * (UTF-8, kisbetűs hex).
+ *
+ * @param {string} code
+ * @returns {Promise<string>}
+ */
+export async function hashExtensionCode(code) {
+    const bytes = new TextEncoder().encode(String(code));
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function parseSnapshot(raw) {
+    if (!raw || typeof raw !== 'string') return null;
+    try {
+        const parsed = JSON.parse(raw);
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Melyik aktivált kiadvány melyik revíziót futtatja.
+ *
+ * @param {Object} params
+ * @param {string} params.slug - az extension slug-ja (a snapshot kulcsa)
+ * @param {Object[]} params.publications - aktivált kiadványok (`$id`, `name`, `compiledExtensionSnapshot`)
+ * @param {Object[]} params.revisions - a revízió-doc-ok, legfrissebb elöl
+ * @returns {Promise<Array<{
+ *   publicationId: string,
+ *   publicationName: string,
+ *   revision: number|null,
+ *   codeHash: string,
+ *   source: 'snapshot'|'hash'|null,
+ *   codeMismatch: boolean
+ * }>>} csak a slug-ot tartalmazó kiadványok. `source`: honnan jön a revízió
+ *   (`null` — egyik revízió kódjával sem egyezik). `codeMismatch`: a snapshot
+ *   revízió-száma és a rögzített revízió kódja eltér (pl. elveszett rögzítés).
+ */
+export async function buildRevisionUsage({ slug, publications, revisions }) {
+    const usage = [];
+    for (const publication of publications) {
+        const entry = parseSnapshot(publication.compiledExtensionSnapshot)?.[slug];
+        if (!entry || typeof entry.code !== 'string') continue;
+
+        const codeHash = await hashExtensionCode(entry.code);
+        let revision = null;
+        let source = null;
+        let codeMismatch = false;
+        if (Number.isInteger(entry.revision)) {
+            revision = entry.revision;
+            source = 'snapshot';
+            const recorded = revisions.find(r => r.revision === revision);
+            codeMismatch = !!recorded && recorded.codeHash !== codeHash;
+        } else {
+            // Több azonos kódú revízió (pl. visszaállítás) közül a legfrissebb.
+            const matched = revisions.find(r => r.codeHash === codeHash);
+            if (matched) {
+                revision = matched.revision;
+                source = 'hash';
+            }
+        }
+        usage.push({
+            publicationId: publication.$id,
+            publicationName: publication.name,
+            revision,
+            codeHash,
+            source,
+            codeMismatch
+        });
+    }
+    return usage;
+}
@@ -0,0 +1,144 @@
+/**
+ * Maestro Dashboard — Workflow extension teszt-futtatás
+ *
+ * A `WorkflowExtensionEditor` teszt-panelje ezzel futtatja a szerkesztett
+ * kódot egy mintabemeneten, InDesign nélkül. Minden futtatás saját
+ * `sandbox="allow-scripts"` iframe-ben (`public/extension-sandbox.html`,
+ * opaque origin, hálózatot tiltó CSP) indított Web Workerben megy
+ * (`extensionTestRunner.worker.js`): a kód nem éri el a Dashboard session-jét
+ * és DOM-ját, a végtelen ciklus pedig nem fagyasztja be a felületet —
+ * időtúllépéskor az iframe-et a workerrel együtt eltávolítjuk.
+ *
+ * Strukturális ellenőrzés, nem ExtendScript-emuláció: a böngésző motorja az
+ * ECMAScript 3-nál többet is elfogad (`let`, arrow függvény) — az ECMA3
+ * szintaxist a mentéskor a CF acorn-ellenőrzése szűri —, és a `maestro.doc`
+ * / InDesign host hívások itt nem működnek.
+ */
+
+import { normalizeExtensionOptions } from '@shared/extensionParams.js';
+import {
+    EXTENSION_SDK_API_VERSION,
+    checkValidatorOutput,
+    checkCommandOutput,
+    normalizeValidatorOutput,
+    normalizeCommandOutput
+} from '@shared/extensionContract.js';
+import workerSource from './extensionTestRunner.worker.js?raw';
+
+/** Egy teszt-futtatás felső időkorlátja (ms). */
+export const EXTENSION_TEST_TIMEOUT_MS = 5000;
+
+/** A sandbox-oldal (`public/`, build nélkül kerül ki). */
+const SANDBOX_URL = `${import.meta.env.BASE_URL}extension-sandbox.html`;
+
+function runInSandbox(code, inputJson) {
+    return new Promise((resolve) => {
+        const iframe = document.createElement('iframe');
+        iframe.setAttribute('sandbox', 'allow-scripts');
+        iframe.setAttribute('aria-hidden', 'true');
+        iframe.style.display = 'none';
+        iframe.src = SANDBOX_URL;
+
+        let timer = null;
+        const finish = (result) => {
+            clearTimeout(timer);
+            window.removeEventListener('message', onMessage);
+            iframe.remove();
+            resolve(result);
+        };
+        // Opaque originből jön: csak a saját iframe-ünk üzenetét fogadjuk el.
+        function onMessage(event) {
+            if (event.source !== iframe.contentWindow) return;
+            const data = event.data || {};
+            if (data.sandboxReady) {
+                // Az opaque origin célként nem adható meg — `'*'`.
+                iframe.contentWindow.postMessage(
+                    { workerSource, code, inputJson, sdkVersion: EXTENSION_SDK_API_VERSION },
+                    '*'
+                );
+                return;
+            }
+            finish(data);
+        }
+
+        timer = setTimeout(() => finish({
+            ok: false,
+            error: `timeout: a futás ${EXTENSION_TEST_TIMEOUT_MS / 1000} mp után leállítva`,
+            logs: []
+        }), EXTENSION_TEST_TIMEOUT_MS);
+        window.addEventListener('message', onMessage);
+        document.body.appendChild(iframe);
+    });
+}
+
+/**
+ * Extension kód futtatása egy bemeneten, a Plugin dispatch lépéseivel:
+ * `options` normalizálás a `paramSchema` szerint, futtatás, majd a kimenet
+ * shape-ellenőrzése és normalizálása (`@shared/extensionContract.js` 7. blokk).
+ *
+ * @param {Object} params
+ * @param {string} params.code - az extension ExtendScript kódja
+ * @param {string} params.kind - 'validator' | 'command'
+ * @param {string} params.slug - a normalizált üzenetek `[ext.<slug>]` prefixéhez
+ * @param {Object[]} params.params - `parseParamSchema` paraméter-listája
+ * @param {Object} params.input - `buildExtensionInput` eredménye (nyers `options`-szel)
+ * @returns {Promise<{
+ *   input: Object|null,
+ *   ok: boolean,
+ *   error: string|null,
+ *   raw: *,
+ *   violation: string|null,
+ *   normalized: Object|null,
+ *   logs: string[],
+ *   durationMs: number
+ * }>} `input` a ténylegesen átadott bemenet; `violation` a kontraktus-sértés
+ *   (`invalid_output_shape: ...`), `normalized` a Plugin által látott eredmény.
+ */
+export async function runExtensionTest({ code, kind, slug, params, input }) {
+    const started = performance.now();
+    const { options, errors } = normalizeExtensionOptions(params, input?.options);
+    if (errors.length > 0) {
+        return {
+            input: null,
+            ok: false,
+            error: `invalid_options: ${errors.join(' ')}`,
+            raw: null,
+            violation: null,
+            normalized: null,
+            logs: [],
+            durationMs: 0
+        };
+    }
+
+    const preparedInput = { ...input, options };
+    const result = await runInSandbox(code, JSON.stringify(preparedInput));
+    const durationMs = Math.round(performance.now() - started);
+    const prefixSlug = slug || 'teszt';
+
+    if (!result.ok) {
+        return {
+            input: preparedInput,
+            ok: false,
+            error: result.error,
+            raw: null,
+            violation: null,
+            normalized: null,
+            logs: result.logs || [],
+            durationMs
+        };
+    }
+
+    const isValidator = kind === 'validator';
+    return {
+        input: preparedInput,
+        ok: true,
+        error: null,
+        raw: result.value,
+        violation: isValidator ? checkValidatorOutput(result.value) : checkCommandOutput(result.value),
+        normalized: isValidator
+            ? normalizeValidatorOutput(prefixSlug, result.value)
+            : normalizeCommandOutput(prefixSlug, result.value),
+        logs: result.logs || [],
+        durationMs
+    };
+}
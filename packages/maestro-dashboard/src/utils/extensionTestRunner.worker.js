@@ -0,0 +1,179 @@
+/**
+ * Maestro Dashboard — Workflow extension teszt-futtatás (Web Worker)
+ *
+ * Az `extensionTestRunner.js` nyers szövegként (`?raw`) adja át a
+ * `public/extension-sandbox.html` oldalnak, amely futtatásonként egy
+ * `sandbox="allow-scripts"` iframe-ben (opaque origin) blob workerként
+ * indítja. Ezért sima script, import nélkül — az SDK verziót az üzenet hozza.
+ *
+ * A user-kódot a böngésző JS motorja futtatja (az ECMAScript 3 ennek
+ * részhalmaza) a Plugin futtató sablonjának (`extensionRegistry.js`
+ * `buildExtensionExtendScript`) lépéseivel: input JSON-kör, a kód
+ * kiértékelése, `maestroExtension(input)` hívása, a visszatérési érték
+ * JSON-kör, `{ ok, value | error, logs }` envelope.
+ *
+ * A `maestro` SDK itt egy stand-in: a `log`, `json` és `path` helperek a
+ * Plugin `extensionSdk.js` viselkedését követik, a `doc.*` (InDesign
+ * dokumentum) hívások hibát dobnak. Az InDesign host objektumok (`app`,
+ * `File`, ...) nem léteznek — rájuk hivatkozva a futás `exec_error`-ral ér
+ * véget.
+ *
+ * Biztonsági határ a sandbox, nem ez a fájl: a kód a worker globális
+ * objektumát megszerezheti (`Function('return this')()`, sloppy `this`), de
+ * az opaque originből nem éri el a Dashboard sütijeit, tárolóit és DOM-ját,
+ * hálózati kérést pedig a sandbox-oldal CSP-je (`.htaccess`) tilt.
+ */
+
+// SYNC WITH: packages/maestro-indesign/src/core/utils/extensions/extensionSdk.js
+// (`SDK_LOG_MAX_ENTRIES`, `SDK_LOG_ENTRY_MAX_LENGTH`, `maestro.path` helperek).
+const SDK_LOG_MAX_ENTRIES = 200;
+const SDK_LOG_ENTRY_MAX_LENGTH = 2000;
+const MOUNT_PREFIXES = ['/Volumes', 'C:/Volumes'];
+const TEST_MOUNT_PREFIX = '/Volumes';
+
+/**
+ * ExtendScript-ben nem létező böngésző-globálok, amelyeket a kód közvetlen
+ * névvel `undefined`-ként lát (paraméter-árnyékolás — a hibás hivatkozás
+ * így a teszten is kiderül; elszigetelést nem ad, ld. a fejlécet).
+ */
+const SHADOWED_GLOBALS = [
+    'self', 'globalThis', 'postMessage', 'importScripts', 'fetch',
+    'XMLHttpRequest', 'WebSocket', 'setTimeout', 'setInterval'
+];
+
+function normalizePath(p) {
+    let s = String(p);
+    try { s = decodeURIComponent(s); } catch { /* a nyers alak marad */ }
+    return s.split('\\').join('/');
+}
+
+function startsWithPrefix(p, prefix) {
+    return p === prefix || p.indexOf(prefix + '/') === 0;
+}
+
+function createSdk(logs, sdkVersion) {
+    const sdk = {
+        version: sdkVersion,
+
+        log(...args) {
+            if (logs.entries.length >= SDK_LOG_MAX_ENTRIES) {
+                logs.dropped++;
+                return;
+            }
+            let line = args.map(arg => (typeof arg === 'string' ? arg : JSON.stringify(arg) ?? 'null')).join(' ');
+            if (line.length > SDK_LOG_ENTRY_MAX_LENGTH) line = line.substr(0, SDK_LOG_ENTRY_MAX_LENGTH) + '…';
+            logs.entries.push(line);
+        },
+
+        json: {
+            parse: text => JSON.parse(text),
+            stringify: value => JSON.stringify(value) ?? 'null'
+        },
+
+        path: {
+            mountPrefix: TEST_MOUNT_PREFIX,
+
+            toNative(canonicalPath) {
+                if (!canonicalPath) return '';
+                const p = normalizePath(canonicalPath);
+                for (const prefix of MOUNT_PREFIXES) {
+                    if (startsWithPrefix(p, prefix)) return TEST_MOUNT_PREFIX + (p.substring(prefix.length) || '/');
+                }
+                if (p.charAt(0) === '/') return TEST_MOUNT_PREFIX + p;
+                return p;
+            },
+
+            toCanonical(nativePath) {
+                if (!nativePath) return '';
+                const p = normalizePath(nativePath);
+                for (const prefix of MOUNT_PREFIXES) {
+                    if (startsWithPrefix(p, prefix)) return p.substring(prefix.length) || '/';
+                }
+                return p;
+            },
+
+            resolve(relativePath, canonicalRoot) {
+                if (!relativePath || !canonicalRoot) return relativePath || '';
+                if (relativePath.charAt(0) === '/' || /^[a-zA-Z]:/.test(relativePath)) {
+                    return sdk.path.toNative(relativePath);
+                }
+                const root = normalizePath(canonicalRoot).replace(/\/$/, '');
+                const rel = normalizePath(relativePath);
+                if (/(^|\/)\.\.($|\/)/.test(rel)) return '';
+                return sdk.path.toNative(root + '/' + rel);
+            },
+
+            articlePath(article, publicationRoot) {
+                if (!article || !article.filePath) return '';
+                return sdk.path.resolve(article.filePath, publicationRoot);
+            }
+        },
+
+        doc: {
+            open() {
+                throw new Error('maestro.doc.open: a teszt-futtatásban nincs InDesign dokumentum');
+            },
+            close() {
+                return false;
+            }
+        }
+    };
+    return sdk;
+}
+
+function run(code, inputJson, sdkVersion) {
+    const logs = { entries: [], dropped: 0 };
+    const envelope = (result) => {
+        const entries = logs.dropped > 0
+            ? logs.entries.concat([`… (+${logs.dropped} naplósor elhagyva)`])
+            : logs.entries;
+        return { ...result, logs: entries };
+    };
+
+    let input;
+    try {
+        input = JSON.parse(inputJson);
+    } catch (e) {
+        return envelope({ ok: false, error: 'input_parse: ' + e.message });
+    }
+
+    let factory;
+    try {
+        factory = new Function(
+            'maestro', 'JSON', ...SHADOWED_GLOBALS,
+            `${code}\nreturn typeof maestroExtension === 'function' ? maestroExtension : null;`
+        );
+    } catch (e) {
+        return envelope({ ok: false, error: 'syntax_error: ' + e.message });
+    }
+
+    let entry;
+    try {
+        entry = factory(createSdk(logs, sdkVersion), JSON);
+    } catch (e) {
+        return envelope({ ok: false, error: 'exec_error: ' + e.message });
+    }
+    if (!entry) return envelope({ ok: false, error: 'missing_maestro_extension_function' });
+
+    let raw;
+    try {
+        raw = entry(input);
+    } catch (e) {
+        return envelope({ ok: false, error: 'exec_error: ' + e.message });
+    }
+
+    // A Plugin envelope is JSON-on át adja vissza az értéket: a függvény /
+    // `undefined` eltűnik, a nem-szerializálható érték `null` lesz.
+    let value;
+    try {
+        value = JSON.parse(JSON.stringify(raw) ?? 'null');
+    } catch (e) {
+        return envelope({ ok: false, error: 'output_serialize: ' + e.message });
+    }
+    return envelope({ ok: true, value });
+}
+
+self.onmessage = (event) => {
+    const { code, inputJson, sdkVersion } = event.data || {};
+    self.postMessage(run(String(code ?? ''), String(inputJson ?? 'null'), sdkVersion ?? null));
+};
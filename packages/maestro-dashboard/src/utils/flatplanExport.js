@@ -0,0 +1,154 @@
+/**
+ * Maestro Dashboard — Flatplan export (nyomtatható PDF / SVG)
+ *
+ * A `LayoutView` spreadjeiből (ugyanaz az oldaltérkép, amit a képernyő mutat)
+ * export modellt épít, és a `maestro-proxy` `POST /api/flatplan-export`
+ * endpointjától kéri a szerveroldalon rajzolt fájlt — így a kimenet nem függ
+ * a böngésző zoomjától és nyomtatási beállításaitól.
+ *
+ * Oldalanként: oldalszám, cikknév, állapotszín (`getStateColor`), thumbnail
+ * fileId, a legkorábbi lapzárta (`getArticleDeadline`) és a hirdetések. A
+ * thumbnail-eket a proxy a felhasználó rövid életű JWT-jével tölti le.
+ */
+
+import { getAccount } from '../contexts/AuthContext.jsx';
+import { PROXY_URL } from '../config.js';
+import { slugify } from './slugify.js';
+import { getAllStates, getStateColor } from '@shared/workflowRuntime.js';
+import { getArticleDeadline } from '@shared/urgency.js';
+
+export const EXPORT_FORMATS = { PDF: 'pdf', SVG: 'svg' };
+export const EXPORT_MODES = { THUMBNAILS: 'thumbnails', STATES: 'states' };
+export const EXPORT_PAPERS = ['A4', 'A3'];
+
+/** A proxy oldalankénti hirdetés-korlátja (`routes/flatplanExport.js`). */
+const MAX_ADS_PER_PAGE = 4;
+
+const DEADLINE_FORMAT = {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+};
+
+/** `#RGB` / `#RRGGBB` → `#RRGGBB`; más formátum (a proxy csak ezt fogadja) → `null`. */
+function toHexColor(color) {
+    if (typeof color !== 'string') return null;
+    if (/^#[0-9A-Fa-f]{6}$/.test(color)) return color;
+    const short = /^#([0-9A-Fa-f])([0-9A-Fa-f])([0-9A-Fa-f])$/.exec(color);
+    return short ? `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}` : null;
+}
+
+function formatPageDeadline(pageNum, deadlines) {
+    const deadline = getArticleDeadline({ startPage: pageNum }, deadlines);
+    if (!deadline?.datetime) return '';
+    const date = new Date(deadline.datetime);
+    if (isNaN(date.getTime())) return '';
+    return date.toLocaleString('hu-HU', DEADLINE_FORMAT);
+}
+
+function toExportPage(page, context) {
+    if (!page) return null;
+    const { workflow, deadlines, adsByPage, usedStates } = context;
+    const hasArticle = !!page.articleName;
+    if (hasArticle && page.state != null) usedStates.add(page.state);
+
+    return {
+        pageNum: page.pageNum,
+        articleName: page.conflict ? page.conflictArticles.join(' / ') : (page.articleName || ''),
+        stateColor: hasArticle ? toHexColor(getStateColor(workflow, page.state)) : null,
+        thumbnailFileId: page.fileId || null,
+        deadline: formatPageDeadline(page.pageNum, deadlines),
+        fallback: page.isFallback === true,
+        ads: (adsByPage.get(page.pageNum) || []).slice(0, MAX_ADS_PER_PAGE).map((ad) => ({
+            advertiser: ad.advertiser,
+            size: ad.size,
+            position: ad.position ?? null
+        }))
+    };
+}
+
+/**
+ * Az export modell a proxy számára.
+ *
+ * @param {Object} params
+ * @param {Object} params.publication - Az aktív kiadvány
+ * @param {string|null} [params.layoutName] - A kiválasztott layout neve (alcímbe)
+ * @param {Array} params.spreads - A `LayoutView` spreadjei (`{ left, right }`)
+ * @param {Object} params.workflow - A kiadvány compiled workflow-ja
+ * @param {Array} params.deadlines - A kiadvány lapzártái
+ * @param {Map<number, Object[]>} params.adsByPage - `groupAdsByPage` eredménye
+ * @param {number|null} [params.pageAspect] - Oldal szélesség / magasság (thumbnail-ből)
+ * @param {{ format: string, mode: string, paper: string, columns: number }} params.options
+ * @returns {Object}
+ */
+export function buildFlatplanExportModel({
+    publication, layoutName, spreads, workflow, deadlines, adsByPage, pageAspect, options
+}) {
+    const pubDeadlines = deadlines.filter((d) => d.publicationId === publication.$id);
+    const context = { workflow, deadlines: pubDeadlines, adsByPage, usedStates: new Set() };
+
+    const exportSpreads = spreads.map((spread) => ({
+        left: toExportPage(spread.left, context),
+        right: toExportPage(spread.right, context)
+    }));
+
+    // Jelmagyarázat: a lapokon ténylegesen előforduló állapotok, workflow-sorrendben
+    const legend = getAllStates(workflow)
+        .filter((state) => context.usedStates.has(state.id))
+        .map((state) => ({ label: state.label, color: toHexColor(state.color) }))
+        .filter((entry) => entry.color);
+
+    const subtitle = [
+        layoutName ? `Layout: ${layoutName}` : null,
+        `${publication.coverageStart ?? 1}–${publication.coverageEnd ?? 1}. oldal`
+    ].filter(Boolean).join(' · ');
+
+    return {
+        format: options.format,
+        mode: options.mode,
+        paper: options.paper,
+        columns: options.columns,
+        title: publication.name,
+        subtitle,
+        generatedAt: new Date().toLocaleString('hu-HU', DEADLINE_FORMAT),
+        pageAspect: pageAspect >= 0.3 && pageAspect <= 3 ? pageAspect : undefined,
+        spreads: exportSpreads,
+        legend
+    };
+}
+
+/**
+ * Az export lekérése a proxytól és letöltése a böngészőben.
+ *
+ * @param {Object} model - `buildFlatplanExportModel` eredménye
+ * @returns {Promise<void>}
+ * @throws {Error} Hitelesítési / proxy hiba esetén (a proxy `error` üzenetével)
+ */
+export async function downloadFlatplanExport(model) {
+    const { jwt } = await getAccount().createJWT();
+
+    const response = await fetch(`${PROXY_URL}/api/flatplan-export`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${jwt}`
+        },
+        body: JSON.stringify(model)
+    });
+    if (!response.ok) {
+        const payload = await response.json().catch(() => ({}));
+        throw new Error(payload.error || `HTTP ${response.status}`);
+    }
+
+    const blob = await response.blob();
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${slugify(model.title) || 'flatplan'}.${model.format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // A letöltés elindulása után — azonnali revoke egyes böngészőkben megszakítja
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,164 @@
+/**
+ * Maestro Dashboard — Soronkénti szöveg-diff (side-by-side nézethez)
+ *
+ * Az extension-revíziók kód-összehasonlítása (`ExtensionRevisionsPanel`)
+ * használja. Klasszikus LCS a közös eleje / vége levágása után; a túl nagy
+ * változott blokkot (`LINE_DIFF_MAX_CELLS` felett) nem illeszti soronként,
+ * hanem egy törölt + egy hozzáadott blokként adja — a böngésző ne fagyjon le
+ * két teljesen eltérő 256 KB-os kódon.
+ */
+
+/** Az LCS-tábla maximális cellaszáma (n × m) a változott középső blokkra. */
+export const LINE_DIFF_MAX_CELLS = 4_000_000;
+
+function splitLines(text) {
+    if (!text) return [];
+    return String(text).split(/\r?\n/);
+}
+
+/** A középső blokk LCS-alapú műveletei (`same` / `del` / `add`). */
+function diffMiddle(a, b, startA, endA, startB, endB) {
+    const n = endA - startA;
+    const m = endB - startB;
+    const ops = [];
+    if (n * m > LINE_DIFF_MAX_CELLS) {
+        for (let i = startA; i < endA; i++) ops.push({ op: 'del', ai: i });
+        for (let j = startB; j < endB; j++) ops.push({ op: 'add', bi: j });
+        return { ops, approximate: n > 0 && m > 0 };
+    }
+
+    // lcs[i * (m + 1) + j] = az a[i..] és b[j..] közös részsorozatának hossza.
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i * width + j] = a[startA + i] === b[startB + j]
+                ? lcs[(i + 1) * width + j + 1] + 1
+                : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+        }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (a[startA + i] === b[startB + j]) {
+            ops.push({ op: 'same', ai: startA + i, bi: startB + j });
+            i++;
+            j++;
+        } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+            ops.push({ op: 'del', ai: startA + i });
+            i++;
+        } else {
+            ops.push({ op: 'add', bi: startB + j });
+            j++;
+        }
+    }
+    for (; i < n; i++) ops.push({ op: 'del', ai: startA + i });
+    for (; j < m; j++) ops.push({ op: 'add', bi: startB + j });
+    return { ops, approximate: false };
+}
+
+/**
+ * Két szöveg soronkénti összevetése side-by-side sorokká. Az egymást követő
+ * törölt és hozzáadott sorok párba állnak (`changed`), így a két oszlop
+ * egymás mellett olvasható.
+ *
+ * @param {string} before - bal oldal (pl. a kiválasztott revízió)
+ * @param {string} after - jobb oldal (pl. a szerkesztő tartalma)
+ * @returns {{
+ *   rows: Array<{ type: 'same'|'changed'|'removed'|'added',
+ *                 left: { no: number, text: string }|null,
+ *                 right: { no: number, text: string }|null }>,
+ *   added: number,
+ *   removed: number,
+ *   approximate: boolean
+ * }} `approximate`: a változott blokk túl nagy volt a soronkénti illesztéshez
+ */
+export function diffLines(before, after) {
+    const a = splitLines(before);
+    const b = splitLines(after);
+
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const ops = [];
+    for (let k = 0; k < start; k++) ops.push({ op: 'same', ai: k, bi: k });
+    const middle = diffMiddle(a, b, start, endA, start, endB);
+    ops.push(...middle.ops);
+    for (let k = 0; k < a.length - endA; k++) ops.push({ op: 'same', ai: endA + k, bi: endB + k });
+
+    const rows = [];
+    let added = 0;
+    let removed = 0;
+    let dels = [];
+    let adds = [];
+    const flush = () => {
+        const count = Math.max(dels.length, adds.length);
+        for (let k = 0; k < count; k++) {
+            const ai = dels[k];
+            const bi = adds[k];
+            rows.push({
+                type: ai !== undefined && bi !== undefined ? 'changed' : (ai !== undefined ? 'removed' : 'added'),
+                left: ai !== undefined ? { no: ai + 1, text: a[ai] } : null,
+                right: bi !== undefined ? { no: bi + 1, text: b[bi] } : null
+            });
+        }
+        removed += dels.length;
+        added += adds.length;
+        dels = [];
+        adds = [];
+    };
+    for (const entry of ops) {
+        if (entry.op === 'del') dels.push(entry.ai);
+        else if (entry.op === 'add') adds.push(entry.bi);
+        else {
+            flush();
+            rows.push({
+                type: 'same',
+                left: { no: entry.ai + 1, text: a[entry.ai] },
+                right: { no: entry.bi + 1, text: b[entry.bi] }
+            });
+        }
+    }
+    flush();
+
+    return { rows, added, removed, approximate: middle.approximate };
+}
+
+/**
+ * A hosszú változatlan szakaszok összecsukása: a változások körül `context`
+ * sor marad, a többi egy `{ type: 'skip', count }` sorrá rövidül.
+ *
+ * @param {Array<Object>} rows - `diffLines().rows`
+ * @param {number} [context=3]
+ * @returns {Array<Object>}
+ */
+export function collapseUnchanged(rows, context = 3) {
+    const keep = new Array(rows.length).fill(false);
+    rows.forEach((row, index) => {
+        if (row.type === 'same') return;
+        const from = Math.max(0, index - context);
+        const to = Math.min(rows.length - 1, index + context);
+        for (let k = from; k <= to; k++) keep[k] = true;
+    });
+
+    const result = [];
+    let skipped = 0;
+    rows.forEach((row, index) => {
+        if (keep[index]) {
+            if (skipped > 0) result.push({ type: 'skip', count: skipped });
+            skipped = 0;
+            result.push(row);
+        } else {
+            skipped++;
+        }
+    });
+    if (skipped > 0) result.push({ type: 'skip', count: skipped });
+    return result;
+}
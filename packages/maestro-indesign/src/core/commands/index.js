@@ -3,7 +3,7 @@ import { handleCollectImages } from "./handlers/collectImages.js";
 import { handleArchiving } from "./handlers/archiving.js";
 import { handlePrinting } from "./handlers/printing.js";
 import { handlePreflightCheck } from "./handlers/preflightCheck.js";
-import { isExtensionRef, parseExtensionRef } from "maestro-shared/extensionContract.js";
+import { isExtensionRef, parseExtensionRef, buildExtensionInput } from "maestro-shared/extensionContract.js";
 import { dispatchExtensionCommand } from "../utils/extensions/extensionRegistry.js";
 import { log, logWarn, logError } from "../utils/logger.js";
 
@@ -28,19 +28,23 @@ const COMMAND_REGISTRY = {
  *   (B.4.2 / ADR 0007 Phase 0).
  * @param {object} context - Context data (e.g., current item, user info, extensions).
  *   Az extension command ágon kötelező: `extensions` (registry Map) + `item` (article).
- *   Opcionális: `publication` (a `rootPath`-t a `publicationRoot` JSON I/O kulcsra mappeljük).
+ *   Opcionális: `publication` (a `rootPath`-t a `publicationRoot` JSON I/O kulcsra mappeljük),
+ *   `options` (a workflow `commands[]` elemének per-workflow beállításai).
  * @returns {Promise<object>} Result of the command execution.
  */
 export const executeCommand = async (commandId, context = {}) => {
-    // Workflow extension hivatkozás (`ext.<slug>`) — Phase 0-ban (B.0.4) az `options`
-    // szándékosan nem kerül átadásra; a JSON I/O csak `{ article, publicationRoot }` mezőt kap.
+    // Workflow extension hivatkozás (`ext.<slug>`) — a JSON I/O `{ article, options, publicationRoot }`;
+    // az `options`-t a dispatch az extension `paramSchema`-ja szerint normalizálja.
     if (isExtensionRef(commandId)) {
         const ref = parseExtensionRef(commandId);
         log(`[CommandExecutor] Extension command dispatch: ${commandId}`);
-        return dispatchExtensionCommand(context.extensions, ref.slug, {
+        return dispatchExtensionCommand(context.extensions, ref.slug, buildExtensionInput({
+            kind: 'command',
+            scope: 'article',
             article: context.item,
-            publicationRoot: context.publication?.rootPath ?? null
-        });
+            publication: context.publication,
+            options: context.options
+        }));
     }
 
     const handler = COMMAND_REGISTRY[commandId];
@@ -46,6 +46,9 @@ export const MaestroEvent = Object.freeze({
     /** Cikkek hozzáadva a kiadványhoz. Detail: { publicationId } */
     articlesAdded: 'maestro:articles-added',
 
+    /** A kiadvány hirdetései megváltoztak (Dashboard-oldali CRUD, Realtime). Detail: { publicationId } */
+    adsChanged: 'maestro:ads-changed',
+
     // --- Auth ---
     /** Munkamenet lejárt (401-es hiba detektálva). Nincs detail. */
     sessionExpired: 'maestro:session-expired',
@@ -96,6 +99,13 @@ export const MaestroEvent = Object.freeze({
      */
     workflowExtensionsChanged: 'maestro:workflow-extensions-changed',
 
+    // --- Üzenetek ---
+    /**
+     * Inbox üzenet megnyitva (deeplink a cikkre). A PublicationList lenyitja a
+     * cikk kiadványát. Detail: { publicationId, articleId }
+     */
+    inboxMessageOpened: 'maestro:inbox-message-opened',
+
     // --- Infrastruktúra ---
     /** Proxy endpoint váltás történt. Detail: { isPrimary, endpoint } */
     endpointSwitched: 'maestro:endpoint-switched',
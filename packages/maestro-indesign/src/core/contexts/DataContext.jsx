@@ -52,6 +52,9 @@ const compareByOrder = (a, b) => (a?.order ?? 0) - (b?.order ?? 0);
 /** Kezdőoldal szerinti komparátor rendezéshez. */
 const compareByStartPage = (a, b) => (a?.startPage ?? 0) - (b?.startPage ?? 0);
 
+/** Oldalszám szerinti komparátor (hirdetések) rendezéshez. */
+const compareByPage = (a, b) => (a?.page ?? 0) - (b?.page ?? 0);
+
 // Létrehozzuk a Context-et (alapértelmezésben null)
 const DataContext = createContext(null);
 
@@ -95,6 +98,7 @@ export const DataProvider = ({ children }) => {
     const [validations, setValidations] = useState([]); // User Validations
     const [layouts, setLayouts] = useState([]);
     const [deadlines, setDeadlines] = useState([]);
+    const [ads, setAds] = useState([]);
 
     // Az office-hoz tartozó összes workflow doc (nyers, NEM parse-olt compiled).
     // A derived `workflow` memo a publication.workflowId alapján oldja fel,
@@ -190,6 +194,7 @@ export const DataProvider = ({ children }) => {
             setArticles([]);
             setLayouts([]);
             setDeadlines([]);
+            setAds([]);
             setValidations([]);
             setWorkflows([]);
             setIsInitialized(true);
@@ -243,9 +248,10 @@ export const DataProvider = ({ children }) => {
 
             // 2. Cikkek lekérése (Csak ha van aktív publikáció) — kritikus
             let articlesPromise = Promise.resolve({ documents: [] });
-            // Nem-kritikus adatok (layoutok, határidők) — Promise.allSettled-del kezeljük
+            // Nem-kritikus adatok (layoutok, határidők, hirdetések) — Promise.allSettled-del kezeljük
             let layoutsPromise = Promise.resolve({ documents: [] });
             let deadlinesPromise = Promise.resolve({ documents: [] });
+            let adsPromise = Promise.resolve({ documents: [] });
 
             if (currentPubId) {
                 // editorialOfficeId szűrés a publicationId mellé: a pub transzitíven
@@ -299,6 +305,24 @@ export const DataProvider = ({ children }) => {
                     ),
                     { operationName: "fetchDeadlines" }
                 );
+
+                // 2c2. Hirdetések lekérése (nem-kritikus) — a struktúra-validáció
+                // az egész oldalas hirdetések oldalát foglaltnak veszi
+                adsPromise = withRetry(
+                    () => withTimeout(
+                        tables.listRows({
+                            databaseId: DATABASE_ID,
+                            tableId: COLLECTIONS.ADS,
+                            queries: [
+                                Query.equal("publicationId", currentPubId),
+                                Query.equal("editorialOfficeId", currentOfficeId),
+                                Query.limit(500)
+                            ]
+                        }),
+                        FETCH_TIMEOUT_CONFIG.NON_CRITICAL_DATA_MS, "fetchAds"
+                    ),
+                    { operationName: "fetchAds" }
+                );
             }
 
             // 2d. Workflow-k lekérése (nem-kritikus) — csak ha scope változott vagy
@@ -348,7 +372,7 @@ export const DataProvider = ({ children }) => {
                 : Promise.resolve(null); // Skip — már betöltve, Realtime frissít
 
             // Kritikus adatok (publications, articles) — ha elbuknak, a catch kezeli
-            // Nem-kritikus adatok (layouts, deadlines, workflows) — allSettled: ha elbuknak,
+            // Nem-kritikus adatok (layouts, deadlines, ads, workflows) — allSettled: ha elbuknak,
             // toast figyelmeztetés, a UI működik tovább üres listával / read-only módban
             const [
                 publicationsResponse,
@@ -357,10 +381,10 @@ export const DataProvider = ({ children }) => {
             ] = await Promise.all([
                 publicationsPromise,
                 articlesPromise,
-                Promise.allSettled([layoutsPromise, deadlinesPromise, workflowsPromise])
+                Promise.allSettled([layoutsPromise, deadlinesPromise, adsPromise, workflowsPromise])
             ]).then(([pubs, arts, settled]) => [pubs, arts, ...settled]);
 
-            const [layoutsResult, deadlinesResult, workflowsResult] = settledResults;
+            const [layoutsResult, deadlinesResult, adsResult, workflowsResult] = settledResults;
 
             // Elavult generáció: a catch blokk StaleFetchError-ként némán eldobja.
             throwIfStale();
@@ -397,6 +421,14 @@ export const DataProvider = ({ children }) => {
                 warnUser('Határidők betöltése sikertelen', TOAST_TYPES.ERROR, 'A határidők nem töltődtek be. Próbáld újra később.');
             }
 
+            if (adsResult.status === 'fulfilled') {
+                const adList = adsResult.value.documents || adsResult.value.rows || [];
+                setAds(adList.sort(compareByPage));
+            } else {
+                logError('[DataContext] Hirdetések lekérése sikertelen:', adsResult.reason);
+                warnUser('Hirdetések betöltése sikertelen', TOAST_TYPES.ERROR, 'A hirdetések nem töltődtek be. Próbáld újra később.');
+            }
+
             // Workflows: ha skip-elve volt (már betöltve, value=null), nem érintjük.
             if (needsWorkflowFetch) {
                 if (workflowsResult.status === 'fulfilled' && workflowsResult.value) {
@@ -628,6 +660,7 @@ export const DataProvider = ({ children }) => {
         setValidations([]);
         setLayouts([]);
         setDeadlines([]);
+        setAds([]);
         setIsSwitchingPublication(true);
     }, [activePublicationId]);
 
@@ -657,6 +690,7 @@ export const DataProvider = ({ children }) => {
                 setArticles([]);
                 setLayouts([]);
                 setDeadlines([]);
+                setAds([]);
                 setValidations([]);
                 return;
             }
@@ -905,6 +939,7 @@ export const DataProvider = ({ children }) => {
             `databases.${DATABASE_ID}.collections.${COLLECTIONS.USER_VALIDATIONS}.documents`,
             `databases.${DATABASE_ID}.collections.${COLLECTIONS.LAYOUTS}.documents`,
             `databases.${DATABASE_ID}.collections.${COLLECTIONS.DEADLINES}.documents`,
+            `databases.${DATABASE_ID}.collections.${COLLECTIONS.ADS}.documents`,
             `databases.${DATABASE_ID}.collections.${COLLECTIONS.GROUP_MEMBERSHIPS}.documents`,
             `databases.${DATABASE_ID}.collections.${COLLECTIONS.WORKFLOWS}.documents`,
             `databases.${DATABASE_ID}.collections.${COLLECTIONS.WORKFLOW_EXTENSIONS}.documents`
@@ -954,6 +989,7 @@ export const DataProvider = ({ children }) => {
                     setArticles([]);
                     setLayouts([]);
                     setDeadlines([]);
+                    setAds([]);
                     setValidations([]);
                 }
 
@@ -1123,6 +1159,36 @@ export const DataProvider = ({ children }) => {
                 }
             }
 
+            // --- Hirdetések ---
+            // A Plugin csak olvassa őket (a Dashboard kezeli). Az egész oldalas
+            // hirdetés a struktúra-validáció része — a változás újraszámítást kér.
+            else if (event.includes(COLLECTIONS.ADS)) {
+                if (isOutOfScope(event, payload)) return;
+                const currentActivePublicationId = activePublicationIdRef.current;
+
+                if (payload.publicationId === currentActivePublicationId) {
+                    setAds(prev => {
+                        if (event.includes(".update")) {
+                            return prev.map(ad => {
+                                if (ad.$id !== payload.$id) return ad;
+                                if (ad.$updatedAt && payload.$updatedAt && ad.$updatedAt > payload.$updatedAt) {
+                                    return ad;
+                                }
+                                return payload;
+                            }).sort(compareByPage);
+                        } else if (event.includes(".create")) {
+                            if (prev.some(ad => ad.$id === payload.$id)) return prev;
+                            return [...prev, payload].sort(compareByPage);
+                        } else if (event.includes(".delete")) {
+                            return prev.filter(ad => ad.$id !== payload.$id);
+                        }
+                        return prev;
+                    });
+
+                    dispatchMaestroEvent(MaestroEvent.adsChanged, { publicationId: payload.publicationId });
+                }
+            }
+
             // --- Csoporttagság ---
             // A groupMemberships collection-ről jövő események — csak az aktív szerkesztőség
             else if (event.includes(COLLECTIONS.GROUP_MEMBERSHIPS)) {
@@ -1225,6 +1291,7 @@ export const DataProvider = ({ children }) => {
         validations,
         layouts,
         deadlines,
+        ads,
         workflow,
         workflows,
         // Aktív publikáció derived state — a B.4 extension registry build a
@@ -1250,7 +1317,7 @@ export const DataProvider = ({ children }) => {
         updateValidation,
         deleteValidation
     }), [
-        publications, articles, validations, layouts, deadlines, workflow, workflows,
+        publications, articles, validations, layouts, deadlines, ads, workflow, workflows,
         activePublication, extensionRegistry,
         isLoading, isSwitchingPublication, activePublicationId,
         updateActivePublicationId, fetchData,
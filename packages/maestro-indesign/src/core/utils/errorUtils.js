@@ -120,6 +120,26 @@ export class OrphanedOrgError extends Error {
     }
 }
 
+/**
+ * Szerver-oldali átmenet-feltétel (transition guard) bukás.
+ *
+ * Az `update-article` CF 400 `transition_guard_failed` választ ad, ha az
+ * átmenet `guards` feltételei közül legalább egy nem teljesül. A `failures`
+ * a shared `evaluateTransitionGuards()` kimenete (`{ type, description }`),
+ * az üzenet ezek `description`-jeiből áll össze.
+ */
+export class TransitionGuardError extends Error {
+    constructor(failures = []) {
+        const descriptions = failures.map(f => f?.description).filter(Boolean);
+        super(descriptions.length > 0
+            ? descriptions.join(' ')
+            : 'Az átmenet feltételei nem teljesülnek.');
+        this.name = 'TransitionGuardError';
+        this.cfReason = 'transition_guard_failed';
+        this.failures = failures;
+    }
+}
+
 /**
  * Eldönti, hogy egy hiba Appwrite „hiányzó index" hiba-e.
  * Először stabil, strukturált property-ket vizsgál (code, type),
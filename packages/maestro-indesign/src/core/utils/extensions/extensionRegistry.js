@@ -3,12 +3,16 @@
  *
  * Feladat:
  *  1. Az aktivált publikáció `compiledExtensionSnapshot` JSON-ját parse-olja
- *     `Map<slug, { name, kind, scope, code }>` formába.
- *  2. `ext.<slug>` hivatkozást felold a regisztryből (validator vagy command kind-ra).
+ *     `Map<slug, { name, kind, scope, code, params, sdkVersion }>` formába (a `params` a
+ *     snapshot-beli `paramSchema` normalizált paraméter-listája).
+ *  2. `ext.<slug>` hivatkozást felold a regisztryből (validator vagy command kind-ra,
+ *     `article` vagy `publication` scope-ra).
  *  3. ExtendScript-en futtatja a `maestroExtension(input)` globál függvényt JSON I/O-val,
  *     `{ ok, value | error }` envelope-ban.
  *  4. Az eredményt a JSON I/O kontraktusra normálja (validator → `{isValid, errors[],
- *     warnings[]}`; command → `{success, error?, message?}`).
+ *     warnings[]}`; command → `{success, error?, message?}`) — a shape-check és a
+ *     normalizálás a `maestro-shared/extensionContract.js` 7. blokkjában él, a Dashboard
+ *     teszt-futtatás ugyanazt használja.
  *
  * **Snapshot-only stratégia (Phase 0)**: a Plugin csak `isActivated === true` publikációt
  * lát, és azon a snapshot kanonikus + immutable (`validate-publication-update` CF §5c-A
@@ -28,8 +32,25 @@
  * kompromisszumként kezeli). Phase 1+ `workflowExtensions` Realtime fallback ezt a
  * részleges-konzisztencia ablakot lezárhatja.
  *
- * **Phase 0 hatókör-szűkítés (B.0.4)**: a per-workflow `options` üres / nem továbbított
- * — a JSON I/O `options?` mezője Phase 1+-ban válik élessé.
+ * **Per-workflow `options`**: a hívó a workflow-hivatkozás (`{ validator, options }` /
+ * `{ id, allowedGroups, options }`) nyers `options`-ét adja át; a dispatch az extension
+ * `paramSchema`-ja szerint normalizálja (alapértékek, ismeretlen kulcsok elhagyása —
+ * `maestro-shared/extensionParams.js`), és a `maestroExtension(input)` `input.options`
+ * mezőjében továbbítja. Sémasértő érték (pl. hiányzó kötelező paraméter) fail-closed
+ * `invalid_options` hibát ad — az aktiválás ugyanezt már 422-vel kiszűri.
+ *
+ * **Hatókör (`scope`)**: a cikk-szintű hívók (`StateComplianceValidator`,
+ * `commands/index.js` `executeCommand`) az alapértelmezett `'article'` scope-pal, a kiadvány-szintű
+ * toolbar (`Publication.jsx`, `compiled.publicationExtensions`) `'publication'`-nel
+ * dispatch-el. Eltérés esetén fail-closed `scope_mismatch` — az aktiválás
+ * (`extension_scope_mismatch`) ezt már kiszűri, ez defense-in-depth.
+ *
+ * **Maestro SDK**: a futtató sablon a user-kód elé fűzi az `extensionSdk.js` `maestro`
+ * objektumát (napló, JSON polyfill, útvonal- és dokumentum-helperek). A `maestro.log`
+ * sorai az envelope `logs[]` mezőjében jönnek vissza, és `[ext.<slug>]` prefixszel a
+ * Plugin logba kerülnek (a runtime hibás futás sorai is). A snapshot-entry `sdkVersion`-ja
+ * az aktiváláskori SDK API-verzió — az ennél a Pluginnál újabbat a resolver fail-closed
+ * `sdk_unsupported`-del utasítja el (régi, `sdkVersion` nélküli entry: v1-kompatibilis).
  *
  * **Biztonság**: a snapshot `code` az `acorn` ECMA3 pre-parse + AST top-level
  * `FunctionDeclaration` `id.name === 'maestroExtension'` ellenőrzés után került be a B.3.1/B.3.2
@@ -41,8 +62,13 @@
 
 import { executeScript } from "../indesign/indesignUtils.js";
 import {
-    EXTENSION_KIND_VALUES
+    EXTENSION_KIND_VALUES,
+    EXTENSION_SDK_API_VERSION,
+    normalizeValidatorOutput,
+    normalizeCommandOutput
 } from "maestro-shared/extensionContract.js";
+import { parseParamSchema, normalizeExtensionOptions } from "maestro-shared/extensionParams.js";
+import { getExtensionSdkLogic } from "./extensionSdk.js";
 import { log, logError, logWarn, logDebug } from "../logger.js";
 
 /** Üres registry — minden lookup `unknown_slug`-ot ad. */
@@ -56,8 +82,8 @@ const EMPTY_REGISTRY = new Map();
  * **Fail-closed szintek**:
  *  - Top-level JSON parse hiba / nem-objekt struktúra → üres Map + logError (a registry
  *    egészét eldobjuk; az `ext.<slug>` lookup `unknown_slug`-ot ad).
- *  - Per-entry shape hiba (hiányzó/üres `code`, ismeretlen `kind`, nem-objekt entry)
- *    → az adott entry átugorva + logWarn; a többi entry továbbra is betöltődik
+ *  - Per-entry shape hiba (hiányzó/üres `code`, ismeretlen `kind`, nem-objekt entry,
+ *    érvénytelen `paramSchema`) → az adott entry átugorva + logWarn; a többi entry továbbra is betöltődik
  *    (egy korrupt slug ne dobja el a többi extension-t — best-effort).
  *
  * Az aktivált publikáción a snapshot már server-validált (B.3.3 `buildExtensionSnapshot`
@@ -66,7 +92,7 @@ const EMPTY_REGISTRY = new Map();
  *
  * @param {string|object|null|undefined} snapshot - a publication.compiledExtensionSnapshot
  *   nyers értéke (string Realtime-ról jön, parse-olt ha már lett)
- * @returns {Map<string, { name: string, kind: string, scope: string, code: string }>}
+ * @returns {Map<string, { name: string, kind: string, scope: string, code: string, params: Object[], sdkVersion: number|null }>}
  */
 export function buildExtensionRegistry(snapshot) {
     if (!snapshot) return EMPTY_REGISTRY;
@@ -99,11 +125,18 @@ export function buildExtensionRegistry(snapshot) {
             logWarn(`[extensionRegistry] Hibás extension entry (${slug}): ismeretlen kind=${ext.kind}`);
             continue;
         }
+        const { params, errors: schemaErrors } = parseParamSchema(ext.paramSchema);
+        if (schemaErrors.length > 0) {
+            logWarn(`[extensionRegistry] Hibás extension entry (${slug}): érvénytelen paramSchema — ${schemaErrors[0]}`);
+            continue;
+        }
         registry.set(slug, {
             name: typeof ext.name === 'string' ? ext.name : slug,
             kind: ext.kind,
             scope: typeof ext.scope === 'string' ? ext.scope : 'article',
-            code: ext.code
+            code: ext.code,
+            params,
+            sdkVersion: Number.isInteger(ext.sdkVersion) ? ext.sdkVersion : null
         });
     }
 
@@ -114,14 +147,16 @@ export function buildExtensionRegistry(snapshot) {
 // ── 2. Resolver ─────────────────────────────────────────────────────────────
 
 /**
- * Felold egy slug-ot a registry-ből, opcionális kind-elvárással.
+ * Felold egy slug-ot a registry-ből, opcionális kind- és scope-elvárással.
  *
  * @param {Map<string, object>} registry
  * @param {string} slug
  * @param {string} [expectedKind] - 'validator' vagy 'command'; ha jelen, kind-mismatch ellenőrzés
+ * @param {string} [expectedScope] - 'article' vagy 'publication'; ha jelen, scope-mismatch ellenőrzés
  * @returns {{ ok: true, ext: object } | { ok: false, code: string, slug: string, detail?: string }}
+ *   — `code`: `no_registry` | `unknown_slug` | `kind_mismatch` | `scope_mismatch` | `sdk_unsupported`
  */
-export function resolveExtension(registry, slug, expectedKind) {
+export function resolveExtension(registry, slug, expectedKind, expectedScope) {
     if (!registry || typeof registry.get !== 'function') {
         return { ok: false, code: 'no_registry', slug };
     }
@@ -137,6 +172,22 @@ export function resolveExtension(registry, slug, expectedKind) {
             detail: `expected=${expectedKind}, actual=${ext.kind}`
         };
     }
+    if (expectedScope && ext.scope !== expectedScope) {
+        return {
+            ok: false,
+            code: 'scope_mismatch',
+            slug,
+            detail: `expected=${expectedScope}, actual=${ext.scope}`
+        };
+    }
+    if (ext.sdkVersion !== null && ext.sdkVersion > EXTENSION_SDK_API_VERSION) {
+        return {
+            ok: false,
+            code: 'sdk_unsupported',
+            slug,
+            detail: `required=${ext.sdkVersion}, plugin=${EXTENSION_SDK_API_VERSION}`
+        };
+    }
     return { ok: true, ext };
 }
 
@@ -158,7 +209,9 @@ function toHex(str) {
  * ExtendScript sablon a `maestroExtension(input)` futtatásához.
  *
  * Folyamat:
- *  1. hex-decode → JSON-string → JSON.parse → input objekt
+ *  0. A Maestro SDK (`getExtensionSdkLogic`) deklarálása — a `ser` szerializerre épül,
+ *     ezért utána, de az input parse és a user-kód előtt.
+ *  1. hex-decode → JSON-string → `maestro.json.parse` → input objekt
  *  2. **Host hygiene boundary** AKTIVÁLÁSA (Codex harden adversarial High fix +
  *     stop-time review fix): a `app.scriptPreferences.userInteractionLevel` snapshot-ja,
  *     majd `NEVER_INTERACT`-ra állítás MIELŐTT a user-kód deklarálódna — különben a
@@ -172,7 +225,8 @@ function toHex(str) {
  *     `typeof maestroExtension !== 'function'` check fail-closed `missing_maestro_extension_function`
  *     hibát ad, NEM rejtett crash.
  *  4. `var raw = maestroExtension(input)` (try/catch)
- *  5. `{ ok: true, value: raw }` VAGY `{ ok: false, error: '<reason>' }` envelope
+ *  5. `{ ok: true, value: raw, logs }` VAGY `{ ok: false, error: '<reason>', logs }` envelope
+ *     (`logs` = a `maestro.log` sorai)
  *  6. **Restore** finally blokkban (ECMA3 spec: `return` egy try/finally-en belül a
  *     finally-t MÉG MINDIG futtatja) — happy path, exec_error, és bármely
  *     top-level user-kód runtime exception esetén is visszaállítja a userInteractionLevel-t.
@@ -182,9 +236,10 @@ function toHex(str) {
  * sentinel-collision rizikóját — a user szabadon visszaadhat tetszőleges JSON-objektet
  * (akár `{ok:false, error:...}`-t is, az a `value`-ba kerül, nem az envelope-ba).
  *
- * **Input parse `JSON.parse`-szal** (Codex tervi review High fix), nem `eval`-lal:
- * az `eval`-os parse extra kockázat lenne, és nem hozna semmit (a host JSON.stringify-jal
- * encode-ol, az ExtendScript JSON.parse standard).
+ * **Input parse `maestro.json.parse`-szal** (Codex tervi review High fix), nem nyers
+ * `eval`-lal: natív `JSON` mellett az SDK a `JSON.parse`-t hívja, anélkül a json2-mintájú
+ * polyfill csak a szintaktikai szűrésen átment szöveget értékeli ki (a host JSON.stringify-jal
+ * encode-ol).
  *
  * @param {string} userCode - az extension `code` mezője
  * @param {string} inputHex - JSON.stringify(input) → toHex
@@ -252,15 +307,22 @@ function buildExtensionExtendScript(userCode, inputHex) {
         return 'null';
     }
     function envelope(ok, value, error) {
-        if (ok) return '{"ok":true,"value":' + ser(value) + '}';
-        return '{"ok":false,"error":' + escStr(error) + '}';
+        var logs = __maestroLogs;
+        if (__maestroLogsDropped > 0) {
+            logs = logs.concat(['… (+' + __maestroLogsDropped + ' naplósor elhagyva)']);
+        }
+        var logPart = ',"logs":' + ser(logs);
+        if (ok) return '{"ok":true,"value":' + ser(value) + logPart + '}';
+        return '{"ok":false,"error":' + escStr(error) + logPart + '}';
     }
 
+    ${getExtensionSdkLogic()}
+
     // 1. Input dekódolás
     var inputStr = fromHex("${inputHex}");
     var input;
     try {
-        input = JSON.parse(inputStr);
+        input = maestro.json.parse(inputStr);
     } catch (e) {
         return envelope(false, null, 'input_parse: ' + e.message);
     }
@@ -331,10 +393,12 @@ function buildExtensionExtendScript(userCode, inputHex) {
  *    dispatch is automatikusan izolált — nincs név-kollízió aggály a sablon szintjén.
  *
  * @param {string} code - extension code (acorn ECMA3 pre-parse szerver-oldalon átment)
- * @param {object} input - JSON-stringify-elhető input (validator: `{ article }`,
- *   command: `{ article, publicationRoot }`)
- * @returns {Promise<{ ok: true, value: any } | { ok: false, error: string }>}
+ * @param {object} input - JSON-stringify-elhető input (validator: `{ article, options }`,
+ *   command: `{ article, options, publicationRoot }`; `publication` scope-nál `article`
+ *   helyett `{ publication, articles, layouts, deadlines }`)
+ * @returns {Promise<{ ok: true, value: any, logs: string[] } | { ok: false, error: string, logs: string[] }>}
  *   - `ok:true` → a `value` az user-kód visszatérési értéke (parsed JSON)
+ *   - `logs` → a `maestro.log` sorai (host-hibánál üres)
  *   - `ok:false` → az `error` runtime-bug oka (input_parse, exec_error,
  *     missing_maestro_extension_function, doScript_failed, parse_envelope_failed)
  */
@@ -343,7 +407,7 @@ async function executeExtensionScript(code, input) {
     try {
         inputJson = JSON.stringify(input);
     } catch (err) {
-        return { ok: false, error: `host_input_stringify: ${err.message}` };
+        return { ok: false, error: `host_input_stringify: ${err.message}`, logs: [] };
     }
     const inputHex = toHex(inputJson);
     const script = buildExtensionExtendScript(code, inputHex);
@@ -352,7 +416,7 @@ async function executeExtensionScript(code, input) {
     try {
         raw = await executeScript(script);
     } catch (err) {
-        return { ok: false, error: `doScript_failed: ${err.message}` };
+        return { ok: false, error: `doScript_failed: ${err.message}`, logs: [] };
     }
 
     // Az envelope minden ágon JSON-string. Plugin-oldali parse hibája csak akkor,
@@ -361,17 +425,18 @@ async function executeExtensionScript(code, input) {
     try {
         parsed = JSON.parse(raw);
     } catch (err) {
-        return { ok: false, error: `parse_envelope_failed: ${err.message}` };
+        return { ok: false, error: `parse_envelope_failed: ${err.message}`, logs: [] };
     }
 
     if (!parsed || typeof parsed !== 'object') {
-        return { ok: false, error: 'parse_envelope_invalid_shape' };
+        return { ok: false, error: 'parse_envelope_invalid_shape', logs: [] };
     }
-    if (parsed.ok === true) return { ok: true, value: parsed.value };
+    const logs = Array.isArray(parsed.logs) ? parsed.logs.filter(line => typeof line === 'string') : [];
+    if (parsed.ok === true) return { ok: true, value: parsed.value, logs };
     if (parsed.ok === false) {
-        return { ok: false, error: typeof parsed.error === 'string' ? parsed.error : 'unknown_error' };
+        return { ok: false, error: typeof parsed.error === 'string' ? parsed.error : 'unknown_error', logs };
     }
-    return { ok: false, error: 'parse_envelope_missing_ok' };
+    return { ok: false, error: 'parse_envelope_missing_ok', logs };
 }
 
 // ── 4. Dispatch — validator ─────────────────────────────────────────────────
@@ -379,7 +444,7 @@ async function executeExtensionScript(code, input) {
 /**
  * Validator extension futtatás + output normalizálás.
  *
- * Output kontraktus (`extensionContract.js` 6. blokk):
+ * Output kontraktus (`extensionContract.js` 6–7. blokk):
  *   `{ isValid: boolean, errors: string[], warnings: string[] }`
  *
  * Defense-in-depth: a kontraktus-szegő válasz fail-closed `isValid:false`-t ad,
@@ -388,87 +453,33 @@ async function executeExtensionScript(code, input) {
  *
  * @param {Map<string, object>} registry
  * @param {string} slug
- * @param {object} input - validator input shape `{ article, options? }`
+ * @param {object} input - validator input shape `{ article, options? }` (`publication`
+ *   scope-nál `{ publication, articles, layouts, deadlines, options? }`) — az `options`
+ *   a workflow-hivatkozás nyers értéke, a dispatch normalizálja
+ * @param {string} [scope='article'] - a hívó hatóköre ('article' | 'publication')
  * @returns {Promise<{ isValid: boolean, errors: string[], warnings: string[] }>}
  */
-export async function dispatchExtensionValidator(registry, slug, input) {
-    const resolved = resolveExtension(registry, slug, 'validator');
+export async function dispatchExtensionValidator(registry, slug, input, scope = 'article') {
+    const resolved = resolveExtension(registry, slug, 'validator', scope);
     if (!resolved.ok) {
         return failureValidator(slug, _resolveErrorMessage(resolved));
     }
 
+    const prepared = _applyOptions(resolved.ext, input);
+    if (!prepared.ok) {
+        return failureValidator(slug, prepared.error);
+    }
+
     log(`[extensionRegistry] validator dispatch: ext.${slug}`);
-    const result = await executeExtensionScript(resolved.ext.code, input);
+    const result = await executeExtensionScript(resolved.ext.code, prepared.input);
+    _forwardLogs(slug, result.logs);
     if (!result.ok) {
         return failureValidator(slug, `runtime_error: ${result.error}`);
     }
 
-    const value = result.value;
-    if (!value || typeof value !== 'object') {
-        return failureValidator(slug, 'invalid_output_shape: not an object');
-    }
-
-    const prefix = `[ext.${slug}] `;
-
-    // Strict shape-check: típuseltérő `errors` / `warnings` / nem-bool `isValid` →
-    // fail-closed kontraktus-sértés (Codex follow-up review Medium fix). Anélkül egy
-    // `errors: [{code:'X'}]` lista a filter-rel csendben kiürülne, és `isValid:true`
-    // mellett a Plugin sikeres validálásként interpretálná.
-    const shapeError = _checkValidatorShape(value);
-    if (shapeError) {
-        return failureValidator(slug, shapeError);
-    }
-
-    const errors = Array.isArray(value.errors) ? value.errors : [];
-    const warnings = Array.isArray(value.warnings) ? value.warnings : [];
-    const isValid = value.isValid === true && errors.length === 0;
-
-    // Defense-in-depth: ha `isValid:false`-t adott `errors[]` nélkül, explicit
-    // diagnosztikai üzenetet pótolunk — különben a UI csak generikus toast-ot mutat.
-    if (!isValid && errors.length === 0) {
-        return {
-            isValid: false,
-            errors: [`${prefix}invalid_output_shape: isValid not true and errors[] empty`],
-            warnings: warnings.map(w => prefix + w)
-        };
-    }
-    return {
-        isValid,
-        errors: errors.map(e => prefix + e),
-        warnings: warnings.map(w => prefix + w)
-    };
-}
-
-/**
- * Validator output strict shape-check. Visszaad egy hibaüzenetet, ha a kontraktus
- * sérül; null-t ha rendben.
- *
- * Kontraktus (`extensionContract.js` 6. blokk): `{ isValid: boolean, errors: string[], warnings: string[] }`.
- * - `isValid` nem-boolean → invariáns sértés.
- * - `errors` jelen van, de nem array, vagy nem-string elemet tartalmaz → invariáns sértés.
- * - `warnings` ugyanígy.
- */
-function _checkValidatorShape(value) {
-    if (typeof value.isValid !== 'boolean') {
-        return `invalid_output_shape: isValid must be boolean (got ${typeof value.isValid})`;
-    }
-    if (value.errors !== undefined) {
-        if (!Array.isArray(value.errors)) {
-            return `invalid_output_shape: errors must be array (got ${typeof value.errors})`;
-        }
-        if (value.errors.some(e => typeof e !== 'string')) {
-            return 'invalid_output_shape: errors must contain only strings';
-        }
-    }
-    if (value.warnings !== undefined) {
-        if (!Array.isArray(value.warnings)) {
-            return `invalid_output_shape: warnings must be array (got ${typeof value.warnings})`;
-        }
-        if (value.warnings.some(w => typeof w !== 'string')) {
-            return 'invalid_output_shape: warnings must contain only strings';
-        }
-    }
-    return null;
+    // Strict shape-check (Codex follow-up review Medium fix): a kontraktus-szegő
+    // válasz fail-closed `isValid:false`-t ad — ld. `checkValidatorOutput`.
+    return normalizeValidatorOutput(slug, result.value);
 }
 
 function failureValidator(slug, reason) {
@@ -484,75 +495,71 @@ function failureValidator(slug, reason) {
 /**
  * Command extension futtatás + output normalizálás.
  *
- * Output kontraktus (`extensionContract.js` 6. blokk):
+ * Output kontraktus (`extensionContract.js` 6–7. blokk):
  *   `{ success: boolean, error?: string, message?: string }`
  *
  * @param {Map<string, object>} registry
  * @param {string} slug
  * @param {object} input - command input shape `{ article, options?, publicationRoot }`
+ *   (`publication` scope-nál `article` helyett `{ publication, articles, layouts, deadlines }`) —
+ *   az `options` a workflow-hivatkozás nyers értéke, a dispatch normalizálja
+ * @param {string} [scope='article'] - a hívó hatóköre ('article' | 'publication')
  * @returns {Promise<{ success: boolean, error?: string, message?: string }>}
  */
-export async function dispatchExtensionCommand(registry, slug, input) {
-    const resolved = resolveExtension(registry, slug, 'command');
+export async function dispatchExtensionCommand(registry, slug, input, scope = 'article') {
+    const resolved = resolveExtension(registry, slug, 'command', scope);
     if (!resolved.ok) {
         return { success: false, error: `[ext.${slug}] ${_resolveErrorMessage(resolved)}` };
     }
 
+    const prepared = _applyOptions(resolved.ext, input);
+    if (!prepared.ok) {
+        return { success: false, error: `[ext.${slug}] ${prepared.error}` };
+    }
+
     log(`[extensionRegistry] command dispatch: ext.${slug}`);
-    const result = await executeExtensionScript(resolved.ext.code, input);
+    const result = await executeExtensionScript(resolved.ext.code, prepared.input);
+    _forwardLogs(slug, result.logs);
     if (!result.ok) {
         return { success: false, error: `[ext.${slug}] runtime_error: ${result.error}` };
     }
 
-    const value = result.value;
-    if (!value || typeof value !== 'object') {
-        return { success: false, error: `[ext.${slug}] invalid_output_shape: not an object` };
-    }
-
-    // Strict shape-check (Codex follow-up review Medium/Low fix).
-    const shapeError = _checkCommandShape(value);
-    if (shapeError) {
-        return { success: false, error: `[ext.${slug}] ${shapeError}` };
-    }
+    // Strict shape-check (Codex follow-up review Medium/Low fix) — ld. `checkCommandOutput`.
+    return normalizeCommandOutput(slug, result.value);
+}
 
-    const success = value.success === true;
-    const error = typeof value.error === 'string' ? value.error : undefined;
-    const message = typeof value.message === 'string' ? value.message : undefined;
-    // Defense-in-depth: kontraktus-szegő `success:false` `error` nélkül → explicit
-    // diagnosztikai szöveg, hogy a UI ne generikus "Ismeretlen hiba" fallback-et lásson.
-    if (!success && !error) {
-        return {
-            success: false,
-            error: `[ext.${slug}] invalid_output_shape: success not true and error empty`,
-            message
-        };
+/**
+ * Az input `options`-ét az extension paraméter-sémája szerint normalizálja.
+ *
+ * @param {object} ext - registry entry
+ * @param {object} input
+ * @returns {{ ok: true, input: object } | { ok: false, error: string }}
+ */
+function _applyOptions(ext, input) {
+    const { options, errors } = normalizeExtensionOptions(ext.params, input?.options);
+    if (errors.length > 0) {
+        return { ok: false, error: `invalid_options: ${errors.join(' ')}` };
     }
-    return { success, error, message };
+    return { ok: true, input: { ...input, options } };
 }
 
 /**
- * Command output strict shape-check.
+ * A `maestro.log` sorainak továbbítása a Plugin logba.
  *
- * Kontraktus: `{ success: boolean, error?: string, message?: string }`.
- * `error?` / `message?`: ha a kulcs jelen van, a típusa string legyen
- * (`extensionContract.js` 6. blokk explicit `null` fail-closed kerülendő szabálya).
+ * @param {string} slug
+ * @param {string[]} logs
  */
-function _checkCommandShape(value) {
-    if (typeof value.success !== 'boolean') {
-        return `invalid_output_shape: success must be boolean (got ${typeof value.success})`;
-    }
-    if (value.error !== undefined && typeof value.error !== 'string') {
-        return `invalid_output_shape: error must be string when present (got ${typeof value.error})`;
-    }
-    if (value.message !== undefined && typeof value.message !== 'string') {
-        return `invalid_output_shape: message must be string when present (got ${typeof value.message})`;
+function _forwardLogs(slug, logs) {
+    for (const line of logs) {
+        log(`[ext.${slug}] ${line}`);
     }
-    return null;
 }
 
 function _resolveErrorMessage(resolved) {
     if (resolved.code === 'unknown_slug') return 'extension nem található a snapshot-ban';
     if (resolved.code === 'kind_mismatch') return `kind eltérés (${resolved.detail})`;
+    if (resolved.code === 'scope_mismatch') return `hatókör eltérés (${resolved.detail})`;
+    if (resolved.code === 'sdk_unsupported') return `a bővítmény újabb Maestro SDK-t igényel (${resolved.detail}) — frissítsd a Plugint`;
     if (resolved.code === 'no_registry') return 'extension regisztry nem inicializált';
     return resolved.code;
 }
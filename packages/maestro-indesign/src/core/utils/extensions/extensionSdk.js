@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Workflow extension ExtendScript SDK (`maestro` objektum).
+ *
+ * Az `extensionRegistry.js` futtató sablonja a user-kód ELÉ fűzi, így minden
+ * extension a `maestroExtension(input)`-on belül használhatja — a kódba nem
+ * kell (és a B.3.2 server-oldali AST-ellenőrzés miatt nem is lehet) saját
+ * segédfüggvényt vagy globál változót tenni.
+ *
+ * API (`EXTENSION_SDK_API_VERSION` = 1):
+ *  - `maestro.version` — az SDK API-verziója
+ *  - `maestro.log(...args)` — naplósor; a sorok a futtatási envelope `logs[]`
+ *    mezőjében jutnak vissza a Plugin logba (max. `SDK_LOG_MAX_ENTRIES` sor)
+ *  - `maestro.json.parse(text)` / `maestro.json.stringify(value)` — JSON
+ *    polyfill; ha a host-nak nincs natív `JSON`-ja, a `JSON` név is erre mutat
+ *  - `maestro.path.toNative` / `toCanonical` / `resolve` / `articlePath` — a
+ *    `pathUtils.js` `toNativePath` / `toCanonicalPath` / `toAbsoluteArticlePath`
+ *    ExtendScript-tükre (`..` szegmenses relatív útvonal → üres string)
+ *  - `maestro.doc.open(nativePath)` / `maestro.doc.close(handle, save)` — a
+ *    `getBackgroundOpenLogic` / `getSafeCloseLogic` megfelelője: már nyitott
+ *    dokumentumot újrahasznál, különben láthatatlanul nyit, és csak az általa
+ *    nyitottat zárja be
+ *
+ * Az SDK ugyanabban az IIFE-ben él, mint a user-kód, ezért a `maestro` név
+ * sosem kerül a megosztott ExtendScript globál névtérbe.
+ *
+ * @module utils/extensions/extensionSdk
+ */
+
+import { EXTENSION_SDK_API_VERSION } from "maestro-shared/extensionContract.js";
+import { MOUNT_PREFIX } from "../constants.js";
+import { currentMountPrefix } from "../pathUtils.js";
+import { safeEmbed } from "../indesign/scriptHelpers.js";
+
+/** Egy futtatás legfeljebb ennyi `maestro.log` sort ad vissza (a többit csak megszámolja). */
+export const SDK_LOG_MAX_ENTRIES = 200;
+
+/** Egy naplósor maximális hossza (karakter) — a hosszabbat levágjuk. */
+export const SDK_LOG_ENTRY_MAX_LENGTH = 2000;
+
+/**
+ * Generálja az SDK ExtendScript forrását.
+ *
+ * A futtató sablon `ser(value)` szerializerére épít (a `maestro.log` és a
+ * `maestro.json.stringify` azt használja), ezért a sablonban a `ser`
+ * deklarációja UTÁN, de az input parse és a user-kód ELŐTT kell beilleszteni.
+ * A `__maestroLogs` / `__maestroLogsDropped` változókat a sablon `envelope`-ja
+ * olvassa.
+ *
+ * @returns {string} ExtendScript kódrészlet.
+ */
+export function getExtensionSdkLogic() {
+    const mountPrefixes = Object.values(MOUNT_PREFIX)
+        .map(prefix => `'${safeEmbed(prefix)}'`)
+        .join(", ");
+
+    return `
+    // -- START: Maestro SDK v${EXTENSION_SDK_API_VERSION} --
+    var __maestroLogs = [];
+    var __maestroLogsDropped = 0;
+    var __maestroMountPrefixes = [${mountPrefixes}];
+    var __nativeJSON = null;
+    try { __nativeJSON = $.global.JSON || null; } catch (_e) {}
+
+    // json2-mintájú polyfill: a szöveget csak szintaktikai szűrés után értékeljük ki.
+    function __maestroJsonParse(text) {
+        if (__nativeJSON && typeof __nativeJSON.parse === 'function') return __nativeJSON.parse(text);
+        var s = String(text);
+        var check = s
+            .replace(/\\\\(?:["\\\\\\/bfnrt]|u[0-9a-fA-F]{4})/g, '@')
+            .replace(/"[^"\\\\\\n\\r]*"|true|false|null|-?\\d+(?:\\.\\d*)?(?:[eE][+\\-]?\\d+)?/g, ']')
+            .replace(/(?:^|:|,)(?:\\s*\\[)+/g, '');
+        if (!/^[\\],:{}\\s]*$/.test(check)) throw new SyntaxError('maestro.json.parse: érvénytelen JSON');
+        return eval('(' + s + ')');
+    }
+
+    function __maestroNormalizePath(p) {
+        var s = String(p);
+        try { s = decodeURIComponent(s); } catch (_e) {}
+        return s.split('\\\\').join('/');
+    }
+
+    function __maestroStartsWithPrefix(p, prefix) {
+        return p === prefix || p.indexOf(prefix + '/') === 0;
+    }
+
+    var maestro = {
+        version: ${EXTENSION_SDK_API_VERSION},
+
+        log: function () {
+            if (__maestroLogs.length >= ${SDK_LOG_MAX_ENTRIES}) {
+                __maestroLogsDropped++;
+                return;
+            }
+            var parts = [];
+            for (var i = 0; i < arguments.length; i++) {
+                parts.push(typeof arguments[i] === 'string' ? arguments[i] : ser(arguments[i]));
+            }
+            var line = parts.join(' ');
+            if (line.length > ${SDK_LOG_ENTRY_MAX_LENGTH}) line = line.substr(0, ${SDK_LOG_ENTRY_MAX_LENGTH}) + '…';
+            __maestroLogs.push(line);
+        },
+
+        json: {
+            parse: __maestroJsonParse,
+            stringify: function (value) { return ser(value); }
+        },
+
+        path: {
+            mountPrefix: '${safeEmbed(currentMountPrefix())}',
+
+            toNative: function (canonicalPath) {
+                if (!canonicalPath) return '';
+                var p = __maestroNormalizePath(canonicalPath);
+                for (var i = 0; i < __maestroMountPrefixes.length; i++) {
+                    if (__maestroStartsWithPrefix(p, __maestroMountPrefixes[i])) {
+                        return maestro.path.mountPrefix + (p.substring(__maestroMountPrefixes[i].length) || '/');
+                    }
+                }
+                if (p.charAt(0) === '/') return maestro.path.mountPrefix + p;
+                return p;
+            },
+
+            toCanonical: function (nativePath) {
+                if (!nativePath) return '';
+                var p = __maestroNormalizePath(nativePath);
+                for (var i = 0; i < __maestroMountPrefixes.length; i++) {
+                    if (__maestroStartsWithPrefix(p, __maestroMountPrefixes[i])) {
+                        return p.substring(__maestroMountPrefixes[i].length) || '/';
+                    }
+                }
+                return p;
+            },
+
+            resolve: function (relativePath, canonicalRoot) {
+                if (!relativePath || !canonicalRoot) return relativePath || '';
+                if (relativePath.charAt(0) === '/' || /^[a-zA-Z]:/.test(relativePath)) {
+                    return maestro.path.toNative(relativePath);
+                }
+                var root = __maestroNormalizePath(canonicalRoot).replace(/\\/$/, '');
+                var rel = __maestroNormalizePath(relativePath);
+                // A ".." szegmens nem léphet ki a kiadvány gyökeréből
+                if (/(^|\\/)\\.\\.($|\\/)/.test(rel)) return '';
+                return maestro.path.toNative(root + '/' + rel);
+            },
+
+            articlePath: function (article, publicationRoot) {
+                if (!article || !article.filePath) return '';
+                return maestro.path.resolve(article.filePath, publicationRoot);
+            }
+        },
+
+        doc: {
+            open: function (nativePath) {
+                var f = File(nativePath);
+                if (!f.exists) f = File(encodeURI(nativePath));
+                if (!f.exists) throw new Error('A fájl nem található: ' + nativePath);
+
+                // 1. Útvonal alapú keresés, 2. név alapú fallback (verzió-konvertált dokumentum)
+                var i;
+                for (i = 0; i < app.documents.length; i++) {
+                    try {
+                        if (app.documents[i].fullName.fsName === f.fsName) {
+                            return { document: app.documents[i], openedHere: false };
+                        }
+                    } catch (ignore) {}
+                }
+                var targetName = decodeURI(f.name);
+                for (i = 0; i < app.documents.length; i++) {
+                    try {
+                        if (app.documents[i].name === targetName) {
+                            return { document: app.documents[i], openedHere: false };
+                        }
+                    } catch (ignore) {}
+                }
+
+                var oldInteraction = app.scriptPreferences.userInteractionLevel;
+                var oldCheckLinks = app.linkingPreferences.checkLinksAtOpen;
+                app.scriptPreferences.userInteractionLevel = UserInteractionLevels.NEVER_INTERACT;
+                app.linkingPreferences.checkLinksAtOpen = false;
+                var opened;
+                try {
+                    opened = app.open(f, false); // false = láthatatlan
+                } catch (e) {
+                    throw new Error('Sikertelen megnyitás: ' + e.message);
+                } finally {
+                    app.scriptPreferences.userInteractionLevel = oldInteraction;
+                    app.linkingPreferences.checkLinksAtOpen = oldCheckLinks;
+                }
+                if (!opened || !opened.isValid) throw new Error('Dokumentum érvénytelen vagy nem sikerült megnyitni.');
+                return { document: opened, openedHere: true };
+            },
+
+            close: function (handle, save) {
+                if (!handle || !handle.openedHere || !handle.document || !handle.document.isValid) return false;
+                try {
+                    handle.document.close(save === true ? SaveOptions.YES : SaveOptions.NO);
+                    return true;
+                } catch (e) {
+                    return false;
+                }
+            }
+        }
+    };
+
+    // JSON polyfill: natív JSON nélküli host-on a user-kód "JSON" neve is az SDK-ra mutat.
+    var JSON = __nativeJSON || maestro.json;
+    // -- END: Maestro SDK --
+    `;
+}
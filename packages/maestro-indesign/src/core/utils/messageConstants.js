@@ -5,20 +5,26 @@
  * @module utils/messageConstants
  */
 
-// Címzett típusok
-export const RECIPIENT_TYPES = {
-    USER: 'user', // Egy konkrét felhasználó
-    ALL_DESIGNERS: 'all_designers', // Minden tervező
-    ALL_EDITORS: 'all_editors', // Minden szerkesztő
-    ALL_IMAGE_EDITORS: 'all_image_editors' // Minden képszerkesztő
-};
-
-// Címzett típusok megnevezései (Magyarul)
-export const RECIPIENT_TYPE_LABELS = {
-    [RECIPIENT_TYPES.USER]: 'Egyéni címzett',
-    [RECIPIENT_TYPES.ALL_DESIGNERS]: 'Összes tervező',
-    [RECIPIENT_TYPES.ALL_EDITORS]: 'Összes szerkesztő',
-    [RECIPIENT_TYPES.ALL_IMAGE_EDITORS]: 'Összes képszerkesztő'
+// Címzett típusok, olvasáskori feloldás és címzett / feladó nevek — egyetlen igazságforrás a maestro-shared-ben.
+import {
+    RECIPIENT_TYPES,
+    LEGACY_RECIPIENT_GROUP_SLUGS,
+    getRecipientGroupSlug,
+    resolveRecipientUserIds,
+    isMessageRecipient,
+    RECIPIENT_TYPE_LABELS,
+    getRecipientName,
+    getSenderName
+} from "maestro-shared/messageRecipients.js";
+export {
+    RECIPIENT_TYPES,
+    LEGACY_RECIPIENT_GROUP_SLUGS,
+    getRecipientGroupSlug,
+    resolveRecipientUserIds,
+    isMessageRecipient,
+    RECIPIENT_TYPE_LABELS,
+    getRecipientName,
+    getSenderName
 };
 
 // Validáció / Üzenet típusok — egyetlen igazságforrás a maestro-shared-ben.
@@ -33,52 +39,6 @@ export const VALIDATION_TYPE_CONFIG = {
     [VALIDATION_TYPES.SUCCESS]: { label: 'Megoldva', color: '#2d9d78', icon: 'Checkmark' }
 };
 
-/**
- * Visszaadja a címzett megjelenítendő nevét.
- * Ha konkrét felhasználó a címzett, megkeresi a nevét a csapatlistában.
- * Ha csoportnak szól (pl. Minden szerkesztő), akkor a csoport nevét adja vissza.
- * 
- * @param {object} message - Az üzenet objektum.
- * @param {object} teamMembers - Objektum a csapattagokkal { editors, designers, imageEditors, writers }.
- * @returns {string} - A címzett megjelenítendő neve.
- */
-export function getRecipientName(message, teamMembers = {}) {
-    if (message.recipientType === RECIPIENT_TYPES.USER && message.recipientUserId) {
-        // Felhasználó keresése az összes csapatban
-        const allMembers = [
-            ...(teamMembers.editors || []),
-            ...(teamMembers.designers || []),
-            ...(teamMembers.imageEditors || []),
-            ...(teamMembers.writers || [])
-        ];
-        
-        const user = allMembers.find(m => m.userId === message.recipientUserId);
-        return user?.userName || user?.userEmail || 'Ismeretlen felhasználó';
-    }
-    
-    return RECIPIENT_TYPE_LABELS[message.recipientType] || 'Ismeretlen';
-}
-
-/**
- * Visszaadja a feladó megjelenítendő nevét.
- * Megkeresi a feladó nevét a csapatlistában az üzenet `createdBy` ID-ja alapján.
- * 
- * @param {object} message - Az üzenet objektum.
- * @param {object} teamMembers - Objektum a csapattagokkal { editors, designers, imageEditors, writers }.
- * @returns {string} - A feladó megjelenítendő neve.
- */
-export function getSenderName(message, teamMembers = {}) {
-    const allMembers = [
-        ...(teamMembers.editors || []),
-        ...(teamMembers.designers || []),
-        ...(teamMembers.imageEditors || []),
-        ...(teamMembers.writers || [])
-    ];
-    
-    const user = allMembers.find(m => m.userId === message.createdBy);
-    return user?.userName || user?.userEmail || 'Ismeretlen feladó';
-}
-
 /**
  * Dátum formázása relatív módon megjelenítéshez (pl. "2 órája", "Most").
  * Ha 7 napnál régebbi, akkor a pontos dátumot adja vissza rövid formátumban.
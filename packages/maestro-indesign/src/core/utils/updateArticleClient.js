@@ -15,9 +15,11 @@
 
 import { functions, UPDATE_ARTICLE_FUNCTION_ID } from "../config/appwriteConfig.js";
 import { withTimeout } from "./promiseUtils.js";
-import { PermissionDeniedError, OrphanedOrgError } from "./errorUtils.js";
+import { PermissionDeniedError, OrphanedOrgError, TransitionGuardError } from "./errorUtils.js";
 
 const UPDATE_ARTICLE_TIMEOUT_MS = 20000;
+// Tömeges átmenet: a CF elemenként a teljes ellenőrzési láncot futtatja.
+const UPDATE_ARTICLE_BATCH_TIMEOUT_MS = 60000;
 
 /**
  * Meghívja az `update-article` CF-et és visszaadja a frissített dokumentumot.
@@ -29,6 +31,8 @@ const UPDATE_ARTICLE_TIMEOUT_MS = 20000;
  * @throws {PermissionDeniedError} Ha a CF 403-as `permissionDenied` választ adott.
  * @throws {OrphanedOrgError} Ha a CF 403 `org_orphaned_write_blocked` választ adott
  *   (Phase 1.6 orphan-guard, F-blokk).
+ * @throws {TransitionGuardError} Ha a CF 400 `transition_guard_failed` választ adott
+ *   (az átmenet `guards` feltételei nem teljesülnek).
  * @throws {Error} Bármely más hiba esetén (hálózat, 4xx/5xx, parse).
  */
 export async function callUpdateArticleCF(articleId, data, label = 'update-article') {
@@ -55,6 +59,9 @@ export async function callUpdateArticleCF(articleId, data, label = 'update-artic
         if (response.reason === 'org_orphaned_write_blocked') {
             throw new OrphanedOrgError(response.message);
         }
+        if (response.reason === 'transition_guard_failed') {
+            throw new TransitionGuardError(Array.isArray(response.failures) ? response.failures : []);
+        }
         if (response.permissionDenied) {
             throw new PermissionDeniedError(response.reason, response.requiredGroups || []);
         }
@@ -71,3 +78,46 @@ export async function callUpdateArticleCF(articleId, data, label = 'update-artic
 
     return response.document;
 }
+
+/**
+ * Tömeges állapotváltás egyetlen `update-article` CF hívással (`items[]`
+ * payload). Elemenként a szerver ugyanazt a láncot futtatja, mint az egyedi
+ * hívásnál; a más által zárolt cikket `article_locked`-dal kihagyja.
+ *
+ * @param {Array<{articleId: string, data: Object}>} items - Max. 50 elem; a `data`
+ *   csak `state` / `previousState` / `parallelStates` mezőt tartalmazhat.
+ * @param {string} [label='update-article batch'] - withTimeout debug címke.
+ * @returns {Promise<Array<{articleId: string, success: boolean, document?: Object, reason?: string,
+ *   permissionDenied?: boolean, failures?: Array<Object>}>>} Elemenkénti eredmények.
+ * @throws {Error} Ha maga a hívás bukik (hálózat, payload-hiba) — az elemenkénti
+ *   hibák NEM dobnak, hanem az eredménylistában jönnek.
+ */
+export async function callUpdateArticleBatchCF(items, label = 'update-article batch') {
+    const execution = await withTimeout(
+        functions.createExecution({
+            functionId: UPDATE_ARTICLE_FUNCTION_ID,
+            body: JSON.stringify({ items }),
+            async: false,
+            method: 'POST',
+            headers: { 'content-type': 'application/json' }
+        }),
+        UPDATE_ARTICLE_BATCH_TIMEOUT_MS,
+        label
+    );
+
+    let response;
+    try {
+        response = JSON.parse(execution.responseBody || '{}');
+    } catch (e) {
+        throw new Error('Érvénytelen válasz az update-article CF-től.');
+    }
+
+    if (!response.success || !Array.isArray(response.results)) {
+        const err = new Error(response.reason || response.message || 'update-article CF hiba');
+        err.code = execution.responseStatusCode;
+        err.cfReason = response.reason;
+        throw err;
+    }
+
+    return response.results;
+}
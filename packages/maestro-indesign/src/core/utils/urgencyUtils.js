@@ -8,8 +8,12 @@
 
 export {
     fetchHolidays,
+    loadCalendarHolidays,
     calculateWorkingMinutes,
+    calculateRemainingWork,
     calculateRemainingWorkMinutes,
+    formatWorkMinutes,
+    formatRemainingWorkBreakdown,
     getArticleDeadline,
     calculateUrgencyRatio,
     getUrgencyBackground,
@@ -2,9 +2,20 @@
  * @fileoverview Ellenőrzi az oldalszám átfedéseket és a tartományon kívüli oldalakat egy kiadványban.
  */
 
+import {
+    getEffectivePageRange,
+    getOccupiedPages,
+    resolveLayoutName,
+    validatePublicationStructure
+} from "maestro-shared/publicationStructure.js";
+
 import { ValidatorBase } from "./ValidatorBase.js";
 import { logWarn } from "../logger.js";
 
+function logPageRangesParseError(article, e) {
+    logWarn(`[PublicationStructureValidator] pageRanges JSON parse hiba (${article.name}):`, e.message);
+}
+
 export class PublicationStructureValidator extends ValidatorBase {
     constructor() {
         super('publication');
@@ -17,15 +28,13 @@ export class PublicationStructureValidator extends ValidatorBase {
      * @returns {string} A layout neve, vagy az ID ha nincs találat
      */
     resolveLayoutName(layoutId, layouts) {
-        if (!layouts || !Array.isArray(layouts) || layoutId === 'default') return layoutId;
-        const layout = layouts.find(l => l.$id === layoutId);
-        return layout ? layout.name : layoutId;
+        return resolveLayoutName(layoutId, layouts);
     }
 
     /**
      * Validálja a cikkek oldaltartományait egy kiadványon belül.
      * A validatePerArticle()-ra delegál, az eredményekből aggregálja a hibákat.
-     * @param {Object} publicationData - { publication: { coverageStart, coverageEnd }, articles: [], layouts?: [] }
+     * @param {Object} publicationData - { publication: { coverageStart, coverageEnd }, articles: [], layouts?: [], ads?: [] }
      */
     async validate(publicationData) {
         const { publication, articles } = publicationData;
@@ -56,157 +65,28 @@ export class PublicationStructureValidator extends ValidatorBase {
      * Preferálja a startPage/endPage-t, de fallback-ként a pageRanges JSON-ból is kinyeri.
      */
     getEffectivePageRange(article) {
-        let min = article.startPage;
-        let max = article.endPage;
-
-        // Ha valamelyik null/undefined, próbáljuk pageRanges-ből kiegészíteni
-        if (min == null || max == null) {
-            try {
-                const ranges = typeof article.pageRanges === 'string'
-                    ? JSON.parse(article.pageRanges)
-                    : article.pageRanges;
-
-                if (Array.isArray(ranges)) {
-                    for (const range of ranges) {
-                        if (Array.isArray(range) && range.length === 2) {
-                            if (min == null || range[0] < min) min = range[0];
-                            if (max == null || range[1] > max) max = range[1];
-                        }
-                    }
-                }
-            } catch (e) {
-                logWarn(`[PublicationStructureValidator] pageRanges JSON parse hiba (${article.name}):`, e.message);
-            }
-        }
-
-        return { min, max };
+        return getEffectivePageRange(article, logPageRangesParseError);
     }
 
     /**
      * Visszaadja a cikk által elfoglalt összes oldalszámot tömbként.
      * Figyelembe veszi a pageRanges mezőt (JSON tömb formátum: "[[1,3],[5,5],[8,10]]"),
      * különben a start-end tartományt használja fallback-ként.
-     * Felső korlát: MAX_PAGE_NUMBER (9999) — korrupt adatból származó extrém tartomány ellen véd.
      */
     getOccupiedPages(article) {
-        const MAX_PAGE_NUMBER = 9999;
-        const pages = new Set();
-
-        // 1. pageRanges alapján (JSON tömb: "[[start,end],[start,end],...]")
-        if (article.pageRanges) {
-            try {
-                const ranges = typeof article.pageRanges === 'string'
-                    ? JSON.parse(article.pageRanges)
-                    : article.pageRanges;
-
-                if (Array.isArray(ranges)) {
-                    for (const range of ranges) {
-                        if (Array.isArray(range) && range.length === 2) {
-                            const start = Math.max(1, range[0]);
-                            const end = Math.min(MAX_PAGE_NUMBER, range[1]);
-                            for (let i = start; i <= end; i++) pages.add(i);
-                        }
-                    }
-                }
-            } catch (e) {
-                logWarn(`[PublicationStructureValidator] pageRanges JSON parse hiba (${article.name}):`, e.message);
-            }
-        }
-
-        // 2. Fallback: startPage - endPage (ha pageRanges nem adott vagy parse sikertelen)
-        if (pages.size === 0 && article.startPage != null && article.endPage != null) {
-            const start = Math.max(1, article.startPage);
-            const end = Math.min(MAX_PAGE_NUMBER, article.endPage);
-            for (let i = start; i <= end; i++) {
-                pages.add(i);
-            }
-        }
-
-        return Array.from(pages);
+        return getOccupiedPages(article, logPageRangesParseError);
     }
 
     /**
      * Validálja a cikkek oldaltartományait és per-article eredményeket ad vissza.
-     * Az eredmény Map-ben minden érintett cikkhez tartozik errors/warnings tömb.
+     * A szabályok a `maestro-shared/publicationStructure.js`-ben élnek — a Dashboard
+     * flatplan szerkesztője ugyanezekkel jelzi az ütközéseket. Az `ads` egész
+     * oldalas hirdetései foglalják az oldalukat.
      *
-     * @param {Object} publicationData - { publication: { coverageStart, coverageEnd }, articles: [], layouts?: [] }
+     * @param {Object} publicationData - { publication: { coverageStart, coverageEnd }, articles: [], layouts?: [], ads?: [] }
      * @returns {Map<string, { errors: string[], warnings: string[] }>} articleId → eredmények
      */
     validatePerArticle(publicationData) {
-        const { publication, articles, layouts } = publicationData;
-        const resultsMap = new Map();
-
-        if (!publication || !articles) return resultsMap;
-
-        const ensureEntry = (articleId) => {
-            if (!resultsMap.has(articleId)) {
-                resultsMap.set(articleId, { errors: [], warnings: [] });
-            }
-            return resultsMap.get(articleId);
-        };
-
-        const pubStart = publication.coverageStart ?? 1;
-        const pubEnd = publication.coverageEnd ?? 9999;
-
-        // 1. Határok ellenőrzése — hiba az adott cikkre
-        for (const article of articles) {
-            const { min, max } = this.getEffectivePageRange(article);
-
-            if (min != null && min < pubStart) {
-                ensureEntry(article.$id).errors.push(
-                    `A kiadvány kezdete (${pubStart}) előtt kezdődik.`
-                );
-            }
-            if (max != null && max > pubEnd) {
-                ensureEntry(article.$id).errors.push(
-                    `A kiadvány vége (${pubEnd}) után végződik.`
-                );
-            }
-        }
-
-        // 2. Átfedések — hiba MINDKÉT érintett cikkre
-        const articlesByLayout = {};
-        for (const article of articles) {
-            const layout = article.layout || 'default';
-            if (!articlesByLayout[layout]) articlesByLayout[layout] = [];
-            articlesByLayout[layout].push(article);
-        }
-
-        for (const [layout, layoutArticles] of Object.entries(articlesByLayout)) {
-            if (layoutArticles.length < 2) continue;
-
-            // pageNumber → { articleId, articleName }
-            const occupiedPages = new Map();
-            // Párok nyilvántartása, hogy ne duplikáljunk üzeneteket
-            const reportedPairs = new Set();
-
-            for (const article of layoutArticles) {
-                const pages = this.getOccupiedPages(article);
-
-                for (const page of pages) {
-                    if (occupiedPages.has(page)) {
-                        const conflicting = occupiedPages.get(page);
-                        const pairKey = [article.$id, conflicting.articleId].sort().join(':');
-
-                        if (!reportedPairs.has(pairKey)) {
-                            reportedPairs.add(pairKey);
-                            const layoutDisplayName = this.resolveLayoutName(layout, layouts);
-                            const layoutMsg = layout !== 'default' ? ` (Layout: ${layoutDisplayName})` : '';
-
-                            ensureEntry(article.$id).errors.push(
-                                `Átfedés: "${conflicting.articleName}", ${page}. oldal${layoutMsg}`
-                            );
-                            ensureEntry(conflicting.articleId).errors.push(
-                                `Átfedés: "${article.name}", ${page}. oldal${layoutMsg}`
-                            );
-                        }
-                    } else {
-                        occupiedPages.set(page, { articleId: article.$id, articleName: article.name });
-                    }
-                }
-            }
-        }
-
-        return resultsMap;
+        return validatePublicationStructure(publicationData, { onParseError: logPageRangesParseError });
     }
 }
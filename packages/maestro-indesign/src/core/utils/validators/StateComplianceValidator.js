@@ -7,7 +7,7 @@
 import { ValidatorBase } from "./ValidatorBase.js";
 import { PreflightValidator } from "./PreflightValidator.js";
 import { getStateValidations } from "maestro-shared/workflowRuntime.js";
-import { isExtensionRef, parseExtensionRef } from "maestro-shared/extensionContract.js";
+import { isExtensionRef, parseExtensionRef, buildExtensionInput } from "maestro-shared/extensionContract.js";
 import { VALIDATOR_TYPES } from "../validationConstants.js";
 import { isValidFileName, toAbsoluteArticlePath, escapePathForExtendScript } from "../pathUtils.js";
 import { dispatchExtensionValidator } from "../extensions/extensionRegistry.js";
@@ -88,10 +88,10 @@ export class StateComplianceValidator extends ValidatorBase {
 
                 default: {
                     // Workflow extension hivatkozás (`ext.<slug>`) — B.4.2 / ADR 0007 Phase 0.
-                    // Az `options` Phase 0-ban (B.0.4) NEM kerül továbbításra a `maestroExtension(input)`-be.
+                    // A hivatkozás `options`-e a `maestroExtension(input)` `input.options`-ába kerül.
                     if (isExtensionRef(validatorName)) {
                         const ref = parseExtensionRef(validatorName);
-                        await this._checkExtensionValidator(ref.slug, article, context.extensions, results);
+                        await this._checkExtensionValidator(ref.slug, article, checkConfig.options, context.extensions, results);
                     } else {
                         // Defense-in-depth: a server-oldali workflow compile szűr ismeretlen validator
                         // típust, de ha valami csendben átment, a no-op skip helyett legalább logoljunk.
@@ -202,10 +202,13 @@ export class StateComplianceValidator extends ValidatorBase {
      *
      * A `extensionRegistry` az aktivált publikáció `compiledExtensionSnapshot`-jából épül
      * (`buildExtensionRegistry`); fail-closed: hiányzó registry / unknown slug / kind-mismatch
-     * → `[ext.<slug>] ...` prefixált error a `results.errors`-ba.
+     * → `[ext.<slug>] ...` prefixált error a `results.errors`-ba. Az `options` a workflow-
+     * hivatkozás (`{ validator, options }`) nyers értéke; a dispatch normalizálja.
      */
-    async _checkExtensionValidator(slug, article, extensionRegistry, results) {
-        const result = await dispatchExtensionValidator(extensionRegistry, slug, { article });
+    async _checkExtensionValidator(slug, article, options, extensionRegistry, results) {
+        const result = await dispatchExtensionValidator(
+            extensionRegistry, slug, buildExtensionInput({ kind: 'validator', scope: 'article', article, options })
+        );
         if (!result.isValid) {
             results.isValid = false;
             results.errors.push(...result.errors);
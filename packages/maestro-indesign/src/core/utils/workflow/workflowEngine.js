@@ -8,9 +8,11 @@
  * @module utils/workflowEngine
  */
 
-import { callUpdateArticleCF } from "../updateArticleClient.js";
-import { PermissionDeniedError, OrphanedOrgError, isNetworkError } from "../errorUtils.js";
+import { callUpdateArticleCF, callUpdateArticleBatchCF } from "../updateArticleClient.js";
+import { PermissionDeniedError, OrphanedOrgError, TransitionGuardError, isNetworkError } from "../errorUtils.js";
 import { getAvailableTransitions as rtGetAvailableTransitions } from "maestro-shared/workflowRuntime.js";
+import { evaluateTransitionGuards } from "maestro-shared/transitionGuards.js";
+import { normalizeParallelStates } from "maestro-shared/parallelStates.js";
 import { LOCK_TYPE } from "../constants.js";
 import { validate } from "../validationRunner.js";
 import { VALIDATOR_TYPES } from "../validationConstants.js";
@@ -28,6 +30,9 @@ function _handleCFError(error, context) {
     if (error instanceof OrphanedOrgError) {
         return { success: false, error: error.message, orgOrphaned: true };
     }
+    if (error instanceof TransitionGuardError) {
+        return { success: false, error: error.message, guardFailures: error.failures };
+    }
     if (isNetworkError(error)) {
         logWarn(context, error);
         return { success: false, error: error.message, networkError: true };
@@ -36,6 +41,33 @@ function _handleCFError(error, context) {
     return { success: false, error: error.message };
 }
 
+/** Tömeges átmenet: egy CF hívás legfeljebb ennyi cikket léptet (a CF `BATCH_MAX_ITEMS`-e). */
+const BULK_TRANSITION_CHUNK_SIZE = 50;
+
+/** Tömeges átmenet elemenkénti CF-hibakódjainak felhasználói szövege. */
+const BULK_REASON_MESSAGES = {
+    article_locked: "Időközben zárolta valaki.",
+    article_not_found: "A cikk időközben törlődött.",
+    invalid_transition: "Nincs ilyen átmenet a cikk állapotából.",
+    parallel_branches_active: "A cikk párhuzamos ágai még futnak.",
+    invalid_parallel_states: "A párhuzamos ágak időközben változtak.",
+    org_orphaned_write_blocked: "A szervezet árva állapotban van — írás blokkolva.",
+    db_write_failed: "Az adatbázis-írás sikertelen."
+};
+
+/**
+ * Egy CF batch-elem eredményének felhasználói szövege.
+ * @param {Object} item - `{ reason, permissionDenied?, failures? }`
+ * @returns {string}
+ */
+function _bulkFailureMessage(item) {
+    if (item.permissionDenied) return item.reason || "Nincs jogosultság.";
+    if (item.reason === "transition_guard_failed" && Array.isArray(item.failures)) {
+        return item.failures.map(f => f.description).join(" ");
+    }
+    return BULK_REASON_MESSAGES[item.reason] || item.reason || "Ismeretlen hiba.";
+}
+
 /**
  * WorkflowEngine osztály a cikkek munkafolyamat-állapotainak és átmeneteinek kezelésére.
  *
@@ -60,6 +92,32 @@ export class WorkflowEngine {
         return rtGetAvailableTransitions(workflow, currentState);
     }
 
+    /**
+     * Kiértékeli az átmenet (`article.state` → `targetState`) `guards` feltételeit.
+     * Olcsó, szinkron ellenőrzés — a gombok tooltipje és a drága validáció előtti
+     * rövidzár is ezt használja. A végleges döntést az `update-article` CF hozza.
+     *
+     * @param {Object} workflow - A compiled workflow JSON.
+     * @param {Object} article - A cikk objektum.
+     * @param {string} targetState - A célállapot string ID-ja.
+     * @param {Object} [guardContext] - `{ unresolvedUserValidationCount }` — a
+     *   `noUnresolvedUserValidations` guard-hoz (hiányában a guard fail-closed bukik).
+     * @param {string|null} [branchState] - Párhuzamos szakaszban a léptetett ág
+     *   állapota (az átmenet forrása); hiányában `article.state`.
+     * @returns {{allowed: boolean, failures: Array<{type: string, description: string}>}}
+     */
+    static evaluateGuards(workflow, article, targetState, guardContext = {}, branchState = null) {
+        const fromState = branchState || article?.state;
+        const transition = workflow?.transitions?.find(
+            t => t.from === fromState && t.to === targetState
+        );
+        return evaluateTransitionGuards(transition?.guards, {
+            article,
+            compiled: workflow,
+            unresolvedUserValidationCount: guardContext.unresolvedUserValidationCount
+        });
+    }
+
     /**
      * Validálja, hogy a cikk áttérhet-e a célállapotba.
      * Lefuttatja az alapvető fájlvalidációt és a célállapothoz definiált specifikus ellenőrzéseket.
@@ -100,19 +158,36 @@ export class WorkflowEngine {
      * @param {Map<string, object>} [extensionRegistry] - `buildExtensionRegistry(...)` eredménye
      *   az `ext.<slug>` validator-extension dispatch-hez (B.4.2). Ha null, a `validateTransition`
      *   fail-closed `[ext.<slug>] extension regisztry nem inicializált` hibát ad.
-     * @returns {Promise<Object>} { success, document?, error?, permissionDenied?, validation? }
+     * @param {Object} [guardContext] - Az `evaluateGuards` kontextusa (`unresolvedUserValidationCount`).
+     * @param {string|null} [branchState] - Párhuzamos szakaszban (fork / join) a léptetett
+     *   ág-token állapota. Ilyenkor a CF a teljes új `parallelStates` listát kapja (egy
+     *   token cserélve), és a join-összefutást / régióból kilépést szerver-oldalon oldja fel.
+     * @returns {Promise<Object>} { success, document?, error?, permissionDenied?, guardFailures?, validation? }
      *   A `validation` csak akkor szerepel, ha a kliens-oldali validáció bukott (tartalmazza:
      *   `errors`, `warnings`, `skipped`, `unmountedDrives` — hogy a UI pontos toast-ot tudjon formálni).
      */
-    static async executeTransition(workflow, article, targetState, user, publicationRootPath, extensionRegistry = null) {
+    static async executeTransition(workflow, article, targetState, user, publicationRootPath, extensionRegistry = null, guardContext = {}, branchState = null) {
         if (!workflow || !article) {
             logWarn("[WorkflowEngine] executeTransition: hiányzó workflow vagy article");
             return { success: false, error: "Hiányzó workflow konfiguráció vagy cikk." };
         }
 
+        // 0. Átmenet-feltételek (olcsó) — bukás esetén a drága validáció el sem indul.
+        const guardResult = WorkflowEngine.evaluateGuards(workflow, article, targetState, guardContext, branchState);
+        const fromState = branchState || article.state;
+        if (!guardResult.allowed) {
+            return {
+                success: false,
+                error: guardResult.failures.map(f => f.description).join(" "),
+                guardFailures: guardResult.failures
+            };
+        }
+
         try {
-            // 1. Kliens-oldali átmenet-validáció (drága: preflight, file-accessible)
-            const validation = await WorkflowEngine.validateTransition(workflow, article, targetState, publicationRootPath, extensionRegistry);
+            // 1. Kliens-oldali átmenet-validáció (drága: preflight, file-accessible).
+            //    Ág-léptetésnél az ág állapotának kilépési validációi futnak.
+            const validatedArticle = branchState ? { ...article, state: branchState } : article;
+            const validation = await WorkflowEngine.validateTransition(workflow, validatedArticle, targetState, publicationRootPath, extensionRegistry);
             if (!validation.isValid) {
                 return {
                     success: false,
@@ -121,13 +196,16 @@ export class WorkflowEngine {
                 };
             }
 
-            log(`[WorkflowEngine] Cikk (${article.$id}) állapotváltása: ${article.state} → ${targetState}, felhasználó: ${user?.name || user?.$id || 'ismeretlen'}`);
+            log(`[WorkflowEngine] Cikk (${article.$id}) állapotváltása: ${fromState} → ${targetState}${branchState ? ' (párhuzamos ág)' : ''}, felhasználó: ${user?.name || user?.$id || 'ismeretlen'}`);
 
             // 2. Cikk frissítése az update-article CF-en keresztül (CF a végső jogosultsági gate)
-            const result = await callUpdateArticleCF(article.$id, {
-                state: targetState,
-                previousState: article.state
-            }, "WorkflowEngine: executeTransition");
+            let data = { state: targetState, previousState: article.state };
+            if (branchState) {
+                const tokens = normalizeParallelStates(article.parallelStates);
+                const index = tokens.indexOf(branchState);
+                data = { parallelStates: tokens.map((token, i) => (i === index ? targetState : token)) };
+            }
+            const result = await callUpdateArticleCF(article.$id, data, "WorkflowEngine: executeTransition");
 
             // Állapotváltás jelzése az event rendszeren keresztül.
             // Figyelem: a `result` a CF válasz pillanatnyi állapota — a feliratkozók a DataContext
@@ -136,7 +214,7 @@ export class WorkflowEngine {
             try {
                 dispatchMaestroEvent(MaestroEvent.stateChanged, {
                     article: result,
-                    previousState: article.state,
+                    previousState: fromState,
                     newState: targetState
                 });
             } catch (listenerError) {
@@ -149,6 +227,137 @@ export class WorkflowEngine {
         }
     }
 
+    /**
+     * Tömeges állapotváltás: több cikk léptetése ugyanabba a célállapotba.
+     *
+     * Cikkenként ugyanaz a kliens-oldali lánc fut, mint az `executeTransition`-ben
+     * (átmenet-feltételek, majd a drága validáció), a zárolt cikk kimarad. Az
+     * átengedett cikkek egyetlen `update-article` batch-hívásban íródnak
+     * (50-esével), a végső döntés cikkenként a CF-é. Párhuzamos szakaszban lévő
+     * cikknél az az ág lép, amelyből van átmenet a célállapotba.
+     *
+     * A jogosultsági hint-ellenőrzést — az egyedi váltáshoz hasonlóan — a hívó UI végzi.
+     *
+     * @param {Object} workflow - A compiled workflow JSON.
+     * @param {Object[]} articles - A léptetendő cikkek.
+     * @param {string} targetState - A célállapot string ID-ja.
+     * @param {Object} user - A műveletet végző felhasználó.
+     * @param {string} publicationRootPath - A kiadvány gyökér útvonala.
+     * @param {Map<string, object>} [extensionRegistry] - Ld. `executeTransition`.
+     * @param {Function} [getGuardContext] - `(article) => guardContext` — cikkenkénti
+     *   `evaluateGuards` kontextus (`unresolvedUserValidationCount`).
+     * @returns {Promise<Array<{article: Object, status: 'success'|'skipped'|'failed', message?: string, document?: Object}>>}
+     *   Cikkenkénti eredmény, a bemenet sorrendjében.
+     */
+    static async executeBulkTransition(workflow, articles, targetState, user, publicationRootPath, extensionRegistry = null, getGuardContext = () => ({})) {
+        if (!workflow || !Array.isArray(articles)) {
+            logWarn("[WorkflowEngine] executeBulkTransition: hiányzó workflow vagy cikklista");
+            return [];
+        }
+
+        const results = new Map();
+        const prepared = [];
+
+        // 1. Cikkenkénti kliens-oldali ellenőrzés (szekvenciálisan — a preflight drága).
+        for (const article of articles) {
+            if (article.lockOwnerId && article.lockOwnerId !== user?.$id) {
+                results.set(article.$id, { article, status: "skipped", message: "Zárolva — más szerkeszti." });
+                continue;
+            }
+
+            const tokens = normalizeParallelStates(article.parallelStates);
+            const branchState = tokens.length > 0
+                ? tokens.find(token => workflow.transitions?.some(t => t.from === token && t.to === targetState)) || null
+                : null;
+            const fromState = branchState || article.state;
+            if (tokens.length === 0 && fromState === targetState) {
+                results.set(article.$id, { article, status: "skipped", message: "Már ebben az állapotban van." });
+                continue;
+            }
+            if (!workflow.transitions?.some(t => t.from === fromState && t.to === targetState)) {
+                results.set(article.$id, { article, status: "failed", message: "Nincs átmenet a cikk állapotából a célállapotba." });
+                continue;
+            }
+
+            const guardResult = WorkflowEngine.evaluateGuards(workflow, article, targetState, getGuardContext(article), branchState);
+            if (!guardResult.allowed) {
+                results.set(article.$id, {
+                    article,
+                    status: "failed",
+                    message: guardResult.failures.map(f => f.description).join(" ")
+                });
+                continue;
+            }
+
+            const validatedArticle = branchState ? { ...article, state: branchState } : article;
+            const validation = await WorkflowEngine.validateTransition(workflow, validatedArticle, targetState, publicationRootPath, extensionRegistry);
+            if (!validation.isValid) {
+                results.set(article.$id, {
+                    article,
+                    status: "failed",
+                    message: validation.skipped
+                        ? `A preflight nem futott: nem elérhető meghajtó (${validation.unmountedDrives?.join(", ") || "?"}).`
+                        : validation.errors?.join(", ") || "Az állapotváltás validációja sikertelen."
+                });
+                continue;
+            }
+
+            const data = branchState
+                ? { parallelStates: tokens.map((token, i) => (i === tokens.indexOf(branchState) ? targetState : token)) }
+                : { state: targetState, previousState: article.state };
+            prepared.push({ article, fromState, data });
+        }
+
+        // 2. Batch írás a CF-en keresztül.
+        for (let offset = 0; offset < prepared.length; offset += BULK_TRANSITION_CHUNK_SIZE) {
+            const chunk = prepared.slice(offset, offset + BULK_TRANSITION_CHUNK_SIZE);
+            let itemResults;
+            try {
+                itemResults = await callUpdateArticleBatchCF(
+                    chunk.map(({ article, data }) => ({ articleId: article.$id, data })),
+                    "WorkflowEngine: executeBulkTransition"
+                );
+            } catch (error) {
+                const { error: message } = _handleCFError(error, "Tömeges állapotváltás sikertelen:");
+                for (const { article } of chunk) {
+                    results.set(article.$id, { article, status: "failed", message });
+                }
+                continue;
+            }
+
+            const byId = new Map(itemResults.map(item => [item.articleId, item]));
+            for (const { article, fromState } of chunk) {
+                const item = byId.get(article.$id);
+                if (!item) {
+                    results.set(article.$id, { article, status: "failed", message: "Hiányzó válasz a szervertől." });
+                    continue;
+                }
+                if (!item.success) {
+                    results.set(article.$id, {
+                        article,
+                        status: item.reason === "article_locked" ? "skipped" : "failed",
+                        message: _bulkFailureMessage(item)
+                    });
+                    continue;
+                }
+
+                log(`[WorkflowEngine] Cikk (${article.$id}) tömeges állapotváltása: ${fromState} → ${targetState}, felhasználó: ${user?.name || user?.$id || 'ismeretlen'}`);
+                results.set(article.$id, { article, status: "success", document: item.document });
+                try {
+                    dispatchMaestroEvent(MaestroEvent.stateChanged, {
+                        article: item.document,
+                        previousState: fromState,
+                        newState: targetState
+                    });
+                } catch (listenerError) {
+                    logError("[WorkflowEngine] state-changed esemény listener hiba:", listenerError);
+                }
+            }
+        }
+
+        return articles.map(article => results.get(article.$id));
+    }
+
     /**
      * Jelölő (marker) kapcsolása a cikken bitműveletek használatával.
      * A jelölők bitmaszkként vannak tárolva a cikk `markers` mezőjében.
@@ -0,0 +1,110 @@
+/**
+ * @file useArticleStateHistory.js
+ * @description Egy cikk állapot-history bejegyzéseinek (audit timeline) lekérése.
+ *
+ * Az `articleStateHistory` collection append-only: minden sikeres állapotváltáskor
+ * az `update-article` CF ír bele egy doc-ot (ki, honnan, hova, mikor, lock-kontextus,
+ * markers). A plugin csak olvas — írási útvonal kliens-oldalon NINCS.
+ *
+ * Újratöltés: a cikk `state` mezőjének változásakor (saját váltás vagy Realtime
+ * push egy másik felhasználótól) — a history doc a CF-ben a cikk-write UTÁN
+ * keletkezik, ezért egy rövid késleltetéssel kérjük le újra.
+ */
+
+// React
+import { useState, useEffect, useCallback, useRef } from "react";
+
+// Config
+import { tables, DATABASE_ID, COLLECTIONS, Query } from "../../core/config/appwriteConfig.js";
+
+// Utils
+import { withRetry } from "../../core/utils/promiseUtils.js";
+import { logError } from "../../core/utils/logger.js";
+
+/** A timeline-on megjelenített bejegyzések maximális száma. */
+const HISTORY_LIMIT = 50;
+
+/**
+ * Állapotváltás utáni újratöltés késleltetése (ms) — a CF a history doc-ot a
+ * cikk-write után írja, a Realtime push ennél hamarabb érkezhet.
+ */
+const REFETCH_DELAY_MS = 800;
+
+/**
+ * Egy cikk állapot-history bejegyzéseinek lekérése, legfrissebb elöl.
+ *
+ * @param {string} articleId - A cikk azonosítója
+ * @returns {Promise<Object[]>} A history doc-ok (`transitionedAt` szerint csökkenő sorrendben)
+ */
+export async function fetchArticleStateHistory(articleId) {
+    if (!articleId) return [];
+
+    const result = await withRetry(
+        () => tables.listRows({
+            databaseId: DATABASE_ID,
+            tableId: COLLECTIONS.ARTICLE_STATE_HISTORY,
+            queries: [
+                Query.equal('articleId', articleId),
+                Query.orderDesc('transitionedAt'),
+                Query.limit(HISTORY_LIMIT)
+            ]
+        }),
+        { operationName: `fetchArticleStateHistory(${articleId})` }
+    );
+
+    return result.rows || result.documents || [];
+}
+
+/**
+ * Hook: egy cikk állapot-history timeline-ja.
+ *
+ * @param {string} articleId - A cikk azonosítója
+ * @param {string} articleState - A cikk aktuális állapota (változásakor újratölt)
+ * @returns {{ entries: Object[], loading: boolean, refetch: Function }}
+ */
+export function useArticleStateHistory(articleId, articleState) {
+    const [entries, setEntries] = useState([]);
+    const [loading, setLoading] = useState(false);
+
+    // Generáció-számláló: cikkváltáskor a késve érkező régi válasz ne írja
+    // felül az új cikk timeline-ját.
+    const generationRef = useRef(0);
+    // Az előző render (cikk, állapot) párja — a késleltetett újratöltés csak
+    // ugyanazon cikk állapotváltására indul, cikkváltásra nem.
+    const prevRef = useRef({ articleId, articleState });
+
+    const refetch = useCallback(async () => {
+        const generation = ++generationRef.current;
+        if (!articleId) {
+            setEntries([]);
+            return;
+        }
+
+        setLoading(true);
+        try {
+            const rows = await fetchArticleStateHistory(articleId);
+            if (generation === generationRef.current) setEntries(rows);
+        } catch (err) {
+            logError(`[useArticleStateHistory] Hiba a history lekérésekor (${articleId}):`, err);
+            if (generation === generationRef.current) setEntries([]);
+        } finally {
+            if (generation === generationRef.current) setLoading(false);
+        }
+    }, [articleId]);
+
+    // Cikkváltáskor azonnali betöltés.
+    useEffect(() => {
+        refetch();
+    }, [refetch]);
+
+    // Állapotváltáskor késleltetett újratöltés (a CF history-write utolérése).
+    useEffect(() => {
+        const prev = prevRef.current;
+        prevRef.current = { articleId, articleState };
+        if (prev.articleId !== articleId || prev.articleState === articleState) return undefined;
+        const timer = setTimeout(refetch, REFETCH_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [articleId, articleState, refetch]);
+
+    return { entries, loading, refetch };
+}
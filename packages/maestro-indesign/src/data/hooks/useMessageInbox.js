@@ -0,0 +1,245 @@
+/**
+ * @file useMessageInbox.js
+ * @description A felhasználónak szóló cikk-üzenetek szerkesztőség-szintű inboxa.
+ *
+ * A `userValidations` sorok csak az aktív kiadványra töltődnek a DataContext-be,
+ * ezért az inbox külön lekérdezést futtat az aktív szerkesztőség üzeneteire
+ * (minden kiadvány, lapozva a `readBefore` vízjelig — `shouldFetchNextInboxPage`),
+ * majd a hozzájuk tartozó cikkekre. A címzett-feloldás olvasáskor történik (`maestro-shared/messageRecipients.js`):
+ * az aktuális csoporttagság és a cikk aktuális közreműködői számítanak.
+ *
+ * Az olvasási állapot az Appwrite account prefs-ben él (`maestro-shared/messageInbox.js`),
+ * így a Dashboard üzenet-panelével közös.
+ *
+ * Frissítés: Realtime a `userValidations` collection-en (scope-szűrve),
+ * valamint `dataRefreshRequested` (recovery) MaestroEvent.
+ */
+
+// React
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
+
+// Context & Hooks
+import { useUser } from "../../core/contexts/UserContext.jsx";
+import { useScope } from "../../core/contexts/ScopeContext.jsx";
+import { useData } from "../../core/contexts/DataContext.jsx";
+import { useContributorGroups } from "./useContributorGroups.js";
+
+// Config
+import { account, tables, DATABASE_ID, COLLECTIONS, Query } from "../../core/config/appwriteConfig.js";
+import { realtime } from "../../core/config/realtimeClient.js";
+import { MaestroEvent } from "../../core/config/maestroEvents.js";
+
+// Utils
+import { withRetry } from "../../core/utils/promiseUtils.js";
+import { logError } from "../../core/utils/logger.js";
+import {
+    INBOX_PAGE_SIZE,
+    shouldFetchNextInboxPage,
+    getInboxReadState,
+    markInboxMessagesRead,
+    markAllInboxMessagesRead,
+    buildInboxItems
+} from "maestro-shared/messageInbox.js";
+
+/** Egy `Query.equal('$id', [...])` lekérdezés legfeljebb ennyi ID-t kap. */
+const ARTICLE_CHUNK_SIZE = 100;
+
+/** Realtime burst-ök összevonása. */
+const REFETCH_DEBOUNCE_MS = 300;
+
+/**
+ * Az inbox üzenetei és a hozzájuk tartozó cikkek lekérése.
+ *
+ * @param {string} editorialOfficeId
+ * @param {string|null} readBefore - Az olvasási állapot vízjele (meddig lapozunk)
+ * @returns {Promise<{ messages: Object[], articlesById: Map<string, Object> }>}
+ */
+async function fetchInboxData(editorialOfficeId, readBefore) {
+    const fetched = [];
+    let cursor = null;
+    while (true) {
+        const queries = [
+            Query.equal('editorialOfficeId', editorialOfficeId),
+            Query.orderDesc('$createdAt'),
+            Query.limit(INBOX_PAGE_SIZE)
+        ];
+        if (cursor) queries.push(Query.cursorAfter(cursor));
+        const result = await withRetry(
+            () => tables.listRows({
+                databaseId: DATABASE_ID,
+                tableId: COLLECTIONS.USER_VALIDATIONS,
+                queries
+            }),
+            { operationName: 'fetchInboxMessages' }
+        );
+        const page = result.rows || result.documents || [];
+        fetched.push(...page);
+        if (!shouldFetchNextInboxPage(fetched.length, page, readBefore)) break;
+        cursor = page[page.length - 1].$id;
+    }
+    const messages = fetched.filter(m => m.recipientType);
+
+    const articleIds = [...new Set(messages.map(m => m.articleId).filter(Boolean))];
+    const articlesById = new Map();
+    for (let i = 0; i < articleIds.length; i += ARTICLE_CHUNK_SIZE) {
+        const chunk = articleIds.slice(i, i + ARTICLE_CHUNK_SIZE);
+        const articlesResult = await withRetry(
+            () => tables.listRows({
+                databaseId: DATABASE_ID,
+                tableId: COLLECTIONS.ARTICLES,
+                queries: [
+                    Query.equal('$id', chunk),
+                    Query.select(['$id', 'name', 'publicationId', 'contributors']),
+                    Query.limit(chunk.length)
+                ]
+            }),
+            { operationName: 'fetchInboxArticles' }
+        );
+        for (const article of (articlesResult.rows || articlesResult.documents || [])) {
+            articlesById.set(article.$id, article);
+        }
+    }
+
+    return { messages, articlesById };
+}
+
+/**
+ * Üzenet-inbox hook.
+ *
+ * @returns {{
+ *   items: Array<{ message: Object, article: Object, publication: Object|null, unread: boolean }>,
+ *   unreadCount: number,
+ *   loading: boolean,
+ *   markRead: (messageIds: string[]) => Promise<void>,
+ *   markAllRead: () => Promise<void>,
+ *   refresh: () => Promise<void>,
+ *   groups: Object[],
+ *   membersBySlug: Object.<string, Object[]>
+ * }} A `groups` / `membersBySlug` a címzett- és feladónevek feloldásához.
+ */
+export const useMessageInbox = () => {
+    const { user } = useUser();
+    const { activeEditorialOfficeId } = useScope();
+    const { publications, workflow } = useData();
+
+    // Ugyanaz az `orderingSlugs`, mint az ArticleProperties-ben — közös hook-cache.
+    const orderingSlugs = useMemo(
+        () => Array.isArray(workflow?.requiredGroupSlugs)
+            ? workflow.requiredGroupSlugs.map(g => g.slug).filter(Boolean)
+            : null,
+        [workflow]
+    );
+    const { groups, membersBySlug } = useContributorGroups({ orderingSlugs });
+
+    const [data, setData] = useState({ messages: [], articlesById: new Map() });
+    const [prefs, setPrefs] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const mountedRef = useRef(true);
+    const generationRef = useRef(0);
+
+    const userId = user?.$id || null;
+
+    const refresh = useCallback(async () => {
+        const generation = ++generationRef.current;
+
+        if (!activeEditorialOfficeId || !userId) {
+            setData({ messages: [], articlesById: new Map() });
+            setLoading(false);
+            return;
+        }
+
+        setLoading(true);
+        try {
+            // A prefs kell előbb: a `readBefore` vízjel szabja meg, meddig lapozunk.
+            const freshPrefs = await account.getPrefs();
+            const { readBefore } = getInboxReadState(freshPrefs, activeEditorialOfficeId);
+            const inboxData = await fetchInboxData(activeEditorialOfficeId, readBefore);
+            if (!mountedRef.current || generation !== generationRef.current) return;
+            setData(inboxData);
+            setPrefs(freshPrefs);
+        } catch (err) {
+            logError('[useMessageInbox] Hiba az inbox lekérésekor:', err);
+        }
+        if (mountedRef.current && generation === generationRef.current) setLoading(false);
+    }, [activeEditorialOfficeId, userId]);
+
+    useEffect(() => {
+        mountedRef.current = true;
+        refresh();
+        return () => { mountedRef.current = false; };
+    }, [refresh]);
+
+    // Realtime: új / módosult üzenet az aktív szerkesztőségben → újralekérés.
+    useEffect(() => {
+        if (!activeEditorialOfficeId) return undefined;
+
+        let debounceId = null;
+        const unsubscribe = realtime.subscribe(
+            `databases.${DATABASE_ID}.collections.${COLLECTIONS.USER_VALIDATIONS}.documents`,
+            (response) => {
+                const { events, payload } = response;
+                const isDelete = events?.some(e => e.includes('.delete'));
+                if (!isDelete && payload?.editorialOfficeId !== activeEditorialOfficeId) return;
+                if (debounceId) clearTimeout(debounceId);
+                debounceId = setTimeout(() => {
+                    debounceId = null;
+                    refresh();
+                }, REFETCH_DEBOUNCE_MS);
+            }
+        );
+
+        return () => {
+            if (debounceId) clearTimeout(debounceId);
+            if (typeof unsubscribe === 'function') unsubscribe();
+        };
+    }, [activeEditorialOfficeId, refresh]);
+
+    useEffect(() => {
+        window.addEventListener(MaestroEvent.dataRefreshRequested, refresh);
+        return () => window.removeEventListener(MaestroEvent.dataRefreshRequested, refresh);
+    }, [refresh]);
+
+    const items = useMemo(() => {
+        if (!userId || !activeEditorialOfficeId) return [];
+        const readState = getInboxReadState(prefs, activeEditorialOfficeId);
+        const publicationsById = new Map(publications.map(p => [p.$id, p]));
+        return buildInboxItems(data.messages, {
+            userId,
+            membersBySlug,
+            articlesById: data.articlesById,
+            readState
+        }).map(item => ({ ...item, publication: publicationsById.get(item.article.publicationId) || null }));
+    }, [data, prefs, membersBySlug, publications, userId, activeEditorialOfficeId]);
+
+    const unreadCount = useMemo(() => items.filter(item => item.unread).length, [items]);
+
+    /**
+     * A prefs frissítése: optimista helyi állapot, majd a friss szerver-prefs-re
+     * alkalmazott módosítás mentése (más kulcsok / másik kliens írása ne vesszen el).
+     */
+    const updateReadState = useCallback(async (apply) => {
+        if (!activeEditorialOfficeId) return;
+        setPrefs(prev => apply(prev));
+        try {
+            const fresh = await account.getPrefs();
+            const next = apply(fresh);
+            await account.updatePrefs({ prefs: next });
+            if (mountedRef.current) setPrefs(next);
+        } catch (err) {
+            logError('[useMessageInbox] Olvasási állapot mentése sikertelen:', err);
+        }
+    }, [activeEditorialOfficeId]);
+
+    const markRead = useCallback((messageIds) => updateReadState(
+        (current) => markInboxMessagesRead(current, activeEditorialOfficeId, messageIds)
+    ), [updateReadState, activeEditorialOfficeId]);
+
+    const markAllRead = useCallback(() => {
+        const now = new Date();
+        return updateReadState(
+            (current) => markAllInboxMessagesRead(current, activeEditorialOfficeId, now)
+        );
+    }, [updateReadState, activeEditorialOfficeId]);
+
+    return { items, unreadCount, loading, markRead, markAllRead, refresh, groups, membersBySlug };
+};
@@ -9,6 +9,10 @@
  *
  * Induláskor betölti a meglévő validációs eredményeket az adatbázisból.
  *
+ * A kiadvány hirdetései (`ads`) is bemennek: az egész oldalas hirdetés oldalára
+ * eső cikk hibát kap. A Dashboard-oldali hirdetés-változás (`MaestroEvent.adsChanged`)
+ * a layout-változással azonos, debounce-olt újravalidálást indít.
+ *
  * Realtime szinkronizáció: Feliratkozik a `COLLECTIONS.SYSTEM_VALIDATIONS` Realtime
  * csatornára, így más felhasználók által írt validációs eredmények is azonnal
  * megjelennek a lokális ValidationContext-ben.
@@ -162,7 +166,7 @@ async function persistStructureValidation(publicationId, resultsMap, permissions
  * Workspace szinten kell bekötni (pl. PublicationList), hogy minden változásra reagáljon.
  */
 export const useOverlapValidation = () => {
-    const { articles, publications, layouts } = useData();
+    const { articles, publications, layouts, ads } = useData();
     const { updatePublicationValidation, updateArticleValidation, clearArticleValidation } = useValidation();
     const { showToast } = useToast();
     // Tenant doc-szintű ACL snapshot — ADR 0014 (`withCreator` defense-in-depth).
@@ -172,6 +176,7 @@ export const useOverlapValidation = () => {
     const articlesRef = useRef(articles);
     const publicationsRef = useRef(publications);
     const layoutsRef = useRef(layouts);
+    const adsRef = useRef(ads);
 
     // Per-publikáció debounce timer a layoutChanged eseményekhez (ld. LAYOUT_CHANGED_DEBOUNCE_MS)
     const layoutChangedTimersRef = useRef(new Map());
@@ -188,6 +193,10 @@ export const useOverlapValidation = () => {
         layoutsRef.current = layouts;
     }, [layouts]);
 
+    useEffect(() => {
+        adsRef.current = ads;
+    }, [ads]);
+
     /**
      * Betölti az összes meglévő validációs eredményt az Appwrite-ból
      * és feltölti a ValidationContext-et.
@@ -320,7 +329,8 @@ export const useOverlapValidation = () => {
         const resultsMap = structureValidator.validatePerArticle({
             publication,
             articles: siblingArticles,
-            layouts: layoutsRef.current
+            layouts: layoutsRef.current,
+            ads: adsRef.current.filter(a => a.publicationId === publication.$id)
         });
 
         // Eredmények beírása a ValidationContext-be (azonnali UI frissítés)
@@ -348,7 +358,8 @@ export const useOverlapValidation = () => {
         const resultsMap = structureValidator.validatePerArticle({
             publication,
             articles: pubArticles,
-            layouts: layoutsRef.current
+            layouts: layoutsRef.current,
+            ads: adsRef.current.filter(a => a.publicationId === publication.$id)
         });
 
         // Eredmények beírása a ValidationContext-be
@@ -371,6 +382,7 @@ export const useOverlapValidation = () => {
      * Kétféle hívás:
      *   - Egyedi: `{ article }` — egyetlen cikk layout-ja változott
      *   - Tömeges: `{ articles, publicationId }` — layout törléskor több cikk átrendelve
+     *   - Publikáció-szintű: `{ publicationId }` — Dashboard layout CRUD, hirdetés-változás (`adsChanged`)
      */
     const handleLayoutChanged = useCallback((event) => {
         const { article: changedArticle, articles: changedArticles, publicationId: directPubId } = event.detail;
@@ -404,7 +416,8 @@ export const useOverlapValidation = () => {
             const resultsMap = structureValidator.validatePerArticle({
                 publication,
                 articles: siblingArticles,
-                layouts: layoutsRef.current
+                layouts: layoutsRef.current,
+                ads: adsRef.current.filter(a => a.publicationId === publication.$id)
             });
 
             const allArticleIds = siblingArticles.map(a => a.$id);
@@ -450,7 +463,8 @@ export const useOverlapValidation = () => {
         const resultsMap = structureValidator.validatePerArticle({
             publication,
             articles: mergedArticles,
-            layouts: layoutsRef.current
+            layouts: layoutsRef.current,
+            ads: adsRef.current.filter(a => a.publicationId === publication.$id)
         });
 
         const allArticleIds = mergedArticles.map(a => a.$id);
@@ -482,7 +496,8 @@ export const useOverlapValidation = () => {
         const resultsMap = structureValidator.validatePerArticle({
             publication,
             articles: pubArticles,
-            layouts: layoutsRef.current
+            layouts: layoutsRef.current,
+            ads: adsRef.current.filter(a => a.publicationId === publication.$id)
         });
 
         const allArticleIds = pubArticles.map(a => a.$id);
@@ -496,6 +511,8 @@ export const useOverlapValidation = () => {
         window.addEventListener(MaestroEvent.pageRangesChanged, handlePageRangesChanged);
         window.addEventListener(MaestroEvent.publicationCoverageChanged, handlePublicationCoverageChanged);
         window.addEventListener(MaestroEvent.layoutChanged, handleLayoutChanged);
+        // Hirdetés-változás: ugyanaz a publikáció-szintű, debounce-olt újravalidálás
+        window.addEventListener(MaestroEvent.adsChanged, handleLayoutChanged);
         window.addEventListener(MaestroEvent.articlesAdded, handleArticlesAdded);
         window.addEventListener(MaestroEvent.documentClosed, handleDocumentClosed);
 
@@ -503,6 +520,7 @@ export const useOverlapValidation = () => {
             window.removeEventListener(MaestroEvent.pageRangesChanged, handlePageRangesChanged);
             window.removeEventListener(MaestroEvent.publicationCoverageChanged, handlePublicationCoverageChanged);
             window.removeEventListener(MaestroEvent.layoutChanged, handleLayoutChanged);
+            window.removeEventListener(MaestroEvent.adsChanged, handleLayoutChanged);
             window.removeEventListener(MaestroEvent.articlesAdded, handleArticlesAdded);
             window.removeEventListener(MaestroEvent.documentClosed, handleDocumentClosed);
         };
@@ -36,7 +36,7 @@ import { log, logError } from "../../core/utils/logger.js";
  * }}
  */
 export function usePublicationArchive() {
-    const { articles, publications, activePublicationId, workflow } = useData();
+    const { articles, publications, activePublicationId, workflow, ads } = useData();
     const { user } = useUser();
     const { showToast } = useToast();
 
@@ -64,7 +64,7 @@ export function usePublicationArchive() {
      * 1. Van aktív kiadvány cikkekkel
      * 2. A coverage be van állítva (coverageStart és coverageEnd)
      * 3. Minden cikk ARCHIVABLE állapotban van
-     * 4. Nincs oldalrés (buildPlaceholderRows üres)
+     * 4. Nincs oldalrés (buildPlaceholderRows üres — az egész oldalas hirdetés oldala nem rés)
      * 5. A felhasználó az archive parancs csapataiban van
      */
     const canArchivePublication = useMemo(() => {
@@ -74,13 +74,14 @@ export function usePublicationArchive() {
         const allTerminal = articles.every(a => isTerminalState(workflow, a.state));
         if (!allTerminal) return false;
 
-        if (buildPlaceholderRows(articles, publication).length > 0) return false;
+        const pubAds = ads.filter(a => a.publicationId === publication.$id);
+        if (buildPlaceholderRows(articles, publication, null, pubAds).length > 0) return false;
 
         // A felhasználó futtathatja-e az archive parancsot a terminális állapotban
         const terminalState = articles[0]?.state;
         const userGroups = user?.groupSlugs || [];
         return canRunCommand(workflow, terminalState, 'archive', userGroups).allowed;
-    }, [articles, publication, user, workflow]);
+    }, [articles, publication, user, workflow, ads]);
 
     /**
      * Szekvenciálisan archiválja az összes cikket (archive + PDF export).
@@ -12,9 +12,11 @@ import { useState, useEffect, useRef, useMemo } from "react";
 
 // Contexts
 import { useData } from "../../core/contexts/DataContext.jsx";
+import { useUser } from "../../core/contexts/UserContext.jsx";
 
 // Utils
-import { fetchHolidays, calculateUrgencyRatio } from "../../core/utils/urgencyUtils.js";
+import { loadCalendarHolidays, calculateUrgencyRatio } from "../../core/utils/urgencyUtils.js";
+import { normalizeWorkingCalendar } from "maestro-shared/workingCalendar.js";
 import { logWarn } from "../../core/utils/logger.js";
 
 // Konstansok
@@ -25,35 +27,32 @@ import { DATA_QUERY_CONFIG } from "../../core/utils/constants.js";
  *
  * @param {Array} articles - A kiadvány cikkeinek tömbje
  * @param {Array} deadlines - A kiadvány deadline-jainak tömbje
- * @param {Object} publication - A kiadvány objektum (excludeWeekends mező)
+ * @param {Object} publication - A kiadvány objektum (excludeWeekends, editorialOfficeId —
+ *   a szerkesztőség munkanaptára adja a munkaidőt és a munkaszüneti napokat)
  * @returns {Map<string, { ratio: number, background: string|null }>} Cikk ID → sürgősségi adatok
  */
 export const useUrgency = (articles, deadlines, publication) => {
     const { workflow } = useData();
+    const { editorialOffices } = useUser();
     const [urgencyMap, setUrgencyMap] = useState(() => new Map());
     const [holidays, setHolidays] = useState(() => new Set());
     const [currentYear, setCurrentYear] = useState(() => new Date().getFullYear());
     const intervalRef = useRef(null);
 
     const excludeWeekends = publication?.excludeWeekends ?? true;
+    const calendarJson = editorialOffices?.find(o => o.$id === publication?.editorialOfficeId)?.workingCalendar ?? null;
+    const calendar = useMemo(() => normalizeWorkingCalendar(calendarJson), [calendarJson]);
 
-    // Ünnepnapok lekérése (induláskor + évváltáskor)
+    // Ünnepnapok betöltése (induláskor + évváltáskor + naptár-változáskor).
+    // A naptár pillanatképe offline is elég; API csak a hiányzó évekre.
     useEffect(() => {
         let cancelled = false;
 
         const loadHolidays = async () => {
             try {
                 // Az aktuális és a következő évet is lekérjük (éves határ közelében)
-                const [currentYearHolidays, nextYearHolidays] = await Promise.all([
-                    fetchHolidays(currentYear),
-                    fetchHolidays(currentYear + 1)
-                ]);
-
-                if (!cancelled) {
-                    // Összefésüljük a két évet egyetlen Set-be
-                    const merged = new Set([...currentYearHolidays, ...nextYearHolidays]);
-                    setHolidays(merged);
-                }
+                const merged = await loadCalendarHolidays(calendar, [currentYear, currentYear + 1]);
+                if (!cancelled) setHolidays(merged);
             } catch (error) {
                 logWarn("[useUrgency] Ünnepnapok betöltése sikertelen:", error.message);
             }
@@ -61,7 +60,7 @@ export const useUrgency = (articles, deadlines, publication) => {
 
         loadHolidays();
         return () => { cancelled = true; };
-    }, [currentYear]);
+    }, [currentYear, calendar]);
 
     // Sürgősség kiszámítása + percenkénti frissítés
     useEffect(() => {
@@ -79,7 +78,8 @@ export const useUrgency = (articles, deadlines, publication) => {
             for (const article of articles) {
                 const result = calculateUrgencyRatio(article, deadlines, workflow, {
                     holidays,
-                    excludeWeekends
+                    excludeWeekends,
+                    calendar
                 });
                 if (result) {
                     newMap.set(article.$id, result);
@@ -100,7 +100,7 @@ export const useUrgency = (articles, deadlines, publication) => {
                 intervalRef.current = null;
             }
         };
-    }, [articles, deadlines, holidays, excludeWeekends, workflow]);
+    }, [articles, deadlines, holidays, excludeWeekends, calendar, workflow]);
 
     return urgencyMap;
 };
@@ -68,6 +68,9 @@ export const useUserValidations = (articleId) => {
                 description: data.description || '',
                 recipientType: data.recipientType || null,
                 recipientUserId: data.recipientUserId || null,
+                // Csak csoport-címzettnél írjuk — így a `bootstrap_validation_recipients_schema`
+                // előtt is működik az egyéni / rendszer bejegyzés.
+                ...(data.recipientGroupSlug ? { recipientGroupSlug: data.recipientGroupSlug } : {}),
                 createdBy: data.createdBy,
                 contextId: data.contextId || null,
                 originalType: data.originalType || null,
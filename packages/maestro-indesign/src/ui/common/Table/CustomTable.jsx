@@ -1,8 +1,10 @@
 import React from "react";
+import { CustomCheckbox } from "../CustomCheckbox.jsx";
 
 // -- CONSTANTS --
 const MIN_COLUMN_WIDTH = 50;
 const EMPTY_MESSAGE = "Nincsenek adatok";
+const SELECTION_COLUMN_WIDTH = "30px";
 
 // -- STYLES --
 const STYLES = {
@@ -109,6 +111,14 @@ const STYLES = {
         boxSizing: "border-box",
         margin: 0
     },
+    selectionCell: {
+        width: SELECTION_COLUMN_WIDTH,
+        padding: "4px 0 4px 8px",
+        display: "flex",
+        alignItems: "center",
+        boxSizing: "border-box",
+        flexShrink: 0
+    },
     divider: {
         position: "absolute",
         right: 0,
@@ -192,6 +202,8 @@ const areRowPropsEqual = (prev, next) => {
     if (prev.columnWidths !== next.columnWidths) return false;
     // renderCell closure-ok megváltoztak? (szülő által jelzett escape-hatch)
     if (prev.renderVersion !== next.renderVersion) return false;
+    // Kijelölés változott? (tömeges műveletek)
+    if (prev.isSelected !== next.isSelected || prev.selectable !== next.selectable) return false;
     return true;
 };
 
@@ -204,16 +216,37 @@ const TableRow = React.memo(({
     onRowDoubleClick,
     onMouseEnter,
     onMouseLeave,
+    selectable,
+    isSelected,
+    onToggleSelect,
     renderVersion  // csak az areRowPropsEqual comparator használja // eslint-disable-line no-unused-vars
 }) => (
     <div
         role="row"
+        aria-selected={selectable ? isSelected : undefined}
         style={rowStyle}
         onClick={() => onRowClick && onRowClick(item)}
         onDoubleClick={() => onRowDoubleClick && onRowDoubleClick(item)}
         onMouseEnter={onMouseEnter}
         onMouseLeave={onMouseLeave}
     >
+        {/* Kijelölő oszlop — csak kijelölhető táblánál (`selectable !== undefined`) */}
+        {selectable !== undefined && (
+            <div
+                role="cell"
+                style={STYLES.selectionCell}
+                onClick={(e) => e.stopPropagation()}
+                onDoubleClick={(e) => e.stopPropagation()}
+            >
+                {selectable && (
+                    <CustomCheckbox
+                        checked={isSelected}
+                        onChange={() => onToggleSelect(item)}
+                        size="s"
+                    />
+                )}
+            </div>
+        )}
         {columns.map(col => {
             const content = col.renderCell ? col.renderCell(item) : item[col.id];
             const titleVal = (typeof content === 'string' || typeof content === 'number') ? content : "";
@@ -259,6 +292,11 @@ const TableRow = React.memo(({
  *   closure-ok kontextus-függő adatot zárnak be (pl. új context érték, validációs állapot).
  *   A szülő komponens felelőssége, mert az `areRowPropsEqual` comparator a `columns` prop
  *   referencia-változását nem veszi figyelembe (szándékos, hogy a stabil sorok ne renderelődjenek újra).
+ * @param {Set<string>} [props.selectedIds] - Kijelölt sorok azonosítói (`id` / `$id`). Ha meg van adva,
+ *   a tábla egy kijelölő oszlopot kap (tömeges műveletekhez).
+ * @param {Function} [props.onToggleSelect] - (item) => void — egy sor kijelölésének váltása
+ * @param {Function} [props.onToggleSelectAll] - () => void — a fejléc jelölőnégyzete
+ * @param {Function} [props.isRowSelectable] - (item) => boolean — pl. a helykitöltő sorok nem jelölhetők
  * @param {object} props.style - Container style overrides
  */
 export const CustomTable = ({
@@ -271,9 +309,20 @@ export const CustomTable = ({
     onRowDoubleClick,
     getRowStyle,
     renderVersion,
+    selectedIds,
+    onToggleSelect,
+    onToggleSelectAll,
+    isRowSelectable,
     style
 }) => {
     const { columnWidths, handleResizeStart } = useColumnResize();
+    const isSelectionEnabled = !!selectedIds;
+
+    const selectableCount = React.useMemo(() => {
+        if (!isSelectionEnabled) return 0;
+        return data.filter(item => !isRowSelectable || isRowSelectable(item)).length;
+    }, [data, isSelectionEnabled, isRowSelectable]);
+    const allSelected = isSelectionEnabled && selectableCount > 0 && selectedIds.size >= selectableCount;
 
     const handleRowMouseEnter = React.useCallback((e) => {
         // backgroundColor a gradient ALÁ kerül — mindkettő látszódik
@@ -297,6 +346,16 @@ export const CustomTable = ({
             {/* FIXED HEADER */}
             <div role="rowgroup" style={STYLES.headerRow}>
                 <div role="row" style={{ display: "contents" }}>
+                    {isSelectionEnabled && (
+                        <div role="columnheader" style={STYLES.selectionCell} title="Összes kijelölése">
+                            <CustomCheckbox
+                                checked={allSelected}
+                                onChange={() => onToggleSelectAll && onToggleSelectAll()}
+                                disabled={selectableCount === 0}
+                                size="s"
+                            />
+                        </div>
+                    )}
                     {columns.map(col => {
                         const isSorted = sortColumn === col.id;
                         const currentWidth = columnWidths[col.id] || col.width;
@@ -367,6 +426,9 @@ export const CustomTable = ({
                                     onRowDoubleClick={onRowDoubleClick}
                                     onMouseEnter={handleRowMouseEnter}
                                     onMouseLeave={handleRowMouseLeave}
+                                    selectable={isSelectionEnabled ? (!isRowSelectable || isRowSelectable(item)) : undefined}
+                                    isSelected={isSelectionEnabled && selectedIds.has(item.id || item.$id)}
+                                    onToggleSelect={onToggleSelect}
                                     renderVersion={renderVersion}
                                 />
                             );
@@ -15,6 +15,7 @@ import { MaestroEvent, dispatchMaestroEvent } from "../../../../core/config/maes
 import { GeneralSection } from "./GeneralSection.jsx";
 import { ContributorsSection } from "./ContributorsSection.jsx";
 import { ValidationSection } from "./ValidationSection.jsx";
+import { StateHistorySection } from "./StateHistorySection.jsx";
 
 // Utils
 import { isValidFileName, toNativePath, toAbsoluteArticlePath } from "../../../../core/utils/pathUtils.js";
@@ -48,7 +49,7 @@ import { uploadThumbnails, deleteOldThumbnails, cleanupTempFiles, getTempFolderP
 export const ArticleProperties = ({ article, publication, onUpdate }) => {
     const { user } = useUser();
     // `extensionRegistry` a DataContext snapshot-preferáló derived state-je (B.4.2).
-    const { updateArticle, applyArticleUpdate, workflow, extensionRegistry } = useData();
+    const { updateArticle, applyArticleUpdate, workflow, extensionRegistry, validations } = useData();
     const { renameArticle } = useArticles(article?.publicationId, null, false);
     const { showToast } = useToast();
     const { hasErrors } = useUnifiedValidation(article);
@@ -59,6 +60,14 @@ export const ArticleProperties = ({ article, publication, onUpdate }) => {
     const transitionInFlightRef = useRef(false);
     const isIgnored = ((typeof article?.markers === 'number' ? article.markers : 0) & MARKERS.IGNORE) !== 0;
 
+    // Átmenet-feltételek kontextusa: a `noUnresolvedUserValidations` guard a cikk
+    // megoldatlan felhasználói üzeneteinek számát igényli (a CF ugyanezt DB-ből számolja).
+    const guardContext = React.useMemo(() => ({
+        unresolvedUserValidationCount: (validations || [])
+            .filter(v => v.articleId === article?.$id && !v.isResolved)
+            .length
+    }), [validations, article?.$id]);
+
     // Elem jogosultságok
     const permissions = useElementPermissions([
         'articleName', 'articlePages', 'articleLayout',
@@ -354,12 +363,13 @@ export const ArticleProperties = ({ article, publication, onUpdate }) => {
      * Felelősségmegosztás:
      *   - UI (ez a handler): gyors előellenőrzések (in-flight guard, hasErrors, jogosultsági hint,
      *     filePath megléte) + toast-formázás a visszatérési értékből.
-     *   - Engine (`executeTransition`): drága validáció (preflight, file-accessible) + CF hívás.
-     *   - CF (update-article): végleges jogosultság-ellenőrzés és DB írás.
+     *   - Engine (`executeTransition`): átmenet-feltételek (guards), drága validáció
+     *     (preflight, file-accessible) + CF hívás.
+     *   - CF (update-article): végleges jogosultság- és guard-ellenőrzés, DB írás.
      *
      * @param {string} targetState - Cél-állapot string ID-ja
      */
-    const handleStateTransition = async (targetState) => {
+    const handleStateTransition = async (targetState, branchState = null) => {
         // In-flight guard — ref, mert a setState nem szinkron.
         if (transitionInFlightRef.current) return;
 
@@ -373,7 +383,8 @@ export const ArticleProperties = ({ article, publication, onUpdate }) => {
         }
 
         // Jogosultsági hint — a CF a végleges gate, de itt megspórolunk egy drága validáció + CF futást.
-        const permission = canUserMoveArticle(workflow, article.state, user?.groupSlugs || []);
+        // Párhuzamos ágnál a léptetett ág állapotára vonatkozik a jogosultság.
+        const permission = canUserMoveArticle(workflow, branchState || article.state, user?.groupSlugs || []);
         if (!permission.allowed) {
             showToast('Nincs jogosultságod az állapotváltáshoz', TOAST_TYPES.ERROR, permission.reason);
             return;
@@ -395,7 +406,7 @@ export const ArticleProperties = ({ article, publication, onUpdate }) => {
         );
 
         try {
-            const result = await WorkflowEngine.executeTransition(workflow, article, targetState, user, publication?.rootPath, extensionRegistry);
+            const result = await WorkflowEngine.executeTransition(workflow, article, targetState, user, publication?.rootPath, extensionRegistry, guardContext, branchState);
 
             if (result.success) {
                 applyArticleUpdate(result.document);
@@ -423,6 +434,16 @@ export const ArticleProperties = ({ article, publication, onUpdate }) => {
                 return;
             }
 
+            // Átmenet-feltétel bukás (kliens- vagy szerver-oldali) — feltételenként egy sor.
+            if (result.guardFailures) {
+                showToast(
+                    'Az átmenet feltételei nem teljesülnek',
+                    TOAST_TYPES.ERROR,
+                    result.guardFailures.map(f => f.description).join('\n')
+                );
+                return;
+            }
+
             // Szerver-oldali jogosultság-megtagadás.
             if (result.permissionDenied) {
                 showToast('Nincs jogosultságod az állapotváltáshoz', TOAST_TYPES.ERROR, result.error);
@@ -514,6 +535,8 @@ export const ArticleProperties = ({ article, publication, onUpdate }) => {
                     disabled={isIgnored}
                     contributorPermissions={contributorPermissions}
                 />
+
+                <StateHistorySection article={article} />
             </div>
         </div>
     );
@@ -13,6 +13,7 @@ import { useData } from "../../../../core/contexts/DataContext.jsx";
 import { WorkflowEngine } from "../../../../core/utils/workflow/workflowEngine.js";
 import { MARKERS } from "maestro-shared/constants.js";
 import { getStateConfig, getAvailableTransitions } from "maestro-shared/workflowRuntime.js";
+import { normalizeParallelStates, findForkJoin } from "maestro-shared/parallelStates.js";
 import { getContributor } from "maestro-shared/contributorHelpers.js";
 import { hasTransitionPermission } from "../../../../core/utils/workflow/workflowPermissions.js";
 import { STORAGE_KEYS } from "../../../../core/utils/constants.js";
@@ -31,6 +32,8 @@ import { isValidFileName } from "../../../../core/utils/pathUtils.js";
  * The workflow section shows the current state with a color-coded status box,
  * and provides backward/forward transition buttons when applicable transitions exist.
  * A „Kimarad" jelölő szürkíti a státuszt és letiltja az állapotátmeneteket.
+ * Párhuzamos szakaszban (fork / join) minden ág saját sort kap a saját
+ * átmenet-gombjaival; a join-ba ért ág „vár" jelzéssel áll a többire.
  *
  * When the start page is changed, the component:
  * 1. Checks if parity (odd/even) changes - shows a stronger warning if so
@@ -47,7 +50,7 @@ import { isValidFileName } from "../../../../core/utils/pathUtils.js";
  * @param {number} [props.article.markers] - Bitmask of active markers
  * @param {Function} props.onFieldUpdate - Callback to update article field: (fieldName, value) => void
  * @param {Function} props.onPageNumberChange - Callback to handle start page change with renumbering: (newStartPage, offset) => Promise<void>
- * @param {Function} props.onStateTransition - Callback to handle workflow state transition: (targetState) => void
+ * @param {Function} props.onStateTransition - Callback to handle workflow state transition: (targetState, branchState?) => void
  * @param {boolean} props.isSyncing - Whether an update is in progress (disables controls)
  * @returns {JSX.Element} The GeneralSection component
  */
@@ -83,30 +86,43 @@ export const GeneralSection = ({ article, user, workflow, onFieldUpdate, onPageN
         };
     })();
 
+    // Párhuzamos szakasz: a cikk egy fork-ban áll, az ágak a `parallelStates`-ben.
+    const branchStates = normalizeParallelStates(article.parallelStates);
+    const joinState = branchStates.length > 0 ? findForkJoin(workflow, currentState) : null;
+
     // Jogosultsági ellenőrzés: a felhasználó mozgathatja-e a cikket?
     const userGroups = user?.groupSlugs || [];
-    const canTransition = workflow ? hasTransitionPermission(workflow, currentState, userGroups) : false;
-
-    // Ellenőrzi, hogy a jelenlegi állapot felelős csapataiból van-e hozzárendelt munkatárs
-    const hasRequiredContributor = (() => {
-        const teams = workflow?.statePermissions?.[currentState];
-        if (!teams || teams.length === 0) return true;
-        return teams.some(slug => getContributor(article.contributors, slug));
-    })();
 
     // Aktív lock (USER = megnyitott fájl, SYSTEM = verifikáció alatt) → nincs állapotváltás.
     // A lock azt jelzi, hogy a dokumentum foglalt; a CF is elutasítaná, de UI-szinten is blokkoljuk.
     const isLocked = Boolean(article.lockType);
 
-    // Közös disabled + title a két átmenet-gombhoz (backward/forward).
-    const transitionDisabled = isIgnored || isSyncing || isLocked || !canTransition || !hasRequiredContributor ? true : undefined;
-    const transitionTitle = isLocked
-        ? "Zárd be az InDesign dokumentumot az állapotváltáshoz"
-        : !canTransition
-            ? "Nincs jogosultságod az állapotváltáshoz"
-            : !hasRequiredContributor
-                ? "Előbb rendelj hozzá felelős munkatársat"
-                : undefined;
+    /**
+     * Közös disabled + title egy állapot-sor két átmenet-gombjához (backward/forward).
+     * Párhuzamos szakaszban soronként (ágonként) más lehet a jogosultság.
+     *
+     * @param {string} stateId - A sor állapota (ág-token vagy `article.state`)
+     * @returns {{ disabled: true|undefined, title: string|undefined }}
+     */
+    const getTransitionGate = (stateId) => {
+        const canTransition = workflow ? hasTransitionPermission(workflow, stateId, userGroups) : false;
+
+        // Ellenőrzi, hogy az állapot felelős csapataiból van-e hozzárendelt munkatárs
+        const teams = workflow?.statePermissions?.[stateId];
+        const hasRequiredContributor = !teams || teams.length === 0
+            || teams.some(slug => getContributor(article.contributors, slug));
+
+        return {
+            disabled: isIgnored || isSyncing || isLocked || !canTransition || !hasRequiredContributor ? true : undefined,
+            title: isLocked
+                ? "Zárd be az InDesign dokumentumot az állapotváltáshoz"
+                : !canTransition
+                    ? "Nincs jogosultságod az állapotváltáshoz"
+                    : !hasRequiredContributor
+                        ? "Előbb rendelj hozzá felelős munkatársat"
+                        : undefined
+        };
+    };
 
     // Local state for Name field to allow "Enter to save" behavior
     const [localName, setLocalName] = useState(article.name || "");
@@ -283,6 +299,77 @@ export const GeneralSection = ({ article, user, workflow, onFieldUpdate, onPageN
     // Check if IGNORE marker is active
     const isIgnored = (activeMarkersMask & MARKERS.IGNORE) !== 0;
 
+    /**
+     * Egy állapot-sor: vissza-gomb (25%) + színes státusz-doboz (50%) + előre-gomb (25%).
+     *
+     * @param {string} stateId - A sor állapota
+     * @param {{label: string, color: string}} config - Megjelenítés
+     * @param {Array<Object>} transitions - A sorból induló átmenetek
+     * @param {string|null} branchState - Párhuzamos ágnál az ág-token (a CF-nek átadva)
+     */
+    const renderStateRow = (stateId, config, transitions, branchState) => {
+        const { disabled, title } = getTransitionGate(stateId);
+        const backwardTransition = transitions.find(t => t.direction === "backward");
+        const forwardTransition = transitions.find(t => t.direction === "forward");
+
+        return (
+            <div style={{ display: "flex" }}>
+
+                {/* Backward button (25%) */}
+                <div style={{ flex: 1 }}>
+                    {backwardTransition ? (
+                        <sp-button
+                            quiet
+                            variant="secondary"
+                            size="m"
+                            style={{ borderRadius: "12px 0 0 12px", width: "100%" }}
+                            onClick={() => onStateTransition(backwardTransition.to, branchState)}
+                            disabled={disabled}
+                            title={title}
+                        >
+                            ← {backwardTransition.label}
+                        </sp-button>
+                    ) : null}
+                </div>
+
+                {/* Status box (50%) — szürke ha kimarad */}
+                <div style={{
+                    flex: 1,
+                    backgroundColor: isIgnored ? "var(--spectrum-global-color-gray-500)" : config?.color,
+                    color: "var(--spectrum-global-color-gray-200)",
+                    borderRadius: "0",
+                    textAlign: "center",
+                    fontWeight: "700",
+                    fontSize: "14px",
+                    display: "flex",
+                    alignItems: "center",
+                    justifyContent: "center",
+                    minHeight: "24px"
+                }}>
+                    {isIgnored ? "Kimarad" : config?.label}
+                </div>
+
+                {/* Forward button (25%) */}
+                <div style={{ flex: 1 }}>
+                    {forwardTransition ? (
+                        <sp-button
+                            quiet
+                            variant="secondary"
+                            size="m"
+                            style={{ borderRadius: "0 12px 12px 0", width: "100%" }}
+                            onClick={() => onStateTransition(forwardTransition.to, branchState)}
+                            disabled={disabled}
+                            title={title}
+                        >
+                            {forwardTransition.label} →
+                        </sp-button>
+                    ) : null}
+                </div>
+
+            </div>
+        );
+    };
+
     return (
         <>
             <CollapsibleSection
@@ -353,71 +440,26 @@ export const GeneralSection = ({ article, user, workflow, onFieldUpdate, onPageN
                     </div>
 
                     {/* Workflow Section */}
-                    <div style={{ display: "flex", flexDirection: "column", marginBottom: "4px", marginTop: "12px" }}>
-
-                        {/* Workflow Status Controls Row */}
-                        <div style={{ display: "flex" }}>
-
-                            {/* Backward button (25%) */}
-                            <div style={{ flex: 1 }}>
-                                {(() => {
-                                    const backwardTransition = availableTransitions.find(t => t.direction === "backward");
-
-                                    return backwardTransition ? (
-                                        <sp-button
-                                            quiet
-                                            variant="secondary"
-                                            size="m"
-                                            style={{ borderRadius: "12px 0 0 12px", width: "100%" }}
-                                            onClick={() => onStateTransition(backwardTransition.to)}
-                                            disabled={transitionDisabled}
-                                            title={transitionTitle}
-                                        >
-                                            ← {backwardTransition.label}
-                                        </sp-button>
-                                    ) : null;
-                                })()}
-                            </div>
-
-                            {/* Status box (50%) — szürke ha kimarad */}
-                            <div style={{
-                                flex: 1,
-                                backgroundColor: isIgnored ? "var(--spectrum-global-color-gray-500)" : currentConfig?.color,
-                                color: "var(--spectrum-global-color-gray-200)",
-                                borderRadius: "0",
-                                textAlign: "center",
-                                fontWeight: "700",
-                                fontSize: "14px",
-                                display: "flex",
-                                alignItems: "center",
-                                justifyContent: "center",
-                                minHeight: "24px"
-                            }}>
-                                {isIgnored ? "Kimarad" : currentConfig?.label}
-                            </div>
-
-                            {/* Forward button (25%) */}
-                            <div style={{ flex: 1 }}>
-                                {(() => {
-                                    const forwardTransition = availableTransitions.find(t => t.direction === "forward");
-
-                                    return forwardTransition ? (
-                                        <sp-button
-                                            quiet
-                                            variant="secondary"
-                                            size="m"
-                                            style={{ borderRadius: "0 12px 12px 0", width: "100%" }}
-                                            onClick={() => onStateTransition(forwardTransition.to)}
-                                            disabled={transitionDisabled}
-                                            title={transitionTitle}
-                                        >
-                                            {forwardTransition.label} →
-                                        </sp-button>
-                                    ) : null;
-                                })()}
-                            </div>
-
-                        </div>
+                    <div style={{ display: "flex", flexDirection: "column", gap: "4px", marginBottom: "4px", marginTop: "12px" }}>
+                        {branchStates.length === 0
+                            ? renderStateRow(currentState, currentConfig, availableTransitions, null)
+                            : branchStates.map((branchState, index) => {
+                                const config = getStateConfig(workflow, branchState);
+                                const isWaiting = branchState === joinState;
+                                return (
+                                    <React.Fragment key={`${branchState}-${index}`}>
+                                        {renderStateRow(
+                                            branchState,
+                                            {
+                                                label: isWaiting ? `${config?.label || branchState} (vár)` : (config?.label || branchState),
+                                                color: config?.color || "#999999"
+                                            },
+                                            isWaiting ? [] : getAvailableTransitions(workflow, branchState),
+                                            branchState
+                                        )}
+                                    </React.Fragment>
+                                );
+                            })}
                     </div>
                 </div>
             </CollapsibleSection>
@@ -0,0 +1,108 @@
+// React
+import React from "react";
+
+// Context
+import { useData } from "../../../../core/contexts/DataContext.jsx";
+
+// Custom Hooks
+import { useArticleStateHistory } from "../../../../data/hooks/useArticleStateHistory.js";
+
+// Components
+import { CollapsibleSection } from "../../../common/CollapsibleSection.jsx";
+
+// Utils
+import { STORAGE_KEYS } from "../../../../core/utils/constants.js";
+import { formatMessageDate, formatExactDate } from "../../../../core/utils/messageConstants.js";
+import { getStateLabel, getStateColor } from "maestro-shared/workflowRuntime.js";
+import { MARKERS } from "maestro-shared/constants.js";
+
+/**
+ * StateHistorySection Component
+ *
+ * A cikk állapotváltásainak idővonala (legfrissebb elöl). Az adatok az
+ * `articleStateHistory` collection-ből jönnek, amit kizárólag az
+ * `update-article` CF ír — a szekció csak olvas.
+ *
+ * Egy bejegyzés: honnan → hova, ki váltott, mikor (relatív idő, tooltipben
+ * pontos), valamint a váltás pillanatának lock-kontextusa és „Kimarad" jelölője.
+ * A régi (snapshot-ból kikerült) állapot ID-k nyers ID-ként jelennek meg.
+ *
+ * @param {Object} props
+ * @param {Object} props.article - A cikk objektum
+ */
+export const StateHistorySection = ({ article }) => {
+    const { workflow } = useData();
+    const { entries, loading } = useArticleStateHistory(article?.$id, article?.state);
+
+    /** Egy állapot címkéje + színes pötty. */
+    const renderState = (stateId) => (
+        <span style={{ display: "inline-flex", alignItems: "center" }}>
+            <span style={{
+                width: "8px",
+                height: "8px",
+                borderRadius: "50%",
+                marginRight: "4px",
+                backgroundColor: getStateColor(workflow, stateId)
+            }} />
+            {getStateLabel(workflow, stateId)}
+        </span>
+    );
+
+    /** A váltás pillanatának kontextusa (lock + markers) rövid szövegként. */
+    const describeContext = (entry) => {
+        const parts = [];
+        if (entry.lockType === 'SYSTEM') parts.push('rendszer-zárolás alatt');
+        else if (entry.lockOwnerId) parts.push('megnyitva');
+        const markers = typeof entry.markers === 'number' ? entry.markers : 0;
+        if ((markers & MARKERS.IGNORE) !== 0) parts.push('kimarad');
+        return parts.join(', ');
+    };
+
+    return (
+        <CollapsibleSection
+            title="ÁLLAPOTTÖRTÉNET"
+            showDivider={true}
+            storageKey={STORAGE_KEYS.SECTION_ARTICLE_HISTORY_COLLAPSED}
+            defaultCollapsed={true}
+        >
+            {entries.length === 0 ? (
+                <sp-body size="S" style={{ opacity: 0.7 }}>
+                    {loading ? "Betöltés…" : "Még nincs rögzített állapotváltás."}
+                </sp-body>
+            ) : (
+                <div style={{ display: "flex", flexDirection: "column" }}>
+                    {entries.map((entry, index) => {
+                        const context = describeContext(entry);
+                        return (
+                            <div
+                                key={entry.$id}
+                                style={{
+                                    display: "flex",
+                                    flexDirection: "column",
+                                    padding: "6px 0 6px 10px",
+                                    borderLeft: "2px solid var(--spectrum-global-color-gray-400)",
+                                    marginBottom: index < entries.length - 1 ? "4px" : undefined,
+                                    fontSize: "12px"
+                                }}
+                            >
+                                <div style={{ display: "flex", alignItems: "center", flexWrap: "wrap" }}>
+                                    {renderState(entry.fromState)}
+                                    <span style={{ margin: "0 6px", opacity: 0.6 }}>→</span>
+                                    {renderState(entry.toState)}
+                                </div>
+                                <div style={{ opacity: 0.7, marginTop: "2px" }}>
+                                    <span title={formatExactDate(entry.transitionedAt)}>
+                                        {formatMessageDate(entry.transitionedAt)}
+                                    </span>
+                                    {" · "}
+                                    {entry.actorName || "Ismeretlen felhasználó"}
+                                    {context && ` · ${context}`}
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </CollapsibleSection>
+    );
+};
@@ -2,11 +2,12 @@ import React, { useState, useMemo, useEffect } from "react";
 
 // Contexts
 import { useUser } from "../../../../core/contexts/UserContext.jsx";
+import { useData } from "../../../../core/contexts/DataContext.jsx";
 import { useToast } from "../../../common/Toast/ToastContext.jsx";
 
 // Hooks
 import { useUnifiedValidation } from "../../../../data/hooks/useUnifiedValidation.js";
-import { useGroupMembers } from "../../../../data/hooks/useGroupMembers.js";
+import { useContributorGroups } from "../../../../data/hooks/useContributorGroups.js";
 
 // Components
 import { CollapsibleSection } from "../../../common/CollapsibleSection.jsx";
@@ -23,10 +24,14 @@ import {
     VALIDATION_TYPE_CONFIG,
     getRecipientName,
     getSenderName,
+    isMessageRecipient,
     formatMessageDate,
     formatExactDate
 } from "../../../../core/utils/messageConstants.js";
 
+/** A címzett-választóban a csoport opciók értéke: `group:<slug>` (Appwrite ID-ban nem fordul elő `:`). */
+const GROUP_OPTION_PREFIX = 'group:';
+
 // ── Icons & Styles ───────────────────────────────────────────────────────────
 
 const StatusIcon = ({ type }) => {
@@ -105,7 +110,7 @@ const renderPreflightBlock = (text, index, cardStyle) => {
 
 // ── ValidationItem Component ───────────────────────────────────────────────────
 
-const ValidationItem = ({ item, index, teamMembers, onSolve, onDowngrade, isDarkTheme, actionsAllowed = true }) => {
+const ValidationItem = ({ item, index, recipientContext, currentUserId, onSolve, onDowngrade, isDarkTheme, actionsAllowed = true }) => {
     const [isHovered, setIsHovered] = useState(false);
     const config = VALIDATION_TYPE_CONFIG[item.type] || VALIDATION_TYPE_CONFIG.INFO;
     const isResolved = item.isResolved;
@@ -167,8 +172,11 @@ const ValidationItem = ({ item, index, teamMembers, onSolve, onDowngrade, isDark
                         <span>
                             {item.isSystem ?
                                 (item.source === VALIDATION_SOURCES.SYSTEM_OVERRIDE ? 'Rendszer (Visszaminősítve)' : 'Rendszer') :
-                                `${getSenderName(item, teamMembers)} → ${getRecipientName(item, teamMembers)}`
+                                `${getSenderName(item, recipientContext)} → ${getRecipientName(item, recipientContext)}`
                             }
+                            {!item.isSystem && isMessageRecipient(item, currentUserId, recipientContext) && (
+                                <span style={{ fontWeight: "bold" }}> (neked)</span>
+                            )}
                         </span>
                         <span>{formatMessageDate(item.createdAt)}</span>
                     </div>
@@ -181,7 +189,7 @@ const ValidationItem = ({ item, index, teamMembers, onSolve, onDowngrade, isDark
                     {/* Solved Info */}
                     {isResolved && item.resolvedBy && (
                         <div style={{ fontSize: "11px", marginTop: "4px", fontStyle: "italic" }}>
-                            Megoldotta: {getSenderName({ createdBy: item.resolvedBy }, teamMembers)}, {formatExactDate(item.resolvedAt)}
+                            Megoldotta: {getSenderName({ createdBy: item.resolvedBy }, recipientContext)}, {formatExactDate(item.resolvedAt)}
                         </div>
                     )}
                 </div>
@@ -212,12 +220,18 @@ export const ValidationSection = ({ article, disabled, permissions }) => {
     const { unifiedList, isLoading, addValidation, resolveValidation, downgradeSystemError } = useUnifiedValidation(article);
     const { showToast } = useToast();
 
-    // Csoporttagok a címzett kiválasztáshoz
-    const { members: editors } = useGroupMembers('editors');
-    const { members: designers } = useGroupMembers('designers');
-    const { members: imageEditors } = useGroupMembers('image_editors');
-    const { members: writers } = useGroupMembers('writers');
-    const teamMembers = useMemo(() => ({ editors, designers, imageEditors, writers }), [editors, designers, imageEditors, writers]);
+    // A szerkesztőség csoportjai és tagjai — címzett-választó és olvasáskori
+    // címzett-feloldás. Az `orderingSlugs` ugyanaz, mint az ArticleProperties-ben,
+    // így a hook modul-szintű cache-e közös.
+    const { workflow } = useData();
+    const orderingSlugs = useMemo(
+        () => Array.isArray(workflow?.requiredGroupSlugs)
+            ? workflow.requiredGroupSlugs.map(g => g.slug).filter(Boolean)
+            : null,
+        [workflow]
+    );
+    const { groups, membersBySlug } = useContributorGroups({ orderingSlugs });
+    const recipientContext = useMemo(() => ({ groups, membersBySlug, article }), [groups, membersBySlug, article]);
 
     // UI States
     const [newItemType, setNewItemType] = useState(VALIDATION_TYPES.ERROR);
@@ -281,10 +295,19 @@ export const ValidationSection = ({ article, disabled, permissions }) => {
 
         setIsSending(true);
         try {
-            const isGroup = Object.keys(RECIPIENT_TYPE_LABELS).includes(selectedRecipient);
+            let recipient;
+            if (selectedRecipient === RECIPIENT_TYPES.ARTICLE_CONTRIBUTORS) {
+                recipient = { recipientType: RECIPIENT_TYPES.ARTICLE_CONTRIBUTORS };
+            } else if (selectedRecipient.startsWith(GROUP_OPTION_PREFIX)) {
+                recipient = {
+                    recipientType: RECIPIENT_TYPES.GROUP,
+                    recipientGroupSlug: selectedRecipient.slice(GROUP_OPTION_PREFIX.length)
+                };
+            } else {
+                recipient = { recipientType: RECIPIENT_TYPES.USER, recipientUserId: selectedRecipient };
+            }
             await addValidation({
-                recipientType: isGroup ? selectedRecipient : RECIPIENT_TYPES.USER,
-                recipientUserId: isGroup ? null : selectedRecipient,
+                ...recipient,
                 description: description.trim(),
                 type: newItemType,
                 createdBy: user.$id
@@ -318,26 +341,28 @@ export const ValidationSection = ({ article, disabled, permissions }) => {
     // ── Render Helpers ─────────────────────────────────────────────────────────
 
     const recipientOptions = useMemo(() => {
-        const groupItems = Object.entries(RECIPIENT_TYPE_LABELS)
-            .filter(([key]) => key !== RECIPIENT_TYPES.USER)
-            .map(([key, label]) => ({ id: key, name: label }));
-
-        // Deduplicate users — Set-alapú, O(n) (korábban findIndex-szel O(n²) volt)
+        // Archivált csoportnak nem küldünk új üzenetet (a régiek címzettje
+        // továbbra is feloldódik).
+        const activeGroups = groups.filter(g => !g.archivedAt);
+        const groupItems = [
+            { id: RECIPIENT_TYPES.ARTICLE_CONTRIBUTORS, name: RECIPIENT_TYPE_LABELS[RECIPIENT_TYPES.ARTICLE_CONTRIBUTORS] },
+            ...activeGroups.map(g => ({ id: `${GROUP_OPTION_PREFIX}${g.slug}`, name: g.name }))
+        ];
+
+        // Deduplicate users — Set-alapú, O(n); a szerep az első (workflow-sorrend
+        // szerinti) csoport neve.
         const seen = new Set();
         const memberItems = [];
-        const appendUniqueMembers = (members, role) => {
-            for (const m of members) {
+        for (const g of activeGroups) {
+            for (const m of membersBySlug[g.slug] || []) {
                 if (seen.has(m.userId)) continue;
                 seen.add(m.userId);
-                memberItems.push({ id: m.userId, name: `${m.userName} (${role})` });
+                memberItems.push({ id: m.userId, name: `${m.userName || m.userEmail} (${g.name})` });
             }
-        };
-        appendUniqueMembers(editors, 'Szerkesztő');
-        appendUniqueMembers(designers, 'Tervező');
-        appendUniqueMembers(imageEditors, 'Képszerkesztő');
+        }
 
         return { groups: groupItems, members: memberItems };
-    }, [editors, designers, imageEditors]);
+    }, [groups, membersBySlug]);
 
 
     // ── JSX ────────────────────────────────────────────────────────────────────
@@ -427,7 +452,8 @@ export const ValidationSection = ({ article, disabled, permissions }) => {
                             key={item.$id || `sys-${index}`}
                             item={item}
                             index={index}
-                            teamMembers={teamMembers}
+                            recipientContext={recipientContext}
+                            currentUserId={user?.$id}
                             onSolve={handleSolve}
                             onDowngrade={handleDowngrade}
                             isDarkTheme={isDarkTheme}
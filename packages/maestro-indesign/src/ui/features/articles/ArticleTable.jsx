@@ -7,21 +7,62 @@ import { VALIDATION_SOURCES } from "../../../core/utils/validationConstants.js";
 import { VALIDATION_TYPES } from "../../../core/utils/messageConstants.js";
 import { useUser } from "../../../core/contexts/UserContext.jsx";
 import { CustomTable } from "../../common/Table/CustomTable.jsx";
+import { CustomDropdown } from "../../common/CustomDropdown.jsx";
+import { ConfirmDialog } from "../../common/ConfirmDialog.jsx";
 import { useValidation } from "../../../core/contexts/ValidationContext.jsx";
 import { useData } from "../../../core/contexts/DataContext.jsx";
+import { WorkflowEngine } from "../../../core/utils/workflow/workflowEngine.js";
+import { canUserMoveArticle } from "../../../core/utils/workflow/workflowPermissions.js";
+import { getStateLabel } from "maestro-shared/workflowRuntime.js";
+import { getActiveStates } from "maestro-shared/parallelStates.js";
+import { AD_SIZE_LABELS, AD_STATUS_LABELS } from "maestro-shared/ads.js";
+import { formatRemainingWorkBreakdown } from "../../../core/utils/urgencyUtils.js";
+import { logError } from "../../../core/utils/logger.js";
 
 /** Helykitöltő sorok háttérszíne (UXP nem támogatja a repeating-linear-gradient-et) */
 const PLACEHOLDER_BG = 'rgba(128, 128, 128, 0.06)';
 
+/** Hirdetés sorok háttérszíne */
+const AD_BG = 'rgba(230, 134, 25, 0.08)';
+
+/** Tömeges átmenet eredményjelentésének sor-jelei státusz szerint. */
+const BULK_STATUS_MARKS = { success: "✓", skipped: "–", failed: "✗" };
+
+/** Helykitöltő és hirdetés sor nem jelölhető ki tömeges műveletre. */
+const isRowSelectable = (article) => !article.isPlaceholder && !article.isAd;
+
+/** A hirdetés sor (`buildAdRows`) validációs elemei — a hirdetés saját ütközései. */
+const getAdItems = (row) => [
+    ...row.adErrors.map(message => ({ type: VALIDATION_TYPES.ERROR, message })),
+    ...row.adWarnings.map(message => ({ type: VALIDATION_TYPES.WARNING, message }))
+];
+
+/**
+ * A cikk állapota, amelyből a célállapotba vezető átmenet indul — párhuzamos
+ * szakaszban az első olyan ág, amelyből van ilyen átmenet.
+ */
+const getTransitionSource = (workflow, article, targetState) => {
+    const activeStates = getActiveStates(article);
+    return activeStates.find(state => workflow?.transitions?.some(t => t.from === state && t.to === targetState))
+        || article.state;
+};
+
 export const ArticleTable = ({ articles, publication, onOpen, onShowProperties }) => {
     const { user: currentUser } = useUser();
     const { validationResults } = useValidation();
-    const { validations, deadlines } = useData();
+    const { validations, deadlines, workflow, extensionRegistry, applyArticleUpdate } = useData();
     const urgencyMap = useUrgency(articles, deadlines, publication);
     const [sortColumn, setSortColumn] = useState("startPage");
     const [sortDirection, setSortDirection] = useState("asc");
     const clickTimerRef = useRef(null);
 
+    // Tömeges állapotváltás: kijelölt cikkek + célállapot + eredményjelentés
+    const [selectedIds, setSelectedIds] = useState(() => new Set());
+    const [bulkTarget, setBulkTarget] = useState(null);
+    const [isBulkRunning, setIsBulkRunning] = useState(false);
+    const [bulkReport, setBulkReport] = useState(null);
+    const bulkInFlightRef = useRef(false);
+
     useEffect(() => {
         return () => {
             if (clickTimerRef.current) {
@@ -87,7 +128,7 @@ export const ArticleTable = ({ articles, publication, onOpen, onShowProperties }
      * 2 = error, 1 = warning, 0 = ok
      */
     const getValidationSeverity = useCallback((article) => {
-        const activeItems = getAllActiveItems(article.$id);
+        const activeItems = article.isAd ? getAdItems(article) : getAllActiveItems(article.$id);
         if (activeItems.some(i => i.type === VALIDATION_TYPES.ERROR)) return 2;
         if (activeItems.some(i => i.type === VALIDATION_TYPES.WARNING)) return 1;
         return 0;
@@ -135,7 +176,14 @@ export const ArticleTable = ({ articles, publication, onOpen, onShowProperties }
                 if (article.isPlaceholder) {
                     return (
                         <span style={{ fontStyle: "italic", color: "var(--spectrum-global-color-gray-500)" }}>
-                            Nincs hozzárendelt cikk
+                            {article.isPlanned ? `${article.name} (tervezett)` : "Nincs hozzárendelt cikk"}
+                        </span>
+                    );
+                }
+                if (article.isAd) {
+                    return (
+                        <span style={{ fontStyle: "italic" }}>
+                            {`Hirdetés: ${article.name} (${AD_SIZE_LABELS[article.ad.size] || article.ad.size})`}
                         </span>
                     );
                 }
@@ -148,7 +196,7 @@ export const ArticleTable = ({ articles, publication, onOpen, onShowProperties }
             width: "20%",
             sortable: true,
             renderCell: (article) => {
-                if (article.isPlaceholder) return null;
+                if (article.isPlaceholder || article.isAd) return null;
                 const lockLabel = getLockLabel(article);
                 return lockLabel && (
                     <span style={{ fontSize: "10px", fontWeight: "bold", textTransform: "uppercase", display: "block" }}>
@@ -162,7 +210,19 @@ export const ArticleTable = ({ articles, publication, onOpen, onShowProperties }
             label: "Státusz",
             width: "15%",
             sortable: true,
-            renderCell: (article) => article.isPlaceholder ? null : <WorkflowStatus article={article} />
+            renderCell: (article) => {
+                if (article.isPlaceholder) return null;
+                if (article.isAd) {
+                    return (
+                        <span style={{ fontSize: "11px" }}>
+                            {AD_STATUS_LABELS[article.ad.status] || article.ad.status}
+                        </span>
+                    );
+                }
+                // Tooltip: a hátralévő munka állapotonkénti bontása (a sürgősség alapja)
+                const remainingText = formatRemainingWorkBreakdown(workflow, urgencyMap.get(article.$id)?.remainingWork);
+                return <WorkflowStatus article={article} detail={remainingText} />;
+            }
         },
         {
             id: "validator",
@@ -172,7 +232,7 @@ export const ArticleTable = ({ articles, publication, onOpen, onShowProperties }
             align: "center",
             renderCell: (article) => {
                 if (article.isPlaceholder) return null;
-                const activeItems = getAllActiveItems(article.$id);
+                const activeItems = article.isAd ? getAdItems(article) : getAllActiveItems(article.$id);
                 if (activeItems.length === 0) return null;
 
                 const hasErrors = activeItems.some(i => i.type === VALIDATION_TYPES.ERROR);
@@ -202,7 +262,7 @@ export const ArticleTable = ({ articles, publication, onOpen, onShowProperties }
                 );
             }
         }
-    ], [formatPageRange, getLockLabel, getAllActiveItems]);
+    ], [formatPageRange, getLockLabel, getAllActiveItems, workflow, urgencyMap]);
 
     if (prevColumnsRef.current !== columns) {
         renderVersionRef.current += 1;
@@ -266,7 +326,7 @@ export const ArticleTable = ({ articles, publication, onOpen, onShowProperties }
     };
 
     const handleRowClick = (article) => {
-        if (article.isPlaceholder) return;
+        if (article.isPlaceholder || article.isAd) return;
         if (clickTimerRef.current) {
             clearTimeout(clickTimerRef.current);
         }
@@ -276,8 +336,10 @@ export const ArticleTable = ({ articles, publication, onOpen, onShowProperties }
         }, UI_TIMING.CLICK_DEBOUNCE_MS);
     };
 
-    /** Sürgősség alapú sor háttér (progresszív gradient) + helykitöltő csíkos minta */
+    /** Sürgősség alapú sor háttér (progresszív gradient) + helykitöltő csíkos minta + hirdetés háttér */
     const getRowStyle = useCallback((article) => {
+        if (article.isAd) return { backgroundColor: AD_BG };
+
         const urgencyBg = urgencyMap.get(article.$id)?.background;
 
         if (article.isPlaceholder) {
@@ -291,8 +353,120 @@ export const ArticleTable = ({ articles, publication, onOpen, onShowProperties }
         return { background: urgencyBg };
     }, [urgencyMap]);
 
+    // A szűrés / Realtime törlés miatt eltűnt cikkek kiesnek a kijelölésből.
+    useEffect(() => {
+        setSelectedIds(prev => {
+            if (prev.size === 0) return prev;
+            const visibleIds = new Set(articles.filter(isRowSelectable).map(a => a.$id));
+            const next = new Set([...prev].filter(id => visibleIds.has(id)));
+            return next.size === prev.size ? prev : next;
+        });
+    }, [articles]);
+
+    const selectedArticles = useMemo(
+        () => sortedArticles.filter(a => selectedIds.has(a.$id)),
+        [sortedArticles, selectedIds]
+    );
+
+    /** Célállapot-jelöltek: bármely kijelölt cikk aktív állapotából induló átmenetek céljai. */
+    const bulkTargets = useMemo(() => {
+        const targets = new Set();
+        for (const article of selectedArticles) {
+            for (const state of getActiveStates(article)) {
+                for (const t of WorkflowEngine.getAvailableTransitions(workflow, state)) {
+                    targets.add(t.to);
+                }
+            }
+        }
+        return (workflow?.states || []).map(s => s.id).filter(id => targets.has(id));
+    }, [selectedArticles, workflow]);
+
+    useEffect(() => {
+        if (bulkTarget && !bulkTargets.includes(bulkTarget)) setBulkTarget(null);
+    }, [bulkTarget, bulkTargets]);
+
+    const handleToggleSelect = useCallback((article) => {
+        setSelectedIds(prev => {
+            const next = new Set(prev);
+            if (next.has(article.$id)) next.delete(article.$id);
+            else next.add(article.$id);
+            return next;
+        });
+    }, []);
+
+    const handleToggleSelectAll = useCallback(() => {
+        const selectableIds = articles.filter(isRowSelectable).map(a => a.$id);
+        setSelectedIds(prev => (
+            prev.size >= selectableIds.length ? new Set() : new Set(selectableIds)
+        ));
+    }, [articles]);
+
+    /**
+     * Tömeges „állapotba mozgatás". A gyors előszűrés (javítatlan hibák,
+     * jogosultsági hint, hiányzó fájl) itt fut — mint az egyedi váltásnál az
+     * ArticleProperties-ben —, a cikkenkénti validációt és a batch CF-írást a
+     * `WorkflowEngine.executeBulkTransition` végzi.
+     */
+    const handleBulkTransition = useCallback(async () => {
+        if (bulkInFlightRef.current || !bulkTarget || selectedArticles.length === 0) return;
+        bulkInFlightRef.current = true;
+        setIsBulkRunning(true);
+
+        try {
+            const preResults = new Map();
+            const runnable = [];
+            for (const article of selectedArticles) {
+                if (getAllActiveItems(article.$id).some(i => i.type === VALIDATION_TYPES.ERROR)) {
+                    preResults.set(article.$id, { article, status: "skipped", message: "Javítatlan hibák tartoznak hozzá." });
+                    continue;
+                }
+                const permission = canUserMoveArticle(workflow, getTransitionSource(workflow, article, bulkTarget), currentUser?.groupSlugs || []);
+                if (!permission.allowed) {
+                    preResults.set(article.$id, { article, status: "failed", message: permission.reason });
+                    continue;
+                }
+                if (!article.filePath) {
+                    preResults.set(article.$id, { article, status: "failed", message: "Nincs fájl útvonal." });
+                    continue;
+                }
+                runnable.push(article);
+            }
+
+            const engineResults = await WorkflowEngine.executeBulkTransition(
+                workflow, runnable, bulkTarget, currentUser, publication?.rootPath, extensionRegistry,
+                (article) => ({
+                    unresolvedUserValidationCount: (validations || [])
+                        .filter(v => v.articleId === article.$id && !v.isResolved)
+                        .length
+                })
+            );
+            for (const result of engineResults) {
+                preResults.set(result.article.$id, result);
+                if (result.status === "success" && result.document) applyArticleUpdate(result.document);
+            }
+
+            const results = selectedArticles.map(a => preResults.get(a.$id));
+            const successCount = results.filter(r => r.status === "success").length;
+            setSelectedIds(prev => new Set([...prev].filter(id => preResults.get(id)?.status !== "success")));
+            setBulkReport({
+                title: `Tömeges állapotváltás: ${getStateLabel(workflow, bulkTarget)}`,
+                message: [
+                    `${successCount} / ${results.length} cikk átmozgatva.`,
+                    "",
+                    ...results.map(r => `${BULK_STATUS_MARKS[r.status]} ${r.article.name || "Névtelen"}${r.message ? ` — ${r.message}` : ""}`)
+                ].join("\n")
+            });
+        } catch (error) {
+            logError("[ArticleTable] Tömeges állapotváltás hiba:", error);
+            setBulkReport({ title: "Tömeges állapotváltás sikertelen", message: error.message || "Ismeretlen hiba." });
+        } finally {
+            bulkInFlightRef.current = false;
+            setIsBulkRunning(false);
+        }
+    }, [bulkTarget, selectedArticles, getAllActiveItems, workflow, currentUser, publication, extensionRegistry, validations, applyArticleUpdate]);
+
     const handleRowDoubleClick = (article) => {
-        if (article.isPlaceholder) return;
+        if (article.isPlaceholder || article.isAd) return;
         if (clickTimerRef.current) {
             clearTimeout(clickTimerRef.current);
             clickTimerRef.current = null;
@@ -301,16 +475,69 @@ export const ArticleTable = ({ articles, publication, onOpen, onShowProperties }
     };
 
     return (
-        <CustomTable
-            columns={columns}
-            data={sortedArticles}
-            sortColumn={sortColumn}
-            sortDirection={sortDirection}
-            onSort={handleSort}
-            onRowClick={handleRowClick}
-            onRowDoubleClick={handleRowDoubleClick}
-            getRowStyle={getRowStyle}
-            renderVersion={renderVersionRef.current}
-        />
+        <>
+            {/* Tömeges művelet sáv — csak kijelölés esetén */}
+            {selectedArticles.length > 0 && (
+                <div style={{ display: "flex", alignItems: "center", gap: "8px", padding: "4px 0", flex: "0 0 auto" }}>
+                    <sp-detail style={{ whiteSpace: "nowrap" }}>{selectedArticles.length} kijelölve</sp-detail>
+                    <CustomDropdown
+                        id={`bulk-target-${publication?.$id}`}
+                        value={bulkTarget}
+                        onChange={setBulkTarget}
+                        placeholder={bulkTargets.length > 0 ? "Célállapot" : "Nincs közös átmenet"}
+                        disabled={isBulkRunning || bulkTargets.length === 0 ? true : undefined}
+                        style={{ flex: 1, minWidth: 0 }}
+                    >
+                        <sp-menu slot="options" size="s">
+                            {bulkTargets.map(stateId => (
+                                <sp-menu-item key={stateId} value={stateId}>{getStateLabel(workflow, stateId)}</sp-menu-item>
+                            ))}
+                        </sp-menu>
+                    </CustomDropdown>
+                    <sp-button
+                        size="s"
+                        variant="primary"
+                        onClick={handleBulkTransition}
+                        disabled={isBulkRunning || !bulkTarget ? true : undefined}
+                    >
+                        {isBulkRunning ? "Mozgatás…" : "Mozgatás"}
+                    </sp-button>
+                    <sp-button
+                        size="s"
+                        variant="secondary"
+                        quiet
+                        onClick={() => setSelectedIds(new Set())}
+                        disabled={isBulkRunning ? true : undefined}
+                    >
+                        Mégse
+                    </sp-button>
+                </div>
+            )}
+
+            <CustomTable
+                columns={columns}
+                data={sortedArticles}
+                sortColumn={sortColumn}
+                sortDirection={sortDirection}
+                onSort={handleSort}
+                onRowClick={handleRowClick}
+                onRowDoubleClick={handleRowDoubleClick}
+                getRowStyle={getRowStyle}
+                renderVersion={renderVersionRef.current}
+                selectedIds={selectedIds}
+                onToggleSelect={handleToggleSelect}
+                onToggleSelectAll={handleToggleSelectAll}
+                isRowSelectable={isRowSelectable}
+            />
+
+            <ConfirmDialog
+                isOpen={!!bulkReport}
+                title={bulkReport?.title || ""}
+                message={bulkReport?.message || ""}
+                isAlert={true}
+                onConfirm={() => setBulkReport(null)}
+                onCancel={() => setBulkReport(null)}
+            />
+        </>
     );
 };
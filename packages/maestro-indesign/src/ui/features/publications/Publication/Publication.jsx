@@ -15,6 +15,10 @@ import { MARKERS } from "maestro-shared/constants.js";
 import { logDebug, logError } from "../../../../core/utils/logger.js";
 import { MaestroEvent, dispatchMaestroEvent } from "../../../../core/config/maestroEvents.js";
 import { buildPlaceholderRows } from "../../../../core/utils/pageGapUtils.js";
+import { buildAdRows } from "maestro-shared/ads.js";
+import { getPublicationCommands, getPublicationValidations, canRunPublicationCommand } from "maestro-shared/workflowRuntime.js";
+import { parseExtensionRef, buildExtensionInput } from "maestro-shared/extensionContract.js";
+import { dispatchExtensionValidator, dispatchExtensionCommand } from "../../../../core/utils/extensions/extensionRegistry.js";
 import { isContributor } from "maestro-shared/contributorHelpers.js";
 import { toCanonicalPath, isUnderMountPrefix, currentMountPrefix } from "../../../../core/utils/pathUtils.js";
 import { callSetPublicationRootPathCF } from "../../../../core/utils/updatePublicationClient.js";
@@ -27,7 +31,7 @@ export const Publication = React.memo(({ publication, onShowProperties, onOpenIn
     //   - !isDriveAccessible → piros „mappa nem érhető el" (rootPath be van állítva, de nem elérhető)
     const isBlocked = !isConfigured || !isDriveAccessible;
     const { user } = useUser();
-    const { workflow } = useData();
+    const { workflow, ads, layouts, deadlines, extensionRegistry } = useData();
     const {
         articles,
         addArticle,
@@ -48,6 +52,11 @@ export const Publication = React.memo(({ publication, onShowProperties, onOpenIn
     const isSavingRootPathRef = useRef(false);
     const [isRootPathButtonFocused, setIsRootPathButtonFocused] = useState(false);
 
+    // Kiadvány-szintű extension futás alatt (a futó művelet kulcsa: 'validate' vagy a parancs id-ja).
+    // Ref-zár a dupla kattintás ellen — a state csak a gombfeliratot / tiltást hajtja.
+    const [runningExtension, setRunningExtension] = useState(null);
+    const isRunningExtensionRef = useRef(false);
+
     // Szűrő állapot a központi filterState prop-ból
     const { statusFilters, showIgnored, showOnlyMine, showPlaceholders } = filterState;
 
@@ -67,19 +76,43 @@ export const Publication = React.memo(({ publication, onShowProperties, onOpenIn
         return filtered;
     }, [articles, statusFilters, showIgnored, showOnlyMine, userGroupSlugs, user?.$id]);
 
-    /** Helykitöltő sorok: a kiadvány terjedelmén belüli lefedetlen oldalcsoportok.
+    /** A kiadvány hirdetései (a DataContext csak az aktív kiadványét tölti). */
+    const publicationAds = useMemo(
+        () => ads.filter(ad => ad.publicationId === publication.$id),
+        [ads, publication.$id]
+    );
+
+    /** Helykitöltő sorok: a kiadvány terjedelmén belüli lefedetlen oldalcsoportok
+     *  (az egész oldalas hirdetés oldala nem rés).
      *  Unconfigured pub-nál üres — a „Konfiguráció szükséges" banner mellé egy teljes
      *  flatplan-placeholder tábla ellentmondana. */
     const placeholderRows = useMemo(() => {
         if (!isConfigured) return [];
-        return buildPlaceholderRows(articles, publication, workflow);
-    }, [articles, publication, workflow, isConfigured]);
+        return buildPlaceholderRows(articles, publication, workflow, publicationAds);
+    }, [articles, publication, workflow, publicationAds, isConfigured]);
+
+    /** Kiadvány-szintű extension-ök (`compiled.publicationExtensions`) — parancs-címke a
+     *  snapshot `name` mezőjéből, fallback a slug-ra. */
+    const publicationValidations = useMemo(() => getPublicationValidations(workflow), [workflow]);
+    const publicationCommands = useMemo(() => getPublicationCommands(workflow).map(cmd => {
+        const ref = parseExtensionRef(cmd.id);
+        const ext = ref ? extensionRegistry.get(ref.slug) : null;
+        return { ...cmd, label: ext?.name || ref?.slug || cmd.id };
+    }), [workflow, extensionRegistry]);
+
+    /** Hirdetés sorok (csak olvasható — a hirdetéseket a Dashboard kezeli). */
+    const adRows = useMemo(
+        () => buildAdRows(publicationAds, publication),
+        [publicationAds, publication]
+    );
 
-    /** Táblázat adatai: szűrt cikkek + opcionálisan helykitöltők */
+    /** Táblázat adatai: szűrt cikkek + hirdetések + opcionálisan helykitöltők.
+     *  A „Csak az enyém" szűrő a hirdetéseket is elrejti (nincs közreműködőjük). */
     const tableData = useMemo(() => {
-        if (showOnlyMine || !showPlaceholders) return filteredArticles;
-        return [...filteredArticles, ...placeholderRows];
-    }, [filteredArticles, placeholderRows, showPlaceholders, showOnlyMine]);
+        if (showOnlyMine) return filteredArticles;
+        if (!showPlaceholders) return [...filteredArticles, ...adRows];
+        return [...filteredArticles, ...adRows, ...placeholderRows];
+    }, [filteredArticles, adRows, placeholderRows, showPlaceholders, showOnlyMine]);
 
     // Dupla Dashboard open guard: fejléc dupla kattintás + hover ikon gyors egymás utáni
     // triggerelése két JWT lekérést és két tab-nyitást eredményezne. 1s-os ref-alapú zár
@@ -222,6 +255,99 @@ export const Publication = React.memo(({ publication, onShowProperties, onOpenIn
         }
     }, [addArticle, isExpanded, onToggle, isBlocked, publication.$id]);
 
+    /** A kiadvány-szintű extension JSON I/O inputja (`extensionContract.js` 6. blokk).
+     *  A layoutok / lapzárták a DataContext-ben csak az aktív kiadványéi — a szűrés defense-in-depth. */
+    const buildPublicationExtensionInput = useCallback((kind, options) => buildExtensionInput({
+        kind,
+        scope: 'publication',
+        publication,
+        articles,
+        layouts: layouts.filter(l => l.publicationId === publication.$id),
+        deadlines: deadlines.filter(d => d.publicationId === publication.$id),
+        options
+    }), [publication, articles, layouts, deadlines]);
+
+    const handleRunPublicationValidations = useCallback(async () => {
+        if (isRunningExtensionRef.current || publicationValidations.length === 0) return;
+        isRunningExtensionRef.current = true;
+        setRunningExtension('validate');
+        try {
+            const errors = [];
+            const warnings = [];
+            for (const item of publicationValidations) {
+                const ref = parseExtensionRef(typeof item === 'string' ? item : item?.validator);
+                if (!ref) continue;
+                const result = await dispatchExtensionValidator(
+                    extensionRegistry, ref.slug, buildPublicationExtensionInput('validator', item?.options), 'publication'
+                );
+                errors.push(...result.errors);
+                warnings.push(...result.warnings);
+            }
+
+            let message = errors.length === 0 && warnings.length === 0
+                ? "Minden kiadvány-ellenőrzés sikeres."
+                : "";
+            if (errors.length > 0) message += `Hibák:\n${errors.join("\n")}\n\n`;
+            if (warnings.length > 0) message += `Figyelmeztetések:\n${warnings.join("\n")}`;
+            setDialogConfig({
+                title: errors.length > 0 ? "Kiadvány-ellenőrzés: hibák" : "Kiadvány-ellenőrzés",
+                message: message.trim(),
+                isAlert: true
+            });
+            setDialogOpen(true);
+        } catch (err) {
+            logError("[Publication] Publication validation error:", err);
+            setDialogConfig({
+                title: "Hiba",
+                message: "A kiadvány-ellenőrzés nem futott le: " + err.message,
+                isAlert: true
+            });
+            setDialogOpen(true);
+        } finally {
+            isRunningExtensionRef.current = false;
+            setRunningExtension(null);
+        }
+    }, [publicationValidations, extensionRegistry, buildPublicationExtensionInput]);
+
+    const handleRunPublicationCommand = useCallback(async (cmd) => {
+        if (isRunningExtensionRef.current) return;
+        const permission = canRunPublicationCommand(workflow, cmd.id, userGroupSlugs);
+        if (!permission.allowed) {
+            setDialogConfig({ title: cmd.label, message: permission.reason, isAlert: true });
+            setDialogOpen(true);
+            return;
+        }
+        const ref = parseExtensionRef(cmd.id);
+        if (!ref) return;
+
+        isRunningExtensionRef.current = true;
+        setRunningExtension(cmd.id);
+        try {
+            const result = await dispatchExtensionCommand(
+                extensionRegistry, ref.slug, buildPublicationExtensionInput('command', cmd.options), 'publication'
+            );
+            setDialogConfig({
+                title: result.success ? cmd.label : "A művelet sikertelen",
+                message: result.success
+                    ? (result.message || "Művelet végrehajtva")
+                    : (result.error || "Ismeretlen hiba történt a végrehajtás során."),
+                isAlert: true
+            });
+            setDialogOpen(true);
+        } catch (err) {
+            logError("[Publication] Publication command error:", err);
+            setDialogConfig({
+                title: "Váratlan hiba",
+                message: err.message || "Ismeretlen hiba történt a parancs végrehajtása közben.",
+                isAlert: true
+            });
+            setDialogOpen(true);
+        } finally {
+            isRunningExtensionRef.current = false;
+            setRunningExtension(null);
+        }
+    }, [workflow, userGroupSlugs, extensionRegistry, buildPublicationExtensionInput]);
+
     // rootPath beállítás trigger (narancs bannerből): folder picker → mount-prefix check → confirm dialog.
     // A tényleges CF hívás a `confirmSetRootPath`-ban fut.
     const handleSetRootPathClick = useCallback(async () => {
@@ -340,6 +466,10 @@ export const Publication = React.memo(({ publication, onShowProperties, onOpenIn
             ? "A kiadvány mappája nem elérhető — a cikkfelvétel most nem lehetséges"
             : "Cikk hozzáadása");
 
+    const blockedCommandTooltip = !isConfigured
+        ? "A kiadvány gyökérmappája még nincs beállítva — a parancs nem futtatható"
+        : "A kiadvány mappája nem elérhető — a parancs most nem futtatható";
+
     return (
         <div
             style={{
@@ -521,6 +651,42 @@ export const Publication = React.memo(({ publication, onShowProperties, onOpenIn
                 )
             }
 
+            {/* Kiadvány-szintű extension-ök (`scope: 'publication'`). Blokkolt kiadványon a parancsok
+                tiltottak (fájlrendszer-műveletek a `publicationRoot` alatt), az ellenőrzés fut. */}
+            {
+                isExpanded && (publicationValidations.length > 0 || publicationCommands.length > 0) && (
+                    <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "4px", marginTop: "4px", marginBottom: "4px", flexShrink: 0 }}>
+                        {publicationValidations.length > 0 && (
+                            <sp-action-button
+                                size="s"
+                                quiet
+                                disabled={runningExtension !== null || undefined}
+                                onClick={handleRunPublicationValidations}
+                                title="A kiadvány-szintű ellenőrzések futtatása"
+                            >
+                                {runningExtension === 'validate' ? "Ellenőrzés…" : "Kiadvány ellenőrzése"}
+                            </sp-action-button>
+                        )}
+                        {publicationCommands.map(cmd => {
+                            const permission = canRunPublicationCommand(workflow, cmd.id, userGroupSlugs);
+                            const isDisabled = isBlocked || !permission.allowed || runningExtension !== null;
+                            return (
+                                <sp-action-button
+                                    key={cmd.id}
+                                    size="s"
+                                    quiet
+                                    disabled={isDisabled || undefined}
+                                    onClick={() => handleRunPublicationCommand(cmd)}
+                                    title={isBlocked ? blockedCommandTooltip : (permission.reason || cmd.label)}
+                                >
+                                    {runningExtension === cmd.id ? "Futtatás…" : cmd.label}
+                                </sp-action-button>
+                            );
+                        })}
+                    </div>
+                )
+            }
+
             {
                 isExpanded && (
                     <ArticleTable
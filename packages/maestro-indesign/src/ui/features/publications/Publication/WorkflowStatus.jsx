@@ -2,15 +2,29 @@ import React from "react";
 import { useData } from "../../../../core/contexts/DataContext.jsx";
 import { getStateConfig } from "maestro-shared/workflowRuntime.js";
 import { MARKERS } from "maestro-shared/constants.js";
+import { normalizeParallelStates } from "maestro-shared/parallelStates.js";
 
-export const WorkflowStatus = ({ article }) => {
+/**
+ * Állapot-pötty a cikk tábla sorában.
+ *
+ * @param {Object} props
+ * @param {Object} props.article
+ * @param {string} [props.detail] - A tooltiphez fűzött többsoros kiegészítés
+ *   (pl. a hátralévő munka bontása)
+ */
+export const WorkflowStatus = ({ article, detail }) => {
     const { workflow } = useData();
 
     if (!article) return null;
 
     const stateId = article.state || "designing";
     const config = getStateConfig(workflow, stateId);
-    const label = config?.label || stateId;
+    // Párhuzamos szakaszban a tooltip az ágak állapotait is felsorolja.
+    const branchLabels = normalizeParallelStates(article.parallelStates)
+        .map(branch => getStateConfig(workflow, branch)?.label || branch);
+    const label = branchLabels.length > 0
+        ? `${config?.label || stateId}: ${branchLabels.join(", ")}`
+        : config?.label || stateId;
     const color = config?.color || "#999999";
 
     // Markers are stored as a Bitmask Integer
@@ -21,9 +35,10 @@ export const WorkflowStatus = ({ article }) => {
     const dotColor = isIgnored
         ? "var(--spectrum-global-color-gray-500)"
         : color;
-    const dotTitle = isIgnored
+    const stateTitle = isIgnored
         ? `${label} (Kimarad)`
         : label;
+    const dotTitle = detail ? `${stateTitle}\n\n${detail}` : stateTitle;
 
     return (
         <div style={{ display: "flex", flexGrow: 0, alignItems: "center" }}>
@@ -12,6 +12,9 @@ import { useDatabaseIntegrityValidation } from "../../../data/hooks/useDatabaseI
 import { useData } from "../../../core/contexts/DataContext.jsx";
 import { useDriveAccessibility } from "../../../data/hooks/useDriveAccessibility.js";
 
+// Config
+import { MaestroEvent } from "../../../core/config/maestroEvents.js";
+
 // Utils
 import { STORAGE_KEYS } from "../../../core/utils/constants.js";
 import { logDebug, logWarn } from "../../../core/utils/logger.js";
@@ -107,6 +110,17 @@ export const PublicationList = ({ onShowProperties, onOpenInDashboard, filterSta
         });
     }, [setActivePublicationId]);
 
+    // Inbox deeplink: a megnyitott üzenet cikkének kiadványa lenyílik (a többi becsukódik).
+    // Az aktív publikáció váltását és a cikk kiválasztását a Workspace végzi.
+    useEffect(() => {
+        const handleInboxMessageOpened = (event) => {
+            const publicationId = event.detail?.publicationId;
+            if (publicationId) setExpandedId(publicationId);
+        };
+        window.addEventListener(MaestroEvent.inboxMessageOpened, handleInboxMessageOpened);
+        return () => window.removeEventListener(MaestroEvent.inboxMessageOpened, handleInboxMessageOpened);
+    }, []);
+
     // Sync initial expanded state from localStorage with DataContext — csak AKKOR,
     // ha a publications már betöltődött ÉS az expandedId valóban létező publikációra
     // mutat. Korábban a mount effect vakon dispatch-elt `setActivePublicationId`-t,
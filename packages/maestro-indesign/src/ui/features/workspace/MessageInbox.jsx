@@ -0,0 +1,143 @@
+import React from "react";
+
+// Utils
+import {
+    VALIDATION_TYPES,
+    VALIDATION_TYPE_CONFIG,
+    getSenderName,
+    formatMessageDate,
+    formatExactDate
+} from "../../../core/utils/messageConstants.js";
+
+/** Az üzenet szövegéből ennyi karakter látszik a listában. */
+const PREVIEW_LENGTH = 120;
+
+/** Monospace link stílus (a fejléc linkjeihez igazítva). */
+const LINK_STYLE = {
+    fontFamily: "Consolas, 'Andale Mono', 'Lucida Console', 'Courier New', monospace",
+    fontSize: '11px',
+    cursor: 'pointer',
+    textDecoration: 'underline'
+};
+
+/**
+ * Üzenet-inbox panel a fejléc alatt (a FilterBar helyén): a felhasználónak vagy
+ * a csoportjainak szóló cikk-üzenetek az aktív szerkesztőség összes kiadványából.
+ * Egy elemre kattintva a cikk megnyílik (deeplink), és az üzenet olvasottá válik.
+ *
+ * @param {Object} props
+ * @param {Array} props.items - `useMessageInbox().items`
+ * @param {number} props.unreadCount - Olvasatlan üzenetek száma
+ * @param {boolean} props.loading - Betöltés folyamatban
+ * @param {Object.<string, Object[]>} props.membersBySlug - Feladónevek feloldásához
+ * @param {Function} props.onOpenItem - (item) => void
+ * @param {Function} props.onMarkAllRead - () => void
+ */
+const MessageInbox = React.memo(({ items, unreadCount, loading, membersBySlug, onOpenItem, onMarkAllRead }) => {
+    return (
+        <div style={{
+            padding: "6px 0px",
+            marginBottom: "12px",
+            flexShrink: 0,
+            maxHeight: "40%",
+            display: "flex",
+            flexDirection: "column",
+            borderBottom: "1px solid var(--spectrum-global-color-gray-300)"
+        }}>
+            {/* Fejléc: összesítő + mind olvasott */}
+            <div style={{
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+                marginBottom: "4px"
+            }}>
+                <sp-detail>
+                    {unreadCount > 0 ? `${unreadCount} OLVASATLAN` : 'NINCS OLVASATLAN'}
+                </sp-detail>
+                {unreadCount > 0 && (
+                    <span onClick={onMarkAllRead} title="Minden üzenet olvasottnak jelölése" style={{ ...LINK_STYLE, opacity: 0.7 }}>
+                        MIND OLVASOTT
+                    </span>
+                )}
+            </div>
+
+            <div style={{ overflowY: "auto", minHeight: 0 }}>
+                {loading && items.length === 0 && (
+                    <sp-body size="s" style={{ display: "block", opacity: 0.75, padding: "8px 0" }}>Betöltés...</sp-body>
+                )}
+
+                {!loading && items.length === 0 && (
+                    <sp-body size="s" style={{ display: "block", opacity: 0.75, padding: "8px 0" }}>
+                        Nincs neked szóló üzenet ebben a szerkesztőségben.
+                    </sp-body>
+                )}
+
+                {items.map(item => (
+                    <InboxItem
+                        key={item.message.$id}
+                        item={item}
+                        membersBySlug={membersBySlug}
+                        onOpen={onOpenItem}
+                    />
+                ))}
+            </div>
+        </div>
+    );
+});
+MessageInbox.displayName = "MessageInbox";
+
+/**
+ * Egy inbox sor: típus-pötty, cikk + kiadvány, feladó, időpont, szöveg-előnézet.
+ */
+const InboxItem = ({ item, membersBySlug, onOpen }) => {
+    const { message, article, publication, unread } = item;
+    const typeConfig = VALIDATION_TYPE_CONFIG[message.type] || VALIDATION_TYPE_CONFIG[VALIDATION_TYPES.INFO];
+    const description = message.description || '';
+    const preview = description.length > PREVIEW_LENGTH
+        ? `${description.slice(0, PREVIEW_LENGTH)}…`
+        : description;
+
+    return (
+        <div
+            onClick={() => onOpen(item)}
+            title="Cikk megnyitása"
+            style={{
+                cursor: "pointer",
+                padding: "6px 4px",
+                borderTop: "1px solid var(--spectrum-global-color-gray-200)",
+                backgroundColor: unread ? "var(--spectrum-global-color-gray-100)" : "transparent"
+            }}
+        >
+            <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between" }}>
+                <div style={{ display: "flex", alignItems: "center", minWidth: 0 }}>
+                    <span style={{
+                        display: "inline-block",
+                        flexShrink: 0,
+                        width: "8px",
+                        height: "8px",
+                        borderRadius: "50%",
+                        backgroundColor: typeConfig.color,
+                        marginRight: "6px"
+                    }}></span>
+                    <sp-body size="s" style={{
+                        fontWeight: unread ? "bold" : "normal",
+                        overflow: "hidden",
+                        textOverflow: "ellipsis",
+                        whiteSpace: "nowrap"
+                    }}>
+                        {article.name || 'Névtelen cikk'}
+                        {publication ? ` · ${publication.name}` : ''}
+                    </sp-body>
+                </div>
+                <sp-detail title={formatExactDate(message.$createdAt)} style={{ flexShrink: 0, marginLeft: "8px" }}>
+                    {formatMessageDate(message.$createdAt)}
+                </sp-detail>
+            </div>
+            <sp-body size="xs" style={{ display: "block", opacity: 0.75, marginLeft: "14px" }}>
+                {getSenderName(message, { membersBySlug })}: {preview}
+            </sp-body>
+        </div>
+    );
+};
+
+export { MessageInbox };
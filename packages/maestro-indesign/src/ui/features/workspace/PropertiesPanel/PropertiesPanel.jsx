@@ -48,7 +48,7 @@ export const PropertiesPanel = ({ selectedItem, publication, onUpdate, onBack, o
                 const ext = ref ? extensionRegistry.get(ref.slug) : null;
                 if (ext?.name) label = ext.name;
             }
-            return { id: cmd.id, label, allowedGroups: cmd.allowedGroups };
+            return { id: cmd.id, label, allowedGroups: cmd.allowedGroups, options: cmd.options };
         });
     }, [item.state, workflow, extensionRegistry]);
 
@@ -62,12 +62,12 @@ export const PropertiesPanel = ({ selectedItem, publication, onUpdate, onBack, o
         }
     };
 
-    const handleCommand = async (commandId) => {
+    const handleCommand = async (commandId, options) => {
         log(`[PropertiesPanel] Command triggered: ${commandId} for ${item.name}`);
 
         setIsSyncing(true);
         try {
-            const context = { item, user, publication, layouts, runAndPersistPreflight, extensions: extensionRegistry };
+            const context = { item, user, publication, layouts, runAndPersistPreflight, extensions: extensionRegistry, options };
             const result = await executeCommand(commandId, context);
 
             // silent: a handler már megjelenítette a visszajelzést (pl. toast a hook-ból)
@@ -184,7 +184,7 @@ export const PropertiesPanel = ({ selectedItem, publication, onUpdate, onBack, o
                                 style={{ flexShrink: 0 }}
                                 key={cmd.id}
                                 variant="secondary"
-                                onClick={() => handleCommand(cmd.id)}
+                                onClick={() => handleCommand(cmd.id, cmd.options)}
                                 disabled={isIgnored || isSyncing || !cmdPerm.allowed || undefined}
                                 title={!cmdPerm.allowed ? cmdPerm.reason : undefined}
                                 size="s"
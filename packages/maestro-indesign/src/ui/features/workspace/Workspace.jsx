@@ -15,6 +15,7 @@ import React, { useState, useCallback, useMemo, useEffect } from "react";
 import { PublicationList } from "../publications/PublicationList.jsx";
 import { PropertiesPanel } from "./PropertiesPanel/PropertiesPanel.jsx";
 import { FilterBar } from "./FilterBar.jsx";
+import { MessageInbox } from "./MessageInbox.jsx";
 import { WorkspaceHeader } from "./WorkspaceHeader.jsx";
 import { ConfirmDialog } from "../../common/ConfirmDialog.jsx";
 
@@ -27,9 +28,11 @@ import { useWorkflowValidation } from "../../../data/hooks/useWorkflowValidation
 import { useThumbnails } from "../../../data/hooks/useThumbnails.js";
 import { useFilters } from "../../../data/hooks/useFilters.js";
 import { usePublicationArchive } from "../../../data/hooks/usePublicationArchive.js";
+import { useMessageInbox } from "../../../data/hooks/useMessageInbox.js";
 
 // Konfiguráció & Konstansok
 import { account, DASHBOARD_URL } from "../../../core/config/appwriteConfig.js";
+import { MaestroEvent, dispatchMaestroEvent } from "../../../core/config/maestroEvents.js";
 
 // Utils
 import { toAbsoluteArticlePath, toNativePath } from "../../../core/utils/pathUtils.js";
@@ -86,7 +89,21 @@ export const Workspace = () => {
 
     // Központi adatok elérése a DataContext-ből
     // Az articles lista automatikusan frissül a Realtime események alapján
-    const { publications, articles, setActivePublicationId, activePublicationId } = useData();
+    const {
+        publications, articles, setActivePublicationId, activePublicationId,
+        isLoading, isSwitchingPublication
+    } = useData();
+
+    // Üzenet-inbox (fejléc badge + panel)
+    const {
+        items: inboxItems, unreadCount, loading: inboxLoading,
+        markRead, markAllRead, membersBySlug
+    } = useMessageInbox();
+    const [inboxOpen, setInboxOpen] = useState(false);
+    const toggleInboxOpen = useCallback(() => setInboxOpen(prev => !prev), []);
+
+    // Inbox deeplink: a megnyitandó cikk, amíg a kiadványa betöltődik.
+    const [pendingFocus, setPendingFocus] = useState(null);
 
     // Navigációs állapot: 'list' (lista) vagy 'properties' (tulajdonságok)
     const [currentView, setCurrentView] = useState('list');
@@ -118,14 +135,56 @@ export const Workspace = () => {
      * @param {Object} article - A kiválasztott cikk objektum
      * @param {Object} publication - A cikk szülő publikációja (aktív publikációnak állítódik)
      */
-    const handleShowProperties = (article, publication) => {
+    const handleShowProperties = useCallback((article, publication) => {
         setSelectedItemId(article.$id);
         setSelectedParentPublicationId(publication?.$id || null);
         setCurrentView('properties');
         if (publication?.$id) {
             setActivePublicationId(publication.$id);
         }
-    };
+    }, [setActivePublicationId]);
+
+    /**
+     * Inbox elem megnyitása: olvasottnak jelölés, a kiadvány lenyitása és aktiválása,
+     * majd a cikk tulajdonságai — amint a cikkek betöltődtek (ld. pendingFocus effect).
+     *
+     * @param {Object} item - `useMessageInbox().items` eleme
+     */
+    const handleOpenInboxItem = useCallback((item) => {
+        const { message, article, publication } = item;
+        if (item.unread) markRead([message.$id]);
+
+        if (!publication) {
+            showToast('A kiadvány nem érhető el', TOAST_TYPES.WARNING, 'Az üzenet cikkének kiadványa nincs aktiválva, vagy időközben törölték.');
+            return;
+        }
+
+        setInboxOpen(false);
+        dispatchMaestroEvent(MaestroEvent.inboxMessageOpened, { publicationId: publication.$id, articleId: article.$id });
+        setPendingFocus({ publicationId: publication.$id, articleId: article.$id });
+        if (activePublicationId !== publication.$id) {
+            setActivePublicationId(publication.$id);
+        }
+    }, [markRead, showToast, activePublicationId, setActivePublicationId]);
+
+    /**
+     * Függő inbox deeplink feloldása: ha az aktív kiadvány cikkei betöltődtek, a cikk
+     * tulajdonságai megnyílnak. Ha a cikk nincs a listában (pl. időközben törölték),
+     * figyelmeztetés.
+     */
+    useEffect(() => {
+        if (!pendingFocus) return;
+        if (isLoading || isSwitchingPublication || activePublicationId !== pendingFocus.publicationId) return;
+
+        const article = articles.find(a => a.$id === pendingFocus.articleId);
+        const publication = publications.find(p => p.$id === pendingFocus.publicationId);
+        setPendingFocus(null);
+        if (article) {
+            handleShowProperties(article, publication);
+        } else {
+            showToast('A cikk nem található', TOAST_TYPES.WARNING, 'Az üzenet cikkét időközben törölhették.');
+        }
+    }, [pendingFocus, isLoading, isSwitchingPublication, activePublicationId, articles, publications, handleShowProperties, showToast]);
 
     /**
      * Visszanavigálás a lista nézetre
@@ -248,6 +307,9 @@ export const Workspace = () => {
                 user={user}
                 isFilterActive={isFilterActive}
                 onToggleFilter={toggleFilterOpen}
+                unreadMessageCount={unreadCount}
+                isInboxOpen={inboxOpen}
+                onToggleInbox={toggleInboxOpen}
                 onOpenDashboard={handleOpenDashboard}
                 isPropertiesView={currentView === 'properties'}
                 canArchivePublication={canArchivePublication}
@@ -262,6 +324,18 @@ export const Workspace = () => {
                 onOfficeChange={setActiveOffice}
             />
 
+            {/* Üzenet-inbox — a fejléc alatt, a szerkesztőség összes kiadványára */}
+            {inboxOpen && currentView === 'list' && (
+                <MessageInbox
+                    items={inboxItems}
+                    unreadCount={unreadCount}
+                    loading={inboxLoading}
+                    membersBySlug={membersBySlug}
+                    onOpenItem={handleOpenInboxItem}
+                    onMarkAllRead={markAllRead}
+                />
+            )}
+
             {/* Központi szűrősáv — a fejléc alatt, minden kiadványra érvényes */}
             {filterOpen && currentView === 'list' && (
                 <FilterBar
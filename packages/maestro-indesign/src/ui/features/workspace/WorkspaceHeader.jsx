@@ -1,6 +1,6 @@
 /**
  * @file WorkspaceHeader.jsx
- * @description Fejléc sáv: felhasználó név + scope dropdown-ok (org/office) + szűrők gomb + dashboard link.
+ * @description Fejléc sáv: felhasználó név + scope dropdown-ok (org/office) + üzenetek + szűrők gomb + dashboard link.
  */
 
 import React from "react";
@@ -27,6 +27,9 @@ const DIVIDER_STYLE = {
  * @param {Object} props.user - Aktuális felhasználó objektum
  * @param {boolean} props.isFilterActive - Van-e aktív szűrő
  * @param {Function} props.onToggleFilter - Szűrők megjelenítése/elrejtése
+ * @param {number} [props.unreadMessageCount] - Olvasatlan üzenetek száma (inbox badge)
+ * @param {boolean} [props.isInboxOpen] - Az üzenet-inbox panel nyitva van-e
+ * @param {Function} [props.onToggleInbox] - Üzenet-inbox megjelenítése/elrejtése
  * @param {Function} props.onOpenDashboard - Dashboard megnyitása böngészőben
  * @param {boolean} props.isPropertiesView - Properties panel aktív-e (ilyenkor a szűrők gomb elrejtése)
  * @param {boolean} props.canArchivePublication - Megjelenik-e az archiválás gomb
@@ -41,7 +44,8 @@ const DIVIDER_STYLE = {
  * @param {Function} [props.onOfficeChange] - Szerkesztőség váltás callback
  */
 const WorkspaceHeader = React.memo(({
-    user, isFilterActive, onToggleFilter, onOpenDashboard, isPropertiesView,
+    user, isFilterActive, onToggleFilter, unreadMessageCount = 0, isInboxOpen, onToggleInbox,
+    onOpenDashboard, isPropertiesView,
     canArchivePublication, isArchiving, archiveProgress, onArchivePublication,
     organizations, activeOrganizationId, onOrganizationChange,
     scopedOffices, activeEditorialOfficeId, onOfficeChange
@@ -134,6 +138,26 @@ const WorkspaceHeader = React.memo(({
                                     <div style={DIVIDER_STYLE} />
                                 </>
                             )}
+                            <span
+                                onClick={onToggleInbox}
+                                title={unreadMessageCount > 0
+                                    ? `${unreadMessageCount} olvasatlan üzenet`
+                                    : "Nekem szóló üzenetek"
+                                }
+                                style={{
+                                    ...HEADER_FONT_STYLE,
+                                    cursor: 'pointer',
+                                    textDecoration: 'underline',
+                                    fontWeight: unreadMessageCount > 0 ? 'bold' : 'normal',
+                                    opacity: isInboxOpen || unreadMessageCount > 0 ? 1 : 0.7,
+                                    color: unreadMessageCount > 0
+                                        ? 'var(--spectrum-global-color-static-orange-600)'
+                                        : isInboxOpen ? 'var(--spectrum-global-color-static-blue-600)' : 'inherit'
+                                }}
+                            >
+                                {unreadMessageCount > 0 ? `ÜZENETEK (${unreadMessageCount})` : 'ÜZENETEK'}
+                            </span>
+                            <div style={DIVIDER_STYLE} />
                             <span
                                 onClick={onToggleFilter}
                                 title="Szűrők megjelenítése/elrejtése"
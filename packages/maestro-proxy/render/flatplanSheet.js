@@ -0,0 +1,403 @@
+/**
+ * @fileoverview Nyomtatható flatplan (oldaltükör) lapok rajzolása — SVG és PDF.
+ *
+ * A `routes/flatplanExport.js` által ellenőrzött modellből (spreadek oldalanként:
+ * cikknév, állapotszín, thumbnail, lapzárta, hirdetések) fekvő A4 / A3 lapokat
+ * tördel. A tördelés egyszer, pontban (pt) számolódik egy renderer-független
+ * elemlistába (`rect` / `image` / `text`), amit az SVG és a PDF kimenet
+ * ugyanúgy rajzol ki — a két formátum így nem csúszhat szét, és a böngésző
+ * zoomja sem befolyásolja.
+ *
+ * Betűkészlet (PDF): `FLATPLAN_FONT_PATH` TTF/OTF fájl. Hiányában a beépített
+ * Helvetica, amelynek kódlapjában nincs „ő" / „ű" — ezek „ö" / „ü"-re cserélődnek.
+ *
+ * @module render/flatplanSheet
+ */
+
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+
+/** Fekvő lapméretek pontban (szélesség, magasság). */
+const PAPER_SIZES = {
+    A4: [841.89, 595.28],
+    A3: [1190.55, 841.89]
+};
+
+const MARGIN = 28;
+const HEADER_HEIGHT = 30;
+const FOOTER_HEIGHT = 18;
+const SPREAD_GAP_X = 18;
+const SPREAD_GAP_Y = 12;
+/** Oldal alatti felirat: oldalszám + cikknév, lapzárta. */
+const CAPTION_HEIGHT = 24;
+const STATE_BAR_HEIGHT = 3;
+/** SVG-ben az egymás alá rakott lapok közti hézag. */
+const SVG_SHEET_GAP = 24;
+
+const TEXT_COLOR = '#1f2328';
+const MUTED_COLOR = '#6e7781';
+const EMPTY_PAGE_STROKE = '#b0b7c0';
+const NEUTRAL_STATE_COLOR = '#999999';
+const DEADLINE_COLOR = '#bf5b00';
+const AD_COLOR = '#e68619';
+
+/** Átlagos karakterszélesség a betűméret arányában — a csonkoláshoz. */
+const AVG_CHAR_WIDTH = 0.55;
+
+/**
+ * A hirdetés helye az oldalon (x, y, szélesség, magasság az oldal arányában),
+ * méretenként pozíciók szerint. A `maestro-shared/ads.js` méreteinek és
+ * pozícióinak tükre — a kettőnek együtt kell változnia. Egész oldalnak nincs
+ * pozíciója.
+ */
+const AD_RECTS = {
+    full: {},
+    half: {
+        top: [0, 0, 1, 0.5],
+        bottom: [0, 0.5, 1, 0.5],
+        left: [0, 0, 0.5, 1],
+        right: [0.5, 0, 0.5, 1]
+    },
+    quarter: {
+        'top-left': [0, 0, 0.5, 0.5],
+        'top-right': [0.5, 0, 0.5, 0.5],
+        'bottom-left': [0, 0.5, 0.5, 0.5],
+        'bottom-right': [0.5, 0.5, 0.5, 0.5]
+    }
+};
+
+/**
+ * Pozíció nélküli hirdetés helye méretenként — a `maestro-shared/ads.js`
+ * `AD_POSITIONS_BY_SIZE` első (alapértelmezett) pozíciója, egész oldalnál a
+ * teljes oldal.
+ */
+const DEFAULT_AD_RECTS = {
+    full: [0, 0, 1, 1],
+    half: AD_RECTS.half.bottom,
+    quarter: AD_RECTS.quarter['bottom-right']
+};
+
+/** A Helvetica WinAnsi kódlapjából hiányzó magyar betűk helyettesítése. */
+const WIN_ANSI_REPLACEMENTS = { 'ő': 'ö', 'Ő': 'Ö', 'ű': 'ü', 'Ű': 'Ü' };
+
+/**
+ * A szöveg csonkolása a rendelkezésre álló szélességre (becsült karakterszélességgel,
+ * hogy az SVG és a PDF ugyanott vágjon).
+ */
+function fitText(text, width, size) {
+    const value = String(text || '');
+    const maxChars = Math.max(1, Math.floor(width / (size * AVG_CHAR_WIDTH)));
+    return value.length > maxChars ? `${value.slice(0, maxChars - 1)}…` : value;
+}
+
+function getAdRect(ad) {
+    if (!Object.prototype.hasOwnProperty.call(AD_RECTS, ad.size)) return null;
+    const bySize = AD_RECTS[ad.size];
+    if (ad.position != null && Object.prototype.hasOwnProperty.call(bySize, ad.position)) {
+        return bySize[ad.position];
+    }
+    return DEFAULT_AD_RECTS[ad.size];
+}
+
+/**
+ * Egy oldal elemei: háttér / thumbnail, hirdetések, állapotsáv, felirat.
+ */
+function drawPage(items, page, x, y, w, h, mode) {
+    const hasArticle = !!page.articleName;
+    const stateColor = page.stateColor || NEUTRAL_STATE_COLOR;
+    const opacity = page.fallback ? 0.45 : 1;
+
+    if (!hasArticle) {
+        items.push({ type: 'rect', x, y, w, h, fill: '#ffffff', stroke: EMPTY_PAGE_STROKE, strokeWidth: 0.75, dash: [3, 2] });
+    } else if (mode === 'thumbnails' && page.thumbnailFileId) {
+        items.push({ type: 'rect', x, y, w, h, fill: '#ffffff', stroke: EMPTY_PAGE_STROKE, strokeWidth: 0.5 });
+        items.push({ type: 'image', x, y, w, h, fileId: page.thumbnailFileId, fallbackColor: stateColor, opacity });
+    } else {
+        items.push({ type: 'rect', x, y, w, h, fill: stateColor, fillOpacity: 0.3 * opacity, stroke: stateColor, strokeWidth: 0.75 });
+        // Állapotszín-módban a cikknév az oldal közepére kerül, hogy messziről is olvasható legyen
+        const size = Math.max(6, Math.min(11, w / 9));
+        items.push({
+            type: 'text', x: x + 3, y: y + h / 2 - size / 2, w: w - 6,
+            text: fitText(page.articleName, w - 6, size), size, color: TEXT_COLOR, align: 'center'
+        });
+    }
+
+    for (const ad of page.ads || []) {
+        const rect = getAdRect(ad);
+        if (!rect) continue;
+        const [rx, ry, rw, rh] = rect;
+        const ax = x + rx * w;
+        const ay = y + ry * h;
+        const aw = rw * w;
+        const ah = rh * h;
+        items.push({ type: 'rect', x: ax, y: ay, w: aw, h: ah, fill: AD_COLOR, fillOpacity: 0.25, stroke: AD_COLOR, strokeWidth: 0.75, dash: [2, 2] });
+        const size = Math.max(5, Math.min(9, aw / 10));
+        items.push({
+            type: 'text', x: ax + 2, y: ay + ah / 2 - size / 2, w: aw - 4,
+            text: fitText(ad.advertiser, aw - 4, size), size, color: TEXT_COLOR, align: 'center'
+        });
+    }
+
+    if (hasArticle) {
+        items.push({ type: 'rect', x, y: y + h, w, h: STATE_BAR_HEIGHT, fill: stateColor });
+    }
+
+    const captionY = y + h + STATE_BAR_HEIGHT + 2;
+    const numberText = String(page.pageNum);
+    const numberWidth = numberText.length * 7 * AVG_CHAR_WIDTH + 4;
+    items.push({ type: 'text', x, y: captionY, w: numberWidth, text: numberText, size: 7, color: MUTED_COLOR, align: 'left' });
+    const fullPageAd = (page.ads || []).find(ad => ad.size === 'full');
+    const captionName = page.articleName || (fullPageAd ? `Hirdetés: ${fullPageAd.advertiser}` : '');
+    if (captionName) {
+        items.push({
+            type: 'text', x: x + numberWidth, y: captionY, w: w - numberWidth,
+            text: fitText(captionName, w - numberWidth, 7), size: 7, color: TEXT_COLOR, align: 'left'
+        });
+    }
+    if (page.deadline) {
+        items.push({
+            type: 'text', x, y: captionY + 10, w,
+            text: fitText(`Lapzárta: ${page.deadline}`, w, 6), size: 6, color: DEADLINE_COLOR, align: 'left'
+        });
+    }
+}
+
+/**
+ * A modell lapokra tördelése.
+ *
+ * @param {object} model - A route által ellenőrzött export modell.
+ * @returns {{ width: number, height: number, sheets: Array<Array<object>> }}
+ *   Lapméret pontban és laponként a rajzolandó elemek.
+ */
+function layoutSheets(model) {
+    const [width, height] = PAPER_SIZES[model.paper];
+    const columns = model.columns;
+
+    const spreadWidth = (width - 2 * MARGIN - (columns - 1) * SPREAD_GAP_X) / columns;
+    let pageWidth = spreadWidth / 2;
+    let pageHeight = pageWidth / model.pageAspect;
+
+    // Legalább egy sor férjen el — túl magas oldalaránynál a magasság szab határt
+    const contentHeight = height - 2 * MARGIN - HEADER_HEIGHT - FOOTER_HEIGHT;
+    const maxPageHeight = contentHeight - CAPTION_HEIGHT - STATE_BAR_HEIGHT;
+    if (pageHeight > maxPageHeight) {
+        pageHeight = maxPageHeight;
+        pageWidth = pageHeight * model.pageAspect;
+    }
+    const rowHeight = pageHeight + STATE_BAR_HEIGHT + CAPTION_HEIGHT;
+    const rowsPerSheet = Math.max(1, Math.floor((contentHeight + SPREAD_GAP_Y) / (rowHeight + SPREAD_GAP_Y)));
+    const spreadsPerSheet = rowsPerSheet * columns;
+    const sheetCount = Math.max(1, Math.ceil(model.spreads.length / spreadsPerSheet));
+
+    const sheets = [];
+    for (let sheetIndex = 0; sheetIndex < sheetCount; sheetIndex++) {
+        const items = [];
+
+        // Fejléc: cím, alcím, lapszám
+        items.push({ type: 'text', x: MARGIN, y: MARGIN, w: width * 0.6, text: fitText(model.title, width * 0.6, 14), size: 14, color: TEXT_COLOR, align: 'left' });
+        if (model.subtitle) {
+            items.push({ type: 'text', x: MARGIN, y: MARGIN + 17, w: width * 0.6, text: fitText(model.subtitle, width * 0.6, 8), size: 8, color: MUTED_COLOR, align: 'left' });
+        }
+        items.push({
+            type: 'text', x: width - MARGIN - 160, y: MARGIN, w: 160,
+            text: `${sheetIndex + 1} / ${sheetCount}`, size: 9, color: MUTED_COLOR, align: 'right'
+        });
+        if (model.generatedAt) {
+            items.push({
+                type: 'text', x: width - MARGIN - 160, y: MARGIN + 12, w: 160,
+                text: model.generatedAt, size: 7, color: MUTED_COLOR, align: 'right'
+            });
+        }
+
+        const sheetSpreads = model.spreads.slice(sheetIndex * spreadsPerSheet, (sheetIndex + 1) * spreadsPerSheet);
+        sheetSpreads.forEach((spread, i) => {
+            const column = i % columns;
+            const row = Math.floor(i / columns);
+            const spreadX = MARGIN + column * (spreadWidth + SPREAD_GAP_X) + (spreadWidth - 2 * pageWidth) / 2;
+            const spreadY = MARGIN + HEADER_HEIGHT + row * (rowHeight + SPREAD_GAP_Y);
+            if (spread.left) drawPage(items, spread.left, spreadX, spreadY, pageWidth, pageHeight, model.mode);
+            if (spread.right) drawPage(items, spread.right, spreadX + pageWidth, spreadY, pageWidth, pageHeight, model.mode);
+        });
+
+        // Lábléc: állapot-jelmagyarázat + hirdetés jelölés
+        let legendX = MARGIN;
+        const legendY = height - MARGIN - 8;
+        const legend = [...model.legend, { label: 'Hirdetés', color: AD_COLOR }];
+        for (const entry of legend) {
+            const labelWidth = Math.min(120, entry.label.length * 7 * AVG_CHAR_WIDTH + 4);
+            if (legendX + 10 + labelWidth > width - MARGIN) break;
+            items.push({ type: 'rect', x: legendX, y: legendY, w: 7, h: 7, fill: entry.color });
+            items.push({ type: 'text', x: legendX + 10, y: legendY, w: labelWidth, text: fitText(entry.label, labelWidth, 7), size: 7, color: MUTED_COLOR, align: 'left' });
+            legendX += 10 + labelWidth + 10;
+        }
+
+        sheets.push(items);
+    }
+
+    return { width, height, sheets };
+}
+
+// ─── SVG ────────────────────────────────────────────────────────────────────
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const round = (n) => Math.round(n * 100) / 100;
+
+function svgRect(item) {
+    const attrs = [
+        `x="${round(item.x)}"`, `y="${round(item.y)}"`, `width="${round(item.w)}"`, `height="${round(item.h)}"`,
+        `fill="${item.fill || 'none'}"`
+    ];
+    if (item.fillOpacity !== undefined) attrs.push(`fill-opacity="${round(item.fillOpacity)}"`);
+    if (item.stroke) attrs.push(`stroke="${item.stroke}"`, `stroke-width="${item.strokeWidth || 1}"`);
+    if (item.dash) attrs.push(`stroke-dasharray="${item.dash.join(' ')}"`);
+    return `<rect ${attrs.join(' ')}/>`;
+}
+
+function svgText(item) {
+    const anchor = { left: 'start', center: 'middle', right: 'end' }[item.align];
+    const x = item.align === 'center' ? item.x + item.w / 2 : item.align === 'right' ? item.x + item.w : item.x;
+    return `<text x="${round(x)}" y="${round(item.y)}" font-size="${round(item.size)}" fill="${item.color}" text-anchor="${anchor}" dominant-baseline="hanging">${escapeXml(item.text)}</text>`;
+}
+
+/**
+ * SVG kimenet: a lapok egymás alatt, egyetlen dokumentumban; a thumbnail-ek
+ * data URI-ként beágyazva (önálló fájl, külső hivatkozás nélkül).
+ *
+ * @param {object} model
+ * @param {Map<string, { data: Buffer, mimeType: string }>} images - fileId → JPEG / PNG tartalom
+ * @returns {string}
+ */
+function renderSvg(model, images) {
+    const { width, height, sheets } = layoutSheets(model);
+    const totalHeight = sheets.length * height + (sheets.length - 1) * SVG_SHEET_GAP;
+    const parts = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${round(width)}pt" height="${round(totalHeight)}pt" viewBox="0 0 ${round(width)} ${round(totalHeight)}" font-family="DejaVu Sans, Helvetica, Arial, sans-serif">`,
+        `<title>${escapeXml(model.title)}</title>`
+    ];
+
+    sheets.forEach((items, index) => {
+        parts.push(`<g transform="translate(0 ${round(index * (height + SVG_SHEET_GAP))})">`);
+        parts.push(`<rect x="0" y="0" width="${round(width)}" height="${round(height)}" fill="#ffffff" stroke="#d0d7de" stroke-width="0.5"/>`);
+        for (const item of items) {
+            if (item.type === 'rect') parts.push(svgRect(item));
+            else if (item.type === 'text') parts.push(svgText(item));
+            else if (item.type === 'image') {
+                const image = images.get(item.fileId);
+                if (!image) {
+                    parts.push(svgRect({ ...item, fill: item.fallbackColor, fillOpacity: 0.3 * item.opacity }));
+                    continue;
+                }
+                parts.push(
+                    `<image x="${round(item.x)}" y="${round(item.y)}" width="${round(item.w)}" height="${round(item.h)}" ` +
+                    `opacity="${item.opacity}" preserveAspectRatio="xMidYMid meet" href="data:${image.mimeType};base64,${image.data.toString('base64')}"/>`
+                );
+            }
+        }
+        parts.push('</g>');
+    });
+
+    parts.push('</svg>');
+    return parts.join('\n');
+}
+
+// ─── PDF ────────────────────────────────────────────────────────────────────
+
+/** A PDF betűkészlete: `FLATPLAN_FONT_PATH`, ha olvasható, különben Helvetica. */
+function resolvePdfFont() {
+    const fontPath = process.env.FLATPLAN_FONT_PATH;
+    if (!fontPath) return null;
+    if (!fs.existsSync(fontPath)) {
+        console.warn(`[FlatplanExport] Betűkészlet nem található: ${fontPath} — Helvetica fallback`);
+        return null;
+    }
+    return fontPath;
+}
+
+/**
+ * PDF kimenet: laponként egy PDF oldal.
+ *
+ * @param {object} model
+ * @param {Map<string, { data: Buffer, mimeType: string }>} images
+ * @returns {Promise<Buffer>}
+ */
+function renderPdf(model, images) {
+    const { width, height, sheets } = layoutSheets(model);
+    const fontPath = resolvePdfFont();
+    const toPdfText = fontPath
+        ? (text) => text
+        : (text) => text.replace(/[őŐűŰ]/g, ch => WIN_ANSI_REPLACEMENTS[ch]);
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: [width, height],
+            margin: 0,
+            autoFirstPage: false,
+            info: { Title: toPdfText(model.title), Creator: 'Maestro' }
+        });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        if (fontPath) doc.registerFont('Body', fontPath);
+        const fontName = fontPath ? 'Body' : 'Helvetica';
+
+        try {
+            for (const items of sheets) {
+                doc.addPage({ size: [width, height], margin: 0 });
+                doc.font(fontName);
+                for (const item of items) {
+                    if (item.type === 'rect') {
+                        drawPdfRect(doc, item);
+                    } else if (item.type === 'text') {
+                        doc.fontSize(item.size).fillColor(item.color).fillOpacity(1)
+                            .text(toPdfText(item.text), item.x, item.y, { width: item.w, align: item.align, lineBreak: false });
+                    } else if (item.type === 'image') {
+                        const image = images.get(item.fileId);
+                        if (!image) {
+                            drawPdfRect(doc, { ...item, fill: item.fallbackColor, fillOpacity: 0.3 * item.opacity });
+                            continue;
+                        }
+                        doc.save();
+                        doc.opacity(item.opacity);
+                        doc.image(image.data, item.x, item.y, { fit: [item.w, item.h], align: 'center', valign: 'center' });
+                        doc.restore();
+                    }
+                }
+            }
+            doc.end();
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+function drawPdfRect(doc, item) {
+    doc.save();
+    if (item.fill) {
+        doc.rect(item.x, item.y, item.w, item.h).fillOpacity(item.fillOpacity ?? 1).fill(item.fill);
+    }
+    if (item.stroke) {
+        doc.rect(item.x, item.y, item.w, item.h).lineWidth(item.strokeWidth || 1);
+        if (item.dash) doc.dash(item.dash[0], { space: item.dash[1] });
+        doc.strokeOpacity(1).stroke(item.stroke);
+        doc.undash();
+    }
+    doc.restore();
+}
+
+module.exports = {
+    PAPER_SIZES,
+    AD_RECTS,
+    layoutSheets,
+    renderSvg,
+    renderPdf
+};
@@ -0,0 +1,323 @@
+/**
+ * @fileoverview Nyomtatható flatplan (oldaltükör) export — PDF / SVG.
+ *
+ * A Dashboard `LayoutView` exportja: a kliens a már kiszámolt spreadeket
+ * (oldalanként cikknév, állapotszín, thumbnail fileId, lapzárta, hirdetések)
+ * küldi el, a proxy ebből szerveroldalon rajzol fekvő A4 / A3 lapokat
+ * (`render/flatplanSheet.js`). A kimenet így nem függ a böngésző zoomjától
+ * és nyomtatási beállításaitól.
+ *
+ *   POST /api/flatplan-export
+ *   { format: 'pdf'|'svg', mode: 'thumbnails'|'states', paper: 'A4'|'A3',
+ *     columns, title, subtitle?, pageAspect?, generatedAt?, spreads, legend }
+ *
+ * Hitelesítés: `Authorization: Bearer <Appwrite JWT>` (a Dashboard
+ * `account.createJWT()`-vel kéri). A proxy a JWT-vel kéri le az `/account`-ot;
+ * a thumbnail-eket is a felhasználó JWT-jével tölti le, így csak olyan fájl
+ * kerülhet a lapra, amit a felhasználó egyébként is olvashat (bucket ACL).
+ * Nem olvasható / hiányzó thumbnail helyén az állapotszínes blokk jelenik meg.
+ *
+ * Env vars:
+ *   APPWRITE_PROJECT_ID — kötelező; hiányában az endpoint 501-et ad
+ *   APPWRITE_ENDPOINT — opcionális (default: https://cloud.appwrite.io/v1)
+ *   FLATPLAN_FONT_PATH — opcionális TTF/OTF a PDF-hez (lásd `render/flatplanSheet.js`)
+ *
+ * @module routes/flatplanExport
+ */
+
+const express = require('express');
+const { PAPER_SIZES, AD_RECTS, renderPdf, renderSvg } = require('../render/flatplanSheet');
+
+const router = express.Router();
+
+const APPWRITE_ENDPOINT = (process.env.APPWRITE_ENDPOINT || 'https://cloud.appwrite.io/v1').replace(/\/+$/, '');
+
+/** A Dashboard thumbnail bucketje (`maestro-shared/appwriteIds.js` `BUCKETS.THUMBNAILS`). */
+const THUMBNAILS_BUCKET_ID = 'thumbnails';
+
+/** Appwrite dokumentum-ID formátum (fileId-khoz). */
+const DOCUMENT_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,35}$/;
+const HEX_COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+
+const FORMATS = ['pdf', 'svg'];
+const MODES = ['thumbnails', 'states'];
+
+const MAX_SPREADS = 300;
+const MAX_COLUMNS = 6;
+const DEFAULT_COLUMNS = 3;
+const MAX_ADS_PER_PAGE = 4;
+const MAX_LEGEND_ITEMS = 30;
+const MAX_TITLE_LENGTH = 200;
+const MAX_LABEL_LENGTH = 255;
+const DEFAULT_PAGE_ASPECT = 210 / 297;
+
+const APPWRITE_TIMEOUT_MS = 10000;
+const THUMBNAIL_TIMEOUT_MS = 15000;
+const THUMBNAIL_CONCURRENCY = 4;
+const MAX_THUMBNAIL_BYTES = 5 * 1024 * 1024;
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png'];
+
+class ValidationError extends Error {}
+
+function getConfig() {
+    const projectId = process.env.APPWRITE_PROJECT_ID;
+    if (!projectId) return null;
+    return { projectId };
+}
+
+function appwriteHeaders(config, jwt) {
+    return {
+        'X-Appwrite-Project': config.projectId,
+        'X-Appwrite-JWT': jwt
+    };
+}
+
+/**
+ * JWT hitelesítés: az Appwrite `/account` a JWT felhasználóját adja vissza.
+ */
+async function authenticateJwt(req, res, next) {
+    const config = getConfig();
+    if (!config) {
+        return res.status(501).json({ error: 'Flatplan export is not configured', code: 'flatplan_export_not_configured' });
+    }
+
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    if (!match) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'Authentication required', code: 'auth_missing' });
+    }
+
+    const jwt = match[1];
+    try {
+        const response = await fetch(`${APPWRITE_ENDPOINT}/account`, {
+            headers: appwriteHeaders(config, jwt),
+            signal: AbortSignal.timeout(APPWRITE_TIMEOUT_MS)
+        });
+        if (response.status === 401) {
+            res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+            return res.status(401).json({ error: 'Invalid or expired token', code: 'auth_invalid' });
+        }
+        if (!response.ok) throw new Error(`Appwrite ${response.status}`);
+        req.user = await response.json();
+    } catch (error) {
+        console.error(`[FlatplanExport] Hitelesítés hiba: ${error.message}`);
+        return res.status(502).json({ error: 'Upstream error', code: 'upstream_error' });
+    }
+
+    req.flatplanConfig = config;
+    req.jwt = jwt;
+    next();
+}
+
+// ─── Modell ellenőrzés ───────────────────────────────────────────────────────
+
+function optionalString(value, field, maxLength) {
+    if (value == null || value === '') return '';
+    if (typeof value !== 'string') throw new ValidationError(`${field} must be a string`);
+    return value.slice(0, maxLength);
+}
+
+function integerInRange(value, field, min, max, fallback) {
+    if (value == null) return fallback;
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new ValidationError(`${field} must be an integer between ${min} and ${max}`);
+    }
+    return value;
+}
+
+function validateAd(ad, field) {
+    if (!ad || typeof ad !== 'object') throw new ValidationError(`${field} must be an object`);
+    if (typeof ad.size !== 'string' || !Object.prototype.hasOwnProperty.call(AD_RECTS, ad.size)) {
+        throw new ValidationError(`${field}.size is invalid`);
+    }
+    const position = ad.position ?? null;
+    if (position !== null && (typeof position !== 'string'
+        || !Object.prototype.hasOwnProperty.call(AD_RECTS[ad.size], position))) {
+        throw new ValidationError(`${field}.position is invalid`);
+    }
+    return {
+        advertiser: optionalString(ad.advertiser, `${field}.advertiser`, MAX_LABEL_LENGTH),
+        size: ad.size,
+        position
+    };
+}
+
+function validatePage(page, field) {
+    if (page == null) return null;
+    if (typeof page !== 'object') throw new ValidationError(`${field} must be an object`);
+    const stateColor = page.stateColor ?? null;
+    if (stateColor !== null && !HEX_COLOR_PATTERN.test(stateColor)) {
+        throw new ValidationError(`${field}.stateColor must be a #RRGGBB color`);
+    }
+    const thumbnailFileId = page.thumbnailFileId ?? null;
+    if (thumbnailFileId !== null && (typeof thumbnailFileId !== 'string' || !DOCUMENT_ID_PATTERN.test(thumbnailFileId))) {
+        throw new ValidationError(`${field}.thumbnailFileId is invalid`);
+    }
+    const ads = page.ads ?? [];
+    if (!Array.isArray(ads) || ads.length > MAX_ADS_PER_PAGE) {
+        throw new ValidationError(`${field}.ads must be an array of at most ${MAX_ADS_PER_PAGE} items`);
+    }
+    return {
+        pageNum: integerInRange(page.pageNum ?? -1, `${field}.pageNum`, 1, 9999),
+        articleName: optionalString(page.articleName, `${field}.articleName`, MAX_LABEL_LENGTH),
+        stateColor,
+        thumbnailFileId,
+        deadline: optionalString(page.deadline, `${field}.deadline`, MAX_TITLE_LENGTH),
+        fallback: page.fallback === true,
+        ads: ads.map((ad, i) => validateAd(ad, `${field}.ads[${i}]`))
+    };
+}
+
+/**
+ * A kérés törzsének ellenőrzése és normalizálása a renderer modelljévé.
+ *
+ * @throws {ValidationError}
+ */
+function validateModel(body) {
+    if (!body || typeof body !== 'object') throw new ValidationError('Request body must be a JSON object');
+
+    const format = body.format ?? 'pdf';
+    if (!FORMATS.includes(format)) throw new ValidationError(`format must be one of: ${FORMATS.join(', ')}`);
+    const mode = body.mode ?? 'thumbnails';
+    if (!MODES.includes(mode)) throw new ValidationError(`mode must be one of: ${MODES.join(', ')}`);
+    const paper = body.paper ?? 'A4';
+    if (!Object.prototype.hasOwnProperty.call(PAPER_SIZES, paper)) {
+        throw new ValidationError(`paper must be one of: ${Object.keys(PAPER_SIZES).join(', ')}`);
+    }
+
+    const pageAspect = body.pageAspect ?? DEFAULT_PAGE_ASPECT;
+    if (typeof pageAspect !== 'number' || !(pageAspect >= 0.3 && pageAspect <= 3)) {
+        throw new ValidationError('pageAspect must be a number between 0.3 and 3');
+    }
+
+    if (!Array.isArray(body.spreads) || body.spreads.length === 0 || body.spreads.length > MAX_SPREADS) {
+        throw new ValidationError(`spreads must be a non-empty array of at most ${MAX_SPREADS} items`);
+    }
+    const spreads = body.spreads.map((spread, i) => {
+        if (!spread || typeof spread !== 'object') throw new ValidationError(`spreads[${i}] must be an object`);
+        return {
+            left: validatePage(spread.left, `spreads[${i}].left`),
+            right: validatePage(spread.right, `spreads[${i}].right`)
+        };
+    });
+
+    const legend = body.legend ?? [];
+    if (!Array.isArray(legend) || legend.length > MAX_LEGEND_ITEMS) {
+        throw new ValidationError(`legend must be an array of at most ${MAX_LEGEND_ITEMS} items`);
+    }
+
+    return {
+        format,
+        mode,
+        paper,
+        pageAspect,
+        columns: integerInRange(body.columns, 'columns', 1, MAX_COLUMNS, DEFAULT_COLUMNS),
+        title: optionalString(body.title, 'title', MAX_TITLE_LENGTH) || 'Flatplan',
+        subtitle: optionalString(body.subtitle, 'subtitle', MAX_TITLE_LENGTH),
+        generatedAt: optionalString(body.generatedAt, 'generatedAt', 64),
+        spreads,
+        legend: legend.map((entry, i) => {
+            if (!entry || typeof entry !== 'object' || !HEX_COLOR_PATTERN.test(entry.color)) {
+                throw new ValidationError(`legend[${i}] must have a #RRGGBB color`);
+            }
+            return { label: optionalString(entry.label, `legend[${i}].label`, MAX_LABEL_LENGTH), color: entry.color };
+        })
+    };
+}
+
+// ─── Thumbnail-ek ───────────────────────────────────────────────────────────
+
+/**
+ * A modellben hivatkozott thumbnail-ek letöltése a felhasználó JWT-jével.
+ * A hibás / nem olvasható fájl kimarad (a renderer színes blokkot rajzol).
+ *
+ * @returns {Promise<Map<string, { data: Buffer, mimeType: string }>>}
+ */
+async function fetchThumbnails(config, jwt, model) {
+    const images = new Map();
+    if (model.mode !== 'thumbnails') return images;
+
+    const fileIds = new Set();
+    for (const spread of model.spreads) {
+        for (const page of [spread.left, spread.right]) {
+            if (page?.thumbnailFileId) fileIds.add(page.thumbnailFileId);
+        }
+    }
+
+    const queue = [...fileIds];
+    let failed = 0;
+    const worker = async () => {
+        while (queue.length > 0) {
+            const fileId = queue.shift();
+            try {
+                const response = await fetch(
+                    `${APPWRITE_ENDPOINT}/storage/buckets/${THUMBNAILS_BUCKET_ID}/files/${fileId}/view`,
+                    { headers: appwriteHeaders(config, jwt), signal: AbortSignal.timeout(THUMBNAIL_TIMEOUT_MS) }
+                );
+                if (!response.ok) throw new Error(`Appwrite ${response.status}`);
+                const mimeType = (response.headers.get('content-type') || '').split(';')[0].trim();
+                if (!IMAGE_MIME_TYPES.includes(mimeType)) throw new Error(`Nem támogatott típus: ${mimeType || '?'}`);
+                const data = Buffer.from(await response.arrayBuffer());
+                if (data.length > MAX_THUMBNAIL_BYTES) throw new Error(`Túl nagy fájl (${data.length} bájt)`);
+                images.set(fileId, { data, mimeType });
+            } catch (error) {
+                failed++;
+                console.warn(`[FlatplanExport] Thumbnail letöltés hiba (${fileId}): ${error.message}`);
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(THUMBNAIL_CONCURRENCY, queue.length) }, worker));
+
+    if (failed > 0) console.warn(`[FlatplanExport] ${failed}/${fileIds.size} thumbnail nélkül (színes blokk)`);
+    return images;
+}
+
+/** Letöltési fájlnév a címből: ékezet nélkül, csak biztonságos karakterek. */
+function buildFilename(title, format) {
+    const base = title
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^A-Za-z0-9._-]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .slice(0, 80);
+    return `${base || 'flatplan'}.${format}`;
+}
+
+router.post(
+    ['/api/flatplan-export', '/maestro-proxy/api/flatplan-export'],
+    express.json({ limit: '1mb' }),
+    authenticateJwt,
+    async (req, res) => {
+        let model;
+        try {
+            model = validateModel(req.body);
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                return res.status(400).json({ error: error.message, code: 'invalid_export_model' });
+            }
+            // Async Express 4 handlerből a továbbdobott hiba kezeletlen rejection
+            // lenne (a kérés lógva maradna) — itt zárjuk le.
+            console.error(`[FlatplanExport] Modell-ellenőrzés hiba (user ${req.user.$id}): ${error.message}`);
+            return res.status(500).json({ error: 'Export failed', code: 'export_failed' });
+        }
+
+        try {
+            const images = await fetchThumbnails(req.flatplanConfig, req.jwt, model);
+            const filename = buildFilename(model.title, model.format);
+            res.set('Content-Disposition', `attachment; filename="${filename}"`);
+            res.set('Cache-Control', 'no-store');
+
+            console.log(`[FlatplanExport] ${model.format.toUpperCase()} ${model.paper} ${model.spreads.length} spread, user=${req.user.$id}`);
+            if (model.format === 'svg') {
+                return res.type('image/svg+xml').send(renderSvg(model, images));
+            }
+            const pdf = await renderPdf(model, images);
+            return res.type('application/pdf').send(pdf);
+        } catch (error) {
+            console.error(`[FlatplanExport] Renderelés hiba (user ${req.user.$id}): ${error.message}`);
+            return res.status(500).json({ error: 'Export failed', code: 'export_failed' });
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,311 @@
+/**
+ * @fileoverview Publikus, csak olvasó REST API szerkesztőségi API kulccsal.
+ *
+ * Integrációk (pl. CMS) Appwrite session nélkül olvashatják egy szerkesztőség
+ * kiadványait, cikkeit és lapzártáit:
+ *
+ *   GET /api/v1/offices/:officeId/publications
+ *   GET /api/v1/offices/:officeId/articles[?publicationId=]
+ *   GET /api/v1/offices/:officeId/deadlines[?publicationId=]
+ *
+ * Hitelesítés: `Authorization: Bearer mk_…` — a kulcsot a Dashboard
+ * szerkesztőség-beállításaiban lehet kiadni és visszavonni (`invite-to-organization`
+ * CF `create_office_api_key` / `revoke_office_api_key`). A proxy a kulcs
+ * SHA-256 hash-ével keres az `officeApiKeys` collectionben; a nyers kulcsot
+ * sehol nem tároljuk.
+ *
+ * Tenant-határ (a kulcs soha nem olvashat más szerkesztőséget):
+ *   1. A kulcs `editorialOfficeId`-ja egyezik az URL `:officeId`-jával (403).
+ *   2. Minden lekérdezés `editorialOfficeId = :officeId` szűrővel fut.
+ *   3. A visszaadott doc-nak a szerkesztőség team-ACL-jét kell hordoznia
+ *      (`read("team:office_<officeId>")`) — ugyanaz a szabály, ami alapján egy
+ *      office-tag a kliensben látja. Ami ezen elbukik, kimarad a válaszból.
+ *
+ * Lapozás: `limit` (1–100, default 25) + `cursor` (az előző oldal
+ * `pagination.nextCursor` értéke). Feltételes kérés: `If-Modified-Since` +
+ * `X-Total-Count` → 304, ha a szűrt halmazban azóta nem módosult doc
+ * (`Last-Modified` header) és a halmaz mérete sem változott (törlés).
+ *
+ * A válasz doc-jai erőforrásonkénti mező-allowlistre szűkülnek (`RESOURCES`).
+ *
+ * Env vars:
+ *   APPWRITE_PROJECT_ID, APPWRITE_API_KEY — kötelező (databases.read + documents.read/write)
+ *   OFFICE_API_KEYS_COLLECTION_ID — kötelező; hiányában az API 501-et ad
+ *   APPWRITE_ENDPOINT — opcionális (default: https://cloud.appwrite.io/v1)
+ *   APPWRITE_DATABASE_ID — opcionális (default: a Maestro adatbázis)
+ *
+ * @module routes/publicApi
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+
+const router = express.Router();
+
+const APPWRITE_ENDPOINT = (process.env.APPWRITE_ENDPOINT || 'https://cloud.appwrite.io/v1').replace(/\/+$/, '');
+const DATABASE_ID = process.env.APPWRITE_DATABASE_ID || '6880850e000da87a3d55';
+
+/** Minden erőforrás válaszában szereplő mezők. */
+const COMMON_FIELDS = ['$id', '$createdAt', '$updatedAt', 'organizationId', 'editorialOfficeId'];
+
+/**
+ * Az olvasható erőforrások → collection, engedett szűrők és a válaszba kerülő
+ * mezők (allowlist). A collection ID-k a `maestro-shared/appwriteIds.js`
+ * `COLLECTIONS` értékei. Ami nincs a listán, az nem kerül ki — belső mező
+ * (zár, közreműködők, fájlútvonal, thumbnail, snapshot) így új séma-mezővel
+ * sem szivároghat; publikus mezőt ide kell felvenni.
+ */
+const RESOURCES = {
+    publications: {
+        collectionId: 'publications',
+        filters: [],
+        fields: ['name', 'coverageStart', 'coverageEnd', 'excludeWeekends', 'workflowId', 'isActivated', 'activatedAt']
+    },
+    articles: {
+        collectionId: 'articles',
+        filters: ['publicationId'],
+        fields: ['publicationId', 'layoutId', 'name', 'state', 'parallelStates', 'startPage', 'endPage', 'pageRanges', 'markers']
+    },
+    deadlines: {
+        collectionId: 'deadlines',
+        filters: ['publicationId'],
+        fields: ['publicationId', 'startPage', 'endPage', 'datetime']
+    }
+};
+
+/**
+ * `mk_` + 32 bájt base64url. Az `invite-to-organization` CF
+ * `actions/apiKeys.js` generálja — a kettőnek együtt kell változnia.
+ */
+const API_KEY_PATTERN = /^mk_[A-Za-z0-9_-]{43}$/;
+
+/** Appwrite dokumentum-ID formátum (cursor / szűrő paraméterekhez). */
+const DOCUMENT_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,35}$/;
+
+const DEFAULT_PAGE_LIMIT = 25;
+const MAX_PAGE_LIMIT = 100;
+const APPWRITE_TIMEOUT_MS = 10000;
+
+/** A `lastUsedAt` legfeljebb ilyen gyakran íródik (ne legyen minden kérés egy írás). */
+const LAST_USED_UPDATE_INTERVAL_MS = 15 * 60 * 1000;
+
+function getConfig() {
+    const projectId = process.env.APPWRITE_PROJECT_ID;
+    const apiKey = process.env.APPWRITE_API_KEY;
+    const apiKeysCollectionId = process.env.OFFICE_API_KEYS_COLLECTION_ID;
+    if (!projectId || !apiKey || !apiKeysCollectionId) return null;
+    return { projectId, apiKey, apiKeysCollectionId };
+}
+
+/** Appwrite JSON query (a `Query.*` helper-ek REST formája). */
+function query(method, attribute, values) {
+    const q = { method };
+    if (attribute !== undefined) q.attribute = attribute;
+    if (values !== undefined) q.values = values;
+    return JSON.stringify(q);
+}
+
+/**
+ * Appwrite REST hívás a szerver API kulccsal.
+ *
+ * @param {object} config - `getConfig()` eredménye.
+ * @param {string} method - HTTP metódus.
+ * @param {string} path - Az endpoint utáni útvonal (`/databases/...`).
+ * @param {{ queries?: string[], body?: object }} [options]
+ * @returns {Promise<object>} A JSON válasz.
+ * @throws {Error} `status` mezővel, ha az Appwrite nem 2xx-szel válaszolt.
+ */
+async function appwriteRequest(config, method, path, { queries = [], body } = {}) {
+    const url = new URL(`${APPWRITE_ENDPOINT}${path}`);
+    for (const q of queries) url.searchParams.append('queries[]', q);
+
+    const response = await fetch(url, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Appwrite-Project': config.projectId,
+            'X-Appwrite-Key': config.apiKey
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(APPWRITE_TIMEOUT_MS)
+    });
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const err = new Error(payload.message || `Appwrite ${response.status}`);
+        err.status = response.status;
+        throw err;
+    }
+    return payload;
+}
+
+function documentsPath(collectionId) {
+    return `/databases/${DATABASE_ID}/collections/${collectionId}/documents`;
+}
+
+/** A doc a szerkesztőség team-ACL-jét hordozza (ld. `teamHelpers.buildOfficeAclPerms`). */
+function hasOfficeReadAcl(doc, officeId) {
+    return doc.editorialOfficeId === officeId
+        && Array.isArray(doc.$permissions)
+        && doc.$permissions.includes(`read("team:office_${officeId}")`);
+}
+
+/** A doc publikus vetülete: csak a közös és az erőforrás allowlistjén lévő mezők. */
+function toPublicDocument(doc, spec) {
+    const result = {};
+    for (const field of [...COMMON_FIELDS, ...spec.fields]) {
+        if (Object.prototype.hasOwnProperty.call(doc, field)) result[field] = doc[field];
+    }
+    return result;
+}
+
+/** HTTP-dátum másodperc-pontossággal (az `If-Modified-Since` felbontása). */
+function toEpochSeconds(value) {
+    const ms = Date.parse(value);
+    return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
+/**
+ * API kulcs middleware: Bearer token → `officeApiKeys` doc (hash alapján),
+ * visszavonás- és office-egyezés ellenőrzéssel. Sikeres esetben
+ * `req.apiKey` a kulcs doc-ja.
+ */
+async function authenticateApiKey(req, res, next) {
+    const config = getConfig();
+    if (!config) {
+        return res.status(501).json({ error: 'Public API is not configured', code: 'public_api_not_configured' });
+    }
+
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    if (!match) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'API key required', code: 'api_key_missing' });
+    }
+    // Hibás formátum, ismeretlen és visszavont kulcs ugyanazt a választ kapja.
+    const rejectInvalid = () => {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({ error: 'Invalid API key', code: 'api_key_invalid' });
+    };
+    const rawKey = match[1];
+    if (!API_KEY_PATTERN.test(rawKey)) return rejectInvalid();
+
+    const keyHash = crypto.createHash('sha256').update(rawKey, 'utf8').digest('hex');
+    let apiKeyDoc;
+    try {
+        const result = await appwriteRequest(config, 'GET', documentsPath(config.apiKeysCollectionId), {
+            queries: [query('equal', 'keyHash', [keyHash]), query('limit', undefined, [1])]
+        });
+        apiKeyDoc = result.documents?.[0];
+    } catch (error) {
+        console.error(`[PublicAPI] API kulcs lekérdezés hiba: ${error.message}`);
+        return res.status(502).json({ error: 'Upstream error', code: 'upstream_error' });
+    }
+    if (!apiKeyDoc || apiKeyDoc.revokedAt) return rejectInvalid();
+
+    if (apiKeyDoc.editorialOfficeId !== req.params.officeId) {
+        console.warn(`[PublicAPI] Office-eltérés: kulcs ${apiKeyDoc.$id} (office ${apiKeyDoc.editorialOfficeId}) → ${req.params.officeId}`);
+        return res.status(403).json({ error: 'API key is not valid for this editorial office', code: 'office_forbidden' });
+    }
+
+    const lastUsedMs = apiKeyDoc.lastUsedAt ? Date.parse(apiKeyDoc.lastUsedAt) : 0;
+    if (Date.now() - lastUsedMs >= LAST_USED_UPDATE_INTERVAL_MS) {
+        appwriteRequest(config, 'PATCH', `${documentsPath(config.apiKeysCollectionId)}/${apiKeyDoc.$id}`, {
+            body: { data: { lastUsedAt: new Date().toISOString() } }
+        }).catch(error => console.warn(`[PublicAPI] lastUsedAt frissítés hiba (${apiKeyDoc.$id}): ${error.message}`));
+    }
+
+    req.apiKey = apiKeyDoc;
+    req.publicApiConfig = config;
+    next();
+}
+
+/**
+ * Lista végpont: szűrés, `If-Modified-Since`, lapozás, ACL-szűrés.
+ */
+async function listResource(req, res) {
+    const { officeId, resource } = req.params;
+    const spec = Object.prototype.hasOwnProperty.call(RESOURCES, resource) ? RESOURCES[resource] : null;
+    if (!spec) {
+        return res.status(404).json({ error: 'Unknown resource', code: 'unknown_resource', resources: Object.keys(RESOURCES) });
+    }
+    const config = req.publicApiConfig;
+
+    let limit = DEFAULT_PAGE_LIMIT;
+    if (req.query.limit !== undefined) {
+        limit = Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_LIMIT) {
+            return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_PAGE_LIMIT}`, code: 'invalid_limit' });
+        }
+    }
+    const cursor = req.query.cursor;
+    if (cursor !== undefined && (typeof cursor !== 'string' || !DOCUMENT_ID_PATTERN.test(cursor))) {
+        return res.status(400).json({ error: 'Invalid cursor', code: 'invalid_cursor' });
+    }
+
+    const filterQueries = [query('equal', 'editorialOfficeId', [officeId])];
+    for (const field of spec.filters) {
+        const value = req.query[field];
+        if (value === undefined) continue;
+        if (typeof value !== 'string' || !DOCUMENT_ID_PATTERN.test(value)) {
+            return res.status(400).json({ error: `Invalid ${field}`, code: 'invalid_filter', field });
+        }
+        filterQueries.push(query('equal', field, [value]));
+    }
+
+    const path = documentsPath(spec.collectionId);
+    try {
+        // A szűrt halmaz legutóbb módosult doc-ja adja a `Last-Modified`-et.
+        // A törlés ezt nem lépteti, ezért a 304-hez a halmaz méretének is
+        // egyeznie kell a kliens által küldött `X-Total-Count`-tal (az előző
+        // válasz azonos nevű headere). Enélkül nincs 304: a szűkülő halmazt
+        // különben a kliens sosem látná.
+        const latest = await appwriteRequest(config, 'GET', path, {
+            queries: [...filterQueries, query('orderDesc', '$updatedAt'), query('limit', undefined, [1])]
+        });
+        const lastModified = latest.documents?.[0]?.$updatedAt;
+        const total = latest.total ?? null;
+        if (total !== null) res.set('X-Total-Count', String(total));
+        if (lastModified) {
+            res.set('Last-Modified', new Date(toEpochSeconds(lastModified) * 1000).toUTCString());
+            const since = req.headers['if-modified-since'] ? toEpochSeconds(req.headers['if-modified-since']) : null;
+            const knownTotal = req.headers['x-total-count'];
+            if (since !== null && toEpochSeconds(lastModified) <= since
+                && total !== null && knownTotal === String(total)) {
+                return res.status(304).end();
+            }
+        }
+        res.set('Cache-Control', 'private, no-cache');
+
+        const pageQueries = [...filterQueries, query('orderAsc', '$createdAt'), query('limit', undefined, [limit])];
+        if (cursor) pageQueries.push(query('cursorAfter', undefined, [cursor]));
+        const page = await appwriteRequest(config, 'GET', path, { queries: pageQueries });
+
+        const documents = page.documents || [];
+        const visible = documents.filter(doc => hasOfficeReadAcl(doc, officeId));
+        if (visible.length < documents.length) {
+            console.warn(`[PublicAPI] ${resource}: ${documents.length - visible.length} doc kiszűrve (hiányzó office ACL), office ${officeId}`);
+        }
+
+        // A cursor a nyers oldal utolsó elemére mutat — az ACL-szűrés miatt
+        // rövidebb oldal után is folytatható a lapozás.
+        const nextCursor = documents.length === limit ? documents[documents.length - 1].$id : null;
+        console.log(`[PublicAPI] GET ${resource} office=${officeId} key=${req.apiKey.$id} → ${visible.length}`);
+        return res.json({
+            data: visible.map(doc => toPublicDocument(doc, spec)),
+            pagination: { limit, nextCursor, total: page.total ?? null }
+        });
+    } catch (error) {
+        if (error.status === 400 && cursor) {
+            return res.status(400).json({ error: 'Invalid cursor', code: 'invalid_cursor' });
+        }
+        console.error(`[PublicAPI] ${resource} lekérdezés hiba (office ${officeId}): ${error.message}`);
+        return res.status(502).json({ error: 'Upstream error', code: 'upstream_error' });
+    }
+}
+
+router.get(
+    ['/api/v1/offices/:officeId/:resource', '/maestro-proxy/api/v1/offices/:officeId/:resource'],
+    authenticateApiKey,
+    listResource
+);
+
+module.exports = router;
@@ -261,6 +261,10 @@ app.use(['/v1/realtime', '/maestro-proxy/v1/realtime'],
     makeLimiter(60 * 1000, 60));                                      // 60 upgrade / perc / IP
 app.use(['/v1', '/maestro-proxy/v1'],
     makeLimiter(15 * 60 * 1000, 300));                                // 300 / 15 perc / IP (default)
+app.use(['/api/v1', '/maestro-proxy/api/v1'],
+    makeLimiter(15 * 60 * 1000, 300));                                // 300 / 15 perc / IP (publikus olvasó API)
+app.use(['/api/flatplan-export', '/maestro-proxy/api/flatplan-export'],
+    makeLimiter(15 * 60 * 1000, 30));                                 // 30 / 15 perc / IP (flatplan PDF/SVG export)
 
 // Health endpoint - handles both paths
 app.get(['/v1/health', '/maestro-proxy/v1/health'], (req, res) => {
@@ -489,6 +493,16 @@ Válaszolj KIZÁRÓLAG érvényes JSON-nel, semmilyen más szöveggel:
 const layoutAIRouter = require('./routes/layoutAI');
 app.use(layoutAIRouter);
 
+// --- Publikus olvasó API (szerkesztőségi API kulccsal) ---
+
+const publicApiRouter = require('./routes/publicApi');
+app.use(publicApiRouter);
+
+// --- Flatplan export (nyomtatható PDF / SVG, Dashboard JWT-vel) ---
+
+const flatplanExportRouter = require('./routes/flatplanExport');
+app.use(flatplanExportRouter);
+
 // --- Legacy Auth Callback Redirects ---
 //
 // A korábbi Plugin verziókban az Appwrite `account.createVerification()` és
@@ -9,7 +9,7 @@ const { fail } = require('./_generated_responseHelpers.js');
  *
  * Article vagy publication törlésekor automatikusan kitörli az összes kapcsolódó adatot.
  *
- * Article törlés → UserValidations, SystemValidations + thumbnail fájlok.
+ * Article törlés → UserValidations, SystemValidations, ArticleStateHistory + thumbnail fájlok.
  * Publication törlés → Articles (→ rekurzívan triggereli az article ágat), Deadlines, Layouts.
  *
  * A collection típust a trigger event-ből detektálja (req.headers['x-appwrite-event']).
@@ -23,8 +23,10 @@ const { fail } = require('./_generated_responseHelpers.js');
  * - ARTICLES_COLLECTION_ID: Az Articles collection azonosítója.
  * - USER_VALIDATIONS_COLLECTION_ID: A UserValidations collection azonosítója.
  * - SYSTEM_VALIDATIONS_COLLECTION_ID: A SystemValidations collection azonosítója.
+ * - ARTICLE_STATE_HISTORY_COLLECTION_ID: Az ArticleStateHistory collection azonosítója (opcionális — hiányában kihagyva).
  * - DEADLINES_COLLECTION_ID: A Deadlines collection azonosítója.
  * - LAYOUTS_COLLECTION_ID: A Layouts collection azonosítója.
+ * - ADS_COLLECTION_ID: Az Ads (hirdetés-foglalások) collection azonosítója (opcionális — hiányában kihagyva).
  * - THUMBNAILS_BUCKET_ID: A thumbnails Storage bucket azonosítója.
  */
 
@@ -162,7 +164,7 @@ async function cleanupCollections(collections, databases, fieldName, fieldValue,
 // ═══════════════════════════════════════════════════════════════════════════
 
 /**
- * Article törlésekor: UserValidations, SystemValidations + thumbnailek takarítása.
+ * Article törlésekor: UserValidations, SystemValidations, ArticleStateHistory + thumbnailek takarítása.
  */
 async function handleArticleDelete(payload, databases, storage, log, error) {
     const articleId = payload.$id;
@@ -170,7 +172,8 @@ async function handleArticleDelete(payload, databases, storage, log, error) {
 
     const collections = [
         { id: process.env.USER_VALIDATIONS_COLLECTION_ID, name: 'UserValidations' },
-        { id: process.env.SYSTEM_VALIDATIONS_COLLECTION_ID, name: 'SystemValidations' }
+        { id: process.env.SYSTEM_VALIDATIONS_COLLECTION_ID, name: 'SystemValidations' },
+        { id: process.env.ARTICLE_STATE_HISTORY_COLLECTION_ID, name: 'ArticleStateHistory' }
     ];
 
     // Collection takarítás + thumbnail törlés párhuzamosan
@@ -197,7 +200,7 @@ async function handleArticleDelete(payload, databases, storage, log, error) {
 // ═══════════════════════════════════════════════════════════════════════════
 
 /**
- * Publication törlésekor: Articles, Deadlines, Layouts takarítása.
+ * Publication törlésekor: Articles, Deadlines, Layouts, Ads takarítása.
  * Az article törlés rekurzívan triggereli az article ágat (messages, validations, thumbnails).
  */
 async function handlePublicationDelete(payload, databases, log, error) {
@@ -207,7 +210,8 @@ async function handlePublicationDelete(payload, databases, log, error) {
     const collections = [
         { id: process.env.ARTICLES_COLLECTION_ID, name: 'Articles' },
         { id: process.env.DEADLINES_COLLECTION_ID, name: 'Deadlines' },
-        { id: process.env.LAYOUTS_COLLECTION_ID, name: 'Layouts' }
+        { id: process.env.LAYOUTS_COLLECTION_ID, name: 'Layouts' },
+        { id: process.env.ADS_COLLECTION_ID, name: 'Ads' }
     ];
 
     return cleanupCollections(collections, databases, 'publicationId', publicationId, log, error);
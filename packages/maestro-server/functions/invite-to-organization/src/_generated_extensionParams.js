@@ -0,0 +1,302 @@
+/**
+ * AUTO-GENERATED FILE — DO NOT EDIT.
+ * Source: packages/maestro-shared/extensionParams.js
+ * Regenerate: yarn build:cf-extension-params
+ *
+ * A `packages/maestro-shared/extensionParams.js` (ESM) a kanonikus forrás.
+ * Ez a fájl egy CommonJS pillanatkép, hogy a CF deploy-időben elérhető
+ * legyen (a workspace yarn link nem oldódik fel a CF runtime-on). A
+ * generálást a `scripts/build-cf-extension-params.mjs` végzi.
+ */
+/**
+ * Maestro Shared — Workflow extension paraméter-séma
+ *
+ * Egy extension (`workflowExtensions.paramSchema`, JSON string) opcionálisan
+ * leírja, milyen workflow-szintű beállításokat (`options`) fogad. A Designer
+ * ebből generálja a validátor- / parancs-hivatkozás beállító űrlapját, a
+ * beállított értékek a `compiled.validations[]` (`{ validator, options }`) és
+ * `compiled.commands[]` (`{ id, allowedGroups, options }`) elemeiben
+ * tárolódnak, a Plugin pedig a `maestroExtension(input)` `input.options`
+ * mezőjében adja át őket.
+ *
+ * Séma: paraméter-leírók tömbje —
+ * - `key`: az `options` kulcsa (`[a-zA-Z][a-zA-Z0-9_]*`, max 40 karakter)
+ * - `type`: `'string' | 'number' | 'boolean' | 'enum'`
+ * - `label`, `description`: a Designer űrlap felirata / súgója (opcionális)
+ * - `required`: kötelező-e (alapérték nélkül a hivatkozásnak meg kell adnia)
+ * - `default`: alapérték (a típusnak megfelelő)
+ * - `min`, `max`: `number` típusnál a megengedett tartomány
+ * - `maxLength`: `string` típusnál a maximális hossz
+ * - `values`: `enum` típusnál a választható string értékek
+ *
+ * Kétoldalú: a Dashboard (extension szerkesztő + Designer), a Plugin
+ * (`extensionRegistry.js`) és az `invite-to-organization` CF (generált
+ * CommonJS pillanatképként, ld. `scripts/build-cf-extension-params.mjs`)
+ * is ezt használja.
+ */
+
+/** Támogatott paraméter-típusok. */
+const EXTENSION_PARAM_TYPES = Object.freeze(['string', 'number', 'boolean', 'enum']);
+
+/** A szerializált séma felső mérete (a `paramSchema` attribútum mérete). */
+const PARAM_SCHEMA_MAX_LENGTH = 16384;
+
+/** Egy extension legfeljebb ennyi paramétert írhat le. */
+const PARAM_SCHEMA_MAX_PARAMS = 20;
+
+/** `string` paraméter értékének abszolút felső hossza. */
+const PARAM_STRING_MAX_LENGTH = 1000;
+
+const PARAM_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/;
+const LABEL_MAX_LENGTH = 100;
+const DESCRIPTION_MAX_LENGTH = 500;
+const ENUM_MAX_VALUES = 50;
+const ENUM_VALUE_MAX_LENGTH = 100;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Egy érték típus- és korlát-ellenőrzése egy (már normalizált) leíró szerint.
+ *
+ * @param {Object} param - normalizált paraméter-leíró
+ * @param {*} value
+ * @returns {string|null} hibaüzenet, vagy `null` ha az érték érvényes
+ */
+function checkParamValue(param, value) {
+    switch (param.type) {
+        case 'string':
+            if (typeof value !== 'string') return `A(z) "${param.key}" értéke szöveg kell legyen.`;
+            if (value.length > param.maxLength) {
+                return `A(z) "${param.key}" értéke legfeljebb ${param.maxLength} karakter lehet.`;
+            }
+            return null;
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return `A(z) "${param.key}" értéke szám kell legyen.`;
+            }
+            if (param.min !== null && value < param.min) {
+                return `A(z) "${param.key}" értéke legalább ${param.min} kell legyen.`;
+            }
+            if (param.max !== null && value > param.max) {
+                return `A(z) "${param.key}" értéke legfeljebb ${param.max} lehet.`;
+            }
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `A(z) "${param.key}" értéke igen/nem kell legyen.`;
+        case 'enum':
+            return param.values.includes(value)
+                ? null
+                : `A(z) "${param.key}" értéke a következők egyike lehet: ${param.values.join(', ')}.`;
+        default:
+            return `A(z) "${param.key}" típusa ismeretlen.`;
+    }
+}
+
+function normalizeParam(raw, index, errors) {
+    const where = `A(z) ${index + 1}. paraméter`;
+    if (!isPlainObject(raw)) {
+        errors.push(`${where} nem objektum.`);
+        return null;
+    }
+    if (typeof raw.key !== 'string' || !PARAM_KEY_PATTERN.test(raw.key)) {
+        errors.push(`${where} kulcsa érvénytelen (betűvel kezdődő, legfeljebb 40 karakteres azonosító: betű, szám, _).`);
+        return null;
+    }
+    if (!EXTENSION_PARAM_TYPES.includes(raw.type)) {
+        errors.push(`A(z) "${raw.key}" paraméter típusa a következők egyike lehet: ${EXTENSION_PARAM_TYPES.join(', ')}.`);
+        return null;
+    }
+
+    const param = {
+        key: raw.key,
+        type: raw.type,
+        label: raw.key,
+        description: '',
+        required: raw.required === true
+    };
+
+    if (raw.label !== undefined) {
+        if (typeof raw.label !== 'string' || raw.label.trim().length > LABEL_MAX_LENGTH) {
+            errors.push(`A(z) "${raw.key}" felirata legfeljebb ${LABEL_MAX_LENGTH} karakteres szöveg lehet.`);
+        } else if (raw.label.trim()) {
+            param.label = raw.label.trim();
+        }
+    }
+    if (raw.description !== undefined) {
+        if (typeof raw.description !== 'string' || raw.description.trim().length > DESCRIPTION_MAX_LENGTH) {
+            errors.push(`A(z) "${raw.key}" leírása legfeljebb ${DESCRIPTION_MAX_LENGTH} karakteres szöveg lehet.`);
+        } else {
+            param.description = raw.description.trim();
+        }
+    }
+
+    if (param.type === 'string') {
+        const maxLength = raw.maxLength ?? PARAM_STRING_MAX_LENGTH;
+        if (!Number.isInteger(maxLength) || maxLength < 1 || maxLength > PARAM_STRING_MAX_LENGTH) {
+            errors.push(`A(z) "${raw.key}" maxLength értéke 1 és ${PARAM_STRING_MAX_LENGTH} közötti egész lehet.`);
+            return null;
+        }
+        param.maxLength = maxLength;
+    } else if (param.type === 'number') {
+        param.min = null;
+        param.max = null;
+        for (const bound of ['min', 'max']) {
+            if (raw[bound] === undefined || raw[bound] === null) continue;
+            if (typeof raw[bound] !== 'number' || !Number.isFinite(raw[bound])) {
+                errors.push(`A(z) "${raw.key}" ${bound} értéke szám kell legyen.`);
+                return null;
+            }
+            param[bound] = raw[bound];
+        }
+        if (param.min !== null && param.max !== null && param.min > param.max) {
+            errors.push(`A(z) "${raw.key}" min értéke nem lehet nagyobb a max-nál.`);
+            return null;
+        }
+    } else if (param.type === 'enum') {
+        const values = raw.values;
+        if (!Array.isArray(values) || values.length === 0 || values.length > ENUM_MAX_VALUES
+            || values.some(v => typeof v !== 'string' || v === '' || v.length > ENUM_VALUE_MAX_LENGTH)
+            || new Set(values).size !== values.length) {
+            errors.push(`A(z) "${raw.key}" values listája 1–${ENUM_MAX_VALUES} különböző, nem üres szöveget tartalmazhat.`);
+            return null;
+        }
+        param.values = [...values];
+    }
+
+    if (raw.default !== undefined && raw.default !== null) {
+        const defaultError = checkParamValue(param, raw.default);
+        if (defaultError) {
+            errors.push(`Alapérték: ${defaultError}`);
+            return null;
+        }
+        param.default = raw.default;
+    }
+
+    return param;
+}
+
+/**
+ * A `paramSchema` (JSON string vagy már parse-olt tömb) validálása és
+ * normalizálása. Üres érték (`null`, `undefined`, `''`) → nincs paraméter.
+ *
+ * @param {string|Array|null|undefined} raw
+ * @returns {{ params: Object[], errors: string[] }} hiba esetén `params` üres
+ */
+function parseParamSchema(raw) {
+    if (raw === null || raw === undefined || (typeof raw === 'string' && raw.trim() === '')) {
+        return { params: [], errors: [] };
+    }
+
+    let parsed = raw;
+    if (typeof raw === 'string') {
+        if (raw.length > PARAM_SCHEMA_MAX_LENGTH) {
+            return { params: [], errors: [`A paraméter-séma legfeljebb ${PARAM_SCHEMA_MAX_LENGTH} karakter lehet.`] };
+        }
+        try {
+            parsed = JSON.parse(raw);
+        } catch {
+            return { params: [], errors: ['A paraméter-séma nem érvényes JSON.'] };
+        }
+    }
+    if (!Array.isArray(parsed)) {
+        return { params: [], errors: ['A paraméter-séma paraméter-leírók tömbje kell legyen.'] };
+    }
+    if (parsed.length > PARAM_SCHEMA_MAX_PARAMS) {
+        return { params: [], errors: [`Legfeljebb ${PARAM_SCHEMA_MAX_PARAMS} paraméter adható meg.`] };
+    }
+
+    const errors = [];
+    const params = [];
+    const seenKeys = new Set();
+    parsed.forEach((raw, index) => {
+        const param = normalizeParam(raw, index, errors);
+        if (!param) return;
+        if (seenKeys.has(param.key)) {
+            errors.push(`A(z) "${param.key}" kulcs többször szerepel.`);
+            return;
+        }
+        seenKeys.add(param.key);
+        params.push(param);
+    });
+
+    return errors.length > 0 ? { params: [], errors } : { params, errors };
+}
+
+/**
+ * Normalizált paraméter-lista → tárolható JSON string (`null`, ha üres —
+ * így a „nincs séma” állapot egyértelmű a dokumentumon).
+ *
+ * @param {Object[]} params - `parseParamSchema` eredménye
+ * @returns {string|null}
+ */
+function serializeParamSchema(params) {
+    if (!Array.isArray(params) || params.length === 0) return null;
+    return JSON.stringify(params);
+}
+
+/**
+ * Az alapértékekből összerakott `options` — a Designer ezzel tölti fel az
+ * újonnan hozzáadott hivatkozást.
+ *
+ * @param {Object[]} params - normalizált paraméter-lista
+ * @returns {Object}
+ */
+function getDefaultExtensionOptions(params) {
+    const options = {};
+    for (const param of params || []) {
+        if (param.default !== undefined) options[param.key] = param.default;
+    }
+    return options;
+}
+
+/**
+ * Egy hivatkozás `options` objektumának ellenőrzése a séma szerint:
+ * hiányzó kulcs → alapérték, ismeretlen kulcs → elhagyva, kötelező
+ * paraméter érték és alapérték nélkül → hiba. Séma nélküli extension-nél
+ * az eredmény mindig üres objektum.
+ *
+ * @param {Object[]} params - normalizált paraméter-lista
+ * @param {Object|null|undefined} options
+ * @returns {{ options: Object, errors: string[] }}
+ */
+function normalizeExtensionOptions(params, options) {
+    const errors = [];
+    const result = {};
+    if (options !== null && options !== undefined && !isPlainObject(options)) {
+        return { options: {}, errors: ['A beállítások (options) objektum kell legyen.'] };
+    }
+    const input = options || {};
+
+    for (const param of params || []) {
+        const value = input[param.key];
+        if (value === undefined || value === null || value === '') {
+            if (param.default !== undefined) {
+                result[param.key] = param.default;
+            } else if (param.required) {
+                errors.push(`A(z) "${param.label}" megadása kötelező.`);
+            }
+            continue;
+        }
+        const valueError = checkParamValue(param, value);
+        if (valueError) {
+            errors.push(valueError);
+            continue;
+        }
+        result[param.key] = value;
+    }
+
+    return { options: result, errors };
+}
+
+module.exports = {
+    EXTENSION_PARAM_TYPES,
+    PARAM_SCHEMA_MAX_LENGTH,
+    PARAM_SCHEMA_MAX_PARAMS,
+    PARAM_STRING_MAX_LENGTH,
+    parseParamSchema,
+    serializeParamSchema,
+    getDefaultExtensionOptions,
+    normalizeExtensionOptions
+};
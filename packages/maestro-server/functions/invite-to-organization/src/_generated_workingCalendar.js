@@ -0,0 +1,281 @@
+/**
+ * AUTO-GENERATED FILE — DO NOT EDIT.
+ * Source: packages/maestro-shared/workingCalendar.js
+ * Regenerate: yarn build:cf-working-calendar
+ *
+ * A `packages/maestro-shared/workingCalendar.js` (ESM) a kanonikus forrás.
+ * Ez a fájl egy CommonJS pillanatkép, hogy a CF deploy-időben elérhető
+ * legyen (a workspace yarn link nem oldódik fel a CF runtime-on). A
+ * generálást a `scripts/build-cf-working-calendar.mjs` végzi.
+ */
+/**
+ * Maestro Shared — Szerkesztőségi munkanaptár
+ *
+ * Platform-független tiszta függvények a szerkesztőségenként beállítható
+ * munkanaptárhoz: ország-preset (munkaszüneti napok), egyedi zárvatartás
+ * (pl. nyomdai leállás), extra munkanapok (áthelyezett szombatok) és
+ * naponkénti munkaidő. A sürgősség-számítás (`urgency.js`
+ * `calculateWorkingMinutes`) ebből dönti el, hogy egy nap munkanap-e, és
+ * hány perc munkaidő esik rá.
+ *
+ * Séma (`editorialOffices.workingCalendar`, JSON string):
+ * - `countryCode`: ISO 3166-1 alpha-2 kód (nager.at) vagy `null` (nincs
+ *   ország-szintű munkaszüneti nap)
+ * - `workingHours`: `{ [getDay()]: { start: 'HH:MM', end: 'HH:MM' } | null }`
+ *   — 0 = vasárnap … 6 = szombat; `null` = nem munkanap
+ * - `closures`: `[{ date: 'YYYY-MM-DD', label }]` — egyedi zárvatartás
+ * - `extraWorkdays`: `[{ date: 'YYYY-MM-DD', label }]` — extra munkanap
+ * - `holidays`: `{ [év]: ['YYYY-MM-DD', …] }` — a preset munkaszüneti
+ *   napjainak mentéskori pillanatképe, hogy a számítás offline is működjön
+ *
+ * Kétoldalú: a Dashboard (`EditorialOfficeCalendarTab`), a Plugin és a
+ * Dashboard sürgősség-számítása, valamint az `invite-to-organization` CF
+ * (generált CommonJS pillanatképként, ld. `scripts/build-cf-working-calendar.mjs`)
+ * is ezt használja.
+ */
+
+/** Alapértelmezett munkaidő — a korábbi, fixen kódolt 9–17. */
+const DEFAULT_HOURS = { start: '09:00', end: '17:00' };
+
+/** `HH:MM` (00:00–24:00). */
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+
+/** `YYYY-MM-DD`. */
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Egy lista (zárvatartás / extra munkanap) maximális hossza. */
+const WORKING_CALENDAR_MAX_ENTRIES = 366;
+
+/** A munkaszüneti nap pillanatkép legfeljebb ennyi évet tárol. */
+const WORKING_CALENDAR_MAX_HOLIDAY_YEARS = 5;
+
+/** A szerializált naptár felső mérete (a `workingCalendar` attribútum mérete). */
+const WORKING_CALENDAR_MAX_LENGTH = 16384;
+
+/** Választható ország-presetek (nager.at országkódok). */
+const WORKING_CALENDAR_COUNTRIES = [
+    { code: 'HU', label: 'Magyarország' },
+    { code: 'AT', label: 'Ausztria' },
+    { code: 'CZ', label: 'Csehország' },
+    { code: 'DE', label: 'Németország' },
+    { code: 'GB', label: 'Egyesült Királyság' },
+    { code: 'HR', label: 'Horvátország' },
+    { code: 'PL', label: 'Lengyelország' },
+    { code: 'RO', label: 'Románia' },
+    { code: 'RS', label: 'Szerbia' },
+    { code: 'SI', label: 'Szlovénia' },
+    { code: 'SK', label: 'Szlovákia' },
+    { code: 'US', label: 'Egyesült Államok' }
+];
+
+/**
+ * Az alapértelmezett naptár: magyar munkaszüneti napok, hétfő–péntek 9–17 —
+ * megegyezik a szerkesztőségi naptár bevezetése előtti viselkedéssel.
+ *
+ * @returns {Object}
+ */
+function createDefaultWorkingCalendar() {
+    const workingHours = {};
+    for (let day = 0; day < 7; day++) {
+        workingHours[day] = day === 0 || day === 6 ? null : { ...DEFAULT_HOURS };
+    }
+    return { countryCode: 'HU', workingHours, closures: [], extraWorkdays: [], holidays: {} };
+}
+
+/**
+ * @param {string} value - `HH:MM`
+ * @returns {number|null} A nap kezdetétől eltelt percek
+ */
+function parseTimeOfDay(value) {
+    if (typeof value !== 'string' || !TIME_PATTERN.test(value)) return null;
+    const [hours, minutes] = value.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function normalizeHours(value) {
+    if (!value || typeof value !== 'object') return null;
+    const start = parseTimeOfDay(value.start);
+    const end = parseTimeOfDay(value.end);
+    if (start === null || end === null || end <= start) return null;
+    return { start: value.start, end: value.end };
+}
+
+function normalizeDateEntries(value) {
+    if (!Array.isArray(value)) return [];
+    return value
+        .filter(entry => entry && typeof entry.date === 'string' && DATE_PATTERN.test(entry.date))
+        .map(entry => ({
+            date: entry.date,
+            label: typeof entry.label === 'string' ? entry.label.trim() : ''
+        }));
+}
+
+/**
+ * A tárolt naptár normalizálása. Hiányzó / hibás érték → alapértelmezett
+ * naptár; a hibás elemek (rossz dátum, fordított munkaidő) kimaradnak.
+ *
+ * @param {string|Object|null} value - Az office `workingCalendar` mezője
+ * @returns {Object}
+ */
+function normalizeWorkingCalendar(value) {
+    let raw = value;
+    if (typeof raw === 'string') {
+        try {
+            raw = JSON.parse(raw);
+        } catch {
+            raw = null;
+        }
+    }
+    const calendar = createDefaultWorkingCalendar();
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return calendar;
+
+    if (raw.countryCode === null || (typeof raw.countryCode === 'string' && /^[A-Z]{2}$/.test(raw.countryCode))) {
+        calendar.countryCode = raw.countryCode;
+    }
+    if (raw.workingHours && typeof raw.workingHours === 'object') {
+        for (let day = 0; day < 7; day++) {
+            if (day in raw.workingHours) calendar.workingHours[day] = normalizeHours(raw.workingHours[day]);
+        }
+    }
+    calendar.closures = normalizeDateEntries(raw.closures);
+    calendar.extraWorkdays = normalizeDateEntries(raw.extraWorkdays);
+    if (raw.holidays && typeof raw.holidays === 'object' && !Array.isArray(raw.holidays)) {
+        for (const [year, dates] of Object.entries(raw.holidays)) {
+            if (!/^\d{4}$/.test(year) || !Array.isArray(dates)) continue;
+            calendar.holidays[year] = dates.filter(d => typeof d === 'string' && DATE_PATTERN.test(d));
+        }
+    }
+    return calendar;
+}
+
+/**
+ * Mentés előtti ellenőrzés (Dashboard + CF). Minden hiba egy magyar üzenet.
+ *
+ * @param {Object} calendar - Nyers (nem normalizált) naptár objektum
+ * @returns {string[]}
+ */
+function validateWorkingCalendar(calendar) {
+    const errors = [];
+    if (!calendar || typeof calendar !== 'object' || Array.isArray(calendar)) {
+        return ['A munkanaptár formátuma érvénytelen.'];
+    }
+    if (calendar.countryCode !== null && calendar.countryCode !== undefined
+        && !WORKING_CALENDAR_COUNTRIES.some(c => c.code === calendar.countryCode)) {
+        errors.push(`Ismeretlen ország: "${calendar.countryCode}".`);
+    }
+    const hours = calendar.workingHours || {};
+    for (let day = 0; day < 7; day++) {
+        const value = hours[day];
+        if (value === null || value === undefined) continue;
+        if (!normalizeHours(value)) {
+            errors.push(`A(z) ${day}. nap munkaideje érvénytelen (HH:MM, a vége a kezdet után).`);
+        }
+    }
+    for (const [field, label] of [['closures', 'zárvatartás'], ['extraWorkdays', 'extra munkanap']]) {
+        const list = calendar[field] || [];
+        if (!Array.isArray(list)) {
+            errors.push(`A(z) ${label} lista formátuma érvénytelen.`);
+            continue;
+        }
+        if (list.length > WORKING_CALENDAR_MAX_ENTRIES) {
+            errors.push(`Legfeljebb ${WORKING_CALENDAR_MAX_ENTRIES} ${label} adható meg.`);
+        }
+        const seen = new Set();
+        for (const entry of list) {
+            if (!entry || typeof entry.date !== 'string' || !DATE_PATTERN.test(entry.date)
+                || isNaN(new Date(`${entry.date}T00:00:00`).getTime())) {
+                errors.push(`Érvénytelen dátum (${label}): "${entry?.date ?? ''}".`);
+            } else if (seen.has(entry.date)) {
+                errors.push(`Ismétlődő dátum (${label}): ${entry.date}.`);
+            } else {
+                seen.add(entry.date);
+            }
+        }
+    }
+    const closureDates = new Set((calendar.closures || []).map(e => e?.date));
+    for (const entry of calendar.extraWorkdays || []) {
+        if (closureDates.has(entry?.date)) {
+            errors.push(`A(z) ${entry.date} egyszerre zárvatartás és extra munkanap.`);
+        }
+    }
+    const holidayYears = Object.keys(calendar.holidays || {});
+    if (holidayYears.length > WORKING_CALENDAR_MAX_HOLIDAY_YEARS) {
+        errors.push(`A munkaszüneti napok legfeljebb ${WORKING_CALENDAR_MAX_HOLIDAY_YEARS} évre tárolhatók.`);
+    }
+    return errors;
+}
+
+/**
+ * A preset munkaszüneti napjainak tárolt pillanatképe egy adott évre.
+ *
+ * @param {Object} calendar - Normalizált naptár
+ * @param {number} year
+ * @returns {string[]|null} `null`, ha az évre nincs pillanatkép
+ */
+function getCachedHolidays(calendar, year) {
+    const dates = calendar?.holidays?.[String(year)];
+    return Array.isArray(dates) ? dates : null;
+}
+
+/**
+ * Date → `YYYY-MM-DD` (helyi idő).
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDateKey(date) {
+    const y = date.getFullYear();
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return `${y}-${m}-${d}`;
+}
+
+/**
+ * Napi munkaidő-feloldó. A halmazokat egyszer építi fel, a visszaadott
+ * függvény napokra hívható (a `calculateWorkingMinutes` ciklusa).
+ *
+ * Elsőbbség: zárvatartás → extra munkanap → munkaszüneti nap → hétvége
+ * (`excludeWeekends`) → a hét napjának munkaideje. Ha a kiadvány a
+ * hétvégét is beszámítja, de a naptár szerint a hétvége nem munkanap, az
+ * első hétköznapi munkaidő érvényes (a korábbi 9–17-es viselkedés).
+ *
+ * @param {Object|null} calendar - Normalizált naptár (`null` → alapértelmezett)
+ * @param {Object} options
+ * @param {Set<string>} [options.holidays] - Munkaszüneti napok (`YYYY-MM-DD`)
+ * @param {boolean} [options.excludeWeekends=true]
+ * @returns {(date: Date) => { start: number, end: number }|null} Percben, a nap kezdetétől
+ */
+function createWorkdayResolver(calendar, { holidays, excludeWeekends = true } = {}) {
+    const cal = calendar || createDefaultWorkingCalendar();
+    const closures = new Set(cal.closures.map(e => e.date));
+    const extraWorkdays = new Set(cal.extraWorkdays.map(e => e.date));
+    const toMinutes = (hours) => ({ start: parseTimeOfDay(hours.start), end: parseTimeOfDay(hours.end) });
+    const fallbackHours = [1, 2, 3, 4, 5].map(day => cal.workingHours[day]).find(Boolean) || DEFAULT_HOURS;
+
+    return (date) => {
+        const key = toDateKey(date);
+        const day = date.getDay();
+        const hours = cal.workingHours[day];
+        if (closures.has(key)) return null;
+        if (extraWorkdays.has(key)) return toMinutes(hours || fallbackHours);
+        if (holidays && holidays.has(key)) return null;
+        const isWeekend = day === 0 || day === 6;
+        if (isWeekend && excludeWeekends) return null;
+        if (hours) return toMinutes(hours);
+        return isWeekend ? toMinutes(fallbackHours) : null;
+    };
+}
+
+module.exports = {
+    WORKING_CALENDAR_MAX_ENTRIES,
+    WORKING_CALENDAR_MAX_HOLIDAY_YEARS,
+    WORKING_CALENDAR_MAX_LENGTH,
+    WORKING_CALENDAR_COUNTRIES,
+    createDefaultWorkingCalendar,
+    parseTimeOfDay,
+    normalizeWorkingCalendar,
+    validateWorkingCalendar,
+    getCachedHolidays,
+    toDateKey,
+    createWorkdayResolver
+};
@@ -0,0 +1,277 @@
+// Publikus olvasó API — szerkesztőségi API kulcsok kezelése.
+// Tartalmazza: list_office_api_keys, create_office_api_key,
+// revoke_office_api_key.
+//
+// A kulcsot a `maestro-proxy` `/api/v1/offices/:officeId/*` végpontjai
+// fogadják (`Authorization: Bearer mk_…`). Itt csak a kiadás és a visszavonás
+// él: a nyers kulcsot a szerver generálja és csak a létrehozás válaszában
+// adja vissza, a collection a SHA-256 hash-t tárolja.
+//
+// Tilos import-irány: `actions/*` → `helpers/*` → `permissions.js` /
+// `teamHelpers.js`. Visszafelé NEM (CommonJS ciklikus require csendben
+// fél-inicializált exports-ot ad).
+
+const crypto = require('crypto');
+
+const permissions = require('../permissions.js');
+
+/**
+ * A kulcs prefixe — a proxy a formátum-ellenőrzésnél (`routes/publicApi.js`
+ * `API_KEY_PATTERN`) ugyanezt várja, a kettőnek együtt kell változnia.
+ */
+const API_KEY_PREFIX = 'mk_';
+const API_KEY_BYTES = 32;
+
+/** Egy szerkesztőségnek legfeljebb ennyi aktív (vissza nem vont) kulcsa lehet. */
+const MAX_ACTIVE_API_KEYS_PER_OFFICE = 10;
+const API_KEY_NAME_MAX_LENGTH = 128;
+
+/** A Dashboard lista a visszavont kulcsokat is mutatja — ennyit a legújabbakból. */
+const API_KEY_LIST_LIMIT = 100;
+
+// ── Lokális helper-ek ────────────────────────────────────────────────────────
+
+function generateApiKey() {
+    return `${API_KEY_PREFIX}${crypto.randomBytes(API_KEY_BYTES).toString('base64url')}`;
+}
+
+/** A proxy-val azonos hash: a teljes kulcs SHA-256 hex. */
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key, 'utf8').digest('hex');
+}
+
+/** Az API kulcs doc kliensnek kiadható mezői — a `keyHash` SOHA. */
+function toPublicApiKey(doc) {
+    return {
+        $id: doc.$id,
+        $createdAt: doc.$createdAt,
+        editorialOfficeId: doc.editorialOfficeId,
+        name: doc.name,
+        keyHint: doc.keyHint,
+        createdByUserId: doc.createdByUserId || null,
+        lastUsedAt: doc.lastUsedAt || null,
+        revokedAt: doc.revokedAt || null
+    };
+}
+
+function assertApiKeyEnvOrFail(ctx) {
+    const { env, res, fail, error } = ctx;
+    if (env.officeApiKeysCollectionId) return null;
+    error('[OfficeApiKeys] hiányzó env var: OFFICE_API_KEYS_COLLECTION_ID');
+    return fail(res, 500, 'misconfigured', { missing: ['OFFICE_API_KEYS_COLLECTION_ID'] });
+}
+
+/** `office.settings.edit` office-scope guard (mint a webhookoknál). */
+async function assertOfficeSettingsEditOrFail(ctx, editorialOfficeId) {
+    const { databases, permissionEnv, callerUser, permissionContext, res, fail } = ctx;
+    const allowed = await permissions.userHasPermission(
+        databases,
+        permissionEnv,
+        callerUser,
+        'office.settings.edit',
+        editorialOfficeId,
+        permissionContext.snapshotsByOffice,
+        permissionContext.orgRoleByOrg
+    );
+    if (allowed) return null;
+    return fail(res, 403, 'insufficient_permission', {
+        slug: 'office.settings.edit',
+        scope: 'office'
+    });
+}
+
+// ── ACTION='list_office_api_keys' ───────────────────────────────────────────
+
+/**
+ * A szerkesztőség API kulcsai (hash nélkül), a visszavontakkal együtt,
+ * legújabb elöl.
+ *
+ * Auth: `office.settings.edit` office-scope.
+ * Payload: `{ editorialOfficeId }`
+ */
+async function listOfficeApiKeys(ctx) {
+    const { databases, env, payload, error, res, fail, sdk } = ctx;
+    const { editorialOfficeId } = payload;
+    if (!editorialOfficeId || typeof editorialOfficeId !== 'string') {
+        return fail(res, 400, 'missing_fields', { required: ['editorialOfficeId'] });
+    }
+
+    const envDenied = assertApiKeyEnvOrFail(ctx);
+    if (envDenied) return envDenied;
+    const denied = await assertOfficeSettingsEditOrFail(ctx, editorialOfficeId);
+    if (denied) return denied;
+
+    try {
+        const result = await databases.listDocuments(env.databaseId, env.officeApiKeysCollectionId, [
+            sdk.Query.equal('editorialOfficeId', editorialOfficeId),
+            sdk.Query.orderDesc('$createdAt'),
+            sdk.Query.limit(API_KEY_LIST_LIMIT)
+        ]);
+        return res.json({
+            success: true,
+            action: 'listed',
+            apiKeys: result.documents.map(toPublicApiKey)
+        });
+    } catch (err) {
+        if (err?.code === 404) {
+            error(`[ListOfficeApiKeys] schema hiány: ${err.message}`);
+            return fail(res, 500, 'schema_missing', { action: 'bootstrap_office_api_keys_schema' });
+        }
+        error(`[ListOfficeApiKeys] list hiba: ${err.message}`);
+        return fail(res, 500, 'api_key_list_failed');
+    }
+}
+
+// ── ACTION='create_office_api_key' ──────────────────────────────────────────
+
+/**
+ * Új API kulcs. A nyers kulcs csak ebben a válaszban jön vissza (`key`) —
+ * a Dashboard egyszer mutatja meg, utána csak a `keyHint` azonosítja.
+ *
+ * Auth: `office.settings.edit` office-scope. Legfeljebb
+ * `MAX_ACTIVE_API_KEYS_PER_OFFICE` aktív kulcs / szerkesztőség.
+ * Payload: `{ editorialOfficeId, name }`
+ */
+async function createOfficeApiKey(ctx) {
+    const { databases, env, callerId, payload, error, res, fail, sdk, log } = ctx;
+    const { editorialOfficeId, name } = payload;
+
+    if (!editorialOfficeId || typeof editorialOfficeId !== 'string' || name === undefined) {
+        return fail(res, 400, 'missing_fields', { required: ['editorialOfficeId', 'name'] });
+    }
+    const trimmedName = typeof name === 'string' ? name.trim() : '';
+    if (!trimmedName || trimmedName.length > API_KEY_NAME_MAX_LENGTH) {
+        return fail(res, 400, 'invalid_name', { maxLength: API_KEY_NAME_MAX_LENGTH });
+    }
+
+    const envDenied = assertApiKeyEnvOrFail(ctx);
+    if (envDenied) return envDenied;
+    // Auth a fetch ELŐTT — különben a 404/403 különbség office létezés-
+    // oracle lenne unauthorized hívónak.
+    const denied = await assertOfficeSettingsEditOrFail(ctx, editorialOfficeId);
+    if (denied) return denied;
+
+    let officeDoc;
+    try {
+        officeDoc = await databases.getDocument(env.databaseId, env.officesCollectionId, editorialOfficeId);
+    } catch (err) {
+        if (err?.code === 404) return fail(res, 404, 'office_not_found');
+        error(`[CreateOfficeApiKey] office fetch hiba: ${err.message}`);
+        return fail(res, 500, 'office_fetch_failed');
+    }
+
+    try {
+        const active = await databases.listDocuments(env.databaseId, env.officeApiKeysCollectionId, [
+            sdk.Query.equal('editorialOfficeId', editorialOfficeId),
+            sdk.Query.isNull('revokedAt'),
+            sdk.Query.limit(1)
+        ]);
+        if (active.total >= MAX_ACTIVE_API_KEYS_PER_OFFICE) {
+            return fail(res, 409, 'api_key_limit_reached', { max: MAX_ACTIVE_API_KEYS_PER_OFFICE });
+        }
+    } catch (err) {
+        if (err?.code === 404) {
+            error(`[CreateOfficeApiKey] schema hiány: ${err.message}`);
+            return fail(res, 500, 'schema_missing', { action: 'bootstrap_office_api_keys_schema' });
+        }
+        error(`[CreateOfficeApiKey] count hiba: ${err.message}`);
+        return fail(res, 500, 'api_key_create_failed');
+    }
+
+    const key = generateApiKey();
+    let newDoc;
+    try {
+        newDoc = await databases.createDocument(
+            env.databaseId,
+            env.officeApiKeysCollectionId,
+            sdk.ID.unique(),
+            {
+                organizationId: officeDoc.organizationId,
+                editorialOfficeId,
+                name: trimmedName,
+                keyHash: hashApiKey(key),
+                keyHint: key.slice(-4),
+                createdByUserId: callerId
+            },
+            []
+        );
+    } catch (err) {
+        error(`[CreateOfficeApiKey] create hiba: ${err.message}`);
+        return fail(res, 500, 'api_key_create_failed');
+    }
+
+    log(`[CreateOfficeApiKey] User ${callerId} API kulcsot hozott létre (${newDoc.$id}, …${newDoc.keyHint}) az office ${editorialOfficeId}-ban`);
+
+    return res.json({
+        success: true,
+        action: 'created',
+        apiKey: toPublicApiKey(newDoc),
+        key
+    });
+}
+
+// ── ACTION='revoke_office_api_key' ──────────────────────────────────────────
+
+/**
+ * API kulcs visszavonása. A doc megmarad (`revokedAt`, `revokedByUserId`) —
+ * a lista így mutatja, ki és mikor vonta vissza; a proxy a visszavont
+ * kulcsot 401-gyel utasítja el. Idempotens.
+ *
+ * Auth: `office.settings.edit` a kulcs office-ára. A doc fetch megelőzi az
+ * auth-ot (a 404 csak egy nem kitalálható ID létezését árulja el).
+ * Payload: `{ apiKeyId }`
+ */
+async function revokeOfficeApiKey(ctx) {
+    const { databases, env, callerId, payload, error, res, fail, log } = ctx;
+    const { apiKeyId } = payload;
+    if (!apiKeyId || typeof apiKeyId !== 'string') {
+        return fail(res, 400, 'missing_fields', { required: ['apiKeyId'] });
+    }
+
+    const envDenied = assertApiKeyEnvOrFail(ctx);
+    if (envDenied) return envDenied;
+
+    let apiKey;
+    try {
+        apiKey = await databases.getDocument(env.databaseId, env.officeApiKeysCollectionId, apiKeyId);
+    } catch (err) {
+        if (err?.code === 404) return fail(res, 404, 'api_key_not_found');
+        error(`[RevokeOfficeApiKey] fetch hiba: ${err.message}`);
+        return fail(res, 500, 'api_key_fetch_failed');
+    }
+    const denied = await assertOfficeSettingsEditOrFail(ctx, apiKey.editorialOfficeId);
+    if (denied) return denied;
+
+    if (apiKey.revokedAt) {
+        return res.json({
+            success: true,
+            action: 'already_revoked',
+            apiKey: toPublicApiKey(apiKey)
+        });
+    }
+
+    let updated;
+    try {
+        updated = await databases.updateDocument(env.databaseId, env.officeApiKeysCollectionId, apiKeyId, {
+            revokedAt: new Date().toISOString(),
+            revokedByUserId: callerId
+        });
+    } catch (err) {
+        error(`[RevokeOfficeApiKey] update hiba: ${err.message}`);
+        return fail(res, 500, 'api_key_revoke_failed');
+    }
+
+    log(`[RevokeOfficeApiKey] User ${callerId} visszavonta az API kulcsot ${apiKeyId} ("${apiKey.name}", office ${apiKey.editorialOfficeId})`);
+
+    return res.json({
+        success: true,
+        action: 'revoked',
+        apiKey: toPublicApiKey(updated)
+    });
+}
+
+module.exports = {
+    listOfficeApiKeys,
+    createOfficeApiKey,
+    revokeOfficeApiKey
+};
@@ -23,8 +23,12 @@ const {
     EXTENSION_SCOPE_DEFAULT,
     EXTENSION_NAME_MAX_LENGTH,
     EXTENSION_CODE_MAX_LENGTH,
+    EXTENSION_REVISION_NOTE_MAX_LENGTH,
     WORKFLOW_VISIBILITY_DEFAULT
 } = require('../helpers/constants.js');
+const { recordExtensionRevision } = require('../helpers/extensionRevisions.js');
+const { parseParamSchema, serializeParamSchema } = require('../_generated_extensionParams.js');
+const { parseTestFixtures, serializeTestFixtures } = require('../_generated_extensionFixtures.js');
 const { buildExtensionAclPerms } = require('../teamHelpers.js');
 const permissions = require('../permissions.js');
 
@@ -169,6 +173,74 @@ function assertVisibilityOrFail(ctx, visibility) {
     return null;
 }
 
+/**
+ * A payload `paramSchema` mezőjének validálása és tárolható alakra hozása
+ * (`extensionParams.js`). `null` / üres string / üres tömb → nincs séma
+ * (`value: null`). A Designer és a Plugin a normalizált alakot olvassa.
+ *
+ * @param {string|Array|null} raw
+ * @returns {{ value: string|null } | { errors: string[] }}
+ */
+function resolveParamSchema(raw) {
+    const { params, errors } = parseParamSchema(raw);
+    if (errors.length > 0) return { errors };
+    return { value: serializeParamSchema(params) };
+}
+
+/**
+ * A payload `testFixtures` mezőjének validálása és tárolható alakra hozása
+ * (`extensionFixtures.js`). A Dashboard teszt-futtatás panelje olvassa — a
+ * runtime és az aktiválási snapshot nem. `null` / üres lista → nincs fixture.
+ *
+ * @param {string|Array|null} raw
+ * @returns {{ value: string|null } | { errors: string[] }}
+ */
+function resolveTestFixtures(raw) {
+    const { fixtures, errors } = parseTestFixtures(raw);
+    if (errors.length > 0) return { errors };
+    return { value: serializeTestFixtures(fixtures) };
+}
+
+/**
+ * A payload `changeNote` mezőjének validálása — a mentésből keletkező revízió
+ * változás-megjegyzése. `undefined` / `null` / üres string → nincs megjegyzés.
+ *
+ * @param {*} raw
+ * @returns {{ value: string|null } | { errors: string[] }}
+ */
+function resolveChangeNote(raw) {
+    if (raw === undefined || raw === null) return { value: null };
+    if (typeof raw !== 'string') return { errors: ['A changeNote szöveg kell legyen.'] };
+    const trimmed = raw.trim();
+    if (trimmed.length > EXTENSION_REVISION_NOTE_MAX_LENGTH) {
+        return { errors: [`A changeNote legfeljebb ${EXTENSION_REVISION_NOTE_MAX_LENGTH} karakter lehet.`] };
+    }
+    return { value: trimmed || null };
+}
+
+/** A revízióba másolt, a runtime viselkedését meghatározó mezők. */
+const REVISION_CONTENT_FIELDS = ['code', 'paramSchema', 'kind', 'scope'];
+
+/** A revízió-követés előtt mentett tartalom utólag rögzített revíziójának megjegyzése. */
+const BASELINE_REVISION_NOTE = 'A revízió-követés bevezetése előtti állapot.';
+
+/**
+ * Egy extension doc (vagy a frissített doc) tartalma a `recordExtensionRevision`
+ * paraméter-alakjában.
+ */
+function revisionParamsFromDoc(doc) {
+    return {
+        extensionId: doc.$id,
+        editorialOfficeId: doc.editorialOfficeId,
+        organizationId: doc.organizationId || null,
+        name: doc.name,
+        kind: doc.kind,
+        scope: doc.scope || EXTENSION_SCOPE_DEFAULT,
+        code: doc.code,
+        paramSchema: doc.paramSchema || null
+    };
+}
+
 // ── ACTION='create_workflow_extension' (B.3.1) ──────────────────────────────
 
 /**
@@ -177,6 +249,10 @@ function assertVisibilityOrFail(ctx, visibility) {
  * Auth: `extension.create` office-scope. Validáció: slug regex + name +
  * code shape (acorn ECMA3 pre-parse). Slug-ütközés: `office_slug_unique`
  * indexen → 409 `extension_slug_taken`. ACL: `buildExtensionAclPerms`.
+ *
+ * Revízió-history: ha a `WORKFLOW_EXTENSION_REVISIONS_COLLECTION_ID` be van
+ * állítva, a doc `revision: 1`-gyel jön létre, és az r1 (opcionális
+ * `changeNote`-tal) best-effort rögzül.
  */
 async function createWorkflowExtension(ctx) {
     const { databases, env, callerId, callerUser, payload, error, res, fail, sdk, log, permissionEnv, permissionContext } = ctx;
@@ -227,6 +303,41 @@ async function createWorkflowExtension(ctx) {
         });
     }
 
+    // Opcionális paraméter-séma. Üres séma esetén a mezőt ki sem írjuk — a
+    // `paramSchema` attribútum előtti bootstrap-pel futó collection-ön is
+    // működjön a séma nélküli create.
+    let paramSchema = null;
+    if (payload.paramSchema !== undefined) {
+        const schemaCheck = resolveParamSchema(payload.paramSchema);
+        if (schemaCheck.errors) {
+            return fail(res, 400, 'invalid_param_schema', {
+                errors: schemaCheck.errors
+            });
+        }
+        paramSchema = schemaCheck.value;
+    }
+
+    // Opcionális teszt-fixture-ök — a `paramSchema` mintájára csak nem-üres
+    // listánál írjuk ki.
+    let testFixtures = null;
+    if (payload.testFixtures !== undefined) {
+        const fixturesCheck = resolveTestFixtures(payload.testFixtures);
+        if (fixturesCheck.errors) {
+            return fail(res, 400, 'invalid_test_fixtures', {
+                errors: fixturesCheck.errors
+            });
+        }
+        testFixtures = fixturesCheck.value;
+    }
+
+    const noteCheck = resolveChangeNote(payload.changeNote);
+    if (noteCheck.errors) {
+        return fail(res, 400, 'invalid_change_note', { errors: noteCheck.errors });
+    }
+    // A `revision` attribútumot a `bootstrap_workflow_extension_schema` pótolja —
+    // csak konfigurált revízió-collection mellett írjuk (ld. `update`).
+    const revisionsEnabled = !!env.workflowExtensionRevisionsCollectionId;
+
     // Auth a fetch ELŐTT — különben a 404/403 különbség office létezés-
     // oracle lenne unauthorized hívónak.
     const allowed = await permissions.userHasPermission(
@@ -268,6 +379,9 @@ async function createWorkflowExtension(ctx) {
                 kind,
                 scope,
                 code: payload.code,
+                ...(paramSchema !== null ? { paramSchema } : {}),
+                ...(testFixtures !== null ? { testFixtures } : {}),
+                ...(revisionsEnabled ? { revision: 1 } : {}),
                 visibility,
                 editorialOfficeId,
                 organizationId: officeDoc.organizationId,
@@ -283,6 +397,16 @@ async function createWorkflowExtension(ctx) {
         return fail(res, 500, 'extension_create_failed');
     }
 
+    // Revízió-history: r1 (best-effort — a létrehozás már sikeres).
+    if (revisionsEnabled) {
+        await recordExtensionRevision(databases, env, sdk, {
+            ...revisionParamsFromDoc(newDoc),
+            revision: 1,
+            note: noteCheck.value,
+            createdByUserId: callerId
+        }, log);
+    }
+
     log(`[CreateWorkflowExtension] User ${callerId} létrehozta a "${sanitizedName}" (${sanitizedSlug}) ${kind} extension-t az office ${editorialOfficeId}-ban (code.size=${payload.code.length})`);
 
     return res.json({
@@ -296,7 +420,9 @@ async function createWorkflowExtension(ctx) {
 
 /**
  * Extension szerkesztése. A `slug` immutable (mint a többi domain-objektumnál).
- * Frissíthető: `name`, `kind`, `scope`, `code`, `visibility`, `archivedAt`.
+ * Frissíthető: `name`, `kind`, `scope`, `code`, `paramSchema`, `testFixtures`,
+ * `visibility`, `archivedAt`. A `paramSchema: null` (vagy üres string) törli a
+ * sémát, a `testFixtures: null` (vagy üres lista) a fixture-öket.
  *
  * `archivedAt: null` engedett — Codex tervi review (2026-05-04): Phase 0-ban a
  * dedikált `restore_workflow_extension` kimaradt; az implicit visszaállítás
@@ -304,9 +430,18 @@ async function createWorkflowExtension(ctx) {
  * (Phase 1+ vagy A.7.5 idején lehet külön action-é emelni).
  *
  * `expectedUpdatedAt` TOCTOU guard mintát követi.
+ *
+ * **Revízió-history** (`helpers/extensionRevisions.js`): ha a `code`,
+ * `paramSchema`, `kind` vagy `scope` ténylegesen változik, a mentés új
+ * revíziót ad — a doc `revision` számlálója nő, az új tartalom az opcionális
+ * `changeNote`-tal best-effort rögzül. A revízió-követés előtti doc-nál
+ * (nincs `revision`) előbb a meglévő tartalom kerül r1-ként a history-ba.
+ * A név, a fixture-ök és az archiválás nem ad revíziót. Visszaállítás: a
+ * kliens egy korábbi revízió kódját / sémáját menti vissza — ez is új
+ * revízió, a history nem íródik át.
  */
 async function updateWorkflowExtension(ctx) {
-    const { databases, env, callerId, callerUser, payload, error, res, fail, log, permissionEnv, permissionContext } = ctx;
+    const { databases, env, callerId, callerUser, payload, error, res, fail, sdk, log, permissionEnv, permissionContext } = ctx;
     const { extensionId } = payload;
 
     if (!extensionId) {
@@ -314,7 +449,7 @@ async function updateWorkflowExtension(ctx) {
     }
     if (payload.slug !== undefined) {
         return fail(res, 400, 'slug_immutable', {
-            hint: 'Az extension slug-ja immutable. A frissíthető mezők: name, kind, scope, code, visibility, archivedAt.'
+            hint: 'Az extension slug-ja immutable. A frissíthető mezők: name, kind, scope, code, paramSchema, testFixtures, visibility, archivedAt (+ changeNote a revízióhoz).'
         });
     }
 
@@ -423,6 +558,30 @@ async function updateWorkflowExtension(ctx) {
         updateFields.code = payload.code;
     }
 
+    if (payload.paramSchema !== undefined) {
+        const schemaCheck = resolveParamSchema(payload.paramSchema);
+        if (schemaCheck.errors) {
+            return fail(res, 400, 'invalid_param_schema', {
+                errors: schemaCheck.errors
+            });
+        }
+        if (schemaCheck.value !== (extensionDoc.paramSchema ?? null)) {
+            updateFields.paramSchema = schemaCheck.value;
+        }
+    }
+
+    if (payload.testFixtures !== undefined) {
+        const fixturesCheck = resolveTestFixtures(payload.testFixtures);
+        if (fixturesCheck.errors) {
+            return fail(res, 400, 'invalid_test_fixtures', {
+                errors: fixturesCheck.errors
+            });
+        }
+        if (fixturesCheck.value !== (extensionDoc.testFixtures ?? null)) {
+            updateFields.testFixtures = fixturesCheck.value;
+        }
+    }
+
     let visibilityChanged = false;
     if (payload.visibility !== undefined) {
         const visibilityDenied = assertVisibilityOrFail(ctx, payload.visibility);
@@ -442,6 +601,11 @@ async function updateWorkflowExtension(ctx) {
         updateFields.archivedAt = null;
     }
 
+    const noteCheck = resolveChangeNote(payload.changeNote);
+    if (noteCheck.errors) {
+        return fail(res, 400, 'invalid_change_note', { errors: noteCheck.errors });
+    }
+
     if (Object.keys(updateFields).length === 0) {
         // Konzisztencia az `update_workflow_metadata`-val (ami `nothing_to_update`-et
         // ad). Codex tervi review (2026-05-04): ne adjunk silent `noop` success-t.
@@ -459,6 +623,26 @@ async function updateWorkflowExtension(ctx) {
         );
     }
 
+    // Revízió-bump a tartalmi változásnál. A mentés ELŐTT a jelenlegi tartalom
+    // rögzítése idempotens (`exists` skip) — a revízió-követés előtti doc-nál
+    // ez pótolja az r1-et (a `update_workflow` verzió-backfill mintája).
+    const contentChanged = REVISION_CONTENT_FIELDS.some(field => (
+        Object.prototype.hasOwnProperty.call(updateFields, field)
+        && updateFields[field] !== (extensionDoc[field] ?? null)
+    ));
+    let newRevision = null;
+    if (contentChanged && env.workflowExtensionRevisionsCollectionId) {
+        const currentRevision = Number.isInteger(extensionDoc.revision) ? extensionDoc.revision : 1;
+        await recordExtensionRevision(databases, env, sdk, {
+            ...revisionParamsFromDoc(extensionDoc),
+            revision: currentRevision,
+            note: Number.isInteger(extensionDoc.revision) ? null : BASELINE_REVISION_NOTE,
+            createdByUserId: null
+        }, log);
+        newRevision = currentRevision + 1;
+        updateFields.revision = newRevision;
+    }
+
     let updated;
     try {
         updated = perms !== undefined
@@ -480,7 +664,17 @@ async function updateWorkflowExtension(ctx) {
         return fail(res, 500, 'extension_update_failed');
     }
 
-    log(`[UpdateWorkflowExtension] User ${callerId} frissítette az extension-t ${extensionId} (${Object.keys(updateFields).join(', ')})`);
+    // Az új revízió rögzítése (best-effort — a mentés már sikeres).
+    if (newRevision !== null) {
+        await recordExtensionRevision(databases, env, sdk, {
+            ...revisionParamsFromDoc(updated),
+            revision: newRevision,
+            note: noteCheck.value,
+            createdByUserId: callerId
+        }, log);
+    }
+
+    log(`[UpdateWorkflowExtension] User ${callerId} frissítette az extension-t ${extensionId} (${Object.keys(updateFields).join(', ')})${newRevision !== null ? ` → r${newRevision}` : ''}`);
 
     return res.json({
         success: true,
@@ -1,7 +1,7 @@
 // B.0.3.g (2026-05-04) — Editorial office action-ok kiszervezve külön modulba.
 // Tartalmazza: leave_organization (caller saját kilépése — minden membership-
 // cleanup logika itt él egy helyen), create_editorial_office,
-// update_editorial_office, delete_editorial_office.
+// update_editorial_office, delete_editorial_office, update_office_calendar.
 
 const crypto = require('crypto');
 const {
@@ -33,6 +33,11 @@ const {
     deleteTeamIfExists
 } = require('../teamHelpers.js');
 const permissions = require('../permissions.js');
+const {
+    WORKING_CALENDAR_MAX_LENGTH,
+    normalizeWorkingCalendar,
+    validateWorkingCalendar
+} = require('../_generated_workingCalendar.js');
 // S.7.9 Phase 4b (2026-05-15) — self-anonymize integrate a `leaveOrganization`-ban.
 const { anonymizeUserAclCore } = require('./schemas.js');
 
@@ -677,6 +682,96 @@ async function updateEditorialOffice(ctx) {
     });
 }
 
+/**
+ * ACTION='update_office_calendar'.
+ *
+ * A szerkesztőség munkanaptárának mentése (`editorialOffices.workingCalendar`,
+ * séma: `maestro-shared/workingCalendar.js`). A naptár a sürgősség-számítás
+ * bemenete a Pluginban és a Dashboardon. `calendar: null` → a mező törlődik,
+ * a kliensek az alapértelmezett (magyar, hétfő–péntek 9–17) naptárra esnek.
+ *
+ * A munkaszüneti-nap pillanatképet (`holidays`) a kliens tölti a mentés
+ * előtt — a CF nem hív külső API-t, csak validál és normalizál.
+ *
+ * Auth: `office.settings.edit` office-scope.
+ * Payload: `{ editorialOfficeId, calendar }`
+ */
+async function updateOfficeCalendar(ctx) {
+    const { databases, env, callerId, callerUser, payload, error, res, fail, log, permissionEnv, permissionContext } = ctx;
+    const { editorialOfficeId, calendar } = payload;
+
+    if (!editorialOfficeId || typeof editorialOfficeId !== 'string' || calendar === undefined) {
+        return fail(res, 400, 'missing_fields', { required: ['editorialOfficeId', 'calendar'] });
+    }
+
+    let serialized = null;
+    if (calendar !== null) {
+        const errors = validateWorkingCalendar(calendar);
+        if (errors.length > 0) {
+            return fail(res, 400, 'invalid_calendar', { errors });
+        }
+        serialized = JSON.stringify(normalizeWorkingCalendar(calendar));
+        if (serialized.length > WORKING_CALENDAR_MAX_LENGTH) {
+            return fail(res, 400, 'calendar_too_large', { maxLength: WORKING_CALENDAR_MAX_LENGTH });
+        }
+    }
+
+    // 1) `office.settings.edit` office-scope permission guard — a fetch ELŐTT,
+    //    különben a 404/403 különbség office létezés-oracle lenne
+    //    jogosulatlan hívónak (a webhook action-ök mintája).
+    const allowed = await permissions.userHasPermission(
+        databases,
+        permissionEnv,
+        callerUser,
+        'office.settings.edit',
+        editorialOfficeId,
+        permissionContext.snapshotsByOffice,
+        permissionContext.orgRoleByOrg
+    );
+    if (!allowed) {
+        return fail(res, 403, 'insufficient_permission', {
+            slug: 'office.settings.edit',
+            scope: 'office'
+        });
+    }
+
+    // 2) Office létezés check
+    try {
+        await databases.getDocument(env.databaseId, env.officesCollectionId, editorialOfficeId);
+    } catch (fetchErr) {
+        if (fetchErr.code === 404) return fail(res, 404, 'office_not_found');
+        error(`[UpdateOfficeCalendar] getDocument hiba: ${fetchErr.message}`);
+        return fail(res, 500, 'office_fetch_failed');
+    }
+
+    // 3) Frissítés — a schema-hiányt (unknown attribute) külön jelezzük,
+    //    hogy a UI a bootstrap action-re mutathasson.
+    try {
+        await databases.updateDocument(
+            env.databaseId,
+            env.officesCollectionId,
+            editorialOfficeId,
+            { workingCalendar: serialized }
+        );
+    } catch (updateErr) {
+        if (/attribute|unknown/i.test(updateErr.message || '')) {
+            error(`[UpdateOfficeCalendar] schema hiány: ${updateErr.message}`);
+            return fail(res, 500, 'schema_missing', { action: 'bootstrap_office_calendar_schema' });
+        }
+        error(`[UpdateOfficeCalendar] updateDocument hiba: ${updateErr.message}`);
+        return fail(res, 500, 'update_failed');
+    }
+
+    log(`[UpdateOfficeCalendar] User ${callerId} frissítette office ${editorialOfficeId} munkanaptárát (${serialized ? `${serialized.length} byte` : 'alapértelmezett'})`);
+
+    return res.json({
+        success: true,
+        action: 'calendar_updated',
+        editorialOfficeId,
+        workingCalendar: serialized
+    });
+}
+
 /**
  * ACTION='delete_editorial_office' (Fázis 8).
  *
@@ -740,7 +835,12 @@ async function deleteEditorialOffice(ctx) {
         workflowsCollectionId: env.workflowsCollectionId,
         groupsCollectionId: env.groupsCollectionId,
         groupMembershipsCollectionId: env.groupMembershipsCollectionId,
-        officeMembershipsCollectionId: env.officeMembershipsCollectionId
+        officeMembershipsCollectionId: env.officeMembershipsCollectionId,
+        workflowVersionsCollectionId: env.workflowVersionsCollectionId,
+        workflowExtensionRevisionsCollectionId: env.workflowExtensionRevisionsCollectionId,
+        officeWebhooksCollectionId: env.officeWebhooksCollectionId,
+        webhookDeliveriesCollectionId: env.webhookDeliveriesCollectionId,
+        officeApiKeysCollectionId: env.officeApiKeysCollectionId
     };
 
     let stats;
@@ -785,5 +885,6 @@ module.exports = {
     leaveOrganization,
     createEditorialOffice,
     updateEditorialOffice,
-    deleteEditorialOffice
+    deleteEditorialOffice,
+    updateOfficeCalendar
 };
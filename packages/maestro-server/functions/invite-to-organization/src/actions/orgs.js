@@ -731,7 +731,12 @@ async function deleteOrganization(ctx) {
         workflowsCollectionId: env.workflowsCollectionId,
         groupsCollectionId: env.groupsCollectionId,
         groupMembershipsCollectionId: env.groupMembershipsCollectionId,
-        officeMembershipsCollectionId: env.officeMembershipsCollectionId
+        officeMembershipsCollectionId: env.officeMembershipsCollectionId,
+        workflowVersionsCollectionId: env.workflowVersionsCollectionId,
+        workflowExtensionRevisionsCollectionId: env.workflowExtensionRevisionsCollectionId,
+        officeWebhooksCollectionId: env.officeWebhooksCollectionId,
+        webhookDeliveriesCollectionId: env.webhookDeliveriesCollectionId,
+        officeApiKeysCollectionId: env.officeApiKeysCollectionId
     };
 
     // 3) Lapozott office-törlés: a következő batch-et mindig frissen
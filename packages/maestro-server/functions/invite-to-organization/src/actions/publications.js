@@ -2,6 +2,10 @@
 // Tartalmazza: create_publication_with_workflow (A.2.10 atomic create+assign),
 // assign_workflow_to_publication (A.2.3 autoseed), activate_publication
 // (A.2.2 + A.2.4 snapshot rögzítés). Ezek a B.0.3 split utolsó action-csoportja.
+// migrate_publication_workflow: aktivált publikáció snapshot-cseréje egy újabb
+// workflow-verzióra, állapot-megfeleltetéssel.
+// clone_publication: új kiadvány egy korábbi szám szerkezetéből (layoutok,
+// eltolt határidők, közreműködők, workflow, opcionálisan tervezett cikkek).
 
 const {
     seedGroupsFromWorkflow,
@@ -10,6 +14,9 @@ const {
 const { validateDeadlinesInline } = require('../helpers/deadlineValidator.js');
 const { buildExtensionSnapshot } = require('../helpers/extensionSnapshot.js');
 const { matchesWorkflowVisibility } = require('../helpers/workflowScope.js');
+const { getWorkflowVersionCompiled } = require('../helpers/workflowVersions.js');
+const { listAllByQuery } = require('../helpers/pagination.js');
+const { normalizeParallelStates, resolveStateEntry } = require('../_generated_parallelStates.js');
 const { buildOfficeAclPerms, withCreator } = require('../teamHelpers.js');
 const permissions = require('../permissions.js');
 
@@ -663,8 +670,719 @@ async function activatePublication(ctx) {
     });
 }
 
+/**
+ * ACTION='migrate_publication_workflow' — aktivált publikáció átállítása a
+ * workflow egy újabb verziójára.
+ *
+ * Az aktiválás rögzíti a workflow compiled JSON-ját (`compiledWorkflowSnapshot`),
+ * így a későbbi workflow-mentések NEM érintik a futó kiadványt. Ez az action
+ * explicit re-snapshotot végez egy kiválasztott (alapértelmezetten a
+ * legfrissebb) verzióra.
+ *
+ * Payload: `{ publicationId, targetVersion?, stateMapping?, expectedUpdatedAt? }`
+ *   - `targetVersion`: cél-verzió (hiányában a workflow aktuális verziója).
+ *     Régebbi verziók a `workflowVersions` collection-ből jönnek.
+ *   - `stateMapping`: `{ [régiÁllapotId]: újÁllapotId }` — kötelező minden
+ *     olyan állapotra, amelyben legalább egy cikk áll, de a cél-verzióban már
+ *     nem létezik. Hiányában 409 `state_mapping_required` a megfeleltetendő
+ *     állapotok listájával (a Dashboard ebből építi a táblázatot). Párhuzamos
+ *     szakaszban álló cikknél a megszűnt ág-tokenek (`parallelStates`) is
+ *     megfeleltetendők; ha maga a fork szűnik meg, a cikk a mapping céljába
+ *     lép (fork-célnál új ág-tokenekkel).
+ *
+ * Lépések:
+ *   1. Auth: `publication.activate` office-scope (a snapshot-írás joga).
+ *   2. Cél compiled feloldása + downgrade tiltás (azonos verzió = retry).
+ *   3. Cikkek állapot-ellenőrzése a mapping ellen.
+ *   4. Extension snapshot + autoseed + üres-csoport check (mint az aktiválás).
+ *   5. Publikáció snapshot-csere (SERVER_GUARD sentinel).
+ *   6. Érintett cikkek átállítása (best-effort, sentinel + `previousState`),
+ *      állapot-history bejegyzéssel ha a collection konfigurált.
+ *
+ * Az 5. lépés után a cikk-update hibák NEM görgetik vissza a snapshotot —
+ * a `failedArticles` listát a kliens megjeleníti, és ugyanazzal a mappinggel
+ * újrapróbálható (az azonos verzió nem downgrade).
+ */
+async function migratePublicationWorkflow(ctx) {
+    const { databases, env, callerId, callerUser, payload, error, res, fail, sdk, log, permissionEnv, permissionContext } = ctx;
+    const { publicationId, targetVersion, expectedUpdatedAt } = payload;
+    const stateMapping = payload.stateMapping ?? {};
+
+    if (!publicationId) {
+        return fail(res, 400, 'missing_fields', {
+            required: ['publicationId']
+        });
+    }
+    if (targetVersion != null && (!Number.isInteger(targetVersion) || targetVersion < 1)) {
+        return fail(res, 400, 'invalid_target_version');
+    }
+    if (
+        !stateMapping || typeof stateMapping !== 'object' || Array.isArray(stateMapping)
+        || Object.values(stateMapping).some(v => typeof v !== 'string' || !v)
+    ) {
+        return fail(res, 400, 'invalid_state_mapping');
+    }
+    const missingMigrateEnvs = [];
+    if (!env.publicationsCollectionId) missingMigrateEnvs.push('PUBLICATIONS_COLLECTION_ID');
+    if (!env.articlesCollectionId) missingMigrateEnvs.push('ARTICLES_COLLECTION_ID');
+    if (missingMigrateEnvs.length > 0) {
+        return fail(res, 500, 'misconfigured', { missing: missingMigrateEnvs });
+    }
+
+    // 1) Pub fetch + optimistic concurrency guard (mint az aktiválásnál)
+    let pubDoc;
+    try {
+        pubDoc = await databases.getDocument(env.databaseId, env.publicationsCollectionId, publicationId);
+    } catch (err) {
+        if (err?.code === 404) return fail(res, 404, 'publication_not_found');
+        error(`[MigratePubWorkflow] publikáció fetch hiba: ${err.message}`);
+        return fail(res, 500, 'publication_fetch_failed');
+    }
+    if (expectedUpdatedAt && pubDoc.$updatedAt !== expectedUpdatedAt) {
+        return fail(res, 409, 'concurrent_modification', {
+            expectedUpdatedAt,
+            currentUpdatedAt: pubDoc.$updatedAt,
+            note: 'A publikáció módosult a betöltés óta. Frissítsd az állapotot és próbáld újra.'
+        });
+    }
+
+    // 2) `publication.activate` office-scope permission guard — a migráció
+    //    a snapshotot írja felül, ugyanúgy, mint az aktiválás.
+    const allowed = await permissions.userHasPermission(
+        databases,
+        permissionEnv,
+        callerUser,
+        'publication.activate',
+        pubDoc.editorialOfficeId,
+        permissionContext.snapshotsByOffice,
+        permissionContext.orgRoleByOrg
+    );
+    if (!allowed) {
+        return fail(res, 403, 'insufficient_permission', {
+            slug: 'publication.activate',
+            scope: 'office'
+        });
+    }
+
+    // 3) Csak aktivált, snapshot-tal rendelkező publikáció migrálható —
+    //    a nem aktivált pub amúgy is a live workflow-t használja.
+    if (
+        pubDoc.isActivated !== true
+        || typeof pubDoc.compiledWorkflowSnapshot !== 'string'
+        || pubDoc.compiledWorkflowSnapshot.length === 0
+        || !pubDoc.workflowId
+    ) {
+        return fail(res, 422, 'publication_not_activated');
+    }
+
+    let baseCompiled;
+    try {
+        baseCompiled = JSON.parse(pubDoc.compiledWorkflowSnapshot);
+    } catch (parseErr) {
+        error(`[MigratePubWorkflow] snapshot parse hiba (pub=${publicationId}): ${parseErr.message}`);
+        return fail(res, 500, 'workflow_snapshot_invalid');
+    }
+    const fromVersion = baseCompiled?.version ?? 1;
+
+    // 4) Workflow fetch + scope check
+    let workflowDoc;
+    try {
+        workflowDoc = await databases.getDocument(
+            env.databaseId, env.workflowsCollectionId, pubDoc.workflowId
+        );
+    } catch (err) {
+        if (err?.code === 404) return fail(res, 404, 'workflow_not_found');
+        error(`[MigratePubWorkflow] workflow fetch hiba: ${err.message}`);
+        return fail(res, 500, 'workflow_fetch_failed');
+    }
+    const visibilityCheck = matchesWorkflowVisibility(workflowDoc, {
+        organizationId: pubDoc.organizationId,
+        editorialOfficeId: pubDoc.editorialOfficeId
+    });
+    if (!visibilityCheck.ok) {
+        return fail(res, 403, 'workflow_scope_mismatch', {
+            visibility: visibilityCheck.visibility,
+            workflowOfficeId: workflowDoc.editorialOfficeId,
+            workflowOrganizationId: workflowDoc.organizationId,
+            publicationOfficeId: pubDoc.editorialOfficeId,
+            publicationOrganizationId: pubDoc.organizationId
+        });
+    }
+
+    // 5) Cél compiled feloldása — aktuális verzió a workflow doc-ból, régebbi
+    //    a verzió-history-ból.
+    let currentCompiled;
+    try {
+        currentCompiled = typeof workflowDoc.compiled === 'string'
+            ? JSON.parse(workflowDoc.compiled)
+            : workflowDoc.compiled;
+    } catch (parseErr) {
+        error(`[MigratePubWorkflow] workflow compiled parse hiba: ${parseErr.message}`);
+        return fail(res, 500, 'workflow_compiled_invalid');
+    }
+    const currentVersion = currentCompiled?.version ?? workflowDoc.version ?? 1;
+    const toVersion = targetVersion ?? currentVersion;
+
+    let targetCompiled;
+    if (toVersion === currentVersion) {
+        targetCompiled = currentCompiled;
+    } else if (toVersion > currentVersion) {
+        return fail(res, 404, 'workflow_version_not_found', { targetVersion: toVersion, currentVersion });
+    } else {
+        try {
+            targetCompiled = await getWorkflowVersionCompiled(databases, env, sdk, workflowDoc.$id, toVersion);
+        } catch (err) {
+            error(`[MigratePubWorkflow] verzió fetch hiba (workflow=${workflowDoc.$id}, v${toVersion}): ${err.message}`);
+            return fail(res, 500, 'workflow_fetch_failed');
+        }
+        if (!targetCompiled) {
+            return fail(res, 404, 'workflow_version_not_found', { targetVersion: toVersion, currentVersion });
+        }
+    }
+    if (toVersion < fromVersion) {
+        return fail(res, 400, 'version_downgrade', { fromVersion, toVersion });
+    }
+    const targetCompiledStr = JSON.stringify(targetCompiled);
+
+    // 6) Cikkek állapot-ellenőrzése: a cél-verzióban nem létező állapotú
+    //    cikkekhez kötelező a mapping, a mapping célja létező állapot kell legyen.
+    const targetStates = (Array.isArray(targetCompiled.states) ? targetCompiled.states : [])
+        .filter(s => typeof s?.id === 'string')
+        .map(s => ({ id: s.id, label: s.label || s.id }));
+    const targetStateIds = new Set(targetStates.map(s => s.id));
+
+    const invalidTargets = Object.entries(stateMapping)
+        .filter(([, to]) => !targetStateIds.has(to))
+        .map(([from, to]) => ({ from, to }));
+    if (invalidTargets.length > 0) {
+        return fail(res, 400, 'invalid_state_mapping', { invalidTargets });
+    }
+
+    let articles;
+    try {
+        articles = await listAllByQuery(
+            databases,
+            env.databaseId,
+            env.articlesCollectionId,
+            // Nincs `Query.select`: a `parallelStates` attribútum a fork/join
+            // nélküli adatbázisokban hiányozhat, és egy ismeretlen mezőre
+            // szűkítő select az egész lekérdezést elbuktatná.
+            [sdk.Query.equal('publicationId', publicationId)],
+            sdk
+        );
+    } catch (err) {
+        error(`[MigratePubWorkflow] cikk-lista hiba (pub=${publicationId}): ${err.message}`);
+        return fail(res, 500, 'articles_fetch_failed');
+    }
+
+    // Megfeleltetendő állapotok cikkenként: a megszűnt `state`, vagy — ha a
+    // fork megmarad — a megszűnt ág-tokenek.
+    const removedStatesOf = (article) => {
+        if (!targetStateIds.has(article.state)) return [article.state];
+        return normalizeParallelStates(article.parallelStates).filter(t => !targetStateIds.has(t));
+    };
+    const affectedArticles = articles.filter(a => removedStatesOf(a).length > 0);
+    const unmappedCounts = new Map();
+    for (const article of affectedArticles) {
+        for (const state of new Set(removedStatesOf(article))) {
+            if (stateMapping[state]) continue;
+            unmappedCounts.set(state, (unmappedCounts.get(state) || 0) + 1);
+        }
+    }
+    if (unmappedCounts.size > 0) {
+        return fail(res, 409, 'state_mapping_required', {
+            unmappedStates: [...unmappedCounts].map(([state, count]) => ({ state, count })),
+            targetStates,
+            fromVersion,
+            toVersion
+        });
+    }
+
+    // 6a) Idempotens early-return: a snapshot már a cél-verzió, és nincs
+    //     átállítandó cikk (pl. egy sikeres migráció retry-ja).
+    if (pubDoc.compiledWorkflowSnapshot === targetCompiledStr && affectedArticles.length === 0) {
+        return res.json({
+            success: true,
+            action: 'already_migrated',
+            publicationId,
+            fromVersion,
+            toVersion,
+            migratedArticles: 0,
+            failedArticles: [],
+            publication: pubDoc
+        });
+    }
+
+    // 7) Extension snapshot + autoseed + üres-csoport check — a cél-verzió
+    //    új hivatkozásai / kötelező csoportjai ugyanúgy érvényesek, mint
+    //    aktiváláskor.
+    const extResult = await buildExtensionSnapshot(
+        databases,
+        {
+            databaseId: env.databaseId,
+            workflowExtensionsCollectionId: env.workflowExtensionsCollectionId
+        },
+        sdk,
+        targetCompiled,
+        pubDoc.editorialOfficeId
+    );
+    if (!extResult.ok) {
+        return fail(res, extResult.status, extResult.reason, extResult.payload);
+    }
+
+    let autoseed;
+    try {
+        autoseed = await seedGroupsFromWorkflow(
+            databases,
+            { databaseId: env.databaseId, groupsCollectionId: env.groupsCollectionId },
+            targetCompiled,
+            pubDoc.editorialOfficeId,
+            pubDoc.organizationId,
+            callerId,
+            log,
+            buildOfficeAclPerms
+        );
+    } catch (seedErr) {
+        error(`[MigratePubWorkflow] autoseed hiba (pub=${publicationId}): ${seedErr.message}`);
+        return fail(res, 500, 'autoseed_failed', { error: seedErr.message });
+    }
+
+    const requiredSlugs = Array.isArray(targetCompiled.requiredGroupSlugs)
+        ? targetCompiled.requiredGroupSlugs.map(e => e?.slug).filter(s => typeof s === 'string')
+        : [];
+    const emptySlugs = await findEmptyRequiredGroupSlugs(
+        databases,
+        {
+            databaseId: env.databaseId,
+            groupsCollectionId: env.groupsCollectionId,
+            groupMembershipsCollectionId: env.groupMembershipsCollectionId
+        },
+        requiredSlugs,
+        pubDoc.editorialOfficeId
+    );
+    if (emptySlugs.length > 0) {
+        return fail(res, 409, 'empty_required_groups', {
+            slugs: emptySlugs,
+            note: 'A cél-verzió által kötelező csoportoknak legalább 1 tagja kell legyen a migráció előtt.',
+            autoseed
+        });
+    }
+
+    // 8) Snapshot-csere — SERVER_GUARD sentinel a `validate-publication-update`-nek.
+    const SERVER_GUARD_ID = 'server-guard';
+    let updatedPubDoc;
+    try {
+        updatedPubDoc = await databases.updateDocument(
+            env.databaseId,
+            env.publicationsCollectionId,
+            publicationId,
+            {
+                compiledWorkflowSnapshot: targetCompiledStr,
+                compiledExtensionSnapshot: extResult.snapshot,
+                modifiedByClientId: SERVER_GUARD_ID
+            }
+        );
+    } catch (updErr) {
+        error(`[MigratePubWorkflow] pub update hiba (pub=${publicationId}): ${updErr.message}`);
+        return fail(res, 500, 'migration_update_failed');
+    }
+
+    // 9) Érintett cikkek átállítása. A sentinel az `article-update-guard`
+    //    átmenet-ellenőrzését skip-eli (a mapping nem feltétlenül egy
+    //    compiled átmenet). A history-bejegyzés best-effort.
+    let actorName = null;
+    if (affectedArticles.length > 0 && env.articleStateHistoryCollectionId) {
+        try {
+            const membershipResult = await databases.listDocuments(
+                env.databaseId,
+                env.officeMembershipsCollectionId,
+                [
+                    sdk.Query.equal('userId', callerId),
+                    sdk.Query.equal('editorialOfficeId', pubDoc.editorialOfficeId),
+                    sdk.Query.select(['userName']),
+                    sdk.Query.limit(1)
+                ]
+            );
+            actorName = membershipResult.documents[0]?.userName || null;
+        } catch (err) {
+            log(`[MigratePubWorkflow] actorName lookup hiba (nem blokkoló): ${err.message}`);
+        }
+    }
+
+    let migratedArticles = 0;
+    const failedArticles = [];
+    for (const article of affectedArticles) {
+        const tokens = normalizeParallelStates(article.parallelStates);
+        const resolved = targetStateIds.has(article.state)
+            ? { state: article.state, parallelStates: tokens.map(t => (targetStateIds.has(t) ? t : stateMapping[t])) }
+            : resolveStateEntry(targetCompiled, stateMapping[article.state]);
+        const newState = resolved.state;
+        const update = { state: newState, modifiedByClientId: SERVER_GUARD_ID };
+        if (newState !== article.state) update.previousState = article.state;
+        if (tokens.length > 0 || resolved.parallelStates.length > 0) {
+            update.parallelStates = resolved.parallelStates;
+        }
+        try {
+            await databases.updateDocument(
+                env.databaseId,
+                env.articlesCollectionId,
+                article.$id,
+                update
+            );
+            migratedArticles++;
+        } catch (err) {
+            error(`[MigratePubWorkflow] cikk update hiba (${article.$id}): ${err.message}`);
+            failedArticles.push({ articleId: article.$id, state: article.state });
+            continue;
+        }
+
+        if (env.articleStateHistoryCollectionId) {
+            const officeId = article.editorialOfficeId || pubDoc.editorialOfficeId;
+            try {
+                await databases.createDocument(
+                    env.databaseId,
+                    env.articleStateHistoryCollectionId,
+                    sdk.ID.unique(),
+                    {
+                        articleId: article.$id,
+                        publicationId,
+                        editorialOfficeId: officeId,
+                        organizationId: article.organizationId || pubDoc.organizationId || null,
+                        fromState: article.state,
+                        toState: newState,
+                        actorUserId: callerId,
+                        actorName,
+                        lockType: article.lockType || null,
+                        lockOwnerId: article.lockOwnerId || null,
+                        markers: typeof article.markers === 'number' ? article.markers : 0,
+                        transitionedAt: new Date().toISOString()
+                    },
+                    buildOfficeAclPerms(officeId)
+                );
+            } catch (err) {
+                log(`[MigratePubWorkflow] history írás sikertelen (article=${article.$id}): ${err.message}`);
+            }
+        }
+    }
+
+    log(`[MigratePubWorkflow] User ${callerId} migrálta: pub=${publicationId}, workflow=${pubDoc.workflowId}, v${fromVersion} → v${toVersion}, cikkek: ${migratedArticles} átállítva, ${failedArticles.length} hiba, autoseed.created=${autoseed.created.length}`);
+
+    return res.json({
+        success: true,
+        action: 'migrated',
+        publicationId,
+        workflowId: pubDoc.workflowId,
+        fromVersion,
+        toVersion,
+        migratedArticles,
+        failedArticles,
+        publication: updatedPubDoc,
+        autoseed
+    });
+}
+
+/** `clone_publication` — a határidő-eltolás megengedett tartománya (nap). */
+const CLONE_MAX_DEADLINE_OFFSET_DAYS = 366;
+
+/** `clone_publication` — a tervezett cikkek felső korlátja (a `plannedArticles` mező 64 KB). */
+const CLONE_MAX_PLANNED_ARTICLES = 500;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// A `markers` bitmaszk „Kimarad" bitje (`maestro-shared/constants.js` MARKERS.IGNORE).
+const MARKER_IGNORE = 1;
+
+/**
+ * A forrás-szám cikkeiből a tervezett cikkek listája (`plannedArticles`,
+ * a `maestro-shared/pageGapUtils.js` `parsePlannedArticles` formátuma):
+ * névvel és oldalszámmal rendelkező, nem kimaradó (`MARKERS.IGNORE`) cikkek,
+ * az új terjedelemre vágva, átfedés nélkül.
+ *
+ * @param {Array<Object>} articles
+ * @param {number} coverageStart
+ * @param {number} coverageEnd
+ * @returns {Array<{ name: string, startPage: number, endPage: number }>}
+ */
+function buildPlannedArticles(articles, coverageStart, coverageEnd) {
+    const candidates = articles
+        .filter(a => typeof a.name === 'string' && a.name.trim() !== '')
+        .filter(a => Number.isInteger(a.startPage))
+        .filter(a => ((typeof a.markers === 'number' ? a.markers : 0) & MARKER_IGNORE) === 0)
+        .map(a => ({
+            name: a.name.trim(),
+            startPage: Math.max(a.startPage, coverageStart),
+            endPage: Math.min(Number.isInteger(a.endPage) ? a.endPage : a.startPage, coverageEnd)
+        }))
+        .filter(p => p.startPage <= p.endPage)
+        .sort((a, b) => a.startPage - b.startPage);
+
+    const planned = [];
+    let lastEnd = -Infinity;
+    for (const plan of candidates) {
+        if (plan.startPage <= lastEnd) continue;
+        planned.push(plan);
+        lastEnd = plan.endPage;
+        if (planned.length >= CLONE_MAX_PLANNED_ARTICLES) break;
+    }
+    return planned;
+}
+
+/**
+ * ACTION='clone_publication'.
+ *
+ * Új kiadvány egy korábbi szám mintájára: a forrás workflow-hozzárendelése,
+ * `defaultContributors` és `excludeWeekends` mezője, layoutjai és
+ * határidői (`deadlineOffsetDays` nappal eltolva, az új terjedelemre vágva)
+ * átkerülnek. `includePlannedArticles: true` esetén a forrás cikkei
+ * tervezett cikkként (`plannedArticles`) jelennek meg a helykitöltő sorokban.
+ * A `rootPath` NEM másolódik — a Plugin állítja be az új szám mappájára.
+ *
+ * Auth: mint a `create_publication_with_workflow` (`publication.create` +
+ * `publication.workflow.assign`, office-scope). Az új kiadvány nem aktivált.
+ * Bármely lépés hibája → rollback (a publikáció törlése; a layoutokat és
+ * határidőket a `cascade-delete` CF takarítja).
+ */
+async function clonePublication(ctx) {
+    const { databases, env, callerId, callerUser, payload, error, res, fail, sdk, log, permissionEnv, permissionContext } = ctx;
+    const {
+        sourcePublicationId,
+        name,
+        coverageStart,
+        coverageEnd,
+        deadlineOffsetDays = 7,
+        includePlannedArticles = false
+    } = payload;
+
+    if (!sourcePublicationId || !name || !String(name).trim()) {
+        return fail(res, 400, 'missing_fields', {
+            required: ['sourcePublicationId', 'name']
+        });
+    }
+    const offsetDays = Number(deadlineOffsetDays);
+    if (!Number.isInteger(offsetDays) || Math.abs(offsetDays) > CLONE_MAX_DEADLINE_OFFSET_DAYS) {
+        return fail(res, 400, 'invalid_deadline_offset', {
+            min: -CLONE_MAX_DEADLINE_OFFSET_DAYS,
+            max: CLONE_MAX_DEADLINE_OFFSET_DAYS
+        });
+    }
+    const missingEnvs = [];
+    if (!env.publicationsCollectionId) missingEnvs.push('PUBLICATIONS_COLLECTION_ID');
+    if (!env.layoutsCollectionId) missingEnvs.push('LAYOUTS_COLLECTION_ID');
+    if (!env.deadlinesCollectionId) missingEnvs.push('DEADLINES_COLLECTION_ID');
+    if (includePlannedArticles && !env.articlesCollectionId) missingEnvs.push('ARTICLES_COLLECTION_ID');
+    if (missingEnvs.length > 0) {
+        return fail(res, 500, 'misconfigured', { missing: missingEnvs });
+    }
+
+    // 1) Forrás publikáció
+    let sourceDoc;
+    try {
+        sourceDoc = await databases.getDocument(env.databaseId, env.publicationsCollectionId, sourcePublicationId);
+    } catch (err) {
+        if (err?.code === 404) return fail(res, 404, 'publication_not_found');
+        error(`[ClonePub] forrás publikáció fetch hiba: ${err.message}`);
+        return fail(res, 500, 'publication_fetch_failed');
+    }
+    const { organizationId, editorialOfficeId, workflowId } = sourceDoc;
+
+    // 2) Auth — ugyanaz a dual check, mint a create_publication_with_workflow-ban.
+    //    A forrás office-ára kérdezünk: a klón mindig a forrással azonos office-ba kerül.
+    for (const slug of ['publication.create', 'publication.workflow.assign']) {
+        const allowed = await permissions.userHasPermission(
+            databases,
+            permissionEnv,
+            callerUser,
+            slug,
+            editorialOfficeId,
+            permissionContext.snapshotsByOffice,
+            permissionContext.orgRoleByOrg
+        );
+        if (!allowed) {
+            return fail(res, 403, 'insufficient_permission', { slug, scope: 'office' });
+        }
+    }
+
+    if (!workflowId) {
+        return fail(res, 422, 'source_workflow_missing');
+    }
+
+    // 3) Terjedelem: payload felülírhatja, különben a forrásé.
+    const newCoverageStart = coverageStart != null ? parseInt(coverageStart, 10) : sourceDoc.coverageStart;
+    const newCoverageEnd = coverageEnd != null ? parseInt(coverageEnd, 10) : sourceDoc.coverageEnd;
+    if (!Number.isInteger(newCoverageStart) || !Number.isInteger(newCoverageEnd)
+        || newCoverageStart < 1 || newCoverageStart > newCoverageEnd) {
+        return fail(res, 400, 'invalid_coverage');
+    }
+
+    // 4) Workflow fetch + 3-way visibility (a forrás hozzárendelése azóta
+    //    érvénytelenné válhatott, pl. a workflow láthatósága szűkült).
+    let workflowDoc;
+    try {
+        workflowDoc = await databases.getDocument(env.databaseId, env.workflowsCollectionId, workflowId);
+    } catch (err) {
+        if (err?.code === 404) return fail(res, 404, 'workflow_not_found');
+        error(`[ClonePub] workflow fetch hiba: ${err.message}`);
+        return fail(res, 500, 'workflow_fetch_failed');
+    }
+    const visibilityCheck = matchesWorkflowVisibility(workflowDoc, { organizationId, editorialOfficeId });
+    if (!visibilityCheck.ok) {
+        return fail(res, 403, 'workflow_scope_mismatch', { visibility: visibilityCheck.visibility });
+    }
+    let compiled;
+    try {
+        compiled = typeof workflowDoc.compiled === 'string'
+            ? JSON.parse(workflowDoc.compiled)
+            : workflowDoc.compiled;
+    } catch (parseErr) {
+        error(`[ClonePub] workflow compiled parse hiba: ${parseErr.message}`);
+        return fail(res, 500, 'workflow_compiled_invalid');
+    }
+
+    // 5) Forrás gyerek-rekordok (a create előtt — fetch-hiba esetén nincs mit visszagörgetni).
+    let sourceLayouts;
+    let sourceDeadlines;
+    let sourceArticles = [];
+    try {
+        const byPublication = [sdk.Query.equal('publicationId', sourcePublicationId)];
+        sourceLayouts = await listAllByQuery(databases, env.databaseId, env.layoutsCollectionId, byPublication, sdk);
+        sourceDeadlines = await listAllByQuery(databases, env.databaseId, env.deadlinesCollectionId, byPublication, sdk);
+        if (includePlannedArticles) {
+            sourceArticles = await listAllByQuery(
+                databases,
+                env.databaseId,
+                env.articlesCollectionId,
+                [...byPublication, sdk.Query.select(['$id', 'name', 'startPage', 'endPage', 'markers'])],
+                sdk
+            );
+        }
+    } catch (err) {
+        error(`[ClonePub] forrás rekordok fetch hiba (pub=${sourcePublicationId}): ${err.message}`);
+        return fail(res, 500, 'source_fetch_failed');
+    }
+
+    // Határidők: eltolás + vágás az új terjedelemre; a teljesen kieső kimarad.
+    const clonedDeadlines = [];
+    let droppedDeadlines = 0;
+    for (const d of sourceDeadlines) {
+        const time = new Date(d.datetime).getTime();
+        const startPage = Math.max(d.startPage, newCoverageStart);
+        const endPage = Math.min(d.endPage, newCoverageEnd);
+        if (isNaN(time) || startPage > endPage) {
+            droppedDeadlines++;
+            continue;
+        }
+        clonedDeadlines.push({
+            startPage,
+            endPage,
+            datetime: new Date(time + offsetDays * MS_PER_DAY).toISOString()
+        });
+    }
+
+    const plannedArticles = includePlannedArticles
+        ? buildPlannedArticles(sourceArticles, newCoverageStart, newCoverageEnd)
+        : [];
+
+    // 6) Publikáció create — mint a create_publication_with_workflow 4. lépése.
+    const docPayload = {
+        organizationId,
+        editorialOfficeId,
+        workflowId,
+        name: String(name).trim(),
+        coverageStart: newCoverageStart,
+        coverageEnd: newCoverageEnd,
+        isActivated: false,
+        modifiedByClientId: callerId
+    };
+    if (typeof sourceDoc.excludeWeekends === 'boolean') docPayload.excludeWeekends = sourceDoc.excludeWeekends;
+    if (sourceDoc.defaultContributors) docPayload.defaultContributors = sourceDoc.defaultContributors;
+    if (plannedArticles.length > 0) docPayload.plannedArticles = JSON.stringify(plannedArticles);
+
+    const aclPerms = withCreator(buildOfficeAclPerms(editorialOfficeId), callerId);
+    let pubDoc;
+    try {
+        pubDoc = await databases.createDocument(
+            env.databaseId,
+            env.publicationsCollectionId,
+            sdk.ID.unique(),
+            docPayload,
+            aclPerms
+        );
+    } catch (err) {
+        error(`[ClonePub] publikáció create hiba: ${err.message}`);
+        return fail(res, 500, 'publication_create_failed', { error: err.message });
+    }
+
+    const rollback = async (reason, err) => {
+        error(`[ClonePub] ${reason} — rollback (pub=${pubDoc.$id}): ${err.message}`);
+        try {
+            await databases.deleteDocument(env.databaseId, env.publicationsCollectionId, pubDoc.$id);
+        } catch (rollbackErr) {
+            error(`[ClonePub] rollback hiba (pub=${pubDoc.$id}, orphan!): ${rollbackErr.message}`);
+        }
+    };
+
+    // 7) Autoseed — a workflow csoportjai azóta törlődhettek.
+    let autoseed;
+    try {
+        autoseed = await seedGroupsFromWorkflow(
+            databases,
+            { databaseId: env.databaseId, groupsCollectionId: env.groupsCollectionId },
+            compiled,
+            editorialOfficeId,
+            organizationId,
+            callerId,
+            log,
+            buildOfficeAclPerms
+        );
+    } catch (seedErr) {
+        await rollback('autoseed hiba', seedErr);
+        return fail(res, 500, 'autoseed_failed', { error: seedErr.message });
+    }
+
+    // 8) Layoutok + határidők másolása (szekvenciálisan — a rekordszám kicsi).
+    try {
+        const scope = { publicationId: pubDoc.$id, organizationId, editorialOfficeId };
+        for (const layout of sourceLayouts) {
+            await databases.createDocument(
+                env.databaseId,
+                env.layoutsCollectionId,
+                sdk.ID.unique(),
+                { ...scope, name: layout.name, order: layout.order ?? 0 },
+                aclPerms
+            );
+        }
+        for (const deadline of clonedDeadlines) {
+            await databases.createDocument(
+                env.databaseId,
+                env.deadlinesCollectionId,
+                sdk.ID.unique(),
+                { ...scope, ...deadline },
+                aclPerms
+            );
+        }
+    } catch (copyErr) {
+        await rollback('layout / határidő másolási hiba', copyErr);
+        return fail(res, 500, 'clone_children_failed', { error: copyErr.message });
+    }
+
+    log(`[ClonePub] User ${callerId}: pub=${pubDoc.$id} ("${docPayload.name}") klónozva pub=${sourcePublicationId}-ból, layouts=${sourceLayouts.length}, deadlines=${clonedDeadlines.length} (kiesett: ${droppedDeadlines}), planned=${plannedArticles.length}, offset=${offsetDays}d`);
+
+    return res.json({
+        success: true,
+        action: 'cloned',
+        publication: pubDoc,
+        sourcePublicationId,
+        clonedLayouts: sourceLayouts.length,
+        clonedDeadlines: clonedDeadlines.length,
+        droppedDeadlines,
+        plannedArticles: plannedArticles.length,
+        autoseed
+    });
+}
+
 module.exports = {
     createPublicationWithWorkflow,
     assignWorkflowToPublication,
-    activatePublication
+    activatePublication,
+    migratePublicationWorkflow,
+    clonePublication
 };
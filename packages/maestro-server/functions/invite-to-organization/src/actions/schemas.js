@@ -8,13 +8,15 @@
 // `teamHelpers.js`. Visszafelé NEM (CommonJS ciklikus require csendben
 // fél-inicializált exports-ot ad).
 
+const sdk = require('node-appwrite');
 const {
     WORKFLOW_VISIBILITY_VALUES,
     WORKFLOW_VISIBILITY_DEFAULT,
     CASCADE_BATCH_LIMIT,
     EXTENSION_KIND_VALUES,
     EXTENSION_SCOPE_VALUES,
-    EXTENSION_SCOPE_DEFAULT
+    EXTENSION_SCOPE_DEFAULT,
+    EXTENSION_REVISION_NOTE_MAX_LENGTH
 } = require('../helpers/constants.js');
 const {
     TEAM_SKIP_REASONS,
@@ -29,6 +31,7 @@ const {
     withCreator
 } = require('../teamHelpers.js');
 const {
+    SLUG_MAX_LENGTH,
     isAlreadyExists,
     requireOwnerAnywhere,
     requireOrgOwner,
@@ -45,6 +48,10 @@ const {
     findUnknownAliases,
     verifyDocumentSecurity
 } = require('../helpers/collectionMetadata.js');
+const { WORKING_CALENDAR_MAX_LENGTH } = require('../_generated_workingCalendar.js');
+const { PARAM_SCHEMA_MAX_LENGTH } = require('../_generated_extensionParams.js');
+const { TEST_FIXTURES_MAX_LENGTH } = require('../_generated_extensionFixtures.js');
+const { LEGACY_RECIPIENT_GROUP_SLUGS } = require('../_generated_messageRecipients.js');
 
 /**
  * ACTION='bootstrap_workflow_schema' (#30 + #80) — owner-only schema-bővítés
@@ -239,6 +246,9 @@ async function bootstrapWorkflowSchema(ctx) {
  *     OLVASSA. Az attribútum a `articles` collection-en már létezik
  *     ugyanezekkel a paraméterekkel — drift-fix a `publications`-re,
  *     mert a Console-ban manuálisan létrehozott séma kimaradt.
+ *   - `plannedArticles` (string 65535, nullable). Tervezett cikkek JSON
+ *     listája (`[{ name, startPage, endPage }]`) — a `clone_publication`
+ *     action írja az előző szám cikkeiből, a `buildPlaceholderRows` olvassa.
  *
  * Manuálisan triggerelendő (curl vagy Console). Idempotens.
  */
@@ -330,6 +340,32 @@ async function bootstrapPublicationSchema(ctx) {
         }
     }
 
+    // 5. plannedArticles — string(65535), nullable. A `clone_publication`
+    //    „helykitöltő cikkek" opciója írja; hiányában a klónozás e nélkül
+    //    is működik (a CF csak akkor írja a mezőt, ha a hívó kérte).
+    try {
+        await databases.createStringAttribute(
+            env.databaseId,
+            env.publicationsCollectionId,
+            'plannedArticles',
+            65535,                             // size (~500 tervezett cikk)
+            false,                             // required
+            null,                              // default
+            false                              // array
+        );
+        created.push('plannedArticles');
+    } catch (err) {
+        if (isAlreadyExists(err)) {
+            skipped.push('plannedArticles');
+        } else {
+            error(`[BootstrapPublicationSchema] plannedArticles létrehozás hiba: ${err.message}`);
+            return fail(res, 500, 'schema_planned_articles_failed', {
+                attribute: 'plannedArticles',
+                error: err.message
+            });
+        }
+    }
+
     log(`[BootstrapPublicationSchema] User ${callerId}: created=[${created.join(',')}] skipped=[${skipped.join(',')}]`);
 
     return res.json({
@@ -672,11 +708,10 @@ async function bootstrapPermissionSetsSchema(ctx) {
  * ellenőrizendő, hogy a `rowSecurity` flag aktív (különben a doc-szintű
  * `buildExtensionAclPerms()` ACL nem érvényesül a Realtime push-on).
  *
- * Phase 0 hatókör-szűkítés (B.0.4): a `paramSchema` mező SZÁNDÉKOSAN
- * kimaradt — a Phase 0 MVP nem támogat per-workflow extension-paraméter-
- * átadást, az ExtendScript `code` önálló logikát kódol kötött I/O
- * kontraktussal. A mező a Phase 1+ schema-frissítésben jön (additive,
- * "nincs migráció" alapelv).
+ * A `paramSchema` (opcionális JSON string, `extensionParams.js`), a
+ * `testFixtures` (`extensionFixtures.js`) és a `revision` (a revízió-history
+ * számlálója) a Phase 0 után additív attribútumként került be ("nincs migráció" alapelv): a már bootstrap-elt
+ * collection-ön az action újrafuttatása pótolja.
  */
 async function bootstrapWorkflowExtensionSchema(ctx) {
     const { databases, env, callerId, log, error, res, fail } = ctx;
@@ -696,6 +731,7 @@ async function bootstrapWorkflowExtensionSchema(ctx) {
     }
 
     const created = [];
+    const updated = [];
     const skipped = [];
     const indexesPending = [];
 
@@ -726,17 +762,24 @@ async function bootstrapWorkflowExtensionSchema(ctx) {
     // (`ext.<slug>` hivatkozás a workflow JSON-ban); a `code` 1_000_000 char
     // (~1 MB, az ExtendScript forrás bőven elfér — tipikus 5-50 KB).
     // Az `archivedAt` nullable (soft-delete marker, a meglévő workflow-k
-    // mintája). A `paramSchema` SZÁNDÉKOSAN kimaradt (B.0.1 / B.0.4).
-    // A `scope` enum Phase 0-ban CSAK `['article']` (fail-closed séma); a
-    // Phase 1+ `publication` érték utólagos `updateEnumAttribute`-tal kerül be,
-    // a `bootstrap_workflow_schema` `public` visibility late-add mintáját
-    // követve (Codex adversarial review B.1 2026-05-04 Medium fix).
+    // mintája). A `paramSchema` a per-workflow `options` leírása (nullable,
+    // a `PARAM_SCHEMA_MAX_LENGTH` a shared modulból). A `testFixtures` a
+    // Dashboard teszt-futtatás mentett bemenetei (nullable, a runtime nem olvassa).
+    // A `revision` az aktuális tartalom revízió-száma (nullable — a revízió-
+    // követés előtti doc-oknál hiányzik, ld. `helpers/extensionRevisions.js`).
+    // A `scope` enum értékei: `article` (Phase 0) és `publication` (kiadvány-
+    // szintű extension). A már bootstrap-elt collection-ön a `publication`
+    // értéket `updateEnumAttribute` pótolja, a `bootstrap_workflow_schema`
+    // `public` visibility late-add mintáját követve.
     const extensionAttrs = [
         { name: 'name',              kind: 'string',   size: 100,  required: true },
         { name: 'slug',              kind: 'string',   size: 64,   required: true },
         { name: 'kind',              kind: 'enum',     values: EXTENSION_KIND_VALUES,     required: true,  default: null },
         { name: 'scope',             kind: 'enum',     values: EXTENSION_SCOPE_VALUES,    required: false, default: EXTENSION_SCOPE_DEFAULT },
         { name: 'code',              kind: 'string',   size: 1_000_000, required: true },
+        { name: 'paramSchema',       kind: 'string',   size: PARAM_SCHEMA_MAX_LENGTH, required: false },
+        { name: 'testFixtures',      kind: 'string',   size: TEST_FIXTURES_MAX_LENGTH, required: false },
+        { name: 'revision',          kind: 'integer',  required: false },
         { name: 'visibility',        kind: 'enum',     values: WORKFLOW_VISIBILITY_VALUES, required: false, default: WORKFLOW_VISIBILITY_DEFAULT },
         { name: 'archivedAt',        kind: 'datetime', required: false },
         { name: 'editorialOfficeId', kind: 'string',   size: 36,   required: true },
@@ -751,6 +794,11 @@ async function bootstrapWorkflowExtensionSchema(ctx) {
                     env.databaseId, env.workflowExtensionsCollectionId,
                     attr.name, attr.required, null, false
                 );
+            } else if (attr.kind === 'integer') {
+                await databases.createIntegerAttribute(
+                    env.databaseId, env.workflowExtensionsCollectionId,
+                    attr.name, attr.required, 1, undefined, null, false
+                );
             } else if (attr.kind === 'enum') {
                 // Appwrite 1.9+: `required=true` + `default` kombináció
                 // hibát dob (`attribute_default_unsupported`). A `kind`
@@ -769,7 +817,22 @@ async function bootstrapWorkflowExtensionSchema(ctx) {
             }
             created.push(`workflowExtensions.${attr.name}`);
         } catch (err) {
-            if (isAlreadyExists(err)) {
+            if (isAlreadyExists(err) && attr.name === 'scope') {
+                // Már létezik (Phase 0: csak `article`) — bővítjük a
+                // `publication` értékkel. Nem halálos, ha az Appwrite nem
+                // engedi: a user a Console-ban bővíti.
+                try {
+                    await databases.updateEnumAttribute(
+                        env.databaseId, env.workflowExtensionsCollectionId,
+                        'scope', EXTENSION_SCOPE_VALUES, false, EXTENSION_SCOPE_DEFAULT
+                    );
+                    updated.push('workflowExtensions.scope(publication added)');
+                } catch (updateErr) {
+                    const msg = updateErr?.message || String(updateErr);
+                    log(`[BootstrapWorkflowExtensionSchema] scope update nem ment: ${msg} — Console-ban bővítsd a 'publication' értékkel.`);
+                    skipped.push(`workflowExtensions.scope (update_failed: ${msg})`);
+                }
+            } else if (isAlreadyExists(err)) {
                 skipped.push(`workflowExtensions.${attr.name}`);
             } else {
                 error(`[BootstrapWorkflowExtensionSchema] ${attr.name} attribútum hiba: ${err.message}`);
@@ -815,7 +878,7 @@ async function bootstrapWorkflowExtensionSchema(ctx) {
         }
     }
 
-    log(`[BootstrapWorkflowExtensionSchema] User ${callerId}: created=[${created.join(',')}] skipped=[${skipped.join(',')}] indexesPending=[${indexesPending.join(',')}]`);
+    log(`[BootstrapWorkflowExtensionSchema] User ${callerId}: created=[${created.join(',')}] updated=[${updated.join(',')}] skipped=[${skipped.join(',')}] indexesPending=[${indexesPending.join(',')}]`);
 
     const note = indexesPending.length > 0
         ? 'Az attribútumok feldolgozása ~5-10s. Futtasd újra az action-t amíg az indexesPending lista kiürül.'
@@ -824,6 +887,7 @@ async function bootstrapWorkflowExtensionSchema(ctx) {
     return res.json({
         success: true,
         created,
+        updated,
         skipped,
         indexesPending,
         note
@@ -3611,6 +3675,1271 @@ async function bootstrapOrganizationInviteHistorySchema(ctx) {
     });
 }
 
+/**
+ * ACTION='bootstrap_article_state_history_schema' — owner-only schema-create
+ * az `articleStateHistory` collection-re (cikk-állapot audit timeline).
+ *
+ * Append-only: minden sikeres állapotváltáskor az `update-article` CF egy
+ * új doc-ot ír (best-effort — a history-write hibája NEM rontja el a cikk
+ * write-ját). Update / delete útvonal NINCS; a cascade-delete a cikkel
+ * együtt takarít.
+ *
+ * Mezők:
+ *   - articleId (36)
+ *   - publicationId (36, nullable)
+ *   - editorialOfficeId (36)
+ *   - organizationId (36, nullable)
+ *   - fromState (64) — a váltás előtti állapot id
+ *   - toState (64) — az új állapot id
+ *   - actorUserId (36) — a CF hívója (`x-appwrite-user-id`)
+ *   - actorName (128, nullable) — denormalizált megjelenítési név
+ *   - lockType (16, nullable) — a cikk lock-kontextusa a váltás pillanatában
+ *   - lockOwnerId (36, nullable)
+ *   - markers (integer, default 0) — bitmaszk a váltás pillanatában
+ *   - transitionedAt (datetime)
+ *
+ * Indexek:
+ *   - article_transitionedAt — `(articleId, transitionedAt)` — timeline lista
+ *   - office_transitionedAt — `(editorialOfficeId, transitionedAt)` — office-szintű riport
+ *
+ * Read ACL: `team:office_${officeId}` (doc-szintű, a CF írja).
+ * Write: kizárólag CF API key-jel.
+ *
+ * Idempotens (409 → skip). Action-szintű env var: `ARTICLE_STATE_HISTORY_COLLECTION_ID`.
+ */
+async function bootstrapArticleStateHistorySchema(ctx) {
+    const { databases, env, log, error, res, fail } = ctx;
+
+    const denied = await requireOwnerAnywhere(ctx);
+    if (denied) return denied;
+
+    const historyCollectionId = env.articleStateHistoryCollectionId;
+    if (!historyCollectionId) {
+        return fail(res, 500, 'misconfigured', { missing: ['ARTICLE_STATE_HISTORY_COLLECTION_ID'] });
+    }
+
+    const created = [];
+    const skipped = [];
+    const indexesPending = [];
+
+    // `documentSecurity: true` kötelező — a doc-szintű office ACL ad olvasási
+    // jogot; collection-szintű `read("users")` NINCS (cross-tenant push ellen).
+    try {
+        await databases.createCollection(
+            env.databaseId,
+            historyCollectionId,
+            'articleStateHistory',
+            [],
+            true,   // documentSecurity
+            true    // enabled
+        );
+        created.push('collection:articleStateHistory');
+    } catch (err) {
+        if (isAlreadyExists(err)) {
+            skipped.push('collection:articleStateHistory');
+        } else {
+            error(`[BootstrapArticleStateHistory] collection létrehozás hiba: ${err.message}`);
+            return fail(res, 500, 'schema_collection_failed', { error: err.message });
+        }
+    }
+
+    const stringFields = [
+        ['articleId', 36, true, null],
+        ['publicationId', 36, false, null],
+        ['editorialOfficeId', 36, true, null],
+        ['organizationId', 36, false, null],
+        ['fromState', 64, true, null],
+        ['toState', 64, true, null],
+        ['actorUserId', 36, true, null],
+        ['actorName', 128, false, null],
+        ['lockType', 16, false, null],
+        ['lockOwnerId', 36, false, null]
+    ];
+    for (const [name, size, required, defaultValue] of stringFields) {
+        try {
+            await databases.createStringAttribute(
+                env.databaseId, historyCollectionId,
+                name, size, required, defaultValue, false
+            );
+            created.push(name);
+        } catch (err) {
+            if (isAlreadyExists(err)) skipped.push(name);
+            else {
+                error(`[BootstrapArticleStateHistory] ${name} hiba: ${err.message}`);
+                return fail(res, 500, `schema_${name}_failed`, { error: err.message });
+            }
+        }
+    }
+
+    try {
+        await databases.createIntegerAttribute(
+            env.databaseId, historyCollectionId,
+            'markers', false, 0, undefined, 0, false
+        );
+        created.push('markers');
+    } catch (err) {
+        if (isAlreadyExists(err)) skipped.push('markers');
+        else {
+            error(`[BootstrapArticleStateHistory] markers hiba: ${err.message}`);
+            return fail(res, 500, 'schema_markers_failed', { error: err.message });
+        }
+    }
+
+    try {
+        await databases.createDatetimeAttribute(
+            env.databaseId, historyCollectionId, 'transitionedAt', true, null, false
+        );
+        created.push('transitionedAt');
+    } catch (err) {
+        if (isAlreadyExists(err)) skipped.push('transitionedAt');
+        else {
+            error(`[BootstrapArticleStateHistory] transitionedAt hiba: ${err.message}`);
+            return fail(res, 500, 'schema_transitionedAt_failed', { error: err.message });
+        }
+    }
+
+    const indexes = [
+        ['article_transitionedAt', ['articleId', 'transitionedAt']],
+        ['office_transitionedAt', ['editorialOfficeId', 'transitionedAt']]
+    ];
+    for (const [key, attributes] of indexes) {
+        try {
+            await databases.createIndex(env.databaseId, historyCollectionId, key, 'key', attributes);
+            created.push(key);
+        } catch (err) {
+            if (isAlreadyExists(err)) skipped.push(key);
+            else if (/attribute|not.*ready|pending/i.test(err.message || '')) {
+                indexesPending.push(key);
+                log(`[BootstrapArticleStateHistory] ${key} pending — re-run 10s múlva: ${err.message}`);
+            } else {
+                error(`[BootstrapArticleStateHistory] ${key} hiba: ${err.message}`);
+                return fail(res, 500, `schema_${key}_failed`, { error: err.message });
+            }
+        }
+    }
+
+    log(`[BootstrapArticleStateHistory] created=[${created.join(',')}] skipped=[${skipped.join(',')}] indexesPending=[${indexesPending.join(',')}]`);
+    return res.json({
+        success: true,
+        action: 'article_state_history_schema_bootstrapped',
+        created,
+        skipped,
+        indexesPending: indexesPending.length > 0,
+        ...(indexesPending.length > 0 ? { pendingIndexes: indexesPending } : {})
+    });
+}
+
+/**
+ * ACTION='bootstrap_workflow_versions_schema' — owner-only schema-create a
+ * `workflowVersions` collection-re (számozott workflow compiled snapshotok).
+ *
+ * Minden sikeres `update_workflow` (és a `create_workflow` /
+ * `duplicate_workflow` v1) egy új doc-ot ír a mentett compiled JSON-nal — ez
+ * adja a Designer verzió-összehasonlító nézetének és a
+ * `migrate_publication_workflow` cél-verziójának forrását. Best-effort írás:
+ * a verzió-write hibája NEM rontja el a workflow mentését.
+ *
+ * Mezők:
+ *   - workflowId (36)
+ *   - editorialOfficeId (36)
+ *   - organizationId (36, nullable)
+ *   - compiled (1_000_000) — a verzió compiled JSON-ja (string)
+ *   - createdByUserId (36, nullable)
+ *   - version (integer) — a compiled `version` mezője
+ *   - createdAt (datetime)
+ *
+ * Indexek:
+ *   - workflow_version_unique — `(workflowId, version)` unique — a párhuzamos
+ *     backfill + rögzítés ne hozzon létre duplikátumot
+ *
+ * Read ACL: `team:office_${officeId}` (doc-szintű, a CF írja).
+ * Write: kizárólag CF API key-jel.
+ *
+ * Idempotens (409 → skip). Action-szintű env var: `WORKFLOW_VERSIONS_COLLECTION_ID`.
+ */
+async function bootstrapWorkflowVersionsSchema(ctx) {
+    const { databases, env, log, error, res, fail } = ctx;
+
+    const denied = await requireOwnerAnywhere(ctx);
+    if (denied) return denied;
+
+    const versionsCollectionId = env.workflowVersionsCollectionId;
+    if (!versionsCollectionId) {
+        return fail(res, 500, 'misconfigured', { missing: ['WORKFLOW_VERSIONS_COLLECTION_ID'] });
+    }
+
+    const created = [];
+    const skipped = [];
+    const indexesPending = [];
+
+    // `documentSecurity: true` kötelező — a doc-szintű office ACL ad olvasási
+    // jogot; collection-szintű `read("users")` NINCS (cross-tenant push ellen).
+    try {
+        await databases.createCollection(
+            env.databaseId,
+            versionsCollectionId,
+            'workflowVersions',
+            [],
+            true,   // documentSecurity
+            true    // enabled
+        );
+        created.push('collection:workflowVersions');
+    } catch (err) {
+        if (isAlreadyExists(err)) {
+            skipped.push('collection:workflowVersions');
+        } else {
+            error(`[BootstrapWorkflowVersions] collection létrehozás hiba: ${err.message}`);
+            return fail(res, 500, 'schema_collection_failed', { error: err.message });
+        }
+    }
+
+    // A `compiled` mérete megegyezik a `workflows.compiled` és a
+    // `publications.compiledWorkflowSnapshot` méretével (1 MB).
+    const stringFields = [
+        ['workflowId', 36, true, null],
+        ['editorialOfficeId', 36, true, null],
+        ['organizationId', 36, false, null],
+        ['compiled', 1000000, true, null],
+        ['createdByUserId', 36, false, null]
+    ];
+    for (const [name, size, required, defaultValue] of stringFields) {
+        try {
+            await databases.createStringAttribute(
+                env.databaseId, versionsCollectionId,
+                name, size, required, defaultValue, false
+            );
+            created.push(name);
+        } catch (err) {
+            if (isAlreadyExists(err)) skipped.push(name);
+            else {
+                error(`[BootstrapWorkflowVersions] ${name} hiba: ${err.message}`);
+                return fail(res, 500, `schema_${name}_failed`, { error: err.message });
+            }
+        }
+    }
+
+    try {
+        await databases.createIntegerAttribute(
+            env.databaseId, versionsCollectionId,
+            'version', true, 1, undefined, null, false
+        );
+        created.push('version');
+    } catch (err) {
+        if (isAlreadyExists(err)) skipped.push('version');
+        else {
+            error(`[BootstrapWorkflowVersions] version hiba: ${err.message}`);
+            return fail(res, 500, 'schema_version_failed', { error: err.message });
+        }
+    }
+
+    try {
+        await databases.createDatetimeAttribute(
+            env.databaseId, versionsCollectionId, 'createdAt', true, null, false
+        );
+        created.push('createdAt');
+    } catch (err) {
+        if (isAlreadyExists(err)) skipped.push('createdAt');
+        else {
+            error(`[BootstrapWorkflowVersions] createdAt hiba: ${err.message}`);
+            return fail(res, 500, 'schema_createdAt_failed', { error: err.message });
+        }
+    }
+
+    const indexes = [
+        ['workflow_version_unique', 'unique', ['workflowId', 'version']]
+    ];
+    for (const [key, type, attributes] of indexes) {
+        try {
+            await databases.createIndex(env.databaseId, versionsCollectionId, key, type, attributes);
+            created.push(key);
+        } catch (err) {
+            if (isAlreadyExists(err)) skipped.push(key);
+            else if (/attribute|not.*ready|pending/i.test(err.message || '')) {
+                indexesPending.push(key);
+                log(`[BootstrapWorkflowVersions] ${key} pending — re-run 10s múlva: ${err.message}`);
+            } else {
+                error(`[BootstrapWorkflowVersions] ${key} hiba: ${err.message}`);
+                return fail(res, 500, `schema_${key}_failed`, { error: err.message });
+            }
+        }
+    }
+
+    log(`[BootstrapWorkflowVersions] created=[${created.join(',')}] skipped=[${skipped.join(',')}] indexesPending=[${indexesPending.join(',')}]`);
+    return res.json({
+        success: true,
+        action: 'workflow_versions_schema_bootstrapped',
+        created,
+        skipped,
+        indexesPending: indexesPending.length > 0,
+        ...(indexesPending.length > 0 ? { pendingIndexes: indexesPending } : {})
+    });
+}
+
+/**
+ * ACTION='bootstrap_workflow_extension_revisions_schema' — owner-only
+ * schema-create a `workflowExtensionRevisions` collection-re (az extension-ök
+ * megváltoztathatatlan tartalom-revíziói).
+ *
+ * A `create_workflow_extension` (r1) és minden tartalmi `update_workflow_extension`
+ * (kód / paraméter-séma / típus / hatókör változás) egy új doc-ot ír — ez adja
+ * a Dashboard extension-szerkesztő revízió-diffjének, a visszaállításnak és az
+ * aktivált kiadványok revízió-riportjának forrását. Best-effort írás: a
+ * revízió-write hibája NEM rontja el az extension mentését.
+ *
+ * Mezők:
+ *   - extensionId (36)
+ *   - editorialOfficeId (36)
+ *   - organizationId (36, nullable)
+ *   - revision (integer)
+ *   - name (100), kind (32), scope (32) — a mentéskori metaadat
+ *   - code (1_000_000) — a revízió kódja
+ *   - codeHash (64) — a kód SHA-256 hex hash-e (snapshot ↔ revízió párosítás)
+ *   - paramSchema (`PARAM_SCHEMA_MAX_LENGTH`, nullable)
+ *   - note (`EXTENSION_REVISION_NOTE_MAX_LENGTH`, nullable) — változás-megjegyzés
+ *   - createdByUserId (36, nullable)
+ *   - createdAt (datetime)
+ *
+ * Indexek:
+ *   - extension_revision_unique — `(extensionId, revision)` unique — a
+ *     párhuzamos mentés ne hozzon létre duplikátumot
+ *
+ * Read ACL: `team:office_${officeId}` (doc-szintű, a CF írja).
+ * Write: kizárólag CF API key-jel.
+ *
+ * Idempotens (409 → skip). Action-szintű env var:
+ * `WORKFLOW_EXTENSION_REVISIONS_COLLECTION_ID`. A `revision` számláló a
+ * `workflowExtensions` collection-ön a `bootstrap_workflow_extension_schema`
+ * újrafuttatásával jön létre — mindkettő kell az env var beállítása előtt.
+ */
+async function bootstrapWorkflowExtensionRevisionsSchema(ctx) {
+    const { databases, env, log, error, res, fail } = ctx;
+
+    const denied = await requireOwnerAnywhere(ctx);
+    if (denied) return denied;
+
+    const revisionsCollectionId = env.workflowExtensionRevisionsCollectionId;
+    if (!revisionsCollectionId) {
+        return fail(res, 500, 'misconfigured', { missing: ['WORKFLOW_EXTENSION_REVISIONS_COLLECTION_ID'] });
+    }
+
+    const created = [];
+    const skipped = [];
+    const indexesPending = [];
+
+    // `documentSecurity: true` kötelező — a doc-szintű office ACL ad olvasási
+    // jogot; collection-szintű `read("users")` NINCS (cross-tenant push ellen).
+    try {
+        await databases.createCollection(
+            env.databaseId,
+            revisionsCollectionId,
+            'workflowExtensionRevisions',
+            [],
+            true,   // documentSecurity
+            true    // enabled
+        );
+        created.push('collection:workflowExtensionRevisions');
+    } catch (err) {
+        if (isAlreadyExists(err)) {
+            skipped.push('collection:workflowExtensionRevisions');
+        } else {
+            error(`[BootstrapWorkflowExtensionRevisions] collection létrehozás hiba: ${err.message}`);
+            return fail(res, 500, 'schema_collection_failed', { error: err.message });
+        }
+    }
+
+    // A `code` mérete megegyezik a `workflowExtensions.code` méretével (1 MB).
+    // A `kind` / `scope` itt sima string (archív másolat, az enum-ot a
+    // `workflowExtensions` írása már kikényszerítette).
+    const stringFields = [
+        ['extensionId', 36, true],
+        ['editorialOfficeId', 36, true],
+        ['organizationId', 36, false],
+        ['name', 100, true],
+        ['kind', 32, true],
+        ['scope', 32, true],
+        ['code', 1000000, true],
+        ['codeHash', 64, true],
+        ['paramSchema', PARAM_SCHEMA_MAX_LENGTH, false],
+        ['note', EXTENSION_REVISION_NOTE_MAX_LENGTH, false],
+        ['createdByUserId', 36, false]
+    ];
+    for (const [name, size, required] of stringFields) {
+        try {
+            await databases.createStringAttribute(
+                env.databaseId, revisionsCollectionId,
+                name, size, required, null, false
+            );
+            created.push(name);
+        } catch (err) {
+            if (isAlreadyExists(err)) skipped.push(name);
+            else {
+                error(`[BootstrapWorkflowExtensionRevisions] ${name} hiba: ${err.message}`);
+                return fail(res, 500, `schema_${name}_failed`, { error: err.message });
+            }
+        }
+    }
+
+    try {
+        await databases.createIntegerAttribute(
+            env.databaseId, revisionsCollectionId,
+            'revision', true, 1, undefined, null, false
+        );
+        created.push('revision');
+    } catch (err) {
+        if (isAlreadyExists(err)) skipped.push('revision');
+        else {
+            error(`[BootstrapWorkflowExtensionRevisions] revision hiba: ${err.message}`);
+            return fail(res, 500, 'schema_revision_failed', { error: err.message });
+        }
+    }
+
+    try {
+        await databases.createDatetimeAttribute(
+            env.databaseId, revisionsCollectionId, 'createdAt', true, null, false
+        );
+        created.push('createdAt');
+    } catch (err) {
+        if (isAlreadyExists(err)) skipped.push('createdAt');
+        else {
+            error(`[BootstrapWorkflowExtensionRevisions] createdAt hiba: ${err.message}`);
+            return fail(res, 500, 'schema_createdAt_failed', { error: err.message });
+        }
+    }
+
+    const indexes = [
+        ['extension_revision_unique', 'unique', ['extensionId', 'revision']]
+    ];
+    for (const [key, type, attributes] of indexes) {
+        try {
+            await databases.createIndex(env.databaseId, revisionsCollectionId, key, type, attributes);
+            created.push(key);
+        } catch (err) {
+            if (isAlreadyExists(err)) skipped.push(key);
+            else if (/attribute|not.*ready|pending/i.test(err.message || '')) {
+                indexesPending.push(key);
+                log(`[BootstrapWorkflowExtensionRevisions] ${key} pending — re-run 10s múlva: ${err.message}`);
+            } else {
+                error(`[BootstrapWorkflowExtensionRevisions] ${key} hiba: ${err.message}`);
+                return fail(res, 500, `schema_${key}_failed`, { error: err.message });
+            }
+        }
+    }
+
+    log(`[BootstrapWorkflowExtensionRevisions] created=[${created.join(',')}] skipped=[${skipped.join(',')}] indexesPending=[${indexesPending.join(',')}]`);
+    return res.json({
+        success: true,
+        action: 'workflow_extension_revisions_schema_bootstrapped',
+        created,
+        skipped,
+        indexesPending: indexesPending.length > 0,
+        ...(indexesPending.length > 0 ? { pendingIndexes: indexesPending } : {})
+    });
+}
+
+/**
+ * ACTION='bootstrap_article_parallel_states_schema' — owner-only schema-bővítés
+ * az `articles` collectionön: `parallelStates` string-tömb attribútum a
+ * párhuzamos workflow-szakaszokhoz (fork / join).
+ *
+ * A fork-ba lépett cikk `state`-je a fork ID, a `parallelStates` az ágak
+ * aktuális állapotai (tokenjei) — írója kizárólag az `update-article` CF és a
+ * `migrate_publication_workflow` action. Fork nélküli workflow-knál az
+ * attribútumot egyik író sem érinti, így a bootstrap csak a fork/join
+ * használata előtt kötelező.
+ *
+ * Idempotens (409 → skip).
+ */
+async function bootstrapArticleParallelStatesSchema(ctx) {
+    const { databases, env, log, error, res, fail } = ctx;
+
+    const denied = await requireOwnerAnywhere(ctx);
+    if (denied) return denied;
+
+    if (!env.articlesCollectionId) {
+        return fail(res, 500, 'misconfigured', { missing: ['ARTICLES_COLLECTION_ID'] });
+    }
+
+    const created = [];
+    const skipped = [];
+
+    // Elem-méret = a state ID-k felső korlátja (`[a-z0-9_]+` slug).
+    try {
+        await databases.createStringAttribute(
+            env.databaseId,
+            env.articlesCollectionId,
+            'parallelStates',
+            64,                                // size (elemenként)
+            false,                             // required
+            null,                              // default
+            true                               // array
+        );
+        created.push('parallelStates');
+    } catch (err) {
+        if (isAlreadyExists(err)) {
+            skipped.push('parallelStates');
+        } else {
+            error(`[BootstrapArticleParallelStates] parallelStates hiba: ${err.message}`);
+            return fail(res, 500, 'schema_parallelStates_failed', { error: err.message });
+        }
+    }
+
+    log(`[BootstrapArticleParallelStates] created=[${created.join(',')}] skipped=[${skipped.join(',')}]`);
+    return res.json({
+        success: true,
+        action: 'article_parallel_states_schema_bootstrapped',
+        created,
+        skipped
+    });
+}
+
+/**
+ * ACTION='bootstrap_office_calendar_schema' — owner-only schema-bővítés az
+ * `editorialOffices` collectionön: `workingCalendar` string attribútum a
+ * szerkesztőségi munkanaptárhoz (JSON — ország-preset, zárvatartás, extra
+ * munkanapok, naponkénti munkaidő, munkaszüneti-nap pillanatkép; séma:
+ * `maestro-shared/workingCalendar.js`).
+ *
+ * Írója kizárólag az `update_office_calendar` action. A mező hiányában a
+ * kliensek az alapértelmezett (magyar, hétfő–péntek 9–17) naptárat használják.
+ *
+ * Idempotens (409 → skip).
+ */
+async function bootstrapOfficeCalendarSchema(ctx) {
+    const { databases, env, log, error, res, fail } = ctx;
+
+    const denied = await requireOwnerAnywhere(ctx);
+    if (denied) return denied;
+
+    const created = [];
+    const skipped = [];
+
+    try {
+        await databases.createStringAttribute(
+            env.databaseId,
+            env.officesCollectionId,
+            'workingCalendar',
+            WORKING_CALENDAR_MAX_LENGTH,        // size
+            false                               // required
+        );
+        created.push('workingCalendar');
+    } catch (err) {
+        if (isAlreadyExists(err)) {
+            skipped.push('workingCalendar');
+        } else {
+            error(`[BootstrapOfficeCalendar] workingCalendar hiba: ${err.message}`);
+            return fail(res, 500, 'schema_workingCalendar_failed', { error: err.message });
+        }
+    }
+
+    log(`[BootstrapOfficeCalendar] created=[${created.join(',')}] skipped=[${skipped.join(',')}]`);
+    return res.json({
+        success: true,
+        action: 'office_calendar_schema_bootstrapped',
+        created,
+        skipped
+    });
+}
+
+/**
+ * ACTION='bootstrap_notification_deliveries_schema' — owner-only schema-create
+ * a `notificationDeliveries` collection-re (e-mail értesítések kézbesítési
+ * naplója és napi összesítő sora).
+ *
+ * A `workflow-notifications` CF írja: minden értesítés egy doc, a `dedupeKey`
+ * unique index garantálja, hogy ugyanarról az eseményről (pl. egy lapzárta
+ * közeledtéről) egy felhasználó csak egyszer kapjon e-mailt. A `digest` módú
+ * sorok `status: 'pending'` állapotban várják a napi összesítőt.
+ *
+ * Mezők:
+ *   - userId (36) — a címzett
+ *   - organizationId (36, nullable)
+ *   - editorialOfficeId (36, nullable)
+ *   - eventType (32) — `maestro-shared/notificationPreferences.js` NOTIFICATION_EVENTS
+ *   - mode (16) — `instant` | `digest`
+ *   - status (16) — `pending` | `sent` | `failed`
+ *   - dedupeKey (255)
+ *   - articleId (36, nullable)
+ *   - publicationId (36, nullable) — a Dashboard deeplinkhez (`?pub=&article=`)
+ *   - title (255) — az e-mail sor címe (cikk neve)
+ *   - detail (1024, nullable) — az e-mail sor szövege
+ *   - sentAt (datetime, nullable)
+ *
+ * Indexek:
+ *   - dedupe_unique — `(dedupeKey)` unique
+ *   - status_mode — `(status, mode)` — a napi összesítő pending sorai
+ *
+ * ACL: nincs (a doc-ok csak API key-jel érhetők el — a kliens nem olvassa).
+ *
+ * Idempotens (409 → skip). Action-szintű env var: `NOTIFICATION_DELIVERIES_COLLECTION_ID`.
+ */
+async function bootstrapNotificationDeliveriesSchema(ctx) {
+    const { databases, env, log, error, res, fail } = ctx;
+
+    const denied = await requireOwnerAnywhere(ctx);
+    if (denied) return denied;
+
+    const deliveriesCollectionId = env.notificationDeliveriesCollectionId;
+    if (!deliveriesCollectionId) {
+        return fail(res, 500, 'misconfigured', { missing: ['NOTIFICATION_DELIVERIES_COLLECTION_ID'] });
+    }
+
+    const created = [];
+    const skipped = [];
+    const indexesPending = [];
+
+    // `documentSecurity: true` + üres permission lista: a sorokat kizárólag a
+    // CF API key-jel éri el (a címzett e-mail tartalma ne szivárogjon).
+    try {
+        await databases.createCollection(
+            env.databaseId,
+            deliveriesCollectionId,
+            'notificationDeliveries',
+            [],
+            true,   // documentSecurity
+            true    // enabled
+        );
+        created.push('collection:notificationDeliveries');
+    } catch (err) {
+        if (isAlreadyExists(err)) {
+            skipped.push('collection:notificationDeliveries');
+        } else {
+            error(`[BootstrapNotificationDeliveries] collection létrehozás hiba: ${err.message}`);
+            return fail(res, 500, 'schema_collection_failed', { error: err.message });
+        }
+    }
+
+    const stringFields = [
+        ['userId', 36, true, null],
+        ['organizationId', 36, false, null],
+        ['editorialOfficeId', 36, false, null],
+        ['eventType', 32, true, null],
+        ['mode', 16, true, null],
+        ['status', 16, true, null],
+        ['dedupeKey', 255, true, null],
+        ['articleId', 36, false, null],
+        ['publicationId', 36, false, null],
+        ['title', 255, true, null],
+        ['detail', 1024, false, null]
+    ];
+    for (const [name, size, required, defaultValue] of stringFields) {
+        try {
+            await databases.createStringAttribute(
+                env.databaseId, deliveriesCollectionId,
+                name, size, required, defaultValue, false
+            );
+            created.push(name);
+        } catch (err) {
+            if (isAlreadyExists(err)) skipped.push(name);
+            else {
+                error(`[BootstrapNotificationDeliveries] ${name} hiba: ${err.message}`);
+                return fail(res, 500, `schema_${name}_failed`, { error: err.message });
+            }
+        }
+    }
+
+    try {
+        await databases.createDatetimeAttribute(
+            env.databaseId, deliveriesCollectionId, 'sentAt', false, null, false
+        );
+        created.push('sentAt');
+    } catch (err) {
+        if (isAlreadyExists(err)) skipped.push('sentAt');
+        else {
+            error(`[BootstrapNotificationDeliveries] sentAt hiba: ${err.message}`);
+            return fail(res, 500, 'schema_sentAt_failed', { error: err.message });
+        }
+    }
+
+    const indexes = [
+        ['dedupe_unique', 'unique', ['dedupeKey']],
+        ['status_mode', 'key', ['status', 'mode']]
+    ];
+    for (const [key, type, attributes] of indexes) {
+        try {
+            await databases.createIndex(env.databaseId, deliveriesCollectionId, key, type, attributes);
+            created.push(key);
+        } catch (err) {
+            if (isAlreadyExists(err)) skipped.push(key);
+            else if (/attribute|not.*ready|pending/i.test(err.message || '')) {
+                indexesPending.push(key);
+                log(`[BootstrapNotificationDeliveries] ${key} pending — re-run 10s múlva: ${err.message}`);
+            } else {
+                error(`[BootstrapNotificationDeliveries] ${key} hiba: ${err.message}`);
+                return fail(res, 500, `schema_${key}_failed`, { error: err.message });
+            }
+        }
+    }
+
+    log(`[BootstrapNotificationDeliveries] created=[${created.join(',')}] skipped=[${skipped.join(',')}] indexesPending=[${indexesPending.join(',')}]`);
+    return res.json({
+        success: true,
+        action: 'notification_deliveries_schema_bootstrapped',
+        created,
+        skipped,
+        indexesPending: indexesPending.length > 0,
+        ...(indexesPending.length > 0 ? { pendingIndexes: indexesPending } : {})
+    });
+}
+
+/**
+ * ACTION='bootstrap_office_webhooks_schema' — owner-only schema-create a
+ * kimenő webhookok két collection-jére.
+ *
+ * `officeWebhooks` — szerkesztőségi feliratkozások (a webhook action-ök írják):
+ *   - organizationId (36), editorialOfficeId (36)
+ *   - name (128), url (2048)
+ *   - events (64, array) — `maestro-shared/officeWebhooks.js` WEBHOOK_EVENTS
+ *   - secret (64) — `whsec_<base64>`, a kliens soha nem olvassa vissza
+ *   - enabled (boolean, default true)
+ *   - createdByUserId (36)
+ *   - index: office_enabled — `(editorialOfficeId, enabled)`
+ *
+ * `webhookDeliveries` — kézbesítési napló és retry-sor (az `office-webhooks`
+ * CF írja):
+ *   - webhookId (36), organizationId (36, nullable), editorialOfficeId (36)
+ *   - eventType (64), dedupeKey (255) — `<webhookId>:<esemény-kulcs>`
+ *   - payload (16384) — a kiküldött JSON body (retry-nál változatlan)
+ *   - status (16) — `pending` | `succeeded` | `failed`
+ *   - attempts (integer, default 0)
+ *   - nextAttemptAt, lastAttemptAt, deliveredAt (datetime, nullable)
+ *   - lastStatusCode (integer, nullable), lastError (512, nullable)
+ *   - indexek: dedupe_unique — `(dedupeKey)` unique; status_next —
+ *     `(status, nextAttemptAt)` a retry-scan-hez; office_lookup —
+ *     `(editorialOfficeId)` a Dashboard napló-nézetéhez
+ *
+ * ACL: nincs (a doc-ok csak API key-jel érhetők el — a secret és a payload
+ * a `list_office_webhooks` action-ön át, secret nélkül jut a klienshez).
+ *
+ * Idempotens (409 → skip). Action-szintű env var-ok:
+ * `OFFICE_WEBHOOKS_COLLECTION_ID`, `WEBHOOK_DELIVERIES_COLLECTION_ID`.
+ */
+async function bootstrapOfficeWebhooksSchema(ctx) {
+    const { databases, env, log, error, res, fail } = ctx;
+
+    const denied = await requireOwnerAnywhere(ctx);
+    if (denied) return denied;
+
+    const missing = [];
+    if (!env.officeWebhooksCollectionId) missing.push('OFFICE_WEBHOOKS_COLLECTION_ID');
+    if (!env.webhookDeliveriesCollectionId) missing.push('WEBHOOK_DELIVERIES_COLLECTION_ID');
+    if (missing.length > 0) {
+        return fail(res, 500, 'misconfigured', { missing });
+    }
+
+    const collections = [
+        {
+            collectionId: env.officeWebhooksCollectionId,
+            name: 'officeWebhooks',
+            strings: [
+                ['organizationId', 36, true, false],
+                ['editorialOfficeId', 36, true, false],
+                ['name', 128, true, false],
+                ['url', 2048, true, false],
+                ['events', 64, true, true],
+                ['secret', 64, true, false],
+                ['createdByUserId', 36, false, false]
+            ],
+            booleans: [['enabled', false, true]],
+            integers: [],
+            datetimes: [],
+            indexes: [
+                ['office_enabled', 'key', ['editorialOfficeId', 'enabled']]
+            ]
+        },
+        {
+            collectionId: env.webhookDeliveriesCollectionId,
+            name: 'webhookDeliveries',
+            strings: [
+                ['webhookId', 36, true, false],
+                ['organizationId', 36, false, false],
+                ['editorialOfficeId', 36, true, false],
+                ['eventType', 64, true, false],
+                ['dedupeKey', 255, true, false],
+                ['payload', 16384, true, false],
+                ['status', 16, true, false],
+                ['lastError', 512, false, false]
+            ],
+            booleans: [],
+            integers: [['attempts', 0], ['lastStatusCode', null]],
+            datetimes: ['nextAttemptAt', 'lastAttemptAt', 'deliveredAt'],
+            indexes: [
+                ['dedupe_unique', 'unique', ['dedupeKey']],
+                ['status_next', 'key', ['status', 'nextAttemptAt']],
+                ['office_lookup', 'key', ['editorialOfficeId']]
+            ]
+        }
+    ];
+
+    const created = [];
+    const skipped = [];
+    const indexesPending = [];
+
+    for (const spec of collections) {
+        const { collectionId, name } = spec;
+
+        // `documentSecurity: true` + üres permission lista: a sorokat kizárólag
+        // a CF-ek API key-jel érik el (a secret ne szivárogjon).
+        try {
+            await databases.createCollection(env.databaseId, collectionId, name, [], true, true);
+            created.push(`collection:${name}`);
+        } catch (err) {
+            if (isAlreadyExists(err)) {
+                skipped.push(`collection:${name}`);
+            } else {
+                error(`[BootstrapOfficeWebhooks] ${name} collection létrehozás hiba: ${err.message}`);
+                return fail(res, 500, 'schema_collection_failed', { collection: name, error: err.message });
+            }
+        }
+
+        const attributeSteps = [
+            ...spec.strings.map(([key, size, required, array]) => [key, () => databases.createStringAttribute(
+                env.databaseId, collectionId, key, size, required, null, array
+            )]),
+            ...spec.booleans.map(([key, required, defaultValue]) => [key, () => databases.createBooleanAttribute(
+                env.databaseId, collectionId, key, required, defaultValue, false
+            )]),
+            ...spec.integers.map(([key, defaultValue]) => [key, () => databases.createIntegerAttribute(
+                env.databaseId, collectionId, key, false, 0, undefined, defaultValue, false
+            )]),
+            ...spec.datetimes.map(key => [key, () => databases.createDatetimeAttribute(
+                env.databaseId, collectionId, key, false, null, false
+            )])
+        ];
+        for (const [key, createAttribute] of attributeSteps) {
+            try {
+                await createAttribute();
+                created.push(`${name}.${key}`);
+            } catch (err) {
+                if (isAlreadyExists(err)) skipped.push(`${name}.${key}`);
+                else {
+                    error(`[BootstrapOfficeWebhooks] ${name}.${key} hiba: ${err.message}`);
+                    return fail(res, 500, `schema_${key}_failed`, { collection: name, error: err.message });
+                }
+            }
+        }
+
+        for (const [key, type, attributes] of spec.indexes) {
+            try {
+                await databases.createIndex(env.databaseId, collectionId, key, type, attributes);
+                created.push(`${name}.${key}`);
+            } catch (err) {
+                if (isAlreadyExists(err)) skipped.push(`${name}.${key}`);
+                else if (/attribute|not.*ready|pending/i.test(err.message || '')) {
+                    indexesPending.push(`${name}.${key}`);
+                    log(`[BootstrapOfficeWebhooks] ${name}.${key} pending — re-run 10s múlva: ${err.message}`);
+                } else {
+                    error(`[BootstrapOfficeWebhooks] ${name}.${key} hiba: ${err.message}`);
+                    return fail(res, 500, `schema_${key}_failed`, { collection: name, error: err.message });
+                }
+            }
+        }
+    }
+
+    log(`[BootstrapOfficeWebhooks] created=[${created.join(',')}] skipped=[${skipped.join(',')}] indexesPending=[${indexesPending.join(',')}]`);
+    return res.json({
+        success: true,
+        action: 'office_webhooks_schema_bootstrapped',
+        created,
+        skipped,
+        indexesPending: indexesPending.length > 0,
+        ...(indexesPending.length > 0 ? { pendingIndexes: indexesPending } : {})
+    });
+}
+
+/**
+ * ACTION='bootstrap_office_api_keys_schema' — owner-only schema-create az
+ * `officeApiKeys` collection-re (a publikus olvasó API kulcsai, `maestro-proxy`
+ * `/api/v1`).
+ *
+ * Mezők:
+ *   - organizationId (36), editorialOfficeId (36) — a kulcs hatóköre
+ *   - name (128) — megjelenítési név (pl. „CMS szinkron")
+ *   - keyHash (64) — a teljes kulcs SHA-256 hex hash-e; a nyers kulcsot
+ *     sehol nem tároljuk
+ *   - keyHint (8) — a kulcs utolsó 4 karaktere (azonosításhoz a listában)
+ *   - createdByUserId (36), revokedByUserId (36, nullable)
+ *   - lastUsedAt, revokedAt (datetime, nullable)
+ *
+ * Indexek:
+ *   - key_hash_unique — `(keyHash)` unique — a proxy ezzel keres
+ *   - office_lookup — `(editorialOfficeId)` — a Dashboard lista
+ *
+ * ACL: nincs (a doc-ok csak API key-jel érhetők el — a proxy és a CF).
+ *
+ * Idempotens (409 → skip). Action-szintű env var: `OFFICE_API_KEYS_COLLECTION_ID`.
+ */
+async function bootstrapOfficeApiKeysSchema(ctx) {
+    const { databases, env, log, error, res, fail } = ctx;
+
+    const denied = await requireOwnerAnywhere(ctx);
+    if (denied) return denied;
+
+    const apiKeysCollectionId = env.officeApiKeysCollectionId;
+    if (!apiKeysCollectionId) {
+        return fail(res, 500, 'misconfigured', { missing: ['OFFICE_API_KEYS_COLLECTION_ID'] });
+    }
+
+    const created = [];
+    const skipped = [];
+    const indexesPending = [];
+
+    // `documentSecurity: true` + üres permission lista: a hash-eket kliens
+    // soha nem olvassa, a listát a `list_office_api_keys` action adja.
+    try {
+        await databases.createCollection(
+            env.databaseId,
+            apiKeysCollectionId,
+            'officeApiKeys',
+            [],
+            true,   // documentSecurity
+            true    // enabled
+        );
+        created.push('collection:officeApiKeys');
+    } catch (err) {
+        if (isAlreadyExists(err)) {
+            skipped.push('collection:officeApiKeys');
+        } else {
+            error(`[BootstrapOfficeApiKeys] collection létrehozás hiba: ${err.message}`);
+            return fail(res, 500, 'schema_collection_failed', { error: err.message });
+        }
+    }
+
+    const stringFields = [
+        ['organizationId', 36, true],
+        ['editorialOfficeId', 36, true],
+        ['name', 128, true],
+        ['keyHash', 64, true],
+        ['keyHint', 8, true],
+        ['createdByUserId', 36, false],
+        ['revokedByUserId', 36, false]
+    ];
+    for (const [name, size, required] of stringFields) {
+        try {
+            await databases.createStringAttribute(
+                env.databaseId, apiKeysCollectionId,
+                name, size, required, null, false
+            );
+            created.push(name);
+        } catch (err) {
+            if (isAlreadyExists(err)) skipped.push(name);
+            else {
+                error(`[BootstrapOfficeApiKeys] ${name} hiba: ${err.message}`);
+                return fail(res, 500, `schema_${name}_failed`, { error: err.message });
+            }
+        }
+    }
+
+    for (const name of ['lastUsedAt', 'revokedAt']) {
+        try {
+            await databases.createDatetimeAttribute(
+                env.databaseId, apiKeysCollectionId, name, false, null, false
+            );
+            created.push(name);
+        } catch (err) {
+            if (isAlreadyExists(err)) skipped.push(name);
+            else {
+                error(`[BootstrapOfficeApiKeys] ${name} hiba: ${err.message}`);
+                return fail(res, 500, `schema_${name}_failed`, { error: err.message });
+            }
+        }
+    }
+
+    const indexes = [
+        ['key_hash_unique', 'unique', ['keyHash']],
+        ['office_lookup', 'key', ['editorialOfficeId']]
+    ];
+    for (const [key, type, attributes] of indexes) {
+        try {
+            await databases.createIndex(env.databaseId, apiKeysCollectionId, key, type, attributes);
+            created.push(key);
+        } catch (err) {
+            if (isAlreadyExists(err)) skipped.push(key);
+            else if (/attribute|not.*ready|pending/i.test(err.message || '')) {
+                indexesPending.push(key);
+                log(`[BootstrapOfficeApiKeys] ${key} pending — re-run 10s múlva: ${err.message}`);
+            } else {
+                error(`[BootstrapOfficeApiKeys] ${key} hiba: ${err.message}`);
+                return fail(res, 500, `schema_${key}_failed`, { error: err.message });
+            }
+        }
+    }
+
+    log(`[BootstrapOfficeApiKeys] created=[${created.join(',')}] skipped=[${skipped.join(',')}] indexesPending=[${indexesPending.join(',')}]`);
+    return res.json({
+        success: true,
+        action: 'office_api_keys_schema_bootstrapped',
+        created,
+        skipped,
+        indexesPending: indexesPending.length > 0,
+        ...(indexesPending.length > 0 ? { pendingIndexes: indexesPending } : {})
+    });
+}
+
+/**
+ * ACTION='bootstrap_ads_schema' — owner-only schema-create az `ads` collection-re
+ * (hirdetés-foglalások kiadványonként; mezők és enum-ok:
+ * `maestro-shared/ads.js`).
+ *
+ * A Dashboard közvetlenül írja (kiadvány-beállítások „Hirdetések" fül),
+ * mint a `deadlines`-t: a doc-ot `buildTenantDocOptions`-szel hozza létre
+ * (doc-szintű `read(team:office_X)` + `withCreator`). Ezért a collection-szintű
+ * jog `create/update/delete("users")` — olvasás NINCS collection-szinten
+ * (`documentSecurity: true`, cross-tenant push ellen).
+ *
+ * Mezők:
+ *   - publicationId (36)
+ *   - editorialOfficeId (36)
+ *   - organizationId (36, nullable)
+ *   - advertiser (255) — a hirdető neve
+ *   - size (16) — `full` | `half` | `quarter`
+ *   - position (16, nullable) — oldalon belüli hely (egész oldalnál üres)
+ *   - status (16, default `booked`) — `booked` | `received` | `approved`
+ *   - filePath (1024, nullable) — a hirdetés anyagának útvonala
+ *   - page (integer) — az oldalszám
+ *
+ * Indexek:
+ *   - publication_page — `(publicationId, page)` — a kiadvány hirdetései
+ *
+ * A kiadvány törlésekor a `cascade-delete` CF takarít (`ADS_COLLECTION_ID`).
+ *
+ * Idempotens (409 → skip). Action-szintű env var: `ADS_COLLECTION_ID`.
+ */
+async function bootstrapAdsSchema(ctx) {
+    const { databases, env, log, error, res, fail } = ctx;
+
+    const denied = await requireOwnerAnywhere(ctx);
+    if (denied) return denied;
+
+    const adsCollectionId = env.adsCollectionId;
+    if (!adsCollectionId) {
+        return fail(res, 500, 'misconfigured', { missing: ['ADS_COLLECTION_ID'] });
+    }
+
+    const created = [];
+    const skipped = [];
+    const indexesPending = [];
+
+    try {
+        await databases.createCollection(
+            env.databaseId,
+            adsCollectionId,
+            'ads',
+            [
+                sdk.Permission.create(sdk.Role.users()),
+                sdk.Permission.update(sdk.Role.users()),
+                sdk.Permission.delete(sdk.Role.users())
+            ],
+            true,   // documentSecurity
+            true    // enabled
+        );
+        created.push('collection:ads');
+    } catch (err) {
+        if (isAlreadyExists(err)) {
+            skipped.push('collection:ads');
+        } else {
+            error(`[BootstrapAds] collection létrehozás hiba: ${err.message}`);
+            return fail(res, 500, 'schema_collection_failed', { error: err.message });
+        }
+    }
+
+    const stringFields = [
+        ['publicationId', 36, true, null],
+        ['editorialOfficeId', 36, true, null],
+        ['organizationId', 36, false, null],
+        ['advertiser', 255, true, null],
+        ['size', 16, true, null],
+        ['position', 16, false, null],
+        ['status', 16, false, 'booked'],
+        ['filePath', 1024, false, null]
+    ];
+    for (const [name, size, required, defaultValue] of stringFields) {
+        try {
+            await databases.createStringAttribute(
+                env.databaseId, adsCollectionId,
+                name, size, required, defaultValue, false
+            );
+            created.push(name);
+        } catch (err) {
+            if (isAlreadyExists(err)) skipped.push(name);
+            else {
+                error(`[BootstrapAds] ${name} hiba: ${err.message}`);
+                return fail(res, 500, `schema_${name}_failed`, { error: err.message });
+            }
+        }
+    }
+
+    try {
+        await databases.createIntegerAttribute(
+            env.databaseId, adsCollectionId,
+            'page', true, 1, undefined, null, false
+        );
+        created.push('page');
+    } catch (err) {
+        if (isAlreadyExists(err)) skipped.push('page');
+        else {
+            error(`[BootstrapAds] page hiba: ${err.message}`);
+            return fail(res, 500, 'schema_page_failed', { error: err.message });
+        }
+    }
+
+    const indexes = [
+        ['publication_page', ['publicationId', 'page']]
+    ];
+    for (const [key, attributes] of indexes) {
+        try {
+            await databases.createIndex(env.databaseId, adsCollectionId, key, 'key', attributes);
+            created.push(key);
+        } catch (err) {
+            if (isAlreadyExists(err)) skipped.push(key);
+            else if (/attribute|not.*ready|pending/i.test(err.message || '')) {
+                indexesPending.push(key);
+                log(`[BootstrapAds] ${key} pending — re-run 10s múlva: ${err.message}`);
+            } else {
+                error(`[BootstrapAds] ${key} hiba: ${err.message}`);
+                return fail(res, 500, `schema_${key}_failed`, { error: err.message });
+            }
+        }
+    }
+
+    log(`[BootstrapAds] created=[${created.join(',')}] skipped=[${skipped.join(',')}] indexesPending=[${indexesPending.join(',')}]`);
+    return res.json({
+        success: true,
+        action: 'ads_schema_bootstrapped',
+        created,
+        skipped,
+        indexesPending: indexesPending.length > 0,
+        ...(indexesPending.length > 0 ? { pendingIndexes: indexesPending } : {})
+    });
+}
+
+/**
+ * ACTION='bootstrap_validation_recipients_schema' — owner-only schema-bővítés
+ * a `userValidations` collectionön: `recipientGroupSlug` string attribútum a
+ * csoport-címzettes üzenetekhez (`recipientType: 'group'`).
+ *
+ * A címzett feloldása olvasáskor történik (`maestro-shared/messageRecipients.js`,
+ * `groupMemberships` + a cikk `contributors` mezője), így a mező csak a slug-ot
+ * tárolja, tagokat nem. A legacy sorok átírása:
+ * `migrate_validation_recipients`.
+ *
+ * Idempotens (409 → skip).
+ */
+async function bootstrapValidationRecipientsSchema(ctx) {
+    const { databases, env, log, error, res, fail } = ctx;
+
+    const denied = await requireOwnerAnywhere(ctx);
+    if (denied) return denied;
+
+    if (!env.userValidationsCollectionId) {
+        return fail(res, 500, 'misconfigured', { missing: ['USER_VALIDATIONS_COLLECTION_ID'] });
+    }
+
+    const created = [];
+    const skipped = [];
+
+    try {
+        await databases.createStringAttribute(
+            env.databaseId,
+            env.userValidationsCollectionId,
+            'recipientGroupSlug',
+            SLUG_MAX_LENGTH,                   // size
+            false                              // required
+        );
+        created.push('recipientGroupSlug');
+    } catch (err) {
+        if (isAlreadyExists(err)) {
+            skipped.push('recipientGroupSlug');
+        } else {
+            error(`[BootstrapValidationRecipients] recipientGroupSlug hiba: ${err.message}`);
+            return fail(res, 500, 'schema_recipientGroupSlug_failed', { error: err.message });
+        }
+    }
+
+    log(`[BootstrapValidationRecipients] created=[${created.join(',')}] skipped=[${skipped.join(',')}]`);
+    return res.json({
+        success: true,
+        action: 'validation_recipients_schema_bootstrapped',
+        created,
+        skipped
+    });
+}
+
+/**
+ * ACTION='migrate_validation_recipients' — global owner-only migráció a
+ * `userValidations` collectionön: a legacy `recipientType` értékeket
+ * (`all_designers`, `all_editors`, `all_image_editors`) átírja
+ * `recipientType: 'group'` + `recipientGroupSlug` alakra.
+ *
+ * **Előfeltétel**: `bootstrap_validation_recipients_schema` (a mező nélkül
+ * az update 400-at ad — a hiba a `stats.errors[]`-be kerül, a futás megy tovább).
+ *
+ * **Idempotens**: a már átírt (vagy eleve új típusú) sorok `skipped`-be
+ * kerülnek. A Plugin a még nem migrált sorokat is helyesen jeleníti meg
+ * (olvasáskori leképezés), így a migráció sorrendje nem kritikus.
+ *
+ * **Payload**: `{ dryRun?: boolean }` — ha `true`, csak számol, nem ír.
+ *
+ * @param {Object} ctx
+ * @returns {Promise<Object>} `{ success: true, action: 'migrated', stats }`
+ */
+async function migrateValidationRecipients(ctx) {
+    const { databases, env, callerId, payload, log, error, res, fail, sdk } = ctx;
+    const dryRun = payload && payload.dryRun === true;
+
+    const denied = await requireOwnerAnywhere(ctx);
+    if (denied) return denied;
+
+    if (!env.userValidationsCollectionId) {
+        return fail(res, 500, 'misconfigured', { missing: ['USER_VALIDATIONS_COLLECTION_ID'] });
+    }
+
+    const stats = { dryRun, scanned: 0, migrated: 0, skipped: 0, bySlug: {}, errors: [] };
+
+    try {
+        await paginateByQuery(
+            databases, env.databaseId, env.userValidationsCollectionId, [], sdk,
+            async (docs) => {
+                for (const doc of docs) {
+                    stats.scanned++;
+                    const slug = LEGACY_RECIPIENT_GROUP_SLUGS[doc.recipientType];
+                    if (!slug) {
+                        stats.skipped++;
+                        continue;
+                    }
+                    stats.bySlug[slug] = (stats.bySlug[slug] || 0) + 1;
+
+                    if (dryRun) {
+                        stats.migrated++;
+                        continue;
+                    }
+
+                    try {
+                        await databases.updateDocument(
+                            env.databaseId,
+                            env.userValidationsCollectionId,
+                            doc.$id,
+                            { recipientType: 'group', recipientGroupSlug: slug }
+                        );
+                        stats.migrated++;
+                    } catch (err) {
+                        error(`[MigrateValidationRecipients] ${doc.$id} update hiba: ${err.message}`);
+                        stats.errors.push({ phase: 'update', $id: doc.$id });
+                    }
+                }
+            },
+            { batchSize: CASCADE_BATCH_LIMIT }
+        );
+    } catch (err) {
+        error(`[MigrateValidationRecipients] list hiba: ${err.message}`);
+        stats.errors.push({ phase: 'list' });
+    }
+
+    log(`[MigrateValidationRecipients] User ${callerId} — dryRun=${dryRun}, scanned=${stats.scanned}, ` +
+        `migrated=${stats.migrated}, skipped=${stats.skipped}, errors=${stats.errors.length}`);
+
+    return res.json({ success: true, action: 'migrated', stats });
+}
+
 /**
  * ACTION='verify_collection_document_security' (S.7.7b, 2026-05-15) — R.S.7.6 close.
  *
@@ -3740,6 +5069,24 @@ module.exports = {
     backfillOrganizationStatus,
     // D.3 (2026-05-09) — invite audit-trail collection
     bootstrapOrganizationInviteHistorySchema,
+    // Cikk-állapot history (append-only audit timeline) collection
+    bootstrapArticleStateHistorySchema,
+    // Workflow verzió-history (számozott compiled snapshotok) collection
+    bootstrapWorkflowVersionsSchema,
+    // Workflow extension revízió-history collection
+    bootstrapWorkflowExtensionRevisionsSchema,
+    // Párhuzamos workflow-szakaszok (fork / join) — articles.parallelStates
+    bootstrapArticleParallelStatesSchema,
+    bootstrapOfficeCalendarSchema,
+    // Dinamikus csoport-címzettek a cikk-üzenetekben — userValidations.recipientGroupSlug
+    bootstrapValidationRecipientsSchema,
+    migrateValidationRecipients,
+    // E-mail értesítések kézbesítési naplója / napi összesítő sora
+    bootstrapNotificationDeliveriesSchema,
+    bootstrapOfficeWebhooksSchema,
+    bootstrapOfficeApiKeysSchema,
+    // Hirdetés-foglalások kiadványonként (Dashboard írja, tenant doc-ACL)
+    bootstrapAdsSchema,
     // E (2026-05-09 follow-up) — Q1 ACL refactor admin-team
     backfillAdminTeamAcl,
     // S.7.2 (2026-05-12) — R.S.7.2 close: legacy üres-permission doc-ok backfill-je
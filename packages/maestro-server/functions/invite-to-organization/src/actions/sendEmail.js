@@ -24,6 +24,7 @@ const permissions = require('../permissions.js');
 // scope-builder a `helpers/`-ben.
 const { evaluateAndConsume } = require('../helpers/rateLimit.js');
 const { inviteSendScopes } = require('../helpers/inviteRateLimits.js');
+const { renderTemplate } = require('../helpers/emailTemplate.js');
 
 // MAJOR 6 (Codex review 2026-05-08) — backend cooldown a manuális resend
 // gombra. 60 másodpercen belül ugyanarra az invite-ra nem küldünk újra.
@@ -54,41 +55,6 @@ function formatDateHu(isoString) {
     return `${yyyy}. ${mm}. ${dd}.`;
 }
 
-/**
- * Egyszerű handlebars-szerű placeholder-csere. Direkt nem viszünk be
- * teljes templating engine-t (handlebars, mustache) — ennyire egyszerű
- * a sablonunk, és minden új dep növeli a CF cold start időt.
- *
- * Támogatott:
- *   {{key}}                   — sima csere
- *   {{#if customMessage}} ... {{/if}}  — feltételes blokk (egyszintű, csak ha truthy)
- *
- * NEM támogatott (szándékosan): nested if, loops, partials, escaping.
- * A placeholderek értéke szerver-oldali — nincs XSS-vektor.
- */
-function renderTemplate(template, vars) {
-    let out = template;
-
-    // Először a #if blokkok feldolgozása (mert a sima csere később törölné a {{#if}}-t)
-    out = out.replace(/\{\{#if (\w+)\}\}([\s\S]*?)\{\{\/if\}\}/g, (_, key, body) => {
-        return vars[key] ? body : '';
-    });
-
-    // HTML kommentek között lévő {{#if}}/{{/if}} jelölők eltakarítása (a HTML
-    // template kommentjében hagytunk magyarázó {{#if customMessage}}-t — ezt
-    // is kitisztítjuk, hogy ne kerüljön az e-mailbe.)
-    out = out.replace(/<!--\s*\{\{#if \w+\}\}\s*-->/g, '');
-    out = out.replace(/<!--\s*\{\{\/if\}\}\s*-->/g, '');
-
-    // Sima placeholder-csere
-    out = out.replace(/\{\{(\w+)\}\}/g, (match, key) => {
-        if (vars[key] === undefined || vars[key] === null) return '';
-        return String(vars[key]);
-    });
-
-    return out;
-}
-
 /**
  * Egy meghívóhoz tartozó render+küldés.
  * @param {Object} ctx — CF context (databases, env, log, error, sdk)
@@ -0,0 +1,400 @@
+// Kimenő webhookok — szerkesztőségi feliratkozás CRUD.
+// Tartalmazza: list_office_webhooks, create_office_webhook,
+// update_office_webhook, rotate_office_webhook_secret, delete_office_webhook.
+//
+// A kézbesítés (aláírás, retry, napló) az `office-webhooks` CF dolga; itt
+// csak a feliratkozások élnek. A secretet a szerver generálja, és csak a
+// létrehozás / rotálás válaszában adja vissza — a lista soha nem tartalmazza.
+//
+// Tilos import-irány: `actions/*` → `helpers/*` → `permissions.js` /
+// `teamHelpers.js`. Visszafelé NEM (CommonJS ciklikus require csendben
+// fél-inicializált exports-ot ad).
+
+const crypto = require('crypto');
+
+const permissions = require('../permissions.js');
+const {
+    WEBHOOK_SECRET_PREFIX,
+    MAX_WEBHOOKS_PER_OFFICE,
+    normalizeWebhookEvents,
+    validateWebhookSubscription
+} = require('../_generated_officeWebhooks.js');
+
+/** A Dashboard napló-nézete ennyi legutóbbi kézbesítést kap. */
+const DELIVERY_LOG_LIMIT = 50;
+
+const SECRET_BYTES = 24;
+
+// ── Lokális helper-ek ────────────────────────────────────────────────────────
+
+function generateWebhookSecret() {
+    return `${WEBHOOK_SECRET_PREFIX}${crypto.randomBytes(SECRET_BYTES).toString('base64')}`;
+}
+
+/** A webhook doc kliensnek kiadható mezői — a `secret` SOHA. */
+function toPublicWebhook(doc) {
+    return {
+        $id: doc.$id,
+        $createdAt: doc.$createdAt,
+        $updatedAt: doc.$updatedAt,
+        editorialOfficeId: doc.editorialOfficeId,
+        name: doc.name,
+        url: doc.url,
+        events: doc.events || [],
+        enabled: doc.enabled !== false,
+        createdByUserId: doc.createdByUserId || null
+    };
+}
+
+/** A kézbesítési sor napló-nézete — a payload nélkül. */
+function toPublicDelivery(doc) {
+    return {
+        $id: doc.$id,
+        $createdAt: doc.$createdAt,
+        webhookId: doc.webhookId,
+        eventType: doc.eventType,
+        status: doc.status,
+        attempts: doc.attempts || 0,
+        lastStatusCode: doc.lastStatusCode ?? null,
+        lastError: doc.lastError || null,
+        nextAttemptAt: doc.nextAttemptAt || null,
+        lastAttemptAt: doc.lastAttemptAt || null,
+        deliveredAt: doc.deliveredAt || null
+    };
+}
+
+/** Action-szintű env guard — a két collection ID nélkül egyik action sem fut. */
+function assertWebhookEnvOrFail(ctx) {
+    const { env, res, fail, error } = ctx;
+    const missing = [];
+    if (!env.officeWebhooksCollectionId) missing.push('OFFICE_WEBHOOKS_COLLECTION_ID');
+    if (!env.webhookDeliveriesCollectionId) missing.push('WEBHOOK_DELIVERIES_COLLECTION_ID');
+    if (missing.length === 0) return null;
+    error(`[OfficeWebhooks] hiányzó env var: ${missing.join(', ')}`);
+    return fail(res, 500, 'misconfigured', { missing });
+}
+
+/** `office.settings.edit` office-scope guard (mint a munkanaptárnál). */
+async function assertOfficeSettingsEditOrFail(ctx, editorialOfficeId) {
+    const { databases, permissionEnv, callerUser, permissionContext, res, fail } = ctx;
+    const allowed = await permissions.userHasPermission(
+        databases,
+        permissionEnv,
+        callerUser,
+        'office.settings.edit',
+        editorialOfficeId,
+        permissionContext.snapshotsByOffice,
+        permissionContext.orgRoleByOrg
+    );
+    if (allowed) return null;
+    return fail(res, 403, 'insufficient_permission', {
+        slug: 'office.settings.edit',
+        scope: 'office'
+    });
+}
+
+/**
+ * Webhook doc betöltése + `office.settings.edit` guard a doc office-ára. Az
+ * office ID a doc-ból jön, ezért itt a fetch megelőzi az auth-ot (a 404 csak
+ * egy nem kitalálható webhook ID létezését árulja el).
+ *
+ * @returns {Promise<{ webhook?: Object, response?: * }>}
+ */
+async function loadWebhookForEdit(ctx, webhookId, label) {
+    const { databases, env, error, res, fail } = ctx;
+    let webhook;
+    try {
+        webhook = await databases.getDocument(env.databaseId, env.officeWebhooksCollectionId, webhookId);
+    } catch (err) {
+        if (err?.code === 404) return { response: fail(res, 404, 'webhook_not_found') };
+        error(`[${label}] webhook fetch hiba: ${err.message}`);
+        return { response: fail(res, 500, 'webhook_fetch_failed') };
+    }
+    const denied = await assertOfficeSettingsEditOrFail(ctx, webhook.editorialOfficeId);
+    if (denied) return { response: denied };
+    return { webhook };
+}
+
+// ── ACTION='list_office_webhooks' ───────────────────────────────────────────
+
+/**
+ * A szerkesztőség webhookjai (secret nélkül) és a legutóbbi
+ * `DELIVERY_LOG_LIMIT` kézbesítés.
+ *
+ * Auth: `office.settings.edit` office-scope — a kézbesítési napló a cél-URL
+ * válaszait is mutatja, ezért nem minden office-tagnak szól.
+ * Payload: `{ editorialOfficeId }`
+ */
+async function listOfficeWebhooks(ctx) {
+    const { databases, env, payload, error, res, fail, sdk } = ctx;
+    const { editorialOfficeId } = payload;
+    if (!editorialOfficeId || typeof editorialOfficeId !== 'string') {
+        return fail(res, 400, 'missing_fields', { required: ['editorialOfficeId'] });
+    }
+
+    const envDenied = assertWebhookEnvOrFail(ctx);
+    if (envDenied) return envDenied;
+    const denied = await assertOfficeSettingsEditOrFail(ctx, editorialOfficeId);
+    if (denied) return denied;
+
+    try {
+        const [webhooks, deliveries] = await Promise.all([
+            databases.listDocuments(env.databaseId, env.officeWebhooksCollectionId, [
+                sdk.Query.equal('editorialOfficeId', editorialOfficeId),
+                sdk.Query.orderAsc('$createdAt'),
+                sdk.Query.limit(MAX_WEBHOOKS_PER_OFFICE)
+            ]),
+            databases.listDocuments(env.databaseId, env.webhookDeliveriesCollectionId, [
+                sdk.Query.equal('editorialOfficeId', editorialOfficeId),
+                sdk.Query.orderDesc('$createdAt'),
+                sdk.Query.limit(DELIVERY_LOG_LIMIT)
+            ])
+        ]);
+        return res.json({
+            success: true,
+            action: 'listed',
+            webhooks: webhooks.documents.map(toPublicWebhook),
+            deliveries: deliveries.documents.map(toPublicDelivery)
+        });
+    } catch (err) {
+        if (err?.code === 404) {
+            error(`[ListOfficeWebhooks] schema hiány: ${err.message}`);
+            return fail(res, 500, 'schema_missing', { action: 'bootstrap_office_webhooks_schema' });
+        }
+        error(`[ListOfficeWebhooks] list hiba: ${err.message}`);
+        return fail(res, 500, 'webhook_list_failed');
+    }
+}
+
+// ── ACTION='create_office_webhook' ──────────────────────────────────────────
+
+/**
+ * Új feliratkozás. A secretet a szerver generálja, és csak ebben a
+ * válaszban adja vissza (`secret`) — a Dashboard egyszer mutatja meg.
+ *
+ * Auth: `office.settings.edit` office-scope. Legfeljebb
+ * `MAX_WEBHOOKS_PER_OFFICE` webhook / szerkesztőség.
+ * Payload: `{ editorialOfficeId, name, url, events, enabled? }`
+ */
+async function createOfficeWebhook(ctx) {
+    const { databases, env, callerId, payload, error, res, fail, sdk, log } = ctx;
+    const { editorialOfficeId, name, url, events } = payload;
+
+    if (!editorialOfficeId || name === undefined || url === undefined || events === undefined) {
+        return fail(res, 400, 'missing_fields', { required: ['editorialOfficeId', 'name', 'url', 'events'] });
+    }
+    const errors = validateWebhookSubscription({ name, url, events });
+    if (errors.length > 0) {
+        return fail(res, 400, 'invalid_webhook', { errors });
+    }
+    if (payload.enabled !== undefined && typeof payload.enabled !== 'boolean') {
+        return fail(res, 400, 'invalid_webhook', { errors: ['Az `enabled` csak logikai érték lehet.'] });
+    }
+
+    const envDenied = assertWebhookEnvOrFail(ctx);
+    if (envDenied) return envDenied;
+    // Auth a fetch ELŐTT — különben a 404/403 különbség office létezés-
+    // oracle lenne unauthorized hívónak.
+    const denied = await assertOfficeSettingsEditOrFail(ctx, editorialOfficeId);
+    if (denied) return denied;
+
+    let officeDoc;
+    try {
+        officeDoc = await databases.getDocument(env.databaseId, env.officesCollectionId, editorialOfficeId);
+    } catch (err) {
+        if (err?.code === 404) return fail(res, 404, 'office_not_found');
+        error(`[CreateOfficeWebhook] office fetch hiba: ${err.message}`);
+        return fail(res, 500, 'office_fetch_failed');
+    }
+
+    try {
+        const existing = await databases.listDocuments(env.databaseId, env.officeWebhooksCollectionId, [
+            sdk.Query.equal('editorialOfficeId', editorialOfficeId),
+            sdk.Query.limit(1)
+        ]);
+        if (existing.total >= MAX_WEBHOOKS_PER_OFFICE) {
+            return fail(res, 409, 'webhook_limit_reached', { max: MAX_WEBHOOKS_PER_OFFICE });
+        }
+    } catch (err) {
+        if (err?.code === 404) {
+            error(`[CreateOfficeWebhook] schema hiány: ${err.message}`);
+            return fail(res, 500, 'schema_missing', { action: 'bootstrap_office_webhooks_schema' });
+        }
+        error(`[CreateOfficeWebhook] count hiba: ${err.message}`);
+        return fail(res, 500, 'webhook_create_failed');
+    }
+
+    const secret = generateWebhookSecret();
+    let newDoc;
+    try {
+        newDoc = await databases.createDocument(
+            env.databaseId,
+            env.officeWebhooksCollectionId,
+            sdk.ID.unique(),
+            {
+                organizationId: officeDoc.organizationId,
+                editorialOfficeId,
+                name: name.trim(),
+                url: url.trim(),
+                events: normalizeWebhookEvents(events),
+                secret,
+                enabled: payload.enabled !== false,
+                createdByUserId: callerId
+            },
+            []
+        );
+    } catch (err) {
+        error(`[CreateOfficeWebhook] create hiba: ${err.message}`);
+        return fail(res, 500, 'webhook_create_failed');
+    }
+
+    log(`[CreateOfficeWebhook] User ${callerId} webhookot hozott létre (${newDoc.$id}) az office ${editorialOfficeId}-ban: [${newDoc.events.join(', ')}]`);
+
+    return res.json({
+        success: true,
+        action: 'created',
+        webhook: toPublicWebhook(newDoc),
+        secret
+    });
+}
+
+// ── ACTION='update_office_webhook' ──────────────────────────────────────────
+
+/**
+ * Feliratkozás szerkesztése. Frissíthető: `name`, `url`, `events`, `enabled`.
+ * A secret itt nem változik (ld. `rotate_office_webhook_secret`).
+ *
+ * Auth: `office.settings.edit` a webhook office-ára.
+ * Payload: `{ webhookId, name?, url?, events?, enabled? }`
+ */
+async function updateOfficeWebhook(ctx) {
+    const { databases, env, callerId, payload, error, res, fail, log } = ctx;
+    const { webhookId, name, url, events, enabled } = payload;
+
+    if (!webhookId || typeof webhookId !== 'string') {
+        return fail(res, 400, 'missing_fields', { required: ['webhookId'] });
+    }
+    const errors = validateWebhookSubscription({ name, url, events });
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        errors.push('Az `enabled` csak logikai érték lehet.');
+    }
+    if (errors.length > 0) {
+        return fail(res, 400, 'invalid_webhook', { errors });
+    }
+
+    const updates = {};
+    if (name !== undefined) updates.name = name.trim();
+    if (url !== undefined) updates.url = url.trim();
+    if (events !== undefined) updates.events = normalizeWebhookEvents(events);
+    if (enabled !== undefined) updates.enabled = enabled;
+    if (Object.keys(updates).length === 0) {
+        return fail(res, 400, 'nothing_to_update', { allowed: ['name', 'url', 'events', 'enabled'] });
+    }
+
+    const envDenied = assertWebhookEnvOrFail(ctx);
+    if (envDenied) return envDenied;
+    const { webhook, response } = await loadWebhookForEdit(ctx, webhookId, 'UpdateOfficeWebhook');
+    if (response) return response;
+
+    let updated;
+    try {
+        updated = await databases.updateDocument(env.databaseId, env.officeWebhooksCollectionId, webhookId, updates);
+    } catch (err) {
+        error(`[UpdateOfficeWebhook] update hiba: ${err.message}`);
+        return fail(res, 500, 'webhook_update_failed');
+    }
+
+    log(`[UpdateOfficeWebhook] User ${callerId} frissítette a webhookot ${webhookId} (office ${webhook.editorialOfficeId}): ${Object.keys(updates).join(', ')}`);
+
+    return res.json({
+        success: true,
+        action: 'updated',
+        webhook: toPublicWebhook(updated)
+    });
+}
+
+// ── ACTION='rotate_office_webhook_secret' ───────────────────────────────────
+
+/**
+ * Új secret generálása. A régi azonnal érvénytelen — a még függő retry-ok is
+ * már az újjal mennek ki, ezért a fogadó oldalt a rotálás után rögtön
+ * frissíteni kell.
+ *
+ * Auth: `office.settings.edit` a webhook office-ára.
+ * Payload: `{ webhookId }`
+ */
+async function rotateOfficeWebhookSecret(ctx) {
+    const { databases, env, callerId, payload, error, res, fail, log } = ctx;
+    const { webhookId } = payload;
+    if (!webhookId || typeof webhookId !== 'string') {
+        return fail(res, 400, 'missing_fields', { required: ['webhookId'] });
+    }
+
+    const envDenied = assertWebhookEnvOrFail(ctx);
+    if (envDenied) return envDenied;
+    const { webhook, response } = await loadWebhookForEdit(ctx, webhookId, 'RotateOfficeWebhookSecret');
+    if (response) return response;
+
+    const secret = generateWebhookSecret();
+    try {
+        await databases.updateDocument(env.databaseId, env.officeWebhooksCollectionId, webhookId, { secret });
+    } catch (err) {
+        error(`[RotateOfficeWebhookSecret] update hiba: ${err.message}`);
+        return fail(res, 500, 'webhook_update_failed');
+    }
+
+    log(`[RotateOfficeWebhookSecret] User ${callerId} rotálta a webhook ${webhookId} secretjét (office ${webhook.editorialOfficeId})`);
+
+    return res.json({
+        success: true,
+        action: 'secret_rotated',
+        webhookId,
+        secret
+    });
+}
+
+// ── ACTION='delete_office_webhook' ──────────────────────────────────────────
+
+/**
+ * Feliratkozás törlése. A kézbesítési napló sorai maradnak (a retention-
+ * takarítás viszi el őket); a még függő retry-okat az `office-webhooks` CF
+ * `webhook_deleted` hibával zárja le.
+ *
+ * Auth: `office.settings.edit` a webhook office-ára.
+ * Payload: `{ webhookId }`
+ */
+async function deleteOfficeWebhook(ctx) {
+    const { databases, env, callerId, payload, error, res, fail, log } = ctx;
+    const { webhookId } = payload;
+    if (!webhookId || typeof webhookId !== 'string') {
+        return fail(res, 400, 'missing_fields', { required: ['webhookId'] });
+    }
+
+    const envDenied = assertWebhookEnvOrFail(ctx);
+    if (envDenied) return envDenied;
+    const { webhook, response } = await loadWebhookForEdit(ctx, webhookId, 'DeleteOfficeWebhook');
+    if (response) return response;
+
+    try {
+        await databases.deleteDocument(env.databaseId, env.officeWebhooksCollectionId, webhookId);
+    } catch (err) {
+        error(`[DeleteOfficeWebhook] delete hiba: ${err.message}`);
+        return fail(res, 500, 'webhook_delete_failed');
+    }
+
+    log(`[DeleteOfficeWebhook] User ${callerId} törölte a webhookot ${webhookId} ("${webhook.name}", office ${webhook.editorialOfficeId})`);
+
+    return res.json({
+        success: true,
+        action: 'deleted',
+        webhookId
+    });
+}
+
+module.exports = {
+    listOfficeWebhooks,
+    createOfficeWebhook,
+    updateOfficeWebhook,
+    rotateOfficeWebhookSecret,
+    deleteOfficeWebhook
+};
@@ -21,6 +21,10 @@ const {
     buildCompiledValidationFailure
 } = require('../helpers/compiledValidator.js');
 const { createWorkflowDoc } = require('../helpers/workflowDoc.js');
+const {
+    recordWorkflowVersion,
+    deleteWorkflowVersions
+} = require('../helpers/workflowVersions.js');
 const { buildWorkflowAclPerms } = require('../teamHelpers.js');
 const permissions = require('../permissions.js');
 
@@ -175,6 +179,16 @@ async function createWorkflow(ctx) {
         return fail(res, 500, 'create_failed');
     }
 
+    // 5.5. Verzió-history: v1 rögzítése (best-effort).
+    await recordWorkflowVersion(databases, env, sdk, {
+        workflowId: newWorkflowDoc.$id,
+        editorialOfficeId,
+        organizationId: orgId,
+        compiled: JSON.stringify(compiledClone),
+        version: 1,
+        createdByUserId: callerId
+    }, log);
+
     log(`[CreateWorkflow] User ${callerId} új workflow-t hozott létre: id=${newWorkflowDoc.$id}, name="${sanitizedName}", office=${editorialOfficeId}, visibility=${visibility}`);
 
     return res.json({
@@ -341,6 +355,22 @@ async function updateWorkflow(ctx) {
         updateData.name = renameTo;
     }
 
+    // 6.8. Verzió-history backfill: a verziózás bevezetése előtt mentett
+    // workflow-k aktuális (felülírandó) verziója még nincs rögzítve — a
+    // write ELŐTT pótoljuk, különben a diff / migráció forrása elveszne.
+    // Idempotens: ha már létezik, skip.
+    const versionBase = {
+        workflowId: workflowDoc.$id,
+        editorialOfficeId: workflowDoc.editorialOfficeId,
+        organizationId: workflowDoc.organizationId || office.documents[0].organizationId || null
+    };
+    await recordWorkflowVersion(databases, env, sdk, {
+        ...versionBase,
+        compiled: JSON.stringify({ ...currentCompiled, version: currentVersion }),
+        version: currentVersion,
+        createdByUserId: workflowDoc.updatedByUserId || null
+    }, log);
+
     await databases.updateDocument(
         env.databaseId,
         env.workflowsCollectionId,
@@ -348,6 +378,14 @@ async function updateWorkflow(ctx) {
         updateData
     );
 
+    // 7. Az új verzió rögzítése (best-effort — a mentés már sikeres).
+    await recordWorkflowVersion(databases, env, sdk, {
+        ...versionBase,
+        compiled: updateData.compiled,
+        version: newVersion,
+        createdByUserId: callerId
+    }, log);
+
     log(`[UpdateWorkflow] Workflow ${workflowDoc.$id} (office ${editorialOfficeId}) frissítve: v${currentVersion} → v${newVersion}${renameTo && renameTo !== workflowDoc.name ? `, név: "${workflowDoc.name}" → "${renameTo}"` : ''} (by ${callerId})`);
 
     return res.json({
@@ -955,6 +993,12 @@ async function deleteWorkflow(ctx) {
         return fail(res, 500, 'delete_failed');
     }
 
+    // 6. Verzió-history takarítás (best-effort — a workflow már törölve).
+    const versionCleanup = await deleteWorkflowVersions(databases, env, sdk, workflowId, log);
+    if (versionCleanup.failed > 0) {
+        log(`[DeleteWorkflow] ${versionCleanup.failed} verzió-doc törlése sikertelen (workflow=${workflowId}).`);
+    }
+
     log(`[DeleteWorkflow] User ${callerId} törölte a workflow-t: id=${workflowId}, name="${workflowDoc.name}", office=${editorialOfficeId}`);
 
     return res.json({
@@ -1183,6 +1227,16 @@ async function duplicateWorkflow(ctx) {
         return fail(res, 500, 'duplicate_failed');
     }
 
+    // 8.5. Verzió-history: a duplikátum v1-ről indul (best-effort).
+    await recordWorkflowVersion(databases, env, sdk, {
+        workflowId: newDoc.$id,
+        editorialOfficeId,
+        organizationId: targetOrgId,
+        compiled: JSON.stringify(compiledClone),
+        version: 1,
+        createdByUserId: callerId
+    }, log);
+
     log(`[DuplicateWorkflow] User ${callerId} duplikált: forrás=${workflowId} (${sourceVisibility}) → új=${newDoc.$id}, name="${candidateName}", target-office=${editorialOfficeId}, visibility=${newVisibility}`);
 
     return res.json({
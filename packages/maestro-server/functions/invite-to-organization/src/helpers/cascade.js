@@ -104,7 +104,7 @@ async function deleteByQuery(databases, databaseId, collectionId, fieldName, fie
  * törölheti az office doc-ot (különben árva gyerekek maradnának).
  * A hívó responsibility, hogy `try/catch`-el kezelje.
  *
- * @returns {Promise<{ publications, workflows, groups, groupMemberships, officeMemberships }>}
+ * @returns {Promise<{ publications, workflows, groups, groupMemberships, officeMemberships, workflowVersions, extensionRevisions, webhooks, webhookDeliveries, apiKeys }>}
  * @throws {Error} ha bármely gyerek dokumentum törlése sikertelen
  */
 async function cascadeDeleteOffice(databases, officeId, env, log) {
@@ -114,7 +114,12 @@ async function cascadeDeleteOffice(databases, officeId, env, log) {
         workflowsCollectionId,
         groupsCollectionId,
         groupMembershipsCollectionId,
-        officeMembershipsCollectionId
+        officeMembershipsCollectionId,
+        workflowVersionsCollectionId,
+        workflowExtensionRevisionsCollectionId,
+        officeWebhooksCollectionId,
+        webhookDeliveriesCollectionId,
+        officeApiKeysCollectionId
     } = env;
 
     // 1) Publikációk — doc-onkénti deleteDocument, hogy a cascade-delete CF
@@ -163,21 +168,44 @@ async function cascadeDeleteOffice(databases, officeId, env, log) {
     //    Promise.all: ha bármelyik dob, a többi in-flight is befejeződik,
     //    de a wrapper rejection propagál, és NEM jutunk el az office doc
     //    törléséhez.
-    const [workflows, groups, groupMemberships, officeMemberships] = await Promise.all([
+    //    A workflow verzió-history, az extension revízió-history, a webhook és
+    //    az API kulcs collection-ök opcionálisak (hiányukban skip).
+    const skipped = Promise.resolve({ found: 0, deleted: 0 });
+    const [workflows, groups, groupMemberships, officeMemberships, workflowVersions, extensionRevisions, webhooks, webhookDeliveries, apiKeys] = await Promise.all([
         deleteByQuery(databases, databaseId, workflowsCollectionId, 'editorialOfficeId', officeId),
         deleteByQuery(databases, databaseId, groupsCollectionId, 'editorialOfficeId', officeId),
         deleteByQuery(databases, databaseId, groupMembershipsCollectionId, 'editorialOfficeId', officeId),
-        deleteByQuery(databases, databaseId, officeMembershipsCollectionId, 'editorialOfficeId', officeId)
+        deleteByQuery(databases, databaseId, officeMembershipsCollectionId, 'editorialOfficeId', officeId),
+        workflowVersionsCollectionId
+            ? deleteByQuery(databases, databaseId, workflowVersionsCollectionId, 'editorialOfficeId', officeId)
+            : skipped,
+        workflowExtensionRevisionsCollectionId
+            ? deleteByQuery(databases, databaseId, workflowExtensionRevisionsCollectionId, 'editorialOfficeId', officeId)
+            : skipped,
+        officeWebhooksCollectionId
+            ? deleteByQuery(databases, databaseId, officeWebhooksCollectionId, 'editorialOfficeId', officeId)
+            : skipped,
+        webhookDeliveriesCollectionId
+            ? deleteByQuery(databases, databaseId, webhookDeliveriesCollectionId, 'editorialOfficeId', officeId)
+            : skipped,
+        officeApiKeysCollectionId
+            ? deleteByQuery(databases, databaseId, officeApiKeysCollectionId, 'editorialOfficeId', officeId)
+            : skipped
     ]);
 
-    log(`[CascadeOffice ${officeId}] pubs=${pubDeleted}/${pubFound}, workflows=${workflows.deleted}/${workflows.found}, groups=${groups.deleted}/${groups.found}, groupMemberships=${groupMemberships.deleted}/${groupMemberships.found}, officeMemberships=${officeMemberships.deleted}/${officeMemberships.found}`);
+    log(`[CascadeOffice ${officeId}] pubs=${pubDeleted}/${pubFound}, workflows=${workflows.deleted}/${workflows.found}, groups=${groups.deleted}/${groups.found}, groupMemberships=${groupMemberships.deleted}/${groupMemberships.found}, officeMemberships=${officeMemberships.deleted}/${officeMemberships.found}, workflowVersions=${workflowVersions.deleted}/${workflowVersions.found}, extensionRevisions=${extensionRevisions.deleted}/${extensionRevisions.found}, webhooks=${webhooks.deleted}/${webhooks.found}, webhookDeliveries=${webhookDeliveries.deleted}/${webhookDeliveries.found}, apiKeys=${apiKeys.deleted}/${apiKeys.found}`);
 
     return {
         publications: { found: pubFound, deleted: pubDeleted },
         workflows,
         groups,
         groupMemberships,
-        officeMemberships
+        officeMemberships,
+        workflowVersions,
+        extensionRevisions,
+        webhooks,
+        webhookDeliveries,
+        apiKeys
     };
 }
 
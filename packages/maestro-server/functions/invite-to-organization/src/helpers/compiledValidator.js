@@ -101,6 +101,16 @@ function workflowReferencesSlug(compiled, targetSlug) {
         }
     }
 
+    // publicationExtensions.commands[].allowedGroups: string[]
+    const pubCommands = compiled.publicationExtensions?.commands;
+    if (Array.isArray(pubCommands)) {
+        for (const cmd of pubCommands) {
+            if (cmd && Array.isArray(cmd.allowedGroups) && cmd.allowedGroups.includes(targetSlug)) {
+                return true;
+            }
+        }
+    }
+
     // elementPermissions[kind][field]: { type, groups? }
     if (compiled.elementPermissions && typeof compiled.elementPermissions === 'object') {
         for (const kind of Object.values(compiled.elementPermissions)) {
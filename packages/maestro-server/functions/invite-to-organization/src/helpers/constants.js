@@ -33,17 +33,22 @@ const PARSE_ERROR = 'parse_error';
 // B.1.1 (ADR 0007 Phase 0) — workflow extension enum-ok.
 // A `kind` mindkét Phase 0 értékét tartalmazza (`validator`, `command`).
 //
-// A `scope` Phase 0-ban CSAK `['article']` — fail-closed séma. A Phase 1+
-// `publication` scope egy schema-frissítéssel kerül be (`updateEnumAttribute`,
-// a `bootstrap_workflow_schema` `public` visibility late-add mintáját követve).
-// Ezzel a Phase 0-ban a séma maga rejekti az ismeretlen scope-ú write-okat —
-// a B.3 CRUD action-nek nem kell explicit `scope: 'publication'` guard-ot
-// adnia (defense-in-depth a sémából jön; Codex adversarial review B.1
-// 2026-05-04 Medium fix).
+// A `scope`: `article` (cikk-állapothoz kötött, Phase 0) vagy `publication`
+// (kiadvány-szintű, a workflow `compiled.publicationExtensions` listáiból
+// hivatkozva). A már bootstrap-elt collection-ön a `publication` értéket a
+// `bootstrap_workflow_extension_schema` `updateEnumAttribute`-tal pótolja
+// (a `bootstrap_workflow_schema` `public` visibility late-add mintája).
+// A séma továbbra is rejekti az ismeretlen scope-ú write-okat.
 const EXTENSION_KIND_VALUES = ['validator', 'command'];
-const EXTENSION_SCOPE_VALUES = ['article'];
+const EXTENSION_SCOPE_VALUES = ['article', 'publication'];
 const EXTENSION_SCOPE_DEFAULT = 'article';
 
+// Az ExtendScript-oldali Maestro SDK API-verziója — a `buildExtensionSnapshot`
+// minden snapshot-entry-be `sdkVersion`-ként rögzíti, a Plugin runtime ez
+// alapján utasítja el az általa nem ismert (újabb) SDK-ra írt extension-t.
+// SYNC WITH: packages/maestro-shared/extensionContract.js EXTENSION_SDK_API_VERSION
+const EXTENSION_SDK_API_VERSION = 1;
+
 // B.3 (ADR 0007 Phase 0, 2026-05-04) — extension méret-konstansok.
 //
 // SYNC WITH: packages/maestro-shared/extensionContract.js
@@ -71,6 +76,11 @@ const EXTENSION_NAME_MAX_LENGTH = 100;
 const EXTENSION_CODE_MAX_LENGTH = 256 * 1024;     // 262144 char ≈ 256 KB
 const EXTENSION_SNAPSHOT_MAX_BYTES = 800 * 1024;  // 819200 char ≈ 800 KB
 
+// Az extension-revízió változás-megjegyzésének (`changeNote` payload →
+// `workflowExtensionRevisions.note`) maximális hossza.
+// SYNC WITH: packages/maestro-dashboard/src/components/organization/WorkflowExtensionEditor.jsx
+const EXTENSION_REVISION_NOTE_MAX_LENGTH = 500;
+
 module.exports = {
     CASCADE_BATCH_LIMIT,
     MAX_REFERENCES_PER_SCAN,
@@ -80,7 +90,9 @@ module.exports = {
     EXTENSION_KIND_VALUES,
     EXTENSION_SCOPE_VALUES,
     EXTENSION_SCOPE_DEFAULT,
+    EXTENSION_SDK_API_VERSION,
     EXTENSION_NAME_MAX_LENGTH,
     EXTENSION_CODE_MAX_LENGTH,
-    EXTENSION_SNAPSHOT_MAX_BYTES
+    EXTENSION_SNAPSHOT_MAX_BYTES,
+    EXTENSION_REVISION_NOTE_MAX_LENGTH
 };
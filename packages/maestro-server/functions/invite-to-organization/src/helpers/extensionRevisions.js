@@ -0,0 +1,102 @@
+/**
+ * Maestro Server — Workflow extension revízió-history helperek.
+ *
+ * A `workflowExtensionRevisions` collection minden mentett extension-tartalom
+ * (kód, paraméter-séma, típus, hatókör) megváltoztathatatlan másolatát őrzi
+ * (`(extensionId, revision)` unique). Írói: `create_workflow_extension` (r1) és
+ * `update_workflow_extension` (minden tartalmi változás). Olvasója a Dashboard
+ * extension-szerkesztő revízió-panelje (diff, visszaállítás, „melyik aktivált
+ * kiadvány melyik revíziót futtatja” riport — a `codeHash` alapján).
+ *
+ * - `hashExtensionCode` — a kód SHA-256 hash-e (hex); a Dashboard a snapshot
+ *   kódjából ugyanígy számolja, így a revízió nélküli (régi) snapshot-entry is
+ *   revízióhoz rendelhető.
+ * - `recordExtensionRevision` — best-effort, idempotens rögzítés: hiányzó env
+ *   var vagy DB-hiba esetén csak loggol (az extension mentése nem bukik el).
+ */
+
+const crypto = require('crypto');
+
+const { buildOfficeAclPerms } = require('../teamHelpers.js');
+
+/**
+ * @param {string} code
+ * @returns {string} 64 karakteres hex SHA-256 (UTF-8)
+ */
+function hashExtensionCode(code) {
+    return crypto.createHash('sha256').update(String(code), 'utf8').digest('hex');
+}
+
+/**
+ * Egy extension-revízió rögzítése. Ha az adott `(extensionId, revision)` már
+ * létezik, skip (a unique index a párhuzamos írást is kivédi — a 409 is skip).
+ *
+ * @param {sdk.Databases} databases
+ * @param {Object} env — { databaseId, workflowExtensionRevisionsCollectionId }
+ * @param {Object} sdk — `node-appwrite` modul
+ * @param {Object} params
+ * @param {string} params.extensionId
+ * @param {string} params.editorialOfficeId
+ * @param {string|null} params.organizationId
+ * @param {number} params.revision
+ * @param {string} params.name
+ * @param {string} params.kind
+ * @param {string} params.scope
+ * @param {string} params.code
+ * @param {string|null} params.paramSchema — tárolt (normalizált) séma
+ * @param {string|null} params.note — változás-megjegyzés
+ * @param {string|null} params.createdByUserId
+ * @param {Function} log
+ * @returns {Promise<'created'|'exists'|'skipped'|'failed'>}
+ */
+async function recordExtensionRevision(databases, env, sdk, params, log) {
+    if (!env.workflowExtensionRevisionsCollectionId) {
+        log(`[ExtensionRevisions] WORKFLOW_EXTENSION_REVISIONS_COLLECTION_ID hiányzik — r${params.revision} rögzítése kimarad (extension=${params.extensionId}).`);
+        return 'skipped';
+    }
+
+    try {
+        const existing = await databases.listDocuments(
+            env.databaseId,
+            env.workflowExtensionRevisionsCollectionId,
+            [
+                sdk.Query.equal('extensionId', params.extensionId),
+                sdk.Query.equal('revision', params.revision),
+                sdk.Query.limit(1)
+            ]
+        );
+        if (existing.documents.length > 0) return 'exists';
+
+        await databases.createDocument(
+            env.databaseId,
+            env.workflowExtensionRevisionsCollectionId,
+            sdk.ID.unique(),
+            {
+                extensionId: params.extensionId,
+                editorialOfficeId: params.editorialOfficeId,
+                organizationId: params.organizationId || null,
+                revision: params.revision,
+                name: params.name,
+                kind: params.kind,
+                scope: params.scope,
+                code: params.code,
+                codeHash: hashExtensionCode(params.code),
+                paramSchema: params.paramSchema || null,
+                note: params.note || null,
+                createdByUserId: params.createdByUserId || null,
+                createdAt: new Date().toISOString()
+            },
+            buildOfficeAclPerms(params.editorialOfficeId)
+        );
+        return 'created';
+    } catch (err) {
+        if (err?.code === 409) return 'exists';
+        log(`[ExtensionRevisions] r${params.revision} rögzítése sikertelen (extension=${params.extensionId}): ${err.message}`);
+        return 'failed';
+    }
+}
+
+module.exports = {
+    hashExtensionCode,
+    recordExtensionRevision
+};
@@ -14,8 +14,13 @@
 // Tilos import-irány: `helpers/*` → `permissions.js` / `teamHelpers.js`.
 
 const {
-    EXTENSION_SNAPSHOT_MAX_BYTES
+    EXTENSION_SNAPSHOT_MAX_BYTES,
+    EXTENSION_SDK_API_VERSION
 } = require('./constants.js');
+const {
+    parseParamSchema,
+    normalizeExtensionOptions
+} = require('../_generated_extensionParams.js');
 
 const EXTENSION_REF_PREFIX = 'ext.';
 
@@ -37,12 +42,14 @@ function parseExtRef(ref) {
 
 /**
  * Workflow `compiled` JSON scan: extract minden `ext.<slug>` hivatkozást a
- * `validations[]` (state → `onEntry`/`requiredToEnter`/`requiredToExit`) és
- * `commands[]` (state → `[{id, allowedGroups}]`) struktúrákból.
+ * `validations[]` (state → `onEntry`/`requiredToEnter`/`requiredToExit`),
+ * `commands[]` (state → `[{id, allowedGroups}]`) és a kiadvány-szintű
+ * `publicationExtensions` (`{ validations[], commands[] }`) struktúrákból.
  *
  * **Kind-konzisztencia invariáns** (Codex tervi review 2026-05-04):
  * - `validations.*` listáiban csak `kind: 'validator'` extension lehet.
  * - `commands.*` listáiban csak `kind: 'command'` extension lehet.
+ * (A `publicationExtensions.validations` / `.commands` ugyanígy.)
  *
  * A return két különálló `Set<slug>` — a hívó később `kind` ellenőrzéshez
  * használja, és a hiányzó / kind-inkonzisztens slugokat a 422 error-be teszi.
@@ -51,17 +58,24 @@ function parseExtRef(ref) {
  *   - egyszerű string: `"file_accessible"` vagy `"ext.foo"` — a teljes slug
  *   - object: `{ validator: 'slug', options: {...} }` — a `validator` mező értéke
  *
- * **Command item shape**: `{ id: 'cmd_slug' | 'ext.foo', allowedGroups: [] }`.
+ * **Command item shape**: `{ id: 'cmd_slug' | 'ext.foo', allowedGroups: [], options?: {...} }`.
+ *
+ * A `usages` lista minden extension-hivatkozást (előfordulásonként) a
+ * workflow-szintű `options`-szel és az elvárt `scope`-pal együtt ad vissza
+ * (állapot-lista → `article`, `publicationExtensions` → `publication`) — az
+ * aktiválás ezeket a hivatkozott extension `scope`-ja és `paramSchema`-ja
+ * szerint ellenőrzi. Kiadvány-szintű hivatkozásnál a `state` hiányzik.
  *
  * @param {object} compiled - parsed workflow compiled JSON
- * @returns {{ validatorSlugs: Set<string>, commandSlugs: Set<string> }}
+ * @returns {{ validatorSlugs: Set<string>, commandSlugs: Set<string>, usages: Array<{ slug: string, state?: string, lane: string, scope: string, options: * }> }}
  */
 function extractExtensionRefs(compiled) {
     const validatorSlugs = new Set();
     const commandSlugs = new Set();
+    const usages = [];
 
     if (!compiled || typeof compiled !== 'object') {
-        return { validatorSlugs, commandSlugs };
+        return { validatorSlugs, commandSlugs, usages };
     }
 
     // 1. validations (state → { onEntry, requiredToEnter, requiredToExit })
@@ -76,11 +90,17 @@ function extractExtensionRefs(compiled) {
                 for (const item of items) {
                     if (typeof item === 'string') {
                         const slug = parseExtRef(item);
-                        if (slug) validatorSlugs.add(slug);
+                        if (slug) {
+                            validatorSlugs.add(slug);
+                            usages.push({ slug, state: stateName, lane, scope: 'article', options: undefined });
+                        }
                     } else if (item && typeof item === 'object'
                         && typeof item.validator === 'string') {
                         const slug = parseExtRef(item.validator);
-                        if (slug) validatorSlugs.add(slug);
+                        if (slug) {
+                            validatorSlugs.add(slug);
+                            usages.push({ slug, state: stateName, lane, scope: 'article', options: item.options });
+                        }
                     }
                 }
             }
@@ -100,13 +120,47 @@ function extractExtensionRefs(compiled) {
                 if (item && typeof item === 'object'
                     && typeof item.id === 'string') {
                     const slug = parseExtRef(item.id);
-                    if (slug) commandSlugs.add(slug);
+                    if (slug) {
+                        commandSlugs.add(slug);
+                        usages.push({ slug, state: stateName, lane: 'commands', scope: 'article', options: item.options });
+                    }
                 }
             }
         }
     }
 
-    return { validatorSlugs, commandSlugs };
+    // 3. publicationExtensions ({ validations[], commands[] }) — kiadvány-
+    // szintű hivatkozások, az item-alak az állapot-listákéval azonos.
+    const pubExtensions = compiled.publicationExtensions;
+    if (pubExtensions && typeof pubExtensions === 'object') {
+        if (Array.isArray(pubExtensions.validations)) {
+            for (const item of pubExtensions.validations) {
+                const ref = typeof item === 'string' ? item : item?.validator;
+                const slug = parseExtRef(ref);
+                if (slug) {
+                    validatorSlugs.add(slug);
+                    usages.push({
+                        slug,
+                        lane: 'publicationValidations',
+                        scope: 'publication',
+                        options: typeof item === 'string' ? undefined : item.options
+                    });
+                }
+            }
+        }
+        if (Array.isArray(pubExtensions.commands)) {
+            for (const item of pubExtensions.commands) {
+                if (!item || typeof item !== 'object') continue;
+                const slug = parseExtRef(item.id);
+                if (slug) {
+                    commandSlugs.add(slug);
+                    usages.push({ slug, lane: 'publicationCommands', scope: 'publication', options: item.options });
+                }
+            }
+        }
+    }
+
+    return { validatorSlugs, commandSlugs, usages };
 }
 
 /**
@@ -173,18 +227,31 @@ async function fetchExtensionsForOffice(databases, env, sdk, editorialOfficeId,
  *   5. **Kind-konzisztencia invariáns** — a `validations[]` slug-jainak
  *      `kind: 'validator'`, a `commands[]`-nek `kind: 'command'`. Eltérés
  *      → 422 `extension_kind_mismatch`.
- *   6. JSON map serializálás `{[slug]: { name, kind, scope, code }}` —
- *      a `code` mezőt a runtime futtatja, a többi metadata a UI-nak +
- *      a guard logikának kell.
- *   7. Aggregate méret-cap: `EXTENSION_SNAPSHOT_MAX_BYTES`. A schema 1 MB-ot
- *      enged, a 800 KB margin a snapshot-mező egyéb felhasználására (jövőbeli
- *      Phase 1+ paramSchema, kompatibilitási header).
+ *   6. **Scope-konzisztencia invariáns** — az állapot-listák csak `article`,
+ *      a `publicationExtensions` csak `publication` scope-ú extension-re
+ *      hivatkozhat (a cikk- és a kiadvány-szintű `input` alakja eltér).
+ *      Eltérés → 422 `extension_scope_mismatch`.
+ *   7. **Options-ellenőrzés** — minden hivatkozás workflow-szintű `options`-e
+ *      a hivatkozott extension `paramSchema`-ja szerint (`extensionParams.js`
+ *      `normalizeExtensionOptions`): hiányzó kötelező / rossz típusú /
+ *      tartományon kívüli érték → 422 `invalid_extension_options`. Érvénytelen
+ *      tárolt séma → ugyanez (a runtime úgysem tudná futtatni).
+ *   8. JSON map serializálás `{[slug]: { name, kind, scope, code, sdkVersion, paramSchema?, revision? }}` —
+ *      a `code` mezőt a runtime futtatja, a `paramSchema`-t (csak ha van) a
+ *      Plugin az `options` normalizálásához használja, az `sdkVersion` az
+ *      aktiváláskori ExtendScript SDK API-verzió (a Plugin ez alapján
+ *      utasítja el az általa nem ismert SDK-ra írt kódot), a `revision` (csak
+ *      revízió-követett extension-nél) az aktiváláskori revízió-szám a Dashboard
+ *      revízió-riportjához, a többi metadata a UI-nak + a guard logikának kell.
+ *   9. Aggregate méret-cap: `EXTENSION_SNAPSHOT_MAX_BYTES`. A schema 1 MB-ot
+ *      enged, a 800 KB margin a snapshot-mező egyéb felhasználására
+ *      (paramSchema, kompatibilitási header).
  *
  * @returns {Promise<{ ok: true, snapshot: string, refs: object } | { ok: false, status: number, reason: string, payload: object }>}
  *   Normalizált eredmény — a hívó `if (!result.ok) return fail(...)`.
  */
 async function buildExtensionSnapshot(databases, env, sdk, compiled, editorialOfficeId) {
-    const { validatorSlugs, commandSlugs } = extractExtensionRefs(compiled);
+    const { validatorSlugs, commandSlugs, usages } = extractExtensionRefs(compiled);
     const allSlugs = new Set([...validatorSlugs, ...commandSlugs]);
 
     if (allSlugs.size === 0) {
@@ -270,8 +337,65 @@ async function buildExtensionSnapshot(databases, env, sdk, compiled, editorialOf
         };
     }
 
-    // 6. JSON map serializálás. A slug-key sortolt, hogy a snapshot
+    // 6. Scope-konzisztencia invariáns. A legacy (scope nélküli) doc `article`.
+    const scopeMismatches = [];
+    const seenScopeUsages = new Set();
+    for (const usage of usages) {
+        const actual = extensionsBySlug.get(usage.slug).scope || 'article';
+        const key = `${usage.slug}|${usage.lane}`;
+        if (actual === usage.scope || seenScopeUsages.has(key)) continue;
+        seenScopeUsages.add(key);
+        scopeMismatches.push({
+            slug: usage.slug,
+            expected: usage.scope,
+            actual,
+            lane: usage.lane
+        });
+    }
+    if (scopeMismatches.length > 0) {
+        return {
+            ok: false,
+            status: 422,
+            reason: 'extension_scope_mismatch',
+            payload: {
+                mismatches: scopeMismatches,
+                note: 'Az állapotok validátor- és parancslistáiban csak cikk-szintű (article), a kiadvány-szintű bővítmények között csak kiadvány-szintű (publication) extension lehet. Javítsd a workflow-t vagy az extension `scope` mezőjét.'
+            }
+        };
+    }
+
+    // 7. Options-ellenőrzés a hivatkozott extension paraméter-sémája szerint.
+    const paramsBySlug = new Map();
+    const optionErrors = [];
+    for (const slug of allSlugs) {
+        const { params, errors } = parseParamSchema(extensionsBySlug.get(slug).paramSchema);
+        if (errors.length > 0) {
+            optionErrors.push({ slug, errors: ['A tárolt paraméter-séma érvénytelen.', ...errors] });
+        }
+        paramsBySlug.set(slug, params);
+    }
+    for (const usage of usages) {
+        const { errors } = normalizeExtensionOptions(paramsBySlug.get(usage.slug), usage.options);
+        if (errors.length > 0) {
+            optionErrors.push({ slug: usage.slug, state: usage.state, lane: usage.lane, errors });
+        }
+    }
+    if (optionErrors.length > 0) {
+        return {
+            ok: false,
+            status: 422,
+            reason: 'invalid_extension_options',
+            payload: {
+                invalid: optionErrors,
+                note: 'A workflow egyes extension-hivatkozásainak beállításai (options) nem felelnek meg az extension paraméter-sémájának. Javítsd a beállításokat a Workflow Designerben, majd aktiváld újra a publikációt.'
+            }
+        };
+    }
+
+    // 8. JSON map serializálás. A slug-key sortolt, hogy a snapshot
     // determinisztikus legyen (idempotens aktiválás-egyezés string-comparison).
+    // A `paramSchema` és a `revision` csak akkor kerül be, ha az extension-nek
+    // van — a séma / revízió nélküli extension-ök entry-je így változatlan marad.
     const sortedSlugs = [...allSlugs].sort();
     const snapshotMap = {};
     for (const slug of sortedSlugs) {
@@ -280,12 +404,15 @@ async function buildExtensionSnapshot(databases, env, sdk, compiled, editorialOf
             name: doc.name,
             kind: doc.kind,
             scope: doc.scope,
-            code: doc.code
+            code: doc.code,
+            sdkVersion: EXTENSION_SDK_API_VERSION,
+            ...(doc.paramSchema ? { paramSchema: doc.paramSchema } : {}),
+            ...(Number.isInteger(doc.revision) ? { revision: doc.revision } : {})
         };
     }
     const snapshot = JSON.stringify(snapshotMap);
 
-    // 7. Aggregate méret-cap.
+    // 9. Aggregate méret-cap.
     if (snapshot.length > EXTENSION_SNAPSHOT_MAX_BYTES) {
         return {
             ok: false,
@@ -85,6 +85,10 @@ const RATE_LIMIT_CONFIG = Object.freeze({
     // 5 perc / 3 attempt / 5 perc block ad enough idő egy kézi retry-ra, de spam-et
     // (paralel/loop) megakadályoz.
     'delete_my_account':   { windowMs: 5 * MIN,  max: 3,   blockMs: 5 * MIN  },
+    // `workflow-notifications` CF (generált másolatként): értesítő e-mailek
+    // Resend cost-capje — címzettenként óránként, szervezetenként naponta.
+    'notification_email_user':    { windowMs: 1 * HOUR, max: 30,   blockMs: 1 * HOUR },
+    'notification_email_org_day': { windowMs: 1 * DAY,  max: 2000, blockMs: 1 * HOUR },
 });
 
 /**
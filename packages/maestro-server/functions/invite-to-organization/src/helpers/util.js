@@ -52,7 +52,10 @@ const VALID_ACTIONS = new Set([
     'archive_workflow', 'restore_workflow',
     // A.2.2/A.2.3 — workflow-driven autoseed + aktiválás
     'activate_publication', 'assign_workflow_to_publication',
+    'migrate_publication_workflow',
     'create_publication_with_workflow',
+    // Új kiadvány az előző szám szerkezetéből (layoutok, határidők, közreműködők)
+    'clone_publication',
     'update_organization',
     // 2026-05-07: org-tag role változtatása (owner → admin → member). Az
     // `org.member.role.change` org-scope slug + extra owner-touch guard.
@@ -63,7 +66,7 @@ const VALID_ACTIONS = new Set([
     // 2026-05-10 ([[Döntések/0013-self-service-account-management]]) — self-service
     // fiók-törlés. Cross-org sequential cleanup + users.delete (Codex B1+B2 fix).
     'delete_my_account',
-    'create_editorial_office', 'update_editorial_office',
+    'create_editorial_office', 'update_editorial_office', 'update_office_calendar',
     'delete_organization', 'delete_editorial_office',
     'backfill_tenant_acl',
     // 2026-05-07 — `userName`/`userEmail` denormalizációs backfill az
@@ -82,6 +85,11 @@ const VALID_ACTIONS = new Set([
     // implicit visszaállít).
     'create_workflow_extension', 'update_workflow_extension',
     'archive_workflow_extension',
+    // Kimenő webhookok — szerkesztőségi feliratkozás CRUD
+    'list_office_webhooks', 'create_office_webhook', 'update_office_webhook',
+    'rotate_office_webhook_secret', 'delete_office_webhook',
+    // Publikus olvasó API — szerkesztőségi API kulcsok
+    'list_office_api_keys', 'create_office_api_key', 'revoke_office_api_key',
     // ADR 0010 W2/W3 — meghívási flow redesign
     'create_batch_invites',           // multi-invite (max 20)
     'send_invite_email',              // egyetlen invite e-mail újraküldés (admin gomb)
@@ -92,6 +100,16 @@ const VALID_ACTIONS = new Set([
     'backfill_organization_status',             // D.2.5 — legacy orgok status='active'
     'transfer_orphaned_org_ownership',          // D.2.5b — recovery action (global admin)
     'bootstrap_organization_invite_history_schema', // D.3.1 — audit-trail collection schema
+    'bootstrap_article_state_history_schema',   // cikk-állapot history (append-only timeline)
+    'bootstrap_workflow_versions_schema',       // workflow verzió-history (számozott snapshotok)
+    'bootstrap_article_parallel_states_schema', // articles.parallelStates (fork / join ágak)
+    'bootstrap_office_calendar_schema',         // editorialOffices.workingCalendar (munkanaptár)
+    'bootstrap_validation_recipients_schema',   // userValidations.recipientGroupSlug (csoport-címzett)
+    'migrate_validation_recipients',            // legacy all_* címzett típusok → 'group' + slug
+    'bootstrap_notification_deliveries_schema', // e-mail értesítések kézbesítési naplója
+    'bootstrap_office_webhooks_schema',         // kimenő webhookok (feliratkozás + kézbesítési napló)
+    'bootstrap_office_api_keys_schema',         // publikus olvasó API kulcsai (hash-elve)
+    'bootstrap_ads_schema',                     // hirdetés-foglalások kiadványonként
     // E (2026-05-09 follow-up) — Q1 ACL refactor: admin-team scoped backfill.
     // (Korábbi drift-fix 2026-05-10: a router-ben már szerepelt, a VALID_ACTIONS-ból hiányzott.)
     'backfill_admin_team_acl',
@@ -0,0 +1,153 @@
+/**
+ * Maestro Server — Workflow verzió-history helperek.
+ *
+ * A `workflowVersions` collection minden mentett workflow-verzió compiled
+ * JSON-ját őrzi (`(workflowId, version)` unique). Írói: `create_workflow` /
+ * `duplicate_workflow` (v1) és `update_workflow` (minden bump). Olvasói: a
+ * Designer verzió-összehasonlító nézete és a `migrate_publication_workflow`.
+ *
+ * - `recordWorkflowVersion` — best-effort, idempotens rögzítés: hiányzó env
+ *   var vagy DB-hiba esetén csak loggol (a workflow mentése nem bukik el).
+ * - `getWorkflowVersionCompiled` — egy adott verzió compiled JSON-ja.
+ * - `deleteWorkflowVersions` — workflow-törléskor a verziók takarítása.
+ */
+
+const { buildOfficeAclPerms } = require('../teamHelpers.js');
+const { listAllByQuery } = require('./pagination.js');
+
+/**
+ * Egy workflow-verzió rögzítése. Ha az adott `(workflowId, version)` már
+ * létezik, skip (a unique index a párhuzamos írást is kivédi — a 409 is skip).
+ *
+ * @param {sdk.Databases} databases
+ * @param {Object} env — { databaseId, workflowVersionsCollectionId }
+ * @param {Object} sdk — `node-appwrite` modul
+ * @param {Object} params
+ * @param {string} params.workflowId
+ * @param {string} params.editorialOfficeId
+ * @param {string|null} params.organizationId
+ * @param {string} params.compiled — compiled JSON string
+ * @param {number} params.version
+ * @param {string|null} params.createdByUserId
+ * @param {Function} log
+ * @returns {Promise<'created'|'exists'|'skipped'|'failed'>}
+ */
+async function recordWorkflowVersion(databases, env, sdk, params, log) {
+    if (!env.workflowVersionsCollectionId) {
+        log(`[WorkflowVersions] WORKFLOW_VERSIONS_COLLECTION_ID hiányzik — v${params.version} rögzítése kimarad (workflow=${params.workflowId}).`);
+        return 'skipped';
+    }
+
+    try {
+        const existing = await databases.listDocuments(
+            env.databaseId,
+            env.workflowVersionsCollectionId,
+            [
+                sdk.Query.equal('workflowId', params.workflowId),
+                sdk.Query.equal('version', params.version),
+                sdk.Query.limit(1)
+            ]
+        );
+        if (existing.documents.length > 0) return 'exists';
+
+        await databases.createDocument(
+            env.databaseId,
+            env.workflowVersionsCollectionId,
+            sdk.ID.unique(),
+            {
+                workflowId: params.workflowId,
+                editorialOfficeId: params.editorialOfficeId,
+                organizationId: params.organizationId || null,
+                compiled: params.compiled,
+                createdByUserId: params.createdByUserId || null,
+                version: params.version,
+                createdAt: new Date().toISOString()
+            },
+            buildOfficeAclPerms(params.editorialOfficeId)
+        );
+        return 'created';
+    } catch (err) {
+        if (err?.code === 409) return 'exists';
+        log(`[WorkflowVersions] v${params.version} rögzítése sikertelen (workflow=${params.workflowId}): ${err.message}`);
+        return 'failed';
+    }
+}
+
+/**
+ * Egy workflow-verzió compiled JSON-ja (parse-olva).
+ *
+ * @param {sdk.Databases} databases
+ * @param {Object} env — { databaseId, workflowVersionsCollectionId }
+ * @param {Object} sdk — `node-appwrite` modul
+ * @param {string} workflowId
+ * @param {number} version
+ * @returns {Promise<Object|null>} — `null`, ha nincs ilyen verzió (vagy a
+ *   collection nincs konfigurálva); DB-hibát továbbdob.
+ */
+async function getWorkflowVersionCompiled(databases, env, sdk, workflowId, version) {
+    if (!env.workflowVersionsCollectionId) return null;
+
+    const result = await databases.listDocuments(
+        env.databaseId,
+        env.workflowVersionsCollectionId,
+        [
+            sdk.Query.equal('workflowId', workflowId),
+            sdk.Query.equal('version', version),
+            sdk.Query.limit(1)
+        ]
+    );
+    const doc = result.documents[0];
+    if (!doc) return null;
+    try {
+        return typeof doc.compiled === 'string' ? JSON.parse(doc.compiled) : doc.compiled;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * A workflow összes verzió-doc-jának törlése (best-effort, a hibák számát
+ * adja vissza — a workflow-törlés nem bukik el rajta).
+ *
+ * @param {sdk.Databases} databases
+ * @param {Object} env — { databaseId, workflowVersionsCollectionId }
+ * @param {Object} sdk — `node-appwrite` modul
+ * @param {string} workflowId
+ * @param {Function} log
+ * @returns {Promise<{ deleted: number, failed: number }>}
+ */
+async function deleteWorkflowVersions(databases, env, sdk, workflowId, log) {
+    if (!env.workflowVersionsCollectionId) return { deleted: 0, failed: 0 };
+
+    let deleted = 0;
+    let failed = 0;
+    let docs;
+    try {
+        docs = await listAllByQuery(
+            databases,
+            env.databaseId,
+            env.workflowVersionsCollectionId,
+            [sdk.Query.equal('workflowId', workflowId), sdk.Query.select(['$id'])],
+            sdk
+        );
+    } catch (err) {
+        log(`[WorkflowVersions] Verzió-lista hiba törléskor (workflow=${workflowId}): ${err.message}`);
+        return { deleted, failed: 1 };
+    }
+    for (const doc of docs) {
+        try {
+            await databases.deleteDocument(env.databaseId, env.workflowVersionsCollectionId, doc.$id);
+            deleted++;
+        } catch (err) {
+            failed++;
+            log(`[WorkflowVersions] Verzió törlés hiba (${doc.$id}): ${err.message}`);
+        }
+    }
+    return { deleted, failed };
+}
+
+module.exports = {
+    recordWorkflowVersion,
+    getWorkflowVersionCompiled,
+    deleteWorkflowVersions
+};
@@ -83,6 +83,8 @@ const officeActions = require("./actions/offices.js");
 const publicationActions = require("./actions/publications.js");
 // B.3.1 (ADR 0007 Phase 0, 2026-05-04) — workflow extension CRUD.
 const extensionActions = require("./actions/extensions.js");
+const webhookActions = require("./actions/webhooks.js");
+const apiKeyActions = require("./actions/apiKeys.js");
 
 // ────────────────────────────────────────────────────────────────────────────
 // ACTION HANDLERS (B.0.3 plan 3. pont, 2026-05-04)
@@ -143,6 +145,24 @@ const ACTION_HANDLERS = {
     'backfill_organization_status': schemaActions.backfillOrganizationStatus,
     // D.3 (2026-05-09) — invite audit-trail collection
     'bootstrap_organization_invite_history_schema': schemaActions.bootstrapOrganizationInviteHistorySchema,
+    // Cikk-állapot history (append-only audit timeline, `update-article` CF írja)
+    'bootstrap_article_state_history_schema': schemaActions.bootstrapArticleStateHistorySchema,
+    // Workflow verzió-history (számozott compiled snapshotok, diff + migráció)
+    'bootstrap_workflow_versions_schema': schemaActions.bootstrapWorkflowVersionsSchema,
+    // Workflow extension revízió-history (kód-pillanatképek, diff + visszaállítás)
+    'bootstrap_workflow_extension_revisions_schema': schemaActions.bootstrapWorkflowExtensionRevisionsSchema,
+    // Párhuzamos workflow-szakaszok (fork / join): articles.parallelStates
+    'bootstrap_article_parallel_states_schema': schemaActions.bootstrapArticleParallelStatesSchema,
+    // Szerkesztőségi munkanaptár: editorialOffices.workingCalendar
+    'bootstrap_office_calendar_schema': schemaActions.bootstrapOfficeCalendarSchema,
+    'bootstrap_validation_recipients_schema': schemaActions.bootstrapValidationRecipientsSchema,
+    'migrate_validation_recipients': schemaActions.migrateValidationRecipients,
+    // E-mail értesítések (`workflow-notifications` CF) kézbesítési naplója
+    'bootstrap_notification_deliveries_schema': schemaActions.bootstrapNotificationDeliveriesSchema,
+    'bootstrap_office_webhooks_schema': schemaActions.bootstrapOfficeWebhooksSchema,
+    'bootstrap_office_api_keys_schema': schemaActions.bootstrapOfficeApiKeysSchema,
+    // Hirdetés-foglalások (a Dashboard írja, a flatplan és a Plugin olvassa)
+    'bootstrap_ads_schema': schemaActions.bootstrapAdsSchema,
     // E (2026-05-09 follow-up) — Q1 ACL refactor: admin-team scoped backfill
     'backfill_admin_team_acl': schemaActions.backfillAdminTeamAcl,
     // S.7.2 (2026-05-12) — R.S.7.2 close: legacy ACL backfill 5 collection-én.
@@ -183,6 +203,12 @@ const ACTION_HANDLERS = {
     'create_publication_with_workflow': publicationActions.createPublicationWithWorkflow,
     'assign_workflow_to_publication': publicationActions.assignWorkflowToPublication,
     'activate_publication': publicationActions.activatePublication,
+    // Aktivált publikáció átállítása a workflow egy újabb verziójára
+    // (snapshot-csere + állapot-megfeleltetés a megszűnt állapotú cikkekre).
+    'migrate_publication_workflow': publicationActions.migratePublicationWorkflow,
+    // Új kiadvány egy korábbi szám mintájára (layoutok, eltolt határidők,
+    // alapértelmezett közreműködők, workflow, opcionálisan tervezett cikkek).
+    'clone_publication': publicationActions.clonePublication,
 
     // Org & office CRUD (A.3.6 org-scope/office-scope)
     'update_organization': orgActions.updateOrganization,
@@ -202,12 +228,28 @@ const ACTION_HANDLERS = {
     'create_editorial_office': officeActions.createEditorialOffice,
     'update_editorial_office': officeActions.updateEditorialOffice,
     'delete_editorial_office': officeActions.deleteEditorialOffice,
+    // Szerkesztőségi munkanaptár (sürgősség-számítás bemenete)
+    'update_office_calendar': officeActions.updateOfficeCalendar,
     'delete_organization': orgActions.deleteOrganization,
 
     // B.3.1 (ADR 0007 Phase 0) — workflow extension CRUD.
     'create_workflow_extension': extensionActions.createWorkflowExtension,
     'update_workflow_extension': extensionActions.updateWorkflowExtension,
-    'archive_workflow_extension': extensionActions.archiveWorkflowExtension
+    'archive_workflow_extension': extensionActions.archiveWorkflowExtension,
+
+    // Kimenő webhookok — szerkesztőségi feliratkozás CRUD (a kézbesítés az
+    // `office-webhooks` CF-ben).
+    'list_office_webhooks': webhookActions.listOfficeWebhooks,
+    'create_office_webhook': webhookActions.createOfficeWebhook,
+    'update_office_webhook': webhookActions.updateOfficeWebhook,
+    'rotate_office_webhook_secret': webhookActions.rotateOfficeWebhookSecret,
+    'delete_office_webhook': webhookActions.deleteOfficeWebhook,
+
+    // Publikus olvasó API — szerkesztőségi API kulcsok (a kulcsot a
+    // `maestro-proxy` `/api/v1` végpontjai fogadják).
+    'list_office_api_keys': apiKeyActions.listOfficeApiKeys,
+    'create_office_api_key': apiKeyActions.createOfficeApiKey,
+    'revoke_office_api_key': apiKeyActions.revokeOfficeApiKey
 };
 
 // Module-load-time invariáns: a `VALID_ACTIONS` és `ACTION_HANDLERS`
@@ -256,7 +298,7 @@ const ACTION_HANDLERS = {
 // Action handlers (B.0.3.a-h, + B.1 bővítések):
 //   - actions/schemas.js          — bootstrap_*_schema (workflow / publication /
 //                                   groups / permission_sets / workflow_extension)
-//                                   + backfill_tenant_acl
+//                                   + backfill_tenant_acl, migrate_validation_recipients
 //   - actions/orgs.js             — bootstrap/create/update/delete_organization
 //   - actions/invites.js          — create/accept/decline_invite/list_my_invites
 //   - actions/groups.js           — add/remove_group_member, create/update_metadata,
@@ -265,9 +307,14 @@ const ACTION_HANDLERS = {
 //                                   assign/unassign_permission_set_to_group
 //   - actions/workflows.js        — create/update/update_metadata/archive/restore/
 //                                   delete/duplicate_workflow
-//   - actions/offices.js          — leave_organization, create/update/delete_editorial_office
+//   - actions/offices.js          — leave_organization, create/update/delete_editorial_office,
+//                                   update_office_calendar
+//   - actions/webhooks.js         — list/create/update/delete_office_webhook,
+//                                   rotate_office_webhook_secret
+//   - actions/apiKeys.js          — list/create/revoke_office_api_key
 //   - actions/publications.js     — create_publication_with_workflow (A.2.10 atomic),
-//                                   assign_workflow_to_publication, activate_publication
+//                                   assign_workflow_to_publication, activate_publication,
+//                                   migrate_publication_workflow, clone_publication
 //
 // Tilos import-irány: `actions/*` → `helpers/*` → `permissions.js` /
 // `teamHelpers.js`. Visszafelé NEM (CommonJS ciklikus require csendben
@@ -360,6 +407,26 @@ const ACTION_HANDLERS = {
  *     - Payload: { editorialOfficeId, name }
  *     - Return: { success: true, editorialOfficeId, name }
  *
+ *   ACTION='update_office_calendar' — a szerkesztőség munkanaptárának mentése
+ *     (`editorialOffices.workingCalendar`, a sürgősség-számítás bemenete).
+ *     - Caller jogosultság: `office.settings.edit` (office-scope).
+ *     - Payload: { editorialOfficeId, calendar } (`null` → alapértelmezett)
+ *     - Return: { success: true, editorialOfficeId, workingCalendar }
+ *
+ *   ACTION='list_office_webhooks' / 'create_office_webhook' / 'update_office_webhook' /
+ *     'rotate_office_webhook_secret' / 'delete_office_webhook' — kimenő webhook
+ *     feliratkozások (eseményszűrő, URL, HMAC secret) kezelése.
+ *     - Caller jogosultság: `office.settings.edit` (office-scope).
+ *     - A secretet csak a create / rotate válasza tartalmazza (`secret`).
+ *     - Payload: { editorialOfficeId, ... } vagy { webhookId, ... }
+ *
+ *   ACTION='list_office_api_keys' / 'create_office_api_key' / 'revoke_office_api_key'
+ *     — a publikus olvasó API (`maestro-proxy` `/api/v1`) szerkesztőségi kulcsai.
+ *     - Caller jogosultság: `office.settings.edit` (office-scope).
+ *     - A nyers kulcsot csak a create válasza tartalmazza (`key`); a collection
+ *       a SHA-256 hash-t tárolja.
+ *     - Payload: { editorialOfficeId, name } vagy { apiKeyId }
+ *
  *   ACTION='delete_editorial_office' — org owner/admin törli a szerkesztőséget
  *     az összes alárendelt publikációval, workflow-val, csoporttal, csoport-
  *     tagsággal és office-tagsággal együtt. A publikációkat doc-onként törli,
@@ -534,6 +601,38 @@ module.exports = async function ({ req, res, log: rawLog, error: rawError }) {
         // accept/decline flow nem blokkolódik). A `bootstrap_organization_invite_history_schema`
         // action-höz kötelező.
         const organizationInviteHistoryCollectionId = process.env.ORGANIZATION_INVITE_HISTORY_COLLECTION_ID || '';
+        // Cikk-állapot history collection. OPCIONÁLIS env var: csak a
+        // `bootstrap_article_state_history_schema` action-höz kötelező (az írás
+        // az `update-article` CF-ben történik, saját env var-ral).
+        const articleStateHistoryCollectionId = process.env.ARTICLE_STATE_HISTORY_COLLECTION_ID || '';
+        // Workflow verzió-history collection. OPCIONÁLIS env var: hiányában az
+        // `update_workflow` nem rögzít verzió-snapshotot (log warn), a
+        // `migrate_publication_workflow` pedig csak a workflow aktuális
+        // verziójára tud migrálni. A `bootstrap_workflow_versions_schema`
+        // action-höz kötelező.
+        const workflowVersionsCollectionId = process.env.WORKFLOW_VERSIONS_COLLECTION_ID || '';
+        // Workflow extension revízió-history collection. OPCIONÁLIS env var:
+        // hiányában a `create/update_workflow_extension` nem ad revíziót (a
+        // doc `revision` mezője sem íródik). A
+        // `bootstrap_workflow_extension_revisions_schema` action-höz kötelező.
+        const workflowExtensionRevisionsCollectionId = process.env.WORKFLOW_EXTENSION_REVISIONS_COLLECTION_ID || '';
+        // E-mail értesítések kézbesítési naplója. OPCIONÁLIS env var: csak a
+        // `bootstrap_notification_deliveries_schema` action-höz kötelező (az
+        // írás a `workflow-notifications` CF-ben történik, saját env var-ral).
+        const notificationDeliveriesCollectionId = process.env.NOTIFICATION_DELIVERIES_COLLECTION_ID || '';
+        // Kimenő webhookok: feliratkozások + kézbesítési napló. OPCIONÁLIS env
+        // var-ok: a webhook action-ök és a `bootstrap_office_webhooks_schema`
+        // action-szinten ellenőrzik (a kézbesítés az `office-webhooks` CF-ben
+        // történik, saját env var-ral); az office-törlés hiányukban nem takarít.
+        const officeWebhooksCollectionId = process.env.OFFICE_WEBHOOKS_COLLECTION_ID || '';
+        const webhookDeliveriesCollectionId = process.env.WEBHOOK_DELIVERIES_COLLECTION_ID || '';
+        // Publikus olvasó API kulcsai. OPCIONÁLIS env var: az API kulcs action-ök
+        // és a `bootstrap_office_api_keys_schema` action-szinten ellenőrzik (a
+        // kulcsot a `maestro-proxy` validálja, saját env var-ral).
+        const officeApiKeysCollectionId = process.env.OFFICE_API_KEYS_COLLECTION_ID || '';
+        // Hirdetés-foglalások. OPCIONÁLIS env var: csak a `bootstrap_ads_schema`
+        // action-höz kötelező (a doc-okat a Dashboard írja közvetlenül).
+        const adsCollectionId = process.env.ADS_COLLECTION_ID || '';
 
         // S.7.7b (2026-05-15) — `verify_collection_document_security` action env varok.
         // OPCIONÁLISAK (NEM fail-fast): csak az új RO action használja, így a meglévő
@@ -671,6 +770,21 @@ module.exports = async function ({ req, res, log: rawLog, error: rawError }) {
             ipRateLimitBlocksCollectionId,
             // D.3 (2026-05-09) — invite audit-trail (opcionális, ld. fent)
             organizationInviteHistoryCollectionId,
+            // Cikk-állapot history (opcionális, ld. fent)
+            articleStateHistoryCollectionId,
+            // Workflow verzió-history (opcionális, ld. fent)
+            workflowVersionsCollectionId,
+            // Workflow extension revízió-history (opcionális, ld. fent)
+            workflowExtensionRevisionsCollectionId,
+            // E-mail értesítések kézbesítési naplója (opcionális, ld. fent)
+            notificationDeliveriesCollectionId,
+            // Kimenő webhookok (opcionális, ld. fent)
+            officeWebhooksCollectionId,
+            webhookDeliveriesCollectionId,
+            // Publikus olvasó API kulcsai (opcionális, ld. fent)
+            officeApiKeysCollectionId,
+            // Hirdetés-foglalások (opcionális, ld. fent)
+            adsCollectionId,
             // S.7.7b (2026-05-15) — opcionális collection ID-k a
             // `verify_collection_document_security` action számára.
             layoutsCollectionId,
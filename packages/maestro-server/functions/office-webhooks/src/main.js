@@ -0,0 +1,559 @@
+const sdk = require('node-appwrite');
+const crypto = require('crypto');
+
+// S.13.2+S.13.3 Phase 2.2 — PII-redaction log wrap + response info-disclosure védelem.
+const { wrapLogger } = require('./_generated_piiRedaction.js');
+const { fail } = require('./_generated_responseHelpers.js');
+
+// Kimenő webhook konstansok — kanonikus forrás:
+// `packages/maestro-shared/officeWebhooks.js`, regeneráció:
+// `yarn build:cf-office-webhooks`.
+const {
+    WEBHOOK_EVENTS,
+    WEBHOOK_DELIVERY_STATUS,
+    WEBHOOK_SIGNATURE_HEADERS,
+    WEBHOOK_SECRET_PREFIX,
+    MAX_WEBHOOKS_PER_OFFICE,
+    WEBHOOK_MAX_ATTEMPTS,
+    getWebhookRetryDelayMs
+} = require('./_generated_officeWebhooks.js');
+
+/**
+ * Appwrite Function: Office Webhooks
+ *
+ * Kimenő webhookok kézbesítése a szerkesztőségek feliratkozásai
+ * (`officeWebhooks`, a Dashboard szerkesztőség-beállításaiban kezelve)
+ * alapján.
+ *
+ * Események:
+ *  - `article.state_terminal` — a cikk nem-végállapotból végállapotba lépett
+ *    (`isTerminal` a kiadvány compiled workflow-jában). A váltás azonosítója
+ *    az `articleStateHistory` legutóbbi sora; hiányában a
+ *    `previousState → state` pár.
+ *  - `publication.activated` — a kiadvány `isActivated: true` és
+ *    `activatedAt` mezővel rendelkezik (a `validate-publication-update` által
+ *    visszavont aktiválás a friss doc-on már nem látszik).
+ *
+ * Kézbesítés: eseményenként és webhookonként egy `webhookDeliveries` sor
+ * (a `dedupeKey` unique index miatt az event retry-ok és a cikk későbbi
+ * mentései nem küldik újra). Az első kísérlet az eseményt feldolgozó
+ * végrehajtásban fut; a sikertelen (nem 2xx, timeout, hálózati hiba)
+ * kísérletek exponenciális backoff-fal (1, 2, 4 … perc, max 6 óra)
+ * `WEBHOOK_MAX_ATTEMPTS`-ig ismétlődnek az ütemezett futásban.
+ *
+ * Aláírás (Svix / Standard Webhooks séma, mint a `resend-webhook` CF-ben
+ * ellenőrzött Resend-hívások): `webhook-id` (a kézbesítés ID-ja, retry-nál
+ * változatlan), `webhook-timestamp` (a kísérlet ideje), `webhook-signature`
+ * (`v1,<base64 HMAC-SHA256>` a `<id>.<timestamp>.<body>` stringen).
+ *
+ * Trigger:
+ *  - Event: databases.*.collections.articles.documents.*.update
+ *  - Event: databases.*.collections.publications.documents.*.update
+ *  - Schedule (5 percenként, ld. `appwrite.json`): esedékes újrapróbálkozások
+ *    + a lezárt napló-sorok retention-takarítása
+ * Runtime: Node.js 18.0+
+ *
+ * Szükséges környezeti változók:
+ * - APPWRITE_API_KEY (databases.* jogosultságok)
+ * - DATABASE_ID
+ * - ARTICLES_COLLECTION_ID
+ * - PUBLICATIONS_COLLECTION_ID
+ * - WORKFLOWS_COLLECTION_ID
+ * - OFFICE_WEBHOOKS_COLLECTION_ID
+ * - WEBHOOK_DELIVERIES_COLLECTION_ID
+ * - ARTICLE_STATE_HISTORY_COLLECTION_ID (opcionális — a végállapot-váltás
+ *   azonosításához; hiányában a `previousState → state` pár a kulcs)
+ */
+
+const RETRY_BATCH_LIMIT = 50;
+// A cél ennyi idő alatt válaszoljon — a Svix is ~15 mp-et ad.
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Az első (eseményben futó) kísérlet „bérlete": addig az ütemezett retry-scan
+// nem veszi fel a sort, így a két végrehajtás nem küldi párhuzamosan.
+const FIRST_ATTEMPT_LEASE_MS = 2 * REQUEST_TIMEOUT_MS;
+// A hibaüzenet / válasz-részlet ennyi karakterig kerül a naplóba (a séma 512).
+const ERROR_MAX_LENGTH = 500;
+// A lezárt (sikeres / végleg sikertelen) napló-sorok megőrzési ideje.
+const DELIVERY_RETENTION_DAYS = 30;
+const RETENTION_BATCH_LIMIT = 100;
+// Az `articleStateHistory` sor a cikk-write UTÁN íródik — ha az esemény
+// megelőzi, egyszer még várunk rá.
+const HISTORY_LOOKUP_RETRY_MS = 1500;
+const USER_AGENT = 'Maestro-Webhooks/1.0';
+
+// ─── Lekérések ──────────────────────────────────────────────────────────────
+
+async function getDocumentOrNull(run, collectionId, documentId, label) {
+    const { databases, env, log } = run;
+    try {
+        return await databases.getDocument(env.databaseId, collectionId, documentId);
+    } catch (e) {
+        log(`[${label}] lookup hiba (${documentId}): ${e.message}`);
+        return null;
+    }
+}
+
+/**
+ * A kiadvány compiled workflow-ja: `compiledWorkflowSnapshot` elsődleges,
+ * különben a `workflowId` live doc-ja (a `scheduled-transitions` sorrendje).
+ */
+async function getCompiled(run, publication) {
+    const { databases, env, log } = run;
+    const snapshot = publication.compiledWorkflowSnapshot;
+    if (typeof snapshot === 'string' && snapshot.length > 0) {
+        try {
+            return JSON.parse(snapshot);
+        } catch (e) {
+            log(`[Workflow] Snapshot parse hiba (pub=${publication.$id}): ${e.message} — fallback workflowId-ra`);
+        }
+    }
+    if (!publication.workflowId) return null;
+    try {
+        const doc = await databases.getDocument(env.databaseId, env.workflowsCollectionId, publication.workflowId);
+        if (doc.editorialOfficeId !== publication.editorialOfficeId) {
+            log(`[Workflow] Cross-tenant workflow ${publication.workflowId} (pub=${publication.$id}) — kihagyva`);
+            return null;
+        }
+        return typeof doc.compiled === 'string' ? JSON.parse(doc.compiled) : doc.compiled;
+    } catch (e) {
+        log(`[Workflow] workflow lookup hiba (${publication.workflowId}): ${e.message}`);
+        return null;
+    }
+}
+
+function findState(compiled, stateId) {
+    return (compiled?.states || []).find(s => s.id === stateId) || null;
+}
+
+/**
+ * Az office engedélyezett webhookjai, amelyek feliratkoztak az eseményre.
+ */
+async function getSubscribedWebhooks(run, editorialOfficeId, eventType) {
+    const { databases, env } = run;
+    if (!editorialOfficeId) return [];
+    const result = await databases.listDocuments(env.databaseId, env.officeWebhooksCollectionId, [
+        sdk.Query.equal('editorialOfficeId', editorialOfficeId),
+        sdk.Query.equal('enabled', true),
+        sdk.Query.limit(MAX_WEBHOOKS_PER_OFFICE)
+    ]);
+    return result.documents.filter(webhook => (webhook.events || []).includes(eventType));
+}
+
+/**
+ * A cikk legutóbbi állapot-history sora, ha a jelenlegi állapotba vezetett.
+ * A history a cikk-write után íródik — ha még nincs meg, egyszer várunk.
+ */
+async function getLatestTransition(run, article) {
+    const { databases, env, log } = run;
+    if (!env.stateHistoryCollectionId) return null;
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        if (attempt > 0) await new Promise(resolve => setTimeout(resolve, HISTORY_LOOKUP_RETRY_MS));
+        try {
+            const result = await databases.listDocuments(env.databaseId, env.stateHistoryCollectionId, [
+                sdk.Query.equal('articleId', article.$id),
+                sdk.Query.orderDesc('transitionedAt'),
+                sdk.Query.limit(1)
+            ]);
+            const entry = result.documents[0];
+            if (entry && entry.toState === article.state) return entry;
+        } catch (e) {
+            log(`[History] lookup hiba (${article.$id}): ${e.message}`);
+            return null;
+        }
+    }
+    return null;
+}
+
+// ─── Aláírás + kézbesítés ───────────────────────────────────────────────────
+
+/**
+ * `v1,<base64>` aláírás a Svix sémája szerint — a kulcs a `whsec_` prefix
+ * utáni rész base64-dekódolva (ld. `resend-webhook` `verifySvixSignature`).
+ */
+function signPayload(secret, messageId, timestamp, body) {
+    const secretBytes = Buffer.from(secret.replace(new RegExp(`^${WEBHOOK_SECRET_PREFIX}`), ''), 'base64');
+    const signature = crypto
+        .createHmac('sha256', secretBytes)
+        .update(`${messageId}.${timestamp}.${body}`)
+        .digest('base64');
+    return `v1,${signature}`;
+}
+
+function truncate(value) {
+    const text = String(value ?? '');
+    return text.length > ERROR_MAX_LENGTH ? `${text.slice(0, ERROR_MAX_LENGTH)}…` : text;
+}
+
+/**
+ * Egy kísérlet: POST a cél URL-re, majd a napló-sor frissítése. 2xx → kész;
+ * egyébként a következő kísérlet a backoff szerint, vagy `failed`, ha
+ * elfogyott a keret.
+ *
+ * Átirányítást nem követünk (a validált URL-ről ne vigyen belső címre) —
+ * a 3xx hibának számít.
+ */
+async function attemptDelivery(run, delivery, webhook) {
+    const { databases, env, log, error, stats } = run;
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempts = (delivery.attempts || 0) + 1;
+
+    let statusCode = null;
+    let failure = null;
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            redirect: 'manual',
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+            headers: {
+                'content-type': 'application/json',
+                'user-agent': USER_AGENT,
+                [WEBHOOK_SIGNATURE_HEADERS.ID]: delivery.$id,
+                [WEBHOOK_SIGNATURE_HEADERS.TIMESTAMP]: String(timestamp),
+                [WEBHOOK_SIGNATURE_HEADERS.SIGNATURE]: signPayload(webhook.secret, delivery.$id, timestamp, delivery.payload)
+            },
+            body: delivery.payload
+        });
+        statusCode = response.status;
+        if (!response.ok) {
+            const text = await response.text().catch(() => '');
+            failure = `HTTP ${response.status}${text ? `: ${text}` : ''}`;
+        }
+    } catch (e) {
+        failure = e.name === 'TimeoutError' ? `timeout (${REQUEST_TIMEOUT_MS} ms)` : (e.cause?.code || e.message);
+    }
+
+    const nowIso = new Date().toISOString();
+    const patch = {
+        attempts,
+        lastAttemptAt: nowIso,
+        lastStatusCode: statusCode,
+        lastError: failure ? truncate(failure) : null
+    };
+    if (!failure) {
+        patch.status = WEBHOOK_DELIVERY_STATUS.SUCCEEDED;
+        patch.deliveredAt = nowIso;
+        patch.nextAttemptAt = null;
+        stats.delivered++;
+    } else if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+        patch.status = WEBHOOK_DELIVERY_STATUS.FAILED;
+        patch.nextAttemptAt = null;
+        stats.failed++;
+    } else {
+        patch.status = WEBHOOK_DELIVERY_STATUS.PENDING;
+        patch.nextAttemptAt = new Date(Date.now() + getWebhookRetryDelayMs(attempts)).toISOString();
+        stats.retrying++;
+    }
+
+    log(`[Deliver] ${delivery.eventType} → webhook ${webhook.$id} (kísérlet ${attempts}/${WEBHOOK_MAX_ATTEMPTS}): ${failure ? `hiba — ${truncate(failure)}` : `OK ${statusCode}`}`);
+
+    try {
+        await databases.updateDocument(env.databaseId, env.webhookDeliveriesCollectionId, delivery.$id, patch);
+    } catch (e) {
+        error(`[Deliver] napló-frissítés hiba (${delivery.$id}): ${e.message}`);
+    }
+}
+
+/**
+ * Az esemény sorba állítása minden feliratkozott webhookra, majd az első
+ * kísérlet. Duplikátum (409 a `dedupeKey`-en) → már kézbesítettük / sorban van.
+ *
+ * @param {Object} run
+ * @param {Object[]} webhooks
+ * @param {{ eventType: string, eventKey: string, organizationId: string|null, editorialOfficeId: string, data: Object }} event
+ */
+async function dispatchEvent(run, webhooks, event) {
+    const { databases, env, error, stats } = run;
+    const { eventType, eventKey, organizationId, editorialOfficeId, data } = event;
+
+    for (const webhook of webhooks) {
+        const deliveryId = sdk.ID.unique();
+        const payload = JSON.stringify({
+            id: deliveryId,
+            type: eventType,
+            timestamp: new Date().toISOString(),
+            data
+        });
+
+        let delivery;
+        try {
+            delivery = await databases.createDocument(
+                env.databaseId,
+                env.webhookDeliveriesCollectionId,
+                deliveryId,
+                {
+                    webhookId: webhook.$id,
+                    organizationId: organizationId || null,
+                    editorialOfficeId,
+                    eventType,
+                    dedupeKey: `${webhook.$id}:${eventKey}`,
+                    payload,
+                    status: WEBHOOK_DELIVERY_STATUS.PENDING,
+                    attempts: 0,
+                    nextAttemptAt: new Date(Date.now() + FIRST_ATTEMPT_LEASE_MS).toISOString()
+                },
+                []
+            );
+        } catch (e) {
+            if (e.code === 409) {
+                stats.duplicates++;
+                continue;
+            }
+            error(`[Dispatch] napló-sor létrehozás hiba (webhook ${webhook.$id}): ${e.message}`);
+            stats.failed++;
+            continue;
+        }
+
+        await attemptDelivery(run, delivery, webhook);
+    }
+}
+
+// ─── Esemény-kezelők ────────────────────────────────────────────────────────
+
+/**
+ * `article.state_terminal` — a friss cikk-doc alapján (az event payload
+ * elavult lehet, pl. a guard korrekciója után). A cikkek minden mentése
+ * ide fut be, ezért először a feliratkozást nézzük: webhook nélküli
+ * office-nál egyetlen lekérdezés a teljes költség.
+ */
+async function handleArticleUpdate(run, payload) {
+    const { env, log, stats } = run;
+    if (!payload?.$id || !payload.editorialOfficeId) return;
+
+    const webhooks = await getSubscribedWebhooks(run, payload.editorialOfficeId, WEBHOOK_EVENTS.ARTICLE_STATE_TERMINAL);
+    if (webhooks.length === 0) {
+        stats.skipped++;
+        return;
+    }
+
+    const article = await getDocumentOrNull(run, env.articlesCollectionId, payload.$id, 'Article');
+    if (!article?.publicationId || article.editorialOfficeId !== payload.editorialOfficeId) return;
+
+    const { state, previousState } = article;
+    if (previousState === null || previousState === undefined || previousState === state) return;
+
+    const publication = await getDocumentOrNull(run, env.publicationsCollectionId, article.publicationId, 'Publication');
+    if (!publication) return;
+    const compiled = await getCompiled(run, publication);
+    const currentState = findState(compiled, state);
+    const fromState = findState(compiled, previousState);
+    // Csak a végállapotba LÉPÉS számít — végállapotok közti váltás nem.
+    if (currentState?.isTerminal !== true || fromState?.isTerminal === true) return;
+
+    const transition = await getLatestTransition(run, article);
+    const transitionKey = transition ? transition.$id : `${previousState}>${state}`;
+    log(`[Article] ${article.$id} végállapotba lépett (${previousState} → ${state}), ${webhooks.length} webhook`);
+
+    await dispatchEvent(run, webhooks, {
+        eventType: WEBHOOK_EVENTS.ARTICLE_STATE_TERMINAL,
+        eventKey: `${WEBHOOK_EVENTS.ARTICLE_STATE_TERMINAL}:${article.$id}:${transitionKey}`,
+        organizationId: article.organizationId,
+        editorialOfficeId: article.editorialOfficeId,
+        data: {
+            articleId: article.$id,
+            name: article.name || null,
+            publicationId: publication.$id,
+            publicationName: publication.name || null,
+            editorialOfficeId: article.editorialOfficeId,
+            organizationId: article.organizationId || null,
+            state,
+            stateLabel: currentState.label || state,
+            previousState,
+            previousStateLabel: fromState?.label || previousState,
+            startPage: article.startPage ?? null,
+            endPage: article.endPage ?? null,
+            transitionedAt: transition?.transitionedAt || article.$updatedAt,
+            actorUserId: transition?.actorUserId || null
+        }
+    });
+}
+
+/**
+ * `publication.activated` — a friss doc alapján (a guard által visszavont
+ * aktiválás már nem látszik); az `activatedAt` a kulcs része, így egy
+ * deaktiválás utáni újra-aktiválás új esemény.
+ */
+async function handlePublicationUpdate(run, payload) {
+    const { env, log, stats } = run;
+    if (!payload?.$id) return;
+
+    if (payload.isActivated !== true) return;
+
+    const webhooks = await getSubscribedWebhooks(run, payload.editorialOfficeId, WEBHOOK_EVENTS.PUBLICATION_ACTIVATED);
+    if (webhooks.length === 0) {
+        stats.skipped++;
+        return;
+    }
+
+    const publication = await getDocumentOrNull(run, env.publicationsCollectionId, payload.$id, 'Publication');
+    if (!publication || publication.isActivated !== true || !publication.activatedAt) return;
+    if (publication.editorialOfficeId !== payload.editorialOfficeId) return;
+
+    log(`[Publication] ${publication.$id} aktiválva (${publication.activatedAt}), ${webhooks.length} webhook`);
+
+    await dispatchEvent(run, webhooks, {
+        eventType: WEBHOOK_EVENTS.PUBLICATION_ACTIVATED,
+        eventKey: `${WEBHOOK_EVENTS.PUBLICATION_ACTIVATED}:${publication.$id}:${publication.activatedAt}`,
+        organizationId: publication.organizationId,
+        editorialOfficeId: publication.editorialOfficeId,
+        data: {
+            publicationId: publication.$id,
+            name: publication.name || null,
+            editorialOfficeId: publication.editorialOfficeId,
+            organizationId: publication.organizationId || null,
+            activatedAt: publication.activatedAt,
+            coverageStart: publication.coverageStart ?? null,
+            coverageEnd: publication.coverageEnd ?? null,
+            workflowId: publication.workflowId || null
+        }
+    });
+}
+
+// ─── Ütemezett futás ────────────────────────────────────────────────────────
+
+/**
+ * Az esedékes (`nextAttemptAt <= most`) függő kézbesítések újrapróbálása. A
+ * közben törölt / letiltott webhook sorai `failed`-ként zárulnak.
+ */
+async function processRetries(run) {
+    const { databases, env, error, stats } = run;
+    const result = await databases.listDocuments(env.databaseId, env.webhookDeliveriesCollectionId, [
+        sdk.Query.equal('status', WEBHOOK_DELIVERY_STATUS.PENDING),
+        sdk.Query.lessThanEqual('nextAttemptAt', new Date().toISOString()),
+        sdk.Query.orderAsc('nextAttemptAt'),
+        sdk.Query.limit(RETRY_BATCH_LIMIT)
+    ]);
+
+    const webhookCache = new Map();
+    for (const delivery of result.documents) {
+        if (!webhookCache.has(delivery.webhookId)) {
+            webhookCache.set(
+                delivery.webhookId,
+                await getDocumentOrNull(run, env.officeWebhooksCollectionId, delivery.webhookId, 'Webhook')
+            );
+        }
+        const webhook = webhookCache.get(delivery.webhookId);
+
+        if (!webhook || webhook.enabled === false) {
+            try {
+                await databases.updateDocument(env.databaseId, env.webhookDeliveriesCollectionId, delivery.$id, {
+                    status: WEBHOOK_DELIVERY_STATUS.FAILED,
+                    nextAttemptAt: null,
+                    lastError: webhook ? 'webhook_disabled' : 'webhook_deleted'
+                });
+                stats.failed++;
+            } catch (e) {
+                error(`[Retry] napló-frissítés hiba (${delivery.$id}): ${e.message}`);
+            }
+            continue;
+        }
+
+        await attemptDelivery(run, delivery, webhook);
+    }
+}
+
+/**
+ * A lezárt napló-sorok törlése `DELIVERY_RETENTION_DAYS` után. Futásonként
+ * legfeljebb egy batch — a maradék a következő ütemezett futásra marad.
+ */
+async function cleanupOldDeliveries(run) {
+    const { databases, env, error, stats } = run;
+    const cutoff = new Date(Date.now() - DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const result = await databases.listDocuments(env.databaseId, env.webhookDeliveriesCollectionId, [
+        sdk.Query.notEqual('status', WEBHOOK_DELIVERY_STATUS.PENDING),
+        sdk.Query.lessThan('$createdAt', cutoff),
+        sdk.Query.limit(RETENTION_BATCH_LIMIT)
+    ]);
+    for (const delivery of result.documents) {
+        try {
+            await databases.deleteDocument(env.databaseId, env.webhookDeliveriesCollectionId, delivery.$id);
+            stats.purged++;
+        } catch (e) {
+            error(`[Retention] törlés hiba (${delivery.$id}): ${e.message}`);
+        }
+    }
+}
+
+function parsePayload(req) {
+    if (!req.body) return {};
+    try {
+        const payload = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+        return payload && typeof payload === 'object' ? payload : {};
+    } catch {
+        return {};
+    }
+}
+
+module.exports = async function ({ req, res, log: rawLog, error: rawError }) {
+    const { log, error } = wrapLogger(rawLog, rawError);
+    try {
+        const client = new sdk.Client()
+            .setEndpoint(process.env.APPWRITE_ENDPOINT || 'https://cloud.appwrite.io/v1')
+            .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+            .setKey(process.env.APPWRITE_API_KEY);
+
+        const env = {
+            databaseId: process.env.DATABASE_ID,
+            articlesCollectionId: process.env.ARTICLES_COLLECTION_ID,
+            publicationsCollectionId: process.env.PUBLICATIONS_COLLECTION_ID,
+            workflowsCollectionId: process.env.WORKFLOWS_COLLECTION_ID,
+            officeWebhooksCollectionId: process.env.OFFICE_WEBHOOKS_COLLECTION_ID,
+            webhookDeliveriesCollectionId: process.env.WEBHOOK_DELIVERIES_COLLECTION_ID,
+            stateHistoryCollectionId: process.env.ARTICLE_STATE_HISTORY_COLLECTION_ID || ''
+        };
+
+        const missingEnvVars = [];
+        if (!env.databaseId) missingEnvVars.push('DATABASE_ID');
+        if (!env.articlesCollectionId) missingEnvVars.push('ARTICLES_COLLECTION_ID');
+        if (!env.publicationsCollectionId) missingEnvVars.push('PUBLICATIONS_COLLECTION_ID');
+        if (!env.workflowsCollectionId) missingEnvVars.push('WORKFLOWS_COLLECTION_ID');
+        if (!env.officeWebhooksCollectionId) missingEnvVars.push('OFFICE_WEBHOOKS_COLLECTION_ID');
+        if (!env.webhookDeliveriesCollectionId) missingEnvVars.push('WEBHOOK_DELIVERIES_COLLECTION_ID');
+        if (missingEnvVars.length > 0) {
+            error(`[Config] Hiányzó környezeti változók: ${missingEnvVars.join(', ')}`);
+            return fail(res, 500, 'misconfigured', { missing: missingEnvVars });
+        }
+
+        const run = {
+            databases: new sdk.Databases(client),
+            env,
+            log,
+            error,
+            stats: { delivered: 0, retrying: 0, failed: 0, duplicates: 0, skipped: 0, purged: 0 }
+        };
+
+        const trigger = req.headers['x-appwrite-trigger'] || 'http';
+
+        if (trigger === 'event') {
+            const event = req.headers['x-appwrite-event'] || '';
+            const payload = parsePayload(req);
+            if (event.includes(`.collections.${env.articlesCollectionId}.documents.`)) {
+                await handleArticleUpdate(run, payload);
+            } else if (event.includes(`.collections.${env.publicationsCollectionId}.documents.`)) {
+                await handlePublicationUpdate(run, payload);
+            } else {
+                log(`[Event] nem kezelt esemény: ${event} — kihagyva`);
+                return res.json({ success: true, action: 'ignored' });
+            }
+        } else {
+            // Schedule, vagy kézi (Console / API key) végrehajtás.
+            await processRetries(run);
+            await cleanupOldDeliveries(run);
+        }
+
+        const { stats } = run;
+        log(`Összesítés (${trigger}): ${stats.delivered} kézbesítve, ${stats.retrying} újrapróbálásra vár, ${stats.failed} sikertelen, ${stats.duplicates} duplikátum, ${stats.skipped} feliratkozás nélkül, ${stats.purged} napló-sor törölve`);
+
+        return res.json({
+            success: true,
+            action: trigger === 'event' ? 'event_processed' : 'scheduled_run',
+            ...stats
+        });
+    } catch (err) {
+        error(`Function hiba: ${err.message}`);
+        error(`Stack: ${err.stack}`);
+        return fail(res, 500, 'internal_error', {
+            executionId: req?.headers?.['x-appwrite-execution-id']
+        });
+    }
+};
@@ -0,0 +1,67 @@
+/**
+ * AUTO-GENERATED FILE — DO NOT EDIT.
+ * Source: packages/maestro-server/functions/invite-to-organization/src/helpers/emailTemplate.js
+ * Regenerate: yarn build:cf-email-helpers
+ *
+ * Az `invite-to-organization` CF helperének másolata. CF deploy-időben a
+ * másik CF könyvtára NEM érhető el, ezért a célfüggvény saját másolatot
+ * tart. Generálás: scripts/build-cf-email-helpers.mjs.
+ */
+// E-mail sablon-renderelés (`templates/*.html` + `.txt`).
+//
+// A meghívó e-mail (`actions/sendEmail.js`) használja; a `workflow-notifications`
+// és a `scheduled-transitions` CF `_generated_emailTemplate.js`-ként kapja
+// (`yarn build:cf-email-helpers`).
+
+/**
+ * Egyszerű handlebars-szerű placeholder-csere. Direkt nem viszünk be
+ * teljes templating engine-t (handlebars, mustache) — ennyire egyszerű
+ * a sablonunk, és minden új dep növeli a CF cold start időt.
+ *
+ * Támogatott:
+ *   {{key}}                   — sima csere
+ *   {{#if customMessage}} ... {{/if}}  — feltételes blokk (egyszintű, csak ha truthy)
+ *
+ * NEM támogatott (szándékosan): nested if, loops, partials, escaping.
+ * A placeholderek értéke szerver-oldali — a HTML-be kerülő, felhasználótól
+ * származó értékeket a hívó escape-eli (`escapeHtml`).
+ */
+function renderTemplate(template, vars) {
+    let out = template;
+
+    // Először a #if blokkok feldolgozása (mert a sima csere később törölné a {{#if}}-t)
+    out = out.replace(/\{\{#if (\w+)\}\}([\s\S]*?)\{\{\/if\}\}/g, (_, key, body) => {
+        return vars[key] ? body : '';
+    });
+
+    // HTML kommentek között lévő {{#if}}/{{/if}} jelölők eltakarítása (a HTML
+    // template kommentjében hagytunk magyarázó {{#if customMessage}}-t — ezt
+    // is kitisztítjuk, hogy ne kerüljön az e-mailbe.)
+    out = out.replace(/<!--\s*\{\{#if \w+\}\}\s*-->/g, '');
+    out = out.replace(/<!--\s*\{\{\/if\}\}\s*-->/g, '');
+
+    // Sima placeholder-csere
+    out = out.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+        if (vars[key] === undefined || vars[key] === null) return '';
+        return String(vars[key]);
+    });
+
+    return out;
+}
+
+/**
+ * HTML-escape a HTML sablonba kerülő szöveges értékekhez (szöveg és
+ * attribútum-érték is).
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+    renderTemplate,
+    escapeHtml
+};
@@ -0,0 +1,483 @@
+const fs = require('fs');
+const path = require('path');
+const sdk = require('node-appwrite');
+const { Resend } = require('resend');
+
+// S.13.2+S.13.3 Phase 2.2 — PII-redaction log wrap + response info-disclosure védelem.
+const { wrapLogger } = require('./_generated_piiRedaction.js');
+const { fail } = require('./_generated_responseHelpers.js');
+
+// Automatikus átmenet-szabályok — kanonikus forrás:
+// `packages/maestro-shared/autoTransitions.js`, regeneráció:
+// `yarn build:cf-auto-transitions`.
+const {
+    getAutoTransition,
+    listAutoTransitionStates,
+    isAutoTransitionDue
+} = require('./_generated_autoTransitions.js');
+
+// Az `update-article` CF-fel közös validációs út (átmenet, párhuzamos ágak,
+// átmenet-feltételek, write payload, history) — kanonikus forrás:
+// `packages/maestro-shared/articleTransition.js`, regeneráció:
+// `yarn build:cf-article-transition`. Az orphan-guard szintén közös.
+const {
+    validateArticleTransition,
+    buildTransitionWritePayload,
+    buildStateHistoryEntry,
+    writeStateHistoryEntry,
+    countUnresolvedUserValidations
+} = require('./_generated_articleTransition.js');
+const {
+    STATE_KINDS,
+    normalizeParallelStates,
+    getForkBranches
+} = require('./_generated_parallelStates.js');
+const { getOrgStatus, isOrgWriteBlocked } = require('./_generated_orphanGuard.js');
+
+// Értesítő e-mail: a `workflow-notifications` CF-fel közös sablon-renderelő és
+// rate-limit — az `invite-to-organization` `helpers/` másolata
+// (`yarn build:cf-email-helpers`).
+const { renderTemplate, escapeHtml } = require('./_generated_emailTemplate.js');
+const { evaluateAndConsume } = require('./_generated_rateLimit.js');
+
+/**
+ * Appwrite Function: Scheduled Transitions
+ *
+ * Időszakos (15 percenként) futás: a workflow `autoTransitions` szabályai
+ * szerint lépteti azokat a cikkeket, amelyek a megadott óraszámnál régebben
+ * állnak egy állapotban (pl. „48 óra után a jóváhagyásra várásból vissza
+ * tervezésbe"). Párhuzamos szakaszban az ág-tokenekre is vonatkozik.
+ *
+ * Az írás ugyanazon a validációs úton megy, mint az `update-article` CF
+ * kézi állapotváltása — a 2–4. és 6–7. lépés a közös `articleTransition.js`:
+ *  1. A cikk nincs zárolva (`lockType` / `lockOwnerId`) és nem „Kimarad"
+ *  2. A `from → to` átmenet létezik a kiadvány workflow-jában (snapshot elsődleges)
+ *  3. Párhuzamos ágak feloldása (`resolveStateEntry` / `applyBranchTransition`)
+ *  4. Átmenet-feltételek (guards)
+ *  5. Phase 1.6 orphan-guard (árva / archivált org → kihagyás)
+ *  6. Write `modifiedByClientId: 'server-guard'` sentinellel + `previousState`
+ *  7. Állapot-history bejegyzés (best-effort), `actorUserId: 'system'`
+ *
+ * A csoport-jogosultsági check (statePermissions) NEM fut: a váltást a
+ * workflow szabálya kéri, nem felhasználó. A blokkolt (zárolt, guard-bukott)
+ * cikkek a következő futáskor újra sorra kerülnek.
+ *
+ * Az állapotba lépés idejét az állapot-history utolsó `toState`-egyező
+ * bejegyzése adja. Párhuzamos szakaszban a keresés a legutóbbi fork-belépésig
+ * tart, és a saját sor nélküli ág-kezdő token a fork-belépés idejét kapja.
+ * History hiányában a cikk `$updatedAt`-je (konzervatív: sosem korábbi a
+ * valós belépésnél, így idő előtt nem léptet).
+ *
+ * Értesítés: ha a szabály `notifyGroupSlug`-ot ad, a cikk e csoportba rendelt
+ * munkatársa e-mailt kap (best-effort, `RESEND_API_KEY` nélkül kimarad). A
+ * renderelés (`templates/auto-transition-email.*`) és a rate-limit
+ * (`notification_email_user` / `notification_email_org_day` — közös keret a
+ * `workflow-notifications` értesítőivel) ugyanaz a helper, mint ott.
+ *
+ * Trigger: Schedule (0,15,30,45 * * * * — negyedóránként)
+ * Runtime: Node.js 18.0+
+ *
+ * Szükséges környezeti változók:
+ * - APPWRITE_API_KEY (databases.*, users.read jogosultságok)
+ * - DATABASE_ID
+ * - ARTICLES_COLLECTION_ID
+ * - PUBLICATIONS_COLLECTION_ID
+ * - WORKFLOWS_COLLECTION_ID
+ * - ORGANIZATIONS_COLLECTION_ID (orphan-guard — hiányában `lookup_failed` → kihagyás)
+ * - ARTICLE_STATE_HISTORY_COLLECTION_ID (opcionális — belépési idő + history írás)
+ * - USER_VALIDATIONS_COLLECTION_ID (opcionális — a `noUnresolvedUserValidations` guard-hoz)
+ * - RESEND_API_KEY (opcionális — értesítő e-mail)
+ * - IP_RATE_LIMIT_COUNTERS_COLLECTION_ID, IP_RATE_LIMIT_BLOCKS_COLLECTION_ID
+ *   (opcionális — hiányukban az értesítő e-mail rate-limit nélkül megy ki)
+ * - DASHBOARD_URL (opcionális — a cikk-link az e-mailben)
+ */
+
+const SYSTEM_ACTOR_ID = 'system';
+const SYSTEM_ACTOR_NAME = 'Automatikus átmenet';
+const BATCH_LIMIT = 100;
+const HISTORY_LOOKBACK = 25;
+// Egy futás felső korlátja — a maradék a következő negyedórában kerül sorra.
+const MAX_TRANSITIONS_PER_RUN = 200;
+// A `markers` bitmaszk „Kimarad" bitje (`maestro-shared/constants.js` MARKERS.IGNORE).
+const MARKER_IGNORE = 1;
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates');
+const HTML_TEMPLATE = fs.readFileSync(path.join(TEMPLATE_DIR, 'auto-transition-email.html'), 'utf-8');
+const TEXT_TEMPLATE = fs.readFileSync(path.join(TEMPLATE_DIR, 'auto-transition-email.txt'), 'utf-8');
+
+const FROM_ADDRESS = 'Maestro <noreply@maestro.emago.hu>';
+
+/**
+ * A kiadvány compiled workflow-ja: `compiledWorkflowSnapshot` elsődleges,
+ * különben a `workflowId` live doc-ja (az `update-article` sorrendje szerint).
+ * Office-fallback nincs — workflow nélküli kiadványon nincs mit léptetni.
+ */
+async function getCompiledForPublication(databases, databaseId, workflowsCollectionId, publication, workflowCache, log) {
+    const snapshot = publication.compiledWorkflowSnapshot;
+    if (typeof snapshot === 'string' && snapshot.length > 0) {
+        try {
+            return JSON.parse(snapshot);
+        } catch (e) {
+            log(`[Workflow] Snapshot parse hiba (pub=${publication.$id}): ${e.message} — fallback workflowId-ra`);
+        }
+    }
+    const workflowId = publication.workflowId;
+    if (!workflowId) return null;
+    if (workflowCache.has(workflowId)) return workflowCache.get(workflowId);
+
+    let compiled = null;
+    try {
+        const doc = await databases.getDocument(databaseId, workflowsCollectionId, workflowId);
+        if (doc.editorialOfficeId === publication.editorialOfficeId) {
+            compiled = typeof doc.compiled === 'string' ? JSON.parse(doc.compiled) : doc.compiled;
+        } else {
+            log(`[Workflow] Cross-tenant workflow ${workflowId} (pub=${publication.$id}) — kihagyva`);
+        }
+    } catch (e) {
+        log(`[Workflow] workflow lookup hiba (${workflowId}): ${e.message}`);
+    }
+    workflowCache.set(workflowId, compiled);
+    return compiled;
+}
+
+/**
+ * A cikk legutóbbi állapot-history bejegyzései, legújabb elöl.
+ *
+ * @returns {Promise<Object[]|null>} `null`, ha nincs history collection vagy
+ *   a lekérés hibázott (a hívó ekkor `$updatedAt`-re esik vissza)
+ */
+async function loadRecentStateHistory(databases, databaseId, historyCollectionId, article, log) {
+    if (!historyCollectionId) return null;
+    try {
+        const result = await databases.listDocuments(databaseId, historyCollectionId, [
+            sdk.Query.equal('articleId', article.$id),
+            sdk.Query.orderDesc('transitionedAt'),
+            sdk.Query.limit(HISTORY_LOOKBACK)
+        ]);
+        return result.documents;
+    } catch (e) {
+        log(`[History] lookup hiba (article=${article.$id}): ${e.message} — $updatedAt fallback`);
+        return null;
+    }
+}
+
+/**
+ * Mikor lépett a cikk (vagy párhuzamos ága) az adott állapotba.
+ *
+ * Párhuzamos szakaszban a keresés a legutóbbi fork-belépésnél (`toState` = a
+ * cikk `state`-je, a fork ID) megáll — a korábbi sorok egy előző áthaladásból
+ * valók (pl. visszalépés után). Fork-belépéskor csak a fork ID kap sort, az
+ * ág-kezdő tokenek nem: saját sor híján az ág-kezdő token belépési ideje a
+ * fork-belépésé. Minden más hiány (nincs history, a belépés a lookback-en
+ * kívül esik) → a cikk `$updatedAt`-je (konzervatív: sosem korábbi a valós
+ * belépésnél, így idő előtt nem léptet).
+ *
+ * @param {Object[]|null} history - `loadRecentStateHistory()` eredménye
+ * @returns {string} ISO időpont
+ */
+function getStateEnteredAt(history, compiled, article, stateId) {
+    if (!history) return article.$updatedAt;
+    const isParallel = normalizeParallelStates(article.parallelStates).length > 0;
+    for (const entry of history) {
+        if (entry.toState === stateId) {
+            return entry.transitionedAt || article.$updatedAt;
+        }
+        if (isParallel && entry.toState === article.state) {
+            const isBranchStart = getForkBranches(compiled, article.state).includes(stateId);
+            return isBranchStart && entry.transitionedAt ? entry.transitionedAt : article.$updatedAt;
+        }
+    }
+    return article.$updatedAt;
+}
+
+/**
+ * Értesítő e-mail a szabály `notifyGroupSlug` csoportjába rendelt
+ * munkatársnak. Best-effort: minden hiba csak loggolódik. A rate-limit csak
+ * a két collection megléte esetén él (mint a `workflow-notifications`-ben).
+ *
+ * @param {Object} run - `databases`, `usersApi`, `sdk`, `env`, `log`, `error`, `stats`
+ */
+async function notifyContributor(run, article, rule, fromLabel, toLabel) {
+    const { usersApi, env, log, error, stats } = run;
+    if (!env.resendApiKey || !rule.notifyGroupSlug) return;
+
+    let contributors = {};
+    try {
+        contributors = typeof article.contributors === 'string'
+            ? JSON.parse(article.contributors || '{}')
+            : (article.contributors || {});
+    } catch {
+        return;
+    }
+    const userId = contributors?.[rule.notifyGroupSlug];
+    if (!userId) return;
+
+    try {
+        const user = await usersApi.get(userId);
+        if (!user?.email) return;
+
+        if (env.ipRateLimitCountersCollectionId && env.ipRateLimitBlocksCollectionId) {
+            const scopes = [{ endpoint: 'notification_email_user', options: { subject: userId }, tag: 'user' }];
+            if (article.organizationId) {
+                scopes.push({ endpoint: 'notification_email_org_day', options: { subject: article.organizationId }, tag: 'org' });
+            }
+            const limited = await evaluateAndConsume(run, scopes);
+            if (limited) {
+                stats.notifyRateLimited++;
+                log(`[Notify] rate-limit (${limited.reason}, scope=${limited.payload.scope}) — article=${article.$id} kimarad`);
+                return;
+            }
+        }
+
+        const articleName = article.name || article.$id;
+        const articleLink = env.dashboardUrl && article.publicationId
+            ? `${env.dashboardUrl}/?pub=${encodeURIComponent(article.publicationId)}&article=${encodeURIComponent(article.$id)}`
+            : '';
+        const html = renderTemplate(HTML_TEMPLATE, {
+            articleName: escapeHtml(articleName),
+            afterHours: escapeHtml(rule.afterHours),
+            fromLabel: escapeHtml(fromLabel),
+            toLabel: escapeHtml(toLabel),
+            articleLink: escapeHtml(articleLink)
+        });
+        const text = renderTemplate(TEXT_TEMPLATE, {
+            articleName,
+            afterHours: rule.afterHours,
+            fromLabel,
+            toLabel,
+            articleLink
+        });
+
+        const resend = new Resend(env.resendApiKey);
+        const result = await resend.emails.send({
+            from: FROM_ADDRESS,
+            to: user.email,
+            subject: `[Maestro] Automatikus állapotváltás — ${articleName}`,
+            html,
+            text,
+            tags: [{ name: 'notification_event', value: 'auto_transition' }]
+        });
+        if (result?.error) {
+            error(`[Notify] Resend hiba (article=${article.$id}): ${result.error.message || result.error.name || 'unknown_error'}`);
+        }
+    } catch (e) {
+        log(`[Notify] értesítés sikertelen (article=${article.$id}): ${e.message}`);
+    }
+}
+
+module.exports = async function ({ req, res, log: rawLog, error: rawError }) {
+    const { log, error } = wrapLogger(rawLog, rawError);
+    try {
+        const client = new sdk.Client()
+            .setEndpoint(process.env.APPWRITE_ENDPOINT || 'https://cloud.appwrite.io/v1')
+            .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+            .setKey(process.env.APPWRITE_API_KEY);
+
+        const databases = new sdk.Databases(client);
+        const usersApi = new sdk.Users(client);
+
+        const databaseId = process.env.DATABASE_ID;
+        const articlesCollectionId = process.env.ARTICLES_COLLECTION_ID;
+        const publicationsCollectionId = process.env.PUBLICATIONS_COLLECTION_ID;
+        const workflowsCollectionId = process.env.WORKFLOWS_COLLECTION_ID;
+        const organizationsCollectionId = process.env.ORGANIZATIONS_COLLECTION_ID;
+        const stateHistoryCollectionId = process.env.ARTICLE_STATE_HISTORY_COLLECTION_ID || '';
+        const userValidationsCollectionId = process.env.USER_VALIDATIONS_COLLECTION_ID || '';
+
+        const missingEnvVars = [];
+        if (!databaseId) missingEnvVars.push('DATABASE_ID');
+        if (!articlesCollectionId) missingEnvVars.push('ARTICLES_COLLECTION_ID');
+        if (!publicationsCollectionId) missingEnvVars.push('PUBLICATIONS_COLLECTION_ID');
+        if (!workflowsCollectionId) missingEnvVars.push('WORKFLOWS_COLLECTION_ID');
+        if (missingEnvVars.length > 0) {
+            error(`[Config] Hiányzó környezeti változó(k): ${missingEnvVars.join(', ')}`);
+            return fail(res, 500, 'misconfigured', { missing: missingEnvVars });
+        }
+
+        const now = new Date();
+        const workflowCache = new Map();
+        const stats = { publications: 0, candidates: 0, transitioned: 0, locked: 0, guardBlocked: 0, orgBlocked: 0, failed: 0, notifyRateLimited: 0 };
+
+        // Az értesítő e-mail futási contextje (a `_generated_rateLimit.js`
+        // `databases` / `sdk` / `env` alakot vár).
+        const notifyRun = {
+            databases,
+            usersApi,
+            sdk,
+            env: {
+                databaseId,
+                resendApiKey: process.env.RESEND_API_KEY || '',
+                dashboardUrl: (process.env.DASHBOARD_URL || '').replace(/\/$/, ''),
+                ipRateLimitCountersCollectionId: process.env.IP_RATE_LIMIT_COUNTERS_COLLECTION_ID || '',
+                ipRateLimitBlocksCollectionId: process.env.IP_RATE_LIMIT_BLOCKS_COLLECTION_ID || ''
+            },
+            log,
+            error,
+            stats
+        };
+        if (notifyRun.env.resendApiKey
+            && !(notifyRun.env.ipRateLimitCountersCollectionId && notifyRun.env.ipRateLimitBlocksCollectionId)) {
+            log('[Config] IP_RATE_LIMIT_*_COLLECTION_ID nincs beállítva — az értesítő e-mailek rate-limit nélkül mennek ki');
+        }
+
+        // 1. Kiadványok lapozva — csak azokat nézzük, amelyek workflow-jában
+        //    van automatikus átmenet.
+        let pubCursor = null;
+        publicationLoop:
+        while (true) {
+            const pubQueries = [sdk.Query.limit(BATCH_LIMIT)];
+            if (pubCursor) pubQueries.push(sdk.Query.cursorAfter(pubCursor));
+            const pubBatch = await databases.listDocuments(databaseId, publicationsCollectionId, pubQueries);
+            if (pubBatch.documents.length === 0) break;
+
+            for (const publication of pubBatch.documents) {
+                const compiled = await getCompiledForPublication(
+                    databases, databaseId, workflowsCollectionId, publication, workflowCache, log
+                );
+                const ruleStates = listAutoTransitionStates(compiled);
+                if (ruleStates.length === 0) continue;
+                stats.publications++;
+
+                // A fork-ban álló cikkek ág-tokenjei is szabályt kaphatnak.
+                const forkStates = (compiled.states || [])
+                    .filter(s => s.kind === STATE_KINDS.FORK)
+                    .map(s => s.id);
+                const candidateStates = [...new Set([...ruleStates, ...forkStates])];
+                const labelOf = (id) => (compiled.states || []).find(s => s.id === id)?.label || id;
+
+                // 2. Jelölt cikkek a kiadványban
+                let articleCursor = null;
+                while (true) {
+                    const articleQueries = [
+                        sdk.Query.equal('publicationId', publication.$id),
+                        sdk.Query.equal('state', candidateStates),
+                        sdk.Query.limit(BATCH_LIMIT)
+                    ];
+                    if (articleCursor) articleQueries.push(sdk.Query.cursorAfter(articleCursor));
+                    const articleBatch = await databases.listDocuments(databaseId, articlesCollectionId, articleQueries);
+                    if (articleBatch.documents.length === 0) break;
+
+                    for (const article of articleBatch.documents) {
+                        // „Kimarad" cikk állapota nem változik (a Plugin UI is tiltja).
+                        if (typeof article.markers === 'number' && (article.markers & MARKER_IGNORE) !== 0) {
+                            continue;
+                        }
+                        const tokens = normalizeParallelStates(article.parallelStates);
+                        const activeStates = tokens.length > 0 ? tokens : [article.state];
+
+                        const ruled = activeStates
+                            .map(stateId => ({ stateId, rule: getAutoTransition(compiled, stateId) }))
+                            .filter(entry => entry.rule);
+                        if (ruled.length === 0) continue;
+                        const history = await loadRecentStateHistory(
+                            databases, databaseId, stateHistoryCollectionId, article, log
+                        );
+
+                        // Az első lejárt szabály nyer — cikkenként egy átmenet / futás.
+                        let due = null;
+                        for (const { stateId, rule } of ruled) {
+                            const enteredAt = getStateEnteredAt(history, compiled, article, stateId);
+                            if (isAutoTransitionDue(rule, enteredAt, now)) {
+                                due = { from: stateId, rule };
+                                break;
+                            }
+                        }
+                        if (!due) continue;
+                        stats.candidates++;
+
+                        // ── a) Lock ──
+                        if (article.lockType || article.lockOwnerId) {
+                            stats.locked++;
+                            log(`[skip] ${article.$id} zárolva (${article.lockType || 'lock'}) — következő futás`);
+                            continue;
+                        }
+
+                        // ── b–d) Átmenet, párhuzamos ágak, átmenet-feltételek ──
+                        const { from, rule } = due;
+                        const validation = await validateArticleTransition({
+                            compiled,
+                            article,
+                            from,
+                            to: rule.to,
+                            loadUnresolvedUserValidationCount: () => countUnresolvedUserValidations(
+                                databases, databaseId, userValidationsCollectionId, article.$id, sdk, log
+                            )
+                        });
+                        if (!validation.ok) {
+                            if (validation.reason === 'transition_guard_failed') {
+                                stats.guardBlocked++;
+                                log(`[Guard] ${article.$id} ${from} → ${rule.to} blokkolva: ${validation.extra.failures.map(f => f.type).join(', ')}`);
+                            } else {
+                                stats.failed++;
+                                log(`[skip] ${article.$id} ${from} → ${rule.to}: ${validation.reason}`);
+                            }
+                            continue;
+                        }
+
+                        // ── e) Orphan-guard ──
+                        const orgId = article.organizationId || publication.organizationId;
+                        if (orgId) {
+                            const orgStatus = await getOrgStatus(
+                                databases, databaseId, organizationsCollectionId, orgId, sdk
+                            );
+                            if (isOrgWriteBlocked(orgStatus)) {
+                                stats.orgBlocked++;
+                                continue;
+                            }
+                        }
+
+                        // ── f) Write ──
+                        const writePayload = buildTransitionWritePayload(article, from, validation.resolvedState);
+
+                        let updated;
+                        try {
+                            updated = await databases.updateDocument(
+                                databaseId, articlesCollectionId, article.$id, writePayload
+                            );
+                        } catch (e) {
+                            stats.failed++;
+                            error(`[DB] ${article.$id} updateDocument hiba: ${e.message}`);
+                            continue;
+                        }
+                        stats.transitioned++;
+                        log(`[auto] ${article.$id} ${from} → ${rule.to} (${rule.afterHours}h)`);
+
+                        // ── g) History + értesítés (best-effort) ──
+                        await writeStateHistoryEntry(databases, databaseId, stateHistoryCollectionId, buildStateHistoryEntry(updated, {
+                            from,
+                            to: rule.to,
+                            actorUserId: SYSTEM_ACTOR_ID,
+                            actorName: SYSTEM_ACTOR_NAME
+                        }), sdk, log);
+                        await notifyContributor(notifyRun, updated, rule, labelOf(from), labelOf(rule.to));
+
+                        if (stats.transitioned >= MAX_TRANSITIONS_PER_RUN) {
+                            log(`Futás-limit elérve (${MAX_TRANSITIONS_PER_RUN}) — a maradék a következő futásra marad`);
+                            break publicationLoop;
+                        }
+                    }
+
+                    if (articleBatch.documents.length < BATCH_LIMIT) break;
+                    articleCursor = articleBatch.documents[articleBatch.documents.length - 1].$id;
+                }
+            }
+
+            if (pubBatch.documents.length < BATCH_LIMIT) break;
+            pubCursor = pubBatch.documents[pubBatch.documents.length - 1].$id;
+        }
+
+        log(`Összesítés: ${stats.transitioned} átmenet, ${stats.locked} zárolt, ${stats.guardBlocked} guard-blokkolt, ${stats.orgBlocked} org-blokkolt, ${stats.failed} hibás (${stats.candidates} lejárt, ${stats.publications} kiadvány)`);
+
+        return res.json({
+            success: true,
+            action: stats.transitioned > 0 ? 'transitioned' : 'none',
+            ...stats
+        });
+    } catch (err) {
+        error(`Function hiba: ${err.message}`);
+        error(`Stack: ${err.stack}`);
+        return fail(res, 500, 'internal_error', {
+            executionId: req?.headers?.['x-appwrite-execution-id']
+        });
+    }
+};
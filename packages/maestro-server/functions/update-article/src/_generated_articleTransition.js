@@ -0,0 +1,230 @@
+/**
+ * AUTO-GENERATED FILE — DO NOT EDIT.
+ * Source: packages/maestro-shared/articleTransition.js
+ * Regenerate: yarn build:cf-article-transition
+ *
+ * A kanonikus ESM forrás CommonJS pillanatképe. CF deploy-időben a
+ * workspace yarn link NEM oldódik fel, ezért minden CF saját másolatot
+ * tart. Generálás: scripts/build-cf-article-transition.mjs.
+ */
+/**
+ * Maestro Shared — Cikk-állapotváltás szerveroldali validációs útja
+ *
+ * Az `update-article` CF kézi állapotváltása és a `scheduled-transitions` CF
+ * automatikus átmenete ugyanezen a láncon megy, hogy a kettő ne térhessen el:
+ *  1. A cél-állapot létezik, a `from → to` átmenet létezik a workflow-ban
+ *  2. Párhuzamos ágak feloldása (`resolveStateEntry` / `applyBranchTransition`)
+ *  3. Átmenet-feltételek (guards)
+ *  4. Write payload: `state` / `parallelStates` / `previousState` + sentinel
+ *  5. Állapot-history bejegyzés (best-effort)
+ *
+ * A zár- és jogosultság-ellenőrzés a hívónál marad (felhasználói vs.
+ * rendszer-kontextus), az orphan-guard a közös `orphanGuard.js`.
+ *
+ * Vanilla ES (named exports, no top-level await): a generator
+ * `_generated_articleTransition.js`-ként emit-eli a CF-mappákba
+ * (`scripts/build-cf-article-transition.mjs`); a két import a CF saját
+ * `_generated_transitionGuards.js` / `_generated_parallelStates.js` másolatára
+ * íródik át.
+ */
+
+const {
+    normalizeTransitionGuards,
+    guardsNeedUserValidations,
+    evaluateTransitionGuards
+} = require('./_generated_transitionGuards.js');
+const {
+    normalizeParallelStates,
+    resolveStateEntry,
+    applyBranchTransition
+} = require('./_generated_parallelStates.js');
+
+/**
+ * A szerver által validált írás sentinelje (`modifiedByClientId`) — a legacy
+ * `article-update-guard` CF ez alapján szűri a már validált írásokat.
+ */
+const SERVER_GUARD_ID = 'server-guard';
+
+/**
+ * Egy cikk `from → to` állapotváltásának validálása (1–3. lépés).
+ *
+ * Párhuzamos szakaszban (a cikk `parallelStates`-e nem üres) a `from` a
+ * léptetett ág-token, egyébként a cikk `state`-je.
+ *
+ * @param {Object} params
+ * @param {Object} params.compiled - A kiadvány compiled workflow-ja
+ * @param {Object} params.article - A cikk friss doc-ja
+ * @param {string} params.from - Az átmenet forrása
+ * @param {string} params.to - Az átmenet célja
+ * @param {Object} [params.guardArticle] - A guard-ok által látott cikk-tartalom
+ *   (default: `article`; a `state` mindig `from`-ra íródik)
+ * @param {() => Promise<number|null>} [params.loadUnresolvedUserValidationCount] -
+ *   Csak akkor hívódik, ha egy guard igényli; `null` → a guard fail-closed
+ * @returns {Promise<{ ok: true, transition: Object, resolvedState: { state: string, parallelStates: string[] } }|{ ok: false, reason: string, extra: Object }>}
+ */
+async function validateArticleTransition({
+    compiled,
+    article,
+    from,
+    to,
+    guardArticle = article,
+    loadUnresolvedUserValidationCount
+}) {
+    const states = Array.isArray(compiled?.states) ? compiled.states : [];
+    if (!states.some(s => s.id === to)) {
+        return { ok: false, reason: 'invalid_state', extra: { state: to } };
+    }
+    const transition = (compiled.transitions || []).find(t => t.from === from && t.to === to);
+    if (!transition) {
+        return { ok: false, reason: 'invalid_transition', extra: { from, to } };
+    }
+
+    const tokens = normalizeParallelStates(article.parallelStates);
+    const resolvedState = tokens.length > 0
+        ? applyBranchTransition(compiled, article, from, to)
+        : resolveStateEntry(compiled, to);
+    if (!resolvedState) {
+        return { ok: false, reason: 'invalid_parallel_states', extra: { parallelStates: tokens } };
+    }
+
+    const guards = normalizeTransitionGuards(transition.guards);
+    if (guards.length > 0) {
+        const unresolvedUserValidationCount = guardsNeedUserValidations(guards) && loadUnresolvedUserValidationCount
+            ? await loadUnresolvedUserValidationCount()
+            : null;
+        const guardResult = evaluateTransitionGuards(guards, {
+            article: { ...guardArticle, state: from },
+            compiled,
+            unresolvedUserValidationCount
+        });
+        if (!guardResult.allowed) {
+            return {
+                ok: false,
+                reason: 'transition_guard_failed',
+                extra: { from, to, failures: guardResult.failures }
+            };
+        }
+    }
+
+    return { ok: true, transition, resolvedState };
+}
+
+/**
+ * Az állapotváltás write payloadja (4. lépés). A `parallelStates` csak akkor
+ * kerül bele, ha a cikk párhuzamos szakaszban áll vagy oda lép — így a fork
+ * nélküli workflow-k írása nem igényli az attribútumot. A `previousState`
+ * csak a cikk `state`-jének tényleges változásakor íródik (ág-léptetés a
+ * fork-on belül nem az).
+ *
+ * @param {Object} article - A cikk friss doc-ja
+ * @param {string} from - Az átmenet forrása
+ * @param {{ state: string, parallelStates: string[] }} resolvedState
+ * @returns {{ state: string, parallelStates?: string[], previousState?: string, modifiedByClientId: string }}
+ */
+function buildTransitionWritePayload(article, from, resolvedState) {
+    const payload = { state: resolvedState.state };
+    if (normalizeParallelStates(article.parallelStates).length > 0 || resolvedState.parallelStates.length > 0) {
+        payload.parallelStates = resolvedState.parallelStates;
+    }
+    if (resolvedState.state !== (article.state || '')) {
+        payload.previousState = from;
+    }
+    payload.modifiedByClientId = SERVER_GUARD_ID;
+    return payload;
+}
+
+/**
+ * Állapot-history bejegyzés mezői a frissített cikkből. A lock-kontextus és
+ * a markers a váltás pillanatában érvényes (post-write) értékek.
+ *
+ * @param {Object} updated - A write utáni cikk doc
+ * @param {{ from: string, to: string, actorUserId: string, actorName?: string|null }} transition
+ * @returns {Object}
+ */
+function buildStateHistoryEntry(updated, { from, to, actorUserId, actorName = null }) {
+    return {
+        articleId: updated.$id,
+        publicationId: updated.publicationId || null,
+        editorialOfficeId: updated.editorialOfficeId || null,
+        organizationId: updated.organizationId || null,
+        fromState: from,
+        toState: to,
+        actorUserId,
+        actorName,
+        lockType: updated.lockType || null,
+        lockOwnerId: updated.lockOwnerId || null,
+        markers: typeof updated.markers === 'number' ? updated.markers : 0,
+        transitionedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Append-only állapot-history bejegyzés írása (5. lépés).
+ *
+ * Best-effort: a cikk-write ekkor már sikeres, ezért a hiba csak loggolódik.
+ * A doc-ACL a cikk szerkesztőségének team-jére szűkül
+ * (`team:office_${officeId}`), mint a `buildOfficeAclPerms`.
+ *
+ * @param {Object}   databases - `sdk.Databases(client)` példány
+ * @param {string}   databaseId
+ * @param {string}   historyCollectionId - Üres → kimarad
+ * @param {Object}   entry - `buildStateHistoryEntry()` eredménye
+ * @param {Object}   sdk - `node-appwrite` modul (ID, Permission, Role)
+ * @param {Function} log
+ * @returns {Promise<Object|null>} A létrehozott doc, vagy null hiba / skip esetén
+ */
+async function writeStateHistoryEntry(databases, databaseId, historyCollectionId, entry, sdk, log) {
+    if (!historyCollectionId || !entry.editorialOfficeId) return null;
+    try {
+        return await databases.createDocument(
+            databaseId,
+            historyCollectionId,
+            sdk.ID.unique(),
+            entry,
+            [sdk.Permission.read(sdk.Role.team(`office_${entry.editorialOfficeId}`))]
+        );
+    } catch (e) {
+        log(`[History] Állapot-history írás sikertelen (article=${entry.articleId}): ${e.message}`);
+        return null;
+    }
+}
+
+/**
+ * Egy cikk megoldatlan felhasználói üzeneteinek száma (`userValidations`,
+ * `isResolved === false`) a `noUnresolvedUserValidations` guard-hoz.
+ *
+ * @param {Object}   databases
+ * @param {string}   databaseId
+ * @param {string}   userValidationsCollectionId - Üres → `null`
+ * @param {string}   articleId
+ * @param {Object}   sdk - `node-appwrite` modul (Query)
+ * @param {Function} log
+ * @returns {Promise<number|null>} A darabszám, vagy null env-hiány / hiba
+ *   esetén (a guard ekkor fail-closed bukik)
+ */
+async function countUnresolvedUserValidations(databases, databaseId, userValidationsCollectionId, articleId, sdk, log) {
+    if (!userValidationsCollectionId) {
+        log('[Guard] USER_VALIDATIONS_COLLECTION_ID nincs beállítva — a guard fail-closed');
+        return null;
+    }
+    try {
+        const result = await databases.listDocuments(databaseId, userValidationsCollectionId, [
+            sdk.Query.equal('articleId', articleId),
+            sdk.Query.equal('isResolved', false),
+            sdk.Query.limit(1)
+        ]);
+        return result.total || 0;
+    } catch (e) {
+        log(`[Guard] userValidations lookup hiba: ${e.message} — fail-closed`);
+        return null;
+    }
+}
+
+module.exports = {
+    SERVER_GUARD_ID,
+    validateArticleTransition,
+    buildTransitionWritePayload,
+    buildStateHistoryEntry,
+    writeStateHistoryEntry,
+    countUnresolvedUserValidations
+};
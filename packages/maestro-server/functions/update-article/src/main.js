@@ -18,12 +18,14 @@ const sdk = require("node-appwrite");
  *  6. lockType enum validáció (USER / SYSTEM / null)
  *  7. Lock-only fast-path detektálás (skip: workflow + csoport check)
  *  8. Workflow betöltés (publication.workflowId alapján, fail-closed)
- *  9. Allowed state / átmenet validáció
+ *  9. Allowed state / átmenet validáció + átmenet-feltételek (guards);
+ *     párhuzamos szakaszban (fork / join) az ág-token léptetése
  * 10. Office membership check — MINDIG fut (lock fast-path is)
  * 10b. Phase 1.6 orphan-guard (csak content-write, lock-only fast-path SKIP)
  * 11. Jogosultsági check (állapotváltáskor és per-mező, statePermissions alapján)
  * 12. previousState karbantartás + sentinel
  * 13. DB write
+ * 14. Állapot-history bejegyzés (csak állapotváltáskor, best-effort)
  *
  * Speciális kivétel: ha a payload KIZÁRÓLAG `lockType`/`lockOwnerId` mezőket
  * tartalmaz, és a user a saját lock-ját veszi/adja vissza (a cikk nincs más
@@ -34,6 +36,12 @@ const sdk = require("node-appwrite");
  * orphaned org-on a saját lock NE ragadjon be — release / acquire metaadat
  * mozgatható maradjon, a tartalom-write viszont fail-closed.
  *
+ * Tömeges átmenet: `{ items: [{ articleId, data }] }` payload (max. 50 elem,
+ * `data` csak `state` / `previousState` / `parallelStates`). Elemenként a
+ * 4–14. lépés fut — a más által zárolt cikk `article_locked`-dal kimarad —,
+ * a válasz `{ success: true, action: 'batch_applied', results: [...] }`,
+ * ahol minden elem `{ articleId, success, document? | reason, ... }`.
+ *
  * Trigger: HTTP endpoint, `execute: ["users"]`
  * Runtime: Node.js 18.0+
  *
@@ -47,17 +55,20 @@ const sdk = require("node-appwrite");
  * - GROUP_MEMBERSHIPS_COLLECTION_ID
  * - ORGANIZATIONS_COLLECTION_ID (Phase 1.6 orphan-guard, opcionális — ha
  *   hiányzik, `lookup_failed` sentinel → fail-closed 403)
+ * - ARTICLE_STATE_HISTORY_COLLECTION_ID (opcionális — ha hiányzik, a 14. lépés
+ *   csendben kimarad, a cikk-write NEM blokkolódik)
+ * - USER_VALIDATIONS_COLLECTION_ID (opcionális — csak a `noUnresolvedUserValidations`
+ *   guard-hoz kell; ha hiányzik, az ilyen guard-dal védett átmenet fail-closed 400)
  * - APPWRITE_API_KEY (fallback, ha az x-appwrite-key header hiányzik)
  */
 
-const SERVER_GUARD_ID = 'server-guard';
-
 // Engedélyezett cikk-mezők. Minden más mezőt a CF elutasít — az immutable
 // scope mezők (organizationId, editorialOfficeId, publicationId, stb.) nem
 // írhatók ezen az útvonalon.
 const ALLOWED_FIELDS = new Set([
     'state',
     'previousState',
+    'parallelStates',
     'name',
     'filePath',
     'startPage',
@@ -70,6 +81,12 @@ const ALLOWED_FIELDS = new Set([
     'thumbnails'
 ]);
 
+// Tömeges átmenet (`items[]`): elemenként csak az állapotváltás mezői
+// engedettek, és egy hívás legfeljebb ennyi cikket léptet (a CF timeout-ja
+// ehhez van méretezve).
+const BATCH_ALLOWED_FIELDS = new Set(['state', 'previousState', 'parallelStates']);
+const BATCH_MAX_ITEMS = 50;
+
 // Lock-only kivételhez használt mező halmaz.
 const LOCK_FIELDS = new Set(['lockType', 'lockOwnerId']);
 
@@ -237,7 +254,29 @@ const { getOrgStatus, isOrgWriteBlocked } = require('./_generated_orphanGuard.js
 // logikai-portolt másolatok a kanonikus shared modulokból. Phase 2.1: build-
 // generator (S.7.7b precedens) automatikusan generálja + drift-guard.
 const { wrapLogger } = require('./_generated_piiRedaction.js');
-const { fail } = require('./_generated_responseHelpers.js');
+const { fail, stripSensitive, normalizeReason } = require('./_generated_responseHelpers.js');
+
+// Párhuzamos ágak (fork / join) — kanonikus forrás:
+// `packages/maestro-shared/parallelStates.js`, regeneráció:
+// `yarn build:cf-parallel-states`.
+const {
+    normalizeParallelStates,
+    diffParallelStates
+} = require('./_generated_parallelStates.js');
+
+// Állapotváltás validációs útja (átmenet, párhuzamos ágak, átmenet-feltételek,
+// write payload, history) — a `scheduled-transitions` CF-fel közös. Kanonikus
+// forrás: `packages/maestro-shared/articleTransition.js`, regeneráció:
+// `yarn build:cf-article-transition`. A plugin a guard-okat UX-hintként
+// futtatja; a végleges döntés itt születik.
+const {
+    SERVER_GUARD_ID,
+    validateArticleTransition,
+    buildTransitionWritePayload,
+    buildStateHistoryEntry,
+    writeStateHistoryEntry,
+    countUnresolvedUserValidations
+} = require('./_generated_articleTransition.js');
 
 /**
  * Jogosultság-megtagadás válasz (403) strukturált payloaddal, amit a kliens
@@ -252,6 +291,409 @@ function permissionDenied(res, reason, requiredGroups = []) {
     }, 403);
 }
 
+/** Elutasított cikk-update kimenete (a hívó `fail()`-lel vagy batch-elemként adja vissza). */
+function rejected(status, reason, extra = {}) {
+    return { ok: false, status, reason, extra };
+}
+
+/** Jogosultság-megtagadás kimenete — egyedi hívásnál `permissionDenied()` válasz. */
+function denied(reason, requiredGroups = []) {
+    return { ok: false, status: 403, permissionDenied: true, reason, requiredGroups };
+}
+
+/**
+ * Kérés-szintű memo: tömeges átmenetnél ugyanazon szerkesztőség tagsága és
+ * csoportjai csak egyszer kerülnek lekérésre.
+ */
+function memoized(ctx, key, loader) {
+    if (!ctx.memo.has(key)) ctx.memo.set(key, loader());
+    return ctx.memo.get(key);
+}
+
+/**
+ * Egy cikk update-je a 4–14. lépéseken át. Nem ír választ — a kimenetet az
+ * egyedi ág (`sendOutcome`) vagy a tömeges ág (`toBatchResult`) alakítja.
+ *
+ * @param {Object} ctx - SDK kliens, env ID-k, `userId`, logger-ek, `memo`
+ * @param {string} articleId
+ * @param {Object} data - whitelist-elt cikk-mezők
+ * @param {Object} [options]
+ * @param {boolean} [options.skipForeignLocks] - más által zárolt cikk → `article_locked`
+ * @returns {Promise<{ ok: true, document: Object }|{ ok: false, status: number, reason: string, extra?: Object, permissionDenied?: boolean, requiredGroups?: string[] }>}
+ */
+async function processArticleUpdate(ctx, articleId, data, options = {}) {
+    const {
+        databases, databaseId, articlesCollectionId, publicationsCollectionId,
+        workflowsCollectionId, officeMembershipsCollectionId, groupsCollectionId,
+        groupMembershipsCollectionId, organizationsCollectionId,
+        stateHistoryCollectionId, userValidationsCollectionId,
+        userId, log, error
+    } = ctx;
+    const dataKeys = Object.keys(data);
+
+    // ── 4. Fresh doc fetch ──
+    let freshDoc;
+    try {
+        freshDoc = await databases.getDocument(databaseId, articlesCollectionId, articleId);
+    } catch (e) {
+        if (e.code === 404) {
+            return rejected(404, 'article_not_found');
+        }
+        throw e;
+    }
+
+    // Tömeges átmenetnél a más által zárolt cikk kimarad (a nyitott
+    // dokumentum alól nem léptetünk) — egyedi hívásnál a zár nem akadály.
+    if (options.skipForeignLocks && freshDoc.lockOwnerId && freshDoc.lockOwnerId !== userId) {
+        return rejected(409, 'article_locked', { lockType: freshDoc.lockType || null });
+    }
+
+    // ── 5. Parent publication scope check + soft-fix ──
+    let parentPublication = null;
+    if (freshDoc.publicationId) {
+        try {
+            parentPublication = await databases.getDocument(
+                databaseId, publicationsCollectionId, freshDoc.publicationId
+            );
+        } catch (e) {
+            if (e.code !== 404) throw e;
+            log(`[Scope] Parent publication ${freshDoc.publicationId} nem található (${freshDoc.$id})`);
+        }
+    }
+
+    const scopeFix = {};
+    if (parentPublication && parentPublication.editorialOfficeId) {
+        if (parentPublication.editorialOfficeId !== freshDoc.editorialOfficeId) {
+            scopeFix.editorialOfficeId = parentPublication.editorialOfficeId;
+            log(`[Scope] Cikk editorialOfficeId drift → sync a parent-hez`);
+            freshDoc.editorialOfficeId = parentPublication.editorialOfficeId;
+        }
+        if (parentPublication.organizationId
+            && parentPublication.organizationId !== freshDoc.organizationId) {
+            scopeFix.organizationId = parentPublication.organizationId;
+            log(`[Scope] Cikk organizationId drift → sync a parent-hez`);
+            freshDoc.organizationId = parentPublication.organizationId;
+        }
+    }
+
+    // ── 6. lockType enum validáció ──
+    if (data.lockType !== undefined && !VALID_LOCK_TYPES.has(data.lockType)) {
+        return rejected(400, 'invalid_lock_type', { lockType: data.lockType });
+    }
+
+    // ── 7. Lock-only fast-path detektálás ──
+    // A workflow/csoport jogosultsági check-et skippeljük, DE az office
+    // membership check-et megtartjuk (ld. 10. lépés) — így cross-office
+    // lock-lopás nem lehetséges.
+    const isLockOnlyPayload = dataKeys.every(k => LOCK_FIELDS.has(k));
+    let skipPermissionCheck = false;
+    if (isLockOnlyPayload) {
+        // Saját lock felvétele: a cikk jelenleg NINCS zárolva (vagy már a
+        // mi lockunk), és a kért lockOwnerId a mi userId-nk.
+        const settingOwnLock = data.lockOwnerId === userId
+            && (freshDoc.lockOwnerId === null || freshDoc.lockOwnerId === userId);
+        // Saját lock elengedése: a cikk jelenleg a mi lockunk.
+        const releasingOwnLock =
+            (data.lockType === null || data.lockOwnerId === null)
+            && freshDoc.lockOwnerId === userId;
+        if (settingOwnLock || releasingOwnLock) {
+            skipPermissionCheck = true;
+            log(`[Lock] Lock-only kivétel: user ${userId} a saját lock-ját módosítja`);
+        }
+    }
+
+    // ── 8. Workflow betöltés (fail-closed) ──
+    let compiled = null;
+    if (parentPublication) {
+        compiled = await getWorkflowForPublication(
+            databases, databaseId, workflowsCollectionId, parentPublication, log
+        );
+    } else if (freshDoc.editorialOfficeId) {
+        compiled = await getWorkflowForPublication(
+            databases, databaseId, workflowsCollectionId,
+            { editorialOfficeId: freshDoc.editorialOfficeId, workflowId: null },
+            log
+        );
+    }
+
+    if (!compiled && !skipPermissionCheck) {
+        return denied('A kiadványhoz nem tartozik elérhető workflow.');
+    }
+
+    // ── 9. State érvényesség + átmenet validáció ──
+    // Párhuzamos szakaszban (a cikk egy fork-ban áll, `parallelStates`
+    // nem üres) a kliens NEM a `state`-et, hanem a teljes új token-listát
+    // küldi, amelyben pontosan egy ág lépett. Az átmenet forrása / célja
+    // ekkor az ág-token, és a cikk végleges `state` / `parallelStates`
+    // párosát a `applyBranchTransition` számolja (join-összefutás, régióból
+    // kilépés). Egyébként a forrás a `state`, a cél a kért állapot — fork-ba
+    // lépéskor a `resolveStateEntry` hozza létre az ág-tokeneket.
+    const currentState = freshDoc.state || '';
+    const currentTokens = normalizeParallelStates(freshDoc.parallelStates);
+    const isParallel = currentTokens.length > 0;
+
+    if (data.parallelStates !== undefined && !isParallel) {
+        return rejected(400, 'parallel_not_active');
+    }
+    if (isParallel && data.state !== undefined && data.state !== currentState) {
+        return rejected(400, 'parallel_branches_active', { parallelStates: currentTokens });
+    }
+
+    let transitionFrom = currentState;
+    let transitionTo = data.state;
+    if (isParallel && data.parallelStates !== undefined) {
+        const branchMove = diffParallelStates(currentTokens, data.parallelStates);
+        if (!branchMove) {
+            return rejected(400, 'invalid_parallel_states', { parallelStates: currentTokens });
+        }
+        transitionFrom = branchMove.from;
+        transitionTo = branchMove.to;
+    }
+    const stateChanged = transitionTo !== undefined && transitionTo !== transitionFrom;
+
+    // A write-ba kerülő végleges `state` / `parallelStates` (csak ha változik).
+    let resolvedState = null;
+
+    if (stateChanged && compiled) {
+        // Átmenet-feltételek: a cikk a write UTÁNI tartalmával értékelődik
+        // (egy payload-on belüli oldalszám-módosítás + állapotváltás is
+        // konzisztensen dől el). Vezetői csoport sem kerülheti meg.
+        const validation = await validateArticleTransition({
+            compiled,
+            article: freshDoc,
+            from: transitionFrom,
+            to: transitionTo,
+            guardArticle: { ...freshDoc, ...data },
+            loadUnresolvedUserValidationCount: () => countUnresolvedUserValidations(
+                databases, databaseId, userValidationsCollectionId, articleId, sdk, log
+            )
+        });
+        if (!validation.ok) {
+            if (validation.reason === 'transition_guard_failed') {
+                log(`[Guard] Átmenet ${transitionFrom} → ${transitionTo} blokkolva: ${validation.extra.failures.map(f => f.type).join(', ')}`);
+            }
+            return rejected(400, validation.reason, validation.extra);
+        }
+        resolvedState = validation.resolvedState;
+    }
+
+    // ── 10. Office membership check ──
+    // MINDIG fut — a lock fast-path is igényli, hogy a user a cikk
+    // szerkesztőségének tagja legyen (cross-office lock-lopás megelőzése).
+    // A membership doc denormalizált `userName` mezőjét a 14. lépés
+    // (history `actorName`) is felhasználja.
+    let membership = null;
+    if (freshDoc.editorialOfficeId) {
+        try {
+            membership = await memoized(ctx, `membership:${freshDoc.editorialOfficeId}`, () => findOfficeMembership(
+                databases, databaseId, officeMembershipsCollectionId,
+                userId, freshDoc.editorialOfficeId
+            ));
+        } catch (e) {
+            error(`[Scope] Membership lookup hiba: ${e.message} — fail-closed`);
+            return denied('Szerkesztőség-tagság ellenőrzése sikertelen.');
+        }
+        if (!membership) {
+            log(`[Scope] User ${userId} nem tagja az office-nak ${freshDoc.editorialOfficeId}`);
+            return denied('Nem vagy tagja a cikk szerkesztőségének.');
+        }
+    }
+
+    // ── 10b. Phase 1.6 orphan-guard ──
+    // Ha az org `status === 'orphaned' | 'archived'` (vagy `lookup_failed`
+    // sentinel — env hiány vagy DB-hiba) → 403 fail-closed. A `null` legacy
+    // active (60+ legacy org backwards-compat).
+    //
+    // Lock-only fast-path SKIP (Codex pre-review): a saját lock release /
+    // acquire metaadata egy orphaned org-on is mozgatható maradjon, hogy a
+    // cikkek ne ragadjanak be (operatív cleanup invariáns). A tartalom-write
+    // (state, contributors, name, stb.) viszont fail-closed.
+    const orphanGuardOrgId = freshDoc.organizationId
+        || (parentPublication ? parentPublication.organizationId : null);
+    if (!skipPermissionCheck && orphanGuardOrgId) {
+        const orgStatus = await getOrgStatus(
+            databases, databaseId, organizationsCollectionId, orphanGuardOrgId, sdk
+        );
+        if (isOrgWriteBlocked(orgStatus)) {
+            log(`[Scope] Org ${orphanGuardOrgId} status="${orgStatus}" → write blocked (Phase 1.6)`);
+            return rejected(403, 'org_orphaned_write_blocked');
+        }
+    }
+
+    // ── 11. Jogosultsági check (csoporttagság + statePermissions) ──
+    if (!skipPermissionCheck && compiled) {
+        const statePermissions = compiled.statePermissions || {};
+        const leaderGroups = compiled.leaderGroups || [];
+
+        const userGroupSlugs = freshDoc.editorialOfficeId
+            ? await memoized(ctx, `groups:${freshDoc.editorialOfficeId}`, () => getUserGroupSlugs(
+                databases, databaseId, groupsCollectionId, groupMembershipsCollectionId,
+                userId, freshDoc.editorialOfficeId
+            ))
+            : [];
+
+        if (userGroupSlugs === null) {
+            error(`Jogosultság check: getUserGroupSlugs hiba — fail-closed, userId=${userId}`);
+            return denied('Csoporttagság ellenőrzése sikertelen.');
+        }
+
+        const isLeader = leaderGroups.some(g => userGroupSlugs.includes(g));
+
+        if (!isLeader) {
+            // A jelenlegi állapot szerkesztési jogosultsága — ki érhet a cikkhez
+            // ebben az állapotban egyáltalán. Párhuzamos szakaszban ág-léptetéskor
+            // a léptetett ág állapota számít (nem a fork).
+            const currentStateAllowed = statePermissions[transitionFrom] || [];
+            const hasCurrentAccess = currentStateAllowed.some(slug => userGroupSlugs.includes(slug));
+            if (!hasCurrentAccess) {
+                log(`Jogosultsági hiba: user ${userId} nem szerkesztheti a cikket állapotban "${transitionFrom}" (szükséges: [${currentStateAllowed.join(', ')}])`);
+                return denied(
+                    'Nincs jogosultságod a cikk módosításához az aktuális állapotban.',
+                    currentStateAllowed
+                );
+            }
+
+            // Ha az állapot változik, a CÉL-állapot (destination) mozgatási
+            // jogosultságát is ellenőrizzük — a korábbi guard ugyanezt
+            // a `from` állapot alapján dönti el, de a plugin kliense
+            // (`canUserMoveArticle`) is így működik: ki nyithatja meg
+            // a célállapotot.
+            if (stateChanged) {
+                const destStateAllowed = statePermissions[transitionTo] || [];
+                if (destStateAllowed.length > 0) {
+                    const hasDestAccess = destStateAllowed.some(slug => userGroupSlugs.includes(slug));
+                    if (!hasDestAccess) {
+                        log(`Jogosultsági hiba: user ${userId} nem mozgathatja a cikket állapotba "${transitionTo}"`);
+                        return denied(
+                            'Nincs jogosultságod a cikket ebbe az állapotba mozgatni.',
+                            destStateAllowed
+                        );
+                    }
+                }
+            }
+        }
+    }
+
+    // ── 12. previousState karbantartás ──
+    // Állapotváltáskor a végleges `state` / `parallelStates` / `previousState`
+    // a 9. lépésben feloldott értékből jön (a kliens nyers token-listája
+    // helyett); a hívó által explicit küldött `previousState` elsőbbséget
+    // élvez.
+    const writePayload = { ...data, ...scopeFix };
+    delete writePayload.parallelStates;
+    if (resolvedState) {
+        const transitionWrite = buildTransitionWritePayload(freshDoc, transitionFrom, resolvedState);
+        if (data.previousState !== undefined) delete transitionWrite.previousState;
+        Object.assign(writePayload, transitionWrite);
+    }
+
+    // Sentinel — a legacy `article-update-guard` CF ezen a mezőn alapján
+    // szűri a saját, már validált írásait.
+    writePayload.modifiedByClientId = SERVER_GUARD_ID;
+
+    // ── 13. DB write ──
+    let updated;
+    try {
+        updated = await databases.updateDocument(
+            databaseId, articlesCollectionId, articleId, writePayload
+        );
+    } catch (e) {
+        error(`[DB] updateDocument hiba: ${e.message}`);
+        if (e.code === 404) {
+            return rejected(404, 'article_not_found');
+        }
+        return rejected(500, 'db_write_failed', { message: e.message });
+    }
+
+    // ── 14. Állapot-history bejegyzés ──
+    // Csak valódi állapotváltáskor. A lock-kontextus és a markers a váltás
+    // pillanatában érvényes (post-write) értékek — így a timeline-on látszik,
+    // ki tartotta nyitva a dokumentumot és kimaradt-e a cikk.
+    if (stateChanged) {
+        await writeStateHistoryEntry(databases, databaseId, stateHistoryCollectionId, buildStateHistoryEntry(updated, {
+            from: transitionFrom,
+            to: transitionTo,
+            actorUserId: userId,
+            actorName: membership?.userName || null
+        }), sdk, log);
+    }
+
+    return { ok: true, document: updated };
+}
+
+/** Egyedi hívás kimenete → HTTP válasz (a korábbi inline válaszokkal azonos alakban). */
+function sendOutcome(res, outcome) {
+    if (outcome.ok) {
+        return res.json({
+            success: true,
+            action: 'applied',
+            document: outcome.document
+        });
+    }
+    if (outcome.permissionDenied) {
+        return permissionDenied(res, outcome.reason, outcome.requiredGroups);
+    }
+    return fail(res, outcome.status, outcome.reason, outcome.extra);
+}
+
+/**
+ * Tömeges átmenet egy elemének eredménye. A hiba-ág ugyanazt a
+ * reason-normalizálást és sensitive-strip-et kapja, mint a `fail()`.
+ */
+function toBatchResult(articleId, outcome) {
+    if (outcome.ok) {
+        return { articleId, success: true, document: outcome.document };
+    }
+    if (outcome.permissionDenied) {
+        return {
+            articleId,
+            success: false,
+            permissionDenied: true,
+            reason: outcome.reason,
+            requiredGroups: outcome.requiredGroups
+        };
+    }
+    return {
+        articleId,
+        success: false,
+        status: outcome.status,
+        ...stripSensitive(outcome.extra || {}),
+        reason: normalizeReason(outcome.reason)
+    };
+}
+
+/**
+ * Tömeges payload alapvalidációja (`items[]`). Hiba esetén `{ reason, extra }`.
+ */
+function validateBatchItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+        return { reason: 'missing_items' };
+    }
+    if (items.length > BATCH_MAX_ITEMS) {
+        return { reason: 'too_many_items', extra: { max: BATCH_MAX_ITEMS } };
+    }
+    const seen = new Set();
+    for (let index = 0; index < items.length; index++) {
+        const item = items[index];
+        if (!item || typeof item.articleId !== 'string' || !item.articleId) {
+            return { reason: 'invalid_batch_item', extra: { index } };
+        }
+        const data = item.data;
+        if (!data || typeof data !== 'object' || Array.isArray(data) || Object.keys(data).length === 0) {
+            return { reason: 'invalid_batch_item', extra: { index } };
+        }
+        const disallowed = Object.keys(data).filter(k => !BATCH_ALLOWED_FIELDS.has(k));
+        if (disallowed.length > 0) {
+            return { reason: 'disallowed_fields', extra: { index, fields: disallowed } };
+        }
+        if (seen.has(item.articleId)) {
+            return { reason: 'duplicate_article_id', extra: { index } };
+        }
+        seen.add(item.articleId);
+    }
+    return null;
+}
+
 module.exports = async function ({ req, res, log: rawLog, error: rawError }) {
     // S.13.2+S.13.3 Phase 2.1 — centralized logger wrap (shared piiRedaction.js
     // `wrapLogger`). Production: redactArgs spread minden args-on. Dev opt-out:
@@ -270,24 +712,36 @@ module.exports = async function ({ req, res, log: rawLog, error: rawError }) {
             }
         }
 
+        // Tömeges átmenet: `{ items: [{ articleId, data }] }` — a plugin
+        // ArticleTable tömeges „állapotba mozgatás" művelete egy hívásban
+        // küldi a cikkeket (N proxy-kör helyett). Elemenként ugyanaz a 4–14.
+        // lépés fut, mint egyedi hívásnál; a hiba elemenként marad.
+        const isBatch = payload.items !== undefined;
         const articleId = payload.articleId;
         const data = payload.data;
 
-        if (!articleId || typeof articleId !== 'string') {
-            return fail(res, 400, 'missing_article_id');
-        }
-        if (!data || typeof data !== 'object' || Array.isArray(data)) {
-            return fail(res, 400, 'missing_data');
-        }
+        if (isBatch) {
+            const batchError = validateBatchItems(payload.items);
+            if (batchError) {
+                return fail(res, 400, batchError.reason, batchError.extra);
+            }
+        } else {
+            if (!articleId || typeof articleId !== 'string') {
+                return fail(res, 400, 'missing_article_id');
+            }
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                return fail(res, 400, 'missing_data');
+            }
 
-        // Whitelist: ismeretlen mezők → 400.
-        const dataKeys = Object.keys(data);
-        if (dataKeys.length === 0) {
-            return fail(res, 400, 'empty_data');
-        }
-        const disallowed = dataKeys.filter(k => !ALLOWED_FIELDS.has(k));
-        if (disallowed.length > 0) {
-            return fail(res, 400, 'disallowed_fields', { fields: disallowed });
+            // Whitelist: ismeretlen mezők → 400.
+            const dataKeys = Object.keys(data);
+            if (dataKeys.length === 0) {
+                return fail(res, 400, 'empty_data');
+            }
+            const disallowed = dataKeys.filter(k => !ALLOWED_FIELDS.has(k));
+            if (disallowed.length > 0) {
+                return fail(res, 400, 'disallowed_fields', { fields: disallowed });
+            }
         }
 
         // ── 2. Auth ──
@@ -314,6 +768,10 @@ module.exports = async function ({ req, res, log: rawLog, error: rawError }) {
         const groupMembershipsCollectionId = process.env.GROUP_MEMBERSHIPS_COLLECTION_ID;
         // Phase 1.6 orphan-guard: opcionális, hiányzás → `lookup_failed` → 403.
         const organizationsCollectionId = process.env.ORGANIZATIONS_COLLECTION_ID;
+        // Állapot-history: opcionális, hiányzás → a 14. lépés kimarad.
+        const stateHistoryCollectionId = process.env.ARTICLE_STATE_HISTORY_COLLECTION_ID || '';
+        // Guard-ok: opcionális, hiányzás → a `noUnresolvedUserValidations` guard fail-closed.
+        const userValidationsCollectionId = process.env.USER_VALIDATIONS_COLLECTION_ID || '';
 
         const missingEnvVars = [];
         if (!databaseId) missingEnvVars.push('DATABASE_ID');
@@ -329,240 +787,39 @@ module.exports = async function ({ req, res, log: rawLog, error: rawError }) {
             return fail(res, 500, 'misconfigured', { missing: missingEnvVars });
         }
 
-        // ── 4. Fresh doc fetch ──
-        let freshDoc;
-        try {
-            freshDoc = await databases.getDocument(databaseId, articlesCollectionId, articleId);
-        } catch (e) {
-            if (e.code === 404) {
-                return fail(res, 404, 'article_not_found');
-            }
-            throw e;
-        }
-
-        // ── 5. Parent publication scope check + soft-fix ──
-        let parentPublication = null;
-        if (freshDoc.publicationId) {
-            try {
-                parentPublication = await databases.getDocument(
-                    databaseId, publicationsCollectionId, freshDoc.publicationId
-                );
-            } catch (e) {
-                if (e.code !== 404) throw e;
-                log(`[Scope] Parent publication ${freshDoc.publicationId} nem található (${freshDoc.$id})`);
-            }
-        }
-
-        const scopeFix = {};
-        if (parentPublication && parentPublication.editorialOfficeId) {
-            if (parentPublication.editorialOfficeId !== freshDoc.editorialOfficeId) {
-                scopeFix.editorialOfficeId = parentPublication.editorialOfficeId;
-                log(`[Scope] Cikk editorialOfficeId drift → sync a parent-hez`);
-                freshDoc.editorialOfficeId = parentPublication.editorialOfficeId;
-            }
-            if (parentPublication.organizationId
-                && parentPublication.organizationId !== freshDoc.organizationId) {
-                scopeFix.organizationId = parentPublication.organizationId;
-                log(`[Scope] Cikk organizationId drift → sync a parent-hez`);
-                freshDoc.organizationId = parentPublication.organizationId;
-            }
-        }
-
-        // ── 6. lockType enum validáció ──
-        if (data.lockType !== undefined && !VALID_LOCK_TYPES.has(data.lockType)) {
-            return fail(res, 400, 'invalid_lock_type', { lockType: data.lockType });
-        }
-
-        // ── 7. Lock-only fast-path detektálás ──
-        // A workflow/csoport jogosultsági check-et skippeljük, DE az office
-        // membership check-et megtartjuk (ld. 10. lépés) — így cross-office
-        // lock-lopás nem lehetséges.
-        const isLockOnlyPayload = dataKeys.every(k => LOCK_FIELDS.has(k));
-        let skipPermissionCheck = false;
-        if (isLockOnlyPayload) {
-            // Saját lock felvétele: a cikk jelenleg NINCS zárolva (vagy már a
-            // mi lockunk), és a kért lockOwnerId a mi userId-nk.
-            const settingOwnLock = data.lockOwnerId === userId
-                && (freshDoc.lockOwnerId === null || freshDoc.lockOwnerId === userId);
-            // Saját lock elengedése: a cikk jelenleg a mi lockunk.
-            const releasingOwnLock =
-                (data.lockType === null || data.lockOwnerId === null)
-                && freshDoc.lockOwnerId === userId;
-            if (settingOwnLock || releasingOwnLock) {
-                skipPermissionCheck = true;
-                log(`[Lock] Lock-only kivétel: user ${userId} a saját lock-ját módosítja`);
-            }
-        }
-
-        // ── 8. Workflow betöltés (fail-closed) ──
-        let compiled = null;
-        if (parentPublication) {
-            compiled = await getWorkflowForPublication(
-                databases, databaseId, workflowsCollectionId, parentPublication, log
-            );
-        } else if (freshDoc.editorialOfficeId) {
-            compiled = await getWorkflowForPublication(
-                databases, databaseId, workflowsCollectionId,
-                { editorialOfficeId: freshDoc.editorialOfficeId, workflowId: null },
-                log
-            );
-        }
 
-        if (!compiled && !skipPermissionCheck) {
-            return permissionDenied(res, 'A kiadványhoz nem tartozik elérhető workflow.');
-        }
-
-        // ── 9. State érvényesség + átmenet validáció ──
-        const currentState = freshDoc.state || '';
-        const requestedState = data.state;
-        const stateChanged = requestedState !== undefined && requestedState !== currentState;
-
-        if (stateChanged && compiled) {
-            const states = Array.isArray(compiled.states) ? compiled.states : [];
-            const validStateIds = states.map(s => s.id);
-            if (!validStateIds.includes(requestedState)) {
-                return fail(res, 400, 'invalid_state', { state: requestedState });
-            }
-            const transitions = compiled.transitions || [];
-            const transitionExists = transitions.some(
-                t => t.from === currentState && t.to === requestedState
-            );
-            if (!transitionExists) {
-                return fail(res, 400, 'invalid_transition', {
-                    from: currentState,
-                    to: requestedState
-                });
-            }
-        }
-
-        // ── 10. Office membership check ──
-        // MINDIG fut — a lock fast-path is igényli, hogy a user a cikk
-        // szerkesztőségének tagja legyen (cross-office lock-lopás megelőzése).
-        if (freshDoc.editorialOfficeId) {
-            let membership;
-            try {
-                membership = await findOfficeMembership(
-                    databases, databaseId, officeMembershipsCollectionId,
-                    userId, freshDoc.editorialOfficeId
-                );
-            } catch (e) {
-                error(`[Scope] Membership lookup hiba: ${e.message} — fail-closed`);
-                return permissionDenied(res, 'Szerkesztőség-tagság ellenőrzése sikertelen.');
-            }
-            if (!membership) {
-                log(`[Scope] User ${userId} nem tagja az office-nak ${freshDoc.editorialOfficeId}`);
-                return permissionDenied(res, 'Nem vagy tagja a cikk szerkesztőségének.');
-            }
-        }
-
-        // ── 10b. Phase 1.6 orphan-guard ──
-        // Ha az org `status === 'orphaned' | 'archived'` (vagy `lookup_failed`
-        // sentinel — env hiány vagy DB-hiba) → 403 fail-closed. A `null` legacy
-        // active (60+ legacy org backwards-compat).
-        //
-        // Lock-only fast-path SKIP (Codex pre-review): a saját lock release /
-        // acquire metaadata egy orphaned org-on is mozgatható maradjon, hogy a
-        // cikkek ne ragadjanak be (operatív cleanup invariáns). A tartalom-write
-        // (state, contributors, name, stb.) viszont fail-closed.
-        const orphanGuardOrgId = freshDoc.organizationId
-            || (parentPublication ? parentPublication.organizationId : null);
-        if (!skipPermissionCheck && orphanGuardOrgId) {
-            const orgStatus = await getOrgStatus(
-                databases, databaseId, organizationsCollectionId, orphanGuardOrgId, sdk
-            );
-            if (isOrgWriteBlocked(orgStatus)) {
-                log(`[Scope] Org ${orphanGuardOrgId} status="${orgStatus}" → write blocked (Phase 1.6)`);
-                return fail(res, 403, 'org_orphaned_write_blocked');
-            }
-        }
-
-        // ── 11. Jogosultsági check (csoporttagság + statePermissions) ──
-        if (!skipPermissionCheck && compiled) {
-            const statePermissions = compiled.statePermissions || {};
-            const leaderGroups = compiled.leaderGroups || [];
-
-            const userGroupSlugs = freshDoc.editorialOfficeId
-                ? await getUserGroupSlugs(
-                    databases, databaseId, groupsCollectionId, groupMembershipsCollectionId,
-                    userId, freshDoc.editorialOfficeId
-                )
-                : [];
-
-            if (userGroupSlugs === null) {
-                error(`Jogosultság check: getUserGroupSlugs hiba — fail-closed, userId=${userId}`);
-                return permissionDenied(res, 'Csoporttagság ellenőrzése sikertelen.');
-            }
-
-            const isLeader = leaderGroups.some(g => userGroupSlugs.includes(g));
-
-            if (!isLeader) {
-                // A jelenlegi állapot szerkesztési jogosultsága — ki érhet a cikkhez
-                // ebben az állapotban egyáltalán.
-                const currentStateAllowed = statePermissions[currentState] || [];
-                const hasCurrentAccess = currentStateAllowed.some(slug => userGroupSlugs.includes(slug));
-                if (!hasCurrentAccess) {
-                    log(`Jogosultsági hiba: user ${userId} nem szerkesztheti a cikket állapotban "${currentState}" (szükséges: [${currentStateAllowed.join(', ')}])`);
-                    return permissionDenied(
-                        res,
-                        'Nincs jogosultságod a cikk módosításához az aktuális állapotban.',
-                        currentStateAllowed
-                    );
+        const ctx = {
+            databases, databaseId, articlesCollectionId, publicationsCollectionId,
+            workflowsCollectionId, officeMembershipsCollectionId, groupsCollectionId,
+            groupMembershipsCollectionId, organizationsCollectionId,
+            stateHistoryCollectionId, userValidationsCollectionId,
+            userId, log, error,
+            memo: new Map()
+        };
+
+        if (isBatch) {
+            // Szekvenciálisan — a sorrend a kliens listáját követi, és egy
+            // elem kivétele nem dönti be a többit.
+            const results = [];
+            for (const item of payload.items) {
+                let outcome;
+                try {
+                    outcome = await processArticleUpdate(ctx, item.articleId, item.data, { skipForeignLocks: true });
+                } catch (e) {
+                    error(`[Batch] ${item.articleId} hiba: ${e.message}`);
+                    outcome = rejected(500, 'internal_error');
                 }
-
-                // Ha az állapot változik, a CÉL-állapot (destination) mozgatási
-                // jogosultságát is ellenőrizzük — a korábbi guard ugyanezt
-                // a `from` állapot alapján dönti el, de a plugin kliense
-                // (`canUserMoveArticle`) is így működik: ki nyithatja meg
-                // a célállapotot.
-                if (stateChanged) {
-                    const destStateAllowed = statePermissions[requestedState] || [];
-                    if (destStateAllowed.length > 0) {
-                        const hasDestAccess = destStateAllowed.some(slug => userGroupSlugs.includes(slug));
-                        if (!hasDestAccess) {
-                            log(`Jogosultsági hiba: user ${userId} nem mozgathatja a cikket állapotba "${requestedState}"`);
-                            return permissionDenied(
-                                res,
-                                'Nincs jogosultságod a cikket ebbe az állapotba mozgatni.',
-                                destStateAllowed
-                            );
-                        }
-                    }
-                }
-            }
-        }
-
-        // ── 12. previousState karbantartás ──
-        // Ha az állapot változik és a hívó nem küldte explicit módon a
-        // previousState mezőt, automatikusan a jelenlegi állapotot rögzítjük.
-        const writePayload = { ...data, ...scopeFix };
-        if (stateChanged && writePayload.previousState === undefined) {
-            writePayload.previousState = currentState;
-        }
-
-        // Sentinel — a legacy `article-update-guard` CF ezen a mezőn alapján
-        // szűri a saját, már validált írásait.
-        writePayload.modifiedByClientId = SERVER_GUARD_ID;
-
-        // ── 13. DB write ──
-        let updated;
-        try {
-            updated = await databases.updateDocument(
-                databaseId, articlesCollectionId, articleId, writePayload
-            );
-        } catch (e) {
-            error(`[DB] updateDocument hiba: ${e.message}`);
-            if (e.code === 404) {
-                return fail(res, 404, 'article_not_found');
+                results.push(toBatchResult(item.articleId, outcome));
             }
-            return fail(res, 500, 'db_write_failed', { message: e.message });
+            log(`[Batch] ${results.filter(r => r.success).length}/${results.length} cikk frissítve (user=${userId})`);
+            return res.json({
+                success: true,
+                action: 'batch_applied',
+                results
+            });
         }
 
-        return res.json({
-            success: true,
-            action: 'applied',
-            document: updated
-        });
-
+        return sendOutcome(res, await processArticleUpdate(ctx, articleId, data));
     } catch (err) {
         error(`Function hiba: ${err.message}`);
         error(`Stack: ${err.stack}`);
@@ -0,0 +1,195 @@
+// Értesítő e-mailek renderelése és küldése.
+//
+// Az `invite-to-organization` CF `actions/sendEmail.js` mintáját követi:
+//   1. Template rendering (`templates/notification-email.html` + `.txt`) — a
+//      meghívó e-mail renderelője (`_generated_emailTemplate.js`)
+//   2. Rate-limit (`_generated_rateLimit.js` `evaluateAndConsume`) — címzettenként
+//      óránként és szervezetenként naponta; a limit fölött nincs küldés
+//   3. Küldés a Resend SDK-n át
+//
+// Mindkét helper az `invite-to-organization` CF `helpers/`-éből generált
+// másolat (`yarn build:cf-email-helpers`).
+//
+// **Live mód**: `env.resendApiKey` jelen → Resend SDK hívás éles.
+// **Skeleton mód**: `env.resendApiKey` hiányzik → nincs küldés, csak log
+// (`[SendEmail] SKELETON ...`), a hívó sikeresnek tekinti. Így a teljes
+// értesítési flow (esemény → preferencia → kézbesítési napló → összesítő)
+// API kulcs nélkül is végigkövethető a CF logjában.
+
+const fs = require('fs');
+const path = require('path');
+const { Resend } = require('resend');
+
+const {
+    NOTIFICATION_EVENTS,
+    NOTIFICATION_EVENT_LABELS
+} = require('./_generated_notificationPreferences.js');
+const { renderTemplate, escapeHtml } = require('./_generated_emailTemplate.js');
+const { evaluateAndConsume } = require('./_generated_rateLimit.js');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates');
+const HTML_TEMPLATE = fs.readFileSync(path.join(TEMPLATE_DIR, 'notification-email.html'), 'utf-8');
+const TEXT_TEMPLATE = fs.readFileSync(path.join(TEMPLATE_DIR, 'notification-email.txt'), 'utf-8');
+
+const FROM_ADDRESS = 'Maestro <noreply@maestro.emago.hu>';
+
+/** Az azonnali értesítés bevezető mondata eseményenként. */
+const EVENT_INTROS = {
+    [NOTIFICATION_EVENTS.STATE_OWNED]: 'Egy cikk olyan állapotba lépett, amelyen a csoportodnak kell dolgoznia.',
+    [NOTIFICATION_EVENTS.MESSAGE]: 'Új üzenetet kaptál egy cikkhez.',
+    [NOTIFICATION_EVENTS.DEADLINE]: 'Közeleg az egyik cikked lapzártája.',
+    [NOTIFICATION_EVENTS.LOCK_HELD]: 'Egy cikk hosszú ideje zárolva van.'
+};
+
+// A CF runtime UTC-ben fut — a szerkesztőségek magyar idő szerint dolgoznak.
+const DATE_TIME_FORMAT = new Intl.DateTimeFormat('hu-HU', {
+    timeZone: 'Europe/Budapest',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+});
+
+function formatDateTimeHu(isoString) {
+    const d = new Date(isoString);
+    if (isNaN(d.getTime())) return isoString;
+    return DATE_TIME_FORMAT.format(d);
+}
+
+/**
+ * Az értesítő e-mail rate-limit scope-jai (`_generated_rateLimit.js`
+ * `RATE_LIMIT_CONFIG`). A szervezeti scope csak ismert szervezetnél él.
+ */
+function notificationEmailScopes(userId, organizationId) {
+    const scopes = [{ endpoint: 'notification_email_user', options: { subject: userId }, tag: 'user' }];
+    if (organizationId) {
+        scopes.push({ endpoint: 'notification_email_org_day', options: { subject: organizationId }, tag: 'org' });
+    }
+    return scopes;
+}
+
+/**
+ * Az értesítés-sorok eseménytípus szerint csoportosítva (a `NOTIFICATION_EVENTS`
+ * sorrendjében) — a napi összesítő így áttekinthető, egy elemnél nincs hatása.
+ */
+function groupItems(items) {
+    const groups = [];
+    for (const eventType of Object.values(NOTIFICATION_EVENTS)) {
+        const groupItems = items.filter(item => item.eventType === eventType);
+        if (groupItems.length > 0) groups.push({ eventType, items: groupItems });
+    }
+    return groups;
+}
+
+function buildItemsHtml(items) {
+    return groupItems(items).map(({ eventType, items: groupItems }) => {
+        const rows = groupItems.map((item) => {
+            const title = item.link
+                ? `<a href="${escapeHtml(item.link)}" style="color:#5b8cff; text-decoration:none;">${escapeHtml(item.title)}</a>`
+                : escapeHtml(item.title);
+            return `
+              <div style="margin: 0 0 12px; padding: 12px 16px; background-color: rgba(255,255,255,0.03); border-left: 3px solid #5b8cff; border-radius: 8px;">
+                <div style="font-size: 14px; font-weight: 600; color: #ffffff;">${title}</div>
+                ${item.detail ? `<div style="margin-top: 4px; font-size: 13px; line-height: 1.5; color: #c8ccd4; white-space: pre-wrap;">${escapeHtml(item.detail)}</div>` : ''}
+              </div>`;
+        }).join('');
+        return `
+              <div style="margin: 24px 0 8px; font-size: 12px; color: #8a8f99; text-transform: uppercase; letter-spacing: 0.5px; font-weight: 600;">
+                ${escapeHtml(NOTIFICATION_EVENT_LABELS[eventType] || eventType)}
+              </div>${rows}`;
+    }).join('');
+}
+
+function buildItemsText(items) {
+    return groupItems(items).map(({ eventType, items: groupItems }) => {
+        const lines = groupItems.map((item) => {
+            let line = `• ${item.title}`;
+            if (item.detail) line += `\n  ${item.detail.replace(/\n/g, '\n  ')}`;
+            if (item.link) line += `\n  ${item.link}`;
+            return line;
+        });
+        return `${NOTIFICATION_EVENT_LABELS[eventType] || eventType}\n\n${lines.join('\n\n')}\n`;
+    }).join('\n');
+}
+
+/**
+ * Egy értesítő e-mail (azonnali vagy napi összesítő) renderelése + küldése.
+ *
+ * @param {Object} run — CF futási context (`databases`, `sdk`, `env`, `log`, `error`)
+ * @param {Object} message
+ * @param {string} message.to — címzett e-mail
+ * @param {string} message.userId — a címzett (rate-limit subject)
+ * @param {string|null} [message.organizationId] — a szervezeti rate-limit subject-je
+ * @param {string} message.subject
+ * @param {string} message.heading
+ * @param {string} [message.intro] — hiányában az (egyetlen) esemény bevezetője
+ * @param {Array<{eventType: string, title: string, detail?: string, link?: string}>} message.items
+ * @param {string} message.tag — Resend tag érték (`notification_event`)
+ * @returns {Promise<{ success: boolean, skeleton?: boolean, rateLimited?: boolean, error?: string }>}
+ */
+async function sendNotificationEmail(run, message) {
+    const { env, log, error } = run;
+    const { to, userId, organizationId, subject, heading, items, tag } = message;
+    const intro = message.intro || EVENT_INTROS[items[0]?.eventType] || '';
+    const dashboardUrl = env.dashboardUrl || '';
+    const settingsLink = dashboardUrl ? `${dashboardUrl}/settings/account` : '';
+
+    const html = renderTemplate(HTML_TEMPLATE, {
+        heading: escapeHtml(heading),
+        intro: escapeHtml(intro),
+        itemsHtml: buildItemsHtml(items),
+        dashboardUrl: escapeHtml(dashboardUrl),
+        settingsLink: escapeHtml(settingsLink)
+    });
+    const text = renderTemplate(TEXT_TEMPLATE, {
+        heading,
+        intro,
+        itemsText: buildItemsText(items),
+        dashboardUrl,
+        settingsLink
+    });
+
+    if (!env.resendApiKey) {
+        log(`[SendEmail] SKELETON (RESEND_API_KEY hiányzik) — to=${to} subject="${subject}" items=${items.length}`);
+        return { success: true, skeleton: true };
+    }
+
+    // Rate-limit csak éles küldésnél (a skeleton mód nem költ). A collection-ök
+    // nélkül best-effort átengedés, mint az `invite-to-organization` CF-ben.
+    if (env.ipRateLimitCountersCollectionId && env.ipRateLimitBlocksCollectionId) {
+        const limited = await evaluateAndConsume(run, notificationEmailScopes(userId, organizationId || null));
+        if (limited) {
+            log(`[SendEmail] rate-limit (${limited.reason}, scope=${limited.payload.scope}) — to=${to} tag=${tag} kimarad`);
+            return { success: false, rateLimited: true, error: limited.reason };
+        }
+    }
+
+    try {
+        const resend = new Resend(env.resendApiKey);
+        // A `resend-webhook` CF csak az `invite_id` tag-es eseményeket
+        // dolgozza fel — az értesítők bounce-a ott `skipped`.
+        const result = await resend.emails.send({
+            from: FROM_ADDRESS,
+            to,
+            subject,
+            html,
+            text,
+            tags: [{ name: 'notification_event', value: tag }]
+        });
+        if (result?.error) {
+            error(`[SendEmail] Resend hiba (to=${to}): ${result.error.message || result.error.name || 'unknown_error'}`);
+            return { success: false, error: result.error.message || 'resend_error' };
+        }
+        log(`[SendEmail] Resend OK to=${to} tag=${tag} resend_id=${result?.data?.id || null}`);
+        return { success: true };
+    } catch (err) {
+        error(`[SendEmail] Resend hiba (to=${to}): ${err.message}`);
+        return { success: false, error: err.message || 'unknown_error' };
+    }
+}
+
+module.exports = {
+    sendNotificationEmail,
+    formatDateTimeHu
+};
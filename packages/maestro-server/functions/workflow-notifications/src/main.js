@@ -0,0 +1,703 @@
+const sdk = require('node-appwrite');
+
+// S.13.2+S.13.3 Phase 2.2 — PII-redaction log wrap + response info-disclosure védelem.
+const { wrapLogger } = require('./_generated_piiRedaction.js');
+const { fail } = require('./_generated_responseHelpers.js');
+
+// E-mail értesítési beállítások — kanonikus forrás:
+// `packages/maestro-shared/notificationPreferences.js`, regeneráció:
+// `yarn build:cf-notification-preferences`.
+const {
+    NOTIFICATION_EVENTS,
+    NOTIFICATION_EVENT_LABELS,
+    NOTIFICATION_MODES,
+    NOTIFICATION_HOURS_MIN,
+    NOTIFICATION_HOURS_MAX,
+    getNotificationPreferences,
+    getNotificationMode
+} = require('./_generated_notificationPreferences.js');
+// Cikk-üzenet címzett-feloldás — kanonikus forrás:
+// `packages/maestro-shared/messageRecipients.js`, regeneráció:
+// `yarn build:cf-message-recipients`.
+const {
+    getRecipientGroupSlug,
+    resolveRecipientUserIds
+} = require('./_generated_messageRecipients.js');
+const { sendNotificationEmail, formatDateTimeHu } = require('./email.js');
+
+/**
+ * Appwrite Function: Workflow Notifications
+ *
+ * Opt-in e-mail értesítések workflow-eseményekről. A felhasználó a Dashboard
+ * fiók-beállításaiban eseményenként választ: kikapcsolva / azonnal / napi
+ * összesítő (account prefs `maestroNotifications`, ld.
+ * `maestro-shared/notificationPreferences.js`).
+ *
+ * Események:
+ *  - `stateOwned` — a cikk olyan állapotba lépett, amelynek `statePermissions`-
+ *    ében a felhasználó csoportja szerepel (az `articleStateHistory` új sora;
+ *    a váltást végző felhasználó nem kap értesítést)
+ *  - `message`    — a felhasználónak, a csoportjának vagy a cikk
+ *    közreműködőinek szóló cikk-üzenet (`userValidations` új sora; a feladó
+ *    nem kap értesítést)
+ *  - `deadline`   — a felhasználó közreműködő egy olyan cikkben, amelynek
+ *    lapzártája a beállított óraszámon belül van (óránkénti scan)
+ *  - `lockHeld`   — a cikk a beállított óraszámnál régebben zárolt; a
+ *    lock-tulajdonos és a közreműködők kapják (óránkénti scan, a zárolás
+ *    kezdete a `$updatedAt` — mint a `cleanup-orphaned-locks` CF-ben)
+ *
+ * Kézbesítés: minden értesítés egy `notificationDeliveries` sor, a
+ * `dedupeKey` unique index miatt egy esemény felhasználónként egyszer megy
+ * ki (event retry, óránkénti scan). Az azonnali mód rögtön küld, a `digest`
+ * mód `pending` sora a napi összesítőt várja, amely a `NOTIFICATION_DIGEST_HOUR_UTC`
+ * órájában futó scheduled végrehajtás végén megy ki felhasználónként egy
+ * e-mailben.
+ *
+ * `RESEND_API_KEY` nélkül skeleton mód: az e-mail csak a logba kerül
+ * (`[SendEmail] SKELETON ...`), a kézbesítési napló ugyanúgy íródik — a
+ * teljes flow API kulcs nélkül tesztelhető. Kézi (Console) végrehajtásnál a
+ * `{ "forceDigest": true }` body az órától függetlenül elküldi az összesítőt.
+ *
+ * Trigger:
+ *  - Event: databases.*.collections.articleStateHistory.documents.*.create
+ *  - Event: databases.*.collections.userValidations.documents.*.create
+ *  - Schedule (0 * * * * — óránként): lapzárta + zárolás scan, napi összesítő
+ * Runtime: Node.js 18.0+
+ *
+ * Szükséges környezeti változók:
+ * - APPWRITE_API_KEY (databases.*, users.read jogosultságok)
+ * - DATABASE_ID
+ * - ARTICLES_COLLECTION_ID
+ * - PUBLICATIONS_COLLECTION_ID
+ * - WORKFLOWS_COLLECTION_ID
+ * - GROUPS_COLLECTION_ID
+ * - GROUP_MEMBERSHIPS_COLLECTION_ID
+ * - ARTICLE_STATE_HISTORY_COLLECTION_ID (a `stateOwned` esemény felismeréséhez)
+ * - USER_VALIDATIONS_COLLECTION_ID (a `message` esemény felismeréséhez)
+ * - DEADLINES_COLLECTION_ID (opcionális — hiányában a lapzárta scan kimarad)
+ * - NOTIFICATION_DELIVERIES_COLLECTION_ID (opcionális — hiányában nincs
+ *   dedupe: csak az eseményalapú azonnali értesítések mennek ki, a scan-ek
+ *   és a napi összesítő kimaradnak)
+ * - NOTIFICATION_DIGEST_HOUR_UTC (opcionális, alapértelmezés: 6)
+ * - DASHBOARD_URL (opcionális — a cikk-deeplinkek és a beállítás-link)
+ * - RESEND_API_KEY (opcionális — hiányában skeleton mód)
+ */
+
+const BATCH_LIMIT = 100;
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_DIGEST_HOUR_UTC = 6;
+// Egy összesítő-futás felső korlátja — a maradék a következő napra marad.
+const MAX_DIGEST_ROWS = 2000;
+// Az üzenet szövegéből ennyi karakter kerül az e-mailbe.
+const MESSAGE_PREVIEW_LENGTH = 300;
+// A `markers` bitmaszk „Kimarad" bitje (`maestro-shared/constants.js` MARKERS.IGNORE).
+const MARKER_IGNORE = 1;
+
+const DELIVERY_STATUS = Object.freeze({
+    PENDING: 'pending',
+    SENT: 'sent',
+    FAILED: 'failed'
+});
+
+// ─── Lekérések (futásonkénti cache-sel) ─────────────────────────────────────
+
+async function getArticle(run, articleId) {
+    const { databases, env, log } = run;
+    try {
+        return await databases.getDocument(env.databaseId, env.articlesCollectionId, articleId);
+    } catch (e) {
+        log(`[Article] lookup hiba (${articleId}): ${e.message}`);
+        return null;
+    }
+}
+
+async function getPublication(run, publicationId) {
+    const { databases, env, log, publicationCache } = run;
+    if (!publicationId) return null;
+    if (publicationCache.has(publicationId)) return publicationCache.get(publicationId);
+    let publication = null;
+    try {
+        publication = await databases.getDocument(env.databaseId, env.publicationsCollectionId, publicationId);
+    } catch (e) {
+        log(`[Publication] lookup hiba (${publicationId}): ${e.message}`);
+    }
+    publicationCache.set(publicationId, publication);
+    return publication;
+}
+
+/**
+ * A kiadvány compiled workflow-ja: `compiledWorkflowSnapshot` elsődleges,
+ * különben a `workflowId` live doc-ja (a `scheduled-transitions` sorrendje).
+ */
+async function getCompiled(run, publication) {
+    const { databases, env, log, workflowCache } = run;
+    const snapshot = publication.compiledWorkflowSnapshot;
+    if (typeof snapshot === 'string' && snapshot.length > 0) {
+        try {
+            return JSON.parse(snapshot);
+        } catch (e) {
+            log(`[Workflow] Snapshot parse hiba (pub=${publication.$id}): ${e.message} — fallback workflowId-ra`);
+        }
+    }
+    const workflowId = publication.workflowId;
+    if (!workflowId) return null;
+    if (workflowCache.has(workflowId)) return workflowCache.get(workflowId);
+
+    let compiled = null;
+    try {
+        const doc = await databases.getDocument(env.databaseId, env.workflowsCollectionId, workflowId);
+        if (doc.editorialOfficeId === publication.editorialOfficeId) {
+            compiled = typeof doc.compiled === 'string' ? JSON.parse(doc.compiled) : doc.compiled;
+        } else {
+            log(`[Workflow] Cross-tenant workflow ${workflowId} (pub=${publication.$id}) — kihagyva`);
+        }
+    } catch (e) {
+        log(`[Workflow] workflow lookup hiba (${workflowId}): ${e.message}`);
+    }
+    workflowCache.set(workflowId, compiled);
+    return compiled;
+}
+
+function getStateLabel(compiled, stateId) {
+    return (compiled?.states || []).find(s => s.id === stateId)?.label || stateId;
+}
+
+function isTerminalState(compiled, stateId) {
+    return (compiled?.states || []).find(s => s.id === stateId)?.isTerminal === true;
+}
+
+/**
+ * Az office adott slug-ú (nem archivált) csoportjainak tagjai.
+ *
+ * @returns {Promise<string[]>} userId-k (deduplikálva)
+ */
+async function getGroupMemberIds(run, editorialOfficeId, slugs) {
+    const { databases, env, log } = run;
+    if (!editorialOfficeId || slugs.length === 0) return [];
+    try {
+        const groupsResult = await databases.listDocuments(env.databaseId, env.groupsCollectionId, [
+            sdk.Query.equal('editorialOfficeId', editorialOfficeId),
+            sdk.Query.equal('slug', slugs),
+            sdk.Query.limit(BATCH_LIMIT)
+        ]);
+        const groupIds = groupsResult.documents.filter(g => !g.archivedAt).map(g => g.$id);
+        if (groupIds.length === 0) return [];
+
+        const userIds = new Set();
+        let cursor = null;
+        while (true) {
+            const queries = [sdk.Query.equal('groupId', groupIds), sdk.Query.limit(BATCH_LIMIT)];
+            if (cursor) queries.push(sdk.Query.cursorAfter(cursor));
+            const batch = await databases.listDocuments(env.databaseId, env.groupMembershipsCollectionId, queries);
+            for (const membership of batch.documents) {
+                if (membership.userId) userIds.add(membership.userId);
+            }
+            if (batch.documents.length < BATCH_LIMIT) break;
+            cursor = batch.documents[batch.documents.length - 1].$id;
+        }
+        return [...userIds];
+    } catch (e) {
+        log(`[Groups] tag-lookup hiba (office=${editorialOfficeId}, slugs=${slugs.join(',')}): ${e.message}`);
+        return [];
+    }
+}
+
+/** A cikk közreműködőinek userId-jai (a `contributors` JSON értékei). */
+function getContributorIds(article) {
+    let parsed;
+    try {
+        parsed = typeof article?.contributors === 'string'
+            ? JSON.parse(article.contributors || '{}')
+            : (article?.contributors || {});
+    } catch {
+        return [];
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return [];
+    return [...new Set(Object.values(parsed).filter(v => typeof v === 'string' && v))];
+}
+
+/**
+ * A címzett e-mail címe, neve és értesítési beállításai (`users.get` — a
+ * prefs a user objektumon jön). Letiltott vagy e-mail nélküli fiók → null.
+ */
+async function getRecipient(run, userId) {
+    const { usersApi, log, userCache } = run;
+    if (userCache.has(userId)) return userCache.get(userId);
+    let recipient = null;
+    try {
+        const user = await usersApi.get(userId);
+        if (user && user.status !== false && user.email) {
+            recipient = {
+                userId,
+                email: user.email,
+                name: user.name || user.email,
+                preferences: getNotificationPreferences(user.prefs)
+            };
+        }
+    } catch (e) {
+        log(`[User] lookup hiba (${userId}): ${e.message}`);
+    }
+    userCache.set(userId, recipient);
+    return recipient;
+}
+
+function buildArticleLink(env, article) {
+    if (!env.dashboardUrl || !article?.publicationId) return null;
+    return `${env.dashboardUrl}/?pub=${encodeURIComponent(article.publicationId)}&article=${encodeURIComponent(article.$id)}`;
+}
+
+// ─── Kézbesítés ─────────────────────────────────────────────────────────────
+
+async function markDeliveries(run, deliveryIds, success) {
+    const { databases, env, log } = run;
+    const patch = success
+        ? { status: DELIVERY_STATUS.SENT, sentAt: new Date().toISOString() }
+        : { status: DELIVERY_STATUS.FAILED };
+    for (const deliveryId of deliveryIds) {
+        try {
+            await databases.updateDocument(env.databaseId, env.deliveriesCollectionId, deliveryId, patch);
+        } catch (e) {
+            log(`[Queue] státusz-frissítés sikertelen (${deliveryId}): ${e.message}`);
+        }
+    }
+}
+
+/**
+ * Egy értesítés egy felhasználónak: preferencia-check → kézbesítési napló
+ * (dedupe) → azonnali küldés vagy sorba állítás a napi összesítőhöz.
+ *
+ * @param {Object} run
+ * @param {string} userId
+ * @param {Object} notification
+ * @param {string} notification.eventType - `NOTIFICATION_EVENTS` érték
+ * @param {string} notification.dedupeKey - Az esemény kulcsa (a userId-t a függvény fűzi hozzá)
+ * @param {Object} notification.article
+ * @param {string} notification.detail
+ */
+async function deliver(run, userId, { eventType, dedupeKey, article, detail }) {
+    const { databases, env, log, error, stats } = run;
+
+    const recipient = await getRecipient(run, userId);
+    if (!recipient) return;
+    const mode = getNotificationMode(recipient.preferences, eventType);
+    if (mode === NOTIFICATION_MODES.OFF) return;
+
+    const title = article.name || 'Névtelen cikk';
+    let deliveryId = null;
+    if (env.deliveriesCollectionId) {
+        try {
+            const doc = await databases.createDocument(
+                env.databaseId,
+                env.deliveriesCollectionId,
+                sdk.ID.unique(),
+                {
+                    userId,
+                    organizationId: article.organizationId || null,
+                    editorialOfficeId: article.editorialOfficeId || null,
+                    eventType,
+                    mode,
+                    status: DELIVERY_STATUS.PENDING,
+                    dedupeKey: `${userId}:${dedupeKey}`,
+                    articleId: article.$id,
+                    publicationId: article.publicationId || null,
+                    title: title.slice(0, 255),
+                    detail: detail ? detail.slice(0, 1024) : null
+                },
+                []
+            );
+            deliveryId = doc.$id;
+        } catch (e) {
+            if (e.code === 409) {
+                stats.duplicates++;
+                return;
+            }
+            stats.failed++;
+            error(`[Queue] kézbesítési sor írása sikertelen (user=${userId}, ${eventType}): ${e.message}`);
+            return;
+        }
+    } else if (mode === NOTIFICATION_MODES.DIGEST) {
+        stats.skipped++;
+        log(`[Queue] NOTIFICATION_DELIVERIES_COLLECTION_ID nincs beállítva — összesítős értesítés kimarad (user=${userId}, ${eventType})`);
+        return;
+    }
+
+    if (mode === NOTIFICATION_MODES.DIGEST) {
+        stats.queued++;
+        return;
+    }
+
+    const result = await sendNotificationEmail(run, {
+        to: recipient.email,
+        userId,
+        organizationId: article.organizationId || null,
+        subject: `[Maestro] ${NOTIFICATION_EVENT_LABELS[eventType]} — ${title}`,
+        heading: NOTIFICATION_EVENT_LABELS[eventType],
+        items: [{ eventType, title, detail, link: buildArticleLink(env, article) }],
+        tag: eventType
+    });
+    if (result.success) stats.sent++;
+    else if (result.rateLimited) stats.rateLimited++;
+    else stats.failed++;
+    if (deliveryId) await markDeliveries(run, [deliveryId], result.success);
+}
+
+// ─── Események ──────────────────────────────────────────────────────────────
+
+/**
+ * `articleStateHistory` új sora → a célállapot `statePermissions` csoportjainak
+ * tagjai (a váltást végző kivételével).
+ */
+async function handleStateChange(run, entry) {
+    const { log } = run;
+    if (!entry?.articleId || !entry.toState) return;
+
+    const article = await getArticle(run, entry.articleId);
+    if (!article) return;
+
+    // A cikk azóta továbblépett — a régi állapot csoportját már nem riasztjuk.
+    const activeStates = [article.state, ...(Array.isArray(article.parallelStates) ? article.parallelStates : [])];
+    if (!activeStates.includes(entry.toState)) {
+        log(`[StateOwned] ${article.$id} már nem „${entry.toState}" állapotú — kihagyva`);
+        return;
+    }
+
+    const publication = await getPublication(run, article.publicationId);
+    if (!publication) return;
+    const compiled = await getCompiled(run, publication);
+    const slugs = compiled?.statePermissions?.[entry.toState];
+    if (!Array.isArray(slugs) || slugs.length === 0) return;
+
+    const userIds = await getGroupMemberIds(run, article.editorialOfficeId, slugs);
+    const detail = `${getStateLabel(compiled, entry.fromState)} → ${getStateLabel(compiled, entry.toState)} · ${publication.name || ''}`;
+    for (const userId of userIds) {
+        if (userId === entry.actorUserId) continue;
+        await deliver(run, userId, {
+            eventType: NOTIFICATION_EVENTS.STATE_OWNED,
+            dedupeKey: `stateOwned:${entry.$id}`,
+            article,
+            detail
+        });
+    }
+}
+
+/**
+ * `userValidations` új sora → az üzenet címzettjei (a feladó kivételével).
+ * A címzett-feloldás a `maestro-shared/messageRecipients.js`
+ * `resolveRecipientUserIds` generált másolata.
+ */
+async function handleMessage(run, message) {
+    if (!message?.recipientType || !message.articleId) return;
+
+    const article = await getArticle(run, message.articleId);
+    if (!article) return;
+
+    // Csoport-címzettnél csak az adott csoport tagjait kérjük le.
+    const slug = getRecipientGroupSlug(message);
+    const membersBySlug = slug
+        ? { [slug]: (await getGroupMemberIds(run, article.editorialOfficeId, [slug])).map(userId => ({ userId })) }
+        : {};
+    const userIds = resolveRecipientUserIds(message, { membersBySlug, article });
+    if (userIds.length === 0) return;
+
+    const sender = message.createdBy ? await getRecipient(run, message.createdBy) : null;
+    const description = message.description || '';
+    const preview = description.length > MESSAGE_PREVIEW_LENGTH
+        ? `${description.slice(0, MESSAGE_PREVIEW_LENGTH)}…`
+        : description;
+    const detail = `${sender?.name || 'Ismeretlen feladó'}: ${preview}`;
+
+    for (const userId of userIds) {
+        if (userId === message.createdBy) continue;
+        await deliver(run, userId, {
+            eventType: NOTIFICATION_EVENTS.MESSAGE,
+            dedupeKey: `message:${message.$id}`,
+            article,
+            detail
+        });
+    }
+}
+
+// ─── Óránkénti scan ─────────────────────────────────────────────────────────
+
+/**
+ * A következő `NOTIFICATION_HOURS_MAX` órában lejáró lapzárták cikkei: a
+ * közreműködők a saját `deadlineHours` küszöbükön belül kapnak értesítést.
+ * A lapzárta áthelyezése (új `datetime`) új értesítést ad.
+ */
+async function scanDeadlines(run) {
+    const { databases, env, log, now } = run;
+    if (!env.deadlinesCollectionId) {
+        log('[Deadline] DEADLINES_COLLECTION_ID nincs beállítva — a lapzárta scan kimarad');
+        return;
+    }
+
+    const horizon = new Date(now.getTime() + NOTIFICATION_HOURS_MAX * HOUR_MS).toISOString();
+    let cursor = null;
+    while (true) {
+        const queries = [
+            sdk.Query.greaterThan('datetime', now.toISOString()),
+            sdk.Query.lessThanEqual('datetime', horizon),
+            sdk.Query.limit(BATCH_LIMIT)
+        ];
+        if (cursor) queries.push(sdk.Query.cursorAfter(cursor));
+        const batch = await databases.listDocuments(env.databaseId, env.deadlinesCollectionId, queries);
+        for (const deadline of batch.documents) {
+            await notifyDeadline(run, deadline);
+        }
+        if (batch.documents.length < BATCH_LIMIT) break;
+        cursor = batch.documents[batch.documents.length - 1].$id;
+    }
+}
+
+async function notifyDeadline(run, deadline) {
+    const { databases, env, now } = run;
+    if (deadline.startPage == null || deadline.endPage == null || !deadline.publicationId) return;
+
+    const publication = await getPublication(run, deadline.publicationId);
+    if (!publication) return;
+    const compiled = await getCompiled(run, publication);
+    const hoursLeft = (new Date(deadline.datetime).getTime() - now.getTime()) / HOUR_MS;
+    const detail = `Lapzárta: ${formatDateTimeHu(deadline.datetime)} (${Math.max(1, Math.round(hoursLeft))} óra múlva) · ${publication.name || ''}`;
+
+    // A cikk kezdőoldala határozza meg a lapzártáját (`urgency.js` getArticleDeadline).
+    let cursor = null;
+    while (true) {
+        const queries = [
+            sdk.Query.equal('publicationId', deadline.publicationId),
+            sdk.Query.greaterThanEqual('startPage', deadline.startPage),
+            sdk.Query.lessThanEqual('startPage', deadline.endPage),
+            sdk.Query.limit(BATCH_LIMIT)
+        ];
+        if (cursor) queries.push(sdk.Query.cursorAfter(cursor));
+        const batch = await databases.listDocuments(env.databaseId, env.articlesCollectionId, queries);
+        for (const article of batch.documents) {
+            if (typeof article.markers === 'number' && (article.markers & MARKER_IGNORE) !== 0) continue;
+            if (isTerminalState(compiled, article.state)) continue;
+
+            for (const userId of getContributorIds(article)) {
+                const recipient = await getRecipient(run, userId);
+                if (!recipient || hoursLeft > recipient.preferences.deadlineHours) continue;
+                await deliver(run, userId, {
+                    eventType: NOTIFICATION_EVENTS.DEADLINE,
+                    dedupeKey: `deadline:${deadline.$id}:${deadline.datetime}:${article.$id}`,
+                    article,
+                    detail
+                });
+            }
+        }
+        if (batch.documents.length < BATCH_LIMIT) break;
+        cursor = batch.documents[batch.documents.length - 1].$id;
+    }
+}
+
+/**
+ * Régóta zárolt cikkek: a lock-tulajdonos és a közreműködők a saját
+ * `lockHours` küszöbük után kapnak értesítést. Zárolásonként egyszer
+ * (a dedupe kulcs a tulajdonost és a `$updatedAt`-et is tartalmazza).
+ */
+async function scanLocks(run) {
+    const { databases, env, now } = run;
+    const threshold = new Date(now.getTime() - NOTIFICATION_HOURS_MIN * HOUR_MS).toISOString();
+
+    let cursor = null;
+    while (true) {
+        const queries = [
+            sdk.Query.isNotNull('lockOwnerId'),
+            sdk.Query.lessThanEqual('$updatedAt', threshold),
+            sdk.Query.limit(BATCH_LIMIT)
+        ];
+        if (cursor) queries.push(sdk.Query.cursorAfter(cursor));
+        const batch = await databases.listDocuments(env.databaseId, env.articlesCollectionId, queries);
+        for (const article of batch.documents) {
+            const heldHours = Math.floor((now.getTime() - new Date(article.$updatedAt).getTime()) / HOUR_MS);
+            const owner = await getRecipient(run, article.lockOwnerId);
+            const userIds = new Set([article.lockOwnerId, ...getContributorIds(article)]);
+
+            for (const userId of userIds) {
+                const recipient = await getRecipient(run, userId);
+                if (!recipient || heldHours < recipient.preferences.lockHours) continue;
+                const detail = userId === article.lockOwnerId
+                    ? `Te zárolod ${heldHours} órája — ha már nem dolgozol rajta, oldd fel a zárolást.`
+                    : `${owner?.name || 'Ismeretlen felhasználó'} zárolja ${heldHours} órája.`;
+                await deliver(run, userId, {
+                    eventType: NOTIFICATION_EVENTS.LOCK_HELD,
+                    dedupeKey: `lockHeld:${article.$id}:${article.lockOwnerId}:${article.$updatedAt}`,
+                    article,
+                    detail
+                });
+            }
+        }
+        if (batch.documents.length < BATCH_LIMIT) break;
+        cursor = batch.documents[batch.documents.length - 1].$id;
+    }
+}
+
+/**
+ * A `pending` összesítős sorok kiküldése felhasználónként egy e-mailben.
+ * Csak a `NOTIFICATION_DIGEST_HOUR_UTC` órájában (vagy `forceDigest`-tel) fut.
+ */
+async function sendDigests(run, force) {
+    const { databases, env, log, now, stats } = run;
+    if (!env.deliveriesCollectionId) return;
+    if (!force && now.getUTCHours() !== env.digestHourUtc) return;
+
+    const rows = [];
+    let cursor = null;
+    while (rows.length < MAX_DIGEST_ROWS) {
+        const queries = [
+            sdk.Query.equal('status', DELIVERY_STATUS.PENDING),
+            sdk.Query.equal('mode', NOTIFICATION_MODES.DIGEST),
+            sdk.Query.limit(BATCH_LIMIT)
+        ];
+        if (cursor) queries.push(sdk.Query.cursorAfter(cursor));
+        const batch = await databases.listDocuments(env.databaseId, env.deliveriesCollectionId, queries);
+        rows.push(...batch.documents);
+        if (batch.documents.length < BATCH_LIMIT) break;
+        cursor = batch.documents[batch.documents.length - 1].$id;
+    }
+    if (rows.length === 0) return;
+
+    const rowsByUser = new Map();
+    for (const row of rows) {
+        if (!rowsByUser.has(row.userId)) rowsByUser.set(row.userId, []);
+        rowsByUser.get(row.userId).push(row);
+    }
+
+    for (const [userId, userRows] of rowsByUser) {
+        const recipient = await getRecipient(run, userId);
+        if (!recipient) {
+            await markDeliveries(run, userRows.map(r => r.$id), false);
+            continue;
+        }
+        const result = await sendNotificationEmail(run, {
+            to: recipient.email,
+            userId,
+            // Az összesítő több szervezet sorait is hozhatja — csak a címzett-scope él.
+            organizationId: null,
+            subject: `[Maestro] Napi összesítő — ${userRows.length} értesítés`,
+            heading: 'Napi összesítő',
+            intro: `${userRows.length} értesítés gyűlt össze a legutóbbi összesítő óta.`,
+            items: userRows.map(row => ({
+                eventType: row.eventType,
+                title: row.title,
+                detail: row.detail,
+                link: buildArticleLink(env, { $id: row.articleId, publicationId: row.publicationId })
+            })),
+            tag: 'digest'
+        });
+        if (result.success) stats.digests++;
+        else if (result.rateLimited) stats.rateLimited++;
+        else stats.failed++;
+        await markDeliveries(run, userRows.map(r => r.$id), result.success);
+    }
+    log(`[Digest] ${stats.digests} összesítő, ${rows.length} sor`);
+}
+
+function parsePayload(req) {
+    if (!req.body) return {};
+    try {
+        const payload = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+        return payload && typeof payload === 'object' ? payload : {};
+    } catch {
+        return {};
+    }
+}
+
+module.exports = async function ({ req, res, log: rawLog, error: rawError }) {
+    const { log, error } = wrapLogger(rawLog, rawError);
+    try {
+        const client = new sdk.Client()
+            .setEndpoint(process.env.APPWRITE_ENDPOINT || 'https://cloud.appwrite.io/v1')
+            .setProject(process.env.APPWRITE_FUNCTION_PROJECT_ID)
+            .setKey(process.env.APPWRITE_API_KEY);
+
+        const digestHour = parseInt(process.env.NOTIFICATION_DIGEST_HOUR_UTC, 10);
+        const env = {
+            databaseId: process.env.DATABASE_ID,
+            articlesCollectionId: process.env.ARTICLES_COLLECTION_ID,
+            publicationsCollectionId: process.env.PUBLICATIONS_COLLECTION_ID,
+            workflowsCollectionId: process.env.WORKFLOWS_COLLECTION_ID,
+            groupsCollectionId: process.env.GROUPS_COLLECTION_ID,
+            groupMembershipsCollectionId: process.env.GROUP_MEMBERSHIPS_COLLECTION_ID,
+            stateHistoryCollectionId: process.env.ARTICLE_STATE_HISTORY_COLLECTION_ID || '',
+            userValidationsCollectionId: process.env.USER_VALIDATIONS_COLLECTION_ID || '',
+            deadlinesCollectionId: process.env.DEADLINES_COLLECTION_ID || '',
+            deliveriesCollectionId: process.env.NOTIFICATION_DELIVERIES_COLLECTION_ID || '',
+            digestHourUtc: digestHour >= 0 && digestHour <= 23 ? digestHour : DEFAULT_DIGEST_HOUR_UTC,
+            dashboardUrl: (process.env.DASHBOARD_URL || '').replace(/\/$/, ''),
+            resendApiKey: process.env.RESEND_API_KEY || '',
+            // Opcionális: nélkülük az e-mail rate-limit kimarad (`email.js`).
+            ipRateLimitCountersCollectionId: process.env.IP_RATE_LIMIT_COUNTERS_COLLECTION_ID || '',
+            ipRateLimitBlocksCollectionId: process.env.IP_RATE_LIMIT_BLOCKS_COLLECTION_ID || ''
+        };
+
+        const missingEnvVars = [];
+        if (!env.databaseId) missingEnvVars.push('DATABASE_ID');
+        if (!env.articlesCollectionId) missingEnvVars.push('ARTICLES_COLLECTION_ID');
+        if (!env.publicationsCollectionId) missingEnvVars.push('PUBLICATIONS_COLLECTION_ID');
+        if (!env.workflowsCollectionId) missingEnvVars.push('WORKFLOWS_COLLECTION_ID');
+        if (!env.groupsCollectionId) missingEnvVars.push('GROUPS_COLLECTION_ID');
+        if (!env.groupMembershipsCollectionId) missingEnvVars.push('GROUP_MEMBERSHIPS_COLLECTION_ID');
+        if (missingEnvVars.length > 0) {
+            error(`[Config] Hiányzó környezeti változók: ${missingEnvVars.join(', ')}`);
+            return fail(res, 500, 'misconfigured', { missing: missingEnvVars });
+        }
+        if (env.resendApiKey && !(env.ipRateLimitCountersCollectionId && env.ipRateLimitBlocksCollectionId)) {
+            log('[Config] IP_RATE_LIMIT_*_COLLECTION_ID nincs beállítva — az értesítő e-mailek rate-limit nélkül mennek ki');
+        }
+
+        const run = {
+            databases: new sdk.Databases(client),
+            usersApi: new sdk.Users(client),
+            sdk,
+            env,
+            log,
+            error,
+            now: new Date(),
+            userCache: new Map(),
+            publicationCache: new Map(),
+            workflowCache: new Map(),
+            stats: { sent: 0, queued: 0, digests: 0, duplicates: 0, skipped: 0, rateLimited: 0, failed: 0 }
+        };
+
+        const trigger = req.headers['x-appwrite-trigger'] || 'http';
+        const payload = parsePayload(req);
+
+        if (trigger === 'event') {
+            const event = req.headers['x-appwrite-event'] || '';
+            if (env.stateHistoryCollectionId && event.includes(`.collections.${env.stateHistoryCollectionId}.documents.`)) {
+                await handleStateChange(run, payload);
+            } else if (env.userValidationsCollectionId && event.includes(`.collections.${env.userValidationsCollectionId}.documents.`)) {
+                await handleMessage(run, payload);
+            } else {
+                log(`[Event] nem kezelt esemény: ${event} — kihagyva`);
+                return res.json({ success: true, action: 'ignored' });
+            }
+        } else {
+            // Schedule, vagy kézi (Console / API key) végrehajtás.
+            if (env.deliveriesCollectionId) {
+                await scanDeadlines(run);
+                await scanLocks(run);
+            } else {
+                log('[Scan] NOTIFICATION_DELIVERIES_COLLECTION_ID nincs beállítva — dedupe nélkül a scan kimarad');
+            }
+            await sendDigests(run, payload.forceDigest === true);
+        }
+
+        const { stats } = run;
+        log(`Összesítés (${trigger}): ${stats.sent} elküldve, ${stats.queued} összesítőbe, ${stats.digests} összesítő, ${stats.duplicates} duplikátum, ${stats.skipped} kihagyva, ${stats.rateLimited} rate-limitelt, ${stats.failed} hibás`);
+
+        return res.json({
+            success: true,
+            action: trigger === 'event' ? 'event_processed' : 'scheduled_run',
+            skeleton: !env.resendApiKey,
+            ...stats
+        });
+    } catch (err) {
+        error(`Function hiba: ${err.message}`);
+        error(`Stack: ${err.stack}`);
+        return fail(res, 500, 'internal_error', {
+            executionId: req?.headers?.['x-appwrite-execution-id']
+        });
+    }
+};
@@ -0,0 +1,227 @@
+/**
+ * Maestro Shared — Hirdetések (kiadványonkénti hirdetés-foglalások)
+ *
+ * Az `ads` collection egy doc-ja egy hirdetés egy kiadvány egy oldalán:
+ * hirdető, méret (egész / fél / negyed oldal), pozíció az oldalon, státusz
+ * (lefoglalva → anyag beérkezett → jóváhagyva) és a hirdetés anyagának
+ * útvonala. A Dashboard kezeli (kiadvány-beállítások „Hirdetések" fül) és a
+ * flatplanen mutatja, a Plugin `ArticleTable`-je külön sorként listázza.
+ *
+ * Az egész oldalas hirdetés a kiadvány MINDEN layoutjában foglalja az oldalt:
+ * a `publicationStructure.js` átfedés-ellenőrzése hibát ad az oda kerülő
+ * cikkre. A fél és negyed oldalas hirdetés cikk mellé kerül, nem ütközik.
+ */
+
+/**
+ * Hirdetésméretek.
+ * @enum {string}
+ */
+export const AD_SIZES = Object.freeze({
+    FULL: 'full',
+    HALF: 'half',
+    QUARTER: 'quarter'
+});
+
+export const AD_SIZE_VALUES = Object.freeze(Object.values(AD_SIZES));
+
+export const AD_SIZE_LABELS = Object.freeze({
+    [AD_SIZES.FULL]: 'Egész oldal',
+    [AD_SIZES.HALF]: 'Fél oldal',
+    [AD_SIZES.QUARTER]: 'Negyed oldal'
+});
+
+/** Az oldal hányad részét foglalja a méret — a túlfoglalás-ellenőrzéshez. */
+const AD_SIZE_FRACTIONS = Object.freeze({
+    [AD_SIZES.FULL]: 1,
+    [AD_SIZES.HALF]: 0.5,
+    [AD_SIZES.QUARTER]: 0.25
+});
+
+/** Méretenként választható pozíciók (az első az alapértelmezett). Egész oldalnak nincs. */
+export const AD_POSITIONS_BY_SIZE = Object.freeze({
+    [AD_SIZES.FULL]: Object.freeze([]),
+    [AD_SIZES.HALF]: Object.freeze(['bottom', 'top', 'left', 'right']),
+    [AD_SIZES.QUARTER]: Object.freeze(['bottom-right', 'bottom-left', 'top-right', 'top-left'])
+});
+
+export const AD_POSITION_LABELS = Object.freeze({
+    top: 'Felső',
+    bottom: 'Alsó',
+    left: 'Bal',
+    right: 'Jobb',
+    'top-left': 'Bal felső',
+    'top-right': 'Jobb felső',
+    'bottom-left': 'Bal alsó',
+    'bottom-right': 'Jobb alsó'
+});
+
+/**
+ * Hirdetés státuszok, a folyamat sorrendjében.
+ * @enum {string}
+ */
+export const AD_STATUSES = Object.freeze({
+    BOOKED: 'booked',
+    RECEIVED: 'received',
+    APPROVED: 'approved'
+});
+
+export const AD_STATUS_VALUES = Object.freeze(Object.values(AD_STATUSES));
+
+export const AD_STATUS_LABELS = Object.freeze({
+    [AD_STATUSES.BOOKED]: 'Lefoglalva',
+    [AD_STATUSES.RECEIVED]: 'Anyag beérkezett',
+    [AD_STATUSES.APPROVED]: 'Jóváhagyva'
+});
+
+/** A schema mezőhosszai (a `bootstrap_ads_schema` CF action tükre). */
+export const ADVERTISER_MAX_LENGTH = 255;
+export const AD_FILE_PATH_MAX_LENGTH = 1024;
+
+/**
+ * @param {Object} ad
+ * @returns {boolean} Egész oldalas-e (a teljes oldalt foglalja minden layoutban)
+ */
+export function isFullPageAd(ad) {
+    return ad?.size === AD_SIZES.FULL;
+}
+
+/**
+ * A méret alapértelmezett pozíciója (`null` egész oldalnál / ismeretlen méretnél).
+ *
+ * @param {string} size
+ * @returns {string|null}
+ */
+export function getDefaultAdPosition(size) {
+    return AD_POSITIONS_BY_SIZE[size]?.[0] ?? null;
+}
+
+/**
+ * Hirdetések oldalszám szerint csoportosítva, oldalon belül nagyobb méret elöl.
+ * Érvénytelen oldalszámú hirdetés kimarad.
+ *
+ * @param {Array} ads
+ * @returns {Map<number, Object[]>}
+ */
+export function groupAdsByPage(ads) {
+    const byPage = new Map();
+    for (const ad of ads || []) {
+        if (!Number.isInteger(ad?.page)) continue;
+        const list = byPage.get(ad.page);
+        if (list) list.push(ad);
+        else byPage.set(ad.page, [ad]);
+    }
+    for (const list of byPage.values()) {
+        list.sort((a, b) => (AD_SIZE_FRACTIONS[b.size] ?? 0) - (AD_SIZE_FRACTIONS[a.size] ?? 0));
+    }
+    return byPage;
+}
+
+/**
+ * Az egész oldalas hirdetések által foglalt oldalak.
+ *
+ * @param {Array} ads
+ * @returns {Map<number, Object>} oldalszám → az oldalt foglaló hirdetés
+ */
+export function getFullPageAdPages(ads) {
+    const pages = new Map();
+    for (const ad of ads || []) {
+        if (isFullPageAd(ad) && Number.isInteger(ad.page) && !pages.has(ad.page)) {
+            pages.set(ad.page, ad);
+        }
+    }
+    return pages;
+}
+
+/**
+ * A hirdetések ellenőrzése egy kiadványon belül:
+ * 1. ismeretlen méret / státusz, nem illő pozíció — hiba;
+ * 2. terjedelmen kívüli oldal — hiba;
+ * 3. túlfoglalt oldal (a méretek összege > 1 oldal) és azonos pozíción
+ *    ülő hirdetések — hiba az oldal érintett hirdetéseire;
+ * 4. jóváhagyott hirdetés anyag-útvonal nélkül — figyelmeztetés.
+ *
+ * @param {Object} publicationData - `{ publication: { coverageStart, coverageEnd }, ads }`
+ * @returns {Map<string, { errors: string[], warnings: string[] }>} adId → eredmények
+ */
+export function validateAds(publicationData) {
+    const { publication, ads } = publicationData || {};
+    const resultsMap = new Map();
+    if (!publication || !Array.isArray(ads)) return resultsMap;
+
+    const ensureEntry = (adId) => {
+        if (!resultsMap.has(adId)) resultsMap.set(adId, { errors: [], warnings: [] });
+        return resultsMap.get(adId);
+    };
+
+    const pubStart = publication.coverageStart ?? 1;
+    const pubEnd = publication.coverageEnd ?? pubStart;
+
+    for (const ad of ads) {
+        if (!AD_SIZE_VALUES.includes(ad.size)) {
+            ensureEntry(ad.$id).errors.push(`Ismeretlen hirdetésméret: ${ad.size}.`);
+        } else if (ad.position && !AD_POSITIONS_BY_SIZE[ad.size].includes(ad.position)) {
+            ensureEntry(ad.$id).errors.push(
+                `A(z) „${AD_POSITION_LABELS[ad.position] || ad.position}" pozíció nem illik a méretéhez (${AD_SIZE_LABELS[ad.size]}).`
+            );
+        }
+        if (!AD_STATUS_VALUES.includes(ad.status)) {
+            ensureEntry(ad.$id).errors.push(`Ismeretlen hirdetés-státusz: ${ad.status}.`);
+        }
+        if (!Number.isInteger(ad.page) || ad.page < pubStart || ad.page > pubEnd) {
+            ensureEntry(ad.$id).errors.push(`A kiadvány terjedelmén (${pubStart}–${pubEnd}) kívül esik.`);
+        }
+        if (ad.status === AD_STATUSES.APPROVED && !ad.filePath) {
+            ensureEntry(ad.$id).warnings.push('Jóváhagyott hirdetés, de nincs megadva az anyag útvonala.');
+        }
+    }
+
+    for (const [page, pageAds] of groupAdsByPage(ads)) {
+        if (pageAds.length < 2) continue;
+
+        const total = pageAds.reduce((sum, ad) => sum + (AD_SIZE_FRACTIONS[ad.size] ?? 0), 0);
+        if (total > 1) {
+            for (const ad of pageAds) {
+                const others = pageAds.filter(other => other !== ad).map(other => `"${other.advertiser}"`);
+                ensureEntry(ad.$id).errors.push(`Túlfoglalt oldal: ${page}. oldal (${others.join(', ')})`);
+            }
+            continue;
+        }
+
+        const byPosition = new Map();
+        for (const ad of pageAds) {
+            if (!ad.position) continue;
+            const other = byPosition.get(ad.position);
+            if (!other) {
+                byPosition.set(ad.position, ad);
+                continue;
+            }
+            ensureEntry(ad.$id).errors.push(`Azonos pozíció: "${other.advertiser}", ${page}. oldal`);
+            ensureEntry(other.$id).errors.push(`Azonos pozíció: "${ad.advertiser}", ${page}. oldal`);
+        }
+    }
+
+    return resultsMap;
+}
+
+/**
+ * Hirdetés-sorok az `ArticleTable` számára (a `buildPlaceholderRows` mintájára):
+ * a struktúra a cikk-sorokkal kompatibilis a rendezéshez, az `isAd` jelöli.
+ *
+ * @param {Array} ads - A kiadvány hirdetései
+ * @param {Object} publication - A kiadvány (`coverageStart`, `coverageEnd`)
+ * @returns {Array<Object>}
+ */
+export function buildAdRows(ads, publication) {
+    const results = validateAds({ publication, ads });
+    return (ads || []).map(ad => ({
+        $id: `ad-${ad.$id}`,
+        name: ad.advertiser,
+        startPage: ad.page,
+        endPage: ad.page,
+        markers: 0,
+        isAd: true,
+        ad,
+        adErrors: results.get(ad.$id)?.errors || [],
+        adWarnings: results.get(ad.$id)?.warnings || []
+    }));
+}
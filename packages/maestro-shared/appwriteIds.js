@@ -35,7 +35,19 @@ export const COLLECTIONS = {
     PERMISSION_SETS: 'permissionSets',
     GROUP_PERMISSION_SETS: 'groupPermissionSets',
     // ADR 0007 Phase 0 / B.1.1 — Workflow extensions (validator + command)
-    WORKFLOW_EXTENSIONS: 'workflowExtensions'
+    WORKFLOW_EXTENSIONS: 'workflowExtensions',
+    // Cikk-állapot history (append-only audit timeline). Írója KIZÁRÓLAG az
+    // `update-article` CF (API key); read ACL: `team:office_${officeId}`.
+    ARTICLE_STATE_HISTORY: 'articleStateHistory',
+    // Workflow verziók (append-only compiled pillanatképek). Írója KIZÁRÓLAG az
+    // `invite-to-organization` CF workflow action-jei; read ACL: `team:office_${officeId}`.
+    WORKFLOW_VERSIONS: 'workflowVersions',
+    // Workflow extension revíziók (append-only kód-pillanatképek). Írója KIZÁRÓLAG
+    // az `invite-to-organization` CF extension action-jei; read ACL: `team:office_${officeId}`.
+    WORKFLOW_EXTENSION_REVISIONS: 'workflowExtensionRevisions',
+    // Hirdetés-foglalások kiadványonként. A Dashboard írja (tenant doc-ACL),
+    // a collection-t a `bootstrap_ads_schema` CF action hozza létre.
+    ADS: 'ads'
 };
 
 /**
@@ -56,5 +68,6 @@ export const BUCKETS = {
  * @enum {string}
  */
 export const FUNCTIONS = {
-    INVITE_TO_ORGANIZATION: 'invite-to-organization'
+    INVITE_TO_ORGANIZATION: 'invite-to-organization',
+    UPDATE_ARTICLE: 'update-article'
 };
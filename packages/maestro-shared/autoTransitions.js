@@ -0,0 +1,122 @@
+/**
+ * Maestro Shared — Automatikus (időzített) átmenetek
+ *
+ * Platform-független tiszta függvények az állapotonkénti automatikus
+ * átmenetekhez ("ha a cikk 48 órája a `waiting_for_approval`-ban áll, lépjen
+ * vissza `designing`-be, és értesítsük a szerkesztőt").
+ *
+ * Séma: `compiled.autoTransitions[stateId] = { to, afterHours, notifyGroupSlug }`
+ * - `to`: a cél-állapot — a `transitions[]`-ben léteznie kell `stateId → to`
+ *   átmenetnek (a végrehajtás ugyanazon az úton megy, mint egy kézi váltás)
+ * - `afterHours`: hány óra (falióra-idő) után lép
+ * - `notifyGroupSlug`: opcionális — a cikk e csoportba rendelt munkatársa
+ *   e-mail értesítést kap a váltásról
+ *
+ * Kétoldalú: a Designer (`StatePropertiesEditor`, `validator.js`) és a
+ * `scheduled-transitions` CF (generált CommonJS pillanatképként, ld.
+ * `scripts/build-cf-auto-transitions.mjs`) is ezt használja.
+ */
+
+/** A beállítható várakozási idő alsó határa (óra). */
+export const AUTO_TRANSITION_MIN_HOURS = 1;
+
+/** A beállítható várakozási idő felső határa (óra) — 90 nap. */
+export const AUTO_TRANSITION_MAX_HOURS = 24 * 90;
+
+/**
+ * Egy állapot automatikus átmenet-szabályának normalizálása. Hiányzó vagy
+ * hiányos szabály → `null` (nincs automatikus átmenet).
+ *
+ * @param {*} value
+ * @returns {{ to: string, afterHours: number, notifyGroupSlug: string|null }|null}
+ */
+export function normalizeAutoTransition(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+    if (typeof value.to !== 'string' || value.to.length === 0) return null;
+    const afterHours = Number(value.afterHours);
+    if (!Number.isFinite(afterHours) || afterHours <= 0) return null;
+    return {
+        to: value.to,
+        afterHours,
+        notifyGroupSlug: typeof value.notifyGroupSlug === 'string' && value.notifyGroupSlug.length > 0
+            ? value.notifyGroupSlug
+            : null
+    };
+}
+
+/**
+ * @param {Object} compiled
+ * @param {string} stateId
+ * @returns {{ to: string, afterHours: number, notifyGroupSlug: string|null }|null}
+ */
+export function getAutoTransition(compiled, stateId) {
+    return normalizeAutoTransition(compiled?.autoTransitions?.[stateId]);
+}
+
+/**
+ * Azok az állapotok, amelyekhez érvényes automatikus átmenet tartozik.
+ *
+ * @param {Object} compiled
+ * @returns {string[]}
+ */
+export function listAutoTransitionStates(compiled) {
+    const rules = compiled?.autoTransitions;
+    if (!rules || typeof rules !== 'object') return [];
+    return Object.keys(rules).filter(stateId => normalizeAutoTransition(rules[stateId]) !== null);
+}
+
+/**
+ * Lejárt-e a várakozási idő.
+ *
+ * @param {{ afterHours: number }} rule
+ * @param {Date|string} enteredAt - Mikor került a cikk (vagy az ág) az állapotba
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isAutoTransitionDue(rule, enteredAt, now = new Date()) {
+    if (!rule) return false;
+    const entered = new Date(enteredAt);
+    if (isNaN(entered.getTime())) return false;
+    return now.getTime() - entered.getTime() >= rule.afterHours * 60 * 60 * 1000;
+}
+
+/**
+ * Strukturális ellenőrzés mentés előtt (Designer). Minden hibás szabály egy
+ * magyar hibaüzenetet ad.
+ *
+ * @param {Object} compiled
+ * @returns {string[]}
+ */
+export function validateAutoTransitions(compiled) {
+    const errors = [];
+    const rules = compiled?.autoTransitions;
+    if (!rules || typeof rules !== 'object') return errors;
+
+    const states = compiled.states || [];
+    const transitions = compiled.transitions || [];
+    for (const [stateId, raw] of Object.entries(rules)) {
+        const state = states.find(s => s.id === stateId);
+        if (!state) {
+            errors.push(`Automatikus átmenet nem létező állapoton: "${stateId}".`);
+            continue;
+        }
+        const rule = normalizeAutoTransition(raw);
+        if (!rule) {
+            errors.push(`A "${stateId}" állapot automatikus átmenete hiányos (cél-állapot és várakozási idő kötelező).`);
+            continue;
+        }
+        if (state.isTerminal) {
+            errors.push(`Végállapotból ("${stateId}") nem indulhat automatikus átmenet.`);
+        }
+        if (state.kind) {
+            errors.push(`Elágazás / összefutás ("${stateId}") nem kaphat automatikus átmenetet.`);
+        }
+        if (rule.afterHours < AUTO_TRANSITION_MIN_HOURS || rule.afterHours > AUTO_TRANSITION_MAX_HOURS) {
+            errors.push(`A "${stateId}" állapot automatikus átmenetének várakozási ideje ${AUTO_TRANSITION_MIN_HOURS}–${AUTO_TRANSITION_MAX_HOURS} óra lehet.`);
+        }
+        if (!transitions.some(t => t.from === stateId && t.to === rule.to)) {
+            errors.push(`A "${stateId}" állapot automatikus átmenetéhez nincs "${stateId}" → "${rule.to}" átmenet.`);
+        }
+    }
+    return errors;
+}
@@ -173,6 +173,25 @@ export function validateCompiledSlugs(compiled) {
         }
     }
 
+    // 9. autoTransitions[stateId].notifyGroupSlug (opcionális értesítendő csoport)
+    for (const [stateId, rule] of Object.entries(asObject(compiled.autoTransitions, 'autoTransitions'))) {
+        const slug = rule?.notifyGroupSlug;
+        if (typeof slug === 'string' && slug.length > 0 && !allowed.has(slug)) {
+            pushUnknown(slug, `autoTransitions["${stateId}"]`, `A "${stateId}" állapot automatikus átmenetének értesítendő csoportja nem szerepel a workflow felhasználó-csoport listájában: "${slug}".`);
+        }
+    }
+
+    // 10. publicationExtensions.commands[*].allowedGroups (kiadvány-szintű extension parancsok)
+    const pubExtensions = asObject(compiled.publicationExtensions, 'publicationExtensions');
+    for (const cmd of asSlugArray(pubExtensions.commands, 'publicationExtensions.commands')) {
+        const loc = `publicationExtensions.commands["${cmd?.id}"].allowedGroups`;
+        for (const slug of asSlugArray(cmd?.allowedGroups, loc)) {
+            if (!allowed.has(slug)) {
+                pushUnknown(slug, loc, `A "${cmd?.id}" kiadvány-szintű parancs engedélyezett csoportja nem szerepel a workflow felhasználó-csoport listájában: "${slug}".`);
+            }
+        }
+    }
+
     return { valid: errors.length === 0, errors };
 }
 
@@ -10,20 +10,20 @@
  *      write-path számára
  *
  * **Hatókör (B.2.1)**: csak deklaratív + tiszta, sync, DOM-mentes helperek.
- * A futtatott `maestroExtension(input)` JSON kimenetének shape-ellenőrzése
- * (`validateValidatorOutput` / `validateCommandOutput`) **NEM ide tartozik**
- * — az a B.4 plugin runtime hatáskör (az első valódi consumer ott jön elő).
+ * A futtatott `maestroExtension(input)` JSON kimenetének shape-ellenőrzése és
+ * normalizálása (7. blokk) azért él itt, mert két consumere van: a Plugin
+ * runtime (`extensionRegistry.js`) és a Dashboard teszt-futtatás
+ * (`ExtensionTestPanel`) — a kettő így ugyanazt a kontraktus-sértést látja.
  * Ne adjunk hozzá halott "majd egyszer kell" API-t, mielőtt van consumer.
  *
- * **Phase 0 hatókör-szűkítés (B.0.4)**: a per-workflow extension `options`
- * MVP-ben üres / nem továbbított — sem a Designer (`ValidationListField` /
- * `CommandListField`) nem szerkeszti, sem a Plugin runtime nem propagál
- * user-szerkesztett options-t. A JSON I/O szerződés `options?` mezője
- * Phase 1+-ban válik élessé.
+ * **Per-workflow `options`**: az extension opcionális `paramSchema`-ja írja
+ * le, a Designer (`ValidationListField` / `CommandListField`) ebből generált
+ * űrlapon szerkeszti, a Plugin runtime normalizálva adja át. A séma-formátum
+ * és a validálás a `extensionParams.js`-ben él.
  *
  * **Drift-rizikó (manuálisan szinkronban tartandó)**:
- * - `EXTENSION_KIND_VALUES` / `EXTENSION_SCOPE_VALUES` / `EXTENSION_SCOPE_DEFAULT`
- *   inline CJS duplikáció:
+ * - `EXTENSION_KIND_VALUES` / `EXTENSION_SCOPE_VALUES` / `EXTENSION_SCOPE_DEFAULT` /
+ *   `EXTENSION_SDK_API_VERSION` inline CJS duplikáció:
  *   SYNC WITH: `packages/maestro-server/functions/invite-to-organization/src/helpers/constants.js`
  * - `EXTENSION_SLUG_MAX_LENGTH` (= 64) és `EXTENSION_NAME_MAX_LENGTH` (= 100)
  *   a `bootstrap_workflow_extension_schema` action attribute-jaiban hardcode-olva:
@@ -63,6 +63,18 @@ export const MAESTRO_EXTENSION_GLOBAL_NAME = 'maestroExtension';
  */
 export const EXTENSION_REF_PREFIX = 'ext.';
 
+/**
+ * Az ExtendScript-oldali Maestro SDK (`maestro.log` / `maestro.json` /
+ * `maestro.path` / `maestro.doc`) API-verziója. A Plugin runtime a user-kód
+ * elé fűzi az SDK-t (`extensionSdk.js`), az aktiválás pedig a snapshot
+ * minden entry-jébe `sdkVersion`-ként rögzíti — egy régebbi Plugin az
+ * újabb SDK-ra írt extension-t fail-closed elutasítja.
+ *
+ * Visszafelé kompatibilis bővítésnél (új helper) a verzió NEM nő; csak
+ * meglévő helper viselkedésének törésekor.
+ */
+export const EXTENSION_SDK_API_VERSION = 1;
+
 // ── 2. Enum-érték listák (B.1.1 schema-val egyeznek) ─────────────────────────
 
 /**
@@ -73,13 +85,16 @@ export const EXTENSION_REF_PREFIX = 'ext.';
 export const EXTENSION_KIND_VALUES = Object.freeze(['validator', 'command']);
 
 /**
- * A `workflowExtensions.scope` enum Phase 0-ban **CSAK `article`** —
- * fail-closed séma (B.1.1 / Codex adversarial review B.1 2026-05-04 Medium
- * fix). A Phase 1+ `publication` scope egy `updateEnumAttribute`-tal kerül
- * be, így a B.3 CRUD action-nek nem kell explicit `scope: 'publication'`
- * guardot adnia (defense-in-depth a sémából jön).
+ * A `workflowExtensions.scope` enum: `article` (egy cikkre fut, a
+ * `compiled.validations` / `compiled.commands` hivatkozza) vagy
+ * `publication` (a teljes kiadványra fut, a
+ * `compiled.publicationExtensions` hivatkozza). A meglévő sémát a
+ * `bootstrap_workflow_extension_schema` `updateEnumAttribute`-tal bővíti.
+ * A Dashboard szerkesztéskor — a `kind`-hoz hasonlóan — nem engedi
+ * módosítani; az eltérő hatókörű hivatkozást az aktiválás
+ * `extension_scope_mismatch`-csel utasítja el.
  */
-export const EXTENSION_SCOPE_VALUES = Object.freeze(['article']);
+export const EXTENSION_SCOPE_VALUES = Object.freeze(['article', 'publication']);
 
 /**
  * A `workflowExtensions.scope` default értéke (B.1.1 schema-val egyezik).
@@ -224,12 +239,8 @@ export function isExtensionRef(ref) {
 //
 // Az `maestroExtension(input)` ExtendScript globál függvény két kötött
 // kontraktust elégít ki — a `kind` mezőtől függően. A Plugin runtime (B.4)
-// és a Designer dummy-exec (B.3) implementációja ezeket az alakokat
-// validálja a `JSON.parse` után.
-//
-// A tényleges `validateValidatorOutput` / `validateCommandOutput` shape-check
-// helperek **B.4 hatáskörbe** tartoznak (az első valódi consumer ott jön
-// elő). Itt csak a séma-leírás él dokumentációként — implementáció nincs.
+// és a Dashboard teszt-futtatás ezeket az alakokat a 7. blokk
+// `checkValidatorOutput` / `checkCommandOutput` helpereivel validálja.
 //
 // ┌──────────┬──────────────────────────────────────┬──────────────────────────────────────────────┐
 // │ kind     │ input                                │ output                                       │
@@ -243,10 +254,158 @@ export function isExtensionRef(ref) {
 // │          │                                      │   message?: string }                         │
 // └──────────┴──────────────────────────────────────┴──────────────────────────────────────────────┘
 //
-// **Phase 0 (B.0.4)**: az `options?` üres / nem továbbított, lásd a fájl-
-// fejlécet. Phase 1+: `paramSchema` collection-mező + Designer
-// options-szerkesztő + Plugin runtime options-átadás.
+// `scope: 'publication'` extension-nél az `article` helyett a teljes kiadvány
+// kontextusa érkezik (az output alakja változatlan):
+//
+//   validator: { publication, articles, layouts, deadlines, options? }
+//   command:   { publication, articles, layouts, deadlines, options?, publicationRoot }
+//
+// Az `options` a workflow-hivatkozás (`{ validator, options }` /
+// `{ id, allowedGroups, options }`) értéke az extension `paramSchema`-ja
+// szerint normalizálva (`extensionParams.js` `normalizeExtensionOptions`) —
+// séma nélküli extension-nél üres objektum.
 //
 // **`error?` / `message?` szemantika**: ha a kulcs jelen van, a típusa
 // `string` legyen; explicit `null` fail-closed kerülendő (a B.4 shape-
 // validator visszautasítja, ne mossa el a hibás runtime-ot).
+
+// ── 7. Output shape-ellenőrzés + normalizálás ───────────────────────────────
+
+const VALIDATOR_EMPTY_ERRORS_VIOLATION = 'invalid_output_shape: isValid not true and errors[] empty';
+const COMMAND_EMPTY_ERROR_VIOLATION = 'invalid_output_shape: success not true and error empty';
+
+function isStringArray(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Validator output strict shape-check (`{ isValid, errors, warnings }`).
+ *
+ * - nem-objektum → sértés
+ * - `isValid` nem-boolean → sértés
+ * - `errors` / `warnings` jelen van, de nem string-tömb → sértés
+ * - `isValid: false` üres `errors[]`-szel → sértés (a UI különben csak
+ *   generikus hibát tudna mutatni)
+ *
+ * Típuseltérő `errors` elemet szándékosan NEM szűrünk ki: egy
+ * `errors: [{ code: 'X' }]` lista csendben kiürülne, és `isValid: true`
+ * mellett sikeres validálásnak látszana.
+ *
+ * @param {*} value - a `maestroExtension(input)` JSON-parse-olt visszatérése
+ * @returns {string|null} `invalid_output_shape: ...` üzenet, vagy `null`, ha rendben
+ */
+export function checkValidatorOutput(value) {
+    if (!value || typeof value !== 'object') return 'invalid_output_shape: not an object';
+    if (typeof value.isValid !== 'boolean') {
+        return `invalid_output_shape: isValid must be boolean (got ${typeof value.isValid})`;
+    }
+    for (const key of ['errors', 'warnings']) {
+        if (value[key] === undefined) continue;
+        if (!Array.isArray(value[key])) {
+            return `invalid_output_shape: ${key} must be array (got ${typeof value[key]})`;
+        }
+        if (!isStringArray(value[key])) {
+            return `invalid_output_shape: ${key} must contain only strings`;
+        }
+    }
+    if (!value.isValid && !(value.errors?.length > 0)) return VALIDATOR_EMPTY_ERRORS_VIOLATION;
+    return null;
+}
+
+/**
+ * Command output strict shape-check (`{ success, error?, message? }`).
+ * Az `error` / `message` kulcs, ha jelen van, string legyen (explicit `null`
+ * is sértés); `success: false` `error` nélkül szintén.
+ *
+ * @param {*} value
+ * @returns {string|null}
+ */
+export function checkCommandOutput(value) {
+    if (!value || typeof value !== 'object') return 'invalid_output_shape: not an object';
+    if (typeof value.success !== 'boolean') {
+        return `invalid_output_shape: success must be boolean (got ${typeof value.success})`;
+    }
+    for (const key of ['error', 'message']) {
+        if (value[key] !== undefined && typeof value[key] !== 'string') {
+            return `invalid_output_shape: ${key} must be string when present (got ${typeof value[key]})`;
+        }
+    }
+    if (!value.success && !value.error) return COMMAND_EMPTY_ERROR_VIOLATION;
+    return null;
+}
+
+/**
+ * Validator output → a hívók által látott normalizált eredmény. Az üzenetek
+ * `[ext.<slug>] ` prefixet kapnak (a UI így megkülönbözteti a beépített
+ * validátoroktól); kontraktus-sértésnél fail-closed `isValid: false` a sértés
+ * szövegével.
+ *
+ * @param {string} slug
+ * @param {*} value
+ * @returns {{ isValid: boolean, errors: string[], warnings: string[] }}
+ */
+export function normalizeValidatorOutput(slug, value) {
+    const prefix = `[ext.${slug}] `;
+    const violation = checkValidatorOutput(value);
+    if (violation) {
+        // Az üres `errors[]`-ú `isValid: false` alakja egyébként helyes — a
+        // figyelmeztetései megmaradnak.
+        const warnings = violation === VALIDATOR_EMPTY_ERRORS_VIOLATION ? (value.warnings || []) : [];
+        return {
+            isValid: false,
+            errors: [prefix + violation],
+            warnings: warnings.map(w => prefix + w)
+        };
+    }
+    const errors = value.errors || [];
+    return {
+        isValid: value.isValid && errors.length === 0,
+        errors: errors.map(e => prefix + e),
+        warnings: (value.warnings || []).map(w => prefix + w)
+    };
+}
+
+/**
+ * Command output → normalizált eredmény. Kontraktus-sértésnél
+ * `{ success: false, error: '[ext.<slug>] invalid_output_shape: ...' }`.
+ *
+ * @param {string} slug
+ * @param {*} value
+ * @returns {{ success: boolean, error?: string, message?: string }}
+ */
+export function normalizeCommandOutput(slug, value) {
+    const violation = checkCommandOutput(value);
+    if (violation) {
+        return {
+            success: false,
+            error: `[ext.${slug}] ${violation}`,
+            ...(violation === COMMAND_EMPTY_ERROR_VIOLATION ? { message: value.message } : {})
+        };
+    }
+    return { success: value.success, error: value.error, message: value.message };
+}
+
+/**
+ * A `maestroExtension(input)` bemenete — a Plugin hívási pontjai és a
+ * Dashboard teszt-futtatás ugyanígy állítja össze (6. blokk táblázata).
+ * Az `options` itt még a workflow-hivatkozás nyers értéke; a Plugin
+ * dispatch (és a teszt-futtatás) a `paramSchema` szerint normalizálja.
+ *
+ * @param {Object} params
+ * @param {string} params.kind - 'validator' | 'command'
+ * @param {string} params.scope - 'article' | 'publication'
+ * @param {Object} [params.article] - cikk-szintű hatókörnél a cikk dokumentum
+ * @param {Object} [params.publication] - a kiadvány dokumentum
+ * @param {Object[]} [params.articles] - kiadvány-szintű hatókörnél a kiadvány cikkei
+ * @param {Object[]} [params.layouts] - kiadvány-szintű hatókörnél a kiadvány layoutjai
+ * @param {Object[]} [params.deadlines] - kiadvány-szintű hatókörnél a kiadvány határidői
+ * @param {Object} [params.options]
+ * @returns {Object}
+ */
+export function buildExtensionInput({ kind, scope, article, publication, articles, layouts, deadlines, options }) {
+    const input = scope === 'publication'
+        ? { publication, articles: articles || [], layouts: layouts || [], deadlines: deadlines || [], options }
+        : { article, options };
+    if (kind === 'command') input.publicationRoot = publication?.rootPath ?? null;
+    return input;
+}
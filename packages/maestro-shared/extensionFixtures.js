@@ -0,0 +1,104 @@
+/**
+ * Maestro Shared — Workflow extension teszt-fixture-ök
+ *
+ * A Dashboard extension-szerkesztő teszt-futtatás panelje a kiválasztott
+ * minta-cikkből / kiadványból összerakott `maestroExtension(input)` bemenetet
+ * névvel elmentheti. A fixture-ök az extension dokumentum `testFixtures`
+ * mezőjében (JSON string) tárolódnak, a runtime (Plugin, aktiválási
+ * snapshot) nem olvassa őket.
+ *
+ * Formátum: `{ name, input }` objektumok tömbje —
+ * - `name`: a fixture neve (nem üres, max 100 karakter, extension-ön belül egyedi)
+ * - `input`: a mentett bemenet (objektum; a `buildExtensionInput` alakja)
+ *
+ * Kétoldalú: a Dashboard és az `invite-to-organization` CF (generált CommonJS
+ * pillanatképként, ld. `scripts/build-cf-extension-fixtures.mjs`) is ezt
+ * használja.
+ */
+
+/** A szerializált fixture-lista felső mérete (a `testFixtures` attribútum mérete). */
+export const TEST_FIXTURES_MAX_LENGTH = 65536;
+
+/** Egy extension legfeljebb ennyi fixture-t tárolhat. */
+export const TEST_FIXTURES_MAX_COUNT = 20;
+
+/** A fixture nevének maximális hossza. */
+export const TEST_FIXTURE_NAME_MAX_LENGTH = 100;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * A `testFixtures` (JSON string vagy már parse-olt tömb) validálása és
+ * normalizálása. Üres érték (`null`, `undefined`, `''`) → nincs fixture.
+ *
+ * @param {string|Array|null|undefined} raw
+ * @returns {{ fixtures: Object[], errors: string[] }} hiba esetén `fixtures` üres
+ */
+export function parseTestFixtures(raw) {
+    if (raw === null || raw === undefined || (typeof raw === 'string' && raw.trim() === '')) {
+        return { fixtures: [], errors: [] };
+    }
+
+    let parsed = raw;
+    if (typeof raw === 'string') {
+        try {
+            parsed = JSON.parse(raw);
+        } catch {
+            return { fixtures: [], errors: ['A teszt-fixture lista nem érvényes JSON.'] };
+        }
+    }
+    if (!Array.isArray(parsed)) {
+        return { fixtures: [], errors: ['A teszt-fixture lista { name, input } objektumok tömbje kell legyen.'] };
+    }
+    if (parsed.length > TEST_FIXTURES_MAX_COUNT) {
+        return { fixtures: [], errors: [`Legfeljebb ${TEST_FIXTURES_MAX_COUNT} teszt-fixture menthető.`] };
+    }
+
+    const errors = [];
+    const fixtures = [];
+    const seenNames = new Set();
+    parsed.forEach((item, index) => {
+        const where = `A(z) ${index + 1}. fixture`;
+        if (!isPlainObject(item)) {
+            errors.push(`${where} nem objektum.`);
+            return;
+        }
+        const name = typeof item.name === 'string' ? item.name.trim() : '';
+        if (!name || name.length > TEST_FIXTURE_NAME_MAX_LENGTH) {
+            errors.push(`${where} neve 1–${TEST_FIXTURE_NAME_MAX_LENGTH} karakteres szöveg lehet.`);
+            return;
+        }
+        if (seenNames.has(name)) {
+            errors.push(`A(z) "${name}" fixture-név többször szerepel.`);
+            return;
+        }
+        if (!isPlainObject(item.input)) {
+            errors.push(`A(z) "${name}" fixture bemenete (input) objektum kell legyen.`);
+            return;
+        }
+        seenNames.add(name);
+        fixtures.push({ name, input: item.input });
+    });
+    if (errors.length > 0) return { fixtures: [], errors };
+
+    if (JSON.stringify(fixtures).length > TEST_FIXTURES_MAX_LENGTH) {
+        return {
+            fixtures: [],
+            errors: [`A teszt-fixture-ök együtt legfeljebb ${TEST_FIXTURES_MAX_LENGTH} karakter lehetnek — törölj egy nagyobb fixture-t.`]
+        };
+    }
+    return { fixtures, errors };
+}
+
+/**
+ * Normalizált fixture-lista → tárolható JSON string (`null`, ha üres).
+ *
+ * @param {Object[]} fixtures - `parseTestFixtures` eredménye
+ * @returns {string|null}
+ */
+export function serializeTestFixtures(fixtures) {
+    if (!Array.isArray(fixtures) || fixtures.length === 0) return null;
+    return JSON.stringify(fixtures);
+}
@@ -0,0 +1,153 @@
+/**
+ * Maestro Shared — Üzenet-inbox (olvasott / olvasatlan állapot)
+ *
+ * A felhasználónak (vagy a csoportjainak, illetve a cikkek közreműködőinek)
+ * címzett cikk-üzenetek (`userValidations`) szerkesztőség-szintű listája és
+ * az olvasási állapot kezelése. A Plugin fejléc-badge (`WorkspaceHeader`) és
+ * a Dashboard üzenet-panel ugyanezekkel a tiszta függvényekkel számol.
+ *
+ * Olvasási állapot: a felhasználó Appwrite account `prefs`-ében él
+ * (`prefs[INBOX_PREFS_KEY][editorialOfficeId]`), így eszközök és a két kliens
+ * között is közös, és nem kell hozzá collection:
+ * - `readBefore`: ISO időpont — az ennél nem újabb üzenetek olvasottak
+ *   („mind olvasott")
+ * - `readIds`: a `readBefore` után egyenként olvasottnak jelölt üzenetek
+ *   (legfeljebb `INBOX_MAX_READ_IDS`, a legrégebbiek esnek ki)
+ *
+ * Az `updatePrefs` a teljes prefs objektumot cseréli, ezért a módosító
+ * függvények a teljes (friss) prefs-ből építik az újat.
+ */
+
+import { isMessageRecipient } from './messageRecipients.js';
+
+/** A prefs kulcs, amely alatt az inbox állapota él. */
+export const INBOX_PREFS_KEY = 'maestroInbox';
+
+/** Az egyenként olvasottnak jelölt üzenetek felső korlátja szerkesztőségenként. */
+export const INBOX_MAX_READ_IDS = 500;
+
+/** Ennyi legutóbbi üzenetet mindenképp lekér az inbox szerkesztőségenként (olvasottakat is). */
+export const INBOX_FETCH_LIMIT = 200;
+
+/** Az inbox-lekérés lapmérete (`Query.limit` + `Query.cursorAfter`). */
+export const INBOX_PAGE_SIZE = 100;
+
+/**
+ * A lapozás felső korlátja szerkesztőségenként — a `readBefore` nélküli
+ * (soha „mind olvasott"-ra nem jelölt) inbox se olvassa végig a teljes
+ * üzenet-történetet.
+ */
+export const INBOX_MAX_FETCH = 1000;
+
+/**
+ * Egy szerkesztőség olvasási állapota a prefs-ből.
+ *
+ * @param {Object|null} prefs - Az account teljes prefs objektuma
+ * @param {string} editorialOfficeId
+ * @returns {{ readBefore: string|null, readIds: Set<string> }}
+ */
+export function getInboxReadState(prefs, editorialOfficeId) {
+    const entry = prefs?.[INBOX_PREFS_KEY]?.[editorialOfficeId];
+    return {
+        readBefore: typeof entry?.readBefore === 'string' ? entry.readBefore : null,
+        readIds: new Set(Array.isArray(entry?.readIds) ? entry.readIds : [])
+    };
+}
+
+/**
+ * @param {Object} message - `userValidations` dokumentum
+ * @param {{ readBefore: string|null, readIds: Set<string> }} readState
+ * @returns {boolean}
+ */
+export function isInboxMessageUnread(message, readState) {
+    const createdAt = message.$createdAt || message.createdAt;
+    if (readState.readBefore && createdAt && new Date(createdAt) <= new Date(readState.readBefore)) {
+        return false;
+    }
+    return !readState.readIds.has(message.$id);
+}
+
+function withOfficeEntry(prefs, editorialOfficeId, entry) {
+    const inbox = { ...(prefs?.[INBOX_PREFS_KEY] || {}), [editorialOfficeId]: entry };
+    return { ...(prefs || {}), [INBOX_PREFS_KEY]: inbox };
+}
+
+/**
+ * Üzenetek olvasottnak jelölése.
+ *
+ * @param {Object|null} prefs - Az account teljes (friss) prefs objektuma
+ * @param {string} editorialOfficeId
+ * @param {string[]} messageIds
+ * @returns {Object} Az új, teljes prefs objektum (`account.updatePrefs`-hez)
+ */
+export function markInboxMessagesRead(prefs, editorialOfficeId, messageIds) {
+    const { readBefore, readIds } = getInboxReadState(prefs, editorialOfficeId);
+    for (const id of messageIds) {
+        // Újrabeszúrás → a friss jelölés a lista végére kerül, a vágás nem dobja el.
+        readIds.delete(id);
+        readIds.add(id);
+    }
+    const list = [...readIds].slice(-INBOX_MAX_READ_IDS);
+    return withOfficeEntry(prefs, editorialOfficeId, { readBefore, readIds: list });
+}
+
+/**
+ * Minden eddigi üzenet olvasottnak jelölése a szerkesztőségben.
+ *
+ * @param {Object|null} prefs - Az account teljes (friss) prefs objektuma
+ * @param {string} editorialOfficeId
+ * @param {Date} [now]
+ * @returns {Object} Az új, teljes prefs objektum
+ */
+export function markAllInboxMessagesRead(prefs, editorialOfficeId, now = new Date()) {
+    return withOfficeEntry(prefs, editorialOfficeId, { readBefore: now.toISOString(), readIds: [] });
+}
+
+/**
+ * Kell-e a következő lap az inbox-lekérésben (`$createdAt` szerint csökkenő
+ * sorrend). Az üzenetek a szerkesztőség összes üzenetéből jönnek, a címzett
+ * szerinti szűrés kliens-oldali (csoporttagság, közreműködők) — ezért addig
+ * lapozunk, amíg a `readBefore` vízjelnél újabb (potenciálisan olvasatlan)
+ * üzenetek tartanak, legalább `INBOX_FETCH_LIMIT`, legfeljebb `INBOX_MAX_FETCH`
+ * üzenetig.
+ *
+ * @param {number} fetchedCount - Az eddig lekért üzenetek száma
+ * @param {Object[]} lastPage - Az utolsó lap üzenetei
+ * @param {string|null} readBefore - A `getInboxReadState` vízjele
+ * @returns {boolean}
+ */
+export function shouldFetchNextInboxPage(fetchedCount, lastPage, readBefore) {
+    if (lastPage.length < INBOX_PAGE_SIZE) return false;
+    if (fetchedCount >= INBOX_MAX_FETCH) return false;
+    if (fetchedCount < INBOX_FETCH_LIMIT) return true;
+    if (!readBefore) return true;
+    const oldest = lastPage[lastPage.length - 1]?.$createdAt;
+    return !!oldest && new Date(oldest) > new Date(readBefore);
+}
+
+/**
+ * Az inbox elemei: a felhasználónak szóló, mások által küldött üzenetek
+ * (legújabb elöl). A rendszer-bejegyzések (`recipientType: null`) és a
+ * törölt cikkek üzenetei kimaradnak.
+ *
+ * @param {Object[]} messages - `userValidations` dokumentumok
+ * @param {Object} context
+ * @param {string} context.userId
+ * @param {Object.<string, Array<{userId: string}>>} context.membersBySlug
+ * @param {Map<string, Object>} context.articlesById - Cikkek (`contributors`, `name`, `publicationId`)
+ * @param {{ readBefore: string|null, readIds: Set<string> }} context.readState
+ * @returns {Array<{ message: Object, article: Object, unread: boolean }>}
+ */
+export function buildInboxItems(messages, { userId, membersBySlug, articlesById, readState }) {
+    const items = [];
+    for (const message of messages) {
+        if (!message.recipientType || message.createdBy === userId) continue;
+        const article = articlesById.get(message.articleId);
+        if (!article) continue;
+        if (!isMessageRecipient(message, userId, { membersBySlug, article })) continue;
+        items.push({ message, article, unread: isInboxMessageUnread(message, readState) });
+    }
+    return items.sort((a, b) =>
+        new Date(b.message.$createdAt || 0) - new Date(a.message.$createdAt || 0)
+    );
+}
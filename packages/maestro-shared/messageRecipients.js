@@ -0,0 +1,138 @@
+/**
+ * Maestro Shared — Cikk-üzenetek címzettjei
+ *
+ * A `userValidations` bejegyzések címzett-típusai és az olvasáskori
+ * címzett-feloldás. A csoporttagságot (`groupMemberships`) és a cikk
+ * közreműködőit mindig az aktuális állapot szerint számítjuk — az üzenet
+ * csak a címzett típusát és (csoportnál) a csoport slug-ját tárolja.
+ *
+ * A Plugin üzenetküldője (`ValidationSection`), valamint a Plugin és a
+ * Dashboard üzenet-inboxa (`messageInbox.js`) használja. A címzett / feladó
+ * nevét a `useContributorGroups` csoportjaiból és tagjaiból oldja fel. A
+ * `workflow-notifications` és az `invite-to-organization` CF generált CommonJS
+ * pillanatképként kapja (ld. `scripts/build-cf-message-recipients.mjs`).
+ */
+
+import { parseContributors } from './contributorHelpers.js';
+
+/**
+ * Címzett típusok.
+ * @enum {string}
+ */
+export const RECIPIENT_TYPES = {
+    USER: 'user',                                   // Egy konkrét felhasználó (`recipientUserId`)
+    GROUP: 'group',                                 // A szerkesztőség egy csoportja (`recipientGroupSlug`)
+    ARTICLE_CONTRIBUTORS: 'article_contributors'    // A cikk összes közreműködője
+};
+
+/** Címzett típusok megnevezései. */
+export const RECIPIENT_TYPE_LABELS = {
+    [RECIPIENT_TYPES.USER]: 'Egyéni címzett',
+    [RECIPIENT_TYPES.GROUP]: 'Csoport',
+    [RECIPIENT_TYPES.ARTICLE_CONTRIBUTORS]: 'A cikk összes közreműködője'
+};
+
+/** Egy felhasználó keresése a csoporttagok között. */
+function findMember(membersBySlug, userId) {
+    for (const members of Object.values(membersBySlug || {})) {
+        const member = members.find(m => m.userId === userId);
+        if (member) return member;
+    }
+    return null;
+}
+
+/**
+ * A dinamikus csoportok előtti, fix címzett típusok → csoport slug.
+ * A `migrate_validation_recipients` CF action ezeket írja át
+ * `recipientType: 'group'` + `recipientGroupSlug` alakra; a még nem migrált
+ * sorokat az olvasó oldal ugyanezzel a leképezéssel kezeli.
+ */
+export const LEGACY_RECIPIENT_GROUP_SLUGS = {
+    all_designers: 'designers',
+    all_editors: 'editors',
+    all_image_editors: 'image_editors'
+};
+
+/**
+ * A címzett csoport slug-ja (új és legacy sorokra egyaránt).
+ *
+ * @param {Object} message - Az üzenet objektum.
+ * @returns {string|null} A csoport slug-ja, vagy null, ha nem csoportnak szól.
+ */
+export function getRecipientGroupSlug(message) {
+    if (message.recipientType === RECIPIENT_TYPES.GROUP) return message.recipientGroupSlug || null;
+    return LEGACY_RECIPIENT_GROUP_SLUGS[message.recipientType] || null;
+}
+
+/**
+ * A címzett felhasználók feloldása olvasáskor.
+ *
+ * @param {Object} message - Az üzenet objektum.
+ * @param {Object} context
+ * @param {Object.<string, Array<{userId: string}>>} [context.membersBySlug] - Csoporttagok slug szerint.
+ * @param {Object} [context.article] - A cikk (a `contributors` JSON mezővel).
+ * @returns {string[]} A címzett userId-k (deduplikálva).
+ */
+export function resolveRecipientUserIds(message, { membersBySlug = {}, article = null } = {}) {
+    if (message.recipientType === RECIPIENT_TYPES.USER) {
+        return message.recipientUserId ? [message.recipientUserId] : [];
+    }
+    if (message.recipientType === RECIPIENT_TYPES.ARTICLE_CONTRIBUTORS) {
+        const contributors = Object.values(parseContributors(article?.contributors)).filter(Boolean);
+        return [...new Set(contributors)];
+    }
+    const slug = getRecipientGroupSlug(message);
+    if (!slug) return [];
+    return [...new Set((membersBySlug[slug] || []).map(m => m.userId))];
+}
+
+/**
+ * Az adott felhasználónak szól-e az üzenet.
+ *
+ * @param {Object} message - Az üzenet objektum.
+ * @param {string} userId - A vizsgált felhasználó.
+ * @param {Object} context - Ld. `resolveRecipientUserIds`.
+ * @returns {boolean}
+ */
+export function isMessageRecipient(message, userId, context) {
+    if (!userId) return false;
+    return resolveRecipientUserIds(message, context).includes(userId);
+}
+
+/**
+ * Visszaadja a címzett megjelenítendő nevét.
+ * Ha konkrét felhasználó a címzett, megkeresi a nevét a csoporttagok között.
+ * Ha csoportnak szól, a csoport aktuális nevét adja vissza (archivált vagy
+ * törölt csoportnál a slug-ot).
+ *
+ * @param {Object} message - Az üzenet objektum.
+ * @param {Object} context - `{ groups, membersBySlug }` (`useContributorGroups`).
+ * @returns {string} A címzett megjelenítendő neve.
+ */
+export function getRecipientName(message, { groups = [], membersBySlug = {} } = {}) {
+    if (message.recipientType === RECIPIENT_TYPES.USER && message.recipientUserId) {
+        const user = findMember(membersBySlug, message.recipientUserId);
+        return user?.userName || user?.userEmail || 'Ismeretlen felhasználó';
+    }
+
+    const slug = getRecipientGroupSlug(message);
+    if (slug) {
+        const group = groups.find(g => g.slug === slug);
+        return group?.name || slug;
+    }
+
+    return RECIPIENT_TYPE_LABELS[message.recipientType] || 'Ismeretlen';
+}
+
+/**
+ * Visszaadja a feladó megjelenítendő nevét.
+ * Megkeresi a feladó nevét a csoporttagok között az üzenet `createdBy` ID-ja alapján.
+ *
+ * @param {Object} message - Az üzenet objektum.
+ * @param {Object} context - `{ membersBySlug }` (`useContributorGroups`).
+ * @returns {string} A feladó megjelenítendő neve.
+ */
+export function getSenderName(message, { membersBySlug = {} } = {}) {
+    const user = findMember(membersBySlug, message.createdBy);
+    return user?.userName || user?.userEmail || 'Ismeretlen feladó';
+}
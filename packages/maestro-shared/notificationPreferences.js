@@ -0,0 +1,164 @@
+/**
+ * Maestro Shared — Értesítési beállítások (e-mail)
+ *
+ * A workflow-eseményekről szóló e-mail értesítések felhasználónkénti
+ * beállításai. Az Appwrite account prefs `maestroNotifications` kulcsa alatt
+ * élnek (a `messageInbox.js` olvasási állapota mellett), így a felhasználó a
+ * saját session-jével írja őket, a `workflow-notifications` CF pedig API
+ * key-jel olvassa (`users.get` → `prefs`).
+ *
+ * Minden esemény alapértelmezetten kikapcsolt (opt-in). Eseményenként három
+ * mód választható: kikapcsolva, azonnali e-mail, vagy napi összesítő (digest).
+ *
+ * A Dashboard `SettingsAccountRoute` értesítési szekciója és a CF
+ * (`_generated_notificationPreferences.js`, `yarn build:cf-notification-preferences`)
+ * használja.
+ *
+ * Séma:
+ *   {
+ *     events: { stateOwned: 'off'|'instant'|'digest', message: ..., deadline: ..., lockHeld: ... },
+ *     deadlineHours: number,   // ennyi órával a lapzárta előtt jelez
+ *     lockHours: number        // ennyi óra zárolás után jelez
+ *   }
+ */
+
+/** Az account prefs kulcsa. */
+export const NOTIFICATION_PREFS_KEY = 'maestroNotifications';
+
+/**
+ * Értesítési események.
+ * @enum {string}
+ */
+export const NOTIFICATION_EVENTS = {
+    STATE_OWNED: 'stateOwned',      // A cikk a csoportom által kezelt állapotba lépett
+    MESSAGE: 'message',             // Nekem (vagy a csoportomnak) szóló cikk-üzenet
+    DEADLINE: 'deadline',           // Közeleg a cikkeim lapzártája
+    LOCK_HELD: 'lockHeld'           // Egy cikk (általam vagy a cikkemen) régóta zárolva
+};
+
+/** Az események megnevezései (beállítások UI, e-mail tárgy). */
+export const NOTIFICATION_EVENT_LABELS = {
+    [NOTIFICATION_EVENTS.STATE_OWNED]: 'Cikk a csoportom állapotában',
+    [NOTIFICATION_EVENTS.MESSAGE]: 'Nekem szóló üzenet',
+    [NOTIFICATION_EVENTS.DEADLINE]: 'Közelgő lapzárta',
+    [NOTIFICATION_EVENTS.LOCK_HELD]: 'Régóta zárolt cikk'
+};
+
+/**
+ * Kézbesítési módok.
+ * @enum {string}
+ */
+export const NOTIFICATION_MODES = {
+    OFF: 'off',
+    INSTANT: 'instant',
+    DIGEST: 'digest'
+};
+
+/** A módok megnevezései. */
+export const NOTIFICATION_MODE_LABELS = {
+    [NOTIFICATION_MODES.OFF]: 'Kikapcsolva',
+    [NOTIFICATION_MODES.INSTANT]: 'Azonnal',
+    [NOTIFICATION_MODES.DIGEST]: 'Napi összesítő'
+};
+
+/** Alapértelmezett előjelzés a lapzárta előtt (óra). */
+export const DEFAULT_DEADLINE_HOURS = 24;
+
+/** Alapértelmezett zárolási küszöb (óra). */
+export const DEFAULT_LOCK_HOURS = 8;
+
+/** Az óra-küszöbök megengedett tartománya (1 óra – 1 hét). */
+export const NOTIFICATION_HOURS_MIN = 1;
+export const NOTIFICATION_HOURS_MAX = 168;
+
+/**
+ * Az alapértelmezett (minden esemény kikapcsolt) beállítás.
+ *
+ * @returns {{ events: Object.<string, string>, deadlineHours: number, lockHours: number }}
+ */
+export function createDefaultNotificationPreferences() {
+    const events = {};
+    for (const eventType of Object.values(NOTIFICATION_EVENTS)) {
+        events[eventType] = NOTIFICATION_MODES.OFF;
+    }
+    return {
+        events,
+        deadlineHours: DEFAULT_DEADLINE_HOURS,
+        lockHours: DEFAULT_LOCK_HOURS
+    };
+}
+
+/** Egész óra a megengedett tartományba szorítva; érvénytelen érték → fallback. */
+function clampHours(value, fallback) {
+    const hours = Math.round(Number(value));
+    if (!Number.isFinite(hours)) return fallback;
+    return Math.min(NOTIFICATION_HOURS_MAX, Math.max(NOTIFICATION_HOURS_MIN, hours));
+}
+
+/**
+ * Tetszőleges (akár hiányos vagy sérült) érték → teljes, érvényes beállítás.
+ * Az ismeretlen eseményeket és módokat eldobja, a hiányzókat alapértékkel tölti.
+ *
+ * @param {*} value
+ * @returns {{ events: Object.<string, string>, deadlineHours: number, lockHours: number }}
+ */
+export function normalizeNotificationPreferences(value) {
+    const result = createDefaultNotificationPreferences();
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return result;
+
+    const validModes = Object.values(NOTIFICATION_MODES);
+    const events = value.events && typeof value.events === 'object' ? value.events : {};
+    for (const eventType of Object.keys(result.events)) {
+        if (validModes.includes(events[eventType])) result.events[eventType] = events[eventType];
+    }
+    result.deadlineHours = clampHours(value.deadlineHours, DEFAULT_DEADLINE_HOURS);
+    result.lockHours = clampHours(value.lockHours, DEFAULT_LOCK_HOURS);
+    return result;
+}
+
+/**
+ * A felhasználó értesítési beállításai az account prefs-ből.
+ *
+ * @param {Object|null} prefs - `account.getPrefs()` / `users.get().prefs`
+ * @returns {{ events: Object.<string, string>, deadlineHours: number, lockHours: number }}
+ */
+export function getNotificationPreferences(prefs) {
+    return normalizeNotificationPreferences(prefs?.[NOTIFICATION_PREFS_KEY]);
+}
+
+/**
+ * Az értesítési beállítások beírása a prefs-be (immutábilis). Az
+ * `account.updatePrefs` a teljes objektumot cseréli, ezért a többi kulcsot
+ * (pl. az inbox olvasási állapotát) változatlanul megtartja.
+ *
+ * @param {Object|null} prefs - A friss szerver-prefs.
+ * @param {Object} preferences - Az új értesítési beállítás.
+ * @returns {Object} Az új prefs objektum.
+ */
+export function setNotificationPreferences(prefs, preferences) {
+    return {
+        ...(prefs || {}),
+        [NOTIFICATION_PREFS_KEY]: normalizeNotificationPreferences(preferences)
+    };
+}
+
+/**
+ * Egy esemény kézbesítési módja.
+ *
+ * @param {Object} preferences - Normalizált beállítás.
+ * @param {string} eventType - `NOTIFICATION_EVENTS` érték.
+ * @returns {string} `NOTIFICATION_MODES` érték.
+ */
+export function getNotificationMode(preferences, eventType) {
+    return preferences?.events?.[eventType] || NOTIFICATION_MODES.OFF;
+}
+
+/**
+ * Kér-e a felhasználó bármilyen e-mail értesítést.
+ *
+ * @param {Object} preferences - Normalizált beállítás.
+ * @returns {boolean}
+ */
+export function hasAnyNotificationEnabled(preferences) {
+    return Object.values(preferences?.events || {}).some(mode => mode !== NOTIFICATION_MODES.OFF);
+}
@@ -0,0 +1,165 @@
+/**
+ * Maestro Shared — Kimenő webhookok (szerkesztőségi feliratkozások)
+ *
+ * Egy szerkesztőség külső rendszert (pl. CMS) értesíthet cikk- és kiadvány-
+ * eseményekről. A feliratkozás (név, URL, eseményszűrő, HMAC secret) az
+ * `officeWebhooks` collection egy sora; a kézbesítést az `office-webhooks` CF
+ * végzi újrapróbálkozással és `webhookDeliveries` naplóval.
+ *
+ * Az aláírás a Svix / Standard Webhooks sémát követi (mint a Resend által
+ * küldött, a `resend-webhook` CF-ben ellenőrzött hívások):
+ *   - `webhook-id`: a kézbesítés egyedi azonosítója (retry-nál változatlan)
+ *   - `webhook-timestamp`: a küldési kísérlet Unix ideje (másodperc)
+ *   - `webhook-signature`: `v1,<base64(HMAC-SHA256(secret, "<id>.<timestamp>.<body>"))>`
+ * A secret formátuma `whsec_<base64>`; a HMAC kulcsa a base64-dekódolt rész.
+ *
+ * A Dashboard `EditorialOfficeWebhooksTab`, az `invite-to-organization` CF
+ * webhook action-jei és az `office-webhooks` CF használja
+ * (`_generated_officeWebhooks.js`, `yarn build:cf-office-webhooks`).
+ */
+
+/**
+ * Webhook események.
+ * @enum {string}
+ */
+export const WEBHOOK_EVENTS = {
+    ARTICLE_STATE_TERMINAL: 'article.state_terminal',  // A cikk végállapotba lépett
+    PUBLICATION_ACTIVATED: 'publication.activated'     // A kiadványt aktiválták
+};
+
+/** Az események megnevezései (beállítások UI). */
+export const WEBHOOK_EVENT_LABELS = {
+    [WEBHOOK_EVENTS.ARTICLE_STATE_TERMINAL]: 'Cikk végállapotba lépett',
+    [WEBHOOK_EVENTS.PUBLICATION_ACTIVATED]: 'Kiadvány aktiválva'
+};
+
+/**
+ * Kézbesítési állapotok (`webhookDeliveries.status`).
+ * @enum {string}
+ */
+export const WEBHOOK_DELIVERY_STATUS = {
+    PENDING: 'pending',       // Kézbesítésre vagy újrapróbálkozásra vár
+    SUCCEEDED: 'succeeded',   // A cél 2xx-szel válaszolt
+    FAILED: 'failed'          // Elfogytak a kísérletek (vagy a webhook megszűnt)
+};
+
+/** Az aláírás HTTP headerei. */
+export const WEBHOOK_SIGNATURE_HEADERS = {
+    ID: 'webhook-id',
+    TIMESTAMP: 'webhook-timestamp',
+    SIGNATURE: 'webhook-signature'
+};
+
+/** A secret prefixe (Svix-kompatibilis). */
+export const WEBHOOK_SECRET_PREFIX = 'whsec_';
+
+/** Egy szerkesztőség legfeljebb ennyi webhookot tarthat fenn. */
+export const MAX_WEBHOOKS_PER_OFFICE = 10;
+
+export const WEBHOOK_NAME_MAX_LENGTH = 128;
+export const WEBHOOK_URL_MAX_LENGTH = 2048;
+
+/** Egy kézbesítés legfeljebb ennyi kísérletet kap (az első küldéssel együtt). */
+export const WEBHOOK_MAX_ATTEMPTS = 8;
+
+/** Az első újrapróbálkozás késleltetése; minden további kísérletnél duplázódik. */
+export const WEBHOOK_RETRY_BASE_MS = 60 * 1000;
+
+/** A késleltetés felső korlátja. */
+export const WEBHOOK_RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+
+// Belső hálózatra mutató hosztok — a CF ne legyen SSRF-proxy. Csak a
+// literál címeket szűrjük; a DNS-feloldás utáni ellenőrzés a CF runtime
+// hálózati szintjének dolga.
+const PRIVATE_HOST_PATTERNS = [
+    /^localhost$/i,
+    /\.localhost$/i,
+    /\.internal$/i,
+    /^127\./,
+    /^10\./,
+    /^192\.168\./,
+    /^172\.(1[6-9]|2\d|3[01])\./,
+    /^169\.254\./,
+    /^0\./,
+    /^\[?::1\]?$/,
+    /^\[?f[cd][0-9a-f]{2}:/i,
+    /^\[?fe80:/i
+];
+
+/**
+ * A webhook URL ellenőrzése: abszolút `https://` URL, hitelesítő adat
+ * nélkül, nem belső hálózati címre mutat.
+ *
+ * @param {*} url
+ * @returns {string|null} Hibaüzenet, vagy `null`, ha az URL érvényes.
+ */
+export function validateWebhookUrl(url) {
+    if (typeof url !== 'string' || url.trim() === '') return 'Az URL megadása kötelező.';
+    if (url.length > WEBHOOK_URL_MAX_LENGTH) return `Az URL legfeljebb ${WEBHOOK_URL_MAX_LENGTH} karakter lehet.`;
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return 'Érvénytelen URL.';
+    }
+    if (parsed.protocol !== 'https:') return 'Csak https:// URL adható meg.';
+    if (parsed.username || parsed.password) return 'Az URL nem tartalmazhat felhasználónevet vagy jelszót — a hitelesítést az aláírás adja.';
+    if (PRIVATE_HOST_PATTERNS.some(pattern => pattern.test(parsed.hostname))) {
+        return 'Belső hálózati cím nem adható meg.';
+    }
+    return null;
+}
+
+/**
+ * Az eseményszűrő normalizálása: csak ismert események, ismétlés nélkül,
+ * a `WEBHOOK_EVENTS` sorrendjében.
+ *
+ * @param {*} events
+ * @returns {string[]}
+ */
+export function normalizeWebhookEvents(events) {
+    if (!Array.isArray(events)) return [];
+    return Object.values(WEBHOOK_EVENTS).filter(eventType => events.includes(eventType));
+}
+
+/**
+ * Egy feliratkozás (létrehozás / szerkesztés) ellenőrzése. Csak a megadott
+ * mezőket vizsgálja, így részleges frissítésre is használható.
+ *
+ * @param {{ name?: string, url?: string, events?: string[] }} subscription
+ * @returns {string[]} Hibaüzenetek (üres tömb, ha érvényes).
+ */
+export function validateWebhookSubscription(subscription) {
+    const errors = [];
+    const { name, url, events } = subscription || {};
+
+    if (name !== undefined) {
+        if (typeof name !== 'string' || name.trim() === '') errors.push('A név megadása kötelező.');
+        else if (name.trim().length > WEBHOOK_NAME_MAX_LENGTH) errors.push(`A név legfeljebb ${WEBHOOK_NAME_MAX_LENGTH} karakter lehet.`);
+    }
+    if (url !== undefined) {
+        const urlError = validateWebhookUrl(url);
+        if (urlError) errors.push(urlError);
+    }
+    if (events !== undefined) {
+        if (!Array.isArray(events) || events.some(e => !Object.values(WEBHOOK_EVENTS).includes(e))) {
+            errors.push('Ismeretlen esemény a szűrőben.');
+        } else if (normalizeWebhookEvents(events).length === 0) {
+            errors.push('Legalább egy eseményt ki kell választani.');
+        }
+    }
+    return errors;
+}
+
+/**
+ * A `n`-edik sikertelen kísérlet utáni várakozás (exponenciális, felső
+ * korláttal): 1, 2, 4, 8 … perc, legfeljebb `WEBHOOK_RETRY_MAX_MS`.
+ *
+ * @param {number} attempts - Az eddigi kísérletek száma (≥ 1).
+ * @returns {number} Ezredmásodperc.
+ */
+export function getWebhookRetryDelayMs(attempts) {
+    const exponent = Math.max(0, Math.floor(attempts) - 1);
+    return Math.min(WEBHOOK_RETRY_MAX_MS, WEBHOOK_RETRY_BASE_MS * 2 ** exponent);
+}
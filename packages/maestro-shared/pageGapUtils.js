@@ -5,10 +5,42 @@
  * oldalcsoportokat, amelyekhez egyetlen cikk sincs rendelve, és helykitöltő objektumokat
  * ad vissza az ArticleTable számára.
  *
+ * Tervezett cikkek: a kiadvány `plannedArticles` mezője (JSON, `[{ name, startPage,
+ * endPage }]` — a `clone_publication` CF action tölti az előző szám cikkeiből) a
+ * réseken belül névvel ellátott helykitöltőket ad, amíg a helyükre valódi cikk nem kerül.
+ *
+ * Hirdetések: az egész oldalas hirdetés (`ads.js`) oldala foglaltnak számít — ott
+ * nem hiányzik cikk, a táblázat hirdetés-sora jelzi.
+ *
  * @module shared/pageGapUtils
  */
 
 import { getInitialState } from "./workflowRuntime.js";
+import { getFullPageAdPages } from "./ads.js";
+
+/**
+ * A kiadvány `plannedArticles` mezőjének normalizálása. Érvénytelen JSON / elem → kimarad.
+ *
+ * @param {string|Array|null} value
+ * @returns {Array<{ name: string, startPage: number, endPage: number }>} `startPage` szerint rendezve
+ */
+export function parsePlannedArticles(value) {
+    let list = value;
+    if (typeof value === 'string') {
+        try {
+            list = JSON.parse(value);
+        } catch (e) {
+            return [];
+        }
+    }
+    if (!Array.isArray(list)) return [];
+    return list
+        .filter(p => p && typeof p.name === 'string' && p.name.trim() !== ''
+            && Number.isInteger(p.startPage) && Number.isInteger(p.endPage)
+            && p.startPage <= p.endPage)
+        .map(p => ({ name: p.name.trim(), startPage: p.startPage, endPage: p.endPage }))
+        .sort((a, b) => a.startPage - b.startPage);
+}
 
 /**
  * Meghatározza a kiadvány oldalterjedelmén belüli lefedetlen (hozzárendeletlen) oldaltartományokat.
@@ -16,12 +48,17 @@ import { getInitialState } from "./workflowRuntime.js";
  * A függvény az ÖSSZES cikket figyelembe veszi (szűrés előtti állapot),
  * hogy a valós fizikai oldalfoglaltságot tükrözze.
  *
+ * Ha a kiadványnak vannak tervezett cikkei (`plannedArticles`), a teljes egészében
+ * szabad oldalakra eső terv külön, névvel ellátott helykitöltő lesz (`isPlanned: true`);
+ * a rés maradéka a szokásos névtelen helykitöltő. Részben már foglalt terv nem jelenik meg.
+ *
  * @param {Array} articles - A kiadvány ÖSSZES cikke (szűrés előtt)
  * @param {Object} publication - A kiadvány objektum (coverageStart, coverageEnd)
  * @param {Object} [workflow] - A compiled workflow JSON (opcionális, a placeholder állapothoz)
+ * @param {Array} [ads] - A kiadvány hirdetései (opcionális; az egész oldalasak oldala foglalt)
  * @returns {Array<Object>} Helykitöltő objektumok tömbje
  */
-export function buildPlaceholderRows(articles, publication, workflow) {
+export function buildPlaceholderRows(articles, publication, workflow, ads) {
     const coverageStart = publication?.coverageStart;
     const coverageEnd = publication?.coverageEnd;
 
@@ -64,11 +101,39 @@ export function buildPlaceholderRows(articles, publication, workflow) {
         }
     }
 
+    for (const page of getFullPageAdPages(ads).keys()) {
+        occupiedPages.add(page);
+    }
+
+    // Tervezett cikkek: csak a teljesen szabad, terjedelmen belüli, egymással nem
+    // ütköző tervek (az elsőbbség a korábbi kezdőoldalé).
+    const plannedAt = new Map();
+    for (const plan of parsePlannedArticles(publication.plannedArticles)) {
+        if (plan.startPage < coverageStart || plan.endPage > coverageEnd) continue;
+        let isFree = true;
+        for (let p = plan.startPage; p <= plan.endPage; p++) {
+            if (occupiedPages.has(p)) { isFree = false; break; }
+        }
+        if (!isFree) continue;
+        plannedAt.set(plan.startPage, plan);
+        for (let p = plan.startPage; p <= plan.endPage; p++) occupiedPages.add(p);
+    }
+
     // Összefüggő rések keresése a kiadvány terjedelmén belül
     const placeholders = [];
     let gapStart = null;
 
     for (let page = coverageStart; page <= coverageEnd; page++) {
+        const plan = plannedAt.get(page);
+        if (plan) {
+            if (gapStart !== null) {
+                placeholders.push(createPlaceholder(gapStart, page - 1, workflow));
+                gapStart = null;
+            }
+            placeholders.push(createPlaceholder(plan.startPage, plan.endPage, workflow, plan.name));
+            page = plan.endPage;
+            continue;
+        }
         if (!occupiedPages.has(page)) {
             if (gapStart === null) gapStart = page;
         } else {
@@ -94,16 +159,18 @@ export function buildPlaceholderRows(articles, publication, workflow) {
  * @param {number} startPage
  * @param {number} endPage
  * @param {Object} [workflow] - Ha megadott, az initial state ID-ját használja; különben `"designing"` fallback.
+ * @param {string|null} [plannedName] - Tervezett cikk neve (`plannedArticles`); null → névtelen rés.
  * @returns {Object}
  */
-function createPlaceholder(startPage, endPage, workflow) {
+function createPlaceholder(startPage, endPage, workflow, plannedName = null) {
     return {
         $id: `placeholder-${startPage}-${endPage}`,
-        name: null,
+        name: plannedName,
         startPage,
         endPage,
         state: getInitialState(workflow) || "designing",
         markers: 0,
-        isPlaceholder: true
+        isPlaceholder: true,
+        isPlanned: plannedName !== null
     };
 }
@@ -0,0 +1,245 @@
+/**
+ * Maestro Shared — Párhuzamos ágak (fork / join)
+ *
+ * Platform-független tiszta függvények a workflow párhuzamos szakaszaihoz.
+ *
+ * Modell:
+ * - A compiled `states[]` egy eleme `kind: 'fork'` vagy `kind: 'join'` jelölést
+ *   kaphat (hiánya = normál állapot).
+ * - Fork-ba lépéskor a cikk `state`-je a fork ID marad, a `parallelStates`
+ *   (string[]) pedig a fork előre irányú átmeneteinek céljait kapja — ezek a
+ *   párhuzamos ágak „tokenjei".
+ * - Egy ág-token a szokásos átmeneteken lép tovább. A join-ba érkezett token
+ *   ott vár; amikor minden token a join-ban van, a cikk `state`-je a join
+ *   lesz, a `parallelStates` kiürül.
+ * - Ha egy token az ágakon (régión) kívüli állapotba lép (pl. vissza a fork
+ *   elé), a párhuzamos szakasz megszakad: a cikk az adott állapotba kerül.
+ *
+ * Kétoldalú: a Plugin (WorkflowEngine), a Dashboard (Designer, sürgősség) és
+ * az `update-article` CF (generált CommonJS pillanatképként, ld.
+ * `scripts/build-cf-parallel-states.mjs`) is ezt használja.
+ */
+
+/** Az állapotok párhuzamossági jelölései. */
+export const STATE_KINDS = {
+    FORK: 'fork',
+    JOIN: 'join'
+};
+
+/**
+ * Előre irányú-e az átmenet. A hiányzó `direction` előre irányúnak számít —
+ * ugyanaz a default, amit a Designer compilere is alkalmaz.
+ *
+ * @param {Object} transition
+ * @returns {boolean}
+ */
+export function isForwardTransition(transition) {
+    return (transition?.direction || 'forward') === 'forward';
+}
+
+function findState(compiled, stateId) {
+    return (compiled?.states || []).find(s => s.id === stateId) || null;
+}
+
+/**
+ * @param {Object} compiled
+ * @param {string} stateId
+ * @returns {'fork'|'join'|null}
+ */
+export function getStateKind(compiled, stateId) {
+    const kind = findState(compiled, stateId)?.kind;
+    return kind === STATE_KINDS.FORK || kind === STATE_KINDS.JOIN ? kind : null;
+}
+
+/**
+ * @param {Object} compiled
+ * @param {string} stateId
+ * @returns {boolean}
+ */
+export function isForkState(compiled, stateId) {
+    return getStateKind(compiled, stateId) === STATE_KINDS.FORK;
+}
+
+/**
+ * @param {Object} compiled
+ * @param {string} stateId
+ * @returns {boolean}
+ */
+export function isJoinState(compiled, stateId) {
+    return getStateKind(compiled, stateId) === STATE_KINDS.JOIN;
+}
+
+/**
+ * A fork ágainak kezdőállapotai — a fork előre irányú átmeneteinek céljai
+ * (egyedi, a `transitions[]` sorrendjében).
+ *
+ * @param {Object} compiled
+ * @param {string} forkId
+ * @returns {string[]}
+ */
+export function getForkBranches(compiled, forkId) {
+    const targets = (compiled?.transitions || [])
+        .filter(t => t.from === forkId && isForwardTransition(t))
+        .map(t => t.to);
+    return [...new Set(targets)];
+}
+
+/**
+ * Az ágak közös join állapota: az ágakból előre irányú átmeneteken bejárva
+ * az első elért join. Ha nincs ilyen, `null` (a Designer validátora jelzi).
+ *
+ * @param {Object} compiled
+ * @param {string} forkId
+ * @returns {string|null}
+ */
+export function findForkJoin(compiled, forkId) {
+    const transitions = compiled?.transitions || [];
+    const visited = new Set([forkId]);
+    const queue = [...getForkBranches(compiled, forkId)];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        if (visited.has(current)) continue;
+        visited.add(current);
+        if (isJoinState(compiled, current)) return current;
+        for (const t of transitions) {
+            if (t.from === current && isForwardTransition(t) && !visited.has(t.to)) {
+                queue.push(t.to);
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * A párhuzamos régió: az ágakból előre irányú átmeneteken elérhető állapotok
+ * a fork és a join NÉLKÜL (a bejárás a fork-nál és a join-nál megáll). Egy
+ * ágon belüli visszalépés így régión belül marad, a fork elé mutató viszont
+ * kilépés.
+ *
+ * @param {Object} compiled
+ * @param {string} forkId
+ * @returns {string[]}
+ */
+export function getParallelRegion(compiled, forkId) {
+    const joinId = findForkJoin(compiled, forkId);
+    const transitions = compiled?.transitions || [];
+    const region = new Set();
+    const stack = [...getForkBranches(compiled, forkId)];
+    while (stack.length > 0) {
+        const current = stack.pop();
+        if (current === forkId || current === joinId || region.has(current)) continue;
+        region.add(current);
+        for (const t of transitions) {
+            if (t.from === current && isForwardTransition(t)) stack.push(t.to);
+        }
+    }
+    return [...region];
+}
+
+/**
+ * A cikk `parallelStates` mezőjének normalizálása (null / hiányzó → üres tömb).
+ *
+ * @param {*} value
+ * @returns {string[]}
+ */
+export function normalizeParallelStates(value) {
+    if (!Array.isArray(value)) return [];
+    return value.filter(v => typeof v === 'string' && v.length > 0);
+}
+
+/**
+ * @param {Object} article
+ * @returns {boolean} Van-e futó párhuzamos szakasz a cikken.
+ */
+export function isParallelActive(article) {
+    return normalizeParallelStates(article?.parallelStates).length > 0;
+}
+
+/**
+ * A cikk aktív állapotai: párhuzamos szakaszban az ág-tokenek, különben
+ * egyelemű tömb a `state`-tel.
+ *
+ * @param {Object} article
+ * @returns {string[]}
+ */
+export function getActiveStates(article) {
+    const tokens = normalizeParallelStates(article?.parallelStates);
+    if (tokens.length > 0) return tokens;
+    return article?.state ? [article.state] : [];
+}
+
+/**
+ * Belépés egy állapotba (nem párhuzamos cikknél, vagy a régióból kilépéskor).
+ * Fork-ba lépéskor az ágak tokenjei jönnek létre.
+ *
+ * @param {Object} compiled
+ * @param {string} targetState
+ * @returns {{ state: string, parallelStates: string[] }}
+ */
+export function resolveStateEntry(compiled, targetState) {
+    if (isForkState(compiled, targetState)) {
+        return { state: targetState, parallelStates: getForkBranches(compiled, targetState) };
+    }
+    return { state: targetState, parallelStates: [] };
+}
+
+/**
+ * Egy ág-token léptetése (`fromState` → `toState`) párhuzamos szakaszban lévő
+ * cikken. Az átmenet létezését és jogosultságát a hívó ellenőrzi — ez a
+ * függvény csak a cikk új `state` / `parallelStates` párosát számolja.
+ *
+ * @param {Object} compiled
+ * @param {Object} article - `state` (a fork ID) + `parallelStates`
+ * @param {string} fromState - A léptetett token jelenlegi állapota
+ * @param {string} toState - A cél-állapot
+ * @returns {{ state: string, parallelStates: string[], joined: boolean, exited: boolean }|null}
+ *   `null`, ha a token nem létezik, vagy már a join-ban várakozik.
+ */
+export function applyBranchTransition(compiled, article, fromState, toState) {
+    const tokens = normalizeParallelStates(article?.parallelStates);
+    const index = tokens.indexOf(fromState);
+    if (index === -1) return null;
+
+    const forkId = article.state;
+    const joinId = findForkJoin(compiled, forkId);
+    if (fromState === joinId) return null;
+
+    if (toState === joinId) {
+        const next = tokens.map((token, i) => (i === index ? joinId : token));
+        if (next.every(token => token === joinId)) {
+            return { state: joinId, parallelStates: [], joined: true, exited: false };
+        }
+        return { state: forkId, parallelStates: next, joined: false, exited: false };
+    }
+
+    if (getParallelRegion(compiled, forkId).includes(toState)) {
+        const next = tokens.map((token, i) => (i === index ? toState : token));
+        return { state: forkId, parallelStates: next, joined: false, exited: false };
+    }
+
+    return { ...resolveStateEntry(compiled, toState), joined: false, exited: true };
+}
+
+/**
+ * Két token-lista különbsége, ha pontosan egy token lépett (multiset-diff).
+ * Az `update-article` CF ebből állapítja meg, melyik ág melyik átmenetet kéri.
+ *
+ * @param {string[]} before
+ * @param {string[]} after
+ * @returns {{ from: string, to: string }|null}
+ */
+export function diffParallelStates(before, after) {
+    const prev = normalizeParallelStates(before);
+    const next = normalizeParallelStates(after);
+    if (prev.length === 0 || prev.length !== next.length) return null;
+
+    const remaining = [...next];
+    const removed = [];
+    for (const token of prev) {
+        const i = remaining.indexOf(token);
+        if (i === -1) removed.push(token);
+        else remaining.splice(i, 1);
+    }
+    if (removed.length !== 1 || remaining.length !== 1) return null;
+    return { from: removed[0], to: remaining[0] };
+}
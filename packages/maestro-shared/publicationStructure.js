@@ -0,0 +1,251 @@
+/**
+ * Maestro Shared — Kiadvány-struktúra szabályok (oldaltartomány + átfedés)
+ *
+ * Platform-független tiszta függvények a cikkek oldalfoglalásához: a cikk
+ * tényleges oldaltartománya, az elfoglalt oldalak, a kiadvány-terjedelmen
+ * kívüli cikkek és a layoutonkénti átfedések. A Plugin
+ * `PublicationStructureValidator`-a és a Dashboard flatplan szerkesztője
+ * (`LayoutView` drag-and-drop) UGYANEZT használja, így a Dashboard élő
+ * ütközésjelzése és a Plugin validációs üzenetei nem csúszhatnak szét.
+ *
+ * Oldalfoglalás forrása: a `pageRanges` JSON (`"[[1,3],[5,5]]"`), ennek
+ * hiányában a `startPage`–`endPage` tartomány. Az egész oldalas hirdetés
+ * (`ads.js`) layouttól függetlenül foglalja az oldalát.
+ */
+
+import { getFullPageAdPages } from './ads.js';
+
+/** Korrupt adatból származó extrém tartomány elleni felső korlát. */
+export const MAX_PAGE_NUMBER = 9999;
+
+/** A layout nélküli cikkek csoportkulcsa az átfedés-ellenőrzésben. */
+export const DEFAULT_LAYOUT_KEY = 'default';
+
+/**
+ * A `pageRanges` mező normalizálása `[[start, end], …]` tömbbé.
+ *
+ * @param {Object} article
+ * @param {Function} [onParseError] - `(article, error)` — érvénytelen JSON esetén
+ * @returns {Array<[number, number]>|null} `null`, ha nincs vagy érvénytelen
+ */
+export function parsePageRanges(article, onParseError) {
+    if (!article?.pageRanges) return null;
+    let ranges;
+    try {
+        ranges = typeof article.pageRanges === 'string'
+            ? JSON.parse(article.pageRanges)
+            : article.pageRanges;
+    } catch (e) {
+        if (onParseError) onParseError(article, e);
+        return null;
+    }
+    if (!Array.isArray(ranges)) return null;
+    return ranges.filter(range => Array.isArray(range) && range.length === 2);
+}
+
+/**
+ * A cikk tényleges min/max oldalszáma. A `startPage`/`endPage` az elsődleges,
+ * a hiányzó végpontot a `pageRanges`-ből egészíti ki.
+ *
+ * @param {Object} article
+ * @param {Function} [onParseError]
+ * @returns {{ min: number|null|undefined, max: number|null|undefined }}
+ */
+export function getEffectivePageRange(article, onParseError) {
+    let min = article.startPage;
+    let max = article.endPage;
+
+    if (min == null || max == null) {
+        const ranges = parsePageRanges(article, onParseError) || [];
+        for (const range of ranges) {
+            if (min == null || range[0] < min) min = range[0];
+            if (max == null || range[1] > max) max = range[1];
+        }
+    }
+
+    return { min, max };
+}
+
+/**
+ * A cikk által elfoglalt oldalszámok. A `pageRanges` az elsődleges, ha abból
+ * nem jön ki oldal, a `startPage`–`endPage` tartomány.
+ *
+ * @param {Object} article
+ * @param {Function} [onParseError]
+ * @returns {number[]}
+ */
+export function getOccupiedPages(article, onParseError) {
+    const pages = new Set();
+
+    const ranges = parsePageRanges(article, onParseError) || [];
+    for (const range of ranges) {
+        const start = Math.max(1, range[0]);
+        const end = Math.min(MAX_PAGE_NUMBER, range[1]);
+        for (let i = start; i <= end; i++) pages.add(i);
+    }
+
+    if (pages.size === 0 && article.startPage != null && article.endPage != null) {
+        const start = Math.max(1, article.startPage);
+        const end = Math.min(MAX_PAGE_NUMBER, article.endPage);
+        for (let i = start; i <= end; i++) pages.add(i);
+    }
+
+    return Array.from(pages);
+}
+
+/**
+ * Layout ID feloldása névre (`{ $id, name }` tömbből); találat híján az ID.
+ *
+ * @param {string} layoutId
+ * @param {Array} [layouts]
+ * @returns {string}
+ */
+export function resolveLayoutName(layoutId, layouts) {
+    if (!Array.isArray(layouts) || layoutId === DEFAULT_LAYOUT_KEY) return layoutId;
+    const layout = layouts.find(l => l.$id === layoutId);
+    return layout ? layout.name : layoutId;
+}
+
+/**
+ * A cikkek oldaltartományainak ellenőrzése egy kiadványon belül:
+ * 1. terjedelmen kívül kezdődő / végződő cikk — hiba az adott cikkre;
+ * 2. azonos layouton belüli oldalátfedés — hiba MINDKÉT cikkre, páronként
+ *    egyszer (az első ütköző oldallal);
+ * 3. egész oldalas hirdetés oldalára kerülő cikk — hiba a cikkre,
+ *    hirdetésenként egyszer (bármely layoutban).
+ *
+ * @param {Object} publicationData - `{ publication: { coverageStart, coverageEnd }, articles, layouts?, ads? }`
+ * @param {Object} [options]
+ * @param {Function} [options.onParseError] - `(article, error)` — érvénytelen `pageRanges`
+ * @returns {Map<string, { errors: string[], warnings: string[] }>} articleId → eredmények
+ */
+export function validatePublicationStructure(publicationData, options = {}) {
+    const { publication, articles, layouts, ads } = publicationData || {};
+    const { onParseError } = options;
+    const resultsMap = new Map();
+
+    if (!publication || !articles) return resultsMap;
+
+    const ensureEntry = (articleId) => {
+        if (!resultsMap.has(articleId)) {
+            resultsMap.set(articleId, { errors: [], warnings: [] });
+        }
+        return resultsMap.get(articleId);
+    };
+
+    const pubStart = publication.coverageStart ?? 1;
+    const pubEnd = publication.coverageEnd ?? MAX_PAGE_NUMBER;
+
+    // 1. Határok
+    for (const article of articles) {
+        const { min, max } = getEffectivePageRange(article, onParseError);
+
+        if (min != null && min < pubStart) {
+            ensureEntry(article.$id).errors.push(
+                `A kiadvány kezdete (${pubStart}) előtt kezdődik.`
+            );
+        }
+        if (max != null && max > pubEnd) {
+            ensureEntry(article.$id).errors.push(
+                `A kiadvány vége (${pubEnd}) után végződik.`
+            );
+        }
+    }
+
+    // 2. Átfedések layoutonként
+    const articlesByLayout = {};
+    for (const article of articles) {
+        const layout = article.layout || DEFAULT_LAYOUT_KEY;
+        if (!articlesByLayout[layout]) articlesByLayout[layout] = [];
+        articlesByLayout[layout].push(article);
+    }
+
+    for (const [layout, layoutArticles] of Object.entries(articlesByLayout)) {
+        if (layoutArticles.length < 2) continue;
+
+        // pageNumber → { articleId, articleName }
+        const occupiedPages = new Map();
+        const reportedPairs = new Set();
+
+        for (const article of layoutArticles) {
+            for (const page of getOccupiedPages(article, onParseError)) {
+                if (!occupiedPages.has(page)) {
+                    occupiedPages.set(page, { articleId: article.$id, articleName: article.name });
+                    continue;
+                }
+
+                const conflicting = occupiedPages.get(page);
+                const pairKey = [article.$id, conflicting.articleId].sort().join(':');
+                if (reportedPairs.has(pairKey)) continue;
+                reportedPairs.add(pairKey);
+
+                const layoutMsg = layout !== DEFAULT_LAYOUT_KEY
+                    ? ` (Layout: ${resolveLayoutName(layout, layouts)})`
+                    : '';
+                ensureEntry(article.$id).errors.push(
+                    `Átfedés: "${conflicting.articleName}", ${page}. oldal${layoutMsg}`
+                );
+                ensureEntry(conflicting.articleId).errors.push(
+                    `Átfedés: "${article.name}", ${page}. oldal${layoutMsg}`
+                );
+            }
+        }
+    }
+
+    // 3. Egész oldalas hirdetések
+    const adPages = getFullPageAdPages(ads);
+    if (adPages.size > 0) {
+        for (const article of articles) {
+            const reportedAds = new Set();
+            for (const page of getOccupiedPages(article, onParseError)) {
+                const ad = adPages.get(page);
+                if (!ad || reportedAds.has(ad.$id)) continue;
+                reportedAds.add(ad.$id);
+                ensureEntry(article.$id).errors.push(
+                    `Hirdetés foglalja: "${ad.advertiser}", ${page}. oldal`
+                );
+            }
+        }
+    }
+
+    return resultsMap;
+}
+
+/**
+ * A cikk oldalfoglalásának eltolása `offset` oldallal: `startPage`, `endPage`,
+ * `pageRanges` és a thumbnail-ek `page` mezője (string) együtt mozog (a
+ * flatplan a thumbnail-ek oldalszámából rajzol). Csak a változó mezőket adja
+ * vissza — közvetlenül `updateArticle` payload-ként használható.
+ *
+ * @param {Object} article
+ * @param {number} offset - Egész, lehet negatív
+ * @returns {{ startPage?: number, endPage?: number, pageRanges?: string, thumbnails?: string }}
+ */
+export function shiftArticlePages(article, offset) {
+    const patch = {};
+    if (!Number.isInteger(offset) || offset === 0) return patch;
+
+    if (article.startPage != null) patch.startPage = article.startPage + offset;
+    if (article.endPage != null) patch.endPage = article.endPage + offset;
+
+    const ranges = parsePageRanges(article);
+    if (ranges) {
+        patch.pageRanges = JSON.stringify(ranges.map(([start, end]) => [start + offset, end + offset]));
+    }
+
+    if (article.thumbnails) {
+        try {
+            const thumbnails = JSON.parse(article.thumbnails);
+            if (Array.isArray(thumbnails)) {
+                patch.thumbnails = JSON.stringify(thumbnails.map((thumb) => {
+                    const page = parseInt(thumb.page, 10);
+                    return isNaN(page) ? thumb : { ...thumb, page: String(page + offset) };
+                }));
+            }
+        } catch {
+            // Érvénytelen thumbnails JSON — változatlanul marad
+        }
+    }
+
+    return patch;
+}
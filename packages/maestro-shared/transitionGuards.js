@@ -0,0 +1,204 @@
+// Single-source átmenet-feltétel (transition guard) kiértékelő. Vanilla ES
+// (named exports, no import, no top-level await): a generator
+// `_generated_transitionGuards.js`-ként emit-eli az `update-article` CF-be
+// (build-cf-transition-guards.mjs), így a plugin `WorkflowEngine` és a CF
+// ugyanazzal a logikával dönt — a kliens-oldali check csak UX-hint, a CF a
+// végleges kapuőr (bypass nem lehetséges).
+//
+// A guard-ok a compiled JSON `transitions[].guards` tömbjében élnek:
+//   `[{ type: 'minPageCount', value: 2 }, { type: 'thumbnailExists' }]`
+// Hiányzó / üres tömb → nincs feltétel (backwards-compat a régi compiled-del).
+//
+// Ismeretlen `type` → fail-closed bukás (egy újabb Designer-verzióval mentett
+// workflow ne engedjen át csendben egy régebbi runtime-on).
+//
+// A bukás szövege `description` (NEM `message`): a CF `fail()` helper a
+// `message` kulcsot minden mélységben strip-eli a response-ból.
+
+/**
+ * Támogatott guard típusok.
+ * @enum {string}
+ */
+export const TRANSITION_GUARD_TYPES = Object.freeze({
+    MIN_PAGE_COUNT: 'minPageCount',
+    ALL_CONTRIBUTORS_ASSIGNED: 'allContributorsAssigned',
+    NO_UNRESOLVED_USER_VALIDATIONS: 'noUnresolvedUserValidations',
+    THUMBNAIL_EXISTS: 'thumbnailExists'
+});
+
+/**
+ * Guard katalógus a Designer szerkesztőhöz. A `hasValue` jelzi, hogy a
+ * guard numerikus paramétert vár (`value`), a `defaultValue` az új guard
+ * kezdőértéke.
+ */
+export const TRANSITION_GUARD_DEFINITIONS = Object.freeze([
+    Object.freeze({ type: 'minPageCount', label: 'Minimális oldalszám', hasValue: true, defaultValue: 2 }),
+    Object.freeze({ type: 'allContributorsAssigned', label: 'Minden munkatárs hozzárendelve', hasValue: false, defaultValue: null }),
+    Object.freeze({ type: 'noUnresolvedUserValidations', label: 'Nincs megoldatlan üzenet', hasValue: false, defaultValue: null }),
+    Object.freeze({ type: 'thumbnailExists', label: 'Van előnézeti kép', hasValue: false, defaultValue: null })
+]);
+
+const _KNOWN_TYPES = new Set(TRANSITION_GUARD_DEFINITIONS.map(d => d.type));
+
+/**
+ * Guard lista normalizálása: a nem-objektum elemeket eldobja, a típus nélküli
+ * elemeket kiszűri, a `minPageCount` értékét pozitív egészre kényszeríti.
+ * Az ismeretlen típusokat MEGTARTJA (az evaluator fail-closed kezeli őket).
+ *
+ * @param {Array|undefined|null} guards
+ * @returns {Array<{type: string, value?: number}>}
+ */
+export function normalizeTransitionGuards(guards) {
+    if (!Array.isArray(guards)) return [];
+    const result = [];
+    for (const guard of guards) {
+        if (!guard || typeof guard !== 'object' || typeof guard.type !== 'string' || !guard.type) continue;
+        if (guard.type === TRANSITION_GUARD_TYPES.MIN_PAGE_COUNT) {
+            const value = Math.max(1, Math.floor(Number(guard.value) || 1));
+            result.push({ type: guard.type, value });
+        } else {
+            result.push({ type: guard.type });
+        }
+    }
+    return result;
+}
+
+/**
+ * Igaz, ha a guard lista igényli a cikk megoldatlan felhasználói üzeneteinek
+ * számát (a hívó csak ekkor kérdezi le — a CF-en ez egy extra DB-query).
+ *
+ * @param {Array} guards
+ * @returns {boolean}
+ */
+export function guardsNeedUserValidations(guards) {
+    return normalizeTransitionGuards(guards)
+        .some(g => g.type === TRANSITION_GUARD_TYPES.NO_UNRESOLVED_USER_VALIDATIONS);
+}
+
+/**
+ * Egy guard ember-olvasható leírása (Designer lista, hibaüzenet).
+ *
+ * @param {{type: string, value?: number}} guard
+ * @returns {string}
+ */
+export function describeTransitionGuard(guard) {
+    if (guard?.type === TRANSITION_GUARD_TYPES.MIN_PAGE_COUNT) {
+        return `Legalább ${guard.value} oldal`;
+    }
+    const def = TRANSITION_GUARD_DEFINITIONS.find(d => d.type === guard?.type);
+    return def ? def.label : `Ismeretlen feltétel (${guard?.type})`;
+}
+
+function _pageCount(article) {
+    const start = Number(article?.startPage);
+    if (!Number.isFinite(start) || start <= 0) return 0;
+    const end = Number(article?.endPage);
+    return (Number.isFinite(end) && end >= start ? end : start) - start + 1;
+}
+
+function _parseJsonObject(value) {
+    if (!value) return {};
+    if (typeof value === 'object') return value;
+    try {
+        const parsed = JSON.parse(value);
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch {
+        return {};
+    }
+}
+
+function _hasThumbnail(article) {
+    const raw = article?.thumbnails;
+    if (!raw) return false;
+    try {
+        const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        return Array.isArray(parsed) && parsed.length > 0;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Kiértékeli egy átmenet guard-jait egy cikkre.
+ *
+ * A `context.unresolvedUserValidationCount` csak a `noUnresolvedUserValidations`
+ * guard-hoz kell; ha a guard jelen van, de a szám ismeretlen (`null` /
+ * `undefined` — pl. lookup hiba), a guard fail-closed bukik.
+ *
+ * @param {Array} guards - A `transitions[].guards` tömb
+ * @param {Object} context
+ * @param {Object} context.article - A cikk (startPage, endPage, contributors, thumbnails)
+ * @param {Object} [context.compiled] - A compiled workflow (contributorGroups)
+ * @param {number|null} [context.unresolvedUserValidationCount]
+ * @returns {{allowed: boolean, failures: Array<{type: string, description: string}>}}
+ */
+export function evaluateTransitionGuards(guards, context) {
+    const list = normalizeTransitionGuards(guards);
+    const failures = [];
+    const article = context?.article || {};
+
+    for (const guard of list) {
+        switch (guard.type) {
+            case TRANSITION_GUARD_TYPES.MIN_PAGE_COUNT: {
+                const count = _pageCount(article);
+                if (count < guard.value) {
+                    failures.push({
+                        type: guard.type,
+                        description: `A cikk legalább ${guard.value} oldalas kell legyen (jelenleg: ${count}).`
+                    });
+                }
+                break;
+            }
+            case TRANSITION_GUARD_TYPES.ALL_CONTRIBUTORS_ASSIGNED: {
+                const assigned = _parseJsonObject(article.contributors);
+                const groups = Array.isArray(context?.compiled?.contributorGroups)
+                    ? context.compiled.contributorGroups
+                    : [];
+                const missing = groups
+                    .filter(g => g?.slug && !assigned[g.slug])
+                    .map(g => g.label || g.slug);
+                if (missing.length > 0) {
+                    failures.push({
+                        type: guard.type,
+                        description: `Hiányzó munkatárs: ${missing.join(', ')}.`
+                    });
+                }
+                break;
+            }
+            case TRANSITION_GUARD_TYPES.NO_UNRESOLVED_USER_VALIDATIONS: {
+                const count = context?.unresolvedUserValidationCount;
+                if (typeof count !== 'number') {
+                    failures.push({
+                        type: guard.type,
+                        description: 'A megoldatlan üzenetek száma nem ellenőrizhető.'
+                    });
+                } else if (count > 0) {
+                    failures.push({
+                        type: guard.type,
+                        description: `A cikkhez ${count} megoldatlan üzenet tartozik.`
+                    });
+                }
+                break;
+            }
+            case TRANSITION_GUARD_TYPES.THUMBNAIL_EXISTS: {
+                if (!_hasThumbnail(article)) {
+                    failures.push({
+                        type: guard.type,
+                        description: 'A cikkhez még nem készült előnézeti kép.'
+                    });
+                }
+                break;
+            }
+            default: {
+                if (!_KNOWN_TYPES.has(guard.type)) {
+                    failures.push({
+                        type: guard.type,
+                        description: `Ismeretlen átmenet-feltétel: ${guard.type}.`
+                    });
+                }
+            }
+        }
+    }
+
+    return { allowed: failures.length === 0, failures };
+}
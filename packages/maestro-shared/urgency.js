@@ -2,100 +2,99 @@
  * Maestro Shared — Sürgősség-számítás
  *
  * Platform-független tiszta függvények a cikkek sürgősségének kiszámításához.
- * Figyelembe veszi a munkaidőt (9–17), hétvégéket és ünnepnapokat.
+ * A munkaidőt, a hétvégéket és a munkaszüneti napokat a szerkesztőség
+ * munkanaptára adja (`workingCalendar.js`; hiányában magyar ünnepnapok, 9–17).
+ * A hátralévő munka a workflow átmenet-gráfján a legrövidebb előre irányú út
+ * a terminális állapotig; párhuzamos szakaszban (fork / join) az ágak közül
+ * a leglassabb számít.
  */
 
 import { MARKERS } from './constants.js';
-import { getAllStates, isTerminalState, getStateDuration } from './workflowRuntime.js';
+import { getAllStates, isTerminalState, getStateDuration, getStateLabel } from './workflowRuntime.js';
+import {
+    normalizeParallelStates,
+    isForkState,
+    findForkJoin,
+    getForkBranches,
+    isForwardTransition
+} from './parallelStates.js';
+import { createWorkdayResolver, getCachedHolidays, toDateKey } from './workingCalendar.js';
 
 // ─── Konstansok ─────────────────────────────────────────────────────────────
 
-/** Munkanap kezdete (óra) */
-const WORK_START_HOUR = 9;
-
-/** Munkanap vége (óra) */
-const WORK_END_HOUR = 17;
-
 /** Nager.at API alap URL */
 const HOLIDAYS_API_BASE = 'https://date.nager.at/api/v3/publicholidays';
 
+/** Alapértelmezett ország — a szerkesztőségi naptár előtti viselkedés. */
+const DEFAULT_COUNTRY_CODE = 'HU';
+
 // ─── Ünnepnap cache ─────────────────────────────────────────────────────────
 
-/** @type {Map<number, Set<string>>} */
+/** @type {Map<string, Set<string>>} `${countryCode}-${year}` → dátumok */
 const holidayCache = new Map();
 
-/** @type {Map<number, Promise<Set<string>>>} */
+/** @type {Map<string, Promise<Set<string>>>} */
 const pendingFetches = new Map();
 
 // ─── Ünnepnap-kezelés ──────────────────────────────────────────────────────
 
 /**
- * Lekéri a magyar munkaszüneti napokat a nager.at API-ról.
- * Az eredményt memóriában cache-eli évenként.
+ * Lekéri egy ország munkaszüneti napjait a nager.at API-ról.
+ * Az eredményt memóriában cache-eli országonként és évenként.
  *
  * @param {number} year
+ * @param {string} [countryCode='HU'] - ISO 3166-1 alpha-2
  * @returns {Promise<Set<string>|null>}
  */
-export async function fetchHolidays(year) {
-    if (holidayCache.has(year)) return holidayCache.get(year);
-    if (pendingFetches.has(year)) return pendingFetches.get(year);
+export async function fetchHolidays(year, countryCode = DEFAULT_COUNTRY_CODE) {
+    const key = `${countryCode}-${year}`;
+    if (holidayCache.has(key)) return holidayCache.get(key);
+    if (pendingFetches.has(key)) return pendingFetches.get(key);
 
     const promise = (async () => {
         try {
-            const response = await fetch(`${HOLIDAYS_API_BASE}/${year}/HU`);
+            const response = await fetch(`${HOLIDAYS_API_BASE}/${year}/${countryCode}`);
             if (!response.ok) throw new Error(`HTTP ${response.status}`);
             const data = await response.json();
             const holidays = new Set(data.map(h => h.date));
-            holidayCache.set(year, holidays);
+            holidayCache.set(key, holidays);
             return holidays;
         } catch {
             // Csendes hiba — a null visszatérés jelzi a sikertelenséget.
             // A maestro-shared kétoldalú (Plugin + Dashboard), nincs közös logger.
             return null;
         } finally {
-            pendingFetches.delete(year);
+            pendingFetches.delete(key);
         }
     })();
 
-    pendingFetches.set(year, promise);
+    pendingFetches.set(key, promise);
     return promise;
 }
 
 /**
- * Date objektumot YYYY-MM-DD stringgé alakít.
- * @param {Date} date
- * @returns {string}
- */
-function formatDateKey(date) {
-    const y = date.getFullYear();
-    const m = String(date.getMonth() + 1).padStart(2, '0');
-    const d = String(date.getDate()).padStart(2, '0');
-    return `${y}-${m}-${d}`;
-}
-
-/**
- * @param {Date} date
- * @param {Set<string>} holidays
- * @returns {boolean}
- */
-function isHoliday(date, holidays) {
-    if (!holidays || holidays.size === 0) return false;
-    return holidays.has(formatDateKey(date));
-}
-
-/**
- * Meghatározza, hogy egy nap munkanap-e.
- * @param {Date} date
- * @param {Object} options
- * @param {Set<string>} options.holidays
- * @param {boolean} options.excludeWeekends
- * @returns {boolean}
+ * A szerkesztőségi naptár munkaszüneti napjai a megadott évekre. Elsőként a
+ * naptárban tárolt pillanatképet használja (offline is működik); csak a
+ * pillanatkép nélküli évekre hívja az API-t. `countryCode: null` esetén
+ * nincs ország-szintű munkaszüneti nap.
+ *
+ * @param {Object|null} calendar - Normalizált naptár (`null` → magyar preset)
+ * @param {number[]} years
+ * @returns {Promise<Set<string>>}
  */
-function isWorkday(date, { holidays, excludeWeekends }) {
-    const day = date.getDay();
-    if (excludeWeekends && (day === 0 || day === 6)) return false;
-    if (isHoliday(date, holidays)) return false;
-    return true;
+export async function loadCalendarHolidays(calendar, years) {
+    const countryCode = calendar ? calendar.countryCode : DEFAULT_COUNTRY_CODE;
+    const holidays = new Set();
+    if (!countryCode) return holidays;
+
+    const sets = await Promise.all(years.map(year => {
+        const cached = getCachedHolidays(calendar, year);
+        return cached ? new Set(cached) : fetchHolidays(year, countryCode);
+    }));
+    for (const set of sets) {
+        if (set) for (const date of set) holidays.add(date);
+    }
+    return holidays;
 }
 
 // ─── Munkaidő-számítás ─────────────────────────────────────────────────────
@@ -108,11 +107,17 @@ function isWorkday(date, { holidays, excludeWeekends }) {
  * @param {Object} options
  * @param {Set<string>} options.holidays
  * @param {boolean} options.excludeWeekends
+ * @param {Object|null} [options.calendar] - Normalizált szerkesztőségi naptár
+ *   (`normalizeWorkingCalendar`); hiányában hétfő–péntek 9–17
  * @returns {number}
  */
-export function calculateWorkingMinutes(fromDate, toDate, { holidays, excludeWeekends }) {
+export function calculateWorkingMinutes(fromDate, toDate, { holidays, excludeWeekends, calendar = null }) {
     if (fromDate >= toDate) return 0;
 
+    const resolveHours = createWorkdayResolver(calendar, { holidays, excludeWeekends });
+    const fromKey = toDateKey(fromDate);
+    const toKey = toDateKey(toDate);
+
     let totalMinutes = 0;
     const current = new Date(fromDate);
     current.setHours(0, 0, 0, 0);
@@ -121,19 +126,18 @@ export function calculateWorkingMinutes(fromDate, toDate, { holidays, excludeWee
     endDay.setHours(0, 0, 0, 0);
 
     while (current <= endDay) {
-        if (isWorkday(current, { holidays, excludeWeekends })) {
-            const isSameAsFrom = formatDateKey(current) === formatDateKey(fromDate);
-            const isSameAsTo = formatDateKey(current) === formatDateKey(toDate);
-
-            let dayStart = WORK_START_HOUR * 60;
-            let dayEnd = WORK_END_HOUR * 60;
+        const hours = resolveHours(current);
+        if (hours) {
+            const currentKey = toDateKey(current);
+            let dayStart = hours.start;
+            let dayEnd = hours.end;
 
-            if (isSameAsFrom) {
+            if (currentKey === fromKey) {
                 const fromMinutes = fromDate.getHours() * 60 + fromDate.getMinutes();
                 dayStart = Math.max(dayStart, fromMinutes);
             }
 
-            if (isSameAsTo) {
+            if (currentKey === toKey) {
                 const toMinutes = toDate.getHours() * 60 + toDate.getMinutes();
                 dayEnd = Math.min(dayEnd, toMinutes);
             }
@@ -151,30 +155,230 @@ export function calculateWorkingMinutes(fromDate, toDate, { holidays, excludeWee
 // ─── Sürgősség-számítás ─────────────────────────────────────────────────────
 
 /**
- * Kiszámítja a jelenlegi státusztól a terminális állapotig hátralévő munkaidőt.
+ * Egy állapot becsült munkaideje (perc) az oldalszám alapján.
+ *
+ * @param {Object} workflow
+ * @param {string} stateId
+ * @param {number} pages
+ * @returns {number}
+ */
+function getStateMinutes(workflow, stateId, pages) {
+    const duration = getStateDuration(workflow, stateId);
+    return duration ? duration.perPage * pages + duration.fixed : 0;
+}
+
+/**
+ * Zsákutca-fallback: csak az adott állapot saját ideje.
+ *
+ * @param {Object} workflow
+ * @param {string} stateId
+ * @param {number} pages
+ * @returns {{ minutes: number, breakdown: Array<{ stateId: string, minutes: number }> }}
+ */
+function getStateOnly(workflow, stateId, pages) {
+    const minutes = getStateMinutes(workflow, stateId, pages);
+    return { minutes, breakdown: [{ stateId, minutes }] };
+}
+
+/**
+ * Legrövidebb előre irányú út a munkafolyamat gráfján (`direction: 'forward'` vagy
+ * hiányzó irányú átmenetek) a `startId`-tól az első célállapotig — alapértelmezetten
+ * bármely terminális állapot, `stopAt` megadásakor az az állapot (pl. egy
+ * párhuzamos ág join-ja). Az él súlya a kiinduló állapot becsült munkaideje;
+ * a célállapot maga nem számít bele. A visszafelé mutató (javító) átmenetek
+ * kimaradnak — a becslés a „minden elsőre sikerül" utat méri.
+ *
+ * Fork állapotnál az út a fork → join „makró-élen" halad tovább: súlya a fork
+ * saját ideje + a leglassabb ág (az ágak egyszerre futnak).
+ *
+ * @param {Object} workflow
+ * @param {string} startId
+ * @param {number} pages
+ * @param {string|null} [stopAt] - Célállapot; hiányában bármely terminális
+ * @returns {{ minutes: number, breakdown: Array<{ stateId: string, minutes: number, parallel?: boolean }> }|null}
+ *   `null`, ha előre irányban nem érhető el cél
+ */
+function findShortestForwardPath(workflow, startId, pages, stopAt = null) {
+    const transitions = workflow.transitions || [];
+    const isGoal = (stateId) => (stopAt ? stateId === stopAt : isTerminalState(workflow, stateId));
+
+    // Egyszerű O(n²) Dijkstra — a workflow-k állapotszáma kicsi (tucatnyi).
+    const dist = new Map([[startId, 0]]);
+    const prev = new Map();
+    const steps = new Map();
+    const done = new Set();
+    const tracePath = (endId) => {
+        const breakdown = [];
+        for (let id = endId; prev.has(id); id = prev.get(id)) {
+            breakdown.unshift(...steps.get(prev.get(id)));
+        }
+        return breakdown;
+    };
+
+    while (true) {
+        let current = null;
+        for (const [stateId, d] of dist) {
+            if (!done.has(stateId) && (current === null || d < dist.get(current))) current = stateId;
+        }
+        if (current === null) return null;
+        done.add(current);
+
+        if (isGoal(current)) return { minutes: dist.get(current), breakdown: tracePath(current) };
+
+        const step = getStepCost(workflow, current, pages);
+        steps.set(current, step.breakdown);
+        // A fork utáni régió a join-nál folytatódik; join nélkül (hibás
+        // workflow, a Designer jelzi) a fork az út vége.
+        if (step.joinId === null) {
+            return { minutes: dist.get(current) + step.minutes, breakdown: [...tracePath(current), ...step.breakdown] };
+        }
+
+        const nextIds = step.joinId
+            ? [step.joinId]
+            : transitions.filter(t => t.from === current && isForwardTransition(t)).map(t => t.to);
+        for (const nextId of nextIds) {
+            const candidate = dist.get(current) + step.minutes;
+            if (!done.has(nextId) && (!dist.has(nextId) || candidate < dist.get(nextId))) {
+                dist.set(nextId, candidate);
+                prev.set(nextId, current);
+            }
+        }
+    }
+}
+
+/**
+ * Egy állapot „lépésének" költsége az úton. Sima állapotnál a saját
+ * munkaideje; fork-nál a saját ideje + a leglassabb ág (ágon belül a
+ * legrövidebb út a join-ig), és a `joinId`, ahol az út folytatódik.
+ *
+ * @param {Object} workflow
+ * @param {string} stateId
+ * @param {number} pages
+ * @returns {{ minutes: number, breakdown: Array<{ stateId: string, minutes: number, parallel?: boolean }>, joinId?: string|null }}
+ */
+function getStepCost(workflow, stateId, pages) {
+    const own = { stateId, minutes: getStateMinutes(workflow, stateId, pages) };
+    if (!isForkState(workflow, stateId)) return { minutes: own.minutes, breakdown: [own] };
+
+    const joinId = findForkJoin(workflow, stateId);
+    const branches = getForkBranches(workflow, stateId)
+        .map(branch => getBranchWork(workflow, branch, joinId, pages));
+    const slowest = branches.length > 0 ? Math.max(...branches.map(b => b.minutes)) : 0;
+    return {
+        minutes: own.minutes + slowest,
+        breakdown: [own, ...branches.flatMap(b => b.breakdown)],
+        joinId
+    };
+}
+
+/**
+ * Egy párhuzamos ág hátralévő munkája a join-ig (a join nem számít bele).
+ * A tételek `parallel: true` jelölést kapnak — az ágak egyszerre futnak,
+ * így az összegbe csak a leglassabb ág kerül.
+ *
+ * @param {Object} workflow
+ * @param {string} stateId - Az ág aktuális állapota
+ * @param {string|null} joinId
+ * @param {number} pages
+ * @returns {{ minutes: number, breakdown: Array<{ stateId: string, minutes: number, parallel: boolean }> }}
+ */
+function getBranchWork(workflow, stateId, joinId, pages) {
+    if (stateId === joinId) return { minutes: 0, breakdown: [] };
+    const path = findShortestForwardPath(workflow, stateId, pages, joinId) || getStateOnly(workflow, stateId, pages);
+    return {
+        minutes: path.minutes,
+        breakdown: path.breakdown.map(item => ({ ...item, parallel: true }))
+    };
+}
+
+/**
+ * Kiszámítja a jelenlegi státusztól a terminális állapotig hátralévő munkát
+ * állapotonkénti bontással.
+ *
+ * A `compiled.transitions` előre irányú éleit követi, és a legrövidebb
+ * (legkevesebb munkaidejű) utat választja — elágazó workflow-ban a
+ * gyorsabb ág, a visszafelé mutató átmenetek nélkül. Párhuzamos szakasznál
+ * a fork ágai közül a leglassabb számít. Futó párhuzamos szakaszban
+ * (`parallelStates` nem üres) az ág-tokenek hátralévő idejének maximuma + a
+ * join-tól hátralévő idő az eredmény.
+ *
+ * Ha előre irányban nem érhető el terminális állapot (zsákutca — a Designer
+ * validátora jelzi), csak az aktuális állapot ideje számít.
  *
  * @param {Object} workflow - A compiled workflow JSON
  * @param {string} currentState - Aktuális állapot string ID
  * @param {number} pageCount
- * @returns {number} Percben
+ * @param {string[]} [parallelStates] - A cikk ág-tokenjei (ha párhuzamos szakaszban áll)
+ * @returns {{ minutes: number, breakdown: Array<{ stateId: string, minutes: number, parallel?: boolean }> }}
+ *   `minutes` percben; a `breakdown` a hátralévő út állapotai sorrendben
+ *   (a `parallel: true` tételek egyidejűek, összegük nem egyezik a `minutes`-szel)
  */
-export function calculateRemainingWorkMinutes(workflow, currentState, pageCount) {
-    if (!workflow) return 0;
+export function calculateRemainingWork(workflow, currentState, pageCount, parallelStates = []) {
+    const empty = { minutes: 0, breakdown: [] };
+    if (!workflow || !currentState) return empty;
     const pages = Math.max(1, pageCount || 1);
-    const allStates = getAllStates(workflow);
-    const currentIndex = allStates.findIndex(s => s.id === currentState);
-    if (currentIndex === -1) return 0;
-
-    let total = 0;
-    for (let i = currentIndex; i < allStates.length; i++) {
-        const state = allStates[i];
-        if (isTerminalState(workflow, state.id)) break;
-        const duration = getStateDuration(workflow, state.id);
-        if (duration) {
-            total += duration.perPage * pages + duration.fixed;
-        }
+
+    let minutes = 0;
+    let breakdown = [];
+    let startState = currentState;
+    const tokens = normalizeParallelStates(parallelStates);
+    if (tokens.length > 0 && isForkState(workflow, currentState)) {
+        const joinId = findForkJoin(workflow, currentState);
+        const branches = tokens.map(token => getBranchWork(workflow, token, joinId, pages));
+        minutes += Math.max(...branches.map(b => b.minutes));
+        breakdown = branches.flatMap(b => b.breakdown);
+        if (!joinId) return { minutes, breakdown };
+        startState = joinId;
     }
-    return total;
+
+    if (!getAllStates(workflow).some(s => s.id === startState)) return { minutes, breakdown };
+
+    const path = findShortestForwardPath(workflow, startState, pages) || getStateOnly(workflow, startState, pages);
+    return { minutes: minutes + path.minutes, breakdown: [...breakdown, ...path.breakdown] };
+}
+
+/**
+ * Kiszámítja a jelenlegi státusztól a terminális állapotig hátralévő munkaidőt.
+ * Részletek: `calculateRemainingWork`.
+ *
+ * @param {Object} workflow - A compiled workflow JSON
+ * @param {string} currentState - Aktuális állapot string ID
+ * @param {number} pageCount
+ * @param {string[]} [parallelStates] - A cikk ág-tokenjei (ha párhuzamos szakaszban áll)
+ * @returns {number} Percben
+ */
+export function calculateRemainingWorkMinutes(workflow, currentState, pageCount, parallelStates = []) {
+    return calculateRemainingWork(workflow, currentState, pageCount, parallelStates).minutes;
+}
+
+/**
+ * Munkaidő perc → rövid magyar szöveg („2 ó 15 p", „45 p").
+ *
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function formatWorkMinutes(minutes) {
+    const rounded = Math.round(minutes);
+    const hours = Math.floor(rounded / 60);
+    const rest = rounded % 60;
+    if (hours === 0) return `${rest} p`;
+    return rest === 0 ? `${hours} ó` : `${hours} ó ${rest} p`;
+}
+
+/**
+ * A hátralévő munka bontása tooltip-szövegként (soronként egy állapot).
+ * A párhuzamos ágak tételei „∥" jelölést kapnak.
+ *
+ * @param {Object} workflow
+ * @param {{ minutes: number, breakdown: Array<{ stateId: string, minutes: number, parallel?: boolean }> }|null} remainingWork
+ * @returns {string} Üres string, ha nincs hátralévő munka
+ */
+export function formatRemainingWorkBreakdown(workflow, remainingWork) {
+    if (!remainingWork || remainingWork.minutes <= 0) return '';
+    const lines = remainingWork.breakdown
+        .filter(item => item.minutes > 0)
+        .map(item => `${item.parallel ? '∥ ' : ''}${getStateLabel(workflow, item.stateId) || item.stateId}: ${formatWorkMinutes(item.minutes)}`);
+    return [`Hátralévő munka: ${formatWorkMinutes(remainingWork.minutes)}`, ...lines].join('\n');
 }
 
 /**
@@ -264,9 +468,12 @@ export function getUrgencyBackground(ratio) {
  * @param {Object} options
  * @param {Set<string>} options.holidays
  * @param {boolean} options.excludeWeekends
- * @returns {{ ratio: number, isOverdue: boolean, background: string|null }|null}
+ * @param {Object|null} [options.calendar] - Normalizált szerkesztőségi naptár
+ * @returns {{ ratio: number, isOverdue: boolean, background: string|null,
+ *   remainingWork: { minutes: number, breakdown: Array }, availableMinutes: number }|null}
+ *   A `remainingWork` bontása tooltiphez: `formatRemainingWorkBreakdown`.
  */
-export function calculateUrgencyRatio(article, deadlines, workflow, { holidays, excludeWeekends }) {
+export function calculateUrgencyRatio(article, deadlines, workflow, { holidays, excludeWeekends, calendar = null }) {
     if (!workflow) return null;
     if (isTerminalState(workflow, article.state)) return null;
     if ((article.markers & MARKERS.IGNORE) !== 0) return null;
@@ -278,17 +485,17 @@ export function calculateUrgencyRatio(article, deadlines, workflow, { holidays,
         ? article.endPage - article.startPage + 1
         : 1;
 
-    const remainingMinutes = calculateRemainingWorkMinutes(workflow, article.state, pageCount);
-    if (remainingMinutes === 0) return null;
+    const remainingWork = calculateRemainingWork(workflow, article.state, pageCount, article.parallelStates);
+    if (remainingWork.minutes === 0) return null;
 
     const now = new Date();
     const deadlineDate = new Date(deadline.datetime);
-    const availableMinutes = calculateWorkingMinutes(now, deadlineDate, { holidays, excludeWeekends });
+    const availableMinutes = calculateWorkingMinutes(now, deadlineDate, { holidays, excludeWeekends, calendar });
 
     if (availableMinutes <= 0) {
-        return { ratio: 1.0, isOverdue: true, background: getUrgencyBackground(1.0) };
+        return { ratio: 1.0, isOverdue: true, background: getUrgencyBackground(1.0), remainingWork, availableMinutes: 0 };
     }
 
-    const ratio = remainingMinutes / availableMinutes;
-    return { ratio, isOverdue: false, background: getUrgencyBackground(ratio) };
+    const ratio = remainingWork.minutes / availableMinutes;
+    return { ratio, isOverdue: false, background: getUrgencyBackground(ratio), remainingWork, availableMinutes };
 }
@@ -0,0 +1,166 @@
+/**
+ * Maestro Shared — Workflow compiled JSON strukturális diff.
+ *
+ * Két compiled workflow (pl. egy régebbi verzió és a jelenlegi, vagy egy
+ * aktivált publikáció `compiledWorkflowSnapshot`-ja és a workflow aktuális
+ * `compiled`-je) közötti eltérések állapot / átmenet / jogosultság
+ * bontásban. A Designer verzió-összehasonlító nézete és a publikáció
+ * workflow-migrációs dialógusa használja; a `migrate_publication_workflow`
+ * CF action az állapot-megfeleltetéshez csak az állapot ID-ket nézi.
+ *
+ * A mezőszintű összehasonlítás JSON-szerializáción alapul — a compiled JSON
+ * plain data (string / number / boolean / tömb / objektum), a Designer
+ * `graphToCompiled()` determinisztikus kulcssorrenddel állítja elő.
+ */
+
+/** Állapot mezők, amelyek változása `changed` bejegyzést ad. */
+const STATE_FIELDS = ['label', 'color', 'duration', 'isInitial', 'isTerminal', 'kind'];
+
+/** Állapotonkénti (state ID-vel kulcsolt) compiled szekciók. */
+const PER_STATE_SECTIONS = ['validations', 'commands', 'autoTransitions'];
+
+/** Átmenet mezők, amelyek változása `changed` bejegyzést ad. */
+const TRANSITION_FIELDS = ['label', 'direction', 'allowedGroups', 'guards'];
+
+function _same(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function _asArray(value) {
+    return Array.isArray(value) ? value : [];
+}
+
+function _transitionKey(t) {
+    return `${t?.from}__${t?.to}`;
+}
+
+function _slugDiff(before, after) {
+    const beforeSet = new Set(_asArray(before));
+    const afterSet = new Set(_asArray(after));
+    return {
+        added: [...afterSet].filter(s => !beforeSet.has(s)),
+        removed: [...beforeSet].filter(s => !afterSet.has(s))
+    };
+}
+
+function _changedKeys(before, after) {
+    const a = before && typeof before === 'object' ? before : {};
+    const b = after && typeof after === 'object' ? after : {};
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].filter(k => !_same(a[k], b[k])).sort();
+}
+
+/**
+ * Azon állapot ID-k, amelyek a `base` workflow-ban léteznek, a `target`-ben
+ * viszont nem — ezekben álló cikkeket migrációkor át kell képezni.
+ *
+ * @param {Object|null} base - Kiinduló compiled JSON
+ * @param {Object|null} target - Cél compiled JSON
+ * @returns {string[]}
+ */
+export function findRemovedStateIds(base, target) {
+    const targetIds = new Set(_asArray(target?.states).map(s => s?.id));
+    return _asArray(base?.states)
+        .map(s => s?.id)
+        .filter(id => typeof id === 'string' && !targetIds.has(id));
+}
+
+/**
+ * Strukturális diff két compiled workflow között.
+ *
+ * @param {Object|null} base - Kiinduló compiled JSON (pl. régebbi verzió)
+ * @param {Object|null} target - Cél compiled JSON (pl. jelenlegi)
+ * @returns {{
+ *   states: { added: Object[], removed: Object[], changed: Array<{id: string, label: string, fields: string[]}> },
+ *   transitions: { added: Object[], removed: Object[], changed: Array<{from: string, to: string, label: string, fields: string[]}> },
+ *   permissions: {
+ *     statePermissions: Array<{stateId: string, added: string[], removed: string[]}>,
+ *     leaderGroups: { added: string[], removed: string[] },
+ *     contributorGroups: { added: string[], removed: string[] },
+ *     requiredGroupSlugs: { added: string[], removed: string[] },
+ *     elementPermissions: string[],
+ *     capabilities: string[]
+ *   },
+ *   publicationExtensions: string[],
+ *   hasChanges: boolean
+ * }}
+ */
+export function diffCompiledWorkflows(base, target) {
+    const baseStates = new Map(_asArray(base?.states).map(s => [s.id, s]));
+    const targetStates = new Map(_asArray(target?.states).map(s => [s.id, s]));
+
+    const states = { added: [], removed: [], changed: [] };
+    for (const [id, state] of targetStates) {
+        if (!baseStates.has(id)) states.added.push({ id, label: state.label || id });
+    }
+    for (const [id, state] of baseStates) {
+        if (!targetStates.has(id)) {
+            states.removed.push({ id, label: state.label || id });
+            continue;
+        }
+        const next = targetStates.get(id);
+        const fields = STATE_FIELDS.filter(f => !_same(state[f], next[f]));
+        for (const section of PER_STATE_SECTIONS) {
+            if (!_same(base?.[section]?.[id], target?.[section]?.[id])) fields.push(section);
+        }
+        if (fields.length > 0) states.changed.push({ id, label: next.label || id, fields });
+    }
+
+    const baseTransitions = new Map(_asArray(base?.transitions).map(t => [_transitionKey(t), t]));
+    const targetTransitions = new Map(_asArray(target?.transitions).map(t => [_transitionKey(t), t]));
+
+    const transitions = { added: [], removed: [], changed: [] };
+    for (const [key, t] of targetTransitions) {
+        if (!baseTransitions.has(key)) transitions.added.push({ from: t.from, to: t.to, label: t.label || '' });
+    }
+    for (const [key, t] of baseTransitions) {
+        if (!targetTransitions.has(key)) {
+            transitions.removed.push({ from: t.from, to: t.to, label: t.label || '' });
+            continue;
+        }
+        const next = targetTransitions.get(key);
+        const fields = TRANSITION_FIELDS.filter(f => !_same(t[f], next[f]));
+        if (fields.length > 0) transitions.changed.push({ from: t.from, to: t.to, label: next.label || '', fields });
+    }
+
+    // Állapot-jogosultságok: csak a mindkét oldalon létező állapotokra —
+    // az új / törölt állapot a `states` szekcióban már látszik.
+    const statePermissions = [];
+    for (const id of baseStates.keys()) {
+        if (!targetStates.has(id)) continue;
+        const diff = _slugDiff(base?.statePermissions?.[id], target?.statePermissions?.[id]);
+        if (diff.added.length > 0 || diff.removed.length > 0) {
+            statePermissions.push({ stateId: id, ...diff });
+        }
+    }
+
+    const permissions = {
+        statePermissions,
+        leaderGroups: _slugDiff(base?.leaderGroups, target?.leaderGroups),
+        contributorGroups: _slugDiff(
+            _asArray(base?.contributorGroups).map(g => g?.slug),
+            _asArray(target?.contributorGroups).map(g => g?.slug)
+        ),
+        requiredGroupSlugs: _slugDiff(
+            _asArray(base?.requiredGroupSlugs).map(g => g?.slug),
+            _asArray(target?.requiredGroupSlugs).map(g => g?.slug)
+        ),
+        elementPermissions: _changedKeys(base?.elementPermissions, target?.elementPermissions),
+        capabilities: _changedKeys(base?.capabilities, target?.capabilities)
+    };
+
+    // Kiadvány-szintű extension listák (`validations` / `commands`), amelyek változtak.
+    const publicationExtensions = _changedKeys(base?.publicationExtensions, target?.publicationExtensions);
+
+    const hasChanges =
+        states.added.length + states.removed.length + states.changed.length > 0
+        || transitions.added.length + transitions.removed.length + transitions.changed.length > 0
+        || statePermissions.length > 0
+        || ['leaderGroups', 'contributorGroups', 'requiredGroupSlugs']
+            .some(k => permissions[k].added.length + permissions[k].removed.length > 0)
+        || permissions.elementPermissions.length > 0
+        || permissions.capabilities.length > 0
+        || publicationExtensions.length > 0;
+
+    return { states, transitions, permissions, publicationExtensions, hasChanges };
+}
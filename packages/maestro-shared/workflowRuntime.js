@@ -357,6 +357,65 @@ export function canRunCommand(compiled, stateId, commandId, userGroupSlugs) {
     return { allowed: false, reason: "Ehhez a parancshoz nincs jogosultságod." };
 }
 
+// ─── Kiadvány-szintű extension-ök ──────────────────────────────────────────
+
+/**
+ * Visszaadja a kiadvány-szintű (`scope: 'publication'`) extension parancsokat
+ * (`compiled.publicationExtensions.commands`).
+ *
+ * @param {Object} compiled
+ * @returns {Array<{id: string, allowedGroups: string[], options?: Object}>}
+ */
+export function getPublicationCommands(compiled) {
+    const commands = compiled?.publicationExtensions?.commands;
+    return Array.isArray(commands) ? commands : [];
+}
+
+/**
+ * Visszaadja a kiadvány-szintű extension validátorokat
+ * (`compiled.publicationExtensions.validations`) — elemei `"ext.<slug>"`
+ * stringek vagy `{ validator, options }` objektumok.
+ *
+ * @param {Object} compiled
+ * @returns {Array<string|{validator: string, options?: Object}>}
+ */
+export function getPublicationValidations(compiled) {
+    const validations = compiled?.publicationExtensions?.validations;
+    return Array.isArray(validations) ? validations : [];
+}
+
+/**
+ * Ellenőrzi, hogy a felhasználó futtathatja-e az adott kiadvány-szintű
+ * parancsot. A `canRunCommand` szabályai, állapot nélkül.
+ *
+ * @param {Object} compiled
+ * @param {string} commandId - A parancs azonosítója (`"ext.<slug>"`).
+ * @param {string[]} userGroupSlugs
+ * @returns {{allowed: boolean, reason?: string}}
+ */
+export function canRunPublicationCommand(compiled, commandId, userGroupSlugs) {
+    if (!compiled || !userGroupSlugs) {
+        return { allowed: false, reason: "Hiányzó konfiguráció." };
+    }
+
+    // Leader csoportok tagjai mindig futtathatnak
+    if (_isLeaderMember(compiled, userGroupSlugs)) {
+        return { allowed: true };
+    }
+
+    const cmd = getPublicationCommands(compiled).find(c => c.id === commandId);
+    if (!cmd) {
+        return { allowed: false, reason: "Ez a parancs nem érhető el ennél a kiadványnál." };
+    }
+
+    const hasAccess = (cmd.allowedGroups || []).some(slug => userGroupSlugs.includes(slug));
+    if (hasAccess) {
+        return { allowed: true };
+    }
+
+    return { allowed: false, reason: "Ehhez a parancshoz nincs jogosultságod." };
+}
+
 // ─── Validáció lekérdezések ────────────────────────────────────────────────
 
 /**
@@ -12,7 +12,8 @@
  *
  * Mit fed le:
  *   - `buildExtensionRegistry(snapshot)` snapshot → Map<slug, entry>
- *   - `resolveExtension(reg, slug, expectedKind)` lookup + kind-mismatch
+ *   - `resolveExtension(reg, slug, expectedKind, expectedScope)` lookup + kind- /
+ *     scope-mismatch + SDK-verzió ellenőrzés
  *   - Fail-closed ágak: null/üres snapshot, korrupt entry, JSON parse hiba
  *
  * Mit NEM fed le (manuális smoke + kód-walk feladata):
@@ -23,7 +24,7 @@
  *
  * Logikai duplikáció — a függvénypár forrása:
  *   packages/maestro-indesign/src/core/utils/extensions/extensionRegistry.js
- *   packages/maestro-shared/extensionContract.js (EXTENSION_KIND_VALUES)
+ *   packages/maestro-shared/extensionContract.js (EXTENSION_KIND_VALUES, EXTENSION_SDK_API_VERSION)
  *
  * Mivel a `maestro-shared/package.json` nem deklarál `type: "module"`-t,
  * a Node a `.js` fájlokat CJS-ként értékelné, és az `export const ...`
@@ -39,6 +40,7 @@
 // ── 1. Logikai másolat: shared kontraktus ────────────────────────────────────
 
 const EXTENSION_KIND_VALUES = ['validator', 'command'];
+const EXTENSION_SDK_API_VERSION = 1;
 
 // ── 2. Logikai másolat: extensionRegistry.js (Plugin runtime) ────────────────
 
@@ -61,13 +63,14 @@ function buildExtensionRegistry(snapshot) {
             name: typeof ext.name === 'string' ? ext.name : slug,
             kind: ext.kind,
             scope: typeof ext.scope === 'string' ? ext.scope : 'article',
-            code: ext.code
+            code: ext.code,
+            sdkVersion: Number.isInteger(ext.sdkVersion) ? ext.sdkVersion : null
         });
     }
     return registry;
 }
 
-function resolveExtension(registry, slug, expectedKind) {
+function resolveExtension(registry, slug, expectedKind, expectedScope) {
     if (!registry || typeof registry.get !== 'function') {
         return { ok: false, code: 'no_registry', slug };
     }
@@ -81,6 +84,22 @@ function resolveExtension(registry, slug, expectedKind) {
             detail: `expected=${expectedKind}, actual=${ext.kind}`
         };
     }
+    if (expectedScope && ext.scope !== expectedScope) {
+        return {
+            ok: false,
+            code: 'scope_mismatch',
+            slug,
+            detail: `expected=${expectedScope}, actual=${ext.scope}`
+        };
+    }
+    if (ext.sdkVersion !== null && ext.sdkVersion > EXTENSION_SDK_API_VERSION) {
+        return {
+            ok: false,
+            code: 'sdk_unsupported',
+            slug,
+            detail: `required=${ext.sdkVersion}, plugin=${EXTENSION_SDK_API_VERSION}`
+        };
+    }
     return { ok: true, ext };
 }
 
@@ -251,6 +270,25 @@ assert('plain object registry → no_registry',
 assert('array registry → no_registry',
     arrayLookup.ok === false && arrayLookup.code === 'no_registry');
 
+section('12) SDK-verzió — újabb SDK-ra írt entry fail-closed, régi entry v1-kompatibilis');
+const sdkReg = buildExtensionRegistry(JSON.stringify({
+    'sdk-current': {
+        name: 'Aktuális SDK', kind: 'validator', scope: 'article', sdkVersion: EXTENSION_SDK_API_VERSION,
+        code: 'function maestroExtension(input){ return {isValid:true,errors:[],warnings:[]}; }'
+    },
+    'sdk-future': {
+        name: 'Jövőbeli SDK', kind: 'validator', scope: 'article', sdkVersion: EXTENSION_SDK_API_VERSION + 1,
+        code: 'function maestroExtension(input){ return {isValid:true,errors:[],warnings:[]}; }'
+    }
+}));
+assert('aktuális sdkVersion → ok=true', resolveExtension(sdkReg, 'sdk-current', 'validator').ok === true);
+const futureLookup = resolveExtension(sdkReg, 'sdk-future', 'validator');
+assert('újabb sdkVersion → sdk_unsupported',
+    futureLookup.ok === false && futureLookup.code === 'sdk_unsupported',
+    `kapott: ${JSON.stringify(futureLookup)}`);
+assert('sdkVersion nélküli (régi) entry → ok=true',
+    resolveExtension(reg, 'author-required', 'validator').ok === true);
+
 // ── Záró összegzés ───────────────────────────────────────────────────────────
 
 console.log('\n── Eredmény ──');
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * Maestro — e-mail küldési helperek single-source generátora.
+ *
+ * Az `invite-to-organization` CF `helpers/emailTemplate.js` (sablon-renderelés)
+ * és `helpers/rateLimit.js` (subject/endpoint rate-limit) CommonJS modulja a
+ * kanonikus forrás. A `workflow-notifications` és a `scheduled-transitions` CF
+ * ugyanezzel renderel és ezen keresztül küld, ezért `_generated_*.js` másolatot
+ * kap — a CF deploy csak a saját könyvtárát csomagolja, a másik CF fájljait
+ * nem éri el.
+ *
+ * A forrás már CommonJS és csak Node beépített modult (`crypto`) húz be, így
+ * a transzform a banner elé fűzése; a relatív `require` a forrásban tiltott
+ * (a célhelyen nem oldódna fel).
+ *
+ * Használat:
+ *   node scripts/build-cf-email-helpers.mjs            # generál + ír
+ *   node scripts/build-cf-email-helpers.mjs --check    # diff-ellenőrzés (CI-mentes)
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import { dirname, relative, resolve } from "node:path";
+import process from "node:process";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const REPO_ROOT = resolve(__dirname, "..");
+
+const SOURCE_DIR = resolve(REPO_ROOT, "packages/maestro-server/functions/invite-to-organization/src/helpers");
+const FUNCTIONS_DIR = resolve(REPO_ROOT, "packages/maestro-server/functions");
+
+const TARGET_CFS = [
+    "workflow-notifications",
+    "scheduled-transitions"
+];
+
+const MODULES = [
+    { sourceFile: "emailTemplate.js", targetName: "_generated_emailTemplate.js" },
+    { sourceFile: "rateLimit.js", targetName: "_generated_rateLimit.js" }
+];
+
+const REGENERATE_CMD = "yarn build:cf-email-helpers";
+
+function makeBanner(sourceFile) {
+    const relSource = relative(REPO_ROOT, resolve(SOURCE_DIR, sourceFile));
+    return [
+        "/**",
+        " * AUTO-GENERATED FILE — DO NOT EDIT.",
+        ` * Source: ${relSource}`,
+        ` * Regenerate: ${REGENERATE_CMD}`,
+        " *",
+        " * Az `invite-to-organization` CF helperének másolata. CF deploy-időben a",
+        " * másik CF könyvtára NEM érhető el, ezért a célfüggvény saját másolatot",
+        " * tart. Generálás: scripts/build-cf-email-helpers.mjs.",
+        " */",
+        ""
+    ].join("\n");
+}
+
+function buildCopy(source, modConfig) {
+    // Relatív require a célhelyen nem oldódna fel — kemény hiba, ne csendes
+    // runtime-hiba a CF-en.
+    if (/\brequire\s*\(\s*['"]\.{1,2}\//.test(source)) {
+        throw new Error(
+            `[build-cf-email-helpers] A ${modConfig.sourceFile} relatív require-t tartalmaz — ` +
+            `a másolat a célfüggvényben nem oldaná fel; a generátort frissíteni kell.`
+        );
+    }
+    if (!/^module\.exports\s*=/m.test(source)) {
+        throw new Error(
+            `[build-cf-email-helpers] A ${modConfig.sourceFile}-ben nem található "module.exports =" — ` +
+            `a forrásnak CommonJS modulnak kell lennie.`
+        );
+    }
+    return makeBanner(modConfig.sourceFile) + source.trimEnd() + "\n";
+}
+
+async function writeTarget(targetPath, generatedText, checkMode) {
+    let existing = null;
+    try {
+        existing = await readFile(targetPath, "utf8");
+    } catch (err) {
+        if (err?.code !== "ENOENT") throw err;
+    }
+
+    if (checkMode) {
+        if (existing === null) return { ok: false, kind: "missing", targetPath };
+        if (existing !== generatedText) return { ok: false, kind: "drift", targetPath };
+        return { ok: true, kind: "match", targetPath };
+    }
+
+    if (existing === generatedText) {
+        return { ok: true, kind: "noop", targetPath };
+    }
+
+    await writeFile(targetPath, generatedText, "utf8");
+    return { ok: true, kind: "written", targetPath };
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const checkMode = args.includes("--check");
+
+    const generatedByModule = new Map();
+    for (const modConfig of MODULES) {
+        const sourceText = await readFile(resolve(SOURCE_DIR, modConfig.sourceFile), "utf8");
+        generatedByModule.set(modConfig, buildCopy(sourceText, modConfig));
+    }
+
+    const results = [];
+    for (const cfName of TARGET_CFS) {
+        for (const modConfig of MODULES) {
+            const targetPath = resolve(FUNCTIONS_DIR, cfName, "src", modConfig.targetName);
+            results.push(await writeTarget(targetPath, generatedByModule.get(modConfig), checkMode));
+        }
+    }
+
+    if (checkMode) {
+        const failures = results.filter(r => !r.ok);
+        if (failures.length > 0) {
+            for (const f of failures) {
+                console.error(`[build-cf-email-helpers] CHECK FAILED (${f.kind}): ${relative(REPO_ROOT, f.targetPath)}`);
+            }
+            console.error(`Futtasd: ${REGENERATE_CMD}`);
+            process.exit(1);
+        }
+        console.log(
+            `[build-cf-email-helpers] OK — minden ${results.length} fájl szinkronban (` +
+            `${TARGET_CFS.length} CF × ${MODULES.length} modul).`
+        );
+        return;
+    }
+
+    const written = results.filter(r => r.kind === "written").length;
+    const noop = results.filter(r => r.kind === "noop").length;
+    console.log(
+        `[build-cf-email-helpers] OK — ${written} írva, ${noop} no-op (összesen ${results.length}).`
+    );
+}
+
+main().catch(err => {
+    console.error(err.stack || err.message || err);
+    process.exit(1);
+});
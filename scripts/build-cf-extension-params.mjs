@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * Maestro — workflow extension paraméter-séma logika single-source generátora.
+ *
+ * A `packages/maestro-shared/extensionParams.js` (ESM) a kanonikus forrás. Az
+ * `invite-to-organization` CF (`create/update_workflow_extension` — a
+ * `paramSchema` validálása; aktiváláskor a hivatkozások `options`-ének
+ * ellenőrzése a snapshot-építésben) saját CommonJS pillanatképet kap
+ * `_generated_extensionParams.js`-ként — ugyanazon okból, mint a
+ * `build-cf-transition-guards.mjs`: a workspace yarn link a CF runtime-on nem
+ * oldódik fel.
+ *
+ * Használat:
+ *   node scripts/build-cf-extension-params.mjs            # generál + ír
+ *   node scripts/build-cf-extension-params.mjs --check    # diff-ellenőrzés (CI-mentes)
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import { dirname, relative, resolve } from "node:path";
+import process from "node:process";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const REPO_ROOT = resolve(__dirname, "..");
+
+const SOURCE_PATH = resolve(REPO_ROOT, "packages/maestro-shared/extensionParams.js");
+const TARGET_CFS = [
+    "packages/maestro-server/functions/invite-to-organization/src/_generated_extensionParams.js"
+];
+
+const RELATIVE_SOURCE = relative(REPO_ROOT, SOURCE_PATH);
+const REGENERATE_CMD = "yarn build:cf-extension-params";
+
+const BANNER_LINES = [
+    "/**",
+    " * AUTO-GENERATED FILE — DO NOT EDIT.",
+    ` * Source: ${RELATIVE_SOURCE}`,
+    ` * Regenerate: ${REGENERATE_CMD}`,
+    " *",
+    " * A `packages/maestro-shared/extensionParams.js` (ESM) a kanonikus forrás.",
+    " * Ez a fájl egy CommonJS pillanatkép, hogy a CF deploy-időben elérhető",
+    " * legyen (a workspace yarn link nem oldódik fel a CF runtime-on). A",
+    " * generálást a `scripts/build-cf-extension-params.mjs` végzi.",
+    " */",
+    ""
+].join("\n");
+
+const EXPORTED_FUNCTIONS = [
+    "parseParamSchema",
+    "serializeParamSchema",
+    "getDefaultExtensionOptions",
+    "normalizeExtensionOptions"
+];
+// Egyik név sem prefixe a másiknak, a sorrend csak a `module.exports` blokkot érinti.
+const EXPORTED_CONSTS = [
+    "EXTENSION_PARAM_TYPES",
+    "PARAM_SCHEMA_MAX_LENGTH",
+    "PARAM_SCHEMA_MAX_PARAMS",
+    "PARAM_STRING_MAX_LENGTH"
+];
+
+function transformToCommonJs(source) {
+    let body = source;
+
+    for (const name of EXPORTED_FUNCTIONS) {
+        const before = body;
+        body = body.replace(`export function ${name}`, `function ${name}`);
+        body = body.replace(`export async function ${name}`, `async function ${name}`);
+        if (body === before) {
+            throw new Error(
+                `[build-cf-extension-params] A forrásban nem található "export [async] function ${name}" — ` +
+                `a shared modul szignatúrája megváltozott, a generátort frissíteni kell.`
+            );
+        }
+    }
+
+    for (const name of EXPORTED_CONSTS) {
+        const before = body;
+        body = body.replace(`export const ${name}`, `const ${name}`);
+        if (body === before) {
+            throw new Error(
+                `[build-cf-extension-params] A forrásban nem található "export const ${name}" — ` +
+                `a shared modul szignatúrája megváltozott, a generátort frissíteni kell.`
+            );
+        }
+    }
+
+    // Post-transform fail-closed: ha ESM-specifikus szintaxis visszamarad,
+    // jobb kemény hibát dobni, mint csendes runtime-hibát adni a CF-en. A
+    // sor-eleji horgony a kommentekben szereplő `export` / `import` szavakat
+    // (pl. JSDoc magyarázat) NEM tekinti drift-nek — csak a tényleges
+    // top-level statement-eket fogja.
+    const lingeringEsmPatterns = [
+        { pattern: /^\s*export\s+(?:function|const|let|var|class|default|async|\{)/m, label: "export" },
+        { pattern: /^\s*import\s+[\s\S]*?from\s+['"]/m, label: "import...from" },
+        { pattern: /^\s*import\s*\(/m, label: "dynamic import()" },
+        { pattern: /\bimport\s*\.\s*meta\b/, label: "import.meta" },
+        { pattern: /^\s*await\s+/m, label: "top-level await" }
+    ];
+    for (const { pattern, label } of lingeringEsmPatterns) {
+        if (pattern.test(body)) {
+            throw new Error(
+                `[build-cf-extension-params] A transzform után ESM-specifikus token maradt: "${label}". ` +
+                `A shared modulnak vanilla ES-szintaxisúnak kell lennie.`
+            );
+        }
+    }
+
+    const exportNames = [...EXPORTED_CONSTS, ...EXPORTED_FUNCTIONS];
+    const exportsBlock =
+        "\nmodule.exports = {\n" +
+        exportNames.map(name => `    ${name}`).join(",\n") +
+        "\n};\n";
+
+    return BANNER_LINES + body.trimEnd() + "\n" + exportsBlock;
+}
+
+async function processTarget(targetRel, generatedText, checkMode) {
+    const targetPath = resolve(REPO_ROOT, targetRel);
+    let existing = null;
+    try {
+        existing = await readFile(targetPath, "utf8");
+    } catch (err) {
+        if (err?.code !== "ENOENT") throw err;
+    }
+
+    if (checkMode) {
+        if (existing === null) {
+            console.error(
+                `[build-cf-extension-params] CHECK FAILED: ${targetRel} nem létezik. Futtasd: ${REGENERATE_CMD}`
+            );
+            return false;
+        }
+        if (existing !== generatedText) {
+            console.error(
+                `[build-cf-extension-params] DRIFT: ${targetRel} eltér a forrásból generálttól. Futtasd: ${REGENERATE_CMD}`
+            );
+            return false;
+        }
+        console.log(`[build-cf-extension-params] OK ${targetRel}`);
+        return true;
+    }
+
+    if (existing === generatedText) {
+        console.log(`[build-cf-extension-params] OK no-op: ${targetRel}`);
+        return true;
+    }
+
+    await writeFile(targetPath, generatedText, "utf8");
+    console.log(`[build-cf-extension-params] OK generálva: ${targetRel}`);
+    return true;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const checkMode = args.includes("--check");
+
+    const sourceText = await readFile(SOURCE_PATH, "utf8");
+    const generatedText = transformToCommonJs(sourceText);
+
+    let allOk = true;
+    for (const target of TARGET_CFS) {
+        const ok = await processTarget(target, generatedText, checkMode);
+        if (!ok) allOk = false;
+    }
+
+    if (!allOk) process.exit(1);
+}
+
+main().catch(err => {
+    console.error(err.stack || err.message || err);
+    process.exit(1);
+});
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+/**
+ * Maestro — cikk-üzenet címzett-logika single-source generátora.
+ *
+ * A `packages/maestro-shared/messageRecipients.js` (és az általa importált
+ * `contributorHelpers.js`) ESM a kanonikus forrás. A `workflow-notifications`
+ * CF (üzenet-értesítések címzett-feloldása) és az `invite-to-organization` CF
+ * (`migrate_validation_recipients` legacy-leképezése) saját CommonJS
+ * pillanatképet kap `_generated_*.js`-ként — ugyanazon okból, mint a
+ * `build-cf-response-helpers.mjs`: a workspace yarn link a CF runtime-on nem
+ * oldódik fel.
+ *
+ * Használat:
+ *   node scripts/build-cf-message-recipients.mjs            # generál + ír
+ *   node scripts/build-cf-message-recipients.mjs --check    # diff-ellenőrzés (CI-mentes)
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import { dirname, relative, resolve } from "node:path";
+import process from "node:process";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const REPO_ROOT = resolve(__dirname, "..");
+
+const SHARED_DIR = resolve(REPO_ROOT, "packages/maestro-shared");
+const FUNCTIONS_DIR = resolve(REPO_ROOT, "packages/maestro-server/functions");
+
+const TARGET_CFS = [
+    "workflow-notifications",
+    "invite-to-organization"
+];
+
+// Modul-konfig: az `imports` map a forrás ESM `import`-jait CommonJS
+// `require`-re cseréli a megadott target-path-szal.
+const MODULES = [
+    {
+        sourceFile: "contributorHelpers.js",
+        targetName: "_generated_contributorHelpers.js",
+        exportedFunctions: [
+            "parseContributors",
+            "getContributor",
+            "setContributor",
+            "isContributor"
+        ],
+        exportedConsts: [],
+        imports: {}
+    },
+    {
+        sourceFile: "messageRecipients.js",
+        targetName: "_generated_messageRecipients.js",
+        exportedFunctions: [
+            "getRecipientGroupSlug",
+            "resolveRecipientUserIds",
+            "isMessageRecipient",
+            "getRecipientName",
+            "getSenderName"
+        ],
+        exportedConsts: [
+            "RECIPIENT_TYPES",
+            "RECIPIENT_TYPE_LABELS",
+            "LEGACY_RECIPIENT_GROUP_SLUGS"
+        ],
+        imports: {
+            "./contributorHelpers.js": "./_generated_contributorHelpers.js"
+        }
+    }
+];
+
+const REGENERATE_CMD = "yarn build:cf-message-recipients";
+
+function makeBanner(sourceFile) {
+    const relSource = relative(REPO_ROOT, resolve(SHARED_DIR, sourceFile));
+    return [
+        "/**",
+        " * AUTO-GENERATED FILE — DO NOT EDIT.",
+        ` * Source: ${relSource}`,
+        ` * Regenerate: ${REGENERATE_CMD}`,
+        " *",
+        " * A kanonikus ESM forrás CommonJS pillanatképe. CF deploy-időben a",
+        " * workspace yarn link NEM oldódik fel, ezért minden CF saját másolatot",
+        " * tart. Generálás: scripts/build-cf-message-recipients.mjs.",
+        " */",
+        ""
+    ].join("\n");
+}
+
+function transformToCommonJs(source, modConfig) {
+    let body = source;
+
+    for (const [originalPath, rewrittenPath] of Object.entries(modConfig.imports)) {
+        const importRegex = new RegExp(
+            `import\\s*\\{([^}]+)\\}\\s*from\\s*['"]${originalPath.replace(/[.\\/]/g, '\\$&')}['"];?`,
+            "g"
+        );
+        const before = body;
+        body = body.replace(importRegex, (_match, names) => `const { ${names.trim()} } = require('${rewrittenPath}');`);
+        if (body === before) {
+            throw new Error(
+                `[build-cf-message-recipients] Nem található "import { ... } from '${originalPath}'" minta a ${modConfig.sourceFile}-ben — ` +
+                `az imports-config eltért a forrás valóságától.`
+            );
+        }
+    }
+
+    for (const name of modConfig.exportedFunctions) {
+        const before = body;
+        body = body.replace(`export function ${name}`, `function ${name}`);
+        if (body === before) {
+            throw new Error(
+                `[build-cf-message-recipients] A ${modConfig.sourceFile}-ben nem található "export function ${name}" — ` +
+                `a shared modul szignatúrája megváltozott, a generátort frissíteni kell.`
+            );
+        }
+    }
+
+    for (const name of modConfig.exportedConsts) {
+        const before = body;
+        body = body.replace(`export const ${name} `, `const ${name} `);
+        if (body === before) {
+            throw new Error(
+                `[build-cf-message-recipients] A ${modConfig.sourceFile}-ben nem található "export const ${name}" — ` +
+                `a shared modul szignatúrája megváltozott, a generátort frissíteni kell.`
+            );
+        }
+    }
+
+    // Post-transform fail-closed: a sor-eleji horgony a kommentekben szereplő
+    // `export` / `import` szavakat NEM tekinti drift-nek.
+    const lingeringEsmPatterns = [
+        { pattern: /^\s*export\s+(?:function|const|let|var|class|default|async|\{)/m, label: "export" },
+        { pattern: /^\s*import\s+[\s\S]*?from\s+['"]/m, label: "import...from" },
+        { pattern: /^\s*import\s*\(/m, label: "dynamic import()" },
+        { pattern: /\bimport\s*\.\s*meta\b/, label: "import.meta" },
+        { pattern: /^\s*await\s+/m, label: "top-level await" }
+    ];
+    for (const { pattern, label } of lingeringEsmPatterns) {
+        if (pattern.test(body)) {
+            throw new Error(
+                `[build-cf-message-recipients] A transzform után ESM-specifikus token maradt: "${label}" (${modConfig.sourceFile}). ` +
+                `A shared modulnak vanilla ES-szintaxisúnak kell lennie.`
+            );
+        }
+    }
+
+    const exportNames = [...modConfig.exportedConsts, ...modConfig.exportedFunctions];
+    const exportsBlock =
+        "\nmodule.exports = {\n" +
+        exportNames.map(name => `    ${name}`).join(",\n") +
+        "\n};\n";
+
+    return makeBanner(modConfig.sourceFile) + body.trimEnd() + "\n" + exportsBlock;
+}
+
+async function writeTarget(targetPath, generatedText, checkMode) {
+    let existing = null;
+    try {
+        existing = await readFile(targetPath, "utf8");
+    } catch (err) {
+        if (err?.code !== "ENOENT") throw err;
+    }
+
+    if (checkMode) {
+        if (existing === null) return { ok: false, kind: "missing", targetPath };
+        if (existing !== generatedText) return { ok: false, kind: "drift", targetPath };
+        return { ok: true, kind: "match", targetPath };
+    }
+
+    if (existing === generatedText) {
+        return { ok: true, kind: "noop", targetPath };
+    }
+
+    await writeFile(targetPath, generatedText, "utf8");
+    return { ok: true, kind: "written", targetPath };
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const checkMode = args.includes("--check");
+
+    const generatedByModule = new Map();
+    for (const modConfig of MODULES) {
+        const sourceText = await readFile(resolve(SHARED_DIR, modConfig.sourceFile), "utf8");
+        generatedByModule.set(modConfig, transformToCommonJs(sourceText, modConfig));
+    }
+
+    const results = [];
+    for (const cfName of TARGET_CFS) {
+        for (const modConfig of MODULES) {
+            const targetPath = resolve(FUNCTIONS_DIR, cfName, "src", modConfig.targetName);
+            results.push(await writeTarget(targetPath, generatedByModule.get(modConfig), checkMode));
+        }
+    }
+
+    if (checkMode) {
+        const failures = results.filter(r => !r.ok);
+        if (failures.length > 0) {
+            for (const f of failures) {
+                console.error(`[build-cf-message-recipients] CHECK FAILED (${f.kind}): ${relative(REPO_ROOT, f.targetPath)}`);
+            }
+            console.error(`Futtasd: ${REGENERATE_CMD}`);
+            process.exit(1);
+        }
+        console.log(
+            `[build-cf-message-recipients] OK — minden ${results.length} fájl szinkronban (` +
+            `${TARGET_CFS.length} CF × ${MODULES.length} modul).`
+        );
+        return;
+    }
+
+    const written = results.filter(r => r.kind === "written").length;
+    const noop = results.filter(r => r.kind === "noop").length;
+    console.log(
+        `[build-cf-message-recipients] OK — ${written} írva, ${noop} no-op (összesen ${results.length}).`
+    );
+}
+
+main().catch(err => {
+    console.error(err.stack || err.message || err);
+    process.exit(1);
+});
@@ -4,7 +4,8 @@
  * single-source generátora.
  *
  * A `packages/maestro-shared/orphanGuard.js` (ESM) a kanonikus forrás. A
- * 2 érintett CF-mappa (`set-publication-root-path`, `update-article`) saját
+ * 3 érintett CF-mappa (`set-publication-root-path`, `update-article`,
+ * `scheduled-transitions`) saját
  * CommonJS pillanatképet kap `_generated_orphanGuard.js`-ként, mert az
  * `appwrite functions create-deployment --code` NEM oldja fel a workspace
  * yarn linket (a `node_modules`-on belüli `maestro-shared` symlink a CF
@@ -30,7 +31,8 @@ const REPO_ROOT = resolve(__dirname, "..");
 const SOURCE_PATH = resolve(REPO_ROOT, "packages/maestro-shared/orphanGuard.js");
 const TARGET_CFS = [
     "packages/maestro-server/functions/set-publication-root-path/src/_generated_orphanGuard.js",
-    "packages/maestro-server/functions/update-article/src/_generated_orphanGuard.js"
+    "packages/maestro-server/functions/update-article/src/_generated_orphanGuard.js",
+    "packages/maestro-server/functions/scheduled-transitions/src/_generated_orphanGuard.js"
 ];
 
 const RELATIVE_SOURCE = relative(REPO_ROOT, SOURCE_PATH);
@@ -45,7 +45,13 @@ const TARGET_CFS = [
     "orphan-sweeper",
     "resend-webhook",
     "set-publication-root-path",
-    "validate-article-creation"
+    "validate-article-creation",
+    // Automatikus (időzített) átmenetek
+    "scheduled-transitions",
+    // E-mail értesítések (esemény + óránkénti ütemezés)
+    "workflow-notifications",
+    // Kimenő webhookok (esemény + retry ütemezés)
+    "office-webhooks"
     // NEM ÉRINTVE: invite-to-organization (Phase 1.0+1.5 inline minta él
     // `helpers/util.js fail()` + `helpers/piiRedaction.js`-ban — későbbi
     // refactor-ral cserélhető shared importtal).